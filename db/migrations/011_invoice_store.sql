@@ -0,0 +1,54 @@
+-- ── Local invoice store ───────────────────────────────────────────────────────
+-- Zoho invoices, their line items and credit notes are persisted here so a
+-- restart or deploy no longer needs the ~60s cold fetch from Zoho. Kept
+-- current by incremental pulls on Zoho's last_modified_time; the cursors
+-- live in app_config ('zoho_invoice_sync_cursor', 'zoho_creditnote_sync_cursor').
+
+CREATE TABLE IF NOT EXISTS zoho_invoices (
+  invoice_id         VARCHAR(50)   PRIMARY KEY,
+  invoice_number     VARCHAR(100),
+  customer_id        VARCHAR(50),
+  customer_name      VARCHAR(255),
+  salesperson_name   VARCHAR(255),
+  status             VARCHAR(50),
+  date               DATE          NOT NULL,
+  total              NUMERIC(12,2) NOT NULL DEFAULT 0,  -- inc-GST
+  sub_total          NUMERIC(12,2),
+  tax_total          NUMERIC(12,2),
+  last_modified_time TIMESTAMPTZ,
+  synced_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_zoho_invoices_date     ON zoho_invoices(date);
+CREATE INDEX IF NOT EXISTS idx_zoho_invoices_customer ON zoho_invoices(customer_id);
+
+CREATE TABLE IF NOT EXISTS zoho_invoice_line_items (
+  id           SERIAL        PRIMARY KEY,
+  invoice_id   VARCHAR(50)   NOT NULL REFERENCES zoho_invoices(invoice_id) ON DELETE CASCADE,
+  line_item_id VARCHAR(50),
+  item_id      VARCHAR(50),
+  name         VARCHAR(500),
+  sku          VARCHAR(100),
+  quantity     NUMERIC(12,2) NOT NULL DEFAULT 0,
+  rate         NUMERIC(12,2),
+  item_total   NUMERIC(12,2) NOT NULL DEFAULT 0,
+  position     SMALLINT      NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_zoho_line_items_invoice ON zoho_invoice_line_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_zoho_line_items_item    ON zoho_invoice_line_items(item_id);
+
+CREATE TABLE IF NOT EXISTS zoho_credit_notes (
+  creditnote_id      VARCHAR(50)   PRIMARY KEY,
+  creditnote_number  VARCHAR(100),
+  customer_id        VARCHAR(50),
+  customer_name      VARCHAR(255),
+  salesperson_name   VARCHAR(255),
+  status             VARCHAR(50),
+  date               DATE          NOT NULL,
+  total              NUMERIC(12,2) NOT NULL DEFAULT 0,  -- inc-GST
+  last_modified_time TIMESTAMPTZ,
+  synced_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_zoho_credit_notes_date ON zoho_credit_notes(date);
@@ -0,0 +1,14 @@
+-- ── Zoho API usage ────────────────────────────────────────────────────────────
+-- Daily Books API call counts per subsystem (sync, grading, alerts, debug, …).
+-- Written by the shared request layer in src/services/zoho.js; the day's
+-- total is checked against ZOHO_DAILY_CALL_LIMIT before every call.
+
+CREATE TABLE IF NOT EXISTS zoho_api_usage (
+  day           DATE         NOT NULL,   -- Australia/Sydney calendar day
+  subsystem     VARCHAR(50)  NOT NULL,
+  calls         INTEGER      NOT NULL DEFAULT 0,
+  rate_limited  INTEGER      NOT NULL DEFAULT 0,   -- 429 responses
+  server_errors INTEGER      NOT NULL DEFAULT 0,   -- 5xx / network failures
+  updated_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (day, subsystem)
+);
@@ -0,0 +1,41 @@
+-- ── Alert rules ───────────────────────────────────────────────────────────────
+-- Manager-tunable thresholds for the alert engine (src/services/alertEngine.js).
+-- One unscoped default row per alert type, plus optional overrides scoped by
+-- channel_type / state / grade / rep. For each store (or rep) the engine uses
+-- the most specific matching rule; params it leaves out fall back to the
+-- default row, then to the built-in defaults in src/services/alertRules.js.
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id           SERIAL       PRIMARY KEY,
+  alert_type   VARCHAR(100) NOT NULL,
+  enabled      BOOLEAN      NOT NULL DEFAULT TRUE,
+  tier         SMALLINT     NOT NULL CHECK (tier IN (1, 2)),
+  params       JSONB        NOT NULL DEFAULT '{}',
+  channel_type VARCHAR(100),                                   -- scope: NULL = any
+  state        VARCHAR(50),
+  grade        CHAR(1)      CHECK (grade IN ('A', 'B', 'C')),
+  rep_id       INTEGER      REFERENCES users(id) ON DELETE CASCADE,
+  updated_by   INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- One rule per alert type + scope (the unscoped row is the type's default)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_rules_scope ON alert_rules (
+  alert_type,
+  COALESCE(channel_type, ''),
+  COALESCE(state, ''),
+  COALESCE(grade, ''),
+  COALESCE(rep_id, 0)
+);
+
+-- Defaults — the thresholds the engine previously hard-coded
+INSERT INTO alert_rules (alert_type, tier, params) VALUES
+  ('a_grade_visit_breach', 1, '{"days": 30}'),
+  ('high_value_unvisited', 1, '{"min_revenue": 3000, "days": 45}'),
+  ('churn_risk',           1, '{"top_pct": 20, "days": 90, "risk_pct": 25}'),
+  ('sku_gap',              1, '{"max_skus": 1, "uplift_pct": 30}'),
+  ('rep_activity_drop',    1, '{"days": 14}'),
+  ('store_outperforming',  2, '{"growth_pct": 20}'),
+  ('new_door_high_value',  2, '{"min_value": 500, "window_days": 30}')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,29 @@
+-- ── Focus lines ───────────────────────────────────────────────────────────────
+-- Manager-curated brands and SKUs the team is pushing for a period. The alert
+-- engine's focus_line alert (T2-4) flags active stores that haven't ranged a
+-- line that is current today (starts_on <= today <= ends_on, open-ended if NULL).
+--   kind = 'brand' → brand matches the Zoho item brand (fetchItemBrandMap)
+--   kind = 'sku'   → sku matches a line item's sku or item_id
+
+CREATE TABLE IF NOT EXISTS focus_lines (
+  id          SERIAL       PRIMARY KEY,
+  kind        VARCHAR(10)  NOT NULL CHECK (kind IN ('brand', 'sku')),
+  brand       VARCHAR(100),
+  sku         VARCHAR(100),
+  label       VARCHAR(255),
+  starts_on   DATE         NOT NULL DEFAULT CURRENT_DATE,
+  ends_on     DATE,
+  created_by  INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  CHECK ((kind = 'brand' AND brand IS NOT NULL) OR (kind = 'sku' AND sku IS NOT NULL)),
+  CHECK (ends_on IS NULL OR ends_on >= starts_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_focus_lines_dates ON focus_lines (starts_on, ends_on);
+
+-- Default rules for the two alerts (see src/services/alertRules.js)
+INSERT INTO alert_rules (alert_type, tier, params) VALUES
+  ('brand_underindex', 2, '{"share_ratio_pct": 50, "min_peer_share_pct": 10, "min_revenue": 1000, "min_peers": 5}'),
+  ('focus_line',       2, '{"min_revenue": 1000}')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,29 @@
+-- ── Notification preferences + digest log ─────────────────────────────────────
+-- Per-user alert email digest settings (src/services/alertDigest.js). Users
+-- without a row get the defaults: daily digest, Tier 1 and Tier 2 alerts.
+-- The digest runs after the nightly alert engine and lists alerts raised since
+-- the user's last digest that are still unacknowledged.
+
+CREATE TABLE IF NOT EXISTS notification_prefs (
+  user_id         INTEGER      PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  digest          VARCHAR(10)  NOT NULL DEFAULT 'daily' CHECK (digest IN ('off', 'daily', 'weekly')),
+  weekly_day      SMALLINT     NOT NULL DEFAULT 1 CHECK (weekly_day BETWEEN 1 AND 7),  -- ISO weekday, 1 = Monday
+  max_tier        SMALLINT     NOT NULL DEFAULT 2 CHECK (max_tier IN (1, 2)),          -- 1 = Tier 1 only
+  last_digest_at  TIMESTAMPTZ,
+  updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- One row per digest attempt (scheduled or test send)
+CREATE TABLE IF NOT EXISTS notification_log (
+  id           SERIAL       PRIMARY KEY,
+  user_id      INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind         VARCHAR(20)  NOT NULL,           -- 'digest' | 'test'
+  status       VARCHAR(20)  NOT NULL,           -- 'sent' | 'failed'
+  alert_count  INTEGER      NOT NULL DEFAULT 0,
+  transport    VARCHAR(20),
+  message_id   VARCHAR(255),
+  error        TEXT,
+  sent_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_log_user ON notification_log (user_id, sent_at DESC);
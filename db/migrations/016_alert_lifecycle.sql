@@ -0,0 +1,30 @@
+-- ── Alert lifecycle ──────────────────────────────────────────────────────────
+-- Alerts move open → snoozed / reassigned → resolved (src/services/alertLifecycle.js).
+-- A closed alert still has acknowledged_at set (and acknowledged_by, NULL when
+-- it resolved itself), so existing "acknowledged_at IS NULL" checks keep
+-- meaning "still open". Every change is recorded in alert_events.
+
+ALTER TABLE alert_log
+  ADD COLUMN IF NOT EXISTS status        VARCHAR(20) NOT NULL DEFAULT 'open'
+                                         CHECK (status IN ('open', 'snoozed', 'resolved')),
+  ADD COLUMN IF NOT EXISTS snoozed_until DATE,                                          -- Sydney date the alert reopens
+  ADD COLUMN IF NOT EXISTS assigned_to   INTEGER REFERENCES users(id) ON DELETE SET NULL, -- overrides rep_id for who sees it
+  ADD COLUMN IF NOT EXISTS outcome       VARCHAR(30);                                   -- visited | ordered | not_recoverable | no_action | acknowledged
+
+-- Alerts acknowledged before the lifecycle existed
+UPDATE alert_log SET status = 'resolved', outcome = 'acknowledged'
+WHERE acknowledged_at IS NOT NULL AND status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_alert_log_assigned_to ON alert_log(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_alert_log_store_open  ON alert_log(store_id) WHERE acknowledged_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id          SERIAL       PRIMARY KEY,
+  alert_id    INTEGER      NOT NULL REFERENCES alert_log(id) ON DELETE CASCADE,
+  event       VARCHAR(20)  NOT NULL,  -- snoozed | woken | assigned | resolved | auto_resolved
+  user_id     INTEGER      REFERENCES users(id) ON DELETE SET NULL,  -- NULL = system
+  detail      JSONB        NOT NULL DEFAULT '{}',
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, created_at);
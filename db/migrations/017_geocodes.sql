@@ -0,0 +1,16 @@
+-- ── Store geocodes + rep home bases ──────────────────────────────────────────
+-- Coordinates for route-optimised call plans (src/services/planner.js).
+-- Stores are geocoded offline from their Zoho billing address against the
+-- bundled postcode centroids (src/services/geocode.js); a rep's home base is
+-- the centroid of the home postcode set in Admin → Users.
+
+ALTER TABLE stores
+  ADD COLUMN IF NOT EXISTS suburb         VARCHAR(100),       -- billing_address.city from Zoho
+  ADD COLUMN IF NOT EXISTS latitude       DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude      DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS geocode_source VARCHAR(20);        -- postcode | suburb | postcode_prefix | manual
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS home_postcode  VARCHAR(10),
+  ADD COLUMN IF NOT EXISTS home_latitude  DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS home_longitude DOUBLE PRECISION;
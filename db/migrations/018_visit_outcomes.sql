@@ -0,0 +1,21 @@
+-- ── Structured visit outcomes ────────────────────────────────────────────────
+-- What happened on a visit, alongside the free-text note (see
+-- src/services/visitOutcomes.js). NULL order_taken = not recorded (visits
+-- logged before this migration and PixSell imports).
+
+ALTER TABLE visits
+  ADD COLUMN IF NOT EXISTS order_taken       BOOLEAN,
+  ADD COLUMN IF NOT EXISTS order_value       NUMERIC(12,2),                 -- ex GST, as quoted on the visit
+  ADD COLUMN IF NOT EXISTS salesorder_number VARCHAR(50),                   -- Zoho sales order pushed for the order
+  ADD COLUMN IF NOT EXISTS merchandised      BOOLEAN,
+  ADD COLUMN IF NOT EXISTS competitor_brands TEXT[] NOT NULL DEFAULT '{}',  -- competitor lines seen on shelf
+  ADD COLUMN IF NOT EXISTS brands_discussed  TEXT[] NOT NULL DEFAULT '{}',  -- Zoho item brand names
+  ADD COLUMN IF NOT EXISTS follow_up_date    DATE,
+  ADD COLUMN IF NOT EXISTS contact_name      VARCHAR(120);                  -- person met at the store
+
+CREATE INDEX IF NOT EXISTS idx_visits_follow_up ON visits(follow_up_date) WHERE follow_up_date IS NOT NULL;
+
+-- Default rule for the visits-without-order alert (see src/services/alertRules.js)
+INSERT INTO alert_rules (alert_type, tier, params) VALUES
+  ('no_order_streak', 1, '{"visits": 3}')
+ON CONFLICT DO NOTHING;
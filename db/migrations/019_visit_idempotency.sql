@@ -0,0 +1,10 @@
+-- ── Idempotent visit logging ────────────────────────────────────────────────
+-- The PWA queues visits logged offline and replays them on reconnect. Each
+-- POST /api/visits carries an Idempotency-Key header; a replay with a key the
+-- rep has already used returns the original visit instead of a duplicate.
+
+ALTER TABLE visits
+  ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_visits_idempotency
+  ON visits(rep_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
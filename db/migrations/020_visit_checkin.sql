@@ -0,0 +1,15 @@
+-- ── GPS check-in verification ───────────────────────────────────────────────
+-- Device location sent with POST /api/visits and how it compares with the
+-- store's coordinates (see src/services/visitCheckin.js). checkin_verified is
+-- NULL for visits logged before this migration, PixSell imports and calls.
+
+ALTER TABLE visits
+  ADD COLUMN IF NOT EXISTS checkin_latitude    DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS checkin_longitude   DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS checkin_accuracy_m  INTEGER,
+  ADD COLUMN IF NOT EXISTS checkin_captured_at TIMESTAMPTZ,             -- when the device took the fix
+  ADD COLUMN IF NOT EXISTS checkin_distance_m  INTEGER,                 -- fix → store coordinates
+  ADD COLUMN IF NOT EXISTS checkin_verified    BOOLEAN,
+  ADD COLUMN IF NOT EXISTS checkin_flags       TEXT[] NOT NULL DEFAULT '{}';  -- far, late, no_location, …
+
+CREATE INDEX IF NOT EXISTS idx_visits_checkin ON visits(rep_id, visited_at) WHERE checkin_verified IS NOT NULL;
@@ -0,0 +1,33 @@
+-- ── Visit import profiles ───────────────────────────────────────────────────
+-- Named, saved mappings for POST /api/visits/import/* (see
+-- src/services/visitImport.js). columns maps each import field to a CSV header
+-- name (case-insensitive) or a 1-based position written '#N':
+--   { "date": "Date", "time": "Start", "store_id": "Account", "store_name": …,
+--     "postcode": …, "rep_code": …, "rep_name": …, "visit_type": …, "note": … }
+-- date_format is the day/month order of the date column: DMY, MDY or YMD.
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+  id              SERIAL       PRIMARY KEY,
+  name            VARCHAR(100) UNIQUE NOT NULL,
+  header_row      INTEGER      NOT NULL DEFAULT 1 CHECK (header_row >= 1),  -- CSV row holding the headers
+  columns         JSONB        NOT NULL,
+  date_format     VARCHAR(3)   NOT NULL DEFAULT 'DMY' CHECK (date_format IN ('DMY', 'MDY', 'YMD')),
+  timezone        VARCHAR(64)  NOT NULL DEFAULT 'Australia/Sydney',
+  account_prefix  VARCHAR(20),                                  -- only import store IDs starting with this
+  phone_values    TEXT[]       NOT NULL DEFAULT '{phone}',      -- visit_type values meaning a phone call
+  created_by      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- The PixSell diary / calls export the importer was built for: 5 report
+-- header rows, positional columns, Zoho IDs only. Its times were always read
+-- as UTC+10 with no daylight saving; Australia/Brisbane keeps re-imports of
+-- old files matching the visits already loaded (dedup is on visited_at).
+INSERT INTO import_profiles (name, header_row, columns, date_format, timezone, account_prefix, phone_values)
+VALUES (
+  'PixSell diary / calls', 5,
+  '{"date": "#1", "time": "#2", "store_id": "#5", "note": "#8", "rep_code": "#19", "visit_type": "#28"}',
+  'DMY', 'Australia/Brisbane', '1748', '{phone}'
+)
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,42 @@
+-- ── Visit import jobs ───────────────────────────────────────────────────────
+-- Every POST /api/visits/import/run is recorded as a job with the outcome of
+-- each data row, so rejected rows can be downloaded and a bad import rolled
+-- back (src/services/importJobs.js). Visits inserted by a job carry its id.
+
+CREATE TABLE IF NOT EXISTS import_jobs (
+  id              SERIAL       PRIMARY KEY,
+  profile_id      INTEGER      REFERENCES import_profiles(id) ON DELETE SET NULL,
+  profile_name    VARCHAR(100) NOT NULL,                   -- as it was when the job ran
+  file_name       VARCHAR(255) NOT NULL,
+  file_sha256     CHAR(64)     NOT NULL,
+  file_headers    TEXT[]       NOT NULL DEFAULT '{}',       -- header row, for the rejected-rows CSV
+  uploaded_by     INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  status          VARCHAR(20)  NOT NULL CHECK (status IN ('completed', 'failed', 'rolled_back')),
+  total_rows      INTEGER      NOT NULL DEFAULT 0,
+  imported        INTEGER      NOT NULL DEFAULT 0,
+  duplicates      INTEGER      NOT NULL DEFAULT 0,
+  skipped         JSONB        NOT NULL DEFAULT '{}',       -- reason → row count
+  error           TEXT,                                     -- failed jobs only
+  created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  rolled_back_at  TIMESTAMPTZ,
+  rolled_back_by  INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  rolled_back_visits INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_sha ON import_jobs(file_sha256);
+
+-- One row per CSV data row. cells keeps the raw row for anything not imported.
+CREATE TABLE IF NOT EXISTS import_job_rows (
+  job_id    INTEGER     NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+  line      INTEGER     NOT NULL,                           -- file line the row ends on
+  outcome   VARCHAR(20) NOT NULL CHECK (outcome IN ('imported', 'duplicate', 'skipped')),
+  reason    VARCHAR(30),                                    -- skip reason (see visitImport.js)
+  visit_id  INTEGER     REFERENCES visits(id) ON DELETE SET NULL,
+  cells     JSONB,
+  PRIMARY KEY (job_id, line)
+);
+
+ALTER TABLE visits
+  ADD COLUMN IF NOT EXISTS import_job_id INTEGER REFERENCES import_jobs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_visits_import_job ON visits(import_job_id) WHERE import_job_id IS NOT NULL;
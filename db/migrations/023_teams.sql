@@ -0,0 +1,21 @@
+-- ── Teams ───────────────────────────────────────────────────────────────────
+-- Reps belong to at most one team; a team has one manager, who sees only the
+-- reps (and their stores) in the teams they manage. states lists the AU
+-- states a team covers, which brings in unassigned stores from those states.
+-- Executives see everything. Until the first team is created every manager
+-- keeps full visibility (src/services/teamScope.js).
+
+CREATE TABLE IF NOT EXISTS teams (
+  id          SERIAL       PRIMARY KEY,
+  name        VARCHAR(100) UNIQUE NOT NULL,
+  states      TEXT[]       NOT NULL DEFAULT '{}',
+  manager_id  INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_teams_manager ON teams(manager_id);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_team ON users(team_id);
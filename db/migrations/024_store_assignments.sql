@@ -0,0 +1,55 @@
+-- ── Store assignment history ────────────────────────────────────────────────
+-- Who owned each store when, so revenue and KPI credit for a period go to the
+-- rep who had the store at the time (src/services/territory.js).
+--
+-- store_assignments: one row per ownership period. effective_from NULL means
+-- "since before records began"; effective_to is exclusive and NULL on the
+-- current row. rep_id NULL is an unassigned period.
+--
+-- territory_transfers: one row per bulk reassignment by a manager, with the
+-- filters it was run with and the state of the optional Zoho write-back.
+--
+-- stores.zoho_rep_id is the rep Zoho's cf_sales_rep last resolved to. Store
+-- sync only overwrites rep_id when that changes, so a local reassignment that
+-- wasn't written back to Zoho isn't undone by the next sync.
+
+CREATE TABLE IF NOT EXISTS territory_transfers (
+  id              SERIAL       PRIMARY KEY,
+  criteria        JSONB        NOT NULL,                    -- { states, postcodes, channel_types, from_rep_id }
+  to_rep_id       INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  effective_from  DATE         NOT NULL,
+  store_count     INTEGER      NOT NULL DEFAULT 0,
+  note            TEXT,
+  zoho_writeback  VARCHAR(20)  NOT NULL DEFAULT 'off'
+                  CHECK (zoho_writeback IN ('off', 'pending', 'done', 'partial', 'failed')),
+  zoho_errors     JSONB        NOT NULL DEFAULT '[]',        -- [{ store_id, error }]
+  created_by      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS store_assignments (
+  id              SERIAL       PRIMARY KEY,
+  store_id        INTEGER      NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  rep_id          INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  effective_from  DATE,
+  effective_to    DATE,
+  source          VARCHAR(20)  NOT NULL CHECK (source IN ('backfill', 'zoho_sync', 'transfer')),
+  transfer_id     INTEGER      REFERENCES territory_transfers(id) ON DELETE SET NULL,
+  created_by      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  CHECK (effective_to IS NULL OR effective_from IS NULL OR effective_to > effective_from)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_assignments_current ON store_assignments(store_id) WHERE effective_to IS NULL;
+CREATE INDEX IF NOT EXISTS idx_store_assignments_transfer ON store_assignments(transfer_id) WHERE transfer_id IS NOT NULL;
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS zoho_rep_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Stores without history yet: their current rep is what Zoho last said, and
+-- owns them for all time so far.
+UPDATE stores s SET zoho_rep_id = s.rep_id
+WHERE NOT EXISTS (SELECT 1 FROM store_assignments a WHERE a.store_id = s.id);
+
+INSERT INTO store_assignments (store_id, rep_id, source)
+SELECT s.id, s.rep_id, 'backfill' FROM stores s
+WHERE NOT EXISTS (SELECT 1 FROM store_assignments a WHERE a.store_id = s.id);
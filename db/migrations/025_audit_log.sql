@@ -0,0 +1,29 @@
+-- ── Audit log ───────────────────────────────────────────────────────────────
+-- One row per change made by a manager or executive, written by the auditLog
+-- middleware (src/middleware/audit.js) after the response is sent. Failed
+-- attempts (4xx / 5xx) are kept too, with their status code.
+--
+-- action is the method and path with numeric ids as :id ('PUT /api/users/:id'),
+-- so one kind of change can be filtered on. before / after are JSON snapshots
+-- of the entity where the route provides one, otherwise after is the request
+-- body. Password, token and secret fields are redacted.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           BIGSERIAL    PRIMARY KEY,
+  user_id      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  role         VARCHAR(20),
+  method       VARCHAR(10)  NOT NULL,
+  path         TEXT         NOT NULL,
+  action       TEXT         NOT NULL,
+  entity_type  VARCHAR(50),
+  entity_id    TEXT,
+  before       JSONB,
+  after        JSONB,
+  status_code  SMALLINT,
+  ip           VARCHAR(64),
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity  ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user    ON audit_log(user_id, created_at DESC);
@@ -0,0 +1,23 @@
+-- ── Password recovery and sign-in lockout ───────────────────────────────────
+-- password_reset_tokens: emailed, single-use reset links
+-- (src/services/passwordReset.js). Only the SHA-256 of the token is stored;
+-- issuing a new link or using one spends every other unused link for the user.
+--
+-- users.failed_logins / locked_until: consecutive wrong passwords, and the
+-- lockout that starts after too many (src/routes/auth.js). A successful
+-- sign-in or password reset clears both.
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id            SERIAL       PRIMARY KEY,
+  user_id       INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash    CHAR(64)     NOT NULL UNIQUE,
+  expires_at    TIMESTAMPTZ  NOT NULL,
+  used_at       TIMESTAMPTZ,
+  requested_ip  VARCHAR(64),
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at DESC);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_logins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until  TIMESTAMPTZ;
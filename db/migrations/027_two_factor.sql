@@ -0,0 +1,45 @@
+-- ── Two-factor authentication ────────────────────────────────────────────────
+-- TOTP (authenticator app) second factor, required for managers and
+-- executives (src/services/twoFactor.js).
+--
+-- users.totp_secret         – base32 secret once enrolment is confirmed
+-- users.totp_pending_secret – secret shown during enrolment, until a code confirms it
+-- users.totp_last_step      – last 30-second step accepted, so a code can't be replayed
+--
+-- two_factor_recovery_codes: single-use codes for a lost phone (SHA-256 only).
+-- trusted_devices: "remember this device" cookies (SHA-256 only), 30 days.
+--
+-- Manager / executive sessions from before 2FA carry no "mfa" marker; they are
+-- signed out so the next sign-in goes through enrolment. Sessions started
+-- after this migration always have the marker, so re-running it is a no-op.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret         TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at     TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step      BIGINT;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id          SERIAL       PRIMARY KEY,
+  user_id     INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash   CHAR(64)     NOT NULL,
+  used_at     TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
+
+CREATE TABLE IF NOT EXISTS trusted_devices (
+  id            SERIAL       PRIMARY KEY,
+  user_id       INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash    CHAR(64)     NOT NULL UNIQUE,
+  user_agent    TEXT,
+  ip            VARCHAR(64),
+  expires_at    TIMESTAMPTZ  NOT NULL,
+  last_used_at  TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trusted_devices_user ON trusted_devices(user_id);
+
+DELETE FROM "session"
+WHERE sess->>'role' IN ('manager', 'executive') AND sess->>'mfa' IS NULL;
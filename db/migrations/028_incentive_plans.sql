@@ -0,0 +1,53 @@
+-- ── Incentive plans + payout statements ──────────────────────────────────────
+-- Turns KPI progress (incentive_targets, src/services/kpi.js) into money
+-- (src/services/incentives.js).
+--
+-- incentive_plans: what a rep earns at 100% on every KPI (on_target_amount),
+--   how that splits across the four KPIs (weights, percent, summing to 100),
+--   the attainment below which a KPI pays nothing (threshold_pct), the rate
+--   above 100% (accelerator: 2 = each point over pays double) and the most a
+--   quarter can pay as a percent of on-target (cap_pct). Gates stop the whole
+--   payout: every weekly plan of the quarter submitted, and a coverage floor.
+--   One plan is the company default; users.incentive_plan_id overrides it.
+--
+-- incentive_statements: a rep's quarter, locked once a manager approves it.
+--   The plan, KPIs and payout lines are copied in so later plan or target
+--   edits can't change what payroll was sent.
+
+CREATE TABLE IF NOT EXISTS incentive_plans (
+  id                    SERIAL        PRIMARY KEY,
+  name                  VARCHAR(100)  UNIQUE NOT NULL,
+  on_target_amount      NUMERIC(12,2) NOT NULL,
+  weights               JSONB         NOT NULL,
+  threshold_pct         INTEGER       NOT NULL DEFAULT 50,
+  accelerator           NUMERIC(4,2)  NOT NULL DEFAULT 1,
+  cap_pct               INTEGER       NOT NULL DEFAULT 150,
+  require_weekly_plans  BOOLEAN       NOT NULL DEFAULT FALSE,
+  min_coverage_pct      INTEGER,
+  is_default            BOOLEAN       NOT NULL DEFAULT FALSE,
+  created_by            INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+  created_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incentive_plans_default ON incentive_plans(is_default) WHERE is_default;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS incentive_plan_id INTEGER REFERENCES incentive_plans(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS incentive_statements (
+  id           SERIAL        PRIMARY KEY,
+  rep_id       INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  quarter      SMALLINT      NOT NULL CHECK (quarter BETWEEN 1 AND 4),
+  year         SMALLINT      NOT NULL,
+  plan_id      INTEGER       REFERENCES incentive_plans(id) ON DELETE SET NULL,
+  plan         JSONB         NOT NULL,
+  kpis         JSONB         NOT NULL,
+  lines        JSONB         NOT NULL,
+  gates        JSONB         NOT NULL,
+  payout       NUMERIC(12,2) NOT NULL,
+  approved_by  INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+  approved_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  UNIQUE (rep_id, quarter, year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_incentive_statements_period ON incentive_statements(year, quarter);
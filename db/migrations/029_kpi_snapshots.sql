@@ -0,0 +1,32 @@
+-- ── KPI snapshots ────────────────────────────────────────────────────────────
+-- Each rep's KPI results for a closed quarter, with the counts behind them and
+-- the targets they were measured against (src/services/kpiSnapshots.js).
+-- Live KPIs read the 18-month invoice window, so once a quarter falls out of it
+-- (or its invoices are edited in Zoho) they drift; closed quarters are served
+-- from here instead. Taken by the quarter-close job after a quarter ends and
+-- never rewritten.
+
+CREATE TABLE IF NOT EXISTS kpi_snapshots (
+  id                    SERIAL        PRIMARY KEY,
+  rep_id                INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  quarter               SMALLINT      NOT NULL CHECK (quarter BETWEEN 1 AND 4),
+  year                  SMALLINT      NOT NULL,
+  target_new_customers  SMALLINT      NOT NULL,
+  target_reactivations  SMALLINT      NOT NULL,
+  target_coverage_pct   SMALLINT      NOT NULL,
+  target_growth_pct     SMALLINT      NOT NULL,
+  new_customers         INTEGER       NOT NULL,
+  reactivations         INTEGER       NOT NULL,
+  stores_covered        INTEGER       NOT NULL,
+  stores_total          INTEGER       NOT NULL,
+  coverage_pct          INTEGER       NOT NULL,
+  revenue               NUMERIC(14,2) NOT NULL,
+  ly_revenue            NUMERIC(14,2) NOT NULL,
+  growth_pct            INTEGER,
+  weeks_planned         SMALLINT      NOT NULL,
+  weeks_due             SMALLINT      NOT NULL,
+  captured_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  UNIQUE (rep_id, quarter, year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kpi_snapshots_period ON kpi_snapshots(year, quarter);
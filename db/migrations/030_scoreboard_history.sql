@@ -0,0 +1,67 @@
+-- ── Scoreboard history + badges ──────────────────────────────────────────────
+-- src/services/scoreboard.js.
+--
+-- scoreboard_snapshots: each rep's scoreboard for a finished month (the
+--   12-month window ending with it), taken by the month-close job and never
+--   rewritten. They give rank movement and "top N months running" streaks.
+--   Like the live scoreboard they hold no raw revenue.
+--
+-- badges: achievements executives set up. `kind` says what is measured and
+--   `threshold` how much: new_door_value (a new door whose first order was at
+--   least `threshold` dollars ex-GST), quarter_visits (`threshold` visits in a
+--   calendar quarter), top_streak (top on `metric` for `threshold` months in a
+--   row). Turning one off hides it without taking back what reps earned.
+--
+-- rep_badges: who earned what. `period` is what the badge was earned for
+--   ('Q3 2026', a streak's first month '2026-07', or '' for once-only badges).
+
+CREATE TABLE IF NOT EXISTS scoreboard_snapshots (
+  id                      SERIAL       PRIMARY KEY,
+  month                   DATE         NOT NULL,   -- first day of the month
+  rep_id                  INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rev_per_visit           INTEGER      NOT NULL,
+  visit_count             INTEGER      NOT NULL,
+  growth_pct              INTEGER,
+  new_doors               INTEGER      NOT NULL,
+  reactivation_pct        INTEGER      NOT NULL,
+  rev_per_visit_rank      SMALLINT     NOT NULL,
+  growth_pct_rank         SMALLINT     NOT NULL,
+  new_doors_rank          SMALLINT     NOT NULL,
+  reactivation_pct_rank   SMALLINT     NOT NULL,
+  captured_at             TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  UNIQUE (month, rep_id)
+);
+
+CREATE TABLE IF NOT EXISTS badges (
+  id          SERIAL        PRIMARY KEY,
+  name        VARCHAR(100)  UNIQUE NOT NULL,
+  icon        VARCHAR(16)   NOT NULL DEFAULT '🏅',
+  kind        VARCHAR(30)   NOT NULL CHECK (kind IN ('new_door_value', 'quarter_visits', 'top_streak')),
+  threshold   NUMERIC(12,2) NOT NULL CHECK (threshold > 0),
+  metric      VARCHAR(30),
+  active      BOOLEAN       NOT NULL DEFAULT TRUE,
+  created_by  INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rep_badges (
+  id          SERIAL        PRIMARY KEY,
+  badge_id    INTEGER       NOT NULL REFERENCES badges(id) ON DELETE CASCADE,
+  rep_id      INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  period      VARCHAR(20)   NOT NULL DEFAULT '',
+  earned_on   DATE          NOT NULL,
+  awarded_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  UNIQUE (badge_id, rep_id, period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rep_badges_rep ON rep_badges(rep_id);
+
+-- Starter badges, only into an empty table so edits aren't undone
+INSERT INTO badges (name, icon, kind, threshold, metric)
+SELECT * FROM (VALUES
+  ('Big Opener',         '💰', 'new_door_value', 10000, NULL),
+  ('Century',            '💯', 'quarter_visits', 100,   NULL),
+  ('Door Opener Streak', '🔥', 'top_streak',     3,     'newDoors')
+) AS seed(name, icon, kind, threshold, metric)
+WHERE NOT EXISTS (SELECT 1 FROM badges);
@@ -6,7 +6,6 @@
 
 // ── State ─────────────────────────────────────────────────────────────────────
 let currentUser   = null;
-let firstLoginId  = null;   // user_id for first-login password-set flow
 let currentTab    = 'dashboard';
 let toastTimer    = null;
 let undoCallback  = null;
@@ -19,6 +18,7 @@ let prevYearMap    = {};   // "repId-YYYY-MM" → amount (previous year referenc
 
 // Admin state
 let usersCache = [];
+let teamsCache = [];
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -117,6 +117,149 @@ function toast(msg, undoCb, duration = 5000) {
   }, duration);
 }
 
+// ── Offline outbox ────────────────────────────────────────────────────────────
+// Visits and planner status changes made without signal are kept in
+// localStorage (per user) and replayed in order when the connection returns.
+// Each entry keeps the Idempotency-Key it was first sent with, so a request
+// that reached the server just before the signal dropped isn't logged twice.
+// Reads work offline through the service worker (public/sw.js).
+
+const OUTBOX_PREFIX = 'artico.outbox.';
+const SW_API_CACHE  = 'artico-api-v1';   // must match API_CACHE in sw.js
+let _outboxFlushing = false;
+
+function readOutbox() {
+  if (!currentUser) return [];
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_PREFIX + currentUser.id)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeOutbox(entries) {
+  localStorage.setItem(OUTBOX_PREFIX + currentUser.id, JSON.stringify(entries));
+  renderSyncStatus();
+}
+
+function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/** One attempt at a queued write → { status: 'sent' | 'rejected' | 'retry' | 'auth', data }. */
+async function sendOutboxEntry(entry) {
+  let res;
+  try {
+    res = await fetch(entry.path, {
+      method:      entry.method,
+      credentials: 'same-origin',
+      headers:     { 'Content-Type': 'application/json', 'Idempotency-Key': entry.key },
+      body:        JSON.stringify(entry.body),
+    });
+  } catch {
+    return { status: 'retry' };   // no connection
+  }
+  if (res.status === 401) return { status: 'auth' };
+  if (res.status >= 500)  return { status: 'retry' };
+  const data = await res.json().catch(() => ({}));
+  return { status: res.ok ? 'sent' : 'rejected', data };
+}
+
+/**
+ * Send a write that can wait for signal. Resolves to the server's JSON, or
+ * { queued: true } when it was saved to the outbox instead (offline, server
+ * unreachable, or earlier changes still waiting — order is preserved).
+ * @param {string} label – what it is, for sync messages ("visit to X")
+ */
+async function sendOrQueue(method, path, body, label) {
+  const entry = { key: newIdempotencyKey(), method, path, body, label, queued_at: new Date().toISOString() };
+
+  if (navigator.onLine && readOutbox().length === 0) {
+    const result = await sendOutboxEntry(entry);
+    if (result.status === 'sent' || result.status === 'rejected') return result.data;
+    if (result.status === 'auth') {
+      writeOutbox([...readOutbox(), entry]);
+      toast('Session expired — sign in again and your change will sync.');
+      currentUser = null;
+      showScreen('login');
+      return { queued: true };
+    }
+  }
+
+  writeOutbox([...readOutbox(), entry]);
+  flushOutbox();
+  return { queued: true };
+}
+
+/** Replay the outbox oldest first; stops at the first entry that can't be sent yet. */
+async function flushOutbox() {
+  if (_outboxFlushing || !currentUser || !navigator.onLine) return;
+  _outboxFlushing = true;
+
+  let sent = 0;
+  const rejected = [];
+  try {
+    let entries = readOutbox();
+    while (entries.length) {
+      const head   = entries[0];
+      const result = await sendOutboxEntry(head);
+      if (result.status === 'retry' || result.status === 'auth') break;
+      if (result.status === 'sent') sent++;
+      else rejected.push(`${head.label}: ${result.data?.error || 'rejected by the server'}`);
+      entries = readOutbox().filter(e => e.key !== head.key);
+      writeOutbox(entries);
+    }
+  } finally {
+    _outboxFlushing = false;
+  }
+
+  if (rejected.length) {
+    toast(`Couldn't sync ${rejected.join('; ')}`, null, 10000);
+  } else if (sent) {
+    toast(`Synced ${sent} change${sent === 1 ? '' : 's'} made offline`);
+  }
+  if (sent) {
+    _logVisitStoresAll = null;
+    _plannerWeekCache.clear();
+    if (currentTab === 'visits')  loadRecentVisits();
+    if (currentTab === 'planner') loadPlanner();
+  }
+}
+
+function renderSyncStatus() {
+  const pill    = el('header-sync');
+  const pending = readOutbox().length;
+  const offline = !navigator.onLine;
+  pill.classList.toggle('hidden', !pending && !offline);
+  pill.classList.toggle('app-header__sync--offline', offline);
+  pill.textContent = offline
+    ? (pending ? `Offline · ${pending} to sync` : 'Offline')
+    : `${pending} to sync`;
+}
+
+// Prime the service worker's cache with what a rep needs in the field.
+function warmOfflineCache() {
+  if (!navigator.serviceWorker?.controller || currentUser.role !== 'rep') return;
+  const { quarter, year } = _currentQuarter();
+  ['/api/stores?limit=30',
+   `/api/planner/quarter?quarter=${quarter}&year=${year}`,
+   `/api/planner/week?week=${_currentPlannerWeek()}`,
+  ].forEach(url => fetch(url, { credentials: 'same-origin' }).catch(() => {}));
+}
+
+el('header-sync').addEventListener('click', () => flushOutbox());
+window.addEventListener('online',  () => { renderSyncStatus(); flushOutbox(); });
+window.addEventListener('offline', renderSyncStatus);
+
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err =>
+      console.error('Service worker registration failed:', err)
+    );
+  });
+}
+
 // ── Screens ───────────────────────────────────────────────────────────────────
 function showScreen(name) {
   document.querySelectorAll('.screen').forEach(s =>
@@ -128,6 +271,7 @@ function showScreen(name) {
 el('form-login').addEventListener('submit', async e => {
   e.preventDefault();
   clearError('login-error');
+  el('login-notice').classList.add('hidden');
 
   const email    = el('login-email').value.trim();
   const password = el('login-password').value;
@@ -147,7 +291,6 @@ el('form-login').addEventListener('submit', async e => {
   }
 
   if (data.first_login) {
-    firstLoginId = data.user_id;
     showScreen('set-password');
     return;
   }
@@ -157,13 +300,147 @@ el('form-login').addEventListener('submit', async e => {
     return;
   }
 
+  continueSignIn(data);
+});
+
+/** After the password: ask for a 2FA code, set 2FA up, or go straight in. */
+function continueSignIn(data) {
+  if (data.two_factor === 'verify') {
+    clearError('tfa-error');
+    el('tfa-code').value = '';
+    showScreen('two-factor');
+    el('tfa-code').focus();
+    return;
+  }
+  if (data.two_factor === 'setup') {
+    startTwoFactorSetup();
+    return;
+  }
+
   currentUser = data;
   if (data.must_change_password) {
-    firstLoginId = data.id;
     showScreen('set-password');
   } else {
     initApp();
   }
+}
+
+// ── Two-factor sign-in ────────────────────────────────────────────────────────
+// Managers and executives give an authenticator code (or a recovery code)
+// after their password, and set the authenticator up on their first sign-in.
+
+let _twoFactorUser = null;   // signed-in user, held while new recovery codes are shown
+
+function backToSignIn(message) {
+  el('login-password').value = '';
+  showScreen('login');
+  if (message) showError('login-error', message);
+}
+window.backToSignIn = backToSignIn;
+
+el('form-two-factor').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('tfa-error');
+  const code = el('tfa-code').value.trim();
+  if (!code) {
+    showError('tfa-error', 'Enter the code from your authenticator app.');
+    return;
+  }
+
+  const btn = el('tfa-btn');
+  btn.disabled = true;
+  const data = await api('POST', '/auth/2fa/verify', { code, remember_device: el('tfa-remember').checked });
+  btn.disabled = false;
+
+  if (!data) {
+    showError('tfa-error', 'Connection error. Please try again.');
+    return;
+  }
+  if (data.restart) {
+    backToSignIn(data.error);
+    return;
+  }
+  if (data.error) {
+    showError('tfa-error', data.error);
+    el('tfa-code').select();
+    return;
+  }
+
+  if (data.recovery_codes_left !== undefined) {
+    toast(data.recovery_codes_left
+      ? `Recovery code used — ${data.recovery_codes_left} left. Make new ones from the Team page.`
+      : 'That was your last recovery code — make new ones from the Team page.', null, 8000);
+  }
+  continueSignIn(data);
+});
+
+async function startTwoFactorSetup() {
+  clearError('tfa-setup-error');
+  el('tfa-setup-code').value = '';
+  el('tfa-setup-step').classList.remove('hidden');
+  el('tfa-codes-step').classList.add('hidden');
+  el('tfa-qr').innerHTML = '<div class="skeleton-block"></div>';
+  showScreen('two-factor-setup');
+
+  const data = await api('POST', '/auth/2fa/setup');
+  if (!data || data.error) {
+    if (data?.error) backToSignIn(data.error);
+    else showError('tfa-setup-error', 'Connection error. Please try again.');
+    return;
+  }
+  // Server-generated SVG (src/services/qrCode.js)
+  el('tfa-qr').innerHTML = data.qr_svg;
+  el('tfa-secret').textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+  el('tfa-otpauth').href = data.otpauth_url;
+}
+
+el('form-two-factor-setup').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('tfa-setup-error');
+  const code = el('tfa-setup-code').value.trim();
+  if (!/^\d{6}$/.test(code.replace(/\s/g, ''))) {
+    showError('tfa-setup-error', 'Enter the 6-digit code your app shows for Artico Sales.');
+    return;
+  }
+
+  const btn = el('tfa-setup-btn');
+  btn.disabled = true;
+  const data = await api('POST', '/auth/2fa/enable', { code, remember_device: el('tfa-setup-remember').checked });
+  btn.disabled = false;
+
+  if (!data || data.error) {
+    showError('tfa-setup-error', data?.error || 'Connection error. Please try again.');
+    return;
+  }
+
+  const { recovery_codes, ...user } = data;
+  _twoFactorUser = user;
+  showRecoveryCodes(el('tfa-recovery-codes'), recovery_codes);
+  el('tfa-setup-step').classList.add('hidden');
+  el('tfa-codes-step').classList.remove('hidden');
+});
+
+function showRecoveryCodes(wrap, codes) {
+  wrap.innerHTML = `
+    <ol class="recovery-codes">${codes.map(c => `<li><code>${escHtml(c)}</code></li>`).join('')}</ol>
+    <button type="button" class="btn btn--ghost btn--sm" onclick="copyRecoveryCodes(this)">Copy codes</button>`;
+  wrap.dataset.codes = codes.join('\n');
+}
+
+async function copyRecoveryCodes(btn) {
+  try {
+    await navigator.clipboard.writeText(btn.parentElement.dataset.codes);
+    btn.textContent = 'Copied';
+  } catch {
+    toast('Couldn\'t copy — write the codes down instead.');
+  }
+}
+window.copyRecoveryCodes = copyRecoveryCodes;
+
+el('tfa-codes-done').addEventListener('click', () => {
+  const user = _twoFactorUser;
+  _twoFactorUser = null;
+  continueSignIn(user);
 });
 
 el('form-set-password').addEventListener('submit', async e => {
@@ -174,8 +451,8 @@ el('form-set-password').addEventListener('submit', async e => {
   const pw2 = el('confirm-password').value;
   const btn = el('setpw-btn');
 
-  if (pw.length < 8) {
-    showError('setpw-error', 'Password must be at least 8 characters.');
+  if (pw.length < 10) {
+    showError('setpw-error', 'Password must be at least 10 characters.');
     return;
   }
   if (pw !== pw2) {
@@ -186,10 +463,7 @@ el('form-set-password').addEventListener('submit', async e => {
   btn.disabled = true;
   btn.textContent = 'Saving…';
 
-  const data = await api('POST', '/auth/change-password', {
-    user_id: firstLoginId,
-    password: pw,
-  });
+  const data = await api('POST', '/auth/change-password', { password: pw });
 
   btn.disabled = false;
   btn.textContent = 'Set Password & Continue';
@@ -199,14 +473,80 @@ el('form-set-password').addEventListener('submit', async e => {
     return;
   }
 
-  currentUser  = data;
-  firstLoginId = null;
-  initApp();
+  continueSignIn(data);
+});
+
+// Forgot password → emailed link → ?reset=<token> opens the reset screen
+function showForgotPassword() {
+  clearError('forgot-error');
+  el('forgot-notice').classList.add('hidden');
+  el('forgot-email').value = el('login-email').value.trim();
+  showScreen('forgot-password');
+  el('forgot-email').focus();
+}
+window.showForgotPassword = showForgotPassword;
+
+el('form-forgot-password').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('forgot-error');
+  const email = el('forgot-email').value.trim();
+  if (!email) {
+    showError('forgot-error', 'Enter the email you sign in with.');
+    return;
+  }
+
+  const btn = el('forgot-btn');
+  btn.disabled = true;
+  const data = await api('POST', '/auth/forgot-password', { email });
+  btn.disabled = false;
+
+  if (!data || data.error) {
+    showError('forgot-error', data?.error || 'Connection error. Please try again.');
+    return;
+  }
+  el('forgot-notice').textContent = data.message;
+  el('forgot-notice').classList.remove('hidden');
+});
+
+el('form-reset-password').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('reset-error');
+  const pw  = el('reset-password').value;
+  const pw2 = el('reset-password-confirm').value;
+  if (pw !== pw2) {
+    showError('reset-error', 'Passwords do not match.');
+    return;
+  }
+
+  const btn = el('reset-btn');
+  btn.disabled = true;
+  const token = new URLSearchParams(location.search).get('reset');
+  const data = await api('POST', '/auth/reset-password', { token, password: pw });
+  btn.disabled = false;
+
+  if (!data || data.error) {
+    showError('reset-error', data?.error || 'Connection error. Please try again.');
+    return;
+  }
+
+  history.replaceState(null, '', '/');
+  el('reset-password').value = el('reset-password-confirm').value = '';
+  el('login-email').value = data.email || '';
+  el('login-notice').textContent = 'Password changed — sign in with your new password.';
+  el('login-notice').classList.remove('hidden');
+  showScreen('login');
+  el('login-password').focus();
 });
 
 el('btn-logout').addEventListener('click', async () => {
+  const pending = readOutbox().length;
+  if (pending && !confirm(`${pending} change${pending === 1 ? " hasn't" : "s haven't"} synced yet. They'll sync next time you sign in on this phone. Sign out anyway?`)) {
+    return;
+  }
   await api('POST', '/auth/logout');
+  if (window.caches) await caches.delete(SW_API_CACHE).catch(() => {});
   currentUser = null;
+  el('header-sync').classList.add('hidden');
   el('login-email').value    = '';
   el('login-password').value = '';
   showScreen('login');
@@ -214,6 +554,11 @@ el('btn-logout').addEventListener('click', async () => {
 
 // ── App Init ──────────────────────────────────────────────────────────────────
 async function boot() {
+  if (new URLSearchParams(location.search).has('reset')) {
+    showScreen('reset-password');
+    return;
+  }
+
   const data = await api('GET', '/auth/me');
 
   if (!data || data.error) {
@@ -224,7 +569,6 @@ async function boot() {
   currentUser = data;
 
   if (data.must_change_password) {
-    firstLoginId = data.id;
     showScreen('set-password');
     return;
   }
@@ -246,6 +590,10 @@ function initApp() {
   setupPullToRefresh();
   showScreen('app');
   navigate('dashboard');
+
+  renderSyncStatus();
+  flushOutbox();
+  warmOfflineCache();
 }
 
 // ── Navigation ────────────────────────────────────────────────────────────────
@@ -320,7 +668,7 @@ async function loadDashboard(force = false) {
     return;
   }
 
-  // Invoice cache still warming after server restart — show holding screen and auto-retry
+  // Invoice store still empty (first backfill running) — show holding screen and auto-retry
   if (data.data_loading) {
     page.innerHTML = `
       <div class="page-header">
@@ -330,7 +678,7 @@ async function loadDashboard(force = false) {
       <div class="empty-state">
         <div class="empty-state__icon" style="font-size:2rem;animation:spin 1.5s linear infinite">⟳</div>
         <div class="empty-state__title">Revenue data is loading</div>
-        <div class="empty-state__desc">Fetching 18 months of invoices from Zoho — usually ready within 90 seconds of startup.<br>This page will refresh automatically.</div>
+        <div class="empty-state__desc">Loading invoice history from Zoho for the first time — usually ready within a few minutes.<br>This page will refresh automatically.</div>
         <button class="btn btn--accent mt-4" onclick="loadDashboard(true)">Refresh now</button>
       </div>`;
     // Auto-retry in 30s — cache should be warm by then
@@ -385,6 +733,47 @@ function progressBar(pct, cls) {
   </div>`;
 }
 
+const FORECAST_STATUS = {
+  on_track:  { cls: 'success', label: 'On track' },
+  at_risk:   { cls: 'warning', label: 'At risk' },
+  off_track: { cls: 'danger',  label: 'Off track' },
+};
+
+function forecastBadge(p) {
+  const s = p && FORECAST_STATUS[p.status];
+  return s ? `<span class="pct-badge pct-badge--${s.cls}">${s.label}</span>` : '';
+}
+
+/** Month / quarter / year-end forecast vs target (null outside the month in progress). */
+function forecastCard(f) {
+  if (!f) return '';
+  const m = f.month;
+  const periodRow = (label, p) => `
+    <div class="forecast-row">
+      <span class="forecast-row__label">${label}</span>
+      <span class="fw-bold">${fmt(p.forecast, true)}</span>
+      <span class="text-muted text-sm">${p.target ? `of ${fmt(p.target, true)} · ${p.pct_of_target}%` : 'no target'}</span>
+      ${forecastBadge(p)}
+    </div>`;
+  return `
+    <div class="card">
+      <div class="card__title">Forecast</div>
+      <div class="forecast-hero">
+        <div>
+          <div class="stat-num">${fmt(m.forecast)}</div>
+          <div class="stat-lbl">Month-end${m.target ? ` · ${m.pct_of_target}% of ${fmt(m.target, true)}` : ''}</div>
+        </div>
+        ${forecastBadge(m)}
+      </div>
+      <div class="text-muted text-xs" style="margin:6px 0 var(--space-3);">
+        Likely ${fmt(m.low, true)}–${fmt(m.high, true)} ·
+        ${f.pipeline_available ? `${fmt(m.committed, true)} in open orders` : 'open orders unavailable'}
+      </div>
+      ${periodRow('Quarter', f.quarter)}
+      ${periodRow('Year', f.year)}
+    </div>`;
+}
+
 function freshnessBanner(lastUpdated, lastSyncAt) {
   const syncAge = lastSyncAt
     ? (Date.now() - new Date(lastSyncAt).getTime()) / 60000
@@ -414,6 +803,7 @@ function renderRepDashboard(page, d) {
           <div class="brand-row__meta">
             <span class="fw-bold">${fmt(b.actual, true)}</span>
             <span class="text-muted text-sm">${b.pct_of_total}%</span>
+            ${b.forecast ? `<span class="text-muted text-xs">→ ${fmt(b.forecast.forecast, true)}</span>` : ''}
           </div>
         </div>`).join('')
     : `<p class="text-muted text-sm">Brand breakdown available once SKU prefixes are configured.</p>`;
@@ -472,6 +862,9 @@ function renderRepDashboard(page, d) {
       </div>
     </div>
 
+    <!-- Forecast -->
+    ${forecastCard(d.forecast)}
+
     <!-- YTD -->
     <div class="card">
       <div class="card__title">Year to Date</div>
@@ -566,6 +959,11 @@ function renderTeamDashboard(page, d) {
             ${tgText} territory vs LY
           </div>
           <div class="leader-row__bar">${progressBar(r.percentage, pc)}</div>
+          ${r.forecast ? `
+            <div class="leader-row__forecast text-xs text-muted">
+              Forecast ${fmt(r.forecast.month.forecast, true)}${r.forecast.month.target ? ` · ${r.forecast.month.pct_of_target}%` : ''}
+              ${forecastBadge(r.forecast.month)}
+            </div>` : ''}
         </div>
         <div class="leader-row__nums">
           <div class="leader-row__actual">${fmt(r.actual, true)}</div>
@@ -604,6 +1002,7 @@ function renderTeamDashboard(page, d) {
         <td class="text-right fw-bold">${fmt(b.actual, true)}</td>
         <td class="text-right text-muted">${fmt(b.target, true)}</td>
         <td class="text-right text-${pc}">${b.percentage !== null ? b.percentage + '%' : '—'}</td>
+        ${b.forecast ? `<td class="text-right">${fmt(b.forecast.forecast, true)} ${forecastBadge(b.forecast)}</td>` : ''}
         <td class="text-right">${trendHtml}</td>
       </tr>`;
   }).join('');
@@ -636,6 +1035,9 @@ function renderTeamDashboard(page, d) {
       </div>
     </div>
 
+    <!-- Forecast -->
+    ${forecastCard(d.forecast)}
+
     <!-- Company YTD -->
     <div class="card">
       <div class="card__title">Company YTD</div>
@@ -728,6 +1130,7 @@ function renderTeamDashboard(page, d) {
             <tr>
               <th>Brand</th><th class="text-right">Actual</th>
               <th class="text-right">Target</th><th class="text-right">%</th>
+              ${d.forecast ? '<th class="text-right">Forecast</th>' : ''}
               <th class="text-right">vs Last Mo</th>
             </tr>
           </thead>
@@ -880,6 +1283,7 @@ async function loadVisits() {
           <option value="">All Reps</option>
         </select>
       </div>
+      <div id="verification-wrap"></div>
       <div id="analytics-wrap">
         <div class="skeleton-block"></div>
         <div class="skeleton-block skeleton-block--sm"></div>
@@ -952,6 +1356,7 @@ async function loadRecentVisits() {
             </div>
           </div>
           ${v.note ? `<div class="visit-row__note text-sm text-muted">${escHtml(v.note)}</div>` : ''}
+          ${visitOutcomeChips(v)}
         </div>`;
     }).join('')}`;
 }
@@ -961,6 +1366,7 @@ function openLogVisitModal(preselectedStore) {
   const modal = el('modal-log-visit');
   el('log-visit-search').value = '';
   el('log-visit-note').value   = '';
+  resetVisitOutcomeForm();
   el('log-visit-phase1').classList.remove('hidden');
   el('log-visit-phase2').classList.add('hidden');
   el('log-visit-back').style.visibility = 'hidden';
@@ -983,6 +1389,7 @@ function openLogVisitModal(preselectedStore) {
 function closeLogVisitModal() {
   el('modal-log-visit').classList.add('hidden');
   _logVisitSelected = null;
+  _checkinFix = null;
   _logVisitStoresAll = null;
   clearTimeout(_logVisitDebounce);
 }
@@ -1014,8 +1421,15 @@ async function fetchLogVisitStores(q) {
 
   const url = q.length >= 2 ? `/api/stores?q=${encodeURIComponent(q)}&limit=10`
                              : '/api/stores?limit=30';
-  const stores = await api('GET', url);
-  if (!q) _logVisitStoresAll = stores; // cache unfiltered result
+  let stores = await api('GET', url);
+  if (q && (!stores || stores.error)) {
+    // Offline: search the cached store list instead
+    const all = _logVisitStoresAll || await api('GET', '/api/stores?limit=30');
+    if (Array.isArray(all)) {
+      stores = all.filter(s => s.name.toLowerCase().includes(q.toLowerCase())).slice(0, 10);
+    }
+  }
+  if (!q && Array.isArray(stores)) _logVisitStoresAll = stores; // cache unfiltered result
 
   if (!stores || stores.error || stores.length === 0) {
     list.innerHTML = `<p class="text-muted text-sm" style="padding:var(--space-4);">${q ? 'No stores found.' : 'No stores assigned.'}</p>`;
@@ -1053,9 +1467,141 @@ function selectLogVisitStore(store) {
       </div>
     </div>`;
 
+  loadVisitOutcomeBrands();
+  startCheckinFix();
   el('log-visit-note').focus();
 }
 
+// ── GPS check-in ───────────────────────────────────────────────────
+// The fix is requested when the store is picked so it's usually ready by
+// the time the rep taps Log Visit. No permission or no fix just means the
+// visit is logged unverified.
+
+let _checkinFix = null;   // Promise<location | null>
+
+function startCheckinFix() {
+  _checkinFix = new Promise(resolve => {
+    if (!navigator.geolocation) return resolve(null);
+    navigator.geolocation.getCurrentPosition(
+      pos => resolve({
+        latitude:    pos.coords.latitude,
+        longitude:   pos.coords.longitude,
+        accuracy_m:  Math.round(pos.coords.accuracy),
+        captured_at: new Date(pos.timestamp).toISOString(),
+      }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  });
+}
+
+// Wait at most a few seconds for a fix still in progress.
+function checkinFix() {
+  if (!_checkinFix) return Promise.resolve(null);
+  return Promise.race([_checkinFix, new Promise(resolve => setTimeout(() => resolve(null), 5000))]);
+}
+
+const CHECKIN_FLAG_LABELS = {
+  no_location:     'no location from the device',
+  store_unlocated: 'store has no map location',
+  low_accuracy:    'location too imprecise',
+  stale_location:  'location taken at a different time',
+  late:            'logged more than 4 hours later',
+};
+
+function checkinBadge(v) {
+  if (v.checkin_verified === null || v.checkin_verified === undefined) return '';
+  const reasons = (v.checkin_flags || []).map(f => f === 'far'
+    ? `${(v.checkin_distance_m / 1000).toFixed(1)} km from the store`
+    : CHECKIN_FLAG_LABELS[f] || f);
+  const title = reasons.length ? escHtml(reasons.join(', ')) : 'Checked in at the store';
+  return v.checkin_verified
+    ? `<span class="status-chip status-chip--ok" title="${title}">📍 Verified</span>`
+    : `<span class="status-chip status-chip--overdue" title="${title}">📍 Unverified</span>`;
+}
+
+// ── Visit outcome fields ───────────────────────────────────────────
+// Yes / No toggles start unset; tapping the active button clears it again,
+// so "not recorded" stays distinct from "no".
+
+let _visitOutcomeBrands = null;   // brand names from /api/visits/brands
+
+function toggleValue(groupId) {
+  const active = el(groupId).querySelector('.view-toggle__btn.active');
+  return active ? active.dataset.value === 'true' : null;
+}
+
+['log-visit-order', 'log-visit-merch'].forEach(id => {
+  el(id).addEventListener('click', e => {
+    const btn = e.target.closest('.view-toggle__btn');
+    if (!btn) return;
+    const wasActive = btn.classList.contains('active');
+    el(id).querySelectorAll('.view-toggle__btn').forEach(b => b.classList.remove('active'));
+    if (!wasActive) btn.classList.add('active');
+    if (id === 'log-visit-order') {
+      el('log-visit-order-fields').classList.toggle('hidden', toggleValue(id) !== true);
+    }
+  });
+});
+
+el('log-visit-brands').addEventListener('click', e => {
+  const btn = e.target.closest('.filter-prospect-btn');
+  if (btn) btn.classList.toggle('active');
+});
+
+function resetVisitOutcomeForm() {
+  document.querySelectorAll('#log-visit-order .view-toggle__btn, #log-visit-merch .view-toggle__btn, #log-visit-brands .filter-prospect-btn')
+    .forEach(b => b.classList.remove('active'));
+  el('log-visit-order-fields').classList.add('hidden');
+  ['log-visit-order-value', 'log-visit-so', 'log-visit-competitors', 'log-visit-contact', 'log-visit-follow-up']
+    .forEach(id => { el(id).value = ''; });
+  el('log-visit-follow-up').min = new Date().toLocaleDateString('en-CA', { timeZone: 'Australia/Sydney' });
+}
+
+async function loadVisitOutcomeBrands() {
+  const wrap = el('log-visit-brands');
+  if (_visitOutcomeBrands === null) {
+    const result = await api('GET', '/api/visits/brands');
+    _visitOutcomeBrands = result && !result.error ? result.brands : [];
+  }
+  if (wrap.children.length) return;
+  wrap.innerHTML = _visitOutcomeBrands.length
+    ? _visitOutcomeBrands.map(b => `<button type="button" class="filter-prospect-btn" data-brand="${escHtml(b)}">${escHtml(b)}</button>`).join('')
+    : '<span class="text-sm text-muted">No brands synced from Zoho yet.</span>';
+}
+
+function visitOutcomeBody() {
+  const orderTaken = toggleValue('log-visit-order');
+  const listOf = value => value.split(',').map(b => b.trim()).filter(Boolean);
+  return {
+    order_taken:       orderTaken,
+    order_value:       orderTaken ? (el('log-visit-order-value').value || null) : null,
+    salesorder_number: orderTaken ? (el('log-visit-so').value.trim() || null) : null,
+    merchandised:      toggleValue('log-visit-merch'),
+    brands_discussed:  [...el('log-visit-brands').querySelectorAll('.filter-prospect-btn.active')].map(b => b.dataset.brand),
+    competitor_brands: listOf(el('log-visit-competitors').value),
+    contact_name:      el('log-visit-contact').value.trim() || null,
+    follow_up_date:    el('log-visit-follow-up').value || null,
+  };
+}
+
+// Compact chips for a visit's check-in and recorded outcome (recent visits, store history).
+function visitOutcomeChips(v) {
+  const chips = [checkinBadge(v)].filter(Boolean);
+  if (v.order_taken === true) {
+    const extra = [v.order_value != null ? fmt(v.order_value) : '', v.salesorder_number || ''].filter(Boolean).join(' · ');
+    chips.push(`<span class="status-chip status-chip--ok">Order${extra ? ` ${escHtml(extra)}` : ''}</span>`);
+  } else if (v.order_taken === false) {
+    chips.push('<span class="status-chip status-chip--warn">No order</span>');
+  }
+  if (v.merchandised) chips.push('<span class="status-chip status-chip--never">Merchandised</span>');
+  if (v.brands_discussed?.length) chips.push(`<span class="status-chip status-chip--never">Discussed: ${escHtml(v.brands_discussed.join(', '))}</span>`);
+  if (v.competitor_brands?.length) chips.push(`<span class="status-chip status-chip--overdue">Competitors: ${escHtml(v.competitor_brands.join(', '))}</span>`);
+  if (v.contact_name) chips.push(`<span class="status-chip status-chip--never">Met ${escHtml(v.contact_name)}</span>`);
+  if (v.follow_up_date) chips.push(`<span class="status-chip status-chip--never">Follow up ${new Date(v.follow_up_date + 'T00:00:00').toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })}</span>`);
+  return chips.length ? `<div class="visit-outcome-chips">${chips.join('')}</div>` : '';
+}
+
 el('log-visit-submit').addEventListener('click', async () => {
   if (!_logVisitSelected) return;
   clearError('log-visit-error');
@@ -1066,10 +1612,14 @@ el('log-visit-submit').addEventListener('click', async () => {
   btn.disabled = true;
   btn.textContent = 'Logging…';
 
-  const result = await api('POST', '/api/visits', {
-    store_id: _logVisitSelected.id,
-    note:     note || null,
-  });
+  const location = await checkinFix();
+  const result = await sendOrQueue('POST', '/api/visits', {
+    store_id:   _logVisitSelected.id,
+    note:       note || null,
+    visited_at: new Date().toISOString(),   // keeps the real time if replayed later
+    location,
+    ...visitOutcomeBody(),
+  }, `visit to ${_logVisitSelected.name}`);
 
   btn.disabled = false;
   btn.textContent = 'Log Visit';
@@ -1079,6 +1629,13 @@ el('log-visit-submit').addEventListener('click', async () => {
     return;
   }
 
+  if (result.queued) {
+    const name = _logVisitSelected.name;
+    closeLogVisitModal();
+    toast(`No signal — visit to ${name} saved on this phone and will sync automatically`, null, 6000);
+    return;
+  }
+
   const storeName = result.store_name;
   closeLogVisitModal();
 
@@ -1118,6 +1675,43 @@ async function loadManagerAnalytics(repId) {
 
   _analyticsData = data;
   renderAnalyticsTable(_analyticsData);
+  loadVerificationRates(repId);
+}
+
+// ── Check-in verification per rep (manager) ───────────────────────
+async function loadVerificationRates(repId) {
+  const wrap = el('verification-wrap');
+  if (!wrap) return;
+  const data = await api('GET', `/api/visits/verification?days=30${repId ? `&rep_id=${repId}` : ''}`);
+  if (!data || data.error) {
+    wrap.innerHTML = '';
+    return;
+  }
+  if (data.reps.length === 0) {
+    wrap.innerHTML = '<p class="text-muted text-sm" style="margin-bottom:var(--space-3);">No in-app visits with check-in data in the last 30 days.</p>';
+    return;
+  }
+  wrap.innerHTML = `
+    <div class="section-label">Check-in Verification (Last ${data.days} Days)</div>
+    <div class="table-scroll" style="margin-bottom:var(--space-4);">
+      <table class="analytics-table">
+        <thead>
+          <tr><th>Rep</th><th>Visits</th><th>Verified</th><th>Rate</th><th>Far Away</th><th>Logged Late</th><th>No Location</th></tr>
+        </thead>
+        <tbody>
+          ${data.reps.map(r => `
+            <tr>
+              <td class="fw-bold">${escHtml(r.rep_name)}</td>
+              <td>${r.visits}</td>
+              <td>${r.verified}</td>
+              <td><span class="status-chip status-chip--${r.rate_pct >= 90 ? 'ok' : r.rate_pct >= 70 ? 'warn' : 'overdue'}">${r.rate_pct}%</span></td>
+              <td class="${r.far ? 'text-danger' : 'text-muted'}">${r.far}</td>
+              <td class="${r.late ? 'text-danger' : 'text-muted'}">${r.late}</td>
+              <td class="text-muted">${r.no_location}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
 }
 
 function analyticsRepChanged(repId) {
@@ -1186,6 +1780,11 @@ function renderAnalyticsTable(data) {
             <th onclick="sortAnalytics('days_since_visit')">Last Visit${arrow('days_since_visit')}</th>
             <th onclick="sortAnalytics('days_since_visit')">Days${arrow('days_since_visit')}</th>
             <th>Status</th>
+            <th onclick="sortAnalytics('order_rate_pct')">Order Rate${arrow('order_rate_pct')}</th>
+            <th onclick="sortAnalytics('order_value')">Ordered${arrow('order_value')}</th>
+            <th onclick="sortAnalytics('no_order_streak')">No-Order Run${arrow('no_order_streak')}</th>
+            <th onclick="sortAnalytics('next_follow_up')">Follow Up${arrow('next_follow_up')}</th>
+            <th onclick="sortAnalytics('verified_visits')">Verified${arrow('verified_visits')}</th>
           </tr>
         </thead>
         <tbody>
@@ -1197,6 +1796,11 @@ function renderAnalyticsTable(data) {
               <td class="text-sm">${r.last_visit_at ? new Date(r.last_visit_at).toLocaleDateString('en-AU') : '—'}</td>
               <td class="${visitStatusClass(r.days_since_visit)}">${r.days_since_visit !== null ? r.days_since_visit : '—'}</td>
               <td>${visitStatusChip(r.days_since_visit)}</td>
+              <td class="text-sm">${r.order_rate_pct !== null ? `${r.order_rate_pct}% <span class="text-muted">(${r.orders_taken}/${r.outcome_visits})</span>` : '—'}</td>
+              <td class="text-sm">${r.orders_taken ? fmt(r.order_value) : '—'}</td>
+              <td class="${r.no_order_streak >= 3 ? 'text-danger fw-bold' : ''}">${r.no_order_streak || '—'}</td>
+              <td class="text-sm">${r.next_follow_up ? new Date(r.next_follow_up + 'T00:00:00').toLocaleDateString('en-AU') : '—'}</td>
+              <td class="text-sm">${r.checkin_visits ? `${r.verified_visits}/${r.checkin_visits}` : '—'}</td>
             </tr>`).join('')}
         </tbody>
       </table>
@@ -1205,7 +1809,9 @@ function renderAnalyticsTable(data) {
 
 function exportAnalyticsCSV() {
   if (!_analyticsData.length) return;
-  const headers = ['Store', 'Rep', 'Grade', 'State', 'Last Visit', 'Days Since', 'Status', 'Visit Count'];
+  const headers = ['Store', 'Rep', 'Grade', 'State', 'Last Visit', 'Days Since', 'Status', 'Visit Count',
+                   'Visits With Outcome', 'Orders Taken', 'Order Rate %', 'Order Value', 'Merchandised Visits',
+                   'Visits Without Order', 'Next Follow Up', 'Check-in Visits', 'Verified Visits'];
   const rows = _analyticsData.map(r => [
     csvEsc(r.name), csvEsc(r.rep_name || ''), r.grade || '',
     r.state || '',
@@ -1213,6 +1819,15 @@ function exportAnalyticsCSV() {
     r.days_since_visit ?? '',
     r.days_since_visit === null ? 'Never' : r.days_since_visit <= 30 ? 'OK' : r.days_since_visit <= 60 ? 'Due' : 'Overdue',
     r.visit_count || 0,
+    r.outcome_visits || 0,
+    r.orders_taken || 0,
+    r.order_rate_pct ?? '',
+    r.order_value || 0,
+    r.merchandised_visits || 0,
+    r.no_order_streak || 0,
+    r.next_follow_up || '',
+    r.checkin_visits || 0,
+    r.verified_visits || 0,
   ]);
 
   const csv = [headers, ...rows].map(r => r.join(',')).join('\n');
@@ -1264,6 +1879,7 @@ async function loadStores() {
         <button class="view-toggle__btn ${_storesView === 'list' ? 'active' : ''}" onclick="switchStoresView('list')">Stores</button>
         <button class="view-toggle__btn ${_storesView === 'new-doors' ? 'active' : ''}" onclick="switchStoresView('new-doors')">New Customers</button>
         ${isManager ? `<button class="view-toggle__btn ${_storesView === 'grade-review' ? 'active' : ''}" onclick="switchStoresView('grade-review')">Grade Review</button>` : ''}
+        ${isManager ? `<button class="view-toggle__btn ${_storesView === 'reassign' ? 'active' : ''}" onclick="switchStoresView('reassign')">Reassign</button>` : ''}
       </div>
     </div>
 
@@ -1313,6 +1929,13 @@ async function loadStores() {
         <div class="skeleton-block skeleton-block--sm"></div>
       </div>
     </div>` : ''}
+
+    <!-- Reassign view (managers only) -->
+    ${isManager ? `<div id="reassign-view" class="${_storesView !== 'reassign' ? 'hidden' : ''}">
+      <div id="reassign-content">
+        <div class="skeleton-block"></div>
+      </div>
+    </div>` : ''}
   `;
 
   // Populate rep filter for managers
@@ -1332,6 +1955,8 @@ async function loadStores() {
     loadStoreList();
   } else if (_storesView === 'grade-review') {
     loadGradeReview();
+  } else if (_storesView === 'reassign') {
+    loadReassign();
   } else {
     loadNewDoors(_newDoorsMonth);
   }
@@ -1342,20 +1967,25 @@ function switchStoresView(view) {
   const listView    = el('stores-list-view');
   const doorsView   = el('new-doors-view');
   const gradeView   = el('grade-review-view');
+  const reassignView = el('reassign-view');
   document.querySelectorAll('.view-toggle__btn').forEach(b => {
     const t = b.textContent.trim();
     const isActive = (view === 'list' && t === 'Stores') ||
                      (view === 'new-doors' && t === 'New Customers') ||
-                     (view === 'grade-review' && t === 'Grade Review');
+                     (view === 'grade-review' && t === 'Grade Review') ||
+                     (view === 'reassign' && t === 'Reassign');
     b.classList.toggle('active', isActive);
   });
   listView?.classList.toggle('hidden', view !== 'list');
   doorsView?.classList.toggle('hidden', view !== 'new-doors');
   gradeView?.classList.toggle('hidden', view !== 'grade-review');
+  reassignView?.classList.toggle('hidden', view !== 'reassign');
   if (view === 'list') {
     loadStoreList();
   } else if (view === 'grade-review') {
     loadGradeReview();
+  } else if (view === 'reassign') {
+    loadReassign();
   } else {
     loadNewDoors(_newDoorsMonth);
   }
@@ -1493,6 +2123,7 @@ async function openStoreDetail(storeId) {
           <div class="text-sm fw-bold">${new Date(v.visited_at).toLocaleDateString('en-AU', { day:'numeric', month:'short', year:'numeric' })}</div>
           <div class="text-sm text-muted">${escHtml(v.rep_name)}</div>
           ${v.note ? `<div class="text-sm visit-hist-note">${escHtml(v.note)}</div>` : ''}
+          ${visitOutcomeChips(v)}
         </div>`).join('');
 
   body.innerHTML = `
@@ -1531,6 +2162,11 @@ async function openStoreDetail(storeId) {
         <span class="text-muted text-sm">Last Visit Note</span>
         <span class="text-sm">${data.visit_history[0]?.note ? escHtml(data.visit_history[0].note) : '—'}</span>
       </div>
+      ${data.no_order_streak > 0 ? `
+      <div class="detail-kv-row">
+        <span class="text-muted text-sm">Visits Without Order</span>
+        <span class="text-sm fw-bold ${data.no_order_streak >= 3 ? 'text-danger' : ''}">${data.no_order_streak} in a row</span>
+      </div>` : ''}
       ${['manager','executive'].includes(currentUser.role) && data.is_prospect ? `
       <div class="detail-kv-row" style="margin-top:var(--space-2);padding-top:var(--space-2);border-top:1px solid var(--color-border);">
         <span class="text-muted text-sm">No invoice or visit history</span>
@@ -1577,12 +2213,30 @@ async function openStoreDetail(storeId) {
         </div>`).join('')}
     </div>` : ''}
 
-    <!-- Behaviour (managers only — loaded async) -->
-    <div id="store-behaviour-wrap"></div>`;
+    <!-- Ownership history -->
+    ${data.owner_history && data.owner_history.length > 1 ? `
+    <div class="section-label">Rep History</div>
+    <div class="card" style="padding:var(--space-3);">
+      ${data.owner_history.map(a => `
+        <div class="grade-hist-row">
+          <div class="grade-hist-info">
+            <div class="text-sm">${escHtml(a.rep_name || 'Unassigned')}</div>
+            <div class="text-xs text-muted">
+              ${a.effective_from ? fmtTransferDate(a.effective_from) : 'Before records'} – ${a.effective_to ? fmtTransferDate(a.effective_to) : 'now'}
+              · ${a.source === 'transfer' ? `Reassigned by ${escHtml(a.changed_by_name || 'a manager')}` : a.source === 'zoho_sync' ? 'Changed in Zoho' : 'From Zoho'}
+            </div>
+          </div>
+        </div>`).join('')}
+    </div>` : ''}
+
+    <!-- Behaviour + alert history (managers only — loaded async) -->
+    <div id="store-behaviour-wrap"></div>
+    <div id="store-alerts-wrap"></div>`;
 
-  // Load buying behaviour classification for managers
+  // Load buying behaviour classification and alert history for managers
   if (['manager', 'executive'].includes(currentUser.role)) {
     loadStoreBehaviour(storeId);
+    loadStoreAlertHistory(storeId);
   }
 }
 
@@ -1723,29 +2377,231 @@ function newDoorCard(d) {
 
 // ── Grade Review ──────────────────────────────────────────────────
 
-async function loadGradeReview() {
-  const wrap = el('grade-review-content');
+// ── Reassign stores (territory transfers) ─────────────────────────────────────
+// Filters → preview → apply. Unticking a store in the preview leaves it where
+// it is; the preview re-runs on apply, so what moves is what the server sees.
+
+let _reassignPreview = null;   // last preview body + result
+const fmtTransferDate = d => new Date(d + 'T00:00:00').toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' });
+
+async function loadReassign() {
+  const wrap = el('reassign-content');
   if (!wrap) return;
-  wrap.innerHTML = '<div class="skeleton-block"></div><div class="skeleton-block skeleton-block--sm"></div>';
+  _reassignPreview = null;
+  const today = new Date().toISOString().slice(0, 10);
 
-  const data = await api('GET', '/api/stores/grade-review');
+  const [reps, transfers] = await Promise.all([
+    api('GET', '/api/users?role=rep'),
+    api('GET', '/api/stores/transfers'),
+  ]);
+  const repOptions = Array.isArray(reps)
+    ? reps.filter(r => r.active !== false).map(r => `<option value="${r.id}">${escHtml(r.name)}</option>`).join('')
+    : '';
+
+  wrap.innerHTML = `
+    <div class="card transfer-form">
+      <div class="transfer-form__grid">
+        <div class="form-group">
+          <label class="form-label" for="transfer-states">States</label>
+          <input id="transfer-states" type="text" class="form-input" placeholder="NSW, ACT">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="transfer-postcodes">Postcodes
+            <span class="form-hint">Single postcodes or ranges, e.g. 2000-2099</span>
+          </label>
+          <input id="transfer-postcodes" type="text" class="form-input" placeholder="2000-2099, 2250">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="transfer-channels">Channels</label>
+          <input id="transfer-channels" type="text" class="form-input" placeholder="Pharmacy, Grocery">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="transfer-from-rep">Current Rep</label>
+          <select id="transfer-from-rep" class="form-select"><option value="">Any rep</option>${repOptions}</select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="transfer-to-rep">Move To</label>
+          <select id="transfer-to-rep" class="form-select"><option value="">Choose a rep…</option>${repOptions}</select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="transfer-effective">Effective From
+            <span class="form-hint">Revenue from this date counts for the new rep</span>
+          </label>
+          <input id="transfer-effective" type="date" class="form-input" value="${today}" max="${today}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="transfer-note">Note</label>
+        <input id="transfer-note" type="text" class="form-input" maxlength="500" placeholder="Optional">
+      </div>
+      <label class="transfer-form__check">
+        <input type="checkbox" id="transfer-write-back"> Also update the sales rep in Zoho
+      </label>
+      <div id="transfer-error" class="form-error hidden"></div>
+      <div class="modal__actions">
+        <button class="btn btn--ghost" onclick="previewReassign()">Preview</button>
+      </div>
+    </div>
+    <div id="transfer-preview"></div>
+
+    <div class="section-label">Recent Reassignments</div>
+    ${renderTransferHistory(transfers)}`;
+}
+
+function reassignBody() {
+  const list = id => el(id).value.split(',').map(s => s.trim()).filter(Boolean);
+  return {
+    to_rep_id:      el('transfer-to-rep').value ? parseInt(el('transfer-to-rep').value) : null,
+    from_rep_id:    el('transfer-from-rep').value ? parseInt(el('transfer-from-rep').value) : null,
+    states:         list('transfer-states'),
+    postcodes:      list('transfer-postcodes'),
+    channel_types:  list('transfer-channels'),
+    effective_from: el('transfer-effective').value || undefined,
+    note:           el('transfer-note').value.trim() || null,
+    write_back:     el('transfer-write-back').checked,
+  };
+}
+
+async function previewReassign() {
+  clearError('transfer-error');
+  const body = reassignBody();
+  if (!body.to_rep_id) {
+    showError('transfer-error', 'Choose the rep the stores move to.');
+    return;
+  }
+
+  const wrap = el('transfer-preview');
+  wrap.innerHTML = '<div class="skeleton-block"></div>';
+  const data = await api('POST', '/api/stores/transfers/preview', body);
   if (!data || data.error) {
-    wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Failed to load grade review.</p>';
+    wrap.innerHTML = '';
+    showError('transfer-error', data?.error || 'Failed to preview.');
     return;
   }
+  _reassignPreview = { body, data };
 
-  const { upgrades, downgrades, visit_mismatch, summary } = data;
+  const ACTION_CHIP = {
+    move:      '<span class="status-chip status-chip--ok">Moves</span>',
+    unchanged: '<span class="status-chip status-chip--never">Already theirs</span>',
+    conflict:  '<span class="status-chip status-chip--warn">Changed hands since</span>',
+  };
+  const movable = data.stores.filter(s => s.action === 'move' || s.action === 'excluded');
 
-  function gradeArrow(cur, sug) {
-    const up   = (cur === 'B' && sug === 'A') || (cur === 'C' && sug !== 'C');
-    const down = (cur === 'A' && sug !== 'A') || (cur === 'B' && sug === 'C');
-    return up ? '↑' : down ? '↓' : '→';
+  wrap.innerHTML = !data.stores.length
+    ? '<p class="text-muted" style="padding:16px;">No active stores match those filters.</p>'
+    : `
+      <div class="section-label">${data.counts.move} of ${data.stores.length} stores will move</div>
+      <div class="table-scroll">
+        <table class="analytics-table">
+          <thead><tr><th></th><th>Store</th><th>State</th><th>Postcode</th><th>Channel</th><th>Current Rep</th><th></th></tr></thead>
+          <tbody>
+            ${data.stores.map(s => `
+              <tr>
+                <td>${s.action === 'move' || s.action === 'excluded'
+                  ? `<input type="checkbox" class="transfer-include" value="${s.id}" ${s.action === 'move' ? 'checked' : ''}>`
+                  : ''}</td>
+                <td>${escHtml(s.name)}</td>
+                <td>${escHtml(s.state || '')}</td>
+                <td>${escHtml(s.postcode || '')}</td>
+                <td>${escHtml(s.channel_type || '')}</td>
+                <td>${escHtml(s.rep_name || 'Unassigned')}</td>
+                <td>${ACTION_CHIP[s.action] || ''}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${movable.length ? `
+      <div class="modal__actions">
+        <button class="btn btn--accent" id="transfer-apply-btn" onclick="applyReassign()">Move Stores</button>
+      </div>` : ''}`;
+}
+
+async function applyReassign() {
+  if (!_reassignPreview) return;
+  const excluded = [...document.querySelectorAll('.transfer-include')]
+    .filter(cb => !cb.checked).map(cb => parseInt(cb.value));
+  const moving = document.querySelectorAll('.transfer-include:checked').length;
+  if (!moving) {
+    toast('No stores ticked to move.');
+    return;
   }
+  if (!confirm(`Move ${moving} store${moving === 1 ? '' : 's'}?`)) return;
 
-  function grBadge(g, cls = '') {
-    if (!g) return `<span class="grade-badge grade-badge--c" ${cls}>?</span>`;
-    return `<span class="grade-badge grade-badge--${g.toLowerCase()}" ${cls}>${g}</span>`;
-  }
+  const btn = el('transfer-apply-btn');
+  btn.disabled = true;
+  const result = await api('POST', '/api/stores/transfers', { ..._reassignPreview.body, exclude_store_ids: excluded });
+  btn.disabled = false;
+  if (!result || result.error) {
+    toast(result?.error || 'Failed to move stores.');
+    return;
+  }
+
+  toast(`${result.store_count} store${result.store_count === 1 ? '' : 's'} moved to their new rep`);
+  loadReassign();
+}
+
+function renderTransferHistory(transfers) {
+  if (!Array.isArray(transfers) || !transfers.length) {
+    return '<p class="text-muted" style="padding:16px;">No reassignments yet.</p>';
+  }
+  const ZOHO_CHIP = {
+    pending: '<span class="status-chip status-chip--warn">Updating Zoho</span>',
+    done:    '<span class="status-chip status-chip--ok">Zoho updated</span>',
+    partial: '<span class="status-chip status-chip--warn">Zoho partly updated</span>',
+    failed:  '<span class="status-chip status-chip--overdue">Zoho update failed</span>',
+  };
+  const describe = c => [
+    c.states?.length ? c.states.join(', ') : null,
+    c.postcodes?.length ? c.postcodes.join(', ') : null,
+    c.channel_types?.length ? c.channel_types.join(', ') : null,
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <div class="table-scroll">
+      <table class="analytics-table">
+        <thead><tr><th>Effective</th><th>Stores</th><th>Filters</th><th>From</th><th>To</th><th>By</th><th></th></tr></thead>
+        <tbody>
+          ${transfers.map(t => `
+            <tr>
+              <td>${fmtTransferDate(t.effective_from)}</td>
+              <td class="text-right">${t.store_count}</td>
+              <td>${escHtml(describe(t.criteria) || '—')}${t.note ? `<div class="text-xs text-muted">${escHtml(t.note)}</div>` : ''}</td>
+              <td>${escHtml(t.from_rep_name || 'Any')}</td>
+              <td>${escHtml(t.to_rep_name || '—')}</td>
+              <td>${escHtml(t.created_by_name || '')}</td>
+              <td>${ZOHO_CHIP[t.zoho_writeback] || ''}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+window.previewReassign = previewReassign;
+window.applyReassign   = applyReassign;
+
+async function loadGradeReview() {
+  const wrap = el('grade-review-content');
+  if (!wrap) return;
+  wrap.innerHTML = '<div class="skeleton-block"></div><div class="skeleton-block skeleton-block--sm"></div>';
+
+  const data = await api('GET', '/api/stores/grade-review');
+  if (!data || data.error) {
+    wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Failed to load grade review.</p>';
+    return;
+  }
+
+  const { upgrades, downgrades, visit_mismatch, summary } = data;
+
+  function gradeArrow(cur, sug) {
+    const up   = (cur === 'B' && sug === 'A') || (cur === 'C' && sug !== 'C');
+    const down = (cur === 'A' && sug !== 'A') || (cur === 'B' && sug === 'C');
+    return up ? '↑' : down ? '↓' : '→';
+  }
+
+  function grBadge(g, cls = '') {
+    if (!g) return `<span class="grade-badge grade-badge--c" ${cls}>?</span>`;
+    return `<span class="grade-badge grade-badge--${g.toLowerCase()}" ${cls}>${g}</span>`;
+  }
 
   function grRow(r, showVisit = false) {
     const arrow = gradeArrow(r.current_grade, r.suggested_grade);
@@ -1859,8 +2715,13 @@ async function loadTargets() {
   });
 
   renderTargetGrid(wrap);
+  renderPhasingForm();
   renderBrandTargets();
   loadIncentiveTargets(targetReps);
+  loadIncentivePlans();
+  loadPayoutStatements();
+  loadAlertRules();
+  loadAlertEffectiveness();
 }
 
 function renderTargetGrid(wrap) {
@@ -1987,26 +2848,311 @@ function beginEditCell(cell) {
   });
 }
 
-function renderBrandTargets() {
+/** This year's brand targets by quarter, and whether they add up to the rep targets. */
+async function renderBrandTargets() {
   const wrap = el('brand-targets-list');
+  const year = new Date().getFullYear();
+  const [targets, reconciliation, brands] = await Promise.all([
+    api('GET', '/api/targets/brand'),
+    api('GET', `/api/targets/reconcile?year=${year}`),
+    api('GET', '/api/targets/brands'),
+  ]);
+  if (Array.isArray(brands)) _phasingBrands = brands;
+  const brandName = slug => _phasingBrands?.find(b => b.slug === slug)?.name || slug;
+  if (!Array.isArray(targets)) {
+    wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Failed to load brand targets.</p>';
+    return;
+  }
+
+  const byBrand = {};
+  for (const t of targets.filter(t => t.month.startsWith(`${year}-`))) {
+    const q = Math.floor((parseInt(t.month.slice(5, 7)) - 1) / 3);
+    if (!byBrand[t.brand_slug]) byBrand[t.brand_slug] = [0, 0, 0, 0];
+    byBrand[t.brand_slug][q] += parseFloat(t.amount);
+  }
+  const slugs = Object.keys(byBrand).sort();
+
   wrap.innerHTML = `
-    <div class="card">
-      <p class="text-muted" style="font-size:0.875rem;">Brand target management coming in a later update.</p>
+    <div class="card" style="padding:0;">
+      ${slugs.length ? `
+        <div class="table-scroll">
+          <table class="analytics-table">
+            <thead><tr><th>Brand</th><th>Q1</th><th>Q2</th><th>Q3</th><th>Q4</th><th>${year}</th></tr></thead>
+            <tbody>
+              ${slugs.map(slug => `
+                <tr>
+                  <td>${escHtml(brandName(slug))}</td>
+                  ${byBrand[slug].map(v => `<td>${fmt(v, true)}</td>`).join('')}
+                  <td class="fw-bold">${fmt(byBrand[slug].reduce((a, b) => a + b, 0), true)}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>`
+      : `<p class="text-muted text-sm" style="padding:16px;">No brand targets for ${year} yet. Use Phase Annual Targets above to set them.</p>`}
+    </div>
+    ${reconciliation && !reconciliation.error ? renderReconciliation(reconciliation) : ''}`;
+}
+
+// ── Target phasing wizard ─────────────────────────────────────────────────────
+// Annual or quarterly totals → preview of the monthly split → save. Saving
+// splits again on the server with the same body, so it matches the preview
+// unless invoices or targets changed in between.
+
+let _phasingBrands = null;   // [{ slug, name }] from the Zoho item catalog
+let _phasingBody   = null;   // body of the last preview
+
+const PHASING_SHAPE = {
+  company:  '<span class="status-chip status-chip--warn">Company shape</span>',
+  seasonal: '<span class="status-chip status-chip--never">Template</span>',
+  even:     '<span class="status-chip status-chip--never">Even</span>',
+};
+
+function renderPhasingForm() {
+  const wrap = el('phasing-wrap');
+  if (!wrap) return;
+  _phasingBody = null;
+  const year = new Date().getFullYear();
+
+  wrap.innerHTML = `
+    <div class="card phasing-form">
+      <div class="phasing-form__grid">
+        <div class="form-group">
+          <label class="form-label" for="phasing-kind">Targets For</label>
+          <select id="phasing-kind" class="form-select" onchange="renderPhasingEntries()">
+            <option value="rep">Reps</option>
+            <option value="brand">Brands</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="phasing-year">Year</label>
+          <select id="phasing-year" class="form-select">
+            <option value="${year}">${year}</option>
+            <option value="${year + 1}">${year + 1}</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="phasing-quarter">Period</label>
+          <select id="phasing-quarter" class="form-select">
+            <option value="">Full year</option>
+            <option value="1">Q1 (Jan–Mar)</option>
+            <option value="2">Q2 (Apr–Jun)</option>
+            <option value="3">Q3 (Jul–Sep)</option>
+            <option value="4">Q4 (Oct–Dec)</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="phasing-template">Split By</label>
+          <select id="phasing-template" class="form-select">
+            <option value="prior_year">Last year's sales</option>
+            <option value="seasonal">Seasonal template (Q4 peak)</option>
+            <option value="even">Evenly</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="phasing-company-total">Company Total
+            <span class="form-hint">Optional — checked against the sum of rep targets</span>
+          </label>
+          <input id="phasing-company-total" type="number" class="form-input" min="0" step="1000" inputmode="numeric">
+        </div>
+      </div>
+      <div id="phasing-entries"></div>
+      <div id="phasing-error" class="form-error hidden"></div>
+      <div class="modal__actions">
+        <button class="btn btn--ghost" onclick="previewPhasing()">Preview</button>
+      </div>
+    </div>
+    <div id="phasing-preview"></div>`;
+  renderPhasingEntries();
+}
+
+async function renderPhasingEntries() {
+  const wrap = el('phasing-entries');
+  el('phasing-preview').innerHTML = '';
+  _phasingBody = null;
+
+  let list;
+  if (el('phasing-kind').value === 'rep') {
+    list = targetReps.filter(r => r.active !== false).map(r => ({ id: r.id, name: r.name }));
+  } else {
+    if (!_phasingBrands) {
+      wrap.innerHTML = '<div class="skeleton-block skeleton-block--sm"></div>';
+      const brands = await api('GET', '/api/targets/brands');
+      _phasingBrands = Array.isArray(brands) ? brands : [];
+    }
+    list = _phasingBrands.map(b => ({ id: b.slug, name: b.name }));
+  }
+
+  wrap.innerHTML = list.length
+    ? `<div class="phasing-entries">
+        ${list.map(e => `
+          <label class="phasing-entry">
+            <span class="phasing-entry__name">${escHtml(e.name)}</span>
+            <input type="number" class="form-input phasing-amount" data-id="${escHtml(String(e.id))}"
+              min="0" step="1000" placeholder="—" inputmode="numeric">
+          </label>`).join('')}
+      </div>`
+    : '<p class="text-muted text-sm">Nothing to set targets for yet.</p>';
+}
+
+function phasingBody() {
+  const kind = el('phasing-kind').value;
+  const entries = [...document.querySelectorAll('.phasing-amount')]
+    .filter(input => input.value.trim() !== '')
+    .map(input => kind === 'rep'
+      ? { rep_id: parseInt(input.dataset.id), amount: parseFloat(input.value) }
+      : { brand_slug: input.dataset.id, amount: parseFloat(input.value) });
+  return {
+    kind,
+    year:          parseInt(el('phasing-year').value),
+    quarter:       el('phasing-quarter').value ? parseInt(el('phasing-quarter').value) : null,
+    template:      el('phasing-template').value,
+    entries,
+    company_total: el('phasing-company-total').value.trim() ? parseFloat(el('phasing-company-total').value) : null,
+  };
+}
+
+async function previewPhasing() {
+  clearError('phasing-error');
+  const body = phasingBody();
+  if (!body.entries.length) {
+    showError('phasing-error', `Enter a total for at least one ${body.kind === 'rep' ? 'rep' : 'brand'}.`);
+    return;
+  }
+
+  const wrap = el('phasing-preview');
+  wrap.innerHTML = '<div class="skeleton-block"></div>';
+  const data = await api('POST', '/api/targets/phasing/preview', body);
+  if (!data || data.error) {
+    wrap.innerHTML = '';
+    showError('phasing-error', data?.error || 'Failed to preview.');
+    return;
+  }
+  _phasingBody = body;
+
+  const changes = data.rows.reduce((n, r) => n + r.months.filter(m => m.amount !== m.current).length, 0);
+  const cell = m => `
+    <td>
+      ${fmt(m.amount, true)}
+      ${m.current !== null && m.current !== m.amount ? `<div class="phasing-was">was ${fmt(m.current, true)}</div>` : ''}
+    </td>`;
+
+  wrap.innerHTML = `
+    <div class="section-label">${changes} monthly target${changes === 1 ? '' : 's'} will change</div>
+    <div class="card" style="padding:0;">
+      <div class="table-scroll">
+        <table class="analytics-table">
+          <thead>
+            <tr><th>${body.kind === 'rep' ? 'Rep' : 'Brand'}</th>${data.months.map(m => `<th>${fmtMonth(m)}</th>`).join('')}<th>Total</th></tr>
+          </thead>
+          <tbody>
+            ${data.rows.map(r => `
+              <tr>
+                <td>${escHtml(r.name)} ${PHASING_SHAPE[r.shape] || ''}</td>
+                ${r.months.map(cell).join('')}
+                <td class="fw-bold">${fmt(r.amount, true)}</td>
+              </tr>`).join('')}
+            <tr class="phasing-total">
+              <td>Total</td>
+              ${data.totals.map(t => `<td>${fmt(t.amount, true)}</td>`).join('')}
+              <td>${fmt(data.totals.reduce((s, t) => s + t.amount, 0), true)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+    ${data.rows.some(r => r.shape === 'company') ? `
+      <p class="text-xs text-muted">Company shape: no sales in those months last year, so the split follows the company's.</p>` : ''}
+    ${renderReconciliation(data.reconciliation, 'After saving')}
+    ${changes ? `
+    <div class="modal__actions">
+      <button class="btn btn--accent" id="phasing-save-btn" onclick="savePhasing(${changes})">Save Targets</button>
+    </div>` : ''}`;
+}
+
+async function savePhasing(changes) {
+  if (!_phasingBody) return;
+  if (!confirm(`Save ${changes} monthly target${changes === 1 ? '' : 's'}?`)) return;
+
+  const btn = el('phasing-save-btn');
+  btn.disabled = true;
+  const result = await api('POST', '/api/targets/phasing', _phasingBody);
+  btn.disabled = false;
+  if (!result || result.error) {
+    toast(result?.error || 'Failed to save targets.');
+    return;
+  }
+
+  toast(`${result.saved} monthly target${result.saved === 1 ? '' : 's'} saved`);
+  loadTargets();
+}
+
+/** Rep targets vs brand targets (and the company total, when given) month by month. */
+function renderReconciliation(r, heading = 'Reconciliation') {
+  if (!r) return '';
+  const t = r.totals;
+  const diff = v => Math.abs(v) < 1
+    ? '<span class="text-success">—</span>'
+    : `<span class="text-danger">${v > 0 ? '+' : '−'}${fmt(Math.abs(v), true)}</span>`;
+
+  return `
+    <div class="card" style="padding:0;">
+      <div class="card-header">
+        <span class="card__title" style="margin:0;">${heading}</span>
+        ${r.reconciled
+          ? '<span class="status-chip status-chip--ok">Reconciles</span>'
+          : '<span class="status-chip status-chip--warn">Doesn\'t add up</span>'}
+      </div>
+      <div class="table-scroll">
+        <table class="analytics-table">
+          <thead><tr><th>Month</th><th>Rep targets</th><th>Brand targets</th><th>Reps vs brands</th></tr></thead>
+          <tbody>
+            ${r.months.map(m => `
+              <tr>
+                <td>${fmtMonth(m.month)}</td>
+                <td>${fmt(m.rep_total, true)}</td>
+                <td>${fmt(m.brand_total, true)}</td>
+                <td>${diff(m.difference)}</td>
+              </tr>`).join('')}
+            <tr class="phasing-total">
+              <td>Total</td><td>${fmt(t.rep_total, true)}</td><td>${fmt(t.brand_total, true)}</td><td>${diff(t.rep_vs_brand)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      ${t.company_total !== null ? `
+        <p class="text-sm" style="padding:0 16px 12px;">
+          Company total ${fmt(t.company_total)} · rep targets ${diff(t.rep_vs_company)}
+        </p>` : ''}
     </div>`;
 }
 
+window.renderPhasingEntries = renderPhasingEntries;
+window.previewPhasing       = previewPhasing;
+window.savePhasing          = savePhasing;
+
 // ── Admin / User Management ───────────────────────────────────────────────────
 async function loadAdmin() {
   const list = el('user-list');
   list.innerHTML = '<div class="skeleton-block"></div>';
 
-  const users = await api('GET', '/api/users');
+  const [users, teams] = await Promise.all([api('GET', '/api/users'), api('GET', '/api/teams')]);
   if (!users || users.error) {
     list.innerHTML = '<p class="text-muted">Failed to load users.</p>';
     return;
   }
 
   usersCache = users;
+  teamsCache = teams && !teams.error ? teams : [];
+  renderTeams();
+
+  el('tfa-section').classList.remove('hidden');
+  loadTwoFactorStatus();
+  el('sessions-section').classList.toggle('hidden', currentUser.role !== 'executive');
+  el('audit-section').classList.toggle('hidden', currentUser.role !== 'executive');
+  if (currentUser.role === 'executive') {
+    loadSessions();
+    loadAuditFilters().then(() => loadAuditLog());
+  }
 
   if (users.length === 0) {
     list.innerHTML = `
@@ -2029,26 +3175,263 @@ async function loadAdmin() {
         <div class="user-row__name">${u.name} ${roleBadge(u.role)}</div>
         <div class="user-row__email text-muted text-sm">${u.email}</div>
         ${u.zoho_salesperson_id ? `<div class="user-row__zoho text-sm text-muted">Zoho: ${u.zoho_salesperson_id}</div>` : ''}
+        ${u.home_postcode ? `<div class="text-sm text-muted">Home: ${u.home_postcode}</div>` : ''}
+        ${teamName(u.team_id) ? `<div class="text-sm text-muted">Team: ${escHtml(teamName(u.team_id))}</div>` : ''}
         ${!u.active ? '<div class="text-sm text-danger">Inactive</div>' : ''}
         ${u.must_change_password ? '<div class="text-sm text-warning">Must set password</div>' : ''}
+        ${u.two_factor_enabled ? '<div class="text-sm text-muted">Two-factor on</div>' : ''}
       </div>
       <div class="user-row__actions">
         <button class="btn btn--ghost btn--sm" onclick="openUserModal(${u.id})">Edit</button>
         <button class="btn btn--ghost btn--sm" onclick="resetPassword(${u.id}, '${u.name.replace(/'/g, "\\'")}')">Reset PW</button>
+        ${u.two_factor_enabled && currentUser.role === 'executive' ? `
+          <button class="btn btn--ghost btn--sm" onclick="resetTwoFactor(${u.id}, '${u.name.replace(/'/g, "\\'")}')">Reset 2FA</button>` : ''}
       </div>
     </div>`).join('');
 }
 
+// ── Audit log (executives) ────────────────────────────────────────────────────
+// Every manager / executive change, newest first. Rows expand to show which
+// fields changed between the before and after snapshots.
+
+let _auditEntries = [];
+let _auditTotal   = 0;
+let _auditSearchDebounce = null;
+
+async function loadAuditFilters() {
+  const data = await api('GET', '/api/audit/filters');
+  if (!data || data.error) return;
+  el('audit-user').innerHTML = '<option value="">Everyone</option>' +
+    data.users.map(u => `<option value="${u.id}">${escHtml(u.name)}</option>`).join('');
+  el('audit-entity').innerHTML = '<option value="">All records</option>' +
+    data.entity_types.map(t => `<option value="${escHtml(t)}">${escHtml(t.replace(/_/g, ' '))}</option>`).join('');
+}
+
+function auditSearchChanged() {
+  clearTimeout(_auditSearchDebounce);
+  _auditSearchDebounce = setTimeout(() => loadAuditLog(), 300);
+}
+
+async function loadAuditLog(append = false) {
+  const wrap = el('audit-list');
+  if (!append) wrap.innerHTML = '<div class="skeleton-block"></div>';
+
+  const params = new URLSearchParams({ limit: 50, offset: append ? _auditEntries.length : 0 });
+  const filters = {
+    user_id: el('audit-user').value, entity_type: el('audit-entity').value, action: el('audit-action').value.trim(),
+    from: el('audit-from').value, to: el('audit-to').value, failed: el('audit-failed').checked ? '1' : '',
+  };
+  for (const [k, v] of Object.entries(filters)) if (v) params.set(k, v);
+
+  const data = await api('GET', `/api/audit?${params}`);
+  if (!data || data.error) {
+    wrap.innerHTML = `<p class="text-muted">${escHtml(data?.error || 'Failed to load the audit log.')}</p>`;
+    return;
+  }
+  _auditEntries = append ? _auditEntries.concat(data.entries) : data.entries;
+  _auditTotal   = data.total;
+  renderAuditLog();
+}
+
+/** Fields that differ between two snapshots: [{ field, before, after }]. */
+function auditChanges(before, after) {
+  const fmt = v => v === undefined ? '—' : typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]))
+    .map(k => ({ field: k, before: before ? fmt(before[k]) : '', after: after ? fmt(after[k]) : '' }));
+}
+
+function renderAuditLog() {
+  const wrap = el('audit-list');
+  if (!_auditEntries.length) {
+    wrap.innerHTML = '<p class="text-sm text-muted">Nothing recorded for these filters.</p>';
+    return;
+  }
+
+  const statusChip = s => s >= 400
+    ? `<span class="status-chip status-chip--overdue">${s}</span>`
+    : `<span class="status-chip status-chip--ok">${s}</span>`;
+
+  wrap.innerHTML = `
+    <div class="table-scroll">
+      <table class="analytics-table audit-table">
+        <thead><tr><th>When</th><th>Who</th><th>Action</th><th>Record</th><th>Result</th><th>IP</th></tr></thead>
+        <tbody>
+          ${_auditEntries.map(a => `
+            <tr class="audit-row" onclick="toggleAuditDetail(${a.id})">
+              <td>${new Date(a.created_at).toLocaleString('en-AU', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })}</td>
+              <td>${escHtml(a.user_name || (a.user_id ? `User ${a.user_id}` : 'Not signed in'))}</td>
+              <td><code>${escHtml(a.action)}</code></td>
+              <td>${escHtml([a.entity_type?.replace(/_/g, ' '), a.entity_id].filter(Boolean).join(' #'))}</td>
+              <td>${statusChip(a.status_code)}</td>
+              <td class="text-muted">${escHtml(a.ip || '')}</td>
+            </tr>
+            <tr id="audit-detail-${a.id}" class="audit-detail hidden"><td colspan="6"></td></tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+    ${_auditEntries.length < _auditTotal ? `
+      <button class="btn btn--ghost btn--sm" style="margin-top:var(--space-2);" onclick="loadAuditLog(true)">
+        Show more (${_auditTotal - _auditEntries.length} older)
+      </button>` : ''}`;
+}
+
+function toggleAuditDetail(id) {
+  const row = el(`audit-detail-${id}`);
+  if (!row) return;
+  if (row.classList.toggle('hidden')) return;
+
+  const a = _auditEntries.find(e => e.id === id);
+  const changes = a.before ? auditChanges(a.before, a.after) : null;
+  row.firstElementChild.innerHTML = changes
+    ? (changes.length
+      ? `<table class="audit-diff">
+          <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+          <tbody>${changes.map(c => `
+            <tr><td>${escHtml(c.field)}</td><td>${escHtml(c.before)}</td><td>${escHtml(c.after)}</td></tr>`).join('')}
+          </tbody>
+        </table>`
+      : '<p class="text-sm text-muted">No fields changed.</p>')
+    : `<pre class="audit-json">${escHtml(a.after ? JSON.stringify(a.after, null, 2) : 'No details recorded.')}</pre>`;
+}
+
+window.loadAuditLog       = loadAuditLog;
+window.auditSearchChanged = auditSearchChanged;
+window.toggleAuditDetail  = toggleAuditDetail;
+
+// ── Teams ─────────────────────────────────────────────────────────────────────
+// Managers see the teams they run; executives see and edit every team.
+
+function teamName(teamId) {
+  return teamsCache.find(t => t.id === teamId)?.name || null;
+}
+
+function renderTeams() {
+  const isExec = currentUser.role === 'executive';
+  el('team-section').classList.toggle('hidden', !isExec && !teamsCache.length);
+  el('btn-add-team').classList.toggle('hidden', !isExec);
+
+  const wrap = el('team-list');
+  if (!teamsCache.length) {
+    wrap.innerHTML = '<p class="text-sm text-muted">No teams yet — every manager sees every rep until the first team is set up.</p>';
+    return;
+  }
+
+  wrap.innerHTML = `
+    <div class="table-scroll">
+      <table class="analytics-table">
+        <thead>
+          <tr><th>Team</th><th>States</th><th>Manager</th><th>Reps</th>${isExec ? '<th></th>' : ''}</tr>
+        </thead>
+        <tbody>
+          ${teamsCache.map(t => `
+            <tr>
+              <td>${escHtml(t.name)}</td>
+              <td>${t.states.length ? escHtml(t.states.join(', ')) : '<span class="text-muted">—</span>'}</td>
+              <td>${t.manager_name ? escHtml(t.manager_name) : '<span class="status-chip status-chip--warn">No manager</span>'}</td>
+              <td title="${escHtml(t.members.map(m => m.name).join(', '))}">${t.members.length}</td>
+              ${isExec ? `
+                <td style="white-space:nowrap;">
+                  <button class="btn btn--ghost btn--sm" onclick="openTeamForm(${t.id})">Edit</button>
+                  <button class="btn btn--ghost btn--sm" onclick="deleteTeam(${t.id})">Delete</button>
+                </td>` : ''}
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+function openTeamForm(teamId) {
+  const team = teamId ? teamsCache.find(t => t.id === teamId) : null;
+  const managers = usersCache.filter(u => u.role === 'manager' && u.active);
+
+  el('team-form-id').value     = team?.id || '';
+  el('team-form-name').value   = team?.name || '';
+  el('team-form-states').value = team ? team.states.join(', ') : '';
+  el('team-form-manager').innerHTML = '<option value="">No manager</option>' +
+    managers.map(m => `<option value="${m.id}">${escHtml(m.name)}</option>`).join('');
+  el('team-form-manager').value = team?.manager_id || '';
+  el('team-form-submit').textContent = team ? 'Save Team' : 'Add Team';
+  clearError('team-form-error');
+
+  el('form-team').classList.remove('hidden');
+  el('team-form-name').focus();
+}
+
+function closeTeamForm() {
+  el('form-team').classList.add('hidden');
+}
+
+el('form-team').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('team-form-error');
+
+  const teamId = el('team-form-id').value;
+  const body = {
+    name:       el('team-form-name').value.trim(),
+    states:     el('team-form-states').value.split(',').map(s => s.trim()).filter(Boolean),
+    manager_id: el('team-form-manager').value ? parseInt(el('team-form-manager').value) : null,
+  };
+  if (!body.name) {
+    showError('team-form-error', 'Team name is required.');
+    return;
+  }
+
+  const btn = el('team-form-submit');
+  btn.disabled = true;
+  const result = await api(teamId ? 'PATCH' : 'POST', teamId ? `/api/teams/${teamId}` : '/api/teams', body);
+  btn.disabled = false;
+
+  if (!result || result.error) {
+    showError('team-form-error', result?.error || 'Failed to save team.');
+    return;
+  }
+
+  closeTeamForm();
+  toast(teamId ? 'Team updated.' : `Team "${result.name}" created. Add reps to it from their user settings.`);
+  loadAdmin();
+});
+
+async function deleteTeam(teamId) {
+  const team = teamsCache.find(t => t.id === teamId);
+  if (!team) return;
+  const members = team.members.length ? `\nIts ${team.members.length} rep(s) will be left without a team.` : '';
+  if (!confirm(`Delete the ${team.name} team?${members}`)) return;
+
+  const result = await api('DELETE', `/api/teams/${teamId}`);
+  if (!result || result.error) {
+    toast(result?.error || 'Failed to delete team.');
+    return;
+  }
+  toast(`${team.name} deleted.`);
+  loadAdmin();
+}
+
 // ── User Modal ────────────────────────────────────────────────────────────────
 el('btn-add-user').addEventListener('click', () => openUserModal(null));
 
+/** Team select: only for reps, and only once teams exist. */
+function syncUserTeamField() {
+  const show = teamsCache.length > 0 && el('user-form-role').value === 'rep';
+  el('user-form-team-group').classList.toggle('hidden', !show);
+}
+
+el('user-form-role').addEventListener('change', syncUserTeamField);
+
 function openUserModal(userId) {
   el('user-form-id').value         = userId || '';
   el('user-form-name').value       = '';
   el('user-form-email').value      = '';
   el('user-form-role').value       = 'rep';
   el('user-form-zoho').value       = '';
+  el('user-form-home').value       = '';
   el('user-form-email').disabled   = false;
+  // Executives can leave a rep without a team; other managers pick one of theirs
+  el('user-form-team').innerHTML =
+    (currentUser.role === 'executive' || !teamsCache.length ? '<option value="">No team</option>' : '') +
+    teamsCache.map(t => `<option value="${t.id}">${escHtml(t.name)}</option>`).join('');
+  el('user-form-team').value = teamsCache.length === 1 && currentUser.role !== 'executive' ? teamsCache[0].id : '';
   el('modal-user-title').textContent = userId ? 'Edit User' : 'Add User';
   clearError('user-form-error');
 
@@ -2060,10 +3443,13 @@ function openUserModal(userId) {
       el('user-form-email').value = u.email;
       el('user-form-role').value  = u.role;
       el('user-form-zoho').value  = u.zoho_salesperson_id || '';
+      el('user-form-home').value  = u.home_postcode || '';
+      el('user-form-team').value  = u.team_id || '';
       el('user-form-email').disabled = true; // Email is identity
     }
   }
 
+  syncUserTeamField();
   el('modal-user').classList.remove('hidden');
   el('user-form-name').focus();
 }
@@ -2087,11 +3473,15 @@ el('form-user').addEventListener('submit', async e => {
     name:               el('user-form-name').value.trim(),
     role:               el('user-form-role').value,
     zoho_salesperson_id: el('user-form-zoho').value.trim() || null,
+    home_postcode:      el('user-form-home').value.trim() || null,
   };
 
   if (!userId) {
     body.email = el('user-form-email').value.trim();
   }
+  if (!el('user-form-team-group').classList.contains('hidden')) {
+    body.team_id = el('user-form-team').value ? parseInt(el('user-form-team').value) : null;
+  }
 
   if (!body.name || (!userId && !body.email)) {
     showError('user-form-error', 'Name and email are required.');
@@ -2130,51 +3520,209 @@ async function resetPassword(userId, name) {
   loadAdmin();
 }
 
-// ── Alert rendering ───────────────────────────────────────────────────────────
+async function resetTwoFactor(userId, name) {
+  if (!confirm(`Reset ${name}'s two-factor sign-in?\nUse this when they've lost their phone and recovery codes. They'll be signed out everywhere and set it up again next time they sign in.`)) return;
 
-const ALERT_TYPE_LABELS = {
-  a_grade_visit_breach: 'A-Grade Visit Breach',
-  high_value_unvisited: 'High-Value Unvisited',
-  churn_risk:           'Churn Risk',
-  sku_gap:              'SKU Gap',
-  rep_activity_drop:    'Rep Activity Drop',
-  store_outperforming:  'Outperforming Store',
-  new_door_high_value:  'New Customer',
-  brand_underindex:     'Brand Under-Index',
-  focus_line:           'Focus Line',
-};
+  const result = await api('POST', `/api/users/${userId}/reset-2fa`);
+  if (!result || result.error) {
+    toast(result?.error || 'Failed to reset two-factor sign-in.');
+    return;
+  }
+  toast(`Two-factor reset for ${name}.`);
+  loadAdmin();
+}
+window.resetTwoFactor = resetTwoFactor;
 
-// Renders alert cards into the #alerts-container div (already in DOM).
-// Called by loadDashboardAlerts() after the dashboard has rendered.
-function renderAlertsSection(alerts) {
-  const container = el('alerts-container');
-  if (!container) return;
+// ── Your two-factor sign-in ───────────────────────────────────────────────────
 
-  if (!Array.isArray(alerts) || alerts.length === 0) {
-    const isManager = currentUser && ['manager', 'executive'].includes(currentUser.role);
-    const runBtn    = isManager
-      ? `<button class="btn btn--ghost btn--sm" onclick="runAlerts()">Run Alert Engine</button>` : '';
-    container.innerHTML = `
-      <div class="section-label" style="margin-top:var(--space-4);">Alerts ${runBtn}</div>
-      <p class="text-muted text-sm" style="padding:0 4px;">No active alerts.</p>`;
+async function loadTwoFactorStatus() {
+  const wrap = el('tfa-status');
+  const data = await api('GET', '/auth/2fa');
+  if (!data || data.error) {
+    wrap.innerHTML = `<p class="text-muted">${escHtml(data?.error || 'Failed to load two-factor status.')}</p>`;
+    return;
+  }
+  if (!data.enabled) {
+    wrap.innerHTML = '<p class="text-sm text-muted">Not set up yet — you\'ll be asked to at your next sign-in.</p>';
     return;
   }
 
-  const tier1 = alerts.filter(a => a.tier === 1);
-  const tier2 = alerts.filter(a => a.tier === 2);
-
-  const renderCard = (a) => {
-    const typeLabel  = ALERT_TYPE_LABELS[a.alert_type] || a.alert_type;
-    const isManager  = currentUser && ['manager', 'executive'].includes(currentUser.role);
-    const repLine    = isManager && a.rep_name
-      ? `<span class="alert-card__rep">${escHtml(a.rep_name)}</span>` : '';
-    const storeLine  = a.store_name
-      ? `<span class="alert-card__store" onclick="openStoreDetail(${a.store_id})">${escHtml(a.store_name)}${a.store_grade ? ` <span class="grade-badge grade-badge--${a.store_grade.toLowerCase()}">${a.store_grade}</span>` : ''}</span>` : '';
-    const riskLine   = a.revenue_at_risk
-      ? `<span class="alert-card__risk">At risk: ${fmt(a.revenue_at_risk)}</span>` : '';
-    const upliftLine = a.estimated_uplift
-      ? `<span class="alert-card__uplift">Uplift: ${fmt(a.estimated_uplift)}</span>` : '';
-    const metaLine   = [riskLine, upliftLine].filter(Boolean).join(' · ');
+  const left = data.recovery_codes_left;
+  wrap.innerHTML = `
+    <p class="text-sm">
+      On since ${new Date(data.enabled_at).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}.
+      <span class="status-chip status-chip--${left > 2 ? 'ok' : 'warn'}">${left} recovery code${left === 1 ? '' : 's'} left</span>
+    </p>
+    ${data.trusted_devices ? `<p class="text-sm text-muted">${data.trusted_devices} remembered device${data.trusted_devices === 1 ? '' : 's'} skip the code.</p>` : ''}
+    <div id="tfa-new-codes"></div>
+    <div class="tfa-status__actions">
+      <input id="tfa-regen-code" type="text" class="form-input filter-search" inputmode="numeric"
+             autocomplete="one-time-code" placeholder="Code from your app">
+      <button class="btn btn--ghost btn--sm" onclick="newRecoveryCodes()">New Recovery Codes</button>
+      ${data.trusted_devices ? '<button class="btn btn--ghost btn--sm" onclick="forgetTrustedDevices()">Forget Remembered Devices</button>' : ''}
+    </div>`;
+}
+
+async function newRecoveryCodes() {
+  const code = el('tfa-regen-code').value.trim();
+  if (!code) {
+    toast('Enter the current code from your authenticator app first.');
+    el('tfa-regen-code').focus();
+    return;
+  }
+  const data = await api('POST', '/auth/2fa/recovery-codes', { code });
+  if (!data || data.error) {
+    toast(data?.error || 'Failed to create recovery codes.');
+    return;
+  }
+  await loadTwoFactorStatus();
+  showRecoveryCodes(el('tfa-new-codes'), data.recovery_codes);
+  el('tfa-new-codes').insertAdjacentHTML('afterbegin',
+    '<p class="text-sm text-warning">Your old codes no longer work. Save these — they won\'t be shown again.</p>');
+}
+
+async function forgetTrustedDevices() {
+  if (!confirm('Ask for a code again on every device you told to remember you, including this one?')) return;
+  const data = await api('POST', '/auth/2fa/forget-devices');
+  if (!data || data.error) {
+    toast(data?.error || 'Failed to forget devices.');
+    return;
+  }
+  toast(`Forgot ${data.forgotten} device${data.forgotten === 1 ? '' : 's'}.`);
+  loadTwoFactorStatus();
+}
+
+window.newRecoveryCodes     = newRecoveryCodes;
+window.forgetTrustedDevices = forgetTrustedDevices;
+
+// ── Active sessions (executives) ──────────────────────────────────────────────
+
+const TWO_FACTOR_LABELS = { totp: 'Code', recovery: 'Recovery code', device: 'Remembered device', none: 'Not required' };
+
+/** 'Mozilla/5.0 (iPhone; …) … Safari/604.1' → 'Safari on iPhone' */
+function describeUserAgent(ua) {
+  if (!ua) return '—';
+  const browser = /Edg\//.test(ua) ? 'Edge' : /Chrome\//.test(ua) ? 'Chrome' : /Firefox\//.test(ua) ? 'Firefox'
+    : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+  const device = /iPhone/.test(ua) ? 'iPhone' : /iPad/.test(ua) ? 'iPad' : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows' : /Mac OS X/.test(ua) ? 'Mac' : /Linux/.test(ua) ? 'Linux' : null;
+  return device ? `${browser} on ${device}` : browser;
+}
+
+async function loadSessions() {
+  const wrap = el('sessions-list');
+  wrap.innerHTML = '<div class="skeleton-block"></div>';
+  const sessions = await api('GET', '/api/sessions');
+  if (!sessions || sessions.error) {
+    wrap.innerHTML = `<p class="text-muted">${escHtml(sessions?.error || 'Failed to load sessions.')}</p>`;
+    return;
+  }
+  if (!sessions.length) {
+    wrap.innerHTML = '<p class="text-sm text-muted">No one is signed in.</p>';
+    return;
+  }
+
+  const when = d => d ? new Date(d).toLocaleString('en-AU', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' }) : '—';
+  wrap.innerHTML = `
+    <div class="table-scroll">
+      <table class="analytics-table">
+        <thead><tr><th>Who</th><th>Device</th><th>IP</th><th>Signed in</th><th>Last active</th><th>2FA</th><th></th></tr></thead>
+        <tbody>
+          ${sessions.map(s => `
+            <tr>
+              <td>${escHtml(s.user_name || `User ${s.user_id}`)} <span class="text-muted text-sm">${escHtml(s.role || '')}</span></td>
+              <td title="${escHtml(s.user_agent || '')}">${escHtml(describeUserAgent(s.user_agent))}</td>
+              <td class="text-muted">${escHtml(s.ip || '—')}</td>
+              <td>${when(s.signed_in_at)}</td>
+              <td>${when(s.last_active_at)}</td>
+              <td>${escHtml(TWO_FACTOR_LABELS[s.two_factor] || '—')}</td>
+              <td>${s.current
+                ? '<span class="status-chip status-chip--ok">This session</span>'
+                : `<button class="btn btn--ghost btn--sm" onclick="revokeSession('${s.id}', '${escHtml((s.user_name || '').replace(/'/g, "\\'"))}')">Sign Out</button>`}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+async function revokeSession(id, name) {
+  if (!confirm(`Sign ${name || 'this user'} out of this session?`)) return;
+  const result = await api('DELETE', `/api/sessions/${id}`);
+  if (!result || result.error) {
+    toast(result?.error || 'Failed to sign the session out.');
+    return;
+  }
+  toast(`Signed ${name || 'the user'} out.`);
+  loadSessions();
+}
+
+window.revokeSession = revokeSession;
+
+// ── Alert rendering ───────────────────────────────────────────────────────────
+
+const ALERT_TYPE_LABELS = {
+  a_grade_visit_breach: 'A-Grade Visit Breach',
+  high_value_unvisited: 'High-Value Unvisited',
+  churn_risk:           'Churn Risk',
+  sku_gap:              'SKU Gap',
+  rep_activity_drop:    'Rep Activity Drop',
+  no_order_streak:      'Visits Without Order',
+  store_outperforming:  'Outperforming Store',
+  new_door_high_value:  'New Customer',
+  brand_underindex:     'Brand Under-Index',
+  focus_line:           'Focus Line',
+  grade_change:         'Grade Change',
+  customer_lapsed:      'Customer Lapsed',
+};
+
+// Extra line for alerts whose detail lists several brands / lines.
+function alertDetailLine(a) {
+  const d = a.alert_detail || {};
+  if (a.alert_type === 'brand_underindex' && Array.isArray(d.brands)) {
+    return d.brands.slice(0, 3)
+      .map(b => `${escHtml(b.brand)} ${b.store_share_pct}% vs ${b.peer_share_pct}% ${b.benchmark} avg`)
+      .join(' · ');
+  }
+  if (a.alert_type === 'focus_line' && Array.isArray(d.missing_lines)) {
+    return 'Not ranged: ' + d.missing_lines.map(m => escHtml(m.name)).join(', ');
+  }
+  return '';
+}
+
+// Renders alert cards into the #alerts-container div (already in DOM).
+// Called by loadDashboardAlerts() after the dashboard has rendered.
+function renderAlertsSection(alerts) {
+  const container = el('alerts-container');
+  if (!container) return;
+
+  if (!Array.isArray(alerts) || alerts.length === 0) {
+    const isManager = currentUser && ['manager', 'executive'].includes(currentUser.role);
+    const runBtn    = isManager
+      ? `<button class="btn btn--ghost btn--sm" onclick="runAlerts()">Run Alert Engine</button>` : '';
+    container.innerHTML = `
+      <div class="section-label" style="margin-top:var(--space-4);">Alerts ${runBtn}</div>
+      <p class="text-muted text-sm" style="padding:0 4px;">No active alerts.</p>`;
+    return;
+  }
+
+  const tier1 = alerts.filter(a => a.tier === 1);
+  const tier2 = alerts.filter(a => a.tier === 2);
+
+  const renderCard = (a) => {
+    const typeLabel  = ALERT_TYPE_LABELS[a.alert_type] || a.alert_type;
+    const isManager  = currentUser && ['manager', 'executive'].includes(currentUser.role);
+    const repLine    = isManager && a.rep_name
+      ? `<span class="alert-card__rep">${escHtml(a.rep_name)}</span>` : '';
+    const storeLine  = a.store_name
+      ? `<span class="alert-card__store" onclick="openStoreDetail(${a.store_id})">${escHtml(a.store_name)}${a.store_grade ? ` <span class="grade-badge grade-badge--${a.store_grade.toLowerCase()}">${a.store_grade}</span>` : ''}</span>` : '';
+    const riskLine   = a.revenue_at_risk
+      ? `<span class="alert-card__risk">At risk: ${fmt(a.revenue_at_risk)}</span>` : '';
+    const upliftLine = a.estimated_uplift
+      ? `<span class="alert-card__uplift">Uplift: ${fmt(a.estimated_uplift)}</span>` : '';
+    const metaLine   = [riskLine, upliftLine].filter(Boolean).join(' · ');
+    const detailLine = alertDetailLine(a);
+    const assignLine = a.assigned_to_name
+      ? `<div class="alert-card__assignee">Assigned to ${escHtml(a.assigned_to_name)}</div>` : '';
 
     return `
       <div class="alert-card alert-card--tier${a.tier}" data-alert-id="${a.id}">
@@ -2183,8 +3731,13 @@ function renderAlertsSection(alerts) {
           <div class="alert-card__title">${escHtml(a.alert_title)}</div>
           ${storeLine || repLine ? `<div class="alert-card__meta">${storeLine}${repLine}</div>` : ''}
           ${metaLine ? `<div class="alert-card__numbers">${metaLine}</div>` : ''}
+          ${detailLine ? `<div class="text-sm text-muted">${detailLine}</div>` : ''}
+          ${assignLine}
+        </div>
+        <div class="alert-card__actions">
+          <button class="alert-card__ack" onclick="ackAlert(${a.id})" title="Acknowledge">✓</button>
+          <button class="alert-card__ack alert-card__more" onclick="openAlertActionModal(${a.id})" title="Resolve, snooze or reassign">⋯</button>
         </div>
-        <button class="alert-card__ack" onclick="ackAlert(${a.id})" title="Acknowledge">✓</button>
       </div>`;
   };
 
@@ -2214,9 +3767,12 @@ function renderAlertsSection(alerts) {
     ${tier1Html}${tier2Html}`;
 }
 
+let _dashboardAlerts = [];
+
 async function loadDashboardAlerts() {
   const alerts = await api('GET', '/api/alerts?limit=20');
-  renderAlertsSection(Array.isArray(alerts) ? alerts : []);
+  _dashboardAlerts = Array.isArray(alerts) ? alerts : [];
+  renderAlertsSection(_dashboardAlerts);
 }
 
 async function ackAlert(alertId) {
@@ -2230,6 +3786,12 @@ async function ackAlert(alertId) {
     return;
   }
 
+  removeAlertCard(alertId);
+}
+
+// Drop a card from the dashboard list once it's resolved / snoozed / handed off.
+function removeAlertCard(alertId) {
+  const card = document.querySelector(`[data-alert-id="${alertId}"]`);
   if (card) card.remove();
 
   // Remove empty group labels
@@ -2243,6 +3805,100 @@ async function ackAlert(alertId) {
   }
 }
 
+// ── Alert Action Modal (resolve / snooze / reassign) ─────────────────────────
+
+let _alertAssignees = null;
+
+async function openAlertActionModal(alertId) {
+  const alert = _dashboardAlerts.find(a => a.id === alertId);
+  if (!alert) return;
+
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+  const nextWeek = new Date(Date.now() + 7 * 86400000).toISOString().slice(0, 10);
+
+  el('alert-action-id').value                   = alertId;
+  el('modal-alert-action-title').textContent    = alert.alert_title;
+  el('alert-action-kind').value                 = 'resolve';
+  el('alert-action-outcome').value              = 'visited';
+  el('alert-action-note').value                 = '';
+  el('alert-action-until').min                  = tomorrow;
+  el('alert-action-until').value                = nextWeek;
+  clearError('alert-action-error');
+  alertActionKindChanged();
+  el('modal-alert-action').classList.remove('hidden');
+
+  if (!_alertAssignees) {
+    const users = await api('GET', '/api/alerts/assignees');
+    _alertAssignees = Array.isArray(users) ? users : [];
+  }
+  const currentAssignee = alert.assigned_to ?? alert.rep_id;
+  el('alert-action-user').innerHTML = _alertAssignees
+    .filter(u => u.id !== currentAssignee)
+    .map(u => `<option value="${u.id}">${escHtml(u.name)}</option>`).join('');
+}
+
+function closeAlertActionModal() {
+  el('modal-alert-action').classList.add('hidden');
+}
+
+function alertActionKindChanged() {
+  const kind = el('alert-action-kind').value;
+  el('alert-action-resolve').classList.toggle('hidden', kind !== 'resolve');
+  el('alert-action-snooze').classList.toggle('hidden', kind !== 'snooze');
+  el('alert-action-assign').classList.toggle('hidden', kind !== 'assign');
+}
+
+el('modal-alert-action-close').addEventListener('click', closeAlertActionModal);
+el('modal-alert-action-cancel').addEventListener('click', closeAlertActionModal);
+el('modal-alert-action-backdrop').addEventListener('click', closeAlertActionModal);
+el('alert-action-kind').addEventListener('change', alertActionKindChanged);
+
+el('form-alert-action').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('alert-action-error');
+
+  const alertId = parseInt(el('alert-action-id').value, 10);
+  const kind    = el('alert-action-kind').value;
+  let path, body, done;
+
+  if (kind === 'resolve') {
+    path = `/api/alerts/${alertId}/resolve`;
+    body = { outcome: el('alert-action-outcome').value, note: el('alert-action-note').value.trim() || null };
+    done = 'Alert resolved.';
+  } else if (kind === 'snooze') {
+    const until = el('alert-action-until').value;
+    if (!until) { showError('alert-action-error', 'Pick a date.'); return; }
+    path = `/api/alerts/${alertId}/snooze`;
+    body = { until };
+    done = `Alert snoozed until ${new Date(until).toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })}.`;
+  } else {
+    const userId = el('alert-action-user').value;
+    if (!userId) { showError('alert-action-error', 'Pick someone to assign it to.'); return; }
+    path = `/api/alerts/${alertId}/assign`;
+    body = { user_id: parseInt(userId, 10) };
+    done = `Alert assigned to ${el('alert-action-user').selectedOptions[0].textContent}.`;
+  }
+
+  const btn = el('alert-action-submit');
+  btn.disabled = true;
+  btn.textContent = 'Saving…';
+  const result = await api('POST', path, body);
+  btn.disabled = false;
+  btn.textContent = 'Save';
+
+  if (!result || result.error) {
+    showError('alert-action-error', result?.error || 'Failed to update alert.');
+    return;
+  }
+
+  closeAlertActionModal();
+  toast(done);
+  // Managers still see a reassigned alert (with its new owner); reps don't
+  const isManager = ['manager', 'executive'].includes(currentUser.role);
+  if (kind === 'assign' && isManager) loadDashboardAlerts();
+  else removeAlertCard(alertId);
+});
+
 async function runAlerts() {
   toast('Running alert engine…', null, 60000);
   const result = await api('POST', '/api/alerts/run');
@@ -2286,13 +3942,13 @@ async function runGrading() {
 }
 
 async function refreshInvoiceCache() {
-  toast('Clearing invoice cache and requesting fresh Zoho data…', null, 90000);
+  toast('Requesting a full re-sync of invoices from Zoho…', null, 90000);
   const result = await api('POST', '/api/debug/cache-refresh');
   if (!result || result.error) {
     toast(result?.error || 'Cache refresh failed.');
     return;
   }
-  toast('Cache cleared. Zoho re-fetch started in background (~60s). Dashboard will reload automatically.', null, 65000);
+  toast('Zoho re-sync started in background (~60s). Dashboard will reload automatically.', null, 65000);
   // Reload dashboard after 65s to pick up fresh data
   setTimeout(() => loadDashboard(true), 65000);
 }
@@ -2338,6 +3994,10 @@ async function loadProducts() {
     <div id="products-wrap">
       <div class="skeleton-block"></div>
       <div class="skeleton-block skeleton-block--sm"></div>
+    </div>
+    <div class="section-label" style="margin-top:var(--space-6);">Focus Lines</div>
+    <div id="focus-lines-wrap">
+      <div class="skeleton-block skeleton-block--sm"></div>
     </div>`;
 
   _productsRepFilter = ''; _productsGradeFilter = ''; _productsChannelFilter = '';
@@ -2353,6 +4013,7 @@ async function loadProducts() {
   }
 
   fetchProductsData();
+  loadFocusLines();
 }
 
 function productsFilterChanged(key, value) {
@@ -2422,6 +4083,137 @@ async function fetchProductsData() {
     </div>`;
 }
 
+// ── Focus lines ────────────────────────────────────────────────────
+// Brands / SKUs being pushed for a date range. Stores that haven't ranged a
+// current line get a focus_line alert on the next alert engine run.
+
+let _focusLines = { lines: [], brands: [] };
+
+async function loadFocusLines() {
+  const wrap = el('focus-lines-wrap');
+  if (!wrap) return;
+  const data = await api('GET', '/api/products/focus-lines');
+  if (!data || data.error) {
+    wrap.innerHTML = '<p class="text-muted" style="padding:var(--space-4);">Failed to load focus lines.</p>';
+    return;
+  }
+  _focusLines = data;
+  renderFocusLines();
+}
+
+function focusLineStatus(line) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (line.starts_on > today) return { label: 'Upcoming', cls: 'tg-badge--muted' };
+  if (line.ends_on && line.ends_on < today) return { label: 'Ended', cls: 'tg-badge--muted' };
+  return { label: 'Current', cls: 'tg-badge--success' };
+}
+
+function renderFocusLines() {
+  const wrap = el('focus-lines-wrap');
+  if (!wrap) return;
+  const { lines, brands } = _focusLines;
+  const fmtDay = d => d ? new Date(d + 'T00:00:00').toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' }) : 'open-ended';
+
+  const rows = lines.length === 0
+    ? '<p class="text-muted text-sm" style="padding:var(--space-3);">No focus lines yet.</p>'
+    : lines.map(l => {
+        const status = focusLineStatus(l);
+        const name   = l.label || (l.kind === 'brand' ? l.brand : l.sku);
+        const target = l.kind === 'brand' ? `Brand: ${l.brand}` : `SKU: ${l.sku}`;
+        return `
+          <div class="user-row card">
+            <div class="user-row__info">
+              <div class="user-row__name">${escHtml(name)} <span class="tg-badge ${status.cls}">${status.label}</span></div>
+              <div class="text-sm text-muted">${escHtml(target)} · ${fmtDay(l.starts_on)} – ${fmtDay(l.ends_on)}</div>
+            </div>
+            <div class="user-row__actions">
+              ${status.label === 'Current' ? `<button class="btn btn--ghost btn--sm" onclick="endFocusLine(${l.id})">End today</button>` : ''}
+              <button class="btn btn--ghost btn--sm" onclick="deleteFocusLine(${l.id})">Remove</button>
+            </div>
+          </div>`;
+      }).join('');
+
+  wrap.innerHTML = `
+    <div class="card">
+      <div class="filter-row" style="flex-wrap:wrap;">
+        <select id="focus-form-kind" class="form-select filter-select" onchange="focusKindChanged()">
+          <option value="brand">Brand</option>
+          <option value="sku">SKU</option>
+        </select>
+        <select id="focus-form-brand" class="form-select filter-select">
+          ${brands.map(b => `<option value="${escHtml(b)}">${escHtml(b)}</option>`).join('')}
+        </select>
+        <input id="focus-form-sku" type="text" class="form-input hidden" placeholder="SKU or Zoho item ID" style="width:auto;">
+        <input id="focus-form-label" type="text" class="form-input" placeholder="Label (optional)" style="width:auto;">
+      </div>
+      <div class="filter-row" style="flex-wrap:wrap;align-items:center;">
+        <label class="text-sm text-muted" for="focus-form-start">From</label>
+        <input id="focus-form-start" type="date" class="form-input" style="width:auto;" value="${new Date().toISOString().slice(0, 10)}">
+        <label class="text-sm text-muted" for="focus-form-end">To</label>
+        <input id="focus-form-end" type="date" class="form-input" style="width:auto;">
+        <button class="btn btn--accent btn--sm" onclick="addFocusLine()">Add focus line</button>
+      </div>
+      <div id="focus-form-error" class="form-error hidden"></div>
+    </div>
+    ${rows}`;
+
+  // No brand catalog from Zoho yet — fall back to SKU entry
+  if (brands.length === 0) { el('focus-form-kind').value = 'sku'; focusKindChanged(); }
+}
+
+function focusKindChanged() {
+  const isBrand = el('focus-form-kind').value === 'brand';
+  el('focus-form-brand').classList.toggle('hidden', !isBrand);
+  el('focus-form-sku').classList.toggle('hidden', isBrand);
+}
+
+async function addFocusLine() {
+  clearError('focus-form-error');
+  const kind = el('focus-form-kind').value;
+  const body = {
+    kind,
+    brand:     kind === 'brand' ? el('focus-form-brand').value : null,
+    sku:       kind === 'sku'   ? el('focus-form-sku').value.trim() : null,
+    label:     el('focus-form-label').value.trim() || null,
+    starts_on: el('focus-form-start').value || null,
+    ends_on:   el('focus-form-end').value || null,
+  };
+  if ((kind === 'brand' && !body.brand) || (kind === 'sku' && !body.sku)) {
+    showError('focus-form-error', kind === 'brand' ? 'Pick a brand.' : 'Enter a SKU.');
+    return;
+  }
+
+  const result = await api('POST', '/api/products/focus-lines', body);
+  if (!result || result.error) {
+    showError('focus-form-error', result?.error || 'Failed to add focus line.');
+    return;
+  }
+  _focusLines.lines.unshift(result);
+  renderFocusLines();
+  toast('Focus line added.');
+}
+
+async function endFocusLine(lineId) {
+  const today  = new Date().toISOString().slice(0, 10);
+  const result = await api('PATCH', `/api/products/focus-lines/${lineId}`, { ends_on: today });
+  if (!result || result.error) { toast(result?.error || 'Failed to end focus line.'); return; }
+  _focusLines.lines = _focusLines.lines.map(l => l.id === lineId ? result : l);
+  renderFocusLines();
+}
+
+async function deleteFocusLine(lineId) {
+  if (!confirm('Remove this focus line?')) return;
+  const result = await api('DELETE', `/api/products/focus-lines/${lineId}`);
+  if (!result || result.error) { toast(result?.error || 'Failed to remove focus line.'); return; }
+  _focusLines.lines = _focusLines.lines.filter(l => l.id !== lineId);
+  renderFocusLines();
+}
+
+window.focusKindChanged = focusKindChanged;
+window.addFocusLine     = addFocusLine;
+window.endFocusLine     = endFocusLine;
+window.deleteFocusLine  = deleteFocusLine;
+
 function reorderPillClass(rate) {
   if (rate === null || rate === undefined) return 'reorder-pill--low';
   if (rate >= 70) return 'reorder-pill--high';
@@ -2533,11 +4325,55 @@ async function loadStoreBehaviour(storeId) {
     </div>`;
 }
 
+const ALERT_STATUS_LABELS = { open: 'Open', snoozed: 'Snoozed', resolved: 'Resolved' };
+
+function alertEventLine(e, outcomes) {
+  const d    = e.detail || {};
+  const who  = e.user_name || 'System';
+  const when = new Date(e.created_at).toLocaleDateString('en-AU', { day: 'numeric', month: 'short' });
+  let what;
+  if (e.event === 'snoozed')            what = `snoozed until ${new Date(d.until).toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })}`;
+  else if (e.event === 'woken')         what = 'snooze ended';
+  else if (e.event === 'assigned')      what = `assigned to ${escHtml(e.to_user_name || 'someone')}`;
+  else if (e.event === 'resolved')      what = `resolved — ${escHtml(outcomes[d.outcome] || d.outcome)}${d.note ? `: ${escHtml(d.note)}` : ''}`;
+  else if (e.event === 'auto_resolved') what = d.outcome === 'ordered'
+    ? `auto-resolved — order ${escHtml(d.invoice_number || '')}`.trim()
+    : 'auto-resolved — visit logged';
+  else what = escHtml(e.event);
+  return `<li>${when} · ${escHtml(who)} ${what}</li>`;
+}
+
+async function loadStoreAlertHistory(storeId) {
+  const wrap = el('store-alerts-wrap');
+  if (!wrap) return;
+
+  const data = await api('GET', `/api/alerts/store/${storeId}/history`);
+  if (!data || data.error || !data.alerts.length) return; // Supplementary — stay quiet
+
+  wrap.innerHTML = `
+    <div class="section-label" style="margin-top:var(--space-4);">Alert History</div>
+    <div class="card" style="padding:var(--space-3);">
+      ${data.alerts.map(a => `
+        <div class="alert-hist-row">
+          <div class="text-sm fw-bold">${escHtml(a.alert_title)}</div>
+          <div class="text-xs text-muted">
+            <span class="alert-hist-status alert-hist-status--${a.status}">${ALERT_STATUS_LABELS[a.status] || a.status}</span>
+            ${ALERT_TYPE_LABELS[a.alert_type] || escHtml(a.alert_type)}
+            · raised ${new Date(a.triggered_at).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}
+            ${a.rep_name ? `· ${escHtml(a.rep_name)}` : ''}
+          </div>
+          ${a.events.length ? `<ul class="alert-hist-events">${a.events.map(e => alertEventLine(e, data.outcomes)).join('')}</ul>` : ''}
+        </div>`).join('')}
+    </div>`;
+}
+
 // ═══════════════════════════════════════════════════════════════════
 //  SCOREBOARD
 // ═══════════════════════════════════════════════════════════════════
 
-async function loadScoreboard() {
+let _scoreboardBadges = [];
+
+async function loadScoreboard(month) {
   const page = el('page-scoreboard');
   page.innerHTML = `
     <div class="page-header">
@@ -2547,7 +4383,7 @@ async function loadScoreboard() {
     <div class="skeleton-block"></div>
     <div class="skeleton-block skeleton-block--sm"></div>`;
 
-  const data = await api('GET', '/api/scoreboard');
+  const data = await api('GET', month ? `/api/scoreboard?month=${month}` : '/api/scoreboard');
   if (!data || data.error) {
     page.innerHTML = `
       <div class="page-header"><h1 class="page-title">Scoreboard</h1></div>
@@ -2560,16 +4396,31 @@ async function loadScoreboard() {
   }
 
   const { reps } = data;
+  const live = !month;
+
+  // ▲2 / ▼1 since the month before; nothing when there's no earlier snapshot
+  function moveBadge(moved) {
+    if (moved === null || moved === undefined) return '';
+    if (moved === 0) return '<span class="score-move score-move--same" title="Same as last month">–</span>';
+    return moved > 0
+      ? `<span class="score-move score-move--up" title="Up ${moved} since last month">▲${moved}</span>`
+      : `<span class="score-move score-move--down" title="Down ${-moved} since last month">▼${-moved}</span>`;
+  }
 
   function scoreSection(title, metric, rankKey, fmtFn, subtitle) {
     const sorted = [...reps].sort((a, b) => (a[rankKey] || 99) - (b[rankKey] || 99));
     const rows = sorted.map((r, i) => {
       const val = r[metric];
       const displayVal = (val === null || val === undefined) ? '—' : fmtFn(val);
+      const streak = r.streaks.find(st => st.metric === metric);
       return `
         <div class="score-row${i === 0 ? ' score-row--top' : ''}">
           <div class="score-row__rank${i === 0 ? ' score-row__rank--gold' : ''}">${i + 1}</div>
-          <div class="score-row__name">${escHtml(r.name)}</div>
+          <div class="score-row__name">
+            ${escHtml(r.name)}
+            ${streak ? `<span class="score-streak">🔥 ${streak.months} months top</span>` : ''}
+          </div>
+          ${moveBadge(r.movement[metric])}
           <div class="score-row__val">${displayVal}</div>
         </div>`;
     }).join('');
@@ -2581,24 +4432,207 @@ async function loadScoreboard() {
       </div>`;
   }
 
+  const badgeRows = reps.filter(r => r.badges.length).map(r => `
+    <div class="score-row">
+      <div class="score-row__name">${escHtml(r.name)}</div>
+      <div class="score-badges">
+        ${r.badges.map(b => `<span class="score-badge" title="${escHtml(`${b.name} — ${b.description}${b.period ? ` (${b.period})` : ''}`)}">${escHtml(b.icon)}</span>`).join('')}
+      </div>
+    </div>`).join('');
+
+  const months = data.snapshot_months;
+  const note = live
+    ? 'Rolling 12 months'
+    : `12 months to ${fmtMonthLong(data.month)}${data.source === 'live' ? ' · not snapshotted' : ''}`;
+
   page.innerHTML = `
     <div class="page-header">
       <h1 class="page-title">Scoreboard</h1>
-      <span class="page-subtitle">Rolling 12 months</span>
+      <span class="page-subtitle">${note}</span>
     </div>
+    ${months.length ? `
+      <select class="form-select" style="width:auto;" onchange="loadScoreboard(this.value || undefined)">
+        <option value="">This month (live)</option>
+        ${months.map(m => `<option value="${m}" ${m === month ? 'selected' : ''}>${fmtMonthLong(m)}</option>`).join('')}
+      </select>` : ''}
     ${scoreSection('Revenue per Visit', 'revPerVisit', 'revPerVisitRank', v => fmt(v, true), 'Total revenue ÷ visits logged')}
     ${scoreSection('Territory Growth', 'growthPct', 'growthPctRank', v => `${v >= 0 ? '+' : ''}${v}%`, 'H2 vs H1 of the 12-month window')}
-    ${scoreSection('New Customers This Month', 'newDoors', 'newDoorsRank', v => String(v), 'First-ever invoiced customers in this calendar month')}
-    ${scoreSection('Reactivation Revenue', 'reactivationPct', 'reactivationPctRank', v => `${v}%`, 'Revenue from stores re-engaging after a 3-month gap')}`;
+    ${scoreSection(live ? 'New Customers This Month' : 'New Customers', 'newDoors', 'newDoorsRank', v => String(v), `First-ever invoiced customers in ${live ? 'this calendar month' : fmtMonthLong(data.month)}`)}
+    ${scoreSection('Reactivation Revenue', 'reactivationPct', 'reactivationPctRank', v => `${v}%`, 'Revenue from stores re-engaging after a 3-month gap')}
+    <div class="section-label" style="margin-top:var(--space-4);">Badges</div>
+    <div class="card" style="padding:0;overflow:hidden;">
+      ${badgeRows ? `<div class="score-list">${badgeRows}</div>` : '<p class="text-muted" style="padding:16px;">No badges earned yet.</p>'}
+      <div id="scoreboard-badges-wrap"></div>
+    </div>`;
+
+  loadScoreboardBadges();
+}
+
+// ── Badges (list for everyone, set up by executives) ──────────────
+
+const BADGE_KIND_LABELS = {
+  new_door_value: 'New door first order ($)',
+  quarter_visits: 'Visits in a quarter',
+  top_streak:     'Months running at the top',
+};
+const SCOREBOARD_METRICS = [
+  { key: 'revPerVisit',     label: 'Revenue per Visit' },
+  { key: 'growthPct',       label: 'Territory Growth' },
+  { key: 'newDoors',        label: 'New Doors' },
+  { key: 'reactivationPct', label: 'Reactivation Revenue' },
+];
+
+async function loadScoreboardBadges() {
+  const wrap = el('scoreboard-badges-wrap');
+  if (!wrap) return;
+  const badges = await api('GET', '/api/scoreboard/badges');
+  if (!badges || badges.error) { wrap.innerHTML = ''; return; }
+  _scoreboardBadges = badges;
+  const canEdit = currentUser?.role === 'executive';
+
+  wrap.innerHTML = `
+    <div class="score-subtitle">How to earn them</div>
+    <div class="score-list">
+      ${badges.filter(b => b.active || canEdit).map(b => `
+        <div class="score-row">
+          <span class="score-badge">${escHtml(b.icon)}</span>
+          <div class="score-row__name">
+            ${escHtml(b.name)}
+            ${b.active ? '' : '<span class="status-chip status-chip--never">Off</span>'}
+            <div class="text-sm text-muted">${escHtml(b.description)} · earned by ${b.earned_by}</div>
+          </div>
+          ${canEdit ? `<button class="btn btn--ghost btn--sm" onclick="openBadgeForm(${b.id})">Edit</button>` : ''}
+        </div>`).join('')}
+    </div>
+    ${canEdit ? `
+      <div style="padding:var(--space-3);">
+        <button class="btn btn--ghost btn--sm" onclick="openBadgeForm()">New Badge</button>
+      </div>
+      <div id="badge-form"></div>` : ''}`;
+}
+
+function openBadgeForm(badgeId) {
+  const wrap = el('badge-form');
+  if (!wrap) return;
+  const b = _scoreboardBadges.find(x => x.id === badgeId) || {
+    name: '', icon: '🏅', kind: 'quarter_visits', threshold: '', metric: null, active: true,
+  };
+
+  wrap.innerHTML = `
+    <div class="card phasing-form">
+      <div class="phasing-form__grid">
+        <div class="form-group">
+          <label class="form-label" for="badge-name">Name</label>
+          <input id="badge-name" type="text" class="form-input" maxlength="100" value="${escHtml(b.name)}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="badge-icon">Icon</label>
+          <input id="badge-icon" type="text" class="form-input" maxlength="16" value="${escHtml(b.icon)}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="badge-kind">Earned For</label>
+          <select id="badge-kind" class="form-select" onchange="el('badge-metric-group').classList.toggle('hidden', this.value !== 'top_streak')">
+            ${Object.entries(BADGE_KIND_LABELS).map(([k, label]) => `<option value="${k}" ${k === b.kind ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="badge-threshold">Threshold
+            <span class="form-hint">Dollars, visits or months</span>
+          </label>
+          <input id="badge-threshold" type="number" class="form-input" min="1" value="${b.threshold}">
+        </div>
+        <div id="badge-metric-group" class="form-group${b.kind === 'top_streak' ? '' : ' hidden'}">
+          <label class="form-label" for="badge-metric">Top On</label>
+          <select id="badge-metric" class="form-select">
+            ${SCOREBOARD_METRICS.map(m => `<option value="${m.key}" ${m.key === b.metric ? 'selected' : ''}>${m.label}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <label class="transfer-form__check">
+        <input type="checkbox" id="badge-active" ${b.active ? 'checked' : ''}> Active — turning it off hides it, reps keep what they earned
+      </label>
+      <div id="badge-error" class="form-error hidden"></div>
+      <div class="modal__actions">
+        <button class="btn btn--ghost" onclick="closeBadgeForm()">Cancel</button>
+        <button id="badge-save-btn" class="btn btn--primary" onclick="saveBadge(${badgeId ?? 'null'})">Save Badge</button>
+      </div>
+    </div>`;
+}
+
+function closeBadgeForm() {
+  el('badge-form').innerHTML = '';
+}
+
+async function saveBadge(badgeId) {
+  clearError('badge-error');
+  const kind = el('badge-kind').value;
+  const body = {
+    name:      el('badge-name').value.trim(),
+    icon:      el('badge-icon').value.trim(),
+    kind,
+    threshold: el('badge-threshold').value === '' ? null : Number(el('badge-threshold').value),
+    metric:    kind === 'top_streak' ? el('badge-metric').value : null,
+    active:    el('badge-active').checked,
+  };
+
+  const btn = el('badge-save-btn');
+  btn.disabled = true;
+  const badge = await api(badgeId ? 'PUT' : 'POST', badgeId ? `/api/scoreboard/badges/${badgeId}` : '/api/scoreboard/badges', body);
+  btn.disabled = false;
+  if (!badge || badge.error) {
+    showError('badge-error', badge?.error || 'Failed to save badge.');
+    return;
+  }
+  toast(`${badge.name} saved`);
+  loadScoreboard();
 }
 
 // ── CSV Import ────────────────────────────────────────────────────────────────
 
-let _importFile = null;
+let _importFile      = null;
+let _importProfiles  = [];
+let _importOverrides = {};   // review key → store id (0 = skip those rows)
+let _importEditingId = null; // profile open in the editor, null = new
+
+const IMPORT_FIELD_LABELS = {
+  date:       'Date',
+  time:       'Time',
+  store_id:   'Zoho store ID',
+  store_name: 'Store name',
+  postcode:   'Postcode',
+  rep_code:   'Rep code',
+  rep_name:   'Rep name',
+  visit_type: 'Visit type',
+  note:       'Note',
+};
+
+const IMPORT_SKIP_LABELS = {
+  account_filtered:    ['muted', 'outside account prefix'],
+  no_store_match:      ['warn',  'store not found'],
+  needs_review:        ['warn',  'awaiting store review'],
+  skipped_by_reviewer: ['muted', 'skipped in review'],
+  no_rep:              ['warn',  'rep not matched'],
+  bad_date:            ['warn',  'bad date/time'],
+};
 
-function openImportModal() {
+async function openImportModal() {
   resetImportModal();
   el('modal-import').classList.remove('hidden');
+
+  const [profiles, reps] = await Promise.all([
+    api('GET', '/api/visits/import/profiles'),
+    api('GET', '/api/users?role=rep'),
+  ]);
+  _importProfiles = profiles && !profiles.error ? profiles : [];
+  renderImportProfileOptions();
+
+  const repSel = el('import-rep');
+  repSel.innerHTML = '<option value="">None — skip those rows</option>';
+  if (reps && !reps.error) reps.forEach(r => {
+    const o = document.createElement('option');
+    o.value = r.id; o.textContent = r.name;
+    repSel.appendChild(o);
+  });
 }
 
 function closeImportModal() {
@@ -2607,33 +4641,182 @@ function closeImportModal() {
 
 function resetImportModal() {
   _importFile = null;
+  _importOverrides = {};
   el('import-file-input').value = '';
   el('import-file-name').textContent = '';
+  el('import-preview-btn').disabled = true;
   el('import-step-preview').classList.add('hidden');
   el('import-step-result').classList.add('hidden');
   el('import-step-pick').classList.remove('hidden');
+  el('import-history').classList.remove('hidden');
   el('import-error').classList.add('hidden');
+  el('import-header-list').innerHTML = '';
+  closeImportProfileEditor();
+  loadImportHistory();
+}
+
+function renderImportProfileOptions(selectId) {
+  const sel = el('import-profile');
+  const current = selectId || sel.value;
+  sel.innerHTML = _importProfiles.length
+    ? _importProfiles.map(p => `<option value="${p.id}">${escHtml(p.name)}</option>`).join('')
+    : '<option value="">No profiles — create one</option>';
+  if (current && _importProfiles.some(p => String(p.id) === String(current))) sel.value = current;
+  updateImportPreviewBtn();
+}
+
+function updateImportPreviewBtn() {
+  el('import-preview-btn').disabled = !_importFile || !el('import-profile').value;
 }
 
-async function importFileSelected() {
+function importFileSelected() {
   const input = el('import-file-input');
   if (!input.files || !input.files[0]) return;
   _importFile = input.files[0];
+  _importOverrides = {};
   el('import-file-name').textContent = _importFile.name + ' (' + (_importFile.size / 1024).toFixed(0) + ' KB)';
+  updateImportPreviewBtn();
+  if (!el('import-profile-editor').classList.contains('hidden')) loadImportHeaders();
+}
 
-  // Show loading state
-  el('import-step-pick').classList.add('hidden');
-  el('import-step-preview').classList.remove('hidden');
-  el('import-parse-stats').innerHTML = '<div class="skeleton-block skeleton-block--sm"></div>';
-  el('import-preview-table').innerHTML = '';
-  el('import-run-btn').disabled = true;
+// ── Profile editor ──
 
-  // Upload for preview
+function openImportProfileEditor(editExisting) {
+  const profile = editExisting
+    ? _importProfiles.find(p => String(p.id) === el('import-profile').value)
+    : null;
+  if (editExisting && !profile) return;
+  _importEditingId = profile ? profile.id : null;
+
+  el('import-pf-name').value        = profile ? profile.name : '';
+  el('import-pf-header-row').value  = profile ? profile.header_row : 1;
+  el('import-pf-date-format').value = profile ? profile.date_format : 'DMY';
+  el('import-pf-timezone').value    = profile ? profile.timezone : 'Australia/Sydney';
+  el('import-pf-prefix').value      = profile?.account_prefix || '';
+  el('import-pf-phone').value       = (profile ? profile.phone_values : ['phone']).join(', ');
+  el('import-pf-delete').classList.toggle('hidden', !profile);
+  el('import-pf-error').classList.add('hidden');
+
+  const columns = profile ? profile.columns : {};
+  el('import-pf-columns').innerHTML = Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => `
+    <label class="form-label" for="import-pf-col-${field}">${label}${field === 'date' ? ' *' : ''}</label>
+    <input id="import-pf-col-${field}" class="form-input" list="import-header-list"
+           value="${escHtml(columns[field] || '')}" placeholder="Not in file">`).join('');
+
+  el('import-profile-editor').classList.remove('hidden');
+  loadImportHeaders();
+}
+
+function closeImportProfileEditor() {
+  el('import-profile-editor').classList.add('hidden');
+  _importEditingId = null;
+}
+
+async function loadImportHeaders() {
+  if (!_importFile) return;
   const form = new FormData();
   form.append('csv', _importFile);
+  form.append('header_row', el('import-pf-header-row').value || '1');
+  try {
+    const res  = await fetch('/api/visits/import/headers', { method: 'POST', body: form, credentials: 'same-origin' });
+    const data = await res.json();
+    if (!res.ok || data.error) return;
+    el('import-header-list').innerHTML = data.headers
+      .map((h, i) => h
+        ? `<option value="${escHtml(h)}">#${i + 1}</option>`
+        : `<option value="#${i + 1}">(blank header)</option>`)
+      .join('');
+  } catch (err) {
+    console.error('Import headers error:', err);
+  }
+}
+
+async function saveImportProfile() {
+  const columns = {};
+  Object.keys(IMPORT_FIELD_LABELS).forEach(field => {
+    const v = el(`import-pf-col-${field}`).value.trim();
+    if (v) columns[field] = v;
+  });
+  const body = {
+    name:           el('import-pf-name').value.trim(),
+    header_row:     parseInt(el('import-pf-header-row').value) || 1,
+    date_format:    el('import-pf-date-format').value,
+    timezone:       el('import-pf-timezone').value.trim() || 'Australia/Sydney',
+    account_prefix: el('import-pf-prefix').value.trim() || null,
+    phone_values:   el('import-pf-phone').value.split(',').map(v => v.trim()).filter(Boolean),
+    columns,
+  };
+
+  const result = _importEditingId
+    ? await api('PUT', `/api/visits/import/profiles/${_importEditingId}`, body)
+    : await api('POST', '/api/visits/import/profiles', body);
+  if (!result || result.error) {
+    el('import-pf-error').textContent = result?.error || 'Failed to save profile.';
+    el('import-pf-error').classList.remove('hidden');
+    return;
+  }
+
+  _importProfiles = _importProfiles.filter(p => p.id !== result.id).concat(result)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  renderImportProfileOptions(result.id);
+  closeImportProfileEditor();
+  toast('Import profile saved');
+}
+
+async function deleteImportProfile() {
+  if (!_importEditingId) return;
+  const profile = _importProfiles.find(p => p.id === _importEditingId);
+  if (!confirm(`Delete the import profile "${profile ? profile.name : ''}"?`)) return;
+  const result = await api('DELETE', `/api/visits/import/profiles/${_importEditingId}`);
+  if (!result || result.error) {
+    el('import-pf-error').textContent = result?.error || 'Failed to delete profile.';
+    el('import-pf-error').classList.remove('hidden');
+    return;
+  }
+  _importProfiles = _importProfiles.filter(p => p.id !== _importEditingId);
+  renderImportProfileOptions();
+  closeImportProfileEditor();
+}
+
+el('import-profile').addEventListener('change', () => {
+  _importOverrides = {};
+  updateImportPreviewBtn();
+});
+
+// ── Preview, review and run ──
+
+function importForm() {
+  const form = new FormData();
+  form.append('csv', _importFile);
+  form.append('profile_id', el('import-profile').value);
+  if (el('import-rep').value) form.append('rep_id', el('import-rep').value);
+  if (Object.keys(_importOverrides).length) form.append('store_overrides', JSON.stringify(_importOverrides));
+  return form;
+}
+
+function importSkipPills(skipped, suffix) {
+  return Object.entries(skipped || {}).map(([reason, n]) => {
+    const [tone, label] = IMPORT_SKIP_LABELS[reason] || ['muted', reason];
+    return `<span class="import-stat import-stat--${tone}">${n.toLocaleString()} ${label}${suffix || ''}</span>`;
+  }).join('');
+}
+
+async function previewImport() {
+  if (!_importFile || !el('import-profile').value) return;
+
+  // Show loading state
+  el('import-step-pick').classList.add('hidden');
+  el('import-history').classList.add('hidden');
+  el('import-step-preview').classList.remove('hidden');
+  el('import-error').classList.add('hidden');
+  el('import-previous').classList.add('hidden');
+  el('import-parse-stats').innerHTML = '<div class="skeleton-block skeleton-block--sm"></div>';
+  el('import-review').classList.add('hidden');
+  el('import-preview-table').innerHTML = '';
+  el('import-run-btn').disabled = true;
 
   try {
-    const res = await fetch('/api/visits/import/preview', { method: 'POST', body: form, credentials: 'same-origin' });
+    const res = await fetch('/api/visits/import/preview', { method: 'POST', body: importForm(), credentials: 'same-origin' });
     const data = await res.json();
     if (!res.ok || data.error) {
       el('import-parse-stats').innerHTML = '';
@@ -2645,39 +4828,45 @@ async function importFileSelected() {
     // Stats bar
     el('import-parse-stats').innerHTML = `
       <div class="import-stats">
-        <span class="import-stat import-stat--muted">${data.totalRows.toLocaleString()} rows</span>
-        <span class="import-stat import-stat--ok">${data.validRows.toLocaleString()} valid</span>
-        ${data.nonZoho   ? `<span class="import-stat import-stat--muted">${data.nonZoho.toLocaleString()} non-Zoho skipped</span>` : ''}
-        ${data.noStore   ? `<span class="import-stat import-stat--warn">${data.noStore.toLocaleString()} store not found</span>` : ''}
-        ${data.noRep     ? `<span class="import-stat import-stat--warn">${data.noRep.toLocaleString()} rep not matched</span>` : ''}
-        ${data.badDate   ? `<span class="import-stat import-stat--warn">${data.badDate.toLocaleString()} bad date</span>` : ''}
+        <span class="import-stat import-stat--muted">${data.total_rows.toLocaleString()} rows</span>
+        <span class="import-stat import-stat--ok">${data.valid_rows.toLocaleString()} valid</span>
+        ${importSkipPills(data.skipped)}
       </div>`;
 
+    // Same file already imported — usually a mistake, but duplicates are skipped anyway
+    if (data.previous_import) {
+      const prev = data.previous_import;
+      el('import-previous').textContent =
+        `This file was already imported on ${new Date(prev.created_at).toLocaleDateString('en-AU')}` +
+        ` by ${prev.uploaded_by_name || 'someone'} (${prev.imported.toLocaleString()} visits). Matching rows will be skipped as duplicates.`;
+      el('import-previous').classList.remove('hidden');
+    }
+
+    renderImportReview(data.review);
+
     // Preview table
     if (data.preview && data.preview.length > 0) {
       el('import-preview-table').innerHTML = `
         <thead>
           <tr>
-            <th>Date</th><th>Start</th><th>Account</th>
-            <th>Rep</th><th>Type</th><th>Note</th>
+            <th>Visited</th><th>Store</th><th>Rep</th><th>Type</th><th>Note</th>
           </tr>
         </thead>
         <tbody>
           ${data.preview.map(r => `
             <tr>
-              <td>${r.date}</td>
-              <td>${r.start}</td>
-              <td title="${r.account}">${r.account.slice(-6)}</td>
-              <td>${r.rep_code}</td>
-              <td>${r.category}</td>
-              <td title="${r.note}">${r.note ? r.note.slice(0, 40) + (r.note.length > 40 ? '…' : '') : ''}</td>
+              <td title="CSV line ${r.line}">${new Date(r.visited_at).toLocaleString('en-AU', { timeZone: 'Australia/Sydney', dateStyle: 'short', timeStyle: 'short' })}</td>
+              <td title="${escHtml(r.store_name)}">${escHtml(r.store_name)}${r.matched_by === 'review' ? ' ✓' : ''}</td>
+              <td>${escHtml(r.rep_name)}</td>
+              <td>${r.visit_type}</td>
+              <td title="${escHtml(r.note)}">${escHtml(r.note ? r.note.slice(0, 40) + (r.note.length > 40 ? '…' : '') : '')}</td>
             </tr>`).join('')}
         </tbody>`;
     } else {
       el('import-preview-table').innerHTML = '<caption style="padding:1rem;color:var(--color-muted);">No importable rows found.</caption>';
     }
 
-    el('import-run-btn').disabled = data.validRows === 0;
+    el('import-run-btn').disabled = data.valid_rows === 0;
   } catch (err) {
     el('import-parse-stats').innerHTML = '';
     el('import-error').textContent = 'Network error: ' + err.message;
@@ -2685,17 +4874,49 @@ async function importFileSelected() {
   }
 }
 
+/** Stores the importer couldn't match for certain — pick one, skip, or leave for later. */
+function renderImportReview(groups) {
+  const wrap = el('import-review');
+  if (!groups || !groups.length) { wrap.classList.add('hidden'); return; }
+
+  wrap.innerHTML = `
+    <div class="section-label" style="margin-bottom:var(--space-1);">Check store matches</div>
+    <p class="text-sm text-muted" style="margin-bottom:var(--space-3);">
+      These rows didn't match a store exactly. Rows left unchecked are not imported.
+    </p>
+    ${groups.map((g, i) => `
+      <div class="import-review__item">
+        <div class="import-review__source">
+          <strong>${escHtml(g.name || '(no name)')}</strong>
+          ${g.postcode ? `<span class="text-muted">${escHtml(g.postcode)}</span>` : ''}
+          <span class="text-sm text-muted">${g.rows.toLocaleString()} row${g.rows === 1 ? '' : 's'}</span>
+        </div>
+        <select class="form-select" data-review-index="${i}">
+          <option value="">Leave for later</option>
+          ${g.candidates.map(c => `
+            <option value="${c.id}">${escHtml(c.name)}${c.postcode ? ' · ' + escHtml(c.postcode) : ''}${c.score ? ` (${Math.round(c.score * 100)}%)` : ''}</option>`).join('')}
+          <option value="0">Skip these rows</option>
+        </select>
+      </div>`).join('')}
+    <button class="btn btn--ghost btn--full" id="import-review-apply" style="margin-top:var(--space-3);">Apply and Refresh Preview</button>`;
+  wrap.classList.remove('hidden');
+
+  el('import-review-apply').addEventListener('click', () => {
+    wrap.querySelectorAll('select[data-review-index]').forEach(sel => {
+      if (sel.value !== '') _importOverrides[groups[+sel.dataset.reviewIndex].key] = parseInt(sel.value);
+    });
+    previewImport();
+  });
+}
+
 async function runImport() {
   if (!_importFile) return;
   const btn = el('import-run-btn');
   btn.disabled = true;
   btn.textContent = 'Importing…';
 
-  const form = new FormData();
-  form.append('csv', _importFile);
-
   try {
-    const res = await fetch('/api/visits/import/run', { method: 'POST', body: form, credentials: 'same-origin' });
+    const res = await fetch('/api/visits/import/run', { method: 'POST', body: importForm(), credentials: 'same-origin' });
     const data = await res.json();
 
     if (!res.ok || data.error) {
@@ -2707,18 +4928,20 @@ async function runImport() {
     }
 
     // Show results
+    btn.textContent = 'Import All Valid Rows';
     el('import-step-preview').classList.add('hidden');
     el('import-step-result').classList.remove('hidden');
     el('import-result-card').innerHTML = `
       <div class="section-label" style="margin-bottom:var(--space-3);">Import Complete</div>
       <div class="import-stats" style="flex-direction:column;align-items:flex-start;gap:var(--space-2);">
         <span class="import-stat import-stat--ok">✓ ${data.imported.toLocaleString()} visits imported</span>
-        ${data.duplicates       ? `<span class="import-stat import-stat--muted">${data.duplicates.toLocaleString()} duplicates skipped</span>` : ''}
-        ${data.skipped_non_zoho ? `<span class="import-stat import-stat--muted">${data.skipped_non_zoho.toLocaleString()} non-Zoho rows skipped</span>` : ''}
-        ${data.skipped_no_store ? `<span class="import-stat import-stat--warn">${data.skipped_no_store.toLocaleString()} store not found</span>` : ''}
-        ${data.skipped_no_rep   ? `<span class="import-stat import-stat--warn">${data.skipped_no_rep.toLocaleString()} rep code not matched</span>` : ''}
-        ${data.skipped_bad_date ? `<span class="import-stat import-stat--warn">${data.skipped_bad_date.toLocaleString()} bad date/time</span>` : ''}
-      </div>`;
+        ${data.duplicates ? `<span class="import-stat import-stat--muted">${data.duplicates.toLocaleString()} duplicates skipped</span>` : ''}
+        ${importSkipPills(data.skipped, ' — skipped')}
+      </div>
+      ${importRejectedCount(data) ? `
+        <a class="btn btn--ghost btn--sm" style="margin-top:var(--space-3);"
+           href="/api/visits/import/jobs/${data.job_id}/rejected.csv" download>Download rejected rows</a>` : ''}
+      <div class="text-sm text-muted" style="margin-top:var(--space-2);">Import #${data.job_id} — it can be rolled back from Recent Imports.</div>`;
   } catch (err) {
     el('import-error').textContent = 'Network error: ' + err.message;
     el('import-error').classList.remove('hidden');
@@ -2727,6 +4950,75 @@ async function runImport() {
   }
 }
 
+// ── Import history ──
+
+const IMPORT_JOB_STATUS = {
+  completed:   ['ok',      'Completed'],
+  rolled_back: ['never',   'Rolled back'],
+  failed:      ['overdue', 'Failed'],
+};
+
+function importRejectedCount(job) {
+  return (job.duplicates || 0) + Object.values(job.skipped || {}).reduce((a, n) => a + n, 0);
+}
+
+async function loadImportHistory() {
+  const wrap = el('import-history-list');
+  wrap.innerHTML = '<div class="skeleton-block skeleton-block--sm"></div>';
+  const jobs = await api('GET', '/api/visits/import/jobs');
+  if (!jobs || jobs.error) {
+    wrap.innerHTML = `<p class="text-sm text-muted">${escHtml(jobs?.error || 'Could not load import history.')}</p>`;
+    return;
+  }
+  if (!jobs.length) {
+    wrap.innerHTML = '<p class="text-sm text-muted">No imports yet.</p>';
+    return;
+  }
+
+  wrap.innerHTML = `
+    <div class="table-scroll">
+      <table class="analytics-table">
+        <thead>
+          <tr><th>When</th><th>File</th><th>By</th><th>Imported</th><th>Not imported</th><th>Status</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${jobs.map(j => {
+            const [tone, label] = IMPORT_JOB_STATUS[j.status] || ['never', j.status];
+            const rejected = importRejectedCount(j);
+            const statusTitle = j.status === 'failed' ? j.error
+              : j.status === 'rolled_back' ? `${j.rolled_back_visits} visits removed by ${j.rolled_back_by_name || 'unknown'} on ${new Date(j.rolled_back_at).toLocaleString('en-AU')}`
+              : '';
+            return `
+              <tr>
+                <td>${new Date(j.created_at).toLocaleString('en-AU', { dateStyle: 'short', timeStyle: 'short' })}</td>
+                <td title="${escHtml(j.profile_name)}">${escHtml(j.file_name)}</td>
+                <td>${escHtml(j.uploaded_by_name || '—')}</td>
+                <td>${j.imported.toLocaleString()}</td>
+                <td>${rejected && j.status !== 'failed'
+                  ? `<a href="/api/visits/import/jobs/${j.id}/rejected.csv" download title="Download rejected rows">${rejected.toLocaleString()} ↓</a>`
+                  : rejected.toLocaleString()}</td>
+                <td><span class="status-chip status-chip--${tone}" title="${escHtml(statusTitle || '')}">${label}</span></td>
+                <td>${j.status === 'completed' && j.imported
+                  ? `<button class="btn btn--ghost btn--sm" onclick="rollbackImport(${j.id}, ${j.imported})">Roll back</button>`
+                  : ''}</td>
+              </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+async function rollbackImport(jobId, imported) {
+  if (!confirm(`Roll back import #${jobId}? This deletes the ${imported.toLocaleString()} visits it added.`)) return;
+  const result = await api('POST', `/api/visits/import/jobs/${jobId}/rollback`);
+  if (!result || result.error) {
+    toast(result?.error || 'Rollback failed');
+    return;
+  }
+  toast(`Import #${jobId} rolled back — ${result.rolled_back_visits.toLocaleString()} visits removed`);
+  loadImportHistory();
+}
+
 // ═══════════════════════════════════════════════════════════════════
 //  KPI INCENTIVE TRACKER
 // ═══════════════════════════════════════════════════════════════════
@@ -2789,235 +5081,955 @@ function renderKpiCard(data) {
       <div class="kpi-row__value">${wpLabel} ${wpAction}</div>
     </div>`);
 
-  // 5. Territory Growth
-  const gr = actuals.growth;
-  const grPct = gr.pct;
-  const grCls = grPct === null ? 'grey' : grPct >= targets.growth_pct ? 'green' : grPct >= 0 ? 'amber' : 'red';
-  const grLabel = grPct === null ? '—' : `${grPct >= 0 ? '+' : ''}${grPct}%`;
-  kpiRows.push(kpiRow('Territory Growth', grLabel, grPct === null ? null : Math.min(Math.max(grPct + 100, 0), 200) / 2, grCls, true));
+  // 5. Territory Growth
+  const gr = actuals.growth;
+  const grPct = gr.pct;
+  const grCls = grPct === null ? 'grey' : grPct >= targets.growth_pct ? 'green' : grPct >= 0 ? 'amber' : 'red';
+  const grLabel = grPct === null ? '—' : `${grPct >= 0 ? '+' : ''}${grPct}%`;
+  kpiRows.push(kpiRow('Territory Growth', grLabel, grPct === null ? null : Math.min(Math.max(grPct + 100, 0), 200) / 2, grCls, true));
+
+  wrap.innerHTML = `
+    <div class="section-label" style="margin-top:var(--space-4);">KPI Tracker</div>
+    <div class="card kpi-card">
+      <div class="kpi-card__header">
+        <span class="kpi-card__title">${escHtml(quarter_label)}</span>
+        <span class="kpi-card__sub text-muted text-sm">Quarterly incentive</span>
+      </div>
+      <div class="kpi-rows">
+        ${kpiRows.join('')}
+      </div>
+      ${kpiPayout(data.payout)}
+    </div>`;
+}
+
+/** Projected payout under the rep's incentive plan, if they're on one. */
+function kpiPayout(p) {
+  if (!p) return '';
+  const failed = p.gates.filter(g => !g.met);
+  return `
+    <div class="kpi-payout">
+      <div class="kpi-payout__head">
+        <span class="kpi-row__label">Projected payout</span>
+        <span class="kpi-payout__amount">${fmt(p.payout)}</span>
+      </div>
+      <div class="text-sm text-muted">
+        ${fmt(p.on_target)} at 100% · ${escHtml(p.plan_name)}${p.capped ? ` · capped at ${fmt(p.cap)}` : ''}
+      </div>
+      ${failed.map(g => `
+        <div class="kpi-payout__gate text-danger text-sm">
+          ${escHtml(g.label)} (${escHtml(g.detail)}) — nothing pays until it's met
+        </div>`).join('')}
+    </div>`;
+}
+
+function kpiRow(label, value, pct, cls, noBar) {
+  const barHtml = noBar ? '' : `<div class="progress kpi-row__bar"><div class="progress__fill progress__fill--${cls === 'green' ? 'success' : cls === 'amber' ? 'warning' : cls === 'red' ? 'danger' : 'muted'}" style="width:${Math.min(pct ?? 0, 100)}%"></div></div>`;
+  return `
+    <div class="kpi-row">
+      <div class="kpi-dot kpi-dot--${cls}"></div>
+      <div class="kpi-row__label">${label}</div>
+      <div class="kpi-row__value">${value}</div>
+      ${barHtml}
+    </div>`;
+}
+
+async function submitWeeklyPlan() {
+  const result = await api('POST', '/api/kpi/weekly-plan');
+  if (!result || result.error) {
+    toast(result?.error || 'Failed to submit plan.');
+    return;
+  }
+  toast('Weekly plan submitted!');
+  loadKpiCard();
+}
+
+// ── Incentive target grid (manager/exec, in Targets tab) ──────────
+
+let _incentiveTargets = [];
+
+async function loadIncentiveTargets(reps) {
+  const wrap = el('incentive-target-wrap');
+  if (!wrap) return;
+  if (!currentUser || !['manager', 'executive'].includes(currentUser.role)) {
+    wrap.innerHTML = '';
+    return;
+  }
+  if (!reps || reps.length === 0) { wrap.innerHTML = ''; return; }
+
+  const targets = await api('GET', '/api/kpi/targets');
+  if (!targets || targets.error) { wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Could not load KPI targets.</p>'; return; }
+  _incentiveTargets = targets;
+
+  // Build quarter selector: current quarter ± 2 quarters
+  const now = new Date();
+  const curQ = Math.floor(now.getMonth() / 3) + 1;
+  const curY = now.getFullYear();
+  const quarters = [];
+  for (let offset = -2; offset <= 2; offset++) {
+    let q = curQ + offset;
+    let y = curY;
+    while (q < 1) { q += 4; y--; }
+    while (q > 4) { q -= 4; y++; }
+    quarters.push({ q, y, label: `Q${q} ${y}` });
+  }
+
+  const selId = 'incentive-quarter-sel';
+  const curIdx = quarters.findIndex(x => x.q === curQ && x.y === curY);
+
+  wrap.innerHTML = `
+    <div style="display:flex;align-items:center;gap:var(--space-3);padding:var(--space-3) var(--space-3) 0;">
+      <label class="text-sm text-muted" for="${selId}">Quarter:</label>
+      <select id="${selId}" class="form-control" style="width:auto;min-width:120px;" onchange="renderIncentiveGrid()">
+        ${quarters.map((x, i) => `<option value="${x.q}:${x.y}" ${i === curIdx ? 'selected' : ''}>${x.label}</option>`).join('')}
+      </select>
+    </div>
+    <div id="incentive-grid-wrap"></div>`;
+
+  window._incentiveReps = reps;
+  renderIncentiveGrid();
+}
+
+function renderIncentiveGrid() {
+  const wrap = el('incentive-grid-wrap');
+  if (!wrap) return;
+
+  const sel = el('incentive-quarter-sel');
+  if (!sel) return;
+  const [qStr, yStr] = sel.value.split(':');
+  const quarter = parseInt(qStr, 10);
+  const year    = parseInt(yStr, 10);
+  const reps    = window._incentiveReps || [];
+
+  const COLS = [
+    { key: 'new_customers', label: 'New Cust', dflt: 5 },
+    { key: 'reactivations', label: 'Reactiv', dflt: 5 },
+    { key: 'coverage_pct',  label: 'Cover %', dflt: 90 },
+    { key: 'growth_pct',    label: 'Growth %', dflt: 5 },
+  ];
+
+  const headers = COLS.map(c => `<th class="tg-month">${c.label}</th>`).join('');
+
+  const rows = reps.map(rep => {
+    const t = _incentiveTargets.find(x => x.rep_id === rep.id && x.quarter === quarter && x.year === year) || {};
+    const cells = COLS.map(c => {
+      const val = t[c.key] !== undefined ? t[c.key] : c.dflt;
+      return `<td class="tg-cell itg-cell" data-rep="${rep.id}" data-col="${c.key}" data-quarter="${quarter}" data-year="${year}">
+        <div class="tg-cell__val">${val}</div>
+      </td>`;
+    }).join('');
+    return `<tr><th class="tg-rep">${escHtml(rep.name)}</th>${cells}</tr>`;
+  }).join('');
+
+  wrap.innerHTML = `
+    <div class="tg-scroll">
+      <table class="tg-table">
+        <thead>
+          <tr>
+            <th class="tg-rep tg-rep--head">Rep</th>
+            ${headers}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+
+  // Attach click handlers
+  wrap.querySelectorAll('.itg-cell').forEach(cell => {
+    cell.addEventListener('click', () => beginEditIncentiveCell(cell));
+  });
+}
+
+function beginEditIncentiveCell(cell) {
+  if (cell.querySelector('input')) return;
+  const cur = cell.querySelector('.tg-cell__val')?.textContent?.trim() || '';
+  const input = document.createElement('input');
+  input.type  = 'number';
+  input.value = cur;
+  input.min   = '0';
+  input.className = 'tg-cell__input';
+  cell.innerHTML  = '';
+  cell.appendChild(input);
+  input.focus();
+  input.select();
+
+  const save = async () => {
+    const val = parseInt(input.value, 10);
+    if (isNaN(val) || val < 0) { cell.innerHTML = `<div class="tg-cell__val">${cur}</div>`; return; }
+    cell.innerHTML = `<div class="tg-cell__val">${val}</div>`;
+
+    const repId   = parseInt(cell.dataset.rep,     10);
+    const col     = cell.dataset.col;
+    const quarter = parseInt(cell.dataset.quarter, 10);
+    const year    = parseInt(cell.dataset.year,    10);
+
+    // Optimistic update local cache
+    let existing = _incentiveTargets.find(x => x.rep_id === repId && x.quarter === quarter && x.year === year);
+    if (!existing) {
+      existing = { rep_id: repId, quarter, year, new_customers: 5, reactivations: 5, coverage_pct: 90, growth_pct: 5 };
+      _incentiveTargets.push(existing);
+    }
+    existing[col] = val;
+
+    const payload = { rep_id: repId, quarter, year, [col]: val };
+    const result = await api('POST', '/api/kpi/targets', payload);
+    if (!result || result.error) {
+      toast(result?.error || 'Failed to save KPI target.');
+      cell.innerHTML = `<div class="tg-cell__val">${cur}</div>`;
+    }
+  };
+
+  input.addEventListener('blur',  save);
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  { input.blur(); }
+    if (e.key === 'Escape') { cell.innerHTML = `<div class="tg-cell__val">${cur}</div>`; }
+  });
+}
+
+// ── Incentive plans (manager/exec, in Targets tab) ────────────────
+// Executives set plans up and choose their reps; managers can see them.
+
+const PLAN_KPIS = [
+  { key: 'new_customers', label: 'New Customers' },
+  { key: 'reactivations', label: 'Reactivations' },
+  { key: 'coverage',      label: 'Coverage' },
+  { key: 'growth',        label: 'Growth' },
+];
+
+let _incentivePlans = [];
+
+async function loadIncentivePlans() {
+  const wrap = el('incentive-plans-wrap');
+  if (!wrap) return;
+  if (!currentUser || !['manager', 'executive'].includes(currentUser.role)) {
+    wrap.innerHTML = '';
+    return;
+  }
+
+  const plans = await api('GET', '/api/kpi/plans');
+  if (!plans || plans.error) { wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Could not load incentive plans.</p>'; return; }
+  _incentivePlans = plans;
+  const canEdit = currentUser.role === 'executive';
+
+  const gates = p => [
+    p.require_weekly_plans ? 'Weekly plan every week' : null,
+    p.min_coverage_pct !== null ? `Coverage ≥ ${p.min_coverage_pct}%` : null,
+  ].filter(Boolean).join(', ') || '—';
+
+  const rows = plans.map(p => `
+    <tr>
+      <td>
+        <span class="fw-bold">${escHtml(p.name)}</span>
+        ${p.is_default ? '<span class="status-chip status-chip--ok">Default</span>' : ''}
+      </td>
+      <td>${fmt(p.on_target_amount)}</td>
+      <td class="text-sm">${PLAN_KPIS.filter(k => p.weights[k.key]).map(k => `${k.label} ${p.weights[k.key]}%`).join(' · ')}</td>
+      <td class="text-sm">Pays from ${p.threshold_pct}% · ×${p.accelerator} over 100% · cap ${p.cap_pct}%</td>
+      <td class="text-sm">${gates(p)}</td>
+      <td class="text-sm">${p.reps.length ? p.reps.map(r => escHtml(r.name)).join(', ') : (p.is_default ? 'Everyone else' : '—')}</td>
+      ${canEdit ? `<td><button class="btn btn--ghost btn--sm" onclick="openIncentivePlanForm(${p.id})">Edit</button></td>` : ''}
+    </tr>`).join('');
+
+  wrap.innerHTML = `
+    ${plans.length ? `
+      <div class="table-scroll">
+        <table class="analytics-table">
+          <thead>
+            <tr><th>Plan</th><th>On Target</th><th>Weights</th><th>Payout Curve</th><th>Gates</th><th>Reps</th>${canEdit ? '<th></th>' : ''}</tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>` : '<p class="text-muted" style="padding:16px;">No incentive plans yet — reps see no projected payout until one applies to them.</p>'}
+    ${canEdit ? `
+      <div style="padding:var(--space-3);">
+        <button class="btn btn--ghost btn--sm" onclick="openIncentivePlanForm()">New Plan</button>
+      </div>
+      <div id="incentive-plan-form"></div>` : ''}`;
+}
+
+function openIncentivePlanForm(planId) {
+  const wrap = el('incentive-plan-form');
+  if (!wrap) return;
+  const p = _incentivePlans.find(x => x.id === planId) || {
+    name: '', on_target_amount: '', threshold_pct: 50, accelerator: 1, cap_pct: 150,
+    require_weekly_plans: false, min_coverage_pct: null, is_default: _incentivePlans.length === 0,
+    weights: { new_customers: 25, reactivations: 25, coverage: 25, growth: 25 }, reps: [],
+  };
+  const onPlan = new Set(p.reps.map(r => r.id));
+
+  wrap.innerHTML = `
+    <div class="card phasing-form">
+      <div class="phasing-form__grid">
+        <div class="form-group">
+          <label class="form-label" for="plan-name">Name</label>
+          <input id="plan-name" type="text" class="form-input" maxlength="100" value="${escHtml(p.name)}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="plan-on-target">On-Target Payout
+            <span class="form-hint">Per quarter, at 100% on every KPI</span>
+          </label>
+          <input id="plan-on-target" type="number" class="form-input" min="0" step="100" value="${p.on_target_amount}">
+        </div>
+        ${PLAN_KPIS.map(k => `
+          <div class="form-group">
+            <label class="form-label" for="plan-weight-${k.key}">${k.label} Weight %</label>
+            <input id="plan-weight-${k.key}" type="number" class="form-input" min="0" max="100" step="5" value="${p.weights[k.key] ?? 0}">
+          </div>`).join('')}
+        <div class="form-group">
+          <label class="form-label" for="plan-threshold">Pays From %
+            <span class="form-hint">A KPI below this attainment pays nothing</span>
+          </label>
+          <input id="plan-threshold" type="number" class="form-input" min="0" max="100" value="${p.threshold_pct}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="plan-accelerator">Accelerator
+            <span class="form-hint">Rate per point over 100%, e.g. 2 pays double</span>
+          </label>
+          <input id="plan-accelerator" type="number" class="form-input" min="0" max="5" step="0.25" value="${p.accelerator}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="plan-cap">Cap % of On-Target</label>
+          <input id="plan-cap" type="number" class="form-input" min="100" max="500" step="10" value="${p.cap_pct}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="plan-min-coverage">Coverage Gate %
+            <span class="form-hint">Optional — nothing pays below it</span>
+          </label>
+          <input id="plan-min-coverage" type="number" class="form-input" min="0" max="100" value="${p.min_coverage_pct ?? ''}">
+        </div>
+      </div>
+      <label class="transfer-form__check">
+        <input type="checkbox" id="plan-weekly-gate" ${p.require_weekly_plans ? 'checked' : ''}> Nothing pays unless a weekly plan went in every week
+      </label>
+      <label class="transfer-form__check">
+        <input type="checkbox" id="plan-default" ${p.is_default ? 'checked' : ''}> Default plan for reps not on another
+      </label>
+      <div class="form-label" style="margin-top:var(--space-3);">Reps on this plan</div>
+      <div class="phasing-entries">
+        ${targetReps.map(r => `
+          <label class="transfer-form__check">
+            <input type="checkbox" class="plan-rep" value="${r.id}" ${onPlan.has(r.id) ? 'checked' : ''}> ${escHtml(r.name)}
+          </label>`).join('')}
+      </div>
+      <div id="plan-error" class="form-error hidden"></div>
+      <div class="modal__actions">
+        <button class="btn btn--ghost" onclick="closeIncentivePlanForm()">Cancel</button>
+        <button id="plan-save-btn" class="btn btn--primary" onclick="saveIncentivePlan(${planId ?? 'null'})">Save Plan</button>
+      </div>
+    </div>`;
+}
+
+function closeIncentivePlanForm() {
+  el('incentive-plan-form').innerHTML = '';
+}
+
+async function saveIncentivePlan(planId) {
+  clearError('plan-error');
+  const num = id => el(id).value === '' ? null : Number(el(id).value);
+  const body = {
+    name:                 el('plan-name').value.trim(),
+    on_target_amount:     num('plan-on-target'),
+    weights:              Object.fromEntries(PLAN_KPIS.map(k => [k.key, num(`plan-weight-${k.key}`) ?? 0])),
+    threshold_pct:        num('plan-threshold'),
+    accelerator:          num('plan-accelerator'),
+    cap_pct:              num('plan-cap'),
+    min_coverage_pct:     num('plan-min-coverage'),
+    require_weekly_plans: el('plan-weekly-gate').checked,
+    is_default:           el('plan-default').checked,
+  };
+  const repIds = [...document.querySelectorAll('.plan-rep:checked')].map(c => parseInt(c.value, 10));
+
+  const btn = el('plan-save-btn');
+  btn.disabled = true;
+  const plan = await api(planId ? 'PUT' : 'POST', planId ? `/api/kpi/plans/${planId}` : '/api/kpi/plans', body);
+  if (!plan || plan.error) {
+    btn.disabled = false;
+    showError('plan-error', plan?.error || 'Failed to save plan.');
+    return;
+  }
+  const withReps = await api('PUT', `/api/kpi/plans/${plan.id}/reps`, { rep_ids: repIds });
+  btn.disabled = false;
+  if (!withReps || withReps.error) {
+    showError('plan-error', withReps?.error || 'Plan saved, but its reps could not be updated.');
+    return;
+  }
+
+  toast(`${plan.name} saved`);
+  loadIncentivePlans();
+  loadPayoutStatements();
+}
+
+// ── Payout statements (manager/exec, in Targets tab) ──────────────
+// Live until a manager approves the finished quarter; approved ones are locked
+// and go into the payroll export.
+
+function recentQuarters(count) {
+  const now = new Date();
+  let q = Math.floor(now.getMonth() / 3) + 1;
+  let y = now.getFullYear();
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    out.push({ q, y, label: `Q${q} ${y}` });
+    if (--q < 1) { q = 4; y--; }
+  }
+  return out;
+}
+
+async function loadPayoutStatements() {
+  const wrap = el('payout-statements-wrap');
+  if (!wrap) return;
+  if (!currentUser || !['manager', 'executive'].includes(currentUser.role)) {
+    wrap.innerHTML = '';
+    return;
+  }
+
+  // Default to the last finished quarter — the one waiting for approval
+  const quarters = recentQuarters(5);
+  const prev = el('payout-quarter-sel')?.value || `${quarters[1].q}:${quarters[1].y}`;
+  wrap.innerHTML = `
+    <div style="display:flex;align-items:center;gap:var(--space-3);padding:var(--space-3) var(--space-3) 0;">
+      <label class="text-sm text-muted" for="payout-quarter-sel">Quarter:</label>
+      <select id="payout-quarter-sel" class="form-control" style="width:auto;min-width:120px;" onchange="renderPayoutStatements()">
+        ${quarters.map(x => `<option value="${x.q}:${x.y}" ${`${x.q}:${x.y}` === prev ? 'selected' : ''}>${x.label}</option>`).join('')}
+      </select>
+      <button class="btn btn--ghost btn--sm" onclick="exportPayrollCsv()">Export for Payroll</button>
+    </div>
+    <div id="payout-statements-table"><div class="skeleton-block" style="margin:16px;"></div></div>`;
+  renderPayoutStatements();
+}
+
+async function renderPayoutStatements() {
+  const wrap = el('payout-statements-table');
+  if (!wrap) return;
+  const [quarter, year] = el('payout-quarter-sel').value.split(':');
+  const data = await api('GET', `/api/kpi/statements?quarter=${quarter}&year=${year}`);
+  if (!data || data.error) { wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Could not load payout statements.</p>'; return; }
+  if (!data.statements.length) { wrap.innerHTML = '<p class="text-muted" style="padding:16px;">No reps.</p>'; return; }
+
+  const attain = (s, key) => {
+    const line = s.lines.find(l => l.kpi === key);
+    if (!line) return '<span class="text-muted">—</span>';
+    if (line.attainment === null) return '<span class="pct-badge pct-badge--muted">n/a</span>';
+    const cls = line.attainment >= 100 ? 'success' : line.attainment >= (s.plan.threshold_pct ?? 0) ? 'warning' : 'danger';
+    return `<span class="pct-badge pct-badge--${cls}">${Math.round(line.attainment)}%</span>`;
+  };
+
+  const rows = data.statements.map(s => {
+    let status;
+    if (s.status === 'approved') {
+      status = `<span class="status-chip status-chip--ok" title="${escHtml(new Date(s.approved_at).toLocaleString('en-AU'))}">Approved${s.approved_by_name ? ` by ${escHtml(s.approved_by_name)}` : ''}</span>`;
+    } else if (!s.plan) {
+      status = '<span class="status-chip status-chip--never">No plan</span>';
+    } else if (data.closed) {
+      status = `<button class="btn btn--primary btn--sm" onclick="approvePayoutStatement(${s.rep_id}, ${data.quarter}, ${data.year}, this)">Approve</button>`;
+    } else {
+      status = '<span class="status-chip status-chip--warn">Projected</span>';
+    }
+    const failed = s.gates.filter(g => !g.met);
+    return `
+      <tr>
+        <td class="fw-bold">${escHtml(s.name)}</td>
+        <td class="text-sm">${s.plan ? escHtml(s.plan.name) : '—'}</td>
+        ${PLAN_KPIS.map(k => `<td>${attain(s, k.key)}</td>`).join('')}
+        <td class="text-sm">${!s.plan ? '—' : failed.length
+          ? `<span class="text-danger">${failed.map(g => `${escHtml(g.label)} (${escHtml(g.detail)})`).join('<br>')}</span>`
+          : '<span class="text-success">Met</span>'}</td>
+        <td class="fw-bold">${s.payout ? fmt(s.payout.payout) : '—'}${s.payout?.capped ? ' <span class="text-sm text-muted">capped</span>' : ''}</td>
+        <td>${status}</td>
+      </tr>`;
+  }).join('');
+
+  const total = data.statements.reduce((sum, s) => sum + (s.payout?.payout || 0), 0);
+  wrap.innerHTML = `
+    <div class="table-scroll">
+      <table class="analytics-table">
+        <thead>
+          <tr><th>Rep</th><th>Plan</th>${PLAN_KPIS.map(k => `<th>${k.label}</th>`).join('')}<th>Gates</th><th>Payout</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${rows}
+          <tr class="phasing-total">
+            <td>Total</td><td></td>${PLAN_KPIS.map(() => '<td></td>').join('')}<td></td><td>${fmt(total)}</td><td></td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+    ${data.closed ? '' : `<p class="text-sm text-muted" style="padding:0 16px 12px;">${escHtml(data.quarter_label)} is still running — payouts are projected from today's KPIs and can be approved once it ends.</p>`}`;
+}
+
+async function approvePayoutStatement(repId, quarter, year, btn) {
+  if (!confirm(`Approve this Q${quarter} ${year} payout? It can't be changed afterwards.`)) return;
+  btn.disabled = true;
+  const result = await api('POST', '/api/kpi/statements/approve', { rep_id: repId, quarter, year });
+  if (!result || result.error) {
+    btn.disabled = false;
+    toast(result?.error || 'Failed to approve payout.');
+    return;
+  }
+  toast(`${result.name}: ${fmt(result.payout.payout)} approved`);
+  renderPayoutStatements();
+}
+
+async function exportPayrollCsv() {
+  const [quarter, year] = el('payout-quarter-sel').value.split(':');
+  try {
+    const res = await fetch(`/api/kpi/statements/csv?quarter=${quarter}&year=${year}`, { credentials: 'same-origin' });
+    if (!res.ok) { toast('Payroll export failed.'); return; }
+    const blob = await res.blob();
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = `payouts-Q${quarter}-${year}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    toast('Payroll export failed.');
+  }
+}
+
+// ── Alert rules (manager/exec, in Targets tab) ────────────────────
+// One default rule per alert type plus overrides scoped by channel / state /
+// grade / rep. The most specific matching rule wins for each store.
+
+let _alertRules = null;   // { catalog, rules, scope_options } from /api/alerts/rules
+
+async function loadAlertRules() {
+  const wrap = el('alert-rules-wrap');
+  if (!wrap) return;
+  if (!currentUser || !['manager', 'executive'].includes(currentUser.role)) {
+    wrap.innerHTML = '';
+    return;
+  }
+
+  const data = await api('GET', '/api/alerts/rules');
+  if (!data || data.error) { wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Could not load alert rules.</p>'; return; }
+  _alertRules = data;
+  renderAlertRules();
+}
+
+function alertRuleScopeLabel(rule) {
+  const parts = [];
+  if (rule.channel_type) parts.push(rule.channel_type);
+  if (rule.state)        parts.push(rule.state);
+  if (rule.grade)        parts.push(`Grade ${rule.grade}`);
+  if (rule.rep_id)       parts.push(rule.rep_name || `Rep #${rule.rep_id}`);
+  return parts.length ? parts.join(' · ') : 'Default';
+}
+
+function renderAlertRules() {
+  const wrap = el('alert-rules-wrap');
+  if (!wrap || !_alertRules) return;
+  const { catalog, rules } = _alertRules;
+
+  const body = Object.entries(catalog).map(([type, entry]) => {
+    const ofType = rules.filter(r => r.alert_type === type);
+    const base   = ofType.find(r => !r.channel_type && !r.state && !r.grade && !r.rep_id);
+    const rows = ofType.map(r => {
+      const isDefault = !r.channel_type && !r.state && !r.grade && !r.rep_id;
+      const params = Object.entries(entry.params).map(([key, p]) => {
+        const val = r.params[key];
+        // Params an override leaves out are inherited from the default rule
+        const shown = val !== undefined ? val : `<span class="tg-cell__empty">${base?.params[key] ?? p.default}</span>`;
+        return `<td class="tg-cell ar-cell" data-rule="${r.id}" data-key="${key}" title="${escHtml(p.label)}">
+          <div class="tg-cell__ref">${escHtml(p.label)}</div>
+          <div class="tg-cell__val">${shown}</div>
+        </td>`;
+      }).join('');
+      return `<tr>
+        <th class="tg-rep">${escHtml(alertRuleScopeLabel(r))}</th>
+        <td style="padding:var(--space-2);">
+          <select class="form-select" style="width:auto;" onchange="setAlertRuleTier(${r.id}, this.value)">
+            <option value="1" ${r.tier === 1 ? 'selected' : ''}>Tier 1</option>
+            <option value="2" ${r.tier === 2 ? 'selected' : ''}>Tier 2</option>
+          </select>
+        </td>
+        <td style="padding:var(--space-2);text-align:center;">
+          <input type="checkbox" ${r.enabled ? 'checked' : ''} title="Enabled"
+                 onchange="setAlertRuleEnabled(${r.id}, this.checked)">
+        </td>
+        ${params}
+        <td style="padding:var(--space-2);">
+          ${isDefault ? '' : `<button class="btn btn--ghost btn--sm" onclick="deleteAlertRule(${r.id})">Remove</button>`}
+        </td>
+      </tr>`;
+    }).join('');
+
+    return `<div style="display:flex;align-items:center;justify-content:space-between;padding:var(--space-3) var(--space-3) var(--space-2);">
+        <strong>${escHtml(ALERT_TYPE_LABELS[type] || entry.label)}</strong>
+        <button class="btn btn--ghost btn--sm" onclick="openAlertRuleModal('${type}')">+ Override</button>
+      </div>
+      <div class="tg-scroll">
+        <table class="tg-table"><tbody>${rows}</tbody></table>
+      </div>`;
+  }).join('');
+
+  wrap.innerHTML = body;
+  wrap.querySelectorAll('.ar-cell').forEach(cell => {
+    cell.addEventListener('click', () => beginEditAlertRuleCell(cell));
+  });
+}
+
+async function patchAlertRule(ruleId, body) {
+  const result = await api('PATCH', `/api/alerts/rules/${ruleId}`, body);
+  if (!result || result.error) {
+    toast(result?.error || 'Failed to update alert rule.');
+    renderAlertRules();
+    return;
+  }
+  const rule = _alertRules.rules.find(r => r.id === ruleId);
+  if (rule) Object.assign(rule, result, { rep_name: rule.rep_name });
+  renderAlertRules();
+}
+
+function setAlertRuleEnabled(ruleId, enabled) {
+  patchAlertRule(ruleId, { enabled });
+}
+
+function setAlertRuleTier(ruleId, tier) {
+  patchAlertRule(ruleId, { tier: parseInt(tier, 10) });
+}
+
+function beginEditAlertRuleCell(cell) {
+  if (cell.querySelector('input')) return;
+  const valEl = cell.querySelector('.tg-cell__val');
+  const cur   = valEl?.textContent?.trim() || '';
+  const input = document.createElement('input');
+  input.type  = 'number';
+  input.value = cur;
+  input.min   = '0';
+  input.className = 'tg-input';
+  valEl.innerHTML = '';
+  valEl.appendChild(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const save = () => {
+    if (done) return;
+    done = true;
+    const val = parseFloat(input.value);
+    if (isNaN(val) || val < 0 || String(val) === cur) { renderAlertRules(); return; }
+    patchAlertRule(parseInt(cell.dataset.rule, 10), { params: { [cell.dataset.key]: val } });
+  };
 
-  wrap.innerHTML = `
-    <div class="section-label" style="margin-top:var(--space-4);">KPI Tracker</div>
-    <div class="card kpi-card">
-      <div class="kpi-card__header">
-        <span class="kpi-card__title">${escHtml(quarter_label)}</span>
-        <span class="kpi-card__sub text-muted text-sm">Quarterly incentive</span>
-      </div>
-      <div class="kpi-rows">
-        ${kpiRows.join('')}
-      </div>
-    </div>`;
+  input.addEventListener('blur', save);
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  { input.blur(); }
+    if (e.key === 'Escape') { done = true; renderAlertRules(); }
+  });
 }
 
-function kpiRow(label, value, pct, cls, noBar) {
-  const barHtml = noBar ? '' : `<div class="progress kpi-row__bar"><div class="progress__fill progress__fill--${cls === 'green' ? 'success' : cls === 'amber' ? 'warning' : cls === 'red' ? 'danger' : 'muted'}" style="width:${Math.min(pct ?? 0, 100)}%"></div></div>`;
-  return `
-    <div class="kpi-row">
-      <div class="kpi-dot kpi-dot--${cls}"></div>
-      <div class="kpi-row__label">${label}</div>
-      <div class="kpi-row__value">${value}</div>
-      ${barHtml}
-    </div>`;
+async function deleteAlertRule(ruleId) {
+  if (!confirm('Remove this override? Stores it covered fall back to the broader rule.')) return;
+  const result = await api('DELETE', `/api/alerts/rules/${ruleId}`);
+  if (!result || result.error) { toast(result?.error || 'Failed to remove override.'); return; }
+  _alertRules.rules = _alertRules.rules.filter(r => r.id !== ruleId);
+  renderAlertRules();
+  toast('Override removed.');
+}
+
+function openAlertRuleModal(type) {
+  const entry = _alertRules?.catalog[type];
+  if (!entry) return;
+  const { channel_types, states, reps } = _alertRules.scope_options;
+  const opts = (list, anyLabel) =>
+    `<option value="">${anyLabel}</option>` + list.map(v => `<option value="${escHtml(v)}">${escHtml(v)}</option>`).join('');
+
+  el('alert-rule-form-type').value = type;
+  el('modal-alert-rule-title').textContent = `Override: ${ALERT_TYPE_LABELS[type] || entry.label}`;
+  el('alert-rule-form-channel').innerHTML = opts(channel_types, 'Any channel');
+  el('alert-rule-form-state').innerHTML   = opts(states, 'Any state');
+  el('alert-rule-form-grade').value       = '';
+  el('alert-rule-form-rep').innerHTML     = '<option value="">Any rep</option>' +
+    reps.map(r => `<option value="${r.id}">${escHtml(r.name)}</option>`).join('');
+  // Rep-level alerts (e.g. activity drop) can only be scoped by rep
+  el('alert-rule-store-scope').classList.toggle('hidden', entry.subject === 'rep');
+
+  const base = _alertRules.rules.find(r => r.alert_type === type && !r.channel_type && !r.state && !r.grade && !r.rep_id);
+  el('alert-rule-form-params').innerHTML = Object.entries(entry.params).map(([key, p]) => `
+    <div class="form-group">
+      <label class="form-label" for="alert-rule-param-${key}">${escHtml(p.label)}</label>
+      <input id="alert-rule-param-${key}" data-key="${key}" type="number" min="0" class="form-input"
+             placeholder="${base?.params[key] ?? p.default}">
+    </div>`).join('');
+
+  clearError('alert-rule-form-error');
+  el('modal-alert-rule').classList.remove('hidden');
 }
 
-async function submitWeeklyPlan() {
-  const result = await api('POST', '/api/kpi/weekly-plan');
+function closeAlertRuleModal() {
+  el('modal-alert-rule').classList.add('hidden');
+}
+
+el('modal-alert-rule-close').addEventListener('click', closeAlertRuleModal);
+el('modal-alert-rule-cancel').addEventListener('click', closeAlertRuleModal);
+el('modal-alert-rule-backdrop').addEventListener('click', closeAlertRuleModal);
+
+el('form-alert-rule').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('alert-rule-form-error');
+
+  const type     = el('alert-rule-form-type').value;
+  const repOnly  = _alertRules.catalog[type]?.subject === 'rep';
+  const body = {
+    alert_type:   type,
+    channel_type: repOnly ? null : el('alert-rule-form-channel').value || null,
+    state:        repOnly ? null : el('alert-rule-form-state').value || null,
+    grade:        repOnly ? null : el('alert-rule-form-grade').value || null,
+    rep_id:       el('alert-rule-form-rep').value ? parseInt(el('alert-rule-form-rep').value, 10) : null,
+    params:       {},
+  };
+  el('alert-rule-form-params').querySelectorAll('input').forEach(input => {
+    if (input.value !== '') body.params[input.dataset.key] = parseFloat(input.value);
+  });
+
+  if (!body.channel_type && !body.state && !body.grade && !body.rep_id) {
+    showError('alert-rule-form-error', 'Pick at least one channel, state, grade or rep.');
+    return;
+  }
+
+  const btn = el('alert-rule-form-submit');
+  btn.disabled = true;
+  btn.textContent = 'Saving…';
+  const result = await api('POST', '/api/alerts/rules', body);
+  btn.disabled = false;
+  btn.textContent = 'Save';
+
   if (!result || result.error) {
-    toast(result?.error || 'Failed to submit plan.');
+    showError('alert-rule-form-error', result?.error || 'Failed to save override.');
     return;
   }
-  toast('Weekly plan submitted!');
-  loadKpiCard();
-}
+  closeAlertRuleModal();
+  toast('Override added.');
+  loadAlertRules();
+});
 
-// ── Incentive target grid (manager/exec, in Targets tab) ──────────
+// ── Notification Preferences Modal ───────────────────────────────────────────
 
-let _incentiveTargets = [];
+async function openNotificationsModal() {
+  clearError('notif-form-error');
+  el('notif-last-sent').textContent = '';
+  el('modal-notifications').classList.remove('hidden');
 
-async function loadIncentiveTargets(reps) {
-  const wrap = el('incentive-target-wrap');
-  if (!wrap) return;
-  if (!currentUser || !['manager', 'executive'].includes(currentUser.role)) {
-    wrap.innerHTML = '';
+  const prefs = await api('GET', '/api/alerts/preferences');
+  if (!prefs || prefs.error) {
+    showError('notif-form-error', prefs?.error || 'Failed to load preferences.');
     return;
   }
-  if (!reps || reps.length === 0) { wrap.innerHTML = ''; return; }
+  el('notif-form-digest').value = prefs.digest;
+  el('notif-form-day').value    = String(prefs.weekly_day);
+  el('notif-form-tier').value   = String(prefs.max_tier);
+  notifDigestChanged();
+
+  const last = prefs.last_sent;
+  if (last) {
+    const when = new Date(last.sent_at).toLocaleString('en-AU', { dateStyle: 'medium', timeStyle: 'short' });
+    el('notif-last-sent').textContent = last.status === 'sent'
+      ? `Last email: ${when} (${last.alert_count} alert${last.alert_count === 1 ? '' : 's'}).`
+      : `Last email failed ${when}: ${last.error || 'unknown error'}`;
+  }
+}
 
-  const targets = await api('GET', '/api/kpi/targets');
-  if (!targets || targets.error) { wrap.innerHTML = '<p class="text-muted" style="padding:16px;">Could not load KPI targets.</p>'; return; }
-  _incentiveTargets = targets;
+function closeNotificationsModal() {
+  el('modal-notifications').classList.add('hidden');
+}
 
-  // Build quarter selector: current quarter ± 2 quarters
-  const now = new Date();
-  const curQ = Math.floor(now.getMonth() / 3) + 1;
-  const curY = now.getFullYear();
-  const quarters = [];
-  for (let offset = -2; offset <= 2; offset++) {
-    let q = curQ + offset;
-    let y = curY;
-    while (q < 1) { q += 4; y--; }
-    while (q > 4) { q -= 4; y++; }
-    quarters.push({ q, y, label: `Q${q} ${y}` });
+function notifDigestChanged() {
+  el('notif-form-day-group').classList.toggle('hidden', el('notif-form-digest').value !== 'weekly');
+}
+
+el('btn-notifications').addEventListener('click', openNotificationsModal);
+el('modal-notifications-close').addEventListener('click', closeNotificationsModal);
+el('modal-notifications-backdrop').addEventListener('click', closeNotificationsModal);
+el('notif-form-digest').addEventListener('change', notifDigestChanged);
+
+el('notif-form-test').addEventListener('click', async () => {
+  clearError('notif-form-error');
+  const btn = el('notif-form-test');
+  btn.disabled = true;
+  btn.textContent = 'Sending…';
+  const result = await api('POST', '/api/alerts/preferences/test');
+  btn.disabled = false;
+  btn.textContent = 'Send test';
+
+  if (!result || result.error) {
+    showError('notif-form-error', result?.error || 'Failed to send test email.');
+    return;
   }
+  toast(`Test email sent to ${currentUser.email}.`);
+});
 
-  const selId = 'incentive-quarter-sel';
-  const curIdx = quarters.findIndex(x => x.q === curQ && x.y === curY);
+el('form-notifications').addEventListener('submit', async e => {
+  e.preventDefault();
+  clearError('notif-form-error');
 
-  wrap.innerHTML = `
-    <div style="display:flex;align-items:center;gap:var(--space-3);padding:var(--space-3) var(--space-3) 0;">
-      <label class="text-sm text-muted" for="${selId}">Quarter:</label>
-      <select id="${selId}" class="form-control" style="width:auto;min-width:120px;" onchange="renderIncentiveGrid()">
-        ${quarters.map((x, i) => `<option value="${x.q}:${x.y}" ${i === curIdx ? 'selected' : ''}>${x.label}</option>`).join('')}
-      </select>
-    </div>
-    <div id="incentive-grid-wrap"></div>`;
+  const body = {
+    digest:     el('notif-form-digest').value,
+    weekly_day: parseInt(el('notif-form-day').value, 10),
+    max_tier:   parseInt(el('notif-form-tier').value, 10),
+  };
 
-  window._incentiveReps = reps;
-  renderIncentiveGrid();
-}
+  const btn = el('notif-form-submit');
+  btn.disabled = true;
+  btn.textContent = 'Saving…';
+  const result = await api('PUT', '/api/alerts/preferences', body);
+  btn.disabled = false;
+  btn.textContent = 'Save';
 
-function renderIncentiveGrid() {
-  const wrap = el('incentive-grid-wrap');
-  if (!wrap) return;
+  if (!result || result.error) {
+    showError('notif-form-error', result?.error || 'Failed to save preferences.');
+    return;
+  }
+  closeNotificationsModal();
+  toast('Notification preferences saved.');
+});
 
-  const sel = el('incentive-quarter-sel');
-  if (!sel) return;
-  const [qStr, yStr] = sel.value.split(':');
-  const quarter = parseInt(qStr, 10);
-  const year    = parseInt(yStr, 10);
-  const reps    = window._incentiveReps || [];
+// ── Alert effectiveness (manager/exec, in Targets tab) ────────────
+// What followed each alert: action taken, visits within N days and revenue
+// within 90 days, per alert type and per rep.
 
-  const COLS = [
-    { key: 'new_customers', label: 'New Cust', dflt: 5 },
-    { key: 'reactivations', label: 'Reactiv', dflt: 5 },
-    { key: 'coverage_pct',  label: 'Cover %', dflt: 90 },
-    { key: 'growth_pct',    label: 'Growth %', dflt: 5 },
-  ];
+async function loadAlertEffectiveness() {
+  const wrap = el('alert-effectiveness-wrap');
+  if (!wrap) return;
+  if (!currentUser || !['manager', 'executive'].includes(currentUser.role)) {
+    wrap.innerHTML = '';
+    return;
+  }
 
-  const headers = COLS.map(c => `<th class="tg-month">${c.label}</th>`).join('');
+  const period    = parseInt(el('alert-eff-period').value, 10);
+  const visitDays = el('alert-eff-visit-days').value;
+  const from      = new Date(Date.now() - period * 86400000).toISOString().slice(0, 10);
 
-  const rows = reps.map(rep => {
-    const t = _incentiveTargets.find(x => x.rep_id === rep.id && x.quarter === quarter && x.year === year) || {};
-    const cells = COLS.map(c => {
-      const val = t[c.key] !== undefined ? t[c.key] : c.dflt;
-      return `<td class="tg-cell itg-cell" data-rep="${rep.id}" data-col="${c.key}" data-quarter="${quarter}" data-year="${year}">
-        <div class="tg-cell__val">${val}</div>
-      </td>`;
-    }).join('');
-    return `<tr><th class="tg-rep">${escHtml(rep.name)}</th>${cells}</tr>`;
-  }).join('');
+  wrap.innerHTML = '<div class="skeleton-block" style="margin:16px;"></div>';
+  const data = await api('GET', `/api/alerts/effectiveness?from=${from}&visit_days=${visitDays}`);
+  if (!data || data.error) {
+    wrap.innerHTML = `<p class="text-muted" style="padding:16px;">${escHtml(data?.error || 'Could not load alert effectiveness.')}</p>`;
+    return;
+  }
+  if (!data.totals) {
+    wrap.innerHTML = '<p class="text-muted" style="padding:16px;">No alerts raised in this period.</p>';
+    return;
+  }
 
-  wrap.innerHTML = `
-    <div class="tg-scroll">
-      <table class="tg-table">
+  const pctCell = v => v === null ? '—' : `${v}%`;
+  const table = (title, groups, labelFn) => `
+    <div class="table-scroll">
+      <table class="kpi-team-table">
         <thead>
           <tr>
-            <th class="tg-rep tg-rep--head">Rep</th>
-            ${headers}
+            <th>${title}</th>
+            <th>Alerts</th>
+            <th title="Resolved, snoozed or reassigned by someone">Actioned</th>
+            <th title="Closed itself when the condition cleared">Auto</th>
+            <th title="Median days from alert to first action">Days to act</th>
+            <th title="Store visited within ${data.window.visit_days} days">Visited</th>
+            <th title="Store ordered within ${data.window.revenue_days} days">Ordered</th>
+            <th title="Revenue (ex GST) within ${data.window.revenue_days} days">Revenue</th>
+            <th>Per alert</th>
           </tr>
         </thead>
-        <tbody>${rows}</tbody>
+        <tbody>
+          ${groups.map(g => `<tr>
+            <td class="kpi-team__rep">${labelFn(g)}</td>
+            <td>${g.alerts}</td>
+            <td>${pctCell(g.actioned_pct)}</td>
+            <td>${pctCell(g.auto_resolved_pct)}</td>
+            <td>${g.median_days_to_action ?? '—'}</td>
+            <td>${pctCell(g.visited_pct)}</td>
+            <td>${pctCell(g.ordered_pct)}</td>
+            <td>${g.store_alerts ? fmt(g.revenue) : '—'}</td>
+            <td>${g.revenue_per_alert !== null ? fmt(g.revenue_per_alert) : '—'}</td>
+          </tr>`).join('')}
+        </tbody>
       </table>
     </div>`;
 
-  // Attach click handlers
-  wrap.querySelectorAll('.itg-cell').forEach(cell => {
-    cell.addEventListener('click', () => beginEditIncentiveCell(cell));
-  });
-}
-
-function beginEditIncentiveCell(cell) {
-  if (cell.querySelector('input')) return;
-  const cur = cell.querySelector('.tg-cell__val')?.textContent?.trim() || '';
-  const input = document.createElement('input');
-  input.type  = 'number';
-  input.value = cur;
-  input.min   = '0';
-  input.className = 'tg-cell__input';
-  cell.innerHTML  = '';
-  cell.appendChild(input);
-  input.focus();
-  input.select();
-
-  const save = async () => {
-    const val = parseInt(input.value, 10);
-    if (isNaN(val) || val < 0) { cell.innerHTML = `<div class="tg-cell__val">${cur}</div>`; return; }
-    cell.innerHTML = `<div class="tg-cell__val">${val}</div>`;
-
-    const repId   = parseInt(cell.dataset.rep,     10);
-    const col     = cell.dataset.col;
-    const quarter = parseInt(cell.dataset.quarter, 10);
-    const year    = parseInt(cell.dataset.year,    10);
-
-    // Optimistic update local cache
-    let existing = _incentiveTargets.find(x => x.rep_id === repId && x.quarter === quarter && x.year === year);
-    if (!existing) {
-      existing = { rep_id: repId, quarter, year, new_customers: 5, reactivations: 5, coverage_pct: 90, growth_pct: 5 };
-      _incentiveTargets.push(existing);
-    }
-    existing[col] = val;
-
-    const payload = { rep_id: repId, quarter, year, [col]: val };
-    const result = await api('POST', '/api/kpi/targets', payload);
-    if (!result || result.error) {
-      toast(result?.error || 'Failed to save KPI target.');
-      cell.innerHTML = `<div class="tg-cell__val">${cur}</div>`;
-    }
-  };
-
-  input.addEventListener('blur',  save);
-  input.addEventListener('keydown', e => {
-    if (e.key === 'Enter')  { input.blur(); }
-    if (e.key === 'Escape') { cell.innerHTML = `<div class="tg-cell__val">${cur}</div>`; }
-  });
+  const t = data.totals;
+  const incomplete = t.store_alerts - t.complete;
+  wrap.innerHTML = `
+    <div class="text-sm text-muted" style="padding:var(--space-2) var(--space-3);">
+      ${t.alerts} alerts since ${new Date(data.window.from).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}
+      · ${fmt(t.revenue)} revenue followed
+      ${incomplete > 0 ? `· ${incomplete} still inside their ${data.window.revenue_days}-day window` : ''}
+    </div>
+    ${table('Alert type', data.by_type, g => escHtml(ALERT_TYPE_LABELS[g.key] || g.key))}
+    ${table('Rep', data.by_rep, g => escHtml(g.label))}`;
 }
 
 // ── Team KPI traffic light table ──────────────────────────────────
+// This quarter is live; closed ones come from the quarter-close snapshots.
 
 async function loadKpiTeam() {
   const wrap = el('kpi-team-wrap');
   if (!wrap) return;
+  const period = el('kpi-team-quarter')?.value;
   wrap.innerHTML = '<div class="skeleton-block" style="margin-top:var(--space-4);height:160px;"></div>';
-  const data = await api('GET', '/api/kpi/team');
+  const data = await api('GET', period ? `/api/kpi/team?${kpiQuarterQuery(period)}` : '/api/kpi/team');
   if (!data || data.error || !Array.isArray(data.reps)) { wrap.innerHTML = ''; return; }
   renderKpiTeamTable(data);
 }
 
+/** 'q:yyyy' from a quarter select → query string */
+function kpiQuarterQuery(period) {
+  const [quarter, year] = period.split(':');
+  return `quarter=${quarter}&year=${year}`;
+}
+
+function kpiGrowthClass(grPct, target) {
+  return grPct === null ? 'grey' : grPct >= target ? 'green' : grPct >= 0 ? 'amber' : 'red';
+}
+
 function renderKpiTeamTable(data) {
   const wrap = el('kpi-team-wrap');
   if (!wrap) return;
 
-  const { quarter_label, reps } = data;
+  const { quarter_label, reps, closed } = data;
+  const selected = `${data.quarter}:${data.year}`;
 
   const rows = reps.map(r => {
     const a = r.actuals;
     const t = r.targets;
+    const w = r.weekly_plans;
 
     const ncCls  = kpiStatusClass(a.new_customers.pct, 100);
     const rxCls  = kpiStatusClass(a.reactivations.pct, 100);
     const covCls = kpiStatusClass(a.coverage.pct, t.coverage_pct);
     const wpCls  = a.weekly_plan.submitted ? 'green' : 'red';
     const grPct  = a.growth.pct;
-    const grCls  = grPct === null ? 'grey' : grPct >= t.growth_pct ? 'green' : grPct >= 0 ? 'amber' : 'red';
+    const grCls  = kpiGrowthClass(grPct, t.growth_pct);
     const grText = grPct === null ? '—' : `${grPct >= 0 ? '+' : ''}${grPct}%`;
+    // A closed quarter counts every week's plan; this one shows this week's
+    const wpText = closed ? `${w.submitted}/${w.due}` : (a.weekly_plan.submitted ? 'Yes' : 'No');
 
     return `<tr>
-      <td class="kpi-team__rep">${escHtml(r.name)}</td>
+      <td class="kpi-team__rep">
+        <a href="#" onclick="event.preventDefault(); loadKpiHistory(${r.rep_id})">${escHtml(r.name)}</a>
+        ${closed && r.source === 'live' ? '<span class="status-chip status-chip--warn" title="No snapshot yet — worked out from today\'s data">Live</span>' : ''}
+      </td>
       <td><span class="kpi-dot kpi-dot--${ncCls}"></span>${a.new_customers.actual}/${t.new_customers}</td>
       <td><span class="kpi-dot kpi-dot--${rxCls}"></span>${a.reactivations.actual}/${t.reactivations}</td>
       <td><span class="kpi-dot kpi-dot--${covCls}"></span>${a.coverage.pct ?? 0}%</td>
-      <td><span class="kpi-dot kpi-dot--${wpCls}"></span>${a.weekly_plan.submitted ? 'Yes' : 'No'}</td>
+      <td><span class="kpi-dot kpi-dot--${wpCls}"></span>${wpText}</td>
       <td><span class="kpi-dot kpi-dot--${grCls}"></span>${grText}</td>
     </tr>`;
   }).join('');
 
+  const captured = reps.map(r => r.captured_at).filter(Boolean).sort()[0];
+  const note = !closed
+    ? 'Live'
+    : captured ? `Snapshot taken ${new Date(captured).toLocaleDateString('en-AU')}` : 'Not snapshotted yet — live';
+
   wrap.innerHTML = `
     <div class="section-label" style="margin-top:var(--space-4);">
       Team KPI Status
+      <select id="kpi-team-quarter" class="form-select" style="margin-left:var(--space-3);width:auto;" onchange="loadKpiTeam()">
+        ${recentQuarters(5).map(x => `<option value="${x.q}:${x.y}" ${`${x.q}:${x.y}` === selected ? 'selected' : ''}>${x.label}</option>`).join('')}
+      </select>
       <button class="btn btn--ghost btn--sm" style="margin-left:var(--space-3);" onclick="exportKpiCsv()">Export CSV</button>
     </div>
     <div class="card" style="padding:0;overflow:hidden;">
-      <div class="kpi-team-header text-sm text-muted" style="padding:var(--space-2) var(--space-3);">${escHtml(quarter_label)}</div>
+      <div class="kpi-team-header text-sm text-muted" style="padding:var(--space-2) var(--space-3);">${escHtml(quarter_label)} · ${note}</div>
       <div class="table-scroll">
         <table class="kpi-team-table">
           <thead>
@@ -3033,12 +6045,80 @@ function renderKpiTeamTable(data) {
           <tbody>${rows}</tbody>
         </table>
       </div>
+    </div>
+    <div id="kpi-history-wrap"></div>`;
+}
+
+// ── Quarter over quarter (one rep) ────────────────────────────────
+
+async function loadKpiHistory(repId) {
+  const wrap = el('kpi-history-wrap');
+  if (!wrap) return;
+  wrap.innerHTML = '<div class="skeleton-block" style="margin-top:var(--space-4);height:160px;"></div>';
+  const data = await api('GET', `/api/kpi/history?rep_id=${repId}&quarters=4`);
+  if (!data || data.error) { wrap.innerHTML = ''; toast(data?.error || 'Could not load KPI history.'); return; }
+
+  const qs = data.quarters;
+  // Each metric: the value to compare, how to show it, and its status dot
+  const metrics = [
+    { label: 'New Customers', value: q => q.actuals.new_customers.actual,
+      text: q => `${q.actuals.new_customers.actual}/${q.targets.new_customers}`,
+      cls: q => kpiStatusClass(q.actuals.new_customers.pct, 100) },
+    { label: 'Reactivations', value: q => q.actuals.reactivations.actual,
+      text: q => `${q.actuals.reactivations.actual}/${q.targets.reactivations}`,
+      cls: q => kpiStatusClass(q.actuals.reactivations.pct, 100) },
+    { label: 'Coverage', value: q => q.actuals.coverage.pct, unit: ' pts',
+      text: q => `${q.actuals.coverage.pct}%`,
+      cls: q => kpiStatusClass(q.actuals.coverage.pct, q.targets.coverage_pct) },
+    { label: 'Weeks Planned', value: q => q.weekly_plans.submitted,
+      text: q => `${q.weekly_plans.submitted}/${q.weekly_plans.due}`,
+      cls: q => (q.weekly_plans.submitted >= q.weekly_plans.due ? 'green' : 'red') },
+    { label: 'Revenue', value: q => q.actuals.growth.current_quarter, money: true,
+      text: q => fmt(q.actuals.growth.current_quarter, true),
+      cls: q => kpiGrowthClass(q.actuals.growth.pct, q.targets.growth_pct) },
+    { label: 'Growth', value: q => q.actuals.growth.pct, unit: ' pts',
+      text: q => (q.actuals.growth.pct === null ? '—' : `${q.actuals.growth.pct >= 0 ? '+' : ''}${q.actuals.growth.pct}%`),
+      cls: q => kpiGrowthClass(q.actuals.growth.pct, q.targets.growth_pct) },
+  ];
+
+  const change = (m, i) => {
+    if (i === 0) return '';
+    const now = m.value(qs[i]), before = m.value(qs[i - 1]);
+    if (now === null || before === null || now === before) return '';
+    const diff = now - before;
+    const shown = m.money ? fmt(Math.abs(diff), true) : `${Math.abs(diff)}${m.unit || ''}`;
+    return `<div class="kpi-history__change ${diff > 0 ? 'text-success' : 'text-danger'}">${diff > 0 ? '▲' : '▼'} ${shown}</div>`;
+  };
+
+  wrap.innerHTML = `
+    <div class="section-label" style="margin-top:var(--space-4);">${escHtml(data.name)} — Quarter over Quarter</div>
+    <div class="card" style="padding:0;overflow:hidden;">
+      <div class="table-scroll">
+        <table class="kpi-team-table">
+          <thead>
+            <tr>
+              <th></th>
+              ${qs.map(q => `<th>${escHtml(q.quarter_label)}${q.source === 'live' ? ' <span class="text-muted">(live)</span>' : ''}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${metrics.map(m => `
+              <tr>
+                <td class="kpi-team__rep">${m.label}</td>
+                ${qs.map((q, i) => `<td><span class="kpi-dot kpi-dot--${m.cls(q)}"></span>${m.text(q)}${change(m, i)}</td>`).join('')}
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${qs.length === 1 ? '<p class="text-sm text-muted" style="padding:0 16px 12px;">No closed quarters yet — they appear here once the quarter-close snapshot runs.</p>' : ''}
     </div>`;
+  wrap.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
 async function exportKpiCsv() {
   try {
-    const res = await fetch('/api/kpi/team/csv', { credentials: 'same-origin' });
+    const period = el('kpi-team-quarter')?.value;
+    const res = await fetch(period ? `/api/kpi/team/csv?${kpiQuarterQuery(period)}` : '/api/kpi/team/csv', { credentials: 'same-origin' });
     if (!res.ok) { toast('CSV export failed.'); return; }
     const blob = await res.blob();
     const url  = URL.createObjectURL(blob);
@@ -3261,8 +6341,9 @@ function renderQuarterWeekRow(w) {
 
 function renderWeekDetail(week, wd) {
   const { submitted, days } = wd;
+  const distances = wd.day_distance_km || {};
   const total = Object.values(days).reduce((s, a) => s + a.length, 0);
-  const dayCards = [1,2,3,4,5].map(d => renderPlanDayCard(d, days[d] || [], submitted, week)).join('');
+  const dayCards = [1,2,3,4,5].map(d => renderPlanDayCard(d, days[d] || [], submitted, week, distances[d], wd.home_base)).join('');
   const submitHtml = submitted
     ? `<div class="planner-submitted-badge">Plan submitted ✓</div>`
     : `<button class="btn btn--accent btn--full planner-submit-btn" onclick="submitPlannerWeek('${week}')">Submit Plan${total > 0 ? ` (${total} stores)` : ''}</button>`;
@@ -3374,7 +6455,7 @@ async function generatePlannerWeek(week) {
   const result = await api('POST', '/api/planner/generate', body);
   if (!result || result.error) { toast(result?.error || 'Generate failed.'); return; }
   toast(result.generated > 0
-    ? `Generated ${result.generated} stores.`
+    ? `Generated ${result.generated} stores${result.distance_km ? ` · ~${Math.round(result.distance_km)} km driving` : ''}.`
     : (result.message || 'No overdue stores found.'));
   _plannerWeekCache.delete(_plannerWeek);
   loadPlanner();
@@ -3397,8 +6478,11 @@ window.submitPlannerWeek = submitPlannerWeek;
 
 // ── Render day card ────────────────────────────────────────────────
 
-function renderPlanDayCard(dayNum, items, submitted, week) {
+function renderPlanDayCard(dayNum, items, submitted, week, distanceKm, homeBase) {
   if (items.length === 0) return '';
+  const distanceHtml = distanceKm != null
+    ? `<span class="plan-day-distance" title="${homeBase ? 'Estimated drive from home and back' : 'Estimated drive between stores — set a home postcode to include the trip from home'}">~${Math.round(distanceKm)} km</span>`
+    : '';
   const moveDayBtn = !submitted
     ? `<button class="btn btn--ghost btn--xs" onclick="openMoveDayModal('${week}',${dayNum})">Move Day</button>`
     : '';
@@ -3410,6 +6494,7 @@ function renderPlanDayCard(dayNum, items, submitted, week) {
       <div class="plan-day-header">
         <span class="plan-day-name">${_dayNames[dayNum]}</span>
         <span class="plan-day-count">${items.length} store${items.length !== 1 ? 's' : ''}</span>
+        ${distanceHtml}
         ${moveDayBtn}
       </div>
       ${itemsHtml}
@@ -3530,14 +6615,7 @@ el('plan-actions-backdrop').addEventListener('click', closePlanActions);
 el('plan-confirm-btn').addEventListener('click', async () => {
   const time = el('plan-confirm-time').value;
   if (!time) { toast('Enter a time first.'); return; }
-  const result = await api('PATCH', `/api/planner/items/${_planActionItemId}`, {
-    status: 'confirmed',
-    confirmed_time: time,
-  });
-  if (!result || result.error) { toast(result?.error || 'Update failed.'); return; }
-  _plannerWeekCache.delete(_planActionWeek);
-  closePlanActions();
-  loadPlanner();
+  await updatePlanItemStatus({ status: 'confirmed', confirmed_time: time });
 });
 
 el('plan-remove-btn').addEventListener('click', async () => {
@@ -3548,13 +6626,29 @@ el('plan-remove-btn').addEventListener('click', async () => {
   loadPlanner();
 });
 
-async function setPlanItemStatus(status) {
-  const result = await api('PATCH', `/api/planner/items/${_planActionItemId}`, { status });
+// Status changes can be made offline: they're queued and the cached week is
+// updated in place so the card reflects the change straight away.
+async function updatePlanItemStatus(changes) {
+  const itemId = _planActionItemId;
+  const result = await sendOrQueue('PATCH', `/api/planner/items/${itemId}`, changes, 'planner update');
   if (!result || result.error) { toast(result?.error || 'Update failed.'); return; }
-  _plannerWeekCache.delete(_planActionWeek);
+
+  if (result.queued) {
+    for (const wd of _plannerWeekCache.values()) {
+      const item = Object.values(wd.days || {}).flat().find(i => i.id === itemId);
+      if (item) Object.assign(item, changes);
+    }
+    toast('No signal — planner change saved on this phone and will sync automatically');
+  } else {
+    _plannerWeekCache.delete(_planActionWeek);
+  }
   closePlanActions();
   loadPlanner();
 }
+
+async function setPlanItemStatus(status) {
+  await updatePlanItemStatus({ status });
+}
 window.setPlanItemStatus = setPlanItemStatus;
 
 async function movePlanItemToDay(day) {
@@ -3841,6 +6935,9 @@ window.resetPlannerToSelf = resetPlannerToSelf;
 // ── Expose globals for inline onclick handlers ────────────────────────────────
 window.openUserModal      = openUserModal;
 window.resetPassword      = resetPassword;
+window.openTeamForm       = openTeamForm;
+window.closeTeamForm      = closeTeamForm;
+window.deleteTeam         = deleteTeam;
 window.openLogVisitModal  = openLogVisitModal;
 window.closeLogVisitModal = closeLogVisitModal;
 window.ackAlert           = ackAlert;
@@ -3850,11 +6947,36 @@ window.closeSkuDetail     = closeSkuDetail;
 window.openImportModal    = openImportModal;
 window.closeImportModal   = closeImportModal;
 window.importFileSelected = importFileSelected;
+window.previewImport      = previewImport;
+window.openImportProfileEditor  = openImportProfileEditor;
+window.closeImportProfileEditor = closeImportProfileEditor;
+window.loadImportHeaders  = loadImportHeaders;
+window.saveImportProfile  = saveImportProfile;
+window.deleteImportProfile = deleteImportProfile;
+window.rollbackImport     = rollbackImport;
 window.runImport          = runImport;
 window.resetImportModal   = resetImportModal;
 window.submitWeeklyPlan    = submitWeeklyPlan;
 window.renderIncentiveGrid = renderIncentiveGrid;
+window.openIncentivePlanForm  = openIncentivePlanForm;
+window.closeIncentivePlanForm = closeIncentivePlanForm;
+window.saveIncentivePlan      = saveIncentivePlan;
+window.renderPayoutStatements = renderPayoutStatements;
+window.approvePayoutStatement = approvePayoutStatement;
+window.exportPayrollCsv       = exportPayrollCsv;
+window.openAlertRuleModal  = openAlertRuleModal;
+window.setAlertRuleEnabled = setAlertRuleEnabled;
+window.setAlertRuleTier    = setAlertRuleTier;
+window.deleteAlertRule     = deleteAlertRule;
+window.openAlertActionModal = openAlertActionModal;
+window.loadAlertEffectiveness = loadAlertEffectiveness;
 window.exportKpiCsv        = exportKpiCsv;
+window.loadKpiTeam         = loadKpiTeam;
+window.loadKpiHistory      = loadKpiHistory;
+window.loadScoreboard      = loadScoreboard;
+window.openBadgeForm       = openBadgeForm;
+window.closeBadgeForm      = closeBadgeForm;
+window.saveBadge           = saveBadge;
 window.runGrading          = runGrading;
 window.refreshInvoiceCache = refreshInvoiceCache;
 window.openAddPlanStore       = openAddPlanStore;
@@ -0,0 +1,103 @@
+/* ============================================================
+   Artico Sales — Service worker (offline shell + read cache)
+   ============================================================
+   The app shell is cached on install so the PWA opens without signal.
+   A short list of read-only API calls a rep needs in the field (their
+   session, store list, planner and recent visits) is served network-first
+   and falls back to the last good response. Writes are never intercepted:
+   app.js queues visits and planner changes itself (see "Offline outbox").
+   Bump SHELL_CACHE when the shell file list changes. */
+
+'use strict';
+
+const SHELL_CACHE = 'artico-shell-v1';
+const API_CACHE   = 'artico-api-v1';   // app.js clears this on logout
+
+const SHELL_FILES = [
+  '/',
+  '/app.js',
+  '/style.css',
+  '/manifest.webmanifest',
+  '/icon.svg',
+];
+
+const CHART_JS = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.4/dist/chart.umd.min.js';
+
+// Read-only endpoints worth having offline (path prefix match, any query)
+const CACHED_API = [
+  '/auth/me',
+  '/api/stores',          // the rep's own store list (not /api/stores/:id)
+  '/api/planner/week',
+  '/api/planner/quarter',
+  '/api/visits',          // recent visits list
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((k) => k !== SHELL_CACHE && k !== API_CACHE).map((k) => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isCachedApi(url) {
+  return CACHED_API.some((p) => url.pathname === p);
+}
+
+/** Network first; on success refresh the cache, on failure serve the cached copy. */
+async function networkFirst(request, cacheName, fallback) {
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { cacheName }) || (fallback && await caches.match(fallback));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (request.url === CHART_JS) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    return;
+  }
+
+  if (isCachedApi(url)) {
+    event.respondWith(
+      networkFirst(request, API_CACHE).catch(() => new Response(
+        JSON.stringify({ error: 'You are offline and this hasn\'t been loaded before.', offline: true }),
+        { status: 503, headers: { 'Content-Type': 'application/json' } }
+      ))
+    );
+    return;
+  }
+
+  if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
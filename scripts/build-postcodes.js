@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Regenerates src/config/postcodes.js from the GeoNames postal code dump for
+ * Australia, which lists every postcode with the localities it covers.
+ *
+ *   curl -O https://download.geonames.org/export/zip/AU.zip && unzip AU.zip
+ *   npm run postcodes -- AU.txt
+ *
+ * GeoNames (https://www.geonames.org) publishes it under CC BY 4.0; the
+ * generated file says so in its header.
+ *
+ * Each postcode's centroid is the average of its localities, named after the
+ * locality closest to it. Every locality is also kept for the suburb + state
+ * lookup. Postcodes outside mainland Australia and Tasmania (Norfolk,
+ * Christmas and Cocos Islands) are left out.
+ *
+ * With --places it instead regenerates src/config/places.js — every
+ * Australian town and suburb in the GeoNames gazetteer (population over 1000,
+ * CC BY 4.0), from the cities.json npm package — for towns whose postcode
+ * isn't in the postcode table:
+ *
+ *   npm pack cities.json && tar xzf cities.json-*.tgz
+ *   npm run postcodes -- --places package/cities.json
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const OUT        = path.join(__dirname, '..', 'src', 'config', 'postcodes.js');
+const PLACES_OUT = path.join(__dirname, '..', 'src', 'config', 'places.js');
+const STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'];
+// GeoNames admin1 codes for the states
+const ADMIN1_STATES = { '01': 'ACT', '02': 'NSW', '03': 'NT', '04': 'QLD', '05': 'SA', '06': 'TAS', '07': 'VIC', '08': 'WA' };
+const STATE_NAMES = {
+  'Australian Capital Territory': 'ACT',
+  'New South Wales':              'NSW',
+  'Northern Territory':           'NT',
+  'Queensland':                   'QLD',
+  'South Australia':              'SA',
+  'Tasmania':                     'TAS',
+  'Victoria':                     'VIC',
+  'Western Australia':            'WA',
+};
+
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+const onMainland = (lat, lng) => lat < -9 && lat > -44 && lng > 112 && lng < 154;
+const q = (s) => `'${s.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;   // JS string literal
+
+/**
+ * GeoNames rows (tab-separated: country, postcode, place, state name, state
+ * code, …, latitude, longitude, accuracy) → { postcodes, localities }.
+ *   postcodes  – [postcode, suburb, state, lat, lng], one per postcode
+ *   localities – [suburb, state, lat, lng], one per suburb + state (first postcode wins)
+ */
+function buildTables(text) {
+  const byPostcode = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const cols = line.split('\t');
+    if (cols.length < 11 || cols[0] !== 'AU') continue;
+    const postcode = cols[1].trim().padStart(4, '0');
+    const place = cols[2].trim();
+    const state = STATES.includes(cols[4]) ? cols[4] : STATE_NAMES[cols[3]];
+    const lat = Number(cols[9]);
+    const lng = Number(cols[10]);
+    if (!/^\d{4}$/.test(postcode) || !place || !state || !cols[9] || !cols[10]) continue;
+    if (!onMainland(lat, lng)) continue;
+
+    if (!byPostcode.has(postcode)) byPostcode.set(postcode, []);
+    byPostcode.get(postcode).push({ place, state, lat, lng });
+  }
+
+  const postcodes = [];
+  const localities = new Map();
+  for (const postcode of [...byPostcode.keys()].sort()) {
+    const places = byPostcode.get(postcode);
+    const lat = places.reduce((sum, p) => sum + p.lat, 0) / places.length;
+    const lng = places.reduce((sum, p) => sum + p.lng, 0) / places.length;
+    const distance = (p) => (p.lat - lat) ** 2 + (p.lng - lng) ** 2;
+    const main = places.reduce((best, p) => (distance(p) < distance(best) ? p : best));
+    postcodes.push([postcode, main.place, main.state, round4(lat), round4(lng)]);
+
+    for (const p of places) {
+      const key = `${p.place.toUpperCase()}::${p.state}`;
+      if (!localities.has(key)) localities.set(key, [p.place, p.state, round4(p.lat), round4(p.lng)]);
+    }
+  }
+  return { postcodes, localities: [...localities.values()] };
+}
+
+/** src/config/postcodes.js for the tables, rows grouped by state. */
+function renderModule({ postcodes, localities }, { generatedOn }) {
+  const coord = (n) => n.toFixed(4);
+  const lines = [
+    `'use strict';`,
+    '',
+    '/**',
+    ' * Australian postcode centroids for offline geocoding (src/services/geocode.js).',
+    ' *',
+    ' * GENERATED by scripts/build-postcodes.js — edit the script, not this file.',
+    ` * Source: GeoNames postal codes for Australia (AU.txt), downloaded ${generatedOn},`,
+    ' * https://download.geonames.org/export/zip/ — licensed CC BY 4.0.',
+    ' *',
+    ' * POSTCODES: one row per postcode, [postcode, suburb, state, latitude, longitude].',
+    ' * Coordinates are the average of the localities the postcode covers, named',
+    ' * after the one closest to it (4 decimal places, ~10 m) — good enough for day',
+    ' * clustering and drive distance estimates, not for turn-by-turn directions.',
+    ' *',
+    ' * LOCALITIES: every suburb, [suburb, state, latitude, longitude], for',
+    ' * addresses with no usable postcode.',
+    ' */',
+    '',
+    'const POSTCODES = [',
+  ];
+  for (const state of STATES) {
+    const rows = postcodes.filter((r) => r[2] === state);
+    if (!rows.length) continue;
+    lines.push(`  // ── ${state} ${'─'.repeat(69 - state.length)}`);
+    for (const [postcode, suburb, , lat, lng] of rows) {
+      lines.push(`  [${q(postcode)}, ${q(suburb)}, ${q(state)}, ${coord(lat)}, ${coord(lng)}],`);
+    }
+    lines.push('');
+  }
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.push('];', '', 'const LOCALITIES = [');
+  for (const [suburb, state, lat, lng] of localities) {
+    lines.push(`  [${q(suburb)}, ${q(state)}, ${coord(lat)}, ${coord(lng)}],`);
+  }
+  lines.push('];', '', 'module.exports = { POSTCODES, LOCALITIES };', '');
+  return lines.join('\n');
+}
+
+/**
+ * cities.json entries ({ name, lat, lng, country, admin1 }) → [[name, state,
+ * lat, lng]] for Australia, sorted by state then name. A name that appears
+ * twice in one state can't be told apart by suburb + state, so it's left out.
+ */
+function buildPlaces(cities) {
+  const byKey = new Map();
+  for (const c of cities) {
+    const state = ADMIN1_STATES[c.admin1];
+    const lat = Number(c.lat);
+    const lng = Number(c.lng);
+    if (c.country !== 'AU' || !state || !c.name || !onMainland(lat, lng)) continue;
+    const key = `${c.name.toUpperCase()}::${state}`;
+    byKey.set(key, byKey.has(key) ? null : [c.name, state, round4(lat), round4(lng)]);
+  }
+  return [...byKey.values()]
+    .filter(Boolean)
+    .sort((a, b) => STATES.indexOf(a[1]) - STATES.indexOf(b[1]) || a[0].localeCompare(b[0]));
+}
+
+/** src/config/places.js for the places. */
+function renderPlaces(places, { source }) {
+  const lines = [
+    `'use strict';`,
+    '',
+    '/**',
+    ' * Australian towns and suburbs for offline geocoding by suburb + state',
+    " * (src/services/geocode.js), used when an address's postcode isn't in",
+    ' * src/config/postcodes.js.',
+    ' *',
+    ' * GENERATED by scripts/build-postcodes.js --places — edit the script, not this file.',
+    ` * Source: GeoNames gazetteer (https://www.geonames.org), places with a`,
+    ` * population over 1000, via the ${source} npm package — licensed CC BY 4.0.`,
+    ' *',
+    ' * One row per place: [name, state, latitude, longitude], 4 decimal places.',
+    ' * Names that appear twice in one state are left out.',
+    ' */',
+    '',
+    'const PLACES = [',
+  ];
+  for (const state of STATES) {
+    const rows = places.filter((r) => r[1] === state);
+    if (!rows.length) continue;
+    lines.push(`  // ── ${state} ${'─'.repeat(69 - state.length)}`);
+    for (const [name, , lat, lng] of rows) {
+      lines.push(`  [${q(name)}, ${q(state)}, ${lat.toFixed(4)}, ${lng.toFixed(4)}],`);
+    }
+    lines.push('');
+  }
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.push('];', '', 'module.exports = { PLACES };', '');
+  return lines.join('\n');
+}
+
+function runPlaces(file) {
+  const pkg = JSON.parse(fs.readFileSync(path.join(path.dirname(file), 'package.json'), 'utf8'));
+  const places = buildPlaces(JSON.parse(fs.readFileSync(file, 'utf8')));
+  if (places.length < 1000) {
+    console.error(`Only ${places.length} Australian places in ${file} — is it cities.json?`);
+    process.exit(1);
+  }
+  fs.writeFileSync(PLACES_OUT, renderPlaces(places, { source: `${pkg.name}@${pkg.version}` }));
+  console.log(`Wrote ${places.length} places to ${path.relative(process.cwd(), PLACES_OUT)}`);
+}
+
+function run() {
+  if (process.argv[2] === '--places' && process.argv[3]) return runPlaces(process.argv[3]);
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: npm run postcodes -- path/to/AU.txt');
+    console.error('       npm run postcodes -- --places path/to/cities.json');
+    process.exit(1);
+  }
+  const tables = buildTables(fs.readFileSync(file, 'utf8'));
+  if (tables.postcodes.length < 2000) {
+    console.error(`Only ${tables.postcodes.length} postcodes in ${file} — is it the GeoNames AU.txt?`);
+    process.exit(1);
+  }
+  fs.writeFileSync(OUT, renderModule(tables, { generatedOn: new Date().toISOString().slice(0, 10) }));
+  console.log(`Wrote ${tables.postcodes.length} postcodes and ${tables.localities.length} localities to ${path.relative(process.cwd(), OUT)}`);
+}
+
+if (require.main === module) run();
+
+module.exports = { buildTables, renderModule, buildPlaces, renderPlaces };
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Runs the local SMTP catcher (src/mock/smtpCatcher.js) and prints every
+ * message it receives instead of delivering it.
+ *
+ *   npm run mock:smtp          # listens on MOCK_SMTP_PORT (default 2525)
+ *
+ * Then start the app with:
+ *   SMTP_HOST=localhost SMTP_PORT=2525
+ */
+require('dotenv').config();
+const { createSmtpCatcher } = require('../src/mock/smtpCatcher');
+
+const PORT = Number(process.env.MOCK_SMTP_PORT) || 2525;
+
+const catcher = createSmtpCatcher({
+  onMessage: (m) => {
+    console.log('─'.repeat(72));
+    console.log(`From:    ${m.from}`);
+    console.log(`To:      ${m.to.join(', ')}`);
+    console.log(`Subject: ${m.subject}`);
+    console.log('');
+    console.log(m.text || '(no text part)');
+  },
+});
+
+catcher.server.listen(PORT, () => {
+  console.log(`SMTP catcher running on localhost:${PORT}`);
+  console.log(`  SMTP_HOST=localhost SMTP_PORT=${PORT}`);
+});
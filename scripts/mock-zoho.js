@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Runs the local Zoho Books stand-in (src/mock/zohoBooks.js).
+ *
+ *   npm run mock:zoho          # listens on MOCK_ZOHO_PORT (default 4010)
+ *
+ * Then start the app with:
+ *   ZOHO_BASE_URL=http://localhost:4010/books/v3
+ *   ZOHO_ACCOUNTS_URL=http://localhost:4010
+ *   ZOHO_CLIENT_ID / ZOHO_CLIENT_SECRET / ZOHO_REFRESH_TOKEN set to any non-empty value
+ */
+require('dotenv').config();
+const { createZohoMock } = require('../src/mock/zohoBooks');
+
+const PORT = Number(process.env.MOCK_ZOHO_PORT) || 4010;
+
+const mock = createZohoMock();
+
+mock.app.listen(PORT, () => {
+  const { contacts, items, invoices, creditnotes, salesorders } = mock.state;
+  console.log(`Mock Zoho Books running on http://localhost:${PORT}`);
+  console.log(`  ZOHO_BASE_URL=http://localhost:${PORT}/books/v3`);
+  console.log(`  ZOHO_ACCOUNTS_URL=http://localhost:${PORT}`);
+  console.log(
+    `  Fixtures: ${contacts.length} contacts, ${items.length} items, ${invoices.length} invoices, ` +
+    `${creditnotes.length} credit notes, ${salesorders.length} sales orders`
+  );
+});
@@ -5,6 +5,7 @@ const path       = require('path');
 const session    = require('express-session');
 const PgSession  = require('connect-pg-simple')(session);
 const pool       = require('./src/db/index');
+const { auditLog } = require('./src/middleware/audit');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
@@ -36,10 +37,14 @@ app.use(session({
 
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Record manager / executive changes in audit_log (src/middleware/audit.js)
+app.use(auditLog);
+
 // ── Routes ────────────────────────────────────────────────────────────────────
 app.use('/health',       require('./src/routes/health'));
 app.use('/auth',         require('./src/routes/auth'));
 app.use('/api/users',    require('./src/routes/users'));
+app.use('/api/teams',    require('./src/routes/teams'));
 app.use('/api/targets',   require('./src/routes/targets'));
 app.use('/api/dashboard', require('./src/routes/dashboard'));
 app.use('/api/stores',    require('./src/routes/stores'));
@@ -50,6 +55,8 @@ app.use('/api/scoreboard', require('./src/routes/scoreboard'));
 app.use('/api/grades',    require('./src/routes/grades'));
 app.use('/api/kpi',       require('./src/routes/kpi'));
 app.use('/api/planner',   require('./src/routes/planner'));
+app.use('/api/audit',     require('./src/routes/audit'));
+app.use('/api/sessions',  require('./src/routes/sessions'));
 app.use('/api',           require('./src/routes/zoho'));
 
 // ── SPA catch-all — serve index.html for unknown non-API paths ────────────────
@@ -206,27 +213,697 @@ async function runMigrations() {
   } catch (err) {
     console.error('[migrations] Failed to apply call_plan_items migration:', err.message);
   }
+
+  // ── Local invoice store (invoices, line items, credit notes) ──────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS zoho_invoices (
+        invoice_id         VARCHAR(50)   PRIMARY KEY,
+        invoice_number     VARCHAR(100),
+        customer_id        VARCHAR(50),
+        customer_name      VARCHAR(255),
+        salesperson_name   VARCHAR(255),
+        status             VARCHAR(50),
+        date               DATE          NOT NULL,
+        total              NUMERIC(12,2) NOT NULL DEFAULT 0,
+        sub_total          NUMERIC(12,2),
+        tax_total          NUMERIC(12,2),
+        last_modified_time TIMESTAMPTZ,
+        synced_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_zoho_invoices_date     ON zoho_invoices(date);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_zoho_invoices_customer ON zoho_invoices(customer_id);`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS zoho_invoice_line_items (
+        id           SERIAL        PRIMARY KEY,
+        invoice_id   VARCHAR(50)   NOT NULL REFERENCES zoho_invoices(invoice_id) ON DELETE CASCADE,
+        line_item_id VARCHAR(50),
+        item_id      VARCHAR(50),
+        name         VARCHAR(500),
+        sku          VARCHAR(100),
+        quantity     NUMERIC(12,2) NOT NULL DEFAULT 0,
+        rate         NUMERIC(12,2),
+        item_total   NUMERIC(12,2) NOT NULL DEFAULT 0,
+        position     SMALLINT      NOT NULL DEFAULT 1
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_zoho_line_items_invoice ON zoho_invoice_line_items(invoice_id);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_zoho_line_items_item    ON zoho_invoice_line_items(item_id);`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS zoho_credit_notes (
+        creditnote_id      VARCHAR(50)   PRIMARY KEY,
+        creditnote_number  VARCHAR(100),
+        customer_id        VARCHAR(50),
+        customer_name      VARCHAR(255),
+        salesperson_name   VARCHAR(255),
+        status             VARCHAR(50),
+        date               DATE          NOT NULL,
+        total              NUMERIC(12,2) NOT NULL DEFAULT 0,
+        last_modified_time TIMESTAMPTZ,
+        synced_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_zoho_credit_notes_date ON zoho_credit_notes(date);`);
+    console.log('[migrations] zoho_invoices + line items + credit notes OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply invoice store migration:', err.message);
+  }
+
+  // ── Zoho API usage counters ───────────────────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS zoho_api_usage (
+        day           DATE         NOT NULL,
+        subsystem     VARCHAR(50)  NOT NULL,
+        calls         INTEGER      NOT NULL DEFAULT 0,
+        rate_limited  INTEGER      NOT NULL DEFAULT 0,
+        server_errors INTEGER      NOT NULL DEFAULT 0,
+        updated_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (day, subsystem)
+      );
+    `);
+    console.log('[migrations] zoho_api_usage OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply zoho_api_usage migration:', err.message);
+  }
+
+  // ── Alert rules (manager-tunable thresholds) ──────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id           SERIAL       PRIMARY KEY,
+        alert_type   VARCHAR(100) NOT NULL,
+        enabled      BOOLEAN      NOT NULL DEFAULT TRUE,
+        tier         SMALLINT     NOT NULL CHECK (tier IN (1, 2)),
+        params       JSONB        NOT NULL DEFAULT '{}',
+        channel_type VARCHAR(100),
+        state        VARCHAR(50),
+        grade        CHAR(1)      CHECK (grade IN ('A', 'B', 'C')),
+        rep_id       INTEGER      REFERENCES users(id) ON DELETE CASCADE,
+        updated_by   INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_rules_scope ON alert_rules (
+        alert_type, COALESCE(channel_type, ''), COALESCE(state, ''), COALESCE(grade, ''), COALESCE(rep_id, 0)
+      );
+    `);
+    await pool.query(`
+      INSERT INTO alert_rules (alert_type, tier, params) VALUES
+        ('a_grade_visit_breach', 1, '{"days": 30}'),
+        ('high_value_unvisited', 1, '{"min_revenue": 3000, "days": 45}'),
+        ('churn_risk',           1, '{"top_pct": 20, "days": 90, "risk_pct": 25}'),
+        ('sku_gap',              1, '{"max_skus": 1, "uplift_pct": 30}'),
+        ('rep_activity_drop',    1, '{"days": 14}'),
+        ('store_outperforming',  2, '{"growth_pct": 20}'),
+        ('new_door_high_value',  2, '{"min_value": 500, "window_days": 30}')
+      ON CONFLICT DO NOTHING;
+    `);
+    console.log('[migrations] alert_rules OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply alert_rules migration:', err.message);
+  }
+
+  // ── Focus lines (brand / SKU pushes for the focus_line alert) ─────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS focus_lines (
+        id          SERIAL       PRIMARY KEY,
+        kind        VARCHAR(10)  NOT NULL CHECK (kind IN ('brand', 'sku')),
+        brand       VARCHAR(100),
+        sku         VARCHAR(100),
+        label       VARCHAR(255),
+        starts_on   DATE         NOT NULL DEFAULT CURRENT_DATE,
+        ends_on     DATE,
+        created_by  INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        CHECK ((kind = 'brand' AND brand IS NOT NULL) OR (kind = 'sku' AND sku IS NOT NULL)),
+        CHECK (ends_on IS NULL OR ends_on >= starts_on)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_focus_lines_dates ON focus_lines (starts_on, ends_on);`);
+    await pool.query(`
+      INSERT INTO alert_rules (alert_type, tier, params) VALUES
+        ('brand_underindex', 2, '{"share_ratio_pct": 50, "min_peer_share_pct": 10, "min_revenue": 1000, "min_peers": 5}'),
+        ('focus_line',       2, '{"min_revenue": 1000}')
+      ON CONFLICT DO NOTHING;
+    `);
+    console.log('[migrations] focus_lines OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply focus_lines migration:', err.message);
+  }
+
+  // ── Notification preferences + digest log ─────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_prefs (
+        user_id         INTEGER      PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        digest          VARCHAR(10)  NOT NULL DEFAULT 'daily' CHECK (digest IN ('off', 'daily', 'weekly')),
+        weekly_day      SMALLINT     NOT NULL DEFAULT 1 CHECK (weekly_day BETWEEN 1 AND 7),
+        max_tier        SMALLINT     NOT NULL DEFAULT 2 CHECK (max_tier IN (1, 2)),
+        last_digest_at  TIMESTAMPTZ,
+        updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_log (
+        id           SERIAL       PRIMARY KEY,
+        user_id      INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind         VARCHAR(20)  NOT NULL,
+        status       VARCHAR(20)  NOT NULL,
+        alert_count  INTEGER      NOT NULL DEFAULT 0,
+        transport    VARCHAR(20),
+        message_id   VARCHAR(255),
+        error        TEXT,
+        sent_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_notification_log_user ON notification_log (user_id, sent_at DESC);`);
+    console.log('[migrations] notification_prefs OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply notification_prefs migration:', err.message);
+  }
+
+  // ── Alert lifecycle (snooze / assign / resolve + event history) ────────────
+  try {
+    await pool.query(`
+      ALTER TABLE alert_log
+        ADD COLUMN IF NOT EXISTS status        VARCHAR(20) NOT NULL DEFAULT 'open'
+                                               CHECK (status IN ('open', 'snoozed', 'resolved')),
+        ADD COLUMN IF NOT EXISTS snoozed_until DATE,
+        ADD COLUMN IF NOT EXISTS assigned_to   INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS outcome       VARCHAR(30);
+    `);
+    await pool.query(`
+      UPDATE alert_log SET status = 'resolved', outcome = 'acknowledged'
+      WHERE acknowledged_at IS NOT NULL AND status = 'open';
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_alert_log_assigned_to ON alert_log(assigned_to);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_alert_log_store_open  ON alert_log(store_id) WHERE acknowledged_at IS NULL;`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS alert_events (
+        id          SERIAL       PRIMARY KEY,
+        alert_id    INTEGER      NOT NULL REFERENCES alert_log(id) ON DELETE CASCADE,
+        event       VARCHAR(20)  NOT NULL,
+        user_id     INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        detail      JSONB        NOT NULL DEFAULT '{}',
+        created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, created_at);`);
+    console.log('[migrations] alert lifecycle OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply alert lifecycle migration:', err.message);
+  }
+
+  // ── Store geocodes + rep home bases (route-optimised call plans) ───────────
+  try {
+    await pool.query(`
+      ALTER TABLE stores
+        ADD COLUMN IF NOT EXISTS suburb         VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS latitude       DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS longitude      DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS geocode_source VARCHAR(20);
+    `);
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS home_postcode  VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS home_latitude  DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS home_longitude DOUBLE PRECISION;
+    `);
+    console.log('[migrations] geocodes OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply geocodes migration:', err.message);
+  }
+
+  // ── Structured visit outcomes ──────────────────────────────────────────────
+  try {
+    await pool.query(`
+      ALTER TABLE visits
+        ADD COLUMN IF NOT EXISTS order_taken       BOOLEAN,
+        ADD COLUMN IF NOT EXISTS order_value       NUMERIC(12,2),
+        ADD COLUMN IF NOT EXISTS salesorder_number VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS merchandised      BOOLEAN,
+        ADD COLUMN IF NOT EXISTS competitor_brands TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS brands_discussed  TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS follow_up_date    DATE,
+        ADD COLUMN IF NOT EXISTS contact_name      VARCHAR(120);
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_visits_follow_up ON visits(follow_up_date) WHERE follow_up_date IS NOT NULL;`);
+    await pool.query(`
+      INSERT INTO alert_rules (alert_type, tier, params) VALUES
+        ('no_order_streak', 1, '{"visits": 3}')
+      ON CONFLICT DO NOTHING;
+    `);
+    console.log('[migrations] visit outcomes OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply visit outcomes migration:', err.message);
+  }
+
+  // ── Idempotent visit logging (offline replay) ──────────────────────────────
+  try {
+    await pool.query(`ALTER TABLE visits ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100);`);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_visits_idempotency
+        ON visits(rep_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+    `);
+    console.log('[migrations] visit idempotency OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply visit idempotency migration:', err.message);
+  }
+
+  // ── GPS check-in verification ──────────────────────────────────────────────
+  try {
+    await pool.query(`
+      ALTER TABLE visits
+        ADD COLUMN IF NOT EXISTS checkin_latitude    DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS checkin_longitude   DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS checkin_accuracy_m  INTEGER,
+        ADD COLUMN IF NOT EXISTS checkin_captured_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS checkin_distance_m  INTEGER,
+        ADD COLUMN IF NOT EXISTS checkin_verified    BOOLEAN,
+        ADD COLUMN IF NOT EXISTS checkin_flags       TEXT[] NOT NULL DEFAULT '{}';
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_visits_checkin ON visits(rep_id, visited_at) WHERE checkin_verified IS NOT NULL;`);
+    console.log('[migrations] visit check-in OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply visit check-in migration:', err.message);
+  }
+
+  // ── Visit import profiles ──────────────────────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_profiles (
+        id              SERIAL       PRIMARY KEY,
+        name            VARCHAR(100) UNIQUE NOT NULL,
+        header_row      INTEGER      NOT NULL DEFAULT 1 CHECK (header_row >= 1),
+        columns         JSONB        NOT NULL,
+        date_format     VARCHAR(3)   NOT NULL DEFAULT 'DMY' CHECK (date_format IN ('DMY', 'MDY', 'YMD')),
+        timezone        VARCHAR(64)  NOT NULL DEFAULT 'Australia/Sydney',
+        account_prefix  VARCHAR(20),
+        phone_values    TEXT[]       NOT NULL DEFAULT '{phone}',
+        created_by      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      INSERT INTO import_profiles (name, header_row, columns, date_format, timezone, account_prefix, phone_values)
+      VALUES (
+        'PixSell diary / calls', 5,
+        '{"date": "#1", "time": "#2", "store_id": "#5", "note": "#8", "rep_code": "#19", "visit_type": "#28"}',
+        'DMY', 'Australia/Brisbane', '1748', '{phone}'
+      )
+      ON CONFLICT (name) DO NOTHING;
+    `);
+    console.log('[migrations] import profiles OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply import profiles migration:', err.message);
+  }
+
+  // ── Visit import jobs ──────────────────────────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id              SERIAL       PRIMARY KEY,
+        profile_id      INTEGER      REFERENCES import_profiles(id) ON DELETE SET NULL,
+        profile_name    VARCHAR(100) NOT NULL,
+        file_name       VARCHAR(255) NOT NULL,
+        file_sha256     CHAR(64)     NOT NULL,
+        file_headers    TEXT[]       NOT NULL DEFAULT '{}',
+        uploaded_by     INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        status          VARCHAR(20)  NOT NULL CHECK (status IN ('completed', 'failed', 'rolled_back')),
+        total_rows      INTEGER      NOT NULL DEFAULT 0,
+        imported        INTEGER      NOT NULL DEFAULT 0,
+        duplicates      INTEGER      NOT NULL DEFAULT 0,
+        skipped         JSONB        NOT NULL DEFAULT '{}',
+        error           TEXT,
+        created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        rolled_back_at  TIMESTAMPTZ,
+        rolled_back_by  INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        rolled_back_visits INTEGER
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_import_jobs_sha ON import_jobs(file_sha256);`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_job_rows (
+        job_id    INTEGER     NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+        line      INTEGER     NOT NULL,
+        outcome   VARCHAR(20) NOT NULL CHECK (outcome IN ('imported', 'duplicate', 'skipped')),
+        reason    VARCHAR(30),
+        visit_id  INTEGER     REFERENCES visits(id) ON DELETE SET NULL,
+        cells     JSONB,
+        PRIMARY KEY (job_id, line)
+      );
+    `);
+    await pool.query(`ALTER TABLE visits ADD COLUMN IF NOT EXISTS import_job_id INTEGER REFERENCES import_jobs(id) ON DELETE SET NULL;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_visits_import_job ON visits(import_job_id) WHERE import_job_id IS NOT NULL;`);
+    console.log('[migrations] import jobs OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply import jobs migration:', err.message);
+  }
+
+  // ── Teams ──────────────────────────────────────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS teams (
+        id          SERIAL       PRIMARY KEY,
+        name        VARCHAR(100) UNIQUE NOT NULL,
+        states      TEXT[]       NOT NULL DEFAULT '{}',
+        manager_id  INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_teams_manager ON teams(manager_id);`);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_users_team ON users(team_id);`);
+    console.log('[migrations] teams OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply teams migration:', err.message);
+  }
+
+  // ── Store assignment history ───────────────────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS territory_transfers (
+        id              SERIAL       PRIMARY KEY,
+        criteria        JSONB        NOT NULL,
+        to_rep_id       INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        effective_from  DATE         NOT NULL,
+        store_count     INTEGER      NOT NULL DEFAULT 0,
+        note            TEXT,
+        zoho_writeback  VARCHAR(20)  NOT NULL DEFAULT 'off'
+                        CHECK (zoho_writeback IN ('off', 'pending', 'done', 'partial', 'failed')),
+        zoho_errors     JSONB        NOT NULL DEFAULT '[]',
+        created_by      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_assignments (
+        id              SERIAL       PRIMARY KEY,
+        store_id        INTEGER      NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        rep_id          INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        effective_from  DATE,
+        effective_to    DATE,
+        source          VARCHAR(20)  NOT NULL CHECK (source IN ('backfill', 'zoho_sync', 'transfer')),
+        transfer_id     INTEGER      REFERENCES territory_transfers(id) ON DELETE SET NULL,
+        created_by      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        CHECK (effective_to IS NULL OR effective_from IS NULL OR effective_to > effective_from)
+      );
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_store_assignments_current ON store_assignments(store_id) WHERE effective_to IS NULL;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_store_assignments_transfer ON store_assignments(transfer_id) WHERE transfer_id IS NOT NULL;`);
+    await pool.query(`ALTER TABLE stores ADD COLUMN IF NOT EXISTS zoho_rep_id INTEGER REFERENCES users(id) ON DELETE SET NULL;`);
+    await pool.query(`
+      UPDATE stores s SET zoho_rep_id = s.rep_id
+      WHERE NOT EXISTS (SELECT 1 FROM store_assignments a WHERE a.store_id = s.id);
+    `);
+    await pool.query(`
+      INSERT INTO store_assignments (store_id, rep_id, source)
+      SELECT s.id, s.rep_id, 'backfill' FROM stores s
+      WHERE NOT EXISTS (SELECT 1 FROM store_assignments a WHERE a.store_id = s.id);
+    `);
+    console.log('[migrations] store assignments OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply store assignments migration:', err.message);
+  }
+
+  // ── audit log (migration 025) ─────────────────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id           BIGSERIAL    PRIMARY KEY,
+        user_id      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+        role         VARCHAR(20),
+        method       VARCHAR(10)  NOT NULL,
+        path         TEXT         NOT NULL,
+        action       TEXT         NOT NULL,
+        entity_type  VARCHAR(50),
+        entity_id    TEXT,
+        before       JSONB,
+        after        JSONB,
+        status_code  SMALLINT,
+        ip           VARCHAR(64),
+        created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity  ON audit_log(entity_type, entity_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_user    ON audit_log(user_id, created_at DESC)`);
+    console.log('[migrations] audit log OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply audit log migration:', err.message);
+  }
+
+  // ── password recovery + sign-in lockout (migration 026) ───────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id            SERIAL       PRIMARY KEY,
+        user_id       INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash    CHAR(64)     NOT NULL UNIQUE,
+        expires_at    TIMESTAMPTZ  NOT NULL,
+        used_at       TIMESTAMPTZ,
+        requested_ip  VARCHAR(64),
+        created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at DESC)`);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_logins INTEGER NOT NULL DEFAULT 0`);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until  TIMESTAMPTZ`);
+    console.log('[migrations] password recovery OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply password recovery migration:', err.message);
+  }
+
+  // ── two-factor authentication (migration 027) ─────────────────────────────
+  try {
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret         TEXT`);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT`);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at     TIMESTAMPTZ`);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step      BIGINT`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id          SERIAL       PRIMARY KEY,
+        user_id     INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash   CHAR(64)     NOT NULL,
+        used_at     TIMESTAMPTZ,
+        created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id)`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS trusted_devices (
+        id            SERIAL       PRIMARY KEY,
+        user_id       INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash    CHAR(64)     NOT NULL UNIQUE,
+        user_agent    TEXT,
+        ip            VARCHAR(64),
+        expires_at    TIMESTAMPTZ  NOT NULL,
+        last_used_at  TIMESTAMPTZ,
+        created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_trusted_devices_user ON trusted_devices(user_id)`);
+    // Sign out manager / executive sessions from before 2FA (no-op once they've all gone)
+    await pool.query(`
+      DELETE FROM "session"
+      WHERE sess->>'role' IN ('manager', 'executive') AND sess->>'mfa' IS NULL
+    `);
+    console.log('[migrations] two-factor OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply two-factor migration:', err.message);
+  }
+
+  // ── incentive plans + payout statements (migration 028) ───────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS incentive_plans (
+        id                    SERIAL        PRIMARY KEY,
+        name                  VARCHAR(100)  UNIQUE NOT NULL,
+        on_target_amount      NUMERIC(12,2) NOT NULL,
+        weights               JSONB         NOT NULL,
+        threshold_pct         INTEGER       NOT NULL DEFAULT 50,
+        accelerator           NUMERIC(4,2)  NOT NULL DEFAULT 1,
+        cap_pct               INTEGER       NOT NULL DEFAULT 150,
+        require_weekly_plans  BOOLEAN       NOT NULL DEFAULT FALSE,
+        min_coverage_pct      INTEGER,
+        is_default            BOOLEAN       NOT NULL DEFAULT FALSE,
+        created_by            INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+        created_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+        updated_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_incentive_plans_default ON incentive_plans(is_default) WHERE is_default`);
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS incentive_plan_id INTEGER REFERENCES incentive_plans(id) ON DELETE SET NULL`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS incentive_statements (
+        id           SERIAL        PRIMARY KEY,
+        rep_id       INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        quarter      SMALLINT      NOT NULL CHECK (quarter BETWEEN 1 AND 4),
+        year         SMALLINT      NOT NULL,
+        plan_id      INTEGER       REFERENCES incentive_plans(id) ON DELETE SET NULL,
+        plan         JSONB         NOT NULL,
+        kpis         JSONB         NOT NULL,
+        lines        JSONB         NOT NULL,
+        gates        JSONB         NOT NULL,
+        payout       NUMERIC(12,2) NOT NULL,
+        approved_by  INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+        approved_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+        UNIQUE (rep_id, quarter, year)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_incentive_statements_period ON incentive_statements(year, quarter)`);
+    console.log('[migrations] incentive plans OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply incentive plans migration:', err.message);
+  }
+
+  // ── KPI snapshots (migration 029) ─────────────────────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS kpi_snapshots (
+        id                    SERIAL        PRIMARY KEY,
+        rep_id                INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        quarter               SMALLINT      NOT NULL CHECK (quarter BETWEEN 1 AND 4),
+        year                  SMALLINT      NOT NULL,
+        target_new_customers  SMALLINT      NOT NULL,
+        target_reactivations  SMALLINT      NOT NULL,
+        target_coverage_pct   SMALLINT      NOT NULL,
+        target_growth_pct     SMALLINT      NOT NULL,
+        new_customers         INTEGER       NOT NULL,
+        reactivations         INTEGER       NOT NULL,
+        stores_covered        INTEGER       NOT NULL,
+        stores_total          INTEGER       NOT NULL,
+        coverage_pct          INTEGER       NOT NULL,
+        revenue               NUMERIC(14,2) NOT NULL,
+        ly_revenue            NUMERIC(14,2) NOT NULL,
+        growth_pct            INTEGER,
+        weeks_planned         SMALLINT      NOT NULL,
+        weeks_due             SMALLINT      NOT NULL,
+        captured_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+        UNIQUE (rep_id, quarter, year)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_kpi_snapshots_period ON kpi_snapshots(year, quarter)`);
+    console.log('[migrations] KPI snapshots OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply KPI snapshots migration:', err.message);
+  }
+
+  // ── Scoreboard history + badges (migration 030) ───────────────────────────
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scoreboard_snapshots (
+        id                      SERIAL       PRIMARY KEY,
+        month                   DATE         NOT NULL,
+        rep_id                  INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        rev_per_visit           INTEGER      NOT NULL,
+        visit_count             INTEGER      NOT NULL,
+        growth_pct              INTEGER,
+        new_doors               INTEGER      NOT NULL,
+        reactivation_pct        INTEGER      NOT NULL,
+        rev_per_visit_rank      SMALLINT     NOT NULL,
+        growth_pct_rank         SMALLINT     NOT NULL,
+        new_doors_rank          SMALLINT     NOT NULL,
+        reactivation_pct_rank   SMALLINT     NOT NULL,
+        captured_at             TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+        UNIQUE (month, rep_id)
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS badges (
+        id          SERIAL        PRIMARY KEY,
+        name        VARCHAR(100)  UNIQUE NOT NULL,
+        icon        VARCHAR(16)   NOT NULL DEFAULT '🏅',
+        kind        VARCHAR(30)   NOT NULL CHECK (kind IN ('new_door_value', 'quarter_visits', 'top_streak')),
+        threshold   NUMERIC(12,2) NOT NULL CHECK (threshold > 0),
+        metric      VARCHAR(30),
+        active      BOOLEAN       NOT NULL DEFAULT TRUE,
+        created_by  INTEGER       REFERENCES users(id) ON DELETE SET NULL,
+        created_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rep_badges (
+        id          SERIAL        PRIMARY KEY,
+        badge_id    INTEGER       NOT NULL REFERENCES badges(id) ON DELETE CASCADE,
+        rep_id      INTEGER       NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        period      VARCHAR(20)   NOT NULL DEFAULT '',
+        earned_on   DATE          NOT NULL,
+        awarded_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+        UNIQUE (badge_id, rep_id, period)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_rep_badges_rep ON rep_badges(rep_id)`);
+    await pool.query(`
+      INSERT INTO badges (name, icon, kind, threshold, metric)
+      SELECT * FROM (VALUES
+        ('Big Opener',         '💰', 'new_door_value', 10000, NULL),
+        ('Century',            '💯', 'quarter_visits', 100,   NULL),
+        ('Door Opener Streak', '🔥', 'top_streak',     3,     'newDoors')
+      ) AS seed(name, icon, kind, threshold, metric)
+      WHERE NOT EXISTS (SELECT 1 FROM badges)
+    `);
+    console.log('[migrations] Scoreboard history OK');
+  } catch (err) {
+    console.error('[migrations] Failed to apply scoreboard history migration:', err.message);
+  }
 }
 
 // ── Start ─────────────────────────────────────────────────────────────────────
 app.listen(PORT, async () => {
   console.log(`Artico Sales App running on http://localhost:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  if (process.env.NODE_ENV === 'production' && require('./src/services/mailer').getTransport().name === 'log') {
+    console.error('[mailer] No SMTP_HOST set — password reset links will not be sent');
+  }
 
   await runMigrations();
 
+  // Fill in coordinates for stores not geocoded yet (offline lookup, no API calls)
+  const { geocodeStores } = require('./src/services/geocode');
+  await geocodeStores().catch((err) => console.error('[geocode] Store backfill failed:', err.message));
+
   // Load persisted Zoho refresh token from DB (falls back to env var on first run)
-  const { initZohoTokens } = require('./src/services/zoho');
+  // and today's API call count so the daily quota survives restarts
+  const { initZohoTokens, initApiUsage } = require('./src/services/zoho');
   await initZohoTokens();
+  await initApiUsage();
 
   // Start background Zoho sync scheduler (runs every 60 minutes)
   const { startScheduler } = require('./src/services/sync');
   startScheduler();
 
-  // Schedule nightly alert engine + prospect classification at 02:00 AEST / AEDT
+  // Schedule nightly alert engine + email digests + prospect classification + badges at 02:00 AEST / AEDT
   const cron = require('node-cron');
   const { runAlertEngine } = require('./src/services/alertEngine');
+  const { runAlertDigests } = require('./src/services/alertDigest');
+  const { awardBadges, closeLastMonth } = require('./src/services/scoreboard');
   const { classifyProspects: _classifyProspects, promoteActiveProspects: _promoteActiveProspects, downgradeInactiveToProspect: _downgradeInactiveToProspect } = require('./src/services/grading');
+  // Nightly full invoice + credit note pull at 01:00 AEST / AEDT, before the
+  // alert engine. Incremental syncs can't see documents deleted in Zoho; a
+  // full pull drops them so they stop counting as revenue.
+  const { syncInvoices, syncCreditNotes } = require('./src/services/sync');
+  const { withZohoSubsystem } = require('./src/services/zoho');
+  cron.schedule('0 1 * * *', () => withZohoSubsystem('sync', async () => {
+    console.log('[cron] Running nightly full invoice + credit note sync');
+    await syncInvoices({ full: true }).catch((err) =>
+      console.error('[cron] Nightly full invoice sync error:', err.message)
+    );
+    await syncCreditNotes({ full: true }).catch((err) =>
+      console.error('[cron] Nightly full credit note sync error:', err.message)
+    );
+  }), { timezone: 'Australia/Sydney' });
+
   cron.schedule('0 2 * * *', async () => {
     console.log('[cron] Running nightly alert engine');
     try {
@@ -235,9 +912,16 @@ app.listen(PORT, async () => {
       console.error('[cron] Alert engine error:', err.message);
     }
 
+    // Digests go out after the engine so they include tonight's alerts
+    console.log('[cron] Sending alert email digests');
+    try {
+      await runAlertDigests();
+    } catch (err) {
+      console.error('[cron] Alert digest error:', err.message);
+    }
+
     // Nightly prospect classification ensures stores that lapse out of the
     // 24-month activity window get their P badge within a day, not just quarterly.
-    // Runs after the alert engine so the invoice cache is already warm.
     console.log('[cron] Running nightly prospect classification');
     try {
       await _classifyProspects();
@@ -246,11 +930,20 @@ app.listen(PORT, async () => {
     } catch (err) {
       console.error('[cron] Nightly prospect classification error:', err.message);
     }
+
+    // Badges for visits and new doors don't wait for month close
+    console.log('[cron] Awarding scoreboard badges');
+    try {
+      await awardBadges();
+    } catch (err) {
+      console.error('[cron] Badge award error:', err.message);
+    }
   }, { timezone: 'Australia/Sydney' });
 
-  // Auto-grade ungraded stores 120 seconds after startup (after invoice cache warms)
-  // Scheduler starts at 30s and pre-warms both 13m and 24m cache windows.
-  // 120s gives enough time for the 24m Zoho fetch to complete before grading runs.
+  // Auto-grade ungraded stores 120 seconds after startup.
+  // Scheduler starts the incremental invoice sync at 30s; invoices already in
+  // Postgres are readable immediately, and on a fresh database 120s gives the
+  // 24m backfill time to complete before grading runs.
   const { runAutoGrading, runQuarterlyGrading, classifyProspects, promoteActiveProspects, downgradeInactiveToProspect } = require('./src/services/grading');
   setTimeout(async () => {
     try {
@@ -278,4 +971,28 @@ app.listen(PORT, async () => {
       console.error('[cron] Quarterly grading error:', err.message);
     }
   }, { timezone: 'Australia/Sydney' });
+
+  // Quarter close — snapshot every rep's KPIs for the quarter just ended,
+  // 1 Jan/Apr/Jul/Oct at 04:00 AEST, after the last day's grading and syncs
+  const { closeLastQuarter } = require('./src/services/kpiSnapshots');
+  cron.schedule('0 4 1 1,4,7,10 *', async () => {
+    console.log('[cron] Running quarter-close KPI snapshots');
+    try {
+      await closeLastQuarter();
+    } catch (err) {
+      console.error('[cron] Quarter-close KPI snapshots error:', err.message);
+    }
+  }, { timezone: 'Australia/Sydney' });
+
+  // Month close — snapshot the scoreboard for the month just ended, then award
+  // badges (a new snapshot can finish a streak), 1st of the month at 04:30 AEST
+  cron.schedule('30 4 1 * *', async () => {
+    console.log('[cron] Running month-close scoreboard snapshot');
+    try {
+      await closeLastMonth();
+      await awardBadges();
+    } catch (err) {
+      console.error('[cron] Month-close scoreboard error:', err.message);
+    }
+  }, { timezone: 'Australia/Sydney' });
 });
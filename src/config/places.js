@@ -0,0 +1,3854 @@
+'use strict';
+
+/**
+ * Australian towns and suburbs for offline geocoding by suburb + state
+ * (src/services/geocode.js), used when an address's postcode isn't in
+ * src/config/postcodes.js.
+ *
+ * GENERATED by scripts/build-postcodes.js --places — edit the script, not this file.
+ * Source: GeoNames gazetteer (https://www.geonames.org), places with a
+ * population over 1000, via the cities.json@1.1.64 npm package — licensed CC BY 4.0.
+ *
+ * One row per place: [name, state, latitude, longitude], 4 decimal places.
+ * Names that appear twice in one state are left out.
+ */
+
+const PLACES = [
+  // ── ACT ──────────────────────────────────────────────────────────────────
+  ['Acton', 'ACT', -35.2777, 149.1183],
+  ['Ainslie', 'ACT', -35.2625, 149.1437],
+  ['Amaroo', 'ACT', -35.1696, 149.1280],
+  ['Aranda', 'ACT', -35.2582, 149.0804],
+  ['Banks', 'ACT', -35.4719, 149.0997],
+  ['Barton', 'ACT', -35.3049, 149.1412],
+  ['Belconnen', 'ACT', -35.2380, 149.0663],
+  ['Bonner', 'ACT', -35.1622, 149.1386],
+  ['Bonython', 'ACT', -35.4333, 149.0782],
+  ['Braddon', 'ACT', -35.2708, 149.1357],
+  ['Bruce', 'ACT', -35.2440, 149.0908],
+  ['Calwell', 'ACT', -35.4404, 149.1071],
+  ['Campbell', 'ACT', -35.2891, 149.1538],
+  ['Canberra', 'ACT', -35.2835, 149.1281],
+  ['Canberra City', 'ACT', -35.2812, 149.1293],
+  ['Casey', 'ACT', -35.1670, 149.0947],
+  ['Chapman', 'ACT', -35.3562, 149.0374],
+  ['Charnwood', 'ACT', -35.2002, 149.0341],
+  ['Chifley', 'ACT', -35.3534, 149.0768],
+  ['Chisholm', 'ACT', -35.4125, 149.1283],
+  ['Conder', 'ACT', -35.4593, 149.1042],
+  ['Cook', 'ACT', -35.2601, 149.0657],
+  ['Coombs', 'ACT', -35.3163, 149.0394],
+  ['Crace', 'ACT', -35.2028, 149.1074],
+  ['Curtin', 'ACT', -35.3246, 149.0776],
+  ['Deakin', 'ACT', -35.3193, 149.1031],
+  ['Dickson', 'ACT', -35.2508, 149.1393],
+  ['Downer', 'ACT', -35.2446, 149.1447],
+  ['Duffy', 'ACT', -35.3346, 149.0319],
+  ['Dunlop', 'ACT', -35.1940, 149.0198],
+  ['Evatt', 'ACT', -35.2119, 149.0689],
+  ['Fadden', 'ACT', -35.4050, 149.1166],
+  ['Farrer', 'ACT', -35.3767, 149.1050],
+  ['Fisher', 'ACT', -35.3613, 149.0570],
+  ['Florey', 'ACT', -35.2259, 149.0500],
+  ['Flynn', 'ACT', -35.2059, 149.0439],
+  ['Forde', 'ACT', -35.1682, 149.1461],
+  ['Forrest', 'ACT', -35.3150, 149.1286],
+  ['Franklin', 'ACT', -35.1995, 149.1433],
+  ['Fraser', 'ACT', -35.1917, 149.0453],
+  ['Garran', 'ACT', -35.3421, 149.1085],
+  ['Gilmore', 'ACT', -35.4199, 149.1348],
+  ['Giralang', 'ACT', -35.2109, 149.0960],
+  ['Gordon', 'ACT', -35.4568, 149.0850],
+  ['Gowrie', 'ACT', -35.4119, 149.1090],
+  ['Greenway', 'ACT', -35.4183, 149.0666],
+  ['Griffith', 'ACT', -35.3253, 149.1371],
+  ['Gungahlin', 'ACT', -35.1867, 149.1362],
+  ['Hackett', 'ACT', -35.2495, 149.1635],
+  ['Harrison', 'ACT', -35.1991, 149.1563],
+  ['Hawker', 'ACT', -35.2471, 149.0367],
+  ['Higgins', 'ACT', -35.2324, 149.0272],
+  ['Holder', 'ACT', -35.3344, 149.0461],
+  ['Holt', 'ACT', -35.2244, 149.0119],
+  ['Hughes', 'ACT', -35.3327, 149.0949],
+  ['Isaacs', 'ACT', -35.3686, 149.1156],
+  ['Isabella Plains', 'ACT', -35.4283, 149.0880],
+  ['Kaleen', 'ACT', -35.2181, 149.1052],
+  ['Kambah', 'ACT', -35.3862, 149.0580],
+  ['Kingston', 'ACT', -35.3152, 149.1466],
+  ['Latham', 'ACT', -35.2165, 149.0314],
+  ['Lyneham', 'ACT', -35.2398, 149.1307],
+  ['Lyons', 'ACT', -35.3406, 149.0740],
+  ['Macarthur', 'ACT', -35.4088, 149.1270],
+  ['Macgregor', 'ACT', -35.2098, 149.0110],
+  ['Macquarie', 'ACT', -35.2513, 149.0636],
+  ['Mawson', 'ACT', -35.3634, 149.0986],
+  ['McKellar', 'ACT', -35.2175, 149.0770],
+  ['Melba', 'ACT', -35.2102, 149.0541],
+  ['Monash', 'ACT', -35.4158, 149.0906],
+  ['Narrabundah', 'ACT', -35.3357, 149.1492],
+  ['Ngunnawal', 'ACT', -35.1728, 149.1115],
+  ['Nicholls', 'ACT', -35.1873, 149.0965],
+  ['O\'Connor', 'ACT', -35.2564, 149.1125],
+  ['Oxley', 'ACT', -35.4095, 149.0786],
+  ['Page', 'ACT', -35.2386, 149.0499],
+  ['Palmerston', 'ACT', -35.1945, 149.1194],
+  ['Pearce', 'ACT', -35.3622, 149.0834],
+  ['Phillip', 'ACT', -35.3503, 149.0915],
+  ['Red Hill', 'ACT', -35.3262, 149.1191],
+  ['Reid', 'ACT', -35.2858, 149.1391],
+  ['Richardson', 'ACT', -35.4279, 149.1138],
+  ['Rivett', 'ACT', -35.3471, 149.0379],
+  ['Scullin', 'ACT', -35.2346, 149.0390],
+  ['Spence', 'ACT', -35.1987, 149.0644],
+  ['Stirling', 'ACT', -35.3497, 149.0493],
+  ['Theodore', 'ACT', -35.4496, 149.1197],
+  ['Torrens', 'ACT', -35.3720, 149.0877],
+  ['Tuggeranong', 'ACT', -35.4165, 149.0695],
+  ['Turner', 'ACT', -35.2688, 149.1247],
+  ['Wanniassa', 'ACT', -35.3978, 149.0909],
+  ['Waramanga', 'ACT', -35.3530, 149.0621],
+  ['Watson', 'ACT', -35.2381, 149.1527],
+  ['Weetangera', 'ACT', -35.2500, 149.0500],
+  ['Weston', 'ACT', -35.3358, 149.0593],
+  ['Wright', 'ACT', -35.3224, 149.0346],
+  ['Yarralumla', 'ACT', -35.2998, 149.1059],
+
+  // ── NSW ──────────────────────────────────────────────────────────────────
+  ['Abbotsbury', 'NSW', -33.8701, 150.8612],
+  ['Abbotsford', 'NSW', -33.8489, 151.1280],
+  ['Abercrombie', 'NSW', -33.3887, 149.5458],
+  ['Aberdare', 'NSW', -32.8411, 151.3817],
+  ['Aberdeen', 'NSW', -32.1659, 150.8900],
+  ['Aberglasslyn', 'NSW', -32.7000, 151.5333],
+  ['Abermain', 'NSW', -32.8074, 151.4275],
+  ['Acacia Gardens', 'NSW', -33.7316, 150.9164],
+  ['Adamstown', 'NSW', -32.9382, 151.7254],
+  ['Adamstown Heights', 'NSW', -32.9491, 151.7101],
+  ['Airds', 'NSW', -34.0860, 150.8332],
+  ['Albion Park', 'NSW', -34.5713, 150.7757],
+  ['Albion Park Rail', 'NSW', -34.5663, 150.7918],
+  ['Albury', 'NSW', -36.0748, 146.9240],
+  ['Aldavilla', 'NSW', -31.0818, 152.7679],
+  ['Alexandria', 'NSW', -33.8999, 151.1995],
+  ['Alfords Point', 'NSW', -33.9874, 151.0253],
+  ['Allambie Heights', 'NSW', -33.7665, 151.2498],
+  ['Allawah', 'NSW', -33.9726, 151.1144],
+  ['Alstonville', 'NSW', -28.8419, 153.4402],
+  ['Ambarvale', 'NSW', -34.0894, 150.7966],
+  ['Anna Bay', 'NSW', -32.7814, 152.0859],
+  ['Annandale', 'NSW', -33.8833, 151.1667],
+  ['Annangrove', 'NSW', -33.6576, 150.9476],
+  ['Appin', 'NSW', -34.2035, 150.7864],
+  ['Arcadia', 'NSW', -33.6167, 151.0333],
+  ['Arcadia vale', 'NSW', -33.0605, 151.5841],
+  ['Argenton', 'NSW', -32.9350, 151.6306],
+  ['Armidale', 'NSW', -30.5012, 151.6655],
+  ['Arncliffe', 'NSW', -33.9363, 151.1482],
+  ['Artarmon', 'NSW', -33.8167, 151.1833],
+  ['Ashbury', 'NSW', -33.8978, 151.1196],
+  ['Ashcroft', 'NSW', -33.9160, 150.8998],
+  ['Ashfield', 'NSW', -33.8883, 151.1227],
+  ['Ashmont', 'NSW', -35.1249, 147.3317],
+  ['Ashtonfield', 'NSW', -32.7733, 151.6058],
+  ['Asquith', 'NSW', -33.6870, 151.1163],
+  ['Auburn', 'NSW', -33.8500, 151.0333],
+  ['Austinmer', 'NSW', -34.3052, 150.9334],
+  ['Austral', 'NSW', -33.9274, 150.8081],
+  ['Avoca Beach', 'NSW', -33.4682, 151.4339],
+  ['Avondale', 'NSW', -34.5175, 150.7501],
+  ['Balgowlah', 'NSW', -33.7949, 151.2572],
+  ['Balgowlah Heights', 'NSW', -33.8066, 151.2624],
+  ['Balgownie', 'NSW', -34.3950, 150.8805],
+  ['Ballina', 'NSW', -28.8641, 153.5654],
+  ['Balmain', 'NSW', -33.8548, 151.1833],
+  ['Balmain East', 'NSW', -33.8571, 151.1928],
+  ['Balranald', 'NSW', -34.6365, 143.5614],
+  ['Bangalow', 'NSW', -28.6863, 153.5215],
+  ['Bangor', 'NSW', -34.0167, 151.0333],
+  ['Banksia', 'NSW', -33.9460, 151.1430],
+  ['Bankstown', 'NSW', -33.9167, 151.0333],
+  ['Banora Point', 'NSW', -28.2130, 153.5363],
+  ['Bar Beach', 'NSW', -32.9413, 151.7654],
+  ['Barden Ridge', 'NSW', -34.0341, 151.0119],
+  ['Bardia', 'NSW', -33.9779, 150.8631],
+  ['Bardwell Park', 'NSW', -33.9353, 151.1257],
+  ['Bardwell Valley', 'NSW', -33.9334, 151.1367],
+  ['Bargo', 'NSW', -34.2930, 150.5781],
+  ['Barham', 'NSW', -35.6265, 144.1290],
+  ['Barnsley', 'NSW', -32.9333, 151.5833],
+  ['Barooga', 'NSW', -35.9060, 145.6959],
+  ['Barraba', 'NSW', -30.3855, 150.6090],
+  ['Barrack Heights', 'NSW', -34.5646, 150.8569],
+  ['Basin View', 'NSW', -35.0883, 150.5553],
+  ['Bass Hill', 'NSW', -33.8986, 150.9954],
+  ['Bateau Bay', 'NSW', -33.3833, 151.4667],
+  ['Batehaven', 'NSW', -35.7376, 150.1984],
+  ['Batemans Bay', 'NSW', -35.7066, 150.1754],
+  ['Bathurst', 'NSW', -33.4166, 149.5806],
+  ['Bathurst city centre', 'NSW', -33.4182, 149.5762],
+  ['Batlow', 'NSW', -35.5199, 148.1473],
+  ['Baulkham Hills', 'NSW', -33.7588, 150.9929],
+  ['Bay View', 'NSW', -33.6598, 151.2988],
+  ['Beacon Hill', 'NSW', -33.7528, 151.2586],
+  ['Beaumont Hills', 'NSW', -33.6999, 150.9411],
+  ['Beecroft', 'NSW', -33.7495, 151.0648],
+  ['Bega', 'NSW', -36.6739, 149.8418],
+  ['Belfield', 'NSW', -33.9035, 151.0847],
+  ['Bella Vista', 'NSW', -33.7413, 150.9546],
+  ['Bellambi', 'NSW', -34.3667, 150.9167],
+  ['Bellbird', 'NSW', -32.8599, 151.3187],
+  ['Bellevue Hill', 'NSW', -33.8790, 151.2510],
+  ['Bellingen', 'NSW', -30.4529, 152.8991],
+  ['Belmont', 'NSW', -33.0274, 151.6601],
+  ['Belmont North', 'NSW', -33.0208, 151.6685],
+  ['Belmont South', 'NSW', -33.0493, 151.6570],
+  ['Belmore', 'NSW', -33.9190, 151.0894],
+  ['Belrose', 'NSW', -33.7395, 151.2103],
+  ['Bensville', 'NSW', -33.4976, 151.3808],
+  ['Berala', 'NSW', -33.8720, 151.0339],
+  ['Beresfield', 'NSW', -32.8000, 151.6500],
+  ['Berkeley', 'NSW', -34.4833, 150.8500],
+  ['Berkeley Vale', 'NSW', -33.3500, 151.4333],
+  ['Berkshire Park', 'NSW', -33.6728, 150.7752],
+  ['Bermagui', 'NSW', -36.4190, 150.0636],
+  ['Berowra', 'NSW', -33.6208, 151.1509],
+  ['Berowra Heights', 'NSW', -33.6121, 151.1375],
+  ['Berridale', 'NSW', -36.3667, 148.8277],
+  ['Berrigan', 'NSW', -35.6588, 145.8115],
+  ['Berry', 'NSW', -34.7751, 150.6944],
+  ['Beverley Park', 'NSW', -33.9771, 151.1344],
+  ['Beverly Hills', 'NSW', -33.9480, 151.0798],
+  ['Bexley', 'NSW', -33.9500, 151.1167],
+  ['Bexley North', 'NSW', -33.9385, 151.1139],
+  ['Bidwill', 'NSW', -33.7301, 150.8222],
+  ['Bilambil Heights', 'NSW', -28.2161, 153.4842],
+  ['Bilgola Plateau', 'NSW', -33.6478, 151.3121],
+  ['Bingara', 'NSW', -29.8693, 150.5720],
+  ['Birchgrove', 'NSW', -33.8516, 151.1824],
+  ['Birmingham Gardens', 'NSW', -32.8937, 151.6901],
+  ['Birrong', 'NSW', -33.8925, 151.0208],
+  ['Blackalls Park', 'NSW', -32.9989, 151.5802],
+  ['Blackbutt', 'NSW', -34.5716, 150.8380],
+  ['Blackett', 'NSW', -33.7379, 150.8181],
+  ['Blackheath', 'NSW', -33.6357, 150.2832],
+  ['Blacksmiths', 'NSW', -33.0717, 151.6553],
+  ['Blacktown', 'NSW', -33.7667, 150.9167],
+  ['Blackwall', 'NSW', -33.5025, 151.3279],
+  ['Blakehurst', 'NSW', -33.9915, 151.1088],
+  ['Blaxland', 'NSW', -33.7500, 150.6000],
+  ['Blayney', 'NSW', -33.5323, 149.2537],
+  ['Bligh Park', 'NSW', -33.6398, 150.8025],
+  ['Blue Bay', 'NSW', -33.3541, 151.5002],
+  ['Blue Haven', 'NSW', -33.2111, 151.5035],
+  ['Blue Mountains', 'NSW', -33.7133, 150.3307],
+  ['Boambee', 'NSW', -30.3398, 153.0678],
+  ['Boambee East', 'NSW', -30.3466, 153.0732],
+  ['Bogangar', 'NSW', -28.3294, 153.5686],
+  ['Boggabri', 'NSW', -30.7095, 150.0412],
+  ['Bolton Point', 'NSW', -33.0018, 151.6101],
+  ['Bolwarra Heights', 'NSW', -32.7010, 151.5854],
+  ['Bomaderry', 'NSW', -34.8497, 150.6109],
+  ['Bombala', 'NSW', -36.9121, 149.2367],
+  ['Bondi', 'NSW', -33.8943, 151.2644],
+  ['Bondi Beach', 'NSW', -33.8908, 151.2785],
+  ['Bondi Junction', 'NSW', -33.8927, 151.2472],
+  ['Bonnells Bay', 'NSW', -33.1097, 151.5323],
+  ['Bonnet Bay', 'NSW', -34.0102, 151.0525],
+  ['Bonny Hills', 'NSW', -31.5906, 152.8391],
+  ['Bonnyrigg', 'NSW', -33.8936, 150.8891],
+  ['Bonnyrigg Heights', 'NSW', -33.8912, 150.8699],
+  ['Bonville', 'NSW', -30.3828, 153.0596],
+  ['Booker Bay', 'NSW', -33.5125, 151.3459],
+  ['Booragul', 'NSW', -32.9749, 151.6098],
+  ['Boorowa', 'NSW', -34.4366, 148.7163],
+  ['Bossley Park', 'NSW', -33.8618, 150.8841],
+  ['Botany', 'NSW', -33.9460, 151.1959],
+  ['Bourke', 'NSW', -30.0901, 145.9365],
+  ['Bourkelands', 'NSW', -35.1559, 147.3470],
+  ['Bow Bowing', 'NSW', -34.0165, 150.8403],
+  ['Bowen Mountain', 'NSW', -33.5719, 150.6256],
+  ['Bowenfels', 'NSW', -33.4834, 150.1344],
+  ['Bowral', 'NSW', -34.4775, 150.4204],
+  ['Bowraville', 'NSW', -30.6500, 152.8515],
+  ['Bradbury', 'NSW', -34.0854, 150.8154],
+  ['Braidwood', 'NSW', -35.4415, 149.7998],
+  ['Branxton', 'NSW', -32.6555, 151.3511],
+  ['Breakfast Point', 'NSW', -33.8429, 151.1107],
+  ['Brewarrina', 'NSW', -29.9607, 146.8599],
+  ['Brighton-Le-Sands', 'NSW', -33.9601, 151.1511],
+  ['Bringelly', 'NSW', -33.9333, 150.7333],
+  ['Broadmeadow', 'NSW', -32.9237, 151.7285],
+  ['Broken Hill', 'NSW', -31.9652, 141.4512],
+  ['Bronte', 'NSW', -33.9020, 151.2656],
+  ['Brookvale', 'NSW', -33.7611, 151.2745],
+  ['Broulee', 'NSW', -35.8547, 150.1739],
+  ['Brunswick Heads', 'NSW', -28.5400, 153.5457],
+  ['Budgewoi', 'NSW', -33.2339, 151.5541],
+  ['Buff Point', 'NSW', -33.2228, 151.5313],
+  ['Bulahdelah', 'NSW', -32.4070, 152.2119],
+  ['Bullaburra', 'NSW', -33.7292, 150.4177],
+  ['Bulli', 'NSW', -34.3383, 150.9135],
+  ['Bundanoon', 'NSW', -34.6566, 150.2962],
+  ['Bundeena', 'NSW', -34.0838, 151.1502],
+  ['Bungarribee', 'NSW', -33.7770, 150.8680],
+  ['Bungendore', 'NSW', -35.2538, 149.4401],
+  ['Buronga', 'NSW', -34.1707, 142.1735],
+  ['Burradoo', 'NSW', -34.5032, 150.4090],
+  ['Burraneer', 'NSW', -34.0562, 151.1381],
+  ['Burrill Lake', 'NSW', -35.3872, 150.4495],
+  ['Burwood', 'NSW', -33.8833, 151.1000],
+  ['Busby', 'NSW', -33.9112, 150.8807],
+  ['Buttaba', 'NSW', -33.0533, 151.5787],
+  ['Buxton', 'NSW', -34.2602, 150.5329],
+  ['Byron Bay', 'NSW', -28.6499, 153.6125],
+  ['Bywong', 'NSW', -35.1648, 149.3289],
+  ['Cabarita', 'NSW', -33.8472, 151.1164],
+  ['Cabramatta', 'NSW', -33.8974, 150.9345],
+  ['Cabramatta West', 'NSW', -33.8930, 150.9119],
+  ['Caddens', 'NSW', -33.7741, 150.7413],
+  ['Calala', 'NSW', -31.1736, 150.9806],
+  ['Callaghan', 'NSW', -32.8920, 151.7053],
+  ['Callala Bay', 'NSW', -34.9967, 150.7228],
+  ['Cambewarra Village', 'NSW', -34.8233, 150.5594],
+  ['Cambridge Gardens', 'NSW', -33.7380, 150.7208],
+  ['Cambridge Park', 'NSW', -33.7478, 150.7221],
+  ['Camden', 'NSW', -34.0540, 150.6962],
+  ['Camden Haven', 'NSW', -31.6448, 152.7946],
+  ['Camden South', 'NSW', -34.0831, 150.6949],
+  ['Cameron Park', 'NSW', -32.9070, 151.6053],
+  ['Cammeray', 'NSW', -33.8213, 151.2161],
+  ['Campbelltown', 'NSW', -34.0667, 150.8167],
+  ['Camperdown', 'NSW', -33.8897, 151.1764],
+  ['Campsie', 'NSW', -33.9125, 151.1028],
+  ['Canada Bay', 'NSW', -33.8648, 151.1143],
+  ['Canley Heights', 'NSW', -33.8826, 150.9241],
+  ['Canley Vale', 'NSW', -33.8866, 150.9480],
+  ['Canowindra', 'NSW', -33.5625, 148.6643],
+  ['Canterbury', 'NSW', -33.9119, 151.1186],
+  ['Canton Beach', 'NSW', -33.2744, 151.5461],
+  ['Cardiff', 'NSW', -32.9420, 151.6544],
+  ['Cardiff Heights', 'NSW', -32.9363, 151.6723],
+  ['Cardiff South', 'NSW', -32.9547, 151.6645],
+  ['Caringbah', 'NSW', -34.0353, 151.1247],
+  ['Caringbah South', 'NSW', -34.0566, 151.1215],
+  ['Carlingford', 'NSW', -33.7827, 151.0489],
+  ['Carlton', 'NSW', -33.9711, 151.1214],
+  ['Carnes Hill', 'NSW', -33.9385, 150.8488],
+  ['Carramar', 'NSW', -33.8838, 150.9615],
+  ['Carrington', 'NSW', -32.9150, 151.7644],
+  ['Carrolls Creek', 'NSW', -28.8227, 152.1031],
+  ['Carss Park', 'NSW', -33.9867, 151.1173],
+  ['Cartwright', 'NSW', -33.9250, 150.8895],
+  ['Carwoola', 'NSW', -35.3784, 149.3215],
+  ['Casino', 'NSW', -28.8582, 153.0475],
+  ['Castle Cove', 'NSW', -33.7865, 151.2093],
+  ['Castle Hill', 'NSW', -33.7333, 151.0000],
+  ['Castlecrag', 'NSW', -33.7999, 151.2231],
+  ['Castlereagh', 'NSW', -33.6898, 150.6789],
+  ['Casuarina', 'NSW', -28.3004, 153.5706],
+  ['Casula', 'NSW', -33.9522, 150.8995],
+  ['Catalina', 'NSW', -35.7300, 150.1849],
+  ['Catherine Field', 'NSW', -34.0044, 150.7725],
+  ['Caves Beach', 'NSW', -33.1064, 151.6440],
+  ['Cecil Hills', 'NSW', -33.8892, 150.8514],
+  ['Centennial Park', 'NSW', -33.8979, 151.2336],
+  ['Central Coast', 'NSW', -33.4298, 151.3714],
+  ['Cessnock', 'NSW', -32.8321, 151.3562],
+  ['Chain Valley Bay', 'NSW', -33.1724, 151.5714],
+  ['Charlestown', 'NSW', -32.9683, 151.6932],
+  ['Charmhaven', 'NSW', -33.2267, 151.5028],
+  ['Chatswood', 'NSW', -33.8000, 151.1833],
+  ['Chatswood West', 'NSW', -33.7940, 151.1649],
+  ['Cheltenham', 'NSW', -33.7587, 151.0723],
+  ['Cherrybrook', 'NSW', -33.7220, 151.0461],
+  ['Chester Hill', 'NSW', -33.8790, 150.9995],
+  ['Chifley', 'NSW', -33.9670, 151.2422],
+  ['Chinderah', 'NSW', -28.2546, 153.5371],
+  ['Chippendale', 'NSW', -33.8867, 151.1975],
+  ['Chipping Norton', 'NSW', -33.9180, 150.9593],
+  ['Chisholm', 'NSW', -32.7591, 151.6346],
+  ['Chiswick', 'NSW', -33.8500, 151.1385],
+  ['Chittaway Bay', 'NSW', -33.3277, 151.4297],
+  ['Claremont Meadows', 'NSW', -33.7759, 150.7519],
+  ['Clarence Town', 'NSW', -32.5839, 151.7776],
+  ['Claymore', 'NSW', -34.0465, 150.8111],
+  ['Clemton Park', 'NSW', -33.9262, 151.1041],
+  ['Clontarf', 'NSW', -33.8055, 151.2537],
+  ['Clovelly', 'NSW', -33.9121, 151.2588],
+  ['Coal Point', 'NSW', -33.0422, 151.6116],
+  ['Cobar', 'NSW', -31.4967, 145.8344],
+  ['Cobbitty', 'NSW', -34.0159, 150.6785],
+  ['Coffs Harbour', 'NSW', -30.2963, 153.1135],
+  ['Coleambally', 'NSW', -34.8039, 145.8804],
+  ['Colebee', 'NSW', -33.7277, 150.8474],
+  ['Coledale', 'NSW', -34.2910, 150.9447],
+  ['Collaroy', 'NSW', -33.7320, 151.3012],
+  ['Collaroy Plateau', 'NSW', -33.7288, 151.2908],
+  ['Colo Vale', 'NSW', -34.4009, 150.4857],
+  ['Colyton', 'NSW', -33.7828, 150.7968],
+  ['Como', 'NSW', -33.9994, 151.0639],
+  ['Concord', 'NSW', -33.8472, 151.1038],
+  ['Concord West', 'NSW', -33.8481, 151.0861],
+  ['Condell Park', 'NSW', -33.9246, 151.0109],
+  ['Condobolin', 'NSW', -33.0888, 147.1514],
+  ['Coniston', 'NSW', -34.4500, 150.8833],
+  ['Connells Point', 'NSW', -33.9883, 151.0909],
+  ['Constitution Hill', 'NSW', -33.7926, 150.9763],
+  ['Coogee', 'NSW', -33.9205, 151.2552],
+  ['Cooks Hill', 'NSW', -32.9324, 151.7711],
+  ['Coolah', 'NSW', -31.8279, 149.7156],
+  ['Coolamon', 'NSW', -34.8164, 147.1958],
+  ['Cooma', 'NSW', -36.2352, 149.1241],
+  ['Coonabarabran', 'NSW', -31.2773, 149.2790],
+  ['Coonamble', 'NSW', -30.9539, 148.3888],
+  ['Cooranbong', 'NSW', -33.0762, 151.4541],
+  ['Cootamundra', 'NSW', -34.6409, 148.0284],
+  ['Copacabana', 'NSW', -33.4869, 151.4359],
+  ['Coraki', 'NSW', -28.9926, 153.2837],
+  ['Cordeaux Heights', 'NSW', -34.4404, 150.8375],
+  ['Corindi Beach', 'NSW', -30.0167, 153.1856],
+  ['Corlette', 'NSW', -32.7201, 152.1085],
+  ['Corowa', 'NSW', -35.9970, 146.3855],
+  ['Corrimal', 'NSW', -34.3786, 150.9036],
+  ['Coutts Crossing', 'NSW', -29.8262, 152.8916],
+  ['Cowra', 'NSW', -33.8355, 148.6966],
+  ['Cranebrook', 'NSW', -33.7061, 150.7094],
+  ['Cremorne', 'NSW', -33.8268, 151.2263],
+  ['Cremorne Point', 'NSW', -33.8401, 151.2270],
+  ['Crescent Head', 'NSW', -31.1887, 152.9730],
+  ['Crestwood', 'NSW', -35.3484, 149.2176],
+  ['Cringila', 'NSW', -34.4713, 150.8676],
+  ['Cromer', 'NSW', -33.7312, 151.2679],
+  ['Cronulla', 'NSW', -34.0625, 151.1496],
+  ['Crookwell', 'NSW', -34.4592, 149.4714],
+  ['Crows Nest', 'NSW', -33.8249, 151.2040],
+  ['Croydon', 'NSW', -33.8833, 151.1167],
+  ['Culburra Beach', 'NSW', -34.9279, 150.7577],
+  ['Culcairn', 'NSW', -35.6667, 147.0385],
+  ['Cumbalum', 'NSW', -28.8225, 153.5284],
+  ['Cundletown', 'NSW', -31.8941, 152.5214],
+  ['Curl Curl', 'NSW', -33.7689, 151.2889],
+  ['Currans Hill', 'NSW', -34.0431, 150.7730],
+  ['Daceyville', 'NSW', -33.9288, 151.2258],
+  ['Dalmeny', 'NSW', -36.1661, 150.1291],
+  ['Dapto', 'NSW', -34.5039, 150.7942],
+  ['Darling Point', 'NSW', -33.8706, 151.2390],
+  ['Darlinghurst', 'NSW', -33.8794, 151.2192],
+  ['Darlington', 'NSW', -33.8910, 151.1955],
+  ['Darlington Point', 'NSW', -34.5694, 145.9987],
+  ['Davidson', 'NSW', -33.7430, 151.2008],
+  ['Davistown', 'NSW', -33.4856, 151.3615],
+  ['Dean Park', 'NSW', -33.7354, 150.8596],
+  ['Dee Why', 'NSW', -33.7511, 151.2889],
+  ['Denham Court', 'NSW', -33.9831, 150.8461],
+  ['Deniliquin', 'NSW', -35.5324, 144.9536],
+  ['Denistone', 'NSW', -33.7983, 151.0905],
+  ['Denistone East', 'NSW', -33.7960, 151.0974],
+  ['Denman', 'NSW', -32.3879, 150.6894],
+  ['Dharruk', 'NSW', -33.7481, 150.8156],
+  ['Dolls Point', 'NSW', -33.9934, 151.1447],
+  ['Doonside', 'NSW', -33.7667, 150.8667],
+  ['Dora Creek', 'NSW', -33.0814, 151.4968],
+  ['Dorrigo', 'NSW', -30.3411, 152.7139],
+  ['Double Bay', 'NSW', -33.8778, 151.2435],
+  ['Douglas Park', 'NSW', -34.1850, 150.7145],
+  ['Dover Heights', 'NSW', -33.8708, 151.2792],
+  ['Drummoyne', 'NSW', -33.8524, 151.1549],
+  ['Dubbo', 'NSW', -32.2429, 148.6048],
+  ['Dudley', 'NSW', -32.9937, 151.7220],
+  ['Dulwich Hill', 'NSW', -33.9041, 151.1395],
+  ['Dundas Valley', 'NSW', -33.7883, 151.0526],
+  ['Dunedoo', 'NSW', -32.0163, 149.3871],
+  ['Dungog', 'NSW', -32.4043, 151.7519],
+  ['Dural', 'NSW', -33.6833, 151.0167],
+  ['Eagle Vale', 'NSW', -34.0375, 150.8136],
+  ['Earlwood', 'NSW', -33.9209, 151.1251],
+  ['East Albury', 'NSW', -36.0814, 146.9299],
+  ['East Ballina', 'NSW', -28.8571, 153.5874],
+  ['East Branxton', 'NSW', -32.6537, 151.3656],
+  ['East Corrimal', 'NSW', -34.3761, 150.9108],
+  ['East Gosford', 'NSW', -33.4387, 151.3534],
+  ['East Hills', 'NSW', -33.9610, 150.9882],
+  ['East Jindabyne', 'NSW', -36.3958, 148.6514],
+  ['East Kempsey', 'NSW', -31.0824, 152.8525],
+  ['East Killara', 'NSW', -33.7553, 151.1815],
+  ['East Kurrajong', 'NSW', -33.5055, 150.7943],
+  ['East Lindfield', 'NSW', -33.7666, 151.1869],
+  ['East Lismore', 'NSW', -28.8259, 153.2888],
+  ['East Maitland', 'NSW', -32.7500, 151.5833],
+  ['East Ryde', 'NSW', -33.8103, 151.1315],
+  ['East Tamworth', 'NSW', -31.0855, 150.9372],
+  ['Eastlakes', 'NSW', -33.9320, 151.2121],
+  ['Eastwood', 'NSW', -33.7918, 151.0806],
+  ['Eden', 'NSW', -37.0667, 149.9003],
+  ['Edensor Park', 'NSW', -33.8797, 150.8778],
+  ['Edgecliff', 'NSW', -33.8795, 151.2368],
+  ['Edgeworth', 'NSW', -32.9251, 151.6161],
+  ['Edmondson Park', 'NSW', -33.9569, 150.8613],
+  ['Eglinton', 'NSW', -33.3773, 149.5465],
+  ['Elanora Heights', 'NSW', -33.7016, 151.2797],
+  ['Elderslie', 'NSW', -34.0552, 150.7137],
+  ['Eleebana', 'NSW', -32.9896, 151.6364],
+  ['Elermore Vale', 'NSW', -32.9162, 151.6767],
+  ['Elizabeth Bay', 'NSW', -33.8718, 151.2271],
+  ['Elizabeth Hills', 'NSW', -33.8986, 150.8476],
+  ['Ellalong', 'NSW', -32.9151, 151.3116],
+  ['Emerald Beach', 'NSW', -30.1639, 153.1819],
+  ['Emerton', 'NSW', -33.7441, 150.8064],
+  ['Empire Bay', 'NSW', -33.4938, 151.3629],
+  ['Emu Heights', 'NSW', -33.7345, 150.6487],
+  ['Emu Plains', 'NSW', -33.7500, 150.6667],
+  ['Enfield', 'NSW', -33.8915, 151.0932],
+  ['Engadine', 'NSW', -34.0656, 151.0127],
+  ['Enmore', 'NSW', -33.9005, 151.1731],
+  ['Epping', 'NSW', -33.7727, 151.0818],
+  ['Erina', 'NSW', -33.4322, 151.3897],
+  ['Ermington', 'NSW', -33.8148, 151.0547],
+  ['Erskine Park', 'NSW', -33.8130, 150.7977],
+  ['Erskineville', 'NSW', -33.9025, 151.1858],
+  ['Eschol Park', 'NSW', -34.0298, 150.8096],
+  ['Estella', 'NSW', -35.0725, 147.3575],
+  ['Ettalong', 'NSW', -33.5130, 151.3383],
+  ['Ettalong Beach', 'NSW', -33.5106, 151.3304],
+  ['Eulomogo', 'NSW', -32.2667, 148.6833],
+  ['Evans Head', 'NSW', -29.1178, 153.4307],
+  ['Fairfield', 'NSW', -33.8667, 150.9500],
+  ['Fairfield East', 'NSW', -33.8694, 150.9713],
+  ['Fairfield Heights', 'NSW', -33.8644, 150.9388],
+  ['Fairfield West', 'NSW', -33.8667, 150.9170],
+  ['Fairlight', 'NSW', -33.7957, 151.2735],
+  ['Fairy Meadow', 'NSW', -34.3930, 150.8928],
+  ['Farmborough Heights', 'NSW', -34.4550, 150.8131],
+  ['Faulconbridge', 'NSW', -33.7000, 150.5333],
+  ['Fennell Bay', 'NSW', -32.9922, 151.6001],
+  ['Fern Bay', 'NSW', -32.8643, 151.8131],
+  ['Fern Hill', 'NSW', -34.3829, 150.8857],
+  ['Fingal Bay', 'NSW', -32.7497, 152.1710],
+  ['Finley', 'NSW', -35.6550, 145.5711],
+  ['Five Dock', 'NSW', -33.8674, 151.1291],
+  ['Fletcher', 'NSW', -32.8723, 151.6401],
+  ['Flinders', 'NSW', -34.5833, 150.8552],
+  ['Floraville', 'NSW', -33.0112, 151.6648],
+  ['Forbes', 'NSW', -33.3844, 148.0076],
+  ['Forest Hill', 'NSW', -35.1481, 147.4671],
+  ['Forest Lodge', 'NSW', -33.8814, 151.1800],
+  ['Forestville', 'NSW', -33.7667, 151.2083],
+  ['Forresters Beach', 'NSW', -33.4070, 151.4760],
+  ['Forster', 'NSW', -32.1814, 152.5171],
+  ['Frederickton', 'NSW', -31.0375, 152.8753],
+  ['Freemans Reach', 'NSW', -33.5579, 150.7955],
+  ['Frenchs Forest', 'NSW', -33.7482, 151.2232],
+  ['Freshwater', 'NSW', -33.7787, 151.2857],
+  ['Galston', 'NSW', -33.6530, 151.0471],
+  ['Garden Suburb', 'NSW', -32.9437, 151.6809],
+  ['Gateshead', 'NSW', -32.9821, 151.6919],
+  ['Georges Hall', 'NSW', -33.9088, 150.9885],
+  ['Georgetown', 'NSW', -32.9081, 151.7312],
+  ['Gerringong', 'NSW', -34.7470, 150.8281],
+  ['Gilgandra', 'NSW', -31.7117, 148.6625],
+  ['Gillieston Heights', 'NSW', -32.7616, 151.5286],
+  ['Girards Hill', 'NSW', -28.8169, 153.2779],
+  ['Girraween', 'NSW', -33.7990, 150.9430],
+  ['Gladesville', 'NSW', -33.8333, 151.1333],
+  ['Glebe', 'NSW', -33.8788, 151.1843],
+  ['Glen Alpine', 'NSW', -34.0860, 150.7851],
+  ['Glen Innes', 'NSW', -29.7348, 151.7385],
+  ['Glenbrook', 'NSW', -33.7667, 150.6167],
+  ['Glendale', 'NSW', -32.9319, 151.6410],
+  ['Glendenning', 'NSW', -33.7483, 150.8541],
+  ['Glenfield', 'NSW', -33.9667, 150.9000],
+  ['Glenfield Park', 'NSW', -35.1372, 147.3329],
+  ['Glenhaven', 'NSW', -33.7000, 151.0000],
+  ['Glenmore Park', 'NSW', -33.7907, 150.6693],
+  ['Glenning Valley', 'NSW', -33.3537, 151.4262],
+  ['Glenorie', 'NSW', -33.6018, 151.0089],
+  ['Glenroy', 'NSW', -36.0502, 146.9106],
+  ['Glenwood', 'NSW', -33.7333, 150.9328],
+  ['Glossodia', 'NSW', -33.5362, 150.7739],
+  ['Gloucester', 'NSW', -32.0077, 151.9633],
+  ['Gol Gol', 'NSW', -34.1788, 142.2215],
+  ['Googong', 'NSW', -35.4387, 149.2131],
+  ['Goonellabah', 'NSW', -28.8167, 153.3167],
+  ['Gordon', 'NSW', -33.7553, 151.1512],
+  ['Gorokan', 'NSW', -33.2576, 151.5097],
+  ['Gosford', 'NSW', -33.4244, 151.3440],
+  ['Goulburn', 'NSW', -34.7515, 149.7209],
+  ['Grafton', 'NSW', -29.6810, 152.9339],
+  ['Granville', 'NSW', -33.8406, 151.0075],
+  ['Grasmere', 'NSW', -34.0539, 150.6660],
+  ['Grays Point', 'NSW', -34.0587, 151.0860],
+  ['Green Point', 'NSW', -33.4440, 151.3682],
+  ['Green Valley', 'NSW', -33.9029, 150.8671],
+  ['Greenacre', 'NSW', -33.9003, 151.0556],
+  ['Greenfield Park', 'NSW', -33.8746, 150.8919],
+  ['Greenwell Point', 'NSW', -34.9075, 150.7311],
+  ['Greenwich', 'NSW', -33.8395, 151.1830],
+  ['Gregory Hills', 'NSW', -34.0267, 150.7707],
+  ['Grenfell', 'NSW', -33.8955, 148.1644],
+  ['Greta', 'NSW', -32.6778, 151.3892],
+  ['Greystanes', 'NSW', -33.8235, 150.9461],
+  ['Griffith', 'NSW', -34.2885, 146.0509],
+  ['Grose Vale', 'NSW', -33.5833, 150.6744],
+  ['Guildford West', 'NSW', -33.8494, 150.9648],
+  ['Gulgong', 'NSW', -32.3625, 149.5320],
+  ['Gulmarrad', 'NSW', -29.4870, 153.2334],
+  ['Gundagai', 'NSW', -35.0635, 148.1036],
+  ['Gundaroo', 'NSW', -35.0333, 149.2500],
+  ['Gunnedah', 'NSW', -30.9806, 150.2584],
+  ['Guyra', 'NSW', -30.2168, 151.6678],
+  ['Gwandalan', 'NSW', -33.1354, 151.5829],
+  ['Gwynneville', 'NSW', -34.4167, 150.8875],
+  ['Gymea', 'NSW', -34.0364, 151.0853],
+  ['Gymea Bay', 'NSW', -34.0521, 151.0880],
+  ['Haberfield', 'NSW', -33.8830, 151.1439],
+  ['Halekulani', 'NSW', -33.2191, 151.5525],
+  ['Hamilton', 'NSW', -32.9221, 151.7471],
+  ['Hamlyn Terrace', 'NSW', -33.2512, 151.4763],
+  ['Hammondville', 'NSW', -33.9483, 150.9521],
+  ['Hanwood', 'NSW', -34.3309, 146.0414],
+  ['Harrington', 'NSW', -31.8831, 152.6592],
+  ['Harrington Park', 'NSW', -34.0240, 150.7350],
+  ['Harris Park', 'NSW', -33.8228, 151.0078],
+  ['Hassall Grove', 'NSW', -33.7335, 150.8354],
+  ['Hawks Nest', 'NSW', -32.6675, 152.1783],
+  ['Hay', 'NSW', -34.5090, 144.8431],
+  ['Haymarket', 'NSW', -33.8787, 151.2053],
+  ['Hazelbrook', 'NSW', -33.7245, 150.4584],
+  ['Heathcote', 'NSW', -34.0841, 151.0131],
+  ['Hebersham', 'NSW', -33.7458, 150.8239],
+  ['Heckenberg', 'NSW', -33.9083, 150.8898],
+  ['Heddon Greta', 'NSW', -32.8020, 151.5133],
+  ['Helensburgh', 'NSW', -34.1784, 150.9952],
+  ['Henty', 'NSW', -35.5209, 147.0343],
+  ['Hill Top', 'NSW', -34.3479, 150.4955],
+  ['Hillsdale', 'NSW', -33.9515, 151.2278],
+  ['Hillston', 'NSW', -33.4827, 145.5353],
+  ['Hillvue', 'NSW', -31.1276, 150.9071],
+  ['Hinchinbrook', 'NSW', -33.9188, 150.8631],
+  ['Hobartville', 'NSW', -33.6043, 150.7430],
+  ['Holbrook', 'NSW', -35.7210, 147.3161],
+  ['Holmesville', 'NSW', -32.9167, 151.5833],
+  ['Holroyd', 'NSW', -33.8308, 150.9973],
+  ['Holsworthy', 'NSW', -33.9833, 150.9667],
+  ['Homebush', 'NSW', -33.8667, 151.0833],
+  ['Homebush West', 'NSW', -33.8627, 151.0670],
+  ['Horningsea Park', 'NSW', -33.9434, 150.8453],
+  ['Hornsby', 'NSW', -33.7024, 151.0993],
+  ['Hornsby Heights', 'NSW', -33.6713, 151.0943],
+  ['Horsley', 'NSW', -34.4876, 150.7780],
+  ['Horsley Park', 'NSW', -33.8432, 150.8489],
+  ['Howlong', 'NSW', -35.9820, 146.6325],
+  ['Hoxton Park', 'NSW', -33.9313, 150.8541],
+  ['Hunters Hill', 'NSW', -33.8343, 151.1459],
+  ['Hunterview', 'NSW', -32.5434, 151.1772],
+  ['Hurlstone Park', 'NSW', -33.9099, 151.1287],
+  ['Hurstville', 'NSW', -33.9677, 151.1015],
+  ['Hurstville Grove', 'NSW', -33.9799, 151.0903],
+  ['Illawong', 'NSW', -34.0000, 151.0333],
+  ['Iluka', 'NSW', -29.4015, 153.3511],
+  ['Ingleburn', 'NSW', -34.0000, 150.8667],
+  ['Inverell', 'NSW', -29.7740, 151.1117],
+  ['Islington', 'NSW', -32.9139, 151.7474],
+  ['Jamberoo', 'NSW', -34.6474, 150.7746],
+  ['Jamisontown', 'NSW', -33.7680, 150.6768],
+  ['Jannali', 'NSW', -34.0164, 151.0607],
+  ['Jerilderie', 'NSW', -35.3576, 145.7296],
+  ['Jerrabomberra', 'NSW', -35.3844, 149.2025],
+  ['Jesmond', 'NSW', -32.9027, 151.6907],
+  ['Jewells', 'NSW', -33.0139, 151.6831],
+  ['Jilliby', 'NSW', -33.2260, 151.4168],
+  ['Jindabyne', 'NSW', -36.4174, 148.6225],
+  ['Jindera', 'NSW', -35.9547, 146.8885],
+  ['Jordan Springs', 'NSW', -33.7214, 150.7287],
+  ['Junction Hill', 'NSW', -29.6411, 152.9249],
+  ['Junee', 'NSW', -34.8682, 147.5827],
+  ['Kahibah', 'NSW', -32.9617, 151.7125],
+  ['Kanahooka', 'NSW', -34.4916, 150.8082],
+  ['Kandos', 'NSW', -32.8577, 149.9683],
+  ['Kanwal', 'NSW', -33.2530, 151.4911],
+  ['Kapooka', 'NSW', -35.1569, 147.2844],
+  ['Karabar', 'NSW', -35.3760, 149.2328],
+  ['Kareela', 'NSW', -34.0134, 151.0835],
+  ['Kariong', 'NSW', -33.4397, 151.2945],
+  ['Karuah', 'NSW', -32.6539, 151.9604],
+  ['Katoomba', 'NSW', -33.7198, 150.3074],
+  ['Kearns', 'NSW', -34.0219, 150.8008],
+  ['Keiraville', 'NSW', -34.4167, 150.8667],
+  ['Kellyville', 'NSW', -33.7103, 150.9510],
+  ['Kellyville Ridge', 'NSW', -33.7016, 150.9179],
+  ['Kelso', 'NSW', -33.4167, 149.6000],
+  ['Kemps Creek', 'NSW', -33.8806, 150.7876],
+  ['Kempsey', 'NSW', -31.0790, 152.8309],
+  ['Kendall', 'NSW', -31.6329, 152.7039],
+  ['Kensington', 'NSW', -33.9202, 151.2224],
+  ['Kenthurst', 'NSW', -33.6553, 151.0050],
+  ['Kew', 'NSW', -31.6360, 152.7266],
+  ['Kiama', 'NSW', -34.6683, 150.8522],
+  ['Kiama Downs', 'NSW', -34.6334, 150.8546],
+  ['Kilaben Bay', 'NSW', -33.0239, 151.5920],
+  ['Killara', 'NSW', -33.7660, 151.1621],
+  ['Killarney Heights', 'NSW', -33.7745, 151.2203],
+  ['Killarney Vale', 'NSW', -33.3632, 151.4580],
+  ['King Creek', 'NSW', -31.4924, 152.7566],
+  ['Kings Langley', 'NSW', -33.7500, 150.9354],
+  ['Kings Park', 'NSW', -33.7432, 150.9076],
+  ['Kingscliff', 'NSW', -28.2598, 153.5782],
+  ['Kingsford', 'NSW', -33.9240, 151.2275],
+  ['Kingsgrove', 'NSW', -33.9393, 151.0993],
+  ['Kingswood Park', 'NSW', -33.7665, 150.7144],
+  ['Kirrawee', 'NSW', -34.0383, 151.0690],
+  ['Kirribilli', 'NSW', -33.8487, 151.2162],
+  ['Kogarah', 'NSW', -33.9681, 151.1356],
+  ['Kogarah Bay', 'NSW', -33.9795, 151.1212],
+  ['Koonawarra', 'NSW', -34.5021, 150.8086],
+  ['Kooringal', 'NSW', -35.1407, 147.3768],
+  ['Kootingal', 'NSW', -31.0586, 151.0535],
+  ['Korora', 'NSW', -30.2462, 153.1149],
+  ['Kosciuszko National Park', 'NSW', -36.2644, 148.4818],
+  ['Kotara', 'NSW', -32.9428, 151.6959],
+  ['Kotara South', 'NSW', -32.9526, 151.6908],
+  ['Kurnell', 'NSW', -34.0109, 151.2051],
+  ['Kurraba Point', 'NSW', -33.8424, 151.2226],
+  ['Kurrajong', 'NSW', -33.5553, 150.6700],
+  ['Kurrajong Heights', 'NSW', -33.5277, 150.6291],
+  ['Kurri Kurri', 'NSW', -32.8193, 151.4791],
+  ['Kyle Bay', 'NSW', -33.9879, 151.0994],
+  ['Kyogle', 'NSW', -28.6228, 152.9974],
+  ['Lake Albert', 'NSW', -35.1667, 147.3833],
+  ['Lake Cargelligo', 'NSW', -33.2988, 146.3730],
+  ['Lake Cathie', 'NSW', -31.5518, 152.8547],
+  ['Lake Haven', 'NSW', -33.2430, 151.5043],
+  ['Lake Heights', 'NSW', -34.4843, 150.8665],
+  ['Lake Illawarra', 'NSW', -34.5466, 150.8565],
+  ['Lake Munmorah', 'NSW', -33.1972, 151.5824],
+  ['Lakelands', 'NSW', -32.9618, 151.6497],
+  ['Lakemba', 'NSW', -33.9197, 151.0759],
+  ['Lakewood', 'NSW', -31.6321, 152.7582],
+  ['Lalor Park', 'NSW', -33.7609, 150.9312],
+  ['Lambton', 'NSW', -32.9167, 151.7000],
+  ['Lane Cove', 'NSW', -33.8157, 151.1668],
+  ['Lane Cove North', 'NSW', -33.8054, 151.1664],
+  ['Lane Cove West', 'NSW', -33.8161, 151.1515],
+  ['Lansvale', 'NSW', -33.9007, 150.9508],
+  ['Largs', 'NSW', -32.7000, 151.6000],
+  ['Lavington', 'NSW', -36.0398, 146.9396],
+  ['Lawrence', 'NSW', -29.4921, 153.0969],
+  ['Lawson', 'NSW', -33.7206, 150.4298],
+  ['Leeton', 'NSW', -34.5510, 146.4048],
+  ['Leichhardt', 'NSW', -33.8834, 151.1563],
+  ['Lemon Tree Passage', 'NSW', -32.7305, 152.0386],
+  ['Lennox Head', 'NSW', -28.7913, 153.5920],
+  ['Leonay', 'NSW', -33.7654, 150.6481],
+  ['Leppington', 'NSW', -33.9698, 150.7968],
+  ['Lethbridge Park', 'NSW', -33.7372, 150.8004],
+  ['Leumeah', 'NSW', -34.0500, 150.8333],
+  ['Leura', 'NSW', -33.7167, 150.3333],
+  ['Lewisham', 'NSW', -33.8972, 151.1488],
+  ['Liberty Grove', 'NSW', -33.8409, 151.0840],
+  ['Lidcombe', 'NSW', -33.8644, 151.0397],
+  ['Lightning Ridge', 'NSW', -29.4274, 147.9786],
+  ['Lilli Pilli', 'NSW', -34.0683, 151.1157],
+  ['Lilyfield', 'NSW', -33.8750, 151.1653],
+  ['Lindfield', 'NSW', -33.7833, 151.1667],
+  ['Lisarow', 'NSW', -33.3833, 151.3667],
+  ['Lismore', 'NSW', -28.8135, 153.2773],
+  ['Lismore Heights', 'NSW', -28.8010, 153.3005],
+  ['Lithgow', 'NSW', -33.4845, 150.1490],
+  ['Little Bay', 'NSW', -33.9790, 151.2430],
+  ['Liverpool', 'NSW', -33.9194, 150.9259],
+  ['Llanarth', 'NSW', -33.3969, 149.5511],
+  ['Llandilo', 'NSW', -33.7129, 150.7465],
+  ['Lockhart', 'NSW', -35.2233, 146.7182],
+  ['Loftus', 'NSW', -34.0447, 151.0465],
+  ['Londonderry', 'NSW', -33.6466, 150.7352],
+  ['Long Beach', 'NSW', -35.7010, 150.2150],
+  ['Long Jetty', 'NSW', -33.3592, 151.4883],
+  ['Longueville', 'NSW', -33.8328, 151.1653],
+  ['Lorn', 'NSW', -32.7270, 151.5725],
+  ['Luddenham', 'NSW', -33.8785, 150.6886],
+  ['Lugarno', 'NSW', -33.9827, 151.0418],
+  ['Lurnea', 'NSW', -33.9354, 150.8967],
+  ['Macksville', 'NSW', -30.7078, 152.9203],
+  ['Maclean', 'NSW', -29.4581, 153.1975],
+  ['Macmasters Beach', 'NSW', -33.4966, 151.4221],
+  ['Macquarie Fields', 'NSW', -33.9921, 150.8931],
+  ['Macquarie Hills', 'NSW', -32.9511, 151.6446],
+  ['Macquarie Links', 'NSW', -33.9845, 150.8703],
+  ['Macquarie Park', 'NSW', -33.7810, 151.1276],
+  ['Maitland', 'NSW', -32.7331, 151.5574],
+  ['Maitland city centre', 'NSW', -32.7326, 151.5533],
+  ['Malabar', 'NSW', -33.9622, 151.2480],
+  ['Malua Bay', 'NSW', -35.7938, 150.2283],
+  ['Mangerton', 'NSW', -34.4367, 150.8717],
+  ['Manilla', 'NSW', -30.7475, 150.7197],
+  ['Manly', 'NSW', -33.7980, 151.2883],
+  ['Manly Vale', 'NSW', -33.7846, 151.2620],
+  ['Mannering Park', 'NSW', -33.1581, 151.5348],
+  ['Maraylya', 'NSW', -33.5922, 150.9198],
+  ['Marayong', 'NSW', -33.7482, 150.8927],
+  ['Mardi', 'NSW', -33.2937, 151.4015],
+  ['Marks Point', 'NSW', -33.0564, 151.6496],
+  ['Maroubra', 'NSW', -33.9500, 151.2333],
+  ['Marrickville', 'NSW', -33.9074, 151.1555],
+  ['Marsfield', 'NSW', -33.7778, 151.1057],
+  ['Marulan', 'NSW', -34.7084, 150.0097],
+  ['Maryland', 'NSW', -32.8789, 151.6614],
+  ['Maryville', 'NSW', -32.9112, 151.7554],
+  ['Mascot', 'NSW', -33.9260, 151.1935],
+  ['Matraville', 'NSW', -33.9634, 151.2320],
+  ['Mayfield', 'NSW', -32.8979, 151.7361],
+  ['Mayfield East', 'NSW', -32.9003, 151.7497],
+  ['Mayfield West', 'NSW', -32.8919, 151.7271],
+  ['McGraths Hill', 'NSW', -33.6155, 150.8337],
+  ['McMahons Point', 'NSW', -33.8449, 151.2031],
+  ['Meadowbank', 'NSW', -33.8167, 151.0886],
+  ['Medowie', 'NSW', -32.7415, 151.8676],
+  ['Melrose Park', 'NSW', -33.8149, 151.0721],
+  ['Menai', 'NSW', -34.0167, 151.0167],
+  ['Menangle', 'NSW', -34.1267, 150.7387],
+  ['Merewether', 'NSW', -32.9480, 151.7433],
+  ['Merewether Heights', 'NSW', -32.9473, 151.7357],
+  ['Merimbula', 'NSW', -36.8890, 149.9096],
+  ['Merriwa', 'NSW', -32.1392, 150.3556],
+  ['Merrylands', 'NSW', -33.8333, 150.9833],
+  ['Merrylands West', 'NSW', -33.8327, 150.9691],
+  ['Metford', 'NSW', -32.7650, 151.6094],
+  ['Middle Cove', 'NSW', -33.7928, 151.2125],
+  ['Middleton Grange', 'NSW', -33.9170, 150.8419],
+  ['Miller', 'NSW', -33.9209, 150.8847],
+  ['Millers Point', 'NSW', -33.8596, 151.2041],
+  ['Millthorpe', 'NSW', -33.4460, 149.1854],
+  ['Milperra', 'NSW', -33.9393, 150.9815],
+  ['Milsons Point', 'NSW', -33.8460, 151.2119],
+  ['Milton', 'NSW', -35.3164, 150.4361],
+  ['Minchinbury', 'NSW', -33.7872, 150.8296],
+  ['Minto', 'NSW', -34.0333, 150.8500],
+  ['Miranda', 'NSW', -34.0386, 151.1001],
+  ['Mitchell', 'NSW', -33.4273, 149.5567],
+  ['Mittagong', 'NSW', -34.4500, 150.4457],
+  ['Moama', 'NSW', -36.1041, 144.7608],
+  ['Mollymook', 'NSW', -35.3411, 150.4695],
+  ['Mollymook Beach', 'NSW', -35.3297, 150.4717],
+  ['Molong', 'NSW', -33.0923, 148.8700],
+  ['Mona Vale', 'NSW', -33.6776, 151.3031],
+  ['Monterey', 'NSW', -33.9725, 151.1481],
+  ['Moonbi', 'NSW', -31.0177, 151.0706],
+  ['Moonee Beach', 'NSW', -30.2057, 153.1529],
+  ['Moorebank', 'NSW', -33.9437, 150.9566],
+  ['Moree', 'NSW', -29.4628, 149.8416],
+  ['Morisset', 'NSW', -33.1080, 151.4871],
+  ['Morpeth', 'NSW', -32.7333, 151.6333],
+  ['Mortdale', 'NSW', -33.9690, 151.0723],
+  ['Mortlake', 'NSW', -33.8422, 151.1072],
+  ['Moruya', 'NSW', -35.9125, 150.0814],
+  ['Mosman', 'NSW', -33.8390, 151.2396],
+  ['Moss Vale', 'NSW', -34.5537, 150.3712],
+  ['Mount Annan', 'NSW', -34.0529, 150.7598],
+  ['Mount Austin', 'NSW', -35.1368, 147.3530],
+  ['Mount Colah', 'NSW', -33.6833, 151.1167],
+  ['Mount Druitt', 'NSW', -33.7667, 150.8167],
+  ['Mount Hutton', 'NSW', -32.9833, 151.6701],
+  ['Mount Keira', 'NSW', -34.3968, 150.8527],
+  ['Mount Kembla', 'NSW', -34.4288, 150.8216],
+  ['Mount Kuring-Gai', 'NSW', -33.6420, 151.1287],
+  ['Mount Lewis', 'NSW', -33.9175, 151.0483],
+  ['Mount Ousley', 'NSW', -34.4021, 150.8879],
+  ['Mount Pritchard', 'NSW', -33.9029, 150.9047],
+  ['Mount Riverview', 'NSW', -33.7307, 150.6353],
+  ['Mount Saint Thomas', 'NSW', -34.4433, 150.8722],
+  ['Mount Vernon', 'NSW', -33.8604, 150.8101],
+  ['Mount Warrigal', 'NSW', -34.5480, 150.8375],
+  ['Mudgee', 'NSW', -32.5943, 149.5871],
+  ['Mulgoa', 'NSW', -33.8380, 150.6496],
+  ['Mullumbimby', 'NSW', -28.5524, 153.4996],
+  ['Mulwala', 'NSW', -35.9854, 146.0053],
+  ['Murrumbateman', 'NSW', -34.9720, 149.0299],
+  ['Murrurundi', 'NSW', -31.7642, 150.8358],
+  ['Murwillumbah', 'NSW', -28.3273, 153.3934],
+  ['Muswellbrook', 'NSW', -32.2612, 150.8901],
+  ['Nabiac', 'NSW', -32.0984, 152.3763],
+  ['Nambucca', 'NSW', -30.6333, 152.9833],
+  ['Nambucca Heads', 'NSW', -30.6432, 153.0088],
+  ['Nana Glen', 'NSW', -30.1333, 153.0167],
+  ['Narara', 'NSW', -33.3959, 151.3353],
+  ['Narellan', 'NSW', -34.0434, 150.7324],
+  ['Narellan Vale', 'NSW', -34.0497, 150.7439],
+  ['Naremburn', 'NSW', -33.8170, 151.2008],
+  ['Narooma', 'NSW', -36.2178, 150.1325],
+  ['Narrabeen', 'NSW', -33.7128, 151.2974],
+  ['Narrabri', 'NSW', -30.3249, 149.7827],
+  ['Narrandera', 'NSW', -34.7475, 146.5510],
+  ['Narrawallee', 'NSW', -35.3124, 150.4635],
+  ['Narraweena', 'NSW', -33.7552, 151.2766],
+  ['Narromine', 'NSW', -32.2312, 148.2405],
+  ['Narwee', 'NSW', -33.9465, 151.0692],
+  ['Nelson Bay', 'NSW', -32.7204, 152.1440],
+  ['Neutral Bay', 'NSW', -33.8378, 151.2175],
+  ['New Lambton', 'NSW', -32.9284, 151.7085],
+  ['New Lambton Heights', 'NSW', -32.9247, 151.6936],
+  ['Newcastle', 'NSW', -32.9295, 151.7801],
+  ['Newcastle East', 'NSW', -32.9277, 151.7884],
+  ['Newington', 'NSW', -33.8349, 151.0570],
+  ['Newport', 'NSW', -33.6564, 151.3140],
+  ['Newtown', 'NSW', -33.8983, 151.1775],
+  ['Niagara Park', 'NSW', -33.3764, 151.3486],
+  ['Nimbin', 'NSW', -28.5954, 153.2234],
+  ['Noraville', 'NSW', -33.2678, 151.5535],
+  ['Normanhurst', 'NSW', -33.7237, 151.0958],
+  ['North Albury', 'NSW', -36.0574, 146.9300],
+  ['North Avoca', 'NSW', -33.4561, 151.4351],
+  ['North Balgowlah', 'NSW', -33.7863, 151.2480],
+  ['North Boambee Valley', 'NSW', -30.3129, 153.0693],
+  ['North Bondi', 'NSW', -33.8879, 151.2808],
+  ['North Curl Curl', 'NSW', -33.7643, 151.2973],
+  ['North Epping', 'NSW', -33.7594, 151.0925],
+  ['North Gosford', 'NSW', -33.4140, 151.3516],
+  ['North Haven', 'NSW', -31.6368, 152.8136],
+  ['North Lambton', 'NSW', -32.9060, 151.7057],
+  ['North Manly', 'NSW', -33.7756, 151.2692],
+  ['North Narrabeen', 'NSW', -33.7093, 151.2961],
+  ['North Nowra', 'NSW', -34.8582, 150.5748],
+  ['North Parramatta', 'NSW', -33.7935, 151.0012],
+  ['North Richmond', 'NSW', -33.5812, 150.7194],
+  ['North Rocks', 'NSW', -33.7722, 151.0172],
+  ['North Ryde', 'NSW', -33.7968, 151.1244],
+  ['North St Marys', 'NSW', -33.7549, 150.7844],
+  ['North Strathfield', 'NSW', -33.8569, 151.0912],
+  ['North Sydney', 'NSW', -33.8390, 151.2072],
+  ['North Tamworth', 'NSW', -31.0786, 150.9222],
+  ['North Turramurra', 'NSW', -33.7131, 151.1464],
+  ['North Wahroonga', 'NSW', -33.7053, 151.1228],
+  ['North Willoughby', 'NSW', -33.7956, 151.2007],
+  ['North Wollongong', 'NSW', -34.4057, 150.8976],
+  ['Northbridge', 'NSW', -33.8131, 151.2173],
+  ['Northmead', 'NSW', -33.7838, 150.9986],
+  ['Nowra', 'NSW', -34.8842, 150.6004],
+  ['Nowra Hill', 'NSW', -34.9284, 150.5724],
+  ['Nyngan', 'NSW', -31.5637, 147.1937],
+  ['Oak Flats', 'NSW', -34.5623, 150.8219],
+  ['Oakdale', 'NSW', -34.0793, 150.5132],
+  ['Oakhurst', 'NSW', -33.7388, 150.8384],
+  ['Oakville', 'NSW', -33.6156, 150.8801],
+  ['Oatlands', 'NSW', -33.7959, 151.0271],
+  ['Oatley', 'NSW', -33.9800, 151.0720],
+  ['Oberon', 'NSW', -33.7040, 149.8592],
+  ['Ocean Shores', 'NSW', -28.5093, 153.5376],
+  ['Old Bar', 'NSW', -31.9694, 152.5881],
+  ['Old Erowal Bay', 'NSW', -35.0846, 150.6457],
+  ['Old Guildford', 'NSW', -33.8643, 150.9840],
+  ['Old Toongabbie', 'NSW', -33.7876, 150.9690],
+  ['Oran Park', 'NSW', -34.0056, 150.7403],
+  ['Orange', 'NSW', -33.2840, 149.1002],
+  ['Orangeville', 'NSW', -34.0311, 150.6018],
+  ['Orchard Hills', 'NSW', -33.7823, 150.7109],
+  ['Ourimbah', 'NSW', -33.3142, 151.3303],
+  ['Oxley Park', 'NSW', -33.7707, 150.7950],
+  ['Oxley Vale', 'NSW', -31.0632, 150.9006],
+  ['Oyster Bay', 'NSW', -34.0041, 151.0759],
+  ['Paddington', 'NSW', -33.8842, 151.2315],
+  ['Padstow', 'NSW', -33.9569, 151.0319],
+  ['Padstow Heights', 'NSW', -33.9674, 151.0399],
+  ['Pagewood', 'NSW', -33.9414, 151.2109],
+  ['Palm Beach', 'NSW', -33.5966, 151.3238],
+  ['Panania', 'NSW', -33.9537, 150.9973],
+  ['Parkes', 'NSW', -33.1372, 148.1759],
+  ['Parklea', 'NSW', -33.7244, 150.9182],
+  ['Parramatta', 'NSW', -33.8178, 151.0035],
+  ['Peakhurst', 'NSW', -33.9629, 151.0516],
+  ['Peakhurst Heights', 'NSW', -33.9773, 151.0556],
+  ['Pemulwuy', 'NSW', -33.8227, 150.9240],
+  ['Pendle Hill', 'NSW', -33.8040, 150.9554],
+  ['Pennant Hills', 'NSW', -33.7378, 151.0722],
+  ['Penrith', 'NSW', -33.7500, 150.7000],
+  ['Penshurst', 'NSW', -33.9667, 151.0833],
+  ['Petersham', 'NSW', -33.8946, 151.1550],
+  ['Phillip', 'NSW', -31.1333, 150.8500],
+  ['Picnic Point', 'NSW', -33.9806, 150.9966],
+  ['Picton', 'NSW', -34.1699, 150.6117],
+  ['Pitt Town', 'NSW', -33.5872, 150.8586],
+  ['Pittwater', 'NSW', -33.6662, 151.3017],
+  ['Plumpton', 'NSW', -33.7518, 150.8369],
+  ['Point Clare', 'NSW', -33.4438, 151.3273],
+  ['Point Frederick', 'NSW', -33.4404, 151.3432],
+  ['Point Piper', 'NSW', -33.8667, 151.2500],
+  ['Pokolbin', 'NSW', -32.8000, 151.2833],
+  ['Port Hacking', 'NSW', -34.0679, 151.1256],
+  ['Port Kembla', 'NSW', -34.4818, 150.9012],
+  ['Port Macquarie', 'NSW', -31.4308, 152.9089],
+  ['Portland', 'NSW', -33.3571, 149.9815],
+  ['Potts Point', 'NSW', -33.8670, 151.2259],
+  ['Pottsville', 'NSW', -28.3874, 153.5586],
+  ['Pottsville Beach', 'NSW', -28.3885, 153.5656],
+  ['Prairiewood', 'NSW', -33.8632, 150.9052],
+  ['Prestons', 'NSW', -33.9418, 150.8717],
+  ['Primbee', 'NSW', -34.5036, 150.8795],
+  ['Prospect', 'NSW', -33.8015, 150.9136],
+  ['Punchbowl', 'NSW', -33.9289, 151.0511],
+  ['Putney', 'NSW', -33.8261, 151.1063],
+  ['Pymble', 'NSW', -33.7439, 151.1419],
+  ['Pyrmont', 'NSW', -33.8698, 151.1940],
+  ['Quakers Hill', 'NSW', -33.7333, 150.8833],
+  ['Queanbeyan', 'NSW', -35.3549, 149.2320],
+  ['Queanbeyan East', 'NSW', -35.3462, 149.2460],
+  ['Queanbeyan West', 'NSW', -35.3550, 149.2041],
+  ['Queens Park', 'NSW', -33.8995, 151.2472],
+  ['Queenscliff', 'NSW', -33.7828, 151.2850],
+  ['Quirindi', 'NSW', -31.5076, 150.6790],
+  ['Raby', 'NSW', -34.0185, 150.8176],
+  ['Raglan', 'NSW', -33.4167, 149.6667],
+  ['Ramsgate', 'NSW', -33.9822, 151.1400],
+  ['Ramsgate Beach', 'NSW', -33.9852, 151.1463],
+  ['Randwick', 'NSW', -33.9144, 151.2490],
+  ['Rankin Park', 'NSW', -32.9252, 151.6802],
+  ['Rathmines', 'NSW', -33.0377, 151.5844],
+  ['Raworth', 'NSW', -32.7333, 151.6167],
+  ['Raymond Terrace', 'NSW', -32.7595, 151.7505],
+  ['Razorback', 'NSW', -34.1524, 150.6531],
+  ['Redfern', 'NSW', -33.8928, 151.2042],
+  ['Redhead', 'NSW', -33.0118, 151.7114],
+  ['Regents Park', 'NSW', -33.8833, 151.0167],
+  ['Revesby', 'NSW', -33.9500, 151.0167],
+  ['Revesby Heights', 'NSW', -33.9671, 151.0184],
+  ['Rhodes', 'NSW', -33.8266, 151.0881],
+  ['Richmond', 'NSW', -33.5996, 150.7514],
+  ['Riverstone', 'NSW', -33.6833, 150.8667],
+  ['Riverview', 'NSW', -33.8246, 151.1624],
+  ['Riverwood', 'NSW', -33.9472, 151.0497],
+  ['Robertson', 'NSW', -34.5874, 150.5912],
+  ['Rockdale', 'NSW', -33.9500, 151.1333],
+  ['Rodd Point', 'NSW', -33.8666, 151.1400],
+  ['Rooty Hill', 'NSW', -33.7667, 150.8333],
+  ['Ropes Crossing', 'NSW', -33.7328, 150.7910],
+  ['Rose Bay', 'NSW', -33.8688, 151.2706],
+  ['Rosehill', 'NSW', -33.8201, 151.0245],
+  ['Roselands', 'NSW', -33.9332, 151.0732],
+  ['Rosemeadow', 'NSW', -34.1041, 150.7928],
+  ['Roseville', 'NSW', -33.7833, 151.1833],
+  ['Roseville Chase', 'NSW', -33.7785, 151.1968],
+  ['Rossmore', 'NSW', -33.9405, 150.7728],
+  ['Rouse Hill', 'NSW', -33.6821, 150.9154],
+  ['Rozelle', 'NSW', -33.8614, 151.1705],
+  ['Ruse', 'NSW', -34.0698, 150.8417],
+  ['Rushcutters Bay', 'NSW', -33.8748, 151.2280],
+  ['Russell Lea', 'NSW', -33.8589, 151.1411],
+  ['Russell Vale', 'NSW', -34.3554, 150.8943],
+  ['Rutherford', 'NSW', -32.7167, 151.5333],
+  ['Rydalmere', 'NSW', -33.8145, 151.0375],
+  ['Ryde', 'NSW', -33.8188, 151.1062],
+  ['Sadleir', 'NSW', -33.9171, 150.8909],
+  ['Saint Ives', 'NSW', -33.7298, 151.1598],
+  ['Saint Peters', 'NSW', -33.9167, 151.1833],
+  ['Salamander Bay', 'NSW', -32.7225, 152.0795],
+  ['Salt Ash', 'NSW', -32.7833, 151.9167],
+  ['San Remo', 'NSW', -33.2147, 151.5210],
+  ['Sanctuary Point', 'NSW', -35.1036, 150.6267],
+  ['Sandringham', 'NSW', -33.9945, 151.1391],
+  ['Sandy Beach', 'NSW', -30.1468, 153.1924],
+  ['Sans Souci', 'NSW', -33.9899, 151.1333],
+  ['Sapphire Beach', 'NSW', -30.2261, 153.1363],
+  ['Saratoga', 'NSW', -33.4756, 151.3521],
+  ['Sawtell', 'NSW', -30.3646, 153.1014],
+  ['Schofields', 'NSW', -33.7167, 150.8667],
+  ['Scone', 'NSW', -32.0501, 150.8689],
+  ['Seaforth', 'NSW', -33.8014, 151.2398],
+  ['Sefton', 'NSW', -33.8877, 151.0105],
+  ['Seven Hills', 'NSW', -33.7833, 150.9333],
+  ['Shalvey', 'NSW', -33.7269, 150.8053],
+  ['Shell Cove', 'NSW', -34.5899, 150.8620],
+  ['Shellharbour', 'NSW', -34.5833, 150.8667],
+  ['Shelly Beach', 'NSW', -33.3700, 151.4852],
+  ['Shoal Bay', 'NSW', -32.7223, 152.1750],
+  ['Shoalhaven Heads', 'NSW', -34.8509, 150.7451],
+  ['Shortland', 'NSW', -32.8788, 151.6911],
+  ['Silverdale', 'NSW', -33.9152, 150.6096],
+  ['Silverwater', 'NSW', -33.8334, 151.0473],
+  ['Singleton', 'NSW', -32.5674, 151.1660],
+  ['Singleton Heights', 'NSW', -32.5416, 151.1609],
+  ['Skennars Head', 'NSW', -28.8289, 153.6021],
+  ['Smithfield', 'NSW', -33.8500, 150.9333],
+  ['Smiths Lake', 'NSW', -32.3804, 152.5034],
+  ['Soldiers Point', 'NSW', -32.7105, 152.0698],
+  ['Somersby', 'NSW', -33.3667, 151.2833],
+  ['South Albury', 'NSW', -36.0865, 146.9091],
+  ['South Bathurst', 'NSW', -33.4384, 149.5720],
+  ['South Bowenfels', 'NSW', -33.5167, 150.1167],
+  ['South Coogee', 'NSW', -33.9311, 151.2560],
+  ['South Grafton', 'NSW', -29.7076, 152.9263],
+  ['South Granville', 'NSW', -33.8586, 151.0107],
+  ['South Hurstville', 'NSW', -33.9776, 151.1055],
+  ['South Kempsey', 'NSW', -31.1230, 152.8325],
+  ['South Lismore', 'NSW', -28.8163, 153.2562],
+  ['South Murwillumbah', 'NSW', -28.3389, 153.4000],
+  ['South Nowra', 'NSW', -34.9033, 150.5983],
+  ['South Penrith', 'NSW', -33.7735, 150.6947],
+  ['South Tamworth', 'NSW', -31.1100, 150.9225],
+  ['South Turramurra', 'NSW', -33.7494, 151.1126],
+  ['South Wentworthville', 'NSW', -33.8185, 150.9634],
+  ['South West Rocks', 'NSW', -30.8855, 153.0413],
+  ['South Windsor', 'NSW', -33.6181, 150.8044],
+  ['Speers Point', 'NSW', -32.9638, 151.6262],
+  ['Spring Farm', 'NSW', -34.0685, 150.7118],
+  ['Springdale Heights', 'NSW', -36.0309, 146.9478],
+  ['Springvale', 'NSW', -35.1669, 147.3306],
+  ['Springwood', 'NSW', -33.7000, 150.5500],
+  ['St Andrews', 'NSW', -34.0224, 150.8296],
+  ['St Clair', 'NSW', -33.7973, 150.7847],
+  ['St Helens Park', 'NSW', -34.1047, 150.8137],
+  ['St Huberts Island', 'NSW', -33.4956, 151.3462],
+  ['St Ives Chase', 'NSW', -33.7038, 151.1646],
+  ['St Johns Park', 'NSW', -33.8829, 150.9018],
+  ['St Leonards', 'NSW', -33.8234, 151.1984],
+  ['St. Georges Basin', 'NSW', -35.0899, 150.5980],
+  ['Stanhope Gardens', 'NSW', -33.7221, 150.9260],
+  ['Stanmore', 'NSW', -33.8941, 151.1642],
+  ['Stanwell Park', 'NSW', -34.2261, 150.9858],
+  ['Stockton', 'NSW', -32.9091, 151.7836],
+  ['Strathfield', 'NSW', -33.8810, 151.0799],
+  ['Strathfield South', 'NSW', -33.8925, 151.0833],
+  ['Suffolk Park', 'NSW', -28.6881, 153.6098],
+  ['Summer Hill', 'NSW', -33.8915, 151.1383],
+  ['Summerland Point', 'NSW', -33.1409, 151.5656],
+  ['Sunshine Bay', 'NSW', -35.7454, 150.2079],
+  ['Surfside', 'NSW', -35.6953, 150.1995],
+  ['Surry Hills', 'NSW', -33.8837, 151.2128],
+  ['Sussex Inlet', 'NSW', -35.1567, 150.5853],
+  ['Sutherland', 'NSW', -34.0310, 151.0553],
+  ['Sutton', 'NSW', -35.1667, 149.2500],
+  ['Swansea', 'NSW', -33.0876, 151.6375],
+  ['Sydenham', 'NSW', -33.9167, 151.1680],
+  ['Sydney', 'NSW', -33.8678, 151.2073],
+  ['Sydney Central Business District', 'NSW', -33.8648, 151.2077],
+  ['Sydney Olympic Park', 'NSW', -33.8498, 151.0683],
+  ['Sylvania', 'NSW', -34.0124, 151.0972],
+  ['Sylvania Waters', 'NSW', -34.0187, 151.1086],
+  ['Table Top', 'NSW', -35.9667, 147.0000],
+  ['Tahmoor', 'NSW', -34.2225, 150.5947],
+  ['Tamarama', 'NSW', -33.8983, 151.2706],
+  ['Tamworth', 'NSW', -31.0905, 150.9291],
+  ['Tanilba Bay', 'NSW', -32.7471, 151.9971],
+  ['Taree', 'NSW', -31.9110, 152.4539],
+  ['Taren Point', 'NSW', -34.0194, 151.1183],
+  ['Tarrawanna', 'NSW', -34.3815, 150.8880],
+  ['Tarro', 'NSW', -32.8000, 151.6667],
+  ['Tascott', 'NSW', -33.4502, 151.3138],
+  ['Tathra', 'NSW', -36.7313, 149.9833],
+  ['Tatton', 'NSW', -35.1599, 147.3587],
+  ['Tea Gardens', 'NSW', -32.6635, 152.1540],
+  ['Telarah', 'NSW', -32.7288, 151.5345],
+  ['Telopea', 'NSW', -33.7928, 151.0386],
+  ['Temora', 'NSW', -34.4483, 147.5356],
+  ['Tempe', 'NSW', -33.9233, 151.1602],
+  ['Tenambit', 'NSW', -32.7397, 151.6129],
+  ['Tennyson Point', 'NSW', -33.8317, 151.1168],
+  ['Tenterfield', 'NSW', -29.0495, 152.0195],
+  ['Teralba', 'NSW', -32.9667, 151.6000],
+  ['Terranora', 'NSW', -28.2383, 153.5008],
+  ['Terrigal', 'NSW', -33.4481, 151.4467],
+  ['Terry Hills', 'NSW', -33.6833, 151.2333],
+  ['The Entrance', 'NSW', -33.3388, 151.4978],
+  ['The Entrance North', 'NSW', -33.3357, 151.5034],
+  ['The Hill', 'NSW', -32.9309, 151.7784],
+  ['The Junction', 'NSW', -32.9382, 151.7591],
+  ['The Oaks', 'NSW', -34.0799, 150.5700],
+  ['The Ponds', 'NSW', -33.7023, 150.9109],
+  ['The Rock', 'NSW', -35.2730, 147.1138],
+  ['The Rocks', 'NSW', -33.8592, 151.2081],
+  ['Thirlmere', 'NSW', -34.2045, 150.5677],
+  ['Thirroul', 'NSW', -34.3160, 150.9214],
+  ['Thornleigh', 'NSW', -33.7323, 151.0790],
+  ['Thornton', 'NSW', -32.7833, 151.6333],
+  ['Thurgoona', 'NSW', -36.0363, 146.9961],
+  ['Tighes Hill', 'NSW', -32.9073, 151.7509],
+  ['Tingira Heights', 'NSW', -32.9972, 151.6702],
+  ['Tinonee', 'NSW', -31.9363, 152.4143],
+  ['Tocumwal', 'NSW', -35.8115, 145.5692],
+  ['Tolland', 'NSW', -35.1452, 147.3516],
+  ['Tomakin', 'NSW', -35.8233, 150.1879],
+  ['Tomerong', 'NSW', -35.0523, 150.5865],
+  ['Toongabbie', 'NSW', -33.7833, 150.9500],
+  ['Toongabbie West', 'NSW', -33.7833, 150.9333],
+  ['Toormina', 'NSW', -30.3538, 153.0884],
+  ['Toronto', 'NSW', -33.0136, 151.5937],
+  ['Toukley', 'NSW', -33.2637, 151.5384],
+  ['Towradgi', 'NSW', -34.3867, 150.9028],
+  ['Trangie', 'NSW', -32.0315, 147.9834],
+  ['Tregear', 'NSW', -33.7456, 150.7929],
+  ['Tuggerawong', 'NSW', -33.2804, 151.4804],
+  ['Tumbarumba', 'NSW', -35.7781, 148.0117],
+  ['Tumbi Vmbi', 'NSW', -33.3667, 151.4500],
+  ['Tumut', 'NSW', -35.3064, 148.2182],
+  ['Tuncurry', 'NSW', -32.1744, 152.4988],
+  ['Tura Beach', 'NSW', -36.8636, 149.9303],
+  ['Tuross Head', 'NSW', -36.0533, 150.1332],
+  ['Turramurra', 'NSW', -33.7334, 151.1285],
+  ['Turrella', 'NSW', -33.9303, 151.1421],
+  ['Turvey Park', 'NSW', -35.1285, 147.3626],
+  ['Tweed Heads', 'NSW', -28.1767, 153.5452],
+  ['Tweed Heads South', 'NSW', -28.1952, 153.5396],
+  ['Tweed Heads West', 'NSW', -28.1874, 153.5228],
+  ['Ulladulla', 'NSW', -35.3591, 150.4725],
+  ['Ultimo', 'NSW', -33.8772, 151.1972],
+  ['Umina Beach', 'NSW', -33.5231, 151.3133],
+  ['Unanderra', 'NSW', -34.4531, 150.8475],
+  ['Uralla', 'NSW', -30.6411, 151.5007],
+  ['Urunga', 'NSW', -30.4970, 153.0142],
+  ['Valentine', 'NSW', -33.0150, 151.6429],
+  ['Valla Beach', 'NSW', -30.5926, 153.0113],
+  ['Valley Heights', 'NSW', -33.7000, 150.5833],
+  ['Vaucluse', 'NSW', -33.8555, 151.2775],
+  ['Villawood', 'NSW', -33.8843, 150.9803],
+  ['Vincentia', 'NSW', -35.0682, 150.6748],
+  ['Vineyard', 'NSW', -33.6499, 150.8526],
+  ['Voyager Point', 'NSW', -33.9587, 150.9742],
+  ['Wadalba', 'NSW', -33.2723, 151.4649],
+  ['Wagga Wagga', 'NSW', -35.1258, 147.3538],
+  ['Wahroonga', 'NSW', -33.7182, 151.1156],
+  ['Waitara', 'NSW', -33.7109, 151.1033],
+  ['Wakeley', 'NSW', -33.8743, 150.9098],
+  ['Walcha', 'NSW', -30.9849, 151.5933],
+  ['Walgett', 'NSW', -30.0246, 148.1157],
+  ['Wallacia', 'NSW', -33.8658, 150.6402],
+  ['Wallalong', 'NSW', -32.6956, 151.6496],
+  ['Wallerawang', 'NSW', -33.4110, 150.0646],
+  ['Wallsend', 'NSW', -32.9013, 151.6643],
+  ['Wamberal', 'NSW', -33.4155, 151.4456],
+  ['Wamboin', 'NSW', -35.2507, 149.3328],
+  ['Wangi Wangi', 'NSW', -33.0718, 151.5984],
+  ['Warabrook', 'NSW', -32.8888, 151.7149],
+  ['Waratah', 'NSW', -32.9067, 151.7265],
+  ['Waratah West', 'NSW', -32.9000, 151.7117],
+  ['Wareemba', 'NSW', -33.8582, 151.1309],
+  ['Warialda', 'NSW', -29.5435, 150.5754],
+  ['Warilla', 'NSW', -34.5518, 150.8583],
+  ['Warners Bay', 'NSW', -32.9725, 151.6527],
+  ['Warragamba', 'NSW', -33.8919, 150.6046],
+  ['Warrawee', 'NSW', -33.7288, 151.1205],
+  ['Warrawong', 'NSW', -34.4850, 150.8883],
+  ['Warren', 'NSW', -31.7022, 147.8339],
+  ['Warriewood', 'NSW', -33.6886, 151.2953],
+  ['Warrimoo', 'NSW', -33.7167, 150.6000],
+  ['Warwick Farm', 'NSW', -33.9129, 150.9370],
+  ['Watanobbi', 'NSW', -33.2677, 151.4225],
+  ['Waterview Heights', 'NSW', -29.6977, 152.8392],
+  ['Wattle Grove', 'NSW', -33.9544, 150.9445],
+  ['Wattle Ponds', 'NSW', -32.5203, 151.1936],
+  ['Wauchope', 'NSW', -31.4579, 152.7262],
+  ['Waverton', 'NSW', -33.8386, 151.2005],
+  ['Wee Waa', 'NSW', -30.2266, 149.4404],
+  ['Wellington', 'NSW', -32.5559, 148.9451],
+  ['Wentworth', 'NSW', -34.1073, 141.9132],
+  ['Wentworth Falls', 'NSW', -33.7103, 150.3753],
+  ['Wentworth Point', 'NSW', -33.8308, 151.0744],
+  ['Wentworthville', 'NSW', -33.8065, 150.9679],
+  ['Werrington', 'NSW', -33.7592, 150.7527],
+  ['Werrington County', 'NSW', -33.7465, 150.7393],
+  ['Werrington Downs', 'NSW', -33.7421, 150.7278],
+  ['Werris Creek', 'NSW', -31.3491, 150.6487],
+  ['West Albury', 'NSW', -36.0798, 146.8923],
+  ['West Ballina', 'NSW', -28.8620, 153.5329],
+  ['West Bathurst', 'NSW', -33.4092, 149.5632],
+  ['West Gosford', 'NSW', -33.4258, 151.3170],
+  ['West Haven', 'NSW', -31.6355, 152.7838],
+  ['West Hoxton', 'NSW', -33.9339, 150.8323],
+  ['West Kempsey', 'NSW', -31.0576, 152.8279],
+  ['West Nowra', 'NSW', -34.8859, 150.5833],
+  ['West Pennant Hills', 'NSW', -33.7457, 151.0476],
+  ['West Pymble', 'NSW', -33.7667, 151.1333],
+  ['West Ryde', 'NSW', -33.8054, 151.0739],
+  ['West Tamworth', 'NSW', -31.1024, 150.9145],
+  ['West Wallsend', 'NSW', -32.9000, 151.5833],
+  ['West Wollongong', 'NSW', -34.4248, 150.8642],
+  ['West Wyalong', 'NSW', -33.9237, 147.2047],
+  ['Westdale', 'NSW', -31.0905, 150.8568],
+  ['Westleigh', 'NSW', -33.7118, 151.0714],
+  ['Westmead', 'NSW', -33.8038, 150.9877],
+  ['Wetherill Park', 'NSW', -33.8428, 150.9006],
+  ['Whalan', 'NSW', -33.7570, 150.8040],
+  ['Wheeler Heights', 'NSW', -33.7312, 151.2805],
+  ['Whitebridge', 'NSW', -32.9744, 151.7161],
+  ['Wickham', 'NSW', -32.9192, 151.7569],
+  ['Wilberforce', 'NSW', -33.5626, 150.8378],
+  ['Wiley Park', 'NSW', -33.9242, 151.0674],
+  ['Williamtown', 'NSW', -32.8064, 151.8436],
+  ['Willmot', 'NSW', -33.7253, 150.7926],
+  ['Willoughby', 'NSW', -33.8049, 151.1993],
+  ['Willoughby East', 'NSW', -33.7984, 151.2052],
+  ['Wilton', 'NSW', -34.2405, 150.6977],
+  ['Windale', 'NSW', -32.9928, 151.6817],
+  ['Windang', 'NSW', -34.5333, 150.8667],
+  ['Windradyne', 'NSW', -33.4054, 149.5451],
+  ['Windsor', 'NSW', -33.6131, 150.8142],
+  ['Windsor Downs', 'NSW', -33.6586, 150.8108],
+  ['Wingham', 'NSW', -31.8668, 152.3699],
+  ['Winmalee', 'NSW', -33.6785, 150.6121],
+  ['Winston Hills', 'NSW', -33.7764, 150.9805],
+  ['Wolli Creek', 'NSW', -33.9313, 151.1522],
+  ['Wollongbar', 'NSW', -28.8182, 153.3969],
+  ['Wollongong', 'NSW', -34.4240, 150.8935],
+  ['Wollongong city centre', 'NSW', -34.4279, 150.8927],
+  ['Wollstonecraft', 'NSW', -33.8328, 151.1898],
+  ['Woodberry', 'NSW', -32.7931, 151.6769],
+  ['Woodbine', 'NSW', -34.0459, 150.8215],
+  ['Woodcroft', 'NSW', -33.7564, 150.8807],
+  ['Woodford', 'NSW', -33.7333, 150.4833],
+  ['Woodpark', 'NSW', -33.8414, 150.9606],
+  ['Woodrising', 'NSW', -32.9859, 151.6066],
+  ['Woolgoolga', 'NSW', -30.1106, 153.2007],
+  ['Woollahra', 'NSW', -33.8878, 151.2368],
+  ['Woolloomooloo', 'NSW', -33.8704, 151.2197],
+  ['Woolooware', 'NSW', -34.0458, 151.1431],
+  ['Woongarrah', 'NSW', -33.2413, 151.4756],
+  ['Woonona', 'NSW', -34.3493, 150.9144],
+  ['Woronora', 'NSW', -34.0244, 151.0386],
+  ['Woronora Heights', 'NSW', -34.0356, 151.0273],
+  ['Worrigee', 'NSW', -34.9000, 150.6333],
+  ['Woy Woy', 'NSW', -33.4843, 151.3247],
+  ['Wyee', 'NSW', -33.1825, 151.4880],
+  ['Wyee Point', 'NSW', -33.1459, 151.5078],
+  ['Wyoming', 'NSW', -33.4039, 151.3625],
+  ['Wyong', 'NSW', -33.2825, 151.4233],
+  ['Wyongah', 'NSW', -33.2747, 151.4890],
+  ['Yagoona', 'NSW', -33.9049, 151.0200],
+  ['Yamba', 'NSW', -29.4375, 153.3591],
+  ['Yarravel', 'NSW', -31.0429, 152.7619],
+  ['Yarrawarrah', 'NSW', -34.0535, 151.0356],
+  ['Yass', 'NSW', -34.8404, 148.9099],
+  ['Yenda', 'NSW', -34.2452, 146.2027],
+  ['Yennora', 'NSW', -33.8617, 150.9687],
+  ['Yerrinbool', 'NSW', -34.3688, 150.5385],
+  ['Yoogali', 'NSW', -34.2994, 146.0844],
+  ['Young', 'NSW', -34.3135, 148.3011],
+  ['Yowie Bay', 'NSW', -34.0512, 151.1023],
+  ['Zetland', 'NSW', -33.9075, 151.2086],
+
+  // ── NT ───────────────────────────────────────────────────────────────────
+  ['Alawa', 'NT', -12.3795, 130.8732],
+  ['Alice Springs', 'NT', -23.6975, 133.8836],
+  ['Alyangula', 'NT', -13.8541, 136.4213],
+  ['Anula', 'NT', -12.3912, 130.8905],
+  ['Araluen', 'NT', -23.6960, 133.8540],
+  ['Bakewell', 'NT', -12.4968, 130.9934],
+  ['Bellamack', 'NT', -12.5171, 130.9836],
+  ['Berrimah', 'NT', -12.4351, 130.9261],
+  ['Braitling', 'NT', -23.6800, 133.8688],
+  ['Brinkin', 'NT', -12.3706, 130.8680],
+  ['Coconut Grove', 'NT', -12.3960, 130.8519],
+  ['Cossack', 'NT', -14.4555, 132.1748],
+  ['Darwin', 'NT', -12.4611, 130.8419],
+  ['Desert Springs', 'NT', -23.7155, 133.8877],
+  ['Driver', 'NT', -12.4860, 130.9754],
+  ['Durack', 'NT', -12.4731, 130.9721],
+  ['East Side', 'NT', -23.6919, 133.8932],
+  ['Fannie Bay', 'NT', -12.4227, 130.8363],
+  ['Farrar', 'NT', -12.4803, 130.9982],
+  ['Galiwinku', 'NT', -12.0281, 135.5649],
+  ['Gillen', 'NT', -23.7091, 133.8660],
+  ['Girraween', 'NT', -12.5253, 131.0957],
+  ['Gray', 'NT', -12.4904, 130.9823],
+  ['Gunbalanya', 'NT', -12.3247, 133.0509],
+  ['Gunn', 'NT', -12.4876, 130.9932],
+  ['Herbert', 'NT', -12.5341, 131.1620],
+  ['Holtze', 'NT', -12.4485, 131.0056],
+  ['Howard Springs', 'NT', -12.4958, 131.0445],
+  ['Humpty Doo', 'NT', -12.5750, 131.1030],
+  ['Jabiru', 'NT', -12.6705, 132.8360],
+  ['Jingili', 'NT', -12.3889, 130.8728],
+  ['Johnston', 'NT', -12.4876, 131.0117],
+  ['Karama', 'NT', -12.4022, 130.9160],
+  ['Katherine', 'NT', -14.4652, 132.2635],
+  ['Katherine East', 'NT', -14.4660, 132.2856],
+  ['Katherine South', 'NT', -14.4678, 132.2585],
+  ['Larapinta', 'NT', -23.6930, 133.8314],
+  ['Larrakeyah', 'NT', -12.4553, 130.8317],
+  ['Leanyer', 'NT', -12.3667, 130.9000],
+  ['Ludmilla', 'NT', -12.4203, 130.8551],
+  ['Lyons', 'NT', -12.3591, 130.8885],
+  ['Malak', 'NT', -12.3929, 130.9040],
+  ['Maningrida', 'NT', -12.0483, 134.2294],
+  ['Marrara', 'NT', -12.4004, 130.8929],
+  ['Milingimbi', 'NT', -12.1019, 134.9190],
+  ['Millner', 'NT', -12.3919, 130.8625],
+  ['Moil', 'NT', -12.3885, 130.8809],
+  ['Moulden', 'NT', -12.5056, 130.9731],
+  ['Muirhead', 'NT', -12.3586, 130.8935],
+  ['Nakara', 'NT', -12.3705, 130.8773],
+  ['Ngukurr', 'NT', -14.7308, 134.7310],
+  ['Nhulunbuy', 'NT', -12.1816, 136.7784],
+  ['Nightcliff', 'NT', -12.3830, 130.8517],
+  ['Palmerston', 'NT', -12.4860, 130.9833],
+  ['Parap', 'NT', -12.4305, 130.8414],
+  ['Rapid Creek', 'NT', -12.3804, 130.8592],
+  ['Rosebery', 'NT', -12.5105, 130.9878],
+  ['Ross', 'NT', -23.7442, 133.9036],
+  ['Sadadeen', 'NT', -23.7040, 133.9004],
+  ['Stuart Park', 'NT', -12.4486, 130.8425],
+  ['Tennant Creek', 'NT', -19.6497, 134.1915],
+  ['The Gap', 'NT', -23.7133, 133.8739],
+  ['Tiwi', 'NT', -12.3588, 130.8780],
+  ['Virginia', 'NT', -12.5189, 131.0284],
+  ['Wadeye', 'NT', -14.2383, 129.5218],
+  ['Wagaman', 'NT', -12.3807, 130.8854],
+  ['Wanguri', 'NT', -12.3713, 130.8882],
+  ['Woodroffe', 'NT', -12.5017, 130.9802],
+  ['Wulagi', 'NT', -12.3834, 130.8954],
+  ['Wurrumiyanga', 'NT', -11.7608, 130.6256],
+  ['Yulara', 'NT', -25.2406, 130.9889],
+  ['Zuccoli', 'NT', -12.5073, 131.0069],
+
+  // ── QLD ──────────────────────────────────────────────────────────────────
+  ['Acacia Ridge', 'QLD', -27.5833, 153.0333],
+  ['Agnes Water', 'QLD', -24.2119, 151.9035],
+  ['Airlie Beach', 'QLD', -20.2675, 148.7147],
+  ['Aitkenvale', 'QLD', -19.3014, 146.7708],
+  ['Albany Creek', 'QLD', -27.3536, 152.9685],
+  ['Alderley', 'QLD', -27.4255, 153.0010],
+  ['Aldershot', 'QLD', -25.4631, 152.6635],
+  ['Alexandra Headland', 'QLD', -26.6715, 153.1006],
+  ['Alexandra Hills', 'QLD', -27.5322, 153.2289],
+  ['Algester', 'QLD', -27.6128, 153.0324],
+  ['Alice River', 'QLD', -19.3344, 146.6139],
+  ['Allenstown', 'QLD', -23.3940, 150.5039],
+  ['Alligator Creek', 'QLD', -19.3918, 146.9378],
+  ['Allora', 'QLD', -28.0348, 151.9806],
+  ['Alton Downs', 'QLD', -23.3000, 150.3500],
+  ['Andergrove', 'QLD', -21.0833, 149.1833],
+  ['Annandale', 'QLD', -19.3150, 146.7907],
+  ['Annerley', 'QLD', -27.5123, 153.0325],
+  ['Anstead', 'QLD', -27.5378, 152.8619],
+  ['Arana Hills', 'QLD', -27.3981, 152.9580],
+  ['Aroona', 'QLD', -26.7817, 153.1165],
+  ['Arundel', 'QLD', -27.9377, 153.3630],
+  ['Ascot', 'QLD', -27.4315, 153.0580],
+  ['Ashgrove', 'QLD', -27.4455, 152.9920],
+  ['Ashmore', 'QLD', -27.9888, 153.3765],
+  ['Aspley', 'QLD', -27.3667, 153.0167],
+  ['Atherton', 'QLD', -17.2686, 145.4752],
+  ['Auchenflower', 'QLD', -27.4744, 152.9921],
+  ['Augustine Heights', 'QLD', -27.6605, 152.8790],
+  ['Aurukun', 'QLD', -13.3558, 141.7271],
+  ['Avenell Heights', 'QLD', -24.8896, 152.3679],
+  ['Avoca', 'QLD', -24.8782, 152.3079],
+  ['Ayr', 'QLD', -19.5739, 147.4067],
+  ['Babinda', 'QLD', -17.3439, 145.9227],
+  ['Bahrs Scrub', 'QLD', -27.7333, 153.1667],
+  ['Bakers Creek', 'QLD', -21.2199, 149.1468],
+  ['Bald Hills', 'QLD', -27.3211, 153.0086],
+  ['Balmoral', 'QLD', -27.4534, 153.0668],
+  ['Bamaga', 'QLD', -10.8920, 142.3893],
+  ['Banksia Beach', 'QLD', -27.0403, 153.1439],
+  ['Banyo', 'QLD', -27.3824, 153.0790],
+  ['Barcaldine', 'QLD', -23.5535, 145.2854],
+  ['Bardon', 'QLD', -27.4610, 152.9792],
+  ['Barellan Point', 'QLD', -27.5720, 152.8438],
+  ['Bargara', 'QLD', -24.8148, 152.4626],
+  ['Barney Point', 'QLD', -23.8479, 151.2658],
+  ['Battery Hill', 'QLD', -26.7788, 153.1289],
+  ['Bayview Heights', 'QLD', -16.9623, 145.7259],
+  ['Beachmere', 'QLD', -27.1281, 153.0524],
+  ['Beaconsfield', 'QLD', -21.0912, 149.1654],
+  ['Beaudesert', 'QLD', -27.9869, 152.9966],
+  ['Beenleigh', 'QLD', -27.7114, 153.2029],
+  ['Beerwah', 'QLD', -26.8588, 152.9614],
+  ['Belgian Gardens', 'QLD', -19.2451, 146.7945],
+  ['Bellara', 'QLD', -27.0639, 153.1496],
+  ['Bellbird Park', 'QLD', -27.6367, 152.8866],
+  ['Bellbowrie', 'QLD', -27.5594, 152.8828],
+  ['Bellmere', 'QLD', -27.0844, 152.8900],
+  ['Belmont', 'QLD', -27.4988, 153.1340],
+  ['Benaraby', 'QLD', -24.0042, 151.3341],
+  ['Benowa', 'QLD', -28.0077, 153.3858],
+  ['Bentley Park', 'QLD', -17.0039, 145.7382],
+  ['Berrinba', 'QLD', -27.6585, 153.0789],
+  ['Berserker', 'QLD', -23.3582, 150.5204],
+  ['Biggera Waters', 'QLD', -27.9324, 153.4002],
+  ['Bilinga', 'QLD', -28.1667, 153.5167],
+  ['Biloela', 'QLD', -24.3959, 150.5150],
+  ['Birkdale', 'QLD', -27.4833, 153.2167],
+  ['Birtinya', 'QLD', -26.7432, 153.1191],
+  ['Black Mountain', 'QLD', -26.3989, 152.8756],
+  ['Black River', 'QLD', -19.2252, 146.6179],
+  ['Blackall', 'QLD', -24.4233, 145.4630],
+  ['Blacks Beach', 'QLD', -21.0547, 149.1897],
+  ['Blackwater', 'QLD', -23.5835, 148.8791],
+  ['Bli Bli', 'QLD', -26.6172, 153.0367],
+  ['Bluewater', 'QLD', -19.1816, 146.5582],
+  ['Bohle Plains', 'QLD', -19.3136, 146.6919],
+  ['Bokarina', 'QLD', -26.7384, 153.1305],
+  ['Bongaree', 'QLD', -27.0837, 153.1594],
+  ['Bonogin', 'QLD', -28.1393, 153.3530],
+  ['Booie', 'QLD', -26.5368, 151.9418],
+  ['Boonah', 'QLD', -27.9972, 152.6811],
+  ['Boondall', 'QLD', -27.3532, 153.0609],
+  ['Booral', 'QLD', -25.3605, 152.9081],
+  ['Booval', 'QLD', -27.6133, 152.7894],
+  ['Boronia Heights', 'QLD', -27.6885, 153.0196],
+  ['Bouldercombe', 'QLD', -23.5705, 150.4695],
+  ['Bowen', 'QLD', -20.0137, 148.2475],
+  ['Bowen Hills', 'QLD', -27.4437, 153.0373],
+  ['Boyne Island', 'QLD', -23.9483, 151.3534],
+  ['Bracken Ridge', 'QLD', -27.3171, 153.0310],
+  ['Brandon', 'QLD', -19.5539, 147.3530],
+  ['Branyan', 'QLD', -24.9135, 152.2725],
+  ['Brassall', 'QLD', -27.5975, 152.7476],
+  ['Bray Park', 'QLD', -27.2925, 152.9678],
+  ['Brendale', 'QLD', -27.3211, 152.9839],
+  ['Bridgeman Downs', 'QLD', -27.3554, 152.9943],
+  ['Brighton', 'QLD', -27.2958, 153.0572],
+  ['Brinsmead', 'QLD', -16.8992, 145.7155],
+  ['Brisbane', 'QLD', -27.4679, 153.0281],
+  ['Brisbane central business district', 'QLD', -27.4713, 153.0274],
+  ['Broadbeach', 'QLD', -28.0278, 153.4334],
+  ['Broadbeach Waters', 'QLD', -28.0350, 153.4250],
+  ['Brookfield', 'QLD', -27.5000, 152.9000],
+  ['Brookwater', 'QLD', -27.6613, 152.8967],
+  ['Bucasia', 'QLD', -21.0349, 149.1573],
+  ['Bucca', 'QLD', -24.8667, 152.1000],
+  ['Buccan', 'QLD', -27.7500, 153.1333],
+  ['Buddina', 'QLD', -26.6956, 153.1330],
+  ['Buderim', 'QLD', -26.6844, 153.0571],
+  ['Bulimba', 'QLD', -27.4499, 153.0577],
+  ['Bundaberg', 'QLD', -24.8662, 152.3479],
+  ['Bundaberg East', 'QLD', -24.8586, 152.3800],
+  ['Bundaberg North', 'QLD', -24.8491, 152.3464],
+  ['Bundaberg South', 'QLD', -24.8728, 152.3599],
+  ['Bundaberg West', 'QLD', -24.8726, 152.3365],
+  ['Bundall', 'QLD', -28.0111, 153.4048],
+  ['Bundamba', 'QLD', -27.6095, 152.8113],
+  ['Bungalow', 'QLD', -16.9385, 145.7563],
+  ['Bunya', 'QLD', -27.3694, 152.9433],
+  ['Burbank', 'QLD', -27.5558, 153.1470],
+  ['Burdell', 'QLD', -19.2506, 146.6988],
+  ['Burleigh Heads', 'QLD', -28.1000, 153.4500],
+  ['Burleigh Waters', 'QLD', -28.0997, 153.4246],
+  ['Burnett Heads', 'QLD', -24.7647, 152.4127],
+  ['Burnside', 'QLD', -26.6325, 152.9406],
+  ['Burpengary', 'QLD', -27.1575, 152.9576],
+  ['Burpengary East', 'QLD', -27.1445, 152.9997],
+  ['Burrum Heads', 'QLD', -25.1846, 152.6126],
+  ['Bushland Beach', 'QLD', -19.1913, 146.6768],
+  ['Cabarlah', 'QLD', -27.4333, 152.0000],
+  ['Caboolture', 'QLD', -27.0846, 152.9511],
+  ['Caboolture South', 'QLD', -27.0939, 152.9487],
+  ['Cairns', 'QLD', -16.9237, 145.7661],
+  ['Cairns City', 'QLD', -16.9207, 145.7736],
+  ['Cairns North', 'QLD', -16.9041, 145.7570],
+  ['Calamvale', 'QLD', -27.6233, 153.0479],
+  ['Calliope', 'QLD', -24.0070, 151.2003],
+  ['Caloundra', 'QLD', -26.8035, 153.1220],
+  ['Caloundra West', 'QLD', -26.8063, 153.1089],
+  ['Cambooya', 'QLD', -27.7145, 151.8603],
+  ['Camira', 'QLD', -27.6346, 152.9209],
+  ['Camp Hill', 'QLD', -27.4935, 153.0763],
+  ['Camp Mountain', 'QLD', -27.4000, 152.8833],
+  ['Cannon Hill', 'QLD', -27.4724, 153.0948],
+  ['Cannonvale', 'QLD', -20.2768, 148.6976],
+  ['Canungra', 'QLD', -28.0169, 153.1652],
+  ['Capalaba', 'QLD', -27.5433, 153.2029],
+  ['Capella', 'QLD', -23.0859, 148.0221],
+  ['Caravonica', 'QLD', -16.8706, 145.6810],
+  ['Carbrook', 'QLD', -27.6833, 153.2500],
+  ['Cardwell', 'QLD', -18.2669, 146.0280],
+  ['Carina Heights', 'QLD', -27.5072, 153.0913],
+  ['Carindale', 'QLD', -27.5058, 153.1024],
+  ['Carrara', 'QLD', -28.0215, 153.3664],
+  ['Carseldine', 'QLD', -27.3475, 153.0231],
+  ['Cashmere', 'QLD', -27.2977, 152.9066],
+  ['Cedar Grove', 'QLD', -27.8667, 152.9833],
+  ['Cedar Vale', 'QLD', -27.8892, 153.0289],
+  ['Centenary Heights', 'QLD', -27.5868, 151.9625],
+  ['Chambers Flat', 'QLD', -27.7481, 153.0776],
+  ['Chandler', 'QLD', -27.5140, 153.1491],
+  ['Chapel Hill', 'QLD', -27.5026, 152.9501],
+  ['Charleville', 'QLD', -26.4054, 146.2427],
+  ['Charters Towers', 'QLD', -20.0767, 146.2635],
+  ['Charters Towers City', 'QLD', -20.0777, 146.2628],
+  ['Chatsworth', 'QLD', -26.1440, 152.6150],
+  ['Chelmer', 'QLD', -27.5133, 152.9752],
+  ['Cherbourg', 'QLD', -26.2919, 151.9521],
+  ['Chermside', 'QLD', -27.3847, 153.0306],
+  ['Chermside West', 'QLD', -27.3838, 153.0159],
+  ['Childers', 'QLD', -25.2371, 152.2788],
+  ['Chinchilla', 'QLD', -26.7379, 150.6297],
+  ['Churchill', 'QLD', -27.6423, 152.7502],
+  ['Chuwar', 'QLD', -27.5662, 152.7784],
+  ['Clayfield', 'QLD', -27.4189, 153.0582],
+  ['Clear Island Waters', 'QLD', -28.0531, 153.3981],
+  ['Clermont', 'QLD', -22.8241, 147.6364],
+  ['Cleveland', 'QLD', -27.5268, 153.2652],
+  ['Clifton', 'QLD', -27.9337, 151.9066],
+  ['Clifton Beach', 'QLD', -16.7631, 145.6717],
+  ['Clinton', 'QLD', -23.8752, 151.2179],
+  ['Cloncurry', 'QLD', -20.7072, 140.5130],
+  ['Clontarf', 'QLD', -27.2534, 153.0784],
+  ['Coes Creek', 'QLD', -26.6472, 152.9494],
+  ['Collingwood Park', 'QLD', -27.6128, 152.8601],
+  ['Collinsville', 'QLD', -20.5522, 147.8440],
+  ['Condon', 'QLD', -19.3297, 146.7166],
+  ['Cooee Bay', 'QLD', -23.1443, 150.7611],
+  ['Cooktown', 'QLD', -15.4657, 145.2498],
+  ['Coolangatta', 'QLD', -28.1694, 153.5347],
+  ['Cooloola Cove', 'QLD', -25.9864, 152.9936],
+  ['Coolum Beach', 'QLD', -26.5283, 153.0881],
+  ['Coombabah', 'QLD', -27.9107, 153.3709],
+  ['Coomera', 'QLD', -27.8433, 153.3390],
+  ['Coominya', 'QLD', -27.3901, 152.5006],
+  ['Coopers Plains', 'QLD', -27.5646, 153.0407],
+  ['Cooran', 'QLD', -26.3369, 152.8225],
+  ['Cooroibah', 'QLD', -26.3632, 152.9860],
+  ['Cooroy', 'QLD', -26.4178, 152.9115],
+  ['Coorparoo', 'QLD', -27.4932, 153.0583],
+  ['Coppabella', 'QLD', -21.9471, 148.3005],
+  ['Coral Cove', 'QLD', -24.8831, 152.4827],
+  ['Corinda', 'QLD', -27.5438, 152.9822],
+  ['Cornubia', 'QLD', -27.6667, 153.2167],
+  ['Cotswold Hills', 'QLD', -27.5224, 151.8952],
+  ['Craiglie', 'QLD', -16.5379, 145.4696],
+  ['Craignish', 'QLD', -25.2826, 152.7243],
+  ['Cranbrook', 'QLD', -19.3055, 146.7529],
+  ['Cranley', 'QLD', -27.5150, 151.9230],
+  ['Crestmead', 'QLD', -27.6876, 153.0844],
+  ['Crows Nest', 'QLD', -27.2599, 152.0516],
+  ['Cunnamulla', 'QLD', -28.0677, 145.6844],
+  ['Curra', 'QLD', -26.0667, 152.5833],
+  ['Currajong', 'QLD', -19.2757, 146.7792],
+  ['Currimundi', 'QLD', -26.7692, 153.1224],
+  ['Currumbin', 'QLD', -28.1365, 153.4816],
+  ['Currumbin Valley', 'QLD', -28.2080, 153.3942],
+  ['Currumbin Waters', 'QLD', -28.1544, 153.4728],
+  ['D’Aguilar', 'QLD', -26.9833, 152.8000],
+  ['Daisy Hill', 'QLD', -27.6303, 153.1578],
+  ['Dakabin', 'QLD', -27.2259, 152.9910],
+  ['Dalby', 'QLD', -27.1817, 151.2620],
+  ['Darling Heights', 'QLD', -27.5966, 151.9305],
+  ['Darra', 'QLD', -27.5669, 152.9540],
+  ['Dayboro', 'QLD', -27.1963, 152.8225],
+  ['Deagon', 'QLD', -27.3279, 153.0613],
+  ['Deception Bay', 'QLD', -27.1935, 153.0263],
+  ['Deebing Heights', 'QLD', -27.6672, 152.7487],
+  ['Deeragun', 'QLD', -19.2474, 146.6757],
+  ['Delaneys Creek', 'QLD', -27.0002, 152.7955],
+  ['Depot Hill', 'QLD', -23.3902, 150.5210],
+  ['Dicky Beach', 'QLD', -26.7836, 153.1377],
+  ['Diddillibah', 'QLD', -26.6417, 153.0496],
+  ['Dimbulah', 'QLD', -17.1475, 145.1097],
+  ['Doolandella', 'QLD', -27.6133, 152.9855],
+  ['Doomadgee', 'QLD', -17.9435, 138.8272],
+  ['Doonan', 'QLD', -26.4396, 152.9920],
+  ['Douglas', 'QLD', -19.3239, 146.7523],
+  ['Drayton', 'QLD', -27.6001, 151.9011],
+  ['Drewvale', 'QLD', -27.6477, 153.0546],
+  ['Dundowran Beach', 'QLD', -25.2693, 152.7623],
+  ['Durack', 'QLD', -27.5895, 152.9858],
+  ['Dutton Park', 'QLD', -27.4966, 153.0280],
+  ['Dysart', 'QLD', -22.5882, 148.3492],
+  ['Eagleby', 'QLD', -27.6833, 153.2167],
+  ['Earlville', 'QLD', -16.9508, 145.7331],
+  ['East Brisbane', 'QLD', -27.4810, 153.0440],
+  ['East Innisfail', 'QLD', -17.5332, 146.0349],
+  ['East Ipswich', 'QLD', -27.6064, 152.7723],
+  ['East Mackay', 'QLD', -21.1498, 149.1964],
+  ['East Toowoomba', 'QLD', -27.5709, 151.9742],
+  ['Eastern Heights', 'QLD', -27.6285, 152.7783],
+  ['Eatons Hill', 'QLD', -27.3392, 152.9599],
+  ['Edens Landing', 'QLD', -27.7027, 153.1694],
+  ['Edge Hill', 'QLD', -16.9000, 145.7500],
+  ['Edmonton', 'QLD', -17.0190, 145.7444],
+  ['Eight Mile Plains', 'QLD', -27.5833, 153.1000],
+  ['Eimeo', 'QLD', -21.0377, 149.1763],
+  ['Elanora', 'QLD', -28.1358, 153.4493],
+  ['Eli Waters', 'QLD', -25.2792, 152.8091],
+  ['Elimbah', 'QLD', -27.0167, 152.9500],
+  ['Ellen Grove', 'QLD', -27.6153, 152.9439],
+  ['Elliott Heads', 'QLD', -24.9162, 152.4899],
+  ['Emerald', 'QLD', -23.5230, 148.1578],
+  ['Emu Park', 'QLD', -23.2568, 150.8268],
+  ['Enoggera', 'QLD', -27.4283, 152.9747],
+  ['Esk', 'QLD', -27.2389, 152.4222],
+  ['Eudlo', 'QLD', -26.7296, 152.9540],
+  ['Eumundi', 'QLD', -26.4774, 152.9512],
+  ['Everton Hills', 'QLD', -27.3891, 152.9713],
+  ['Everton Park', 'QLD', -27.4073, 152.9884],
+  ['Fairfield', 'QLD', -27.5064, 153.0248],
+  ['Fernvale', 'QLD', -27.4547, 152.6532],
+  ['Ferny Grove', 'QLD', -27.4008, 152.9348],
+  ['Ferny Hills', 'QLD', -27.3959, 152.9374],
+  ['Fig Tree Pocket', 'QLD', -27.5278, 152.9619],
+  ['Fitzgibbon', 'QLD', -27.3397, 153.0292],
+  ['Flinders View', 'QLD', -27.6505, 152.7745],
+  ['Forest Glen', 'QLD', -26.6886, 153.0045],
+  ['Forest Lake', 'QLD', -27.6256, 152.9688],
+  ['Forestdale', 'QLD', -27.6633, 153.0038],
+  ['Fortitude Valley', 'QLD', -27.4571, 153.0318],
+  ['Frenchville', 'QLD', -23.3476, 150.5445],
+  ['Freshwater', 'QLD', -16.8833, 145.7167],
+  ['Gailes', 'QLD', -27.6113, 152.9132],
+  ['Garbutt', 'QLD', -19.2660, 146.7822],
+  ['Gatton', 'QLD', -27.5587, 152.2762],
+  ['Gaven', 'QLD', -27.9565, 153.3345],
+  ['Gayndah', 'QLD', -25.6252, 151.6114],
+  ['Gaythorne', 'QLD', -27.4167, 152.9833],
+  ['Geebung', 'QLD', -27.3725, 153.0471],
+  ['Gilston', 'QLD', -28.0333, 153.3000],
+  ['Gin Gin', 'QLD', -24.9936, 151.9581],
+  ['Gladstone', 'QLD', -23.8485, 151.2577],
+  ['Gladstone Central', 'QLD', -23.8428, 151.2489],
+  ['Glass House Mountains', 'QLD', -26.8976, 152.9532],
+  ['Glen Eden', 'QLD', -23.8974, 151.2713],
+  ['Gleneagle', 'QLD', -27.9333, 152.9833],
+  ['Glenella', 'QLD', -21.1177, 149.1445],
+  ['Glenvale', 'QLD', -27.5682, 151.8934],
+  ['Glenview', 'QLD', -26.7667, 153.0167],
+  ['Gold Coast', 'QLD', -28.0003, 153.4309],
+  ['Golden Beach', 'QLD', -26.8218, 153.1197],
+  ['Gooburrum', 'QLD', -24.8231, 152.3315],
+  ['Goodna', 'QLD', -27.6105, 152.8990],
+  ['Goondiwindi', 'QLD', -28.5471, 150.3055],
+  ['Gordon Park', 'QLD', -27.4190, 153.0255],
+  ['Gordonvale', 'QLD', -17.0996, 145.7804],
+  ['Gowrie Junction', 'QLD', -27.4833, 151.8833],
+  ['Gracemere', 'QLD', -23.4379, 150.4575],
+  ['Graceville', 'QLD', -27.5220, 152.9822],
+  ['Grange', 'QLD', -27.4225, 153.0153],
+  ['Granville', 'QLD', -25.5449, 152.7335],
+  ['Greenbank', 'QLD', -27.7167, 152.9833],
+  ['Greenslopes', 'QLD', -27.5081, 153.0495],
+  ['Griffin', 'QLD', -27.2715, 153.0394],
+  ['Gulliver', 'QLD', -19.2881, 146.7769],
+  ['Gumdale', 'QLD', -27.4919, 153.1532],
+  ['Gympie', 'QLD', -26.1898, 152.6650],
+  ['Hamilton', 'QLD', -27.4390, 153.0629],
+  ['Harlaxton', 'QLD', -27.5333, 151.9667],
+  ['Harristown', 'QLD', -27.5833, 151.9333],
+  ['Hatton Vale', 'QLD', -27.5667, 152.4667],
+  ['Hawthorne', 'QLD', -27.4670, 153.0578],
+  ['Hay Point', 'QLD', -21.2965, 149.2737],
+  ['Healy', 'QLD', -20.7460, 139.5001],
+  ['Heathwood', 'QLD', -27.6345, 152.9881],
+  ['Heatley', 'QLD', -19.2903, 146.7536],
+  ['Helensvale', 'QLD', -27.9183, 153.3328],
+  ['Helidon', 'QLD', -27.5532, 152.1240],
+  ['Hemmant', 'QLD', -27.4478, 153.1317],
+  ['Hendra', 'QLD', -27.4177, 153.0702],
+  ['Heritage Park', 'QLD', -27.6827, 153.0608],
+  ['Hermit Park', 'QLD', -19.2874, 146.8004],
+  ['Herston', 'QLD', -27.4445, 153.0185],
+  ['Hervey Bay', 'QLD', -25.2876, 152.7694],
+  ['Highfields', 'QLD', -27.4634, 151.9539],
+  ['Highgate Hill', 'QLD', -27.4891, 153.0188],
+  ['Highland Park', 'QLD', -28.0139, 153.3331],
+  ['Highvale', 'QLD', -27.3723, 152.8020],
+  ['Hillcrest', 'QLD', -27.6686, 153.0261],
+  ['Hodgson Vale', 'QLD', -27.6652, 151.9325],
+  ['Holland Park', 'QLD', -27.5170, 153.0674],
+  ['Holland Park West', 'QLD', -27.5262, 153.0605],
+  ['Holloways Beach', 'QLD', -16.8421, 145.7392],
+  ['Hollywell', 'QLD', -27.9008, 153.3961],
+  ['Holmview', 'QLD', -27.7163, 153.1704],
+  ['Home Hill', 'QLD', -19.6592, 147.4123],
+  ['Hope Island', 'QLD', -27.8704, 153.3516],
+  ['Hope Vale', 'QLD', -15.2956, 145.1113],
+  ['Howard', 'QLD', -25.3193, 152.5599],
+  ['Hughenden', 'QLD', -20.8440, 144.2003],
+  ['Hyde Park', 'QLD', -19.2769, 146.7965],
+  ['Idalia', 'QLD', -19.3068, 146.8139],
+  ['Inala', 'QLD', -27.5971, 152.9743],
+  ['Indooroopilly', 'QLD', -27.5030, 152.9752],
+  ['Ingham', 'QLD', -18.6455, 146.1625],
+  ['Innes Park', 'QLD', -24.8683, 152.4799],
+  ['Innisfail', 'QLD', -17.5221, 146.0310],
+  ['Innisfail Estate', 'QLD', -17.5183, 146.0447],
+  ['Ipswich', 'QLD', -27.6234, 152.7607],
+  ['Jacobs Well', 'QLD', -27.7799, 153.3615],
+  ['Jamboree Heights', 'QLD', -27.5563, 152.9340],
+  ['Jandowae', 'QLD', -26.7841, 151.1124],
+  ['Jensen', 'QLD', -19.2457, 146.6529],
+  ['Jimboomba', 'QLD', -27.8312, 153.0274],
+  ['Jindalee', 'QLD', -27.5345, 152.9384],
+  ['Joyner', 'QLD', -27.2761, 152.9447],
+  ['Jubilee Pocket', 'QLD', -20.2881, 148.7294],
+  ['Julatten', 'QLD', -16.6072, 145.3412],
+  ['Kalbar', 'QLD', -27.9417, 152.6237],
+  ['Kalinga', 'QLD', -27.4096, 153.0506],
+  ['Kalkie', 'QLD', -24.8443, 152.3853],
+  ['Kallangur', 'QLD', -27.2520, 152.9923],
+  ['Kamerunga', 'QLD', -16.8732, 145.7013],
+  ['Kangaroo Point', 'QLD', -27.4768, 153.0367],
+  ['Kanimbla', 'QLD', -16.9231, 145.7216],
+  ['Karalee', 'QLD', -27.5648, 152.8245],
+  ['Karana Downs', 'QLD', -27.5486, 152.8073],
+  ['Karumba', 'QLD', -17.4869, 140.8426],
+  ['Kawana', 'QLD', -23.3393, 150.5049],
+  ['Kawungan', 'QLD', -25.2988, 152.8460],
+  ['Kearneys Spring', 'QLD', -27.6049, 151.9410],
+  ['Kedron', 'QLD', -27.4029, 153.0297],
+  ['Kelso', 'QLD', -19.3893, 146.7191],
+  ['Kelvin Grove', 'QLD', -27.4482, 153.0134],
+  ['Kenmore', 'QLD', -27.5076, 152.9388],
+  ['Kenmore Hills', 'QLD', -27.5042, 152.9318],
+  ['Kensington Grove', 'QLD', -27.5328, 152.4721],
+  ['Keperra', 'QLD', -27.4138, 152.9470],
+  ['Kepnock', 'QLD', -24.8761, 152.3752],
+  ['Kewarra Beach', 'QLD', -16.7822, 145.6846],
+  ['Kilcoy', 'QLD', -26.9430, 152.5655],
+  ['Kin Kora', 'QLD', -23.8770, 151.2472],
+  ['Kingaroy', 'QLD', -26.5399, 151.8373],
+  ['Kings Beach', 'QLD', -26.8017, 153.1426],
+  ['Kingsthorpe', 'QLD', -27.4756, 151.8141],
+  ['Kingston', 'QLD', -27.6667, 153.1167],
+  ['Kippa-Ring', 'QLD', -27.2259, 153.0835],
+  ['Kirkwood', 'QLD', -23.9033, 151.2354],
+  ['Kirwan', 'QLD', -19.3032, 146.7253],
+  ['Kleinton', 'QLD', -27.4333, 151.9500],
+  ['Koongal', 'QLD', -23.3689, 150.5492],
+  ['Kooralbyn', 'QLD', -28.0795, 152.8397],
+  ['Kuluin', 'QLD', -26.6578, 153.0561],
+  ['Kuraby', 'QLD', -27.6068, 153.0937],
+  ['Kuranda', 'QLD', -16.8198, 145.6382],
+  ['Kurwongbah', 'QLD', -27.2325, 152.9762],
+  ['Labrador', 'QLD', -27.9440, 153.3981],
+  ['Laidley', 'QLD', -27.6328, 152.3929],
+  ['Lake Macdonald', 'QLD', -26.3848, 152.9321],
+  ['Lammermoor', 'QLD', -23.1608, 150.7608],
+  ['Landsborough', 'QLD', -26.8067, 152.9610],
+  ['Lawnton', 'QLD', -27.2833, 152.9833],
+  ['Leichhardt', 'QLD', -27.6228, 152.7337],
+  ['Little Mountain', 'QLD', -26.7844, 153.0922],
+  ['Logan Central', 'QLD', -27.6438, 153.1073],
+  ['Logan City', 'QLD', -27.6392, 153.1094],
+  ['Logan Reserve', 'QLD', -27.7241, 153.0900],
+  ['Logan Village', 'QLD', -27.7683, 153.1076],
+  ['Loganholme', 'QLD', -27.6844, 153.1864],
+  ['Loganlea', 'QLD', -27.6753, 153.1347],
+  ['Longreach', 'QLD', -23.4421, 144.2492],
+  ['Lota', 'QLD', -27.4692, 153.1858],
+  ['Lower Beechmont', 'QLD', -28.0475, 153.2457],
+  ['Lowood', 'QLD', -27.4655, 152.5762],
+  ['Lutwyche', 'QLD', -27.4227, 153.0335],
+  ['Macgregor', 'QLD', -27.5649, 153.0665],
+  ['Machans Beach', 'QLD', -16.8585, 145.7447],
+  ['Mackay', 'QLD', -21.1534, 149.1655],
+  ['Mackay City', 'QLD', -21.1446, 149.1868],
+  ['Mackenzie', 'QLD', -27.5435, 153.1206],
+  ['Macleay Island', 'QLD', -27.6109, 153.3600],
+  ['Magnetic Island', 'QLD', -19.1551, 146.8485],
+  ['Main Beach', 'QLD', -27.9788, 153.4266],
+  ['Malanda', 'QLD', -17.3523, 145.5953],
+  ['Maleny', 'QLD', -26.7600, 152.8493],
+  ['Mango Hill', 'QLD', -27.2435, 153.0238],
+  ['Manly West', 'QLD', -27.4738, 153.1664],
+  ['Manoora', 'QLD', -16.9171, 145.7367],
+  ['Mansfield', 'QLD', -27.5393, 153.0990],
+  ['Manunda', 'QLD', -16.9172, 145.7492],
+  ['Mapleton', 'QLD', -26.6243, 152.8678],
+  ['Marcoola', 'QLD', -26.5845, 153.0947],
+  ['Mareeba', 'QLD', -16.9910, 145.4231],
+  ['Margate', 'QLD', -27.2476, 153.0981],
+  ['Marian', 'QLD', -21.1439, 148.9421],
+  ['Maroochy River', 'QLD', -26.5777, 153.0188],
+  ['Maroochydore', 'QLD', -26.6601, 153.0995],
+  ['Marsden', 'QLD', -27.6734, 153.0973],
+  ['Maryborough', 'QLD', -25.5407, 152.7049],
+  ['Maudsland', 'QLD', -27.9500, 153.2667],
+  ['McDowall', 'QLD', -27.3827, 152.9919],
+  ['Meadowbrook', 'QLD', -27.6640, 153.1447],
+  ['Menzies', 'QLD', -20.7181, 139.4972],
+  ['Meridan Plains', 'QLD', -26.7735, 153.0619],
+  ['Meringandan West', 'QLD', -27.4161, 151.8873],
+  ['Mermaid Beach', 'QLD', -28.0441, 153.4347],
+  ['Mermaid Waters', 'QLD', -28.0491, 153.4308],
+  ['Merrimac', 'QLD', -28.0508, 153.3731],
+  ['Miami', 'QLD', -28.0717, 153.4416],
+  ['Middle Park', 'QLD', -27.5560, 152.9222],
+  ['Middle Ridge', 'QLD', -27.6071, 151.9669],
+  ['Middlemount', 'QLD', -22.8123, 148.6993],
+  ['Miles', 'QLD', -26.6584, 150.1882],
+  ['Millbank', 'QLD', -24.8754, 152.3222],
+  ['Millmerran', 'QLD', -27.8791, 151.2706],
+  ['Millstream', 'QLD', -17.6532, 145.4140],
+  ['Milton', 'QLD', -27.4704, 153.0031],
+  ['Minden', 'QLD', -27.5596, 152.5449],
+  ['Minyama', 'QLD', -26.6957, 153.1235],
+  ['Mirani', 'QLD', -21.1573, 148.8622],
+  ['Mission Beach', 'QLD', -17.8688, 146.1039],
+  ['Mission River', 'QLD', -12.5951, 141.9576],
+  ['Mitchell', 'QLD', -26.4849, 147.9742],
+  ['Mitchelton', 'QLD', -27.4167, 152.9667],
+  ['Moffat Beach', 'QLD', -26.7905, 153.1400],
+  ['Moggill', 'QLD', -27.5833, 152.8667],
+  ['Molendinar', 'QLD', -27.9741, 153.3607],
+  ['Monkland', 'QLD', -26.2119, 152.6825],
+  ['Monto', 'QLD', -24.8648, 151.1220],
+  ['Montville', 'QLD', -26.6833, 152.8833],
+  ['Mooloolaba', 'QLD', -26.6816, 153.1193],
+  ['Moore Park Beach', 'QLD', -24.7107, 152.2091],
+  ['Mooroobool', 'QLD', -16.9349, 145.7314],
+  ['Moorooka', 'QLD', -27.5344, 153.0246],
+  ['Moranbah', 'QLD', -22.0016, 148.0466],
+  ['Morayfield', 'QLD', -27.1088, 152.9491],
+  ['Morningside', 'QLD', -27.4616, 153.0751],
+  ['Mornington', 'QLD', -20.7341, 139.4959],
+  ['Mossman', 'QLD', -16.4629, 145.3714],
+  ['Mount Coolum', 'QLD', -26.5658, 153.0914],
+  ['Mount Cotton', 'QLD', -27.6333, 153.2333],
+  ['Mount Crosby', 'QLD', -27.5395, 152.8058],
+  ['Mount Gravatt', 'QLD', -27.5333, 153.0833],
+  ['Mount Gravatt East', 'QLD', -27.5405, 153.0822],
+  ['Mount Isa', 'QLD', -20.7252, 139.4973],
+  ['Mount Lofty', 'QLD', -27.5463, 151.9722],
+  ['Mount Louisa', 'QLD', -19.2740, 146.7509],
+  ['Mount Low', 'QLD', -19.2321, 146.6695],
+  ['Mount Morgan', 'QLD', -23.6453, 150.3890],
+  ['Mount Nathan', 'QLD', -27.9643, 153.2720],
+  ['Mount Ommaney', 'QLD', -27.5461, 152.9322],
+  ['Mount Pleasant', 'QLD', -21.1181, 149.1597],
+  ['Mount Sheridan', 'QLD', -16.9861, 145.7324],
+  ['Mount Warren Park', 'QLD', -27.7311, 153.2055],
+  ['Mountain Creek', 'QLD', -26.7028, 153.1013],
+  ['Moura', 'QLD', -24.5722, 149.9673],
+  ['Mudgeeraba', 'QLD', -28.0833, 153.3667],
+  ['Mudjimba', 'QLD', -26.6150, 153.0989],
+  ['Mulambin', 'QLD', -23.1876, 150.7893],
+  ['Mundingburra', 'QLD', -19.2985, 146.7935],
+  ['Mundoolun', 'QLD', -27.8994, 153.0715],
+  ['Mundubbera', 'QLD', -25.5927, 151.3022],
+  ['Munruben', 'QLD', -27.7463, 153.0312],
+  ['Murarrie', 'QLD', -27.4629, 153.0981],
+  ['Murgon', 'QLD', -26.2417, 151.9405],
+  ['Murray', 'QLD', -19.3180, 146.7949],
+  ['Murrumba Downs', 'QLD', -27.2673, 153.0105],
+  ['Nambour', 'QLD', -26.6261, 152.9594],
+  ['Nanango', 'QLD', -26.6716, 152.0021],
+  ['Nanum', 'QLD', -12.6451, 141.8622],
+  ['Narangba', 'QLD', -27.2034, 152.9592],
+  ['Nathan', 'QLD', -27.5589, 153.0623],
+  ['Nebo', 'QLD', -21.6833, 148.6833],
+  ['Nelly Bay', 'QLD', -19.1577, 146.8498],
+  ['Nerang', 'QLD', -27.9894, 153.3363],
+  ['New Auckland', 'QLD', -23.8836, 151.2356],
+  ['New Beith', 'QLD', -27.7660, 152.9420],
+  ['New Farm', 'QLD', -27.4678, 153.0483],
+  ['Newmarket', 'QLD', -27.4353, 153.0078],
+  ['Newport', 'QLD', -27.2073, 153.1014],
+  ['Newstead', 'QLD', -27.4531, 153.0418],
+  ['Ninderry', 'QLD', -26.5409, 152.9752],
+  ['Ningi', 'QLD', -27.0611, 153.0788],
+  ['Nome', 'QLD', -19.3624, 146.9467],
+  ['Noosa Heads', 'QLD', -26.3943, 153.0901],
+  ['Noosaville', 'QLD', -26.4000, 153.0667],
+  ['Norman Gardens', 'QLD', -23.3304, 150.5275],
+  ['Norman Park', 'QLD', -27.4792, 153.0625],
+  ['Normanton', 'QLD', -17.6718, 141.0772],
+  ['North Booval', 'QLD', -27.6039, 152.7949],
+  ['North Ipswich', 'QLD', -27.6029, 152.7615],
+  ['North Lakes', 'QLD', -27.2243, 153.0208],
+  ['North Mackay', 'QLD', -21.1201, 149.1794],
+  ['North Maclean', 'QLD', -27.7676, 153.0165],
+  ['North Toowoomba', 'QLD', -27.5441, 151.9612],
+  ['North Ward', 'QLD', -19.2499, 146.8148],
+  ['Norville', 'QLD', -24.8931, 152.3409],
+  ['Nudgee', 'QLD', -27.3691, 153.0847],
+  ['Nundah', 'QLD', -27.4025, 153.0616],
+  ['Oakey', 'QLD', -27.4330, 151.7206],
+  ['Oakhurst', 'QLD', -25.5125, 152.6358],
+  ['One Mile', 'QLD', -27.6290, 152.7377],
+  ['Oonoonba', 'QLD', -19.2968, 146.8209],
+  ['Ooralea', 'QLD', -21.1739, 149.1480],
+  ['Ormeau', 'QLD', -27.7679, 153.2428],
+  ['Ormeau Hills', 'QLD', -27.7965, 153.2567],
+  ['Ormiston', 'QLD', -27.5167, 153.2500],
+  ['Oxenford', 'QLD', -27.8903, 153.3131],
+  ['Oxley', 'QLD', -27.5500, 152.9833],
+  ['Pacific Paradise', 'QLD', -26.6181, 153.0778],
+  ['Pacific Pines', 'QLD', -27.9399, 153.3144],
+  ['Paddington', 'QLD', -27.4594, 152.9951],
+  ['Palm Beach', 'QLD', -28.1169, 153.4658],
+  ['Palm Cove', 'QLD', -16.7500, 145.6667],
+  ['Palm Island', 'QLD', -18.7356, 146.5779],
+  ['Palmwoods', 'QLD', -26.6858, 152.9614],
+  ['Paradise Point', 'QLD', -27.8866, 153.3933],
+  ['Park Avenue', 'QLD', -23.3533, 150.5189],
+  ['Park Ridge', 'QLD', -27.7167, 153.0333],
+  ['Park Ridge South', 'QLD', -27.7271, 153.0332],
+  ['Parkhurst', 'QLD', -23.3000, 150.5167],
+  ['Parkinson', 'QLD', -27.6434, 153.0298],
+  ['Parkside', 'QLD', -20.7377, 139.4887],
+  ['Parkwood', 'QLD', -27.9546, 153.3630],
+  ['Parramatta Park', 'QLD', -16.9260, 145.7664],
+  ['Parrearra', 'QLD', -26.7115, 153.1220],
+  ['Peachester', 'QLD', -26.8455, 152.8840],
+  ['Pelican Waters', 'QLD', -26.8335, 153.1001],
+  ['Peregian Beach', 'QLD', -26.4810, 153.0960],
+  ['Peregian Springs', 'QLD', -26.4880, 153.0758],
+  ['Petrie', 'QLD', -27.2667, 152.9833],
+  ['Petrie Terrace', 'QLD', -27.4630, 153.0131],
+  ['Pialba', 'QLD', -25.2870, 152.8437],
+  ['Pie Creek', 'QLD', -26.2299, 152.6077],
+  ['Pimlico', 'QLD', -19.2817, 146.7880],
+  ['Pimpama', 'QLD', -27.8167, 153.3000],
+  ['Pine Mountain', 'QLD', -27.5500, 152.7000],
+  ['Pioneer', 'QLD', -20.7203, 139.5081],
+  ['Pittsworth', 'QLD', -27.7164, 151.6340],
+  ['Plainland', 'QLD', -27.5667, 152.4167],
+  ['Point Vernon', 'QLD', -25.2573, 152.8173],
+  ['Pomona', 'QLD', -26.3668, 152.8557],
+  ['Port Douglas', 'QLD', -16.4838, 145.4673],
+  ['Proserpine', 'QLD', -20.4011, 148.5802],
+  ['Pullenvale', 'QLD', -27.5228, 152.8865],
+  ['Queenton', 'QLD', -20.0745, 146.2817],
+  ['Raceview', 'QLD', -27.6347, 152.7752],
+  ['Railway Estate', 'QLD', -19.2757, 146.8196],
+  ['Rainbow Beach', 'QLD', -25.9043, 153.0917],
+  ['Rangeville', 'QLD', -27.5832, 151.9800],
+  ['Rangewood', 'QLD', -19.3114, 146.6388],
+  ['Rasmussen', 'QLD', -19.3524, 146.7228],
+  ['Ravenshoe', 'QLD', -17.6090, 145.4841],
+  ['Redbank', 'QLD', -27.6000, 152.8667],
+  ['Redbank Plains', 'QLD', -27.6461, 152.8596],
+  ['Redland Bay', 'QLD', -27.6113, 153.3002],
+  ['Redlynch', 'QLD', -16.9254, 145.6956],
+  ['Reedy Creek', 'QLD', -28.1124, 153.3964],
+  ['Regency Downs', 'QLD', -27.5336, 152.4405],
+  ['Regents Park', 'QLD', -27.6766, 153.0417],
+  ['Richlands', 'QLD', -27.5962, 152.9532],
+  ['River Heads', 'QLD', -25.4155, 152.9132],
+  ['Riverhills', 'QLD', -27.5593, 152.9111],
+  ['Riverview', 'QLD', -27.6000, 152.8500],
+  ['Robertson', 'QLD', -27.5658, 153.0574],
+  ['Robina', 'QLD', -28.0707, 153.3933],
+  ['Rochedale', 'QLD', -27.5667, 153.1333],
+  ['Rochedale South', 'QLD', -27.5952, 153.1233],
+  ['Rockhampton', 'QLD', -23.3803, 150.5060],
+  ['Rocklea', 'QLD', -27.5392, 153.0040],
+  ['Rockville', 'QLD', -27.5361, 151.9381],
+  ['Roma', 'QLD', -26.5674, 148.7875],
+  ['Rosemount', 'QLD', -26.6303, 152.9997],
+  ['Rosenthal Heights', 'QLD', -28.2401, 152.0133],
+  ['Rosewood', 'QLD', -27.6335, 152.5895],
+  ['Rosslea', 'QLD', -19.2987, 146.7982],
+  ['Rothwell', 'QLD', -27.2143, 153.0468],
+  ['Runaway Bay', 'QLD', -27.9139, 153.3978],
+  ['Runcorn', 'QLD', -27.5976, 153.0770],
+  ['Rural View', 'QLD', -21.0645, 149.1646],
+  ['Russell Island', 'QLD', -27.6487, 153.3812],
+  ['Sadliers Crossing', 'QLD', -27.6125, 152.7458],
+  ['Salisbury', 'QLD', -27.5514, 153.0325],
+  ['Samford Valley', 'QLD', -27.3727, 152.8670],
+  ['Sandgate', 'QLD', -27.3220, 153.0695],
+  ['Sandstone Point', 'QLD', -27.0837, 153.1324],
+  ['Sarina', 'QLD', -21.4191, 149.2168],
+  ['Scarborough', 'QLD', -27.2012, 153.1094],
+  ['Scarness', 'QLD', -25.2840, 152.8560],
+  ['Seven Hills', 'QLD', -27.4834, 153.0747],
+  ['Seventeen Mile Rocks', 'QLD', -27.5507, 152.9590],
+  ['Shailer Park', 'QLD', -27.6498, 153.1775],
+  ['Sharon', 'QLD', -24.8759, 152.2699],
+  ['Sheldon', 'QLD', -27.5844, 153.2004],
+  ['Shorncliffe', 'QLD', -27.3276, 153.0816],
+  ['Silkstone', 'QLD', -27.6213, 152.7877],
+  ['Sinnamon Park', 'QLD', -27.5444, 152.9489],
+  ['Sippy Downs', 'QLD', -26.7179, 153.0548],
+  ['Slacks Creek', 'QLD', -27.6500, 153.1500],
+  ['Slade Point', 'QLD', -21.0750, 149.2250],
+  ['Soldiers Hill', 'QLD', -20.7053, 139.4899],
+  ['South Brisbane', 'QLD', -27.4803, 153.0205],
+  ['South Gladstone', 'QLD', -23.8622, 151.2680],
+  ['South Kolan', 'QLD', -24.9320, 152.1679],
+  ['South Mackay', 'QLD', -21.1629, 149.1775],
+  ['South Maclean', 'QLD', -27.7924, 153.0160],
+  ['South Toowoomba', 'QLD', -27.5710, 151.9465],
+  ['South Townsville', 'QLD', -19.2662, 146.8333],
+  ['Southport', 'QLD', -27.9672, 153.3980],
+  ['Southside', 'QLD', -26.2100, 152.6472],
+  ['Spring Hill', 'QLD', -27.4614, 153.0231],
+  ['Springfield', 'QLD', -27.6536, 152.9172],
+  ['Springfield Lakes', 'QLD', -27.6676, 152.9249],
+  ['Springsure', 'QLD', -24.1148, 148.0885],
+  ['Springwood', 'QLD', -27.6118, 153.1290],
+  ['St George', 'QLD', -27.9476, 148.6099],
+  ['Stafford', 'QLD', -27.4104, 153.0111],
+  ['Stafford Heights', 'QLD', -27.3935, 153.0105],
+  ['Stanthorpe', 'QLD', -28.6542, 151.9339],
+  ['Strathpine', 'QLD', -27.3041, 152.9898],
+  ['Stretton', 'QLD', -27.6220, 153.0661],
+  ['Stuart', 'QLD', -19.3470, 146.8438],
+  ['Sun Valley', 'QLD', -23.8752, 151.2575],
+  ['Sunnybank', 'QLD', -27.5800, 153.0606],
+  ['Sunnybank Hills', 'QLD', -27.6102, 153.0539],
+  ['Sunrise Beach', 'QLD', -26.4165, 153.1031],
+  ['Sunset', 'QLD', -20.7103, 139.5082],
+  ['Sunshine Beach', 'QLD', -26.4058, 153.1078],
+  ['Sunshine Coast', 'QLD', -26.6568, 153.0796],
+  ['Surfers Paradise', 'QLD', -28.0027, 153.4300],
+  ['Svensson Heights', 'QLD', -24.8857, 152.3318],
+  ['Taigum', 'QLD', -27.3426, 153.0444],
+  ['Tallai', 'QLD', -28.0641, 153.3259],
+  ['Tallebudgera', 'QLD', -28.1500, 153.4333],
+  ['Tallebudgera Valley', 'QLD', -28.1927, 153.3549],
+  ['Tamborine', 'QLD', -27.8833, 153.1333],
+  ['Tamborine Mountain', 'QLD', -27.9695, 153.1994],
+  ['Tanah Merah', 'QLD', -27.6715, 153.1702],
+  ['Tanawha', 'QLD', -26.7198, 153.0302],
+  ['Tannum Sands', 'QLD', -23.9475, 151.3675],
+  ['Tara', 'QLD', -27.2761, 150.4568],
+  ['Taranganba', 'QLD', -23.1443, 150.7514],
+  ['Taringa', 'QLD', -27.4906, 152.9786],
+  ['Tarragindi', 'QLD', -27.5271, 153.0456],
+  ['Telina', 'QLD', -23.8883, 151.2538],
+  ['Teneriffe', 'QLD', -27.4559, 153.0470],
+  ['Tewantin', 'QLD', -26.3910, 153.0343],
+  ['Thabeban', 'QLD', -24.9000, 152.3500],
+  ['The Gap', 'QLD', -27.4419, 152.9386],
+  ['The Gemfields', 'QLD', -23.5301, 147.7968],
+  ['The Range', 'QLD', -23.3920, 150.4962],
+  ['Thorneside', 'QLD', -27.4878, 153.1982],
+  ['Thornlands', 'QLD', -27.5575, 153.2648],
+  ['Thursday Island', 'QLD', -10.5826, 142.2195],
+  ['Tieri', 'QLD', -23.0383, 148.3446],
+  ['Tin Can Bay', 'QLD', -25.9191, 153.0032],
+  ['Tinana', 'QLD', -25.5520, 152.6659],
+  ['Tingalpa', 'QLD', -27.4736, 153.1270],
+  ['Tivoli', 'QLD', -27.5928, 152.7680],
+  ['Tolga', 'QLD', -17.1856, 145.4771],
+  ['Toogoolawah', 'QLD', -27.0866, 152.3764],
+  ['Toogoom', 'QLD', -25.2564, 152.6903],
+  ['Toowong', 'QLD', -27.4833, 152.9833],
+  ['Toowoomba', 'QLD', -27.5606, 151.9539],
+  ['Torquay', 'QLD', -25.2850, 152.8789],
+  ['Townsville', 'QLD', -19.2664, 146.8057],
+  ['Townview', 'QLD', -20.7325, 139.5048],
+  ['Trinity Beach', 'QLD', -16.7888, 145.6968],
+  ['Trinity Park', 'QLD', -16.8068, 145.7055],
+  ['Trunding', 'QLD', -12.6342, 141.8696],
+  ['Tugun', 'QLD', -28.1500, 153.5000],
+  ['Tully', 'QLD', -17.9326, 145.9228],
+  ['Twin Waters', 'QLD', -26.6342, 153.0811],
+  ['Underwood', 'QLD', -27.6088, 153.1113],
+  ['Upper Caboolture', 'QLD', -27.1167, 152.8833],
+  ['Upper Coomera', 'QLD', -27.8768, 153.2857],
+  ['Upper Kedron', 'QLD', -27.4188, 152.9178],
+  ['Upper Mount Gravatt', 'QLD', -27.5613, 153.0845],
+  ['Urangan', 'QLD', -25.2921, 152.9054],
+  ['Urraween', 'QLD', -25.2952, 152.8221],
+  ['Varsity Lakes', 'QLD', -28.0894, 153.4122],
+  ['Victoria Point', 'QLD', -27.5833, 153.3117],
+  ['Vincent', 'QLD', -19.2834, 146.7646],
+  ['Virginia', 'QLD', -27.3833, 153.0667],
+  ['Wacol', 'QLD', -27.5833, 152.9333],
+  ['Wakerley', 'QLD', -27.4830, 153.1559],
+  ['Walkerston', 'QLD', -21.1610, 149.0581],
+  ['Walkervale', 'QLD', -24.8827, 152.3589],
+  ['Walloon', 'QLD', -27.6054, 152.6643],
+  ['Wamuran', 'QLD', -27.0391, 152.8654],
+  ['Wandal', 'QLD', -23.3688, 150.4938],
+  ['Wandoan', 'QLD', -26.1228, 149.9603],
+  ['Warana', 'QLD', -26.7227, 153.1269],
+  ['Warner', 'QLD', -27.3122, 152.9498],
+  ['Warwick', 'QLD', -28.2190, 152.0344],
+  ['Waterford West', 'QLD', -27.6906, 153.1332],
+  ['Wavell Heights', 'QLD', -27.3938, 153.0470],
+  ['Weipa', 'QLD', -12.6235, 141.8788],
+  ['Wellesley Islands', 'QLD', -16.6318, 139.4014],
+  ['Wellington Point', 'QLD', -27.4833, 153.2500],
+  ['West Gladstone', 'QLD', -23.8612, 151.2453],
+  ['West Mackay', 'QLD', -21.1547, 149.1618],
+  ['West Rockhampton', 'QLD', -23.3794, 150.4818],
+  ['West Woombye', 'QLD', -26.6664, 152.9256],
+  ['Westbrook', 'QLD', -27.6167, 151.8667],
+  ['Westlake', 'QLD', -27.5486, 152.9128],
+  ['White Rock', 'QLD', -16.9744, 145.7633],
+  ['Whitfield', 'QLD', -16.8951, 145.7334],
+  ['Whitsundays', 'QLD', -20.1194, 148.9133],
+  ['Willow Vale', 'QLD', -27.8450, 153.2631],
+  ['Willowbank', 'QLD', -27.6821, 152.6741],
+  ['Wilsonton', 'QLD', -27.5431, 151.9168],
+  ['Wilsonton Heights', 'QLD', -27.5323, 151.9244],
+  ['Wilston', 'QLD', -27.4322, 153.0190],
+  ['Windaroo', 'QLD', -27.7459, 153.1934],
+  ['Windsor', 'QLD', -27.4363, 153.0288],
+  ['Winston', 'QLD', -20.7090, 139.4970],
+  ['Winton', 'QLD', -22.3818, 143.0424],
+  ['Wishart', 'QLD', -27.5545, 153.1011],
+  ['Withcott', 'QLD', -27.5541, 152.0243],
+  ['Witta', 'QLD', -26.7000, 152.8167],
+  ['Wondai', 'QLD', -26.3177, 151.8724],
+  ['Wondunna', 'QLD', -25.3176, 152.8591],
+  ['Wongaling Beach', 'QLD', -17.9133, 146.0961],
+  ['Wongawallan', 'QLD', -27.8755, 153.2286],
+  ['Woodend', 'QLD', -27.6055, 152.7531],
+  ['Woodford', 'QLD', -26.9529, 152.7775],
+  ['Woodgate', 'QLD', -25.1083, 152.5625],
+  ['Woodridge', 'QLD', -27.6333, 153.1000],
+  ['Woody Point', 'QLD', -27.2561, 153.1043],
+  ['Woolloongabba', 'QLD', -27.4885, 153.0366],
+  ['Wooloowin', 'QLD', -27.4224, 153.0420],
+  ['Woombye', 'QLD', -26.6605, 152.9695],
+  ['Woorim', 'QLD', -27.0693, 153.2043],
+  ['Woree', 'QLD', -16.9500, 145.7500],
+  ['Worongary', 'QLD', -28.0500, 153.3500],
+  ['Wulguru', 'QLD', -19.3285, 146.8184],
+  ['Wulkuraka', 'QLD', -27.6143, 152.7219],
+  ['Wurtulla', 'QLD', -26.7565, 153.1281],
+  ['Wynnum', 'QLD', -27.4453, 153.1581],
+  ['Wynnum West', 'QLD', -27.4582, 153.1532],
+  ['Wyreema', 'QLD', -27.6558, 151.8553],
+  ['Yamanto', 'QLD', -27.6603, 152.7386],
+  ['Yandina', 'QLD', -26.5616, 152.9560],
+  ['Yaroomba', 'QLD', -26.5513, 153.0970],
+  ['Yarrabah', 'QLD', -16.9945, 145.8972],
+  ['Yarrabilba', 'QLD', -27.8086, 153.1116],
+  ['Yarraman', 'QLD', -26.8417, 151.9814],
+  ['Yatala', 'QLD', -27.7167, 153.2167],
+  ['Yeerongpilly', 'QLD', -27.5310, 153.0094],
+  ['Yeppoon', 'QLD', -23.1268, 150.7441],
+  ['Yeppoon city centre', 'QLD', -23.1295, 150.7364],
+  ['Yeronga', 'QLD', -27.5157, 153.0164],
+  ['Yorkeys Knob', 'QLD', -16.8028, 145.7208],
+  ['Yungaburra', 'QLD', -17.2706, 145.5834],
+  ['Zillmere', 'QLD', -27.3559, 153.0445],
+  ['Zilzie', 'QLD', -23.2887, 150.7982],
+
+  // ── SA ───────────────────────────────────────────────────────────────────
+  ['Aberfoyle Park', 'SA', -35.0768, 138.5916],
+  ['Adelaide', 'SA', -34.9287, 138.5986],
+  ['Adelaide city centre', 'SA', -34.9287, 138.6033],
+  ['Adelaide Hills', 'SA', -34.9112, 138.7074],
+  ['Albert Park', 'SA', -34.8720, 138.5197],
+  ['Alberton', 'SA', -34.8593, 138.5214],
+  ['Aldgate', 'SA', -35.0167, 138.7333],
+  ['Aldinga Beach', 'SA', -35.2783, 138.4580],
+  ['Allenby Gardens', 'SA', -34.8977, 138.5543],
+  ['Andrews Farm', 'SA', -34.6763, 138.6620],
+  ['Angaston', 'SA', -34.5013, 139.0462],
+  ['Angle Park', 'SA', -34.8599, 138.5580],
+  ['Angle Vale', 'SA', -34.6410, 138.6461],
+  ['Ardrossan', 'SA', -34.4222, 137.9191],
+  ['Ascot Park', 'SA', -34.9918, 138.5577],
+  ['Ashford', 'SA', -34.9486, 138.5746],
+  ['Athelstone', 'SA', -34.8702, 138.6999],
+  ['Athol Park', 'SA', -34.8561, 138.5428],
+  ['Balaklava', 'SA', -34.1454, 138.4115],
+  ['Balhannah', 'SA', -34.9909, 138.8257],
+  ['Banksia Park', 'SA', -34.8101, 138.7357],
+  ['Barmera', 'SA', -34.2556, 140.4615],
+  ['Beaumont', 'SA', -34.9490, 138.6619],
+  ['Bedford Park', 'SA', -35.0220, 138.5682],
+  ['Belair', 'SA', -34.9977, 138.6208],
+  ['Bellevue Heights', 'SA', -35.0302, 138.5831],
+  ['Berri', 'SA', -34.2811, 140.5996],
+  ['Beulah Park', 'SA', -34.9177, 138.6452],
+  ['Beverley', 'SA', -34.8951, 138.5463],
+  ['Birkenhead', 'SA', -34.8368, 138.4979],
+  ['Black Forest', 'SA', -34.9603, 138.5767],
+  ['Blackwood', 'SA', -35.0214, 138.6143],
+  ['Blair Athol', 'SA', -34.8589, 138.5966],
+  ['Blakeview', 'SA', -34.6757, 138.7101],
+  ['Bordertown', 'SA', -36.3077, 140.7717],
+  ['Brahma Lodge', 'SA', -34.7760, 138.6531],
+  ['Bridgewater', 'SA', -35.0140, 138.7665],
+  ['Brighton', 'SA', -35.0182, 138.5235],
+  ['Broadview', 'SA', -34.8759, 138.6150],
+  ['Brompton', 'SA', -34.8944, 138.5782],
+  ['Brooklyn Park', 'SA', -34.9285, 138.5363],
+  ['Burra', 'SA', -33.6717, 138.9284],
+  ['Burton', 'SA', -34.7334, 138.6025],
+  ['Camden Park', 'SA', -34.9686, 138.5396],
+  ['Campbelltown', 'SA', -34.8833, 138.6667],
+  ['Ceduna', 'SA', -32.1266, 133.6727],
+  ['Cheltenham', 'SA', -34.8679, 138.5234],
+  ['Christie Downs', 'SA', -35.1300, 138.4963],
+  ['Christies Beach', 'SA', -35.1388, 138.4723],
+  ['Clapham', 'SA', -34.9899, 138.6016],
+  ['Clare', 'SA', -33.8332, 138.6106],
+  ['Clarence Gardens', 'SA', -34.9754, 138.5798],
+  ['Clarence Park', 'SA', -34.9642, 138.5806],
+  ['Clearview', 'SA', -34.8573, 138.6133],
+  ['Cleve', 'SA', -33.7000, 136.5000],
+  ['Clovelly Park', 'SA', -34.9995, 138.5708],
+  ['Collinswood', 'SA', -34.8873, 138.6122],
+  ['Colonel Light Gardens', 'SA', -34.9863, 138.5975],
+  ['Coober Pedy', 'SA', -29.0141, 134.7550],
+  ['Coromandel Valley', 'SA', -35.0500, 138.6167],
+  ['Cowandilla', 'SA', -34.9322, 138.5593],
+  ['Cowell', 'SA', -33.6823, 136.9212],
+  ['Crafers', 'SA', -34.9890, 138.7160],
+  ['Crafers West', 'SA', -34.9914, 138.6821],
+  ['Craigburn Farm', 'SA', -35.0405, 138.6049],
+  ['Craigmore', 'SA', -34.7006, 138.7096],
+  ['Croydon Park', 'SA', -34.8803, 138.5678],
+  ['Crystal Brook', 'SA', -33.3526, 138.2096],
+  ['Cumberland Park', 'SA', -34.9720, 138.5867],
+  ['Darlington', 'SA', -35.0315, 138.5553],
+  ['Davoren Park', 'SA', -34.6906, 138.6686],
+  ['Daw Park', 'SA', -34.9897, 138.5841],
+  ['Dernancourt', 'SA', -34.8620, 138.6766],
+  ['Dover Gardens', 'SA', -35.0240, 138.5370],
+  ['Dulwich', 'SA', -34.9365, 138.6272],
+  ['Echunga', 'SA', -35.1035, 138.7959],
+  ['Eden Hills', 'SA', -35.0211, 138.5957],
+  ['Edwardstown', 'SA', -34.9802, 138.5694],
+  ['Elizabeth Downs', 'SA', -34.6998, 138.6913],
+  ['Elizabeth East', 'SA', -34.7251, 138.6821],
+  ['Elizabeth Grove', 'SA', -34.7353, 138.6689],
+  ['Elizabeth North', 'SA', -34.7068, 138.6761],
+  ['Elizabeth Park', 'SA', -34.7097, 138.6860],
+  ['Elizabeth South', 'SA', -34.7318, 138.6619],
+  ['Elizabeth Vale', 'SA', -34.7486, 138.6682],
+  ['Encounter Bay', 'SA', -35.5742, 138.6006],
+  ['Enfield', 'SA', -34.8526, 138.6026],
+  ['Erindale', 'SA', -34.9278, 138.6631],
+  ['Ethelton', 'SA', -34.8487, 138.4910],
+  ['Evandale', 'SA', -34.9055, 138.6354],
+  ['Evanston', 'SA', -34.6166, 138.7337],
+  ['Evanston Gardens', 'SA', -34.6232, 138.7217],
+  ['Evanston Park', 'SA', -34.6228, 138.7412],
+  ['Everard Park', 'SA', -34.9520, 138.5748],
+  ['Exeter', 'SA', -34.8399, 138.4890],
+  ['Fairview Park', 'SA', -34.8000, 138.7286],
+  ['Felixstow', 'SA', -34.8890, 138.6470],
+  ['Ferryden Park', 'SA', -34.8662, 138.5618],
+  ['Findon', 'SA', -34.9000, 138.5333],
+  ['Firle', 'SA', -34.9046, 138.6532],
+  ['Flagstaff Hill', 'SA', -35.0486, 138.5829],
+  ['Flinders Park', 'SA', -34.9103, 138.5432],
+  ['Forestville', 'SA', -34.9495, 138.5785],
+  ['Freeling', 'SA', -34.4541, 138.8087],
+  ['Fulham', 'SA', -34.9274, 138.5137],
+  ['Fulham Gardens', 'SA', -34.9148, 138.5132],
+  ['Fullarton', 'SA', -34.9510, 138.6290],
+  ['Gawler', 'SA', -34.6025, 138.7490],
+  ['Gawler East', 'SA', -34.5989, 138.7632],
+  ['Gawler South', 'SA', -34.6071, 138.7445],
+  ['Gilberton', 'SA', -34.9005, 138.6126],
+  ['Gilles Plains', 'SA', -34.8500, 138.6500],
+  ['Glandore', 'SA', -34.9615, 138.5683],
+  ['Glen Osmond', 'SA', -34.9596, 138.6487],
+  ['Glenalta', 'SA', -35.0079, 138.6259],
+  ['Glenelg', 'SA', -34.9808, 138.5150],
+  ['Glenelg East', 'SA', -34.9764, 138.5296],
+  ['Glenelg North', 'SA', -34.9679, 138.5175],
+  ['Glenelg South', 'SA', -34.9896, 138.5143],
+  ['Glengowrie', 'SA', -34.9871, 138.5367],
+  ['Glenside', 'SA', -34.9427, 138.6338],
+  ['Glenunga', 'SA', -34.9501, 138.6384],
+  ['Glynde', 'SA', -34.8960, 138.6525],
+  ['Golden Grove', 'SA', -34.7833, 138.7333],
+  ['Goodwood', 'SA', -34.9509, 138.5923],
+  ['Goolwa', 'SA', -35.5016, 138.7819],
+  ['Goolwa Beach', 'SA', -35.5047, 138.7732],
+  ['Grange', 'SA', -34.9022, 138.4902],
+  ['Greenacres', 'SA', -34.8685, 138.6280],
+  ['Greenock', 'SA', -34.4570, 138.9272],
+  ['Greenwith', 'SA', -34.7656, 138.7138],
+  ['Gulfview Heights', 'SA', -34.7954, 138.6694],
+  ['Hackham', 'SA', -35.1551, 138.5251],
+  ['Hackham West', 'SA', -35.1431, 138.5144],
+  ['Hahndorf', 'SA', -35.0286, 138.8078],
+  ['Hallett Cove', 'SA', -35.0792, 138.5146],
+  ['Hampstead Gardens', 'SA', -34.8745, 138.6288],
+  ['Happy Valley', 'SA', -35.0833, 138.5333],
+  ['Hawthorn', 'SA', -34.9738, 138.6074],
+  ['Hawthorndene', 'SA', -35.0223, 138.6304],
+  ['Hayborough', 'SA', -35.5313, 138.6504],
+  ['Hazelwood Park', 'SA', -34.9395, 138.6588],
+  ['Hectorville', 'SA', -34.8916, 138.6589],
+  ['Henley Beach', 'SA', -34.9203, 138.4944],
+  ['Henley Beach South', 'SA', -34.9259, 138.4955],
+  ['Hewett', 'SA', -34.5780, 138.7524],
+  ['Highbury', 'SA', -34.8529, 138.6975],
+  ['Highgate', 'SA', -34.9618, 138.6218],
+  ['Hillbank', 'SA', -34.7359, 138.6872],
+  ['Hillcrest', 'SA', -34.8625, 138.6431],
+  ['Hindmarsh Island', 'SA', -35.5101, 138.8676],
+  ['Holden Hill', 'SA', -34.8516, 138.6723],
+  ['Hope Valley', 'SA', -34.8333, 138.7000],
+  ['Hove', 'SA', -35.0081, 138.5212],
+  ['Huntfield Heights', 'SA', -35.1545, 138.5142],
+  ['Hyde Park', 'SA', -34.9547, 138.6011],
+  ['Ingle Farm', 'SA', -34.8333, 138.6333],
+  ['Jamestown', 'SA', -33.2053, 138.6050],
+  ['Joslin', 'SA', -34.8997, 138.6266],
+  ['Kadina', 'SA', -33.9649, 137.7163],
+  ['Kapunda', 'SA', -34.3387, 138.9164],
+  ['Keith', 'SA', -36.0991, 140.3532],
+  ['Kensington Gardens', 'SA', -34.9258, 138.6615],
+  ['Kensington Park', 'SA', -34.9202, 138.6543],
+  ['Kent Town', 'SA', -34.9216, 138.6201],
+  ['Kersbrook', 'SA', -34.7830, 138.8509],
+  ['Kidman Park', 'SA', -34.9122, 138.5269],
+  ['Kilburn', 'SA', -34.8597, 138.5856],
+  ['Kilkenny', 'SA', -34.8791, 138.5529],
+  ['Kingscote', 'SA', -35.6559, 137.6393],
+  ['Kingston', 'SA', -34.2333, 140.3500],
+  ['Kingston South East', 'SA', -36.8307, 139.8522],
+  ['Klemzig', 'SA', -34.8793, 138.6356],
+  ['Kurralta Park', 'SA', -34.9514, 138.5670],
+  ['Largs Bay', 'SA', -34.8258, 138.4862],
+  ['Largs North', 'SA', -34.8205, 138.4924],
+  ['Leabrook', 'SA', -34.9298, 138.6586],
+  ['Lewiston', 'SA', -34.6045, 138.5913],
+  ['Linden Park', 'SA', -34.9435, 138.6473],
+  ['Littlehampton', 'SA', -35.0422, 138.8642],
+  ['Lobethal', 'SA', -34.9045, 138.8748],
+  ['Lockleys', 'SA', -34.9259, 138.5280],
+  ['Lower Mitcham', 'SA', -34.9773, 138.6049],
+  ['Loxton', 'SA', -34.4502, 140.5691],
+  ['Lyndoch', 'SA', -34.6012, 138.8909],
+  ['Macclesfield', 'SA', -35.1718, 138.8359],
+  ['Magill', 'SA', -34.9091, 138.6750],
+  ['Maitland', 'SA', -34.3739, 137.6733],
+  ['Malvern', 'SA', -34.9591, 138.6125],
+  ['Manningham', 'SA', -34.8778, 138.6221],
+  ['Mannum', 'SA', -34.9153, 139.3033],
+  ['Mansfield Park', 'SA', -34.8565, 138.5519],
+  ['Marden', 'SA', -34.8957, 138.6378],
+  ['Marino', 'SA', -35.0447, 138.5124],
+  ['Marion', 'SA', -35.0042, 138.5531],
+  ['Marleston', 'SA', -34.9476, 138.5596],
+  ['Maslin Beach', 'SA', -35.2259, 138.4798],
+  ['Mawson Lakes', 'SA', -34.8159, 138.6081],
+  ['Maylands', 'SA', -34.9113, 138.6367],
+  ['McCracken', 'SA', -35.5358, 138.6312],
+  ['McLaren Flat', 'SA', -35.2167, 138.5833],
+  ['McLaren Vale', 'SA', -35.2189, 138.5433],
+  ['Meadows', 'SA', -35.1802, 138.7625],
+  ['Medindie', 'SA', -34.8960, 138.6050],
+  ['Melrose Park', 'SA', -34.9833, 138.5754],
+  ['Meningie', 'SA', -35.6864, 139.3401],
+  ['Middleton', 'SA', -35.5105, 138.7038],
+  ['Mile End', 'SA', -34.9265, 138.5703],
+  ['Millicent', 'SA', -37.5939, 140.3495],
+  ['Millswood', 'SA', -34.9550, 138.5889],
+  ['Minlaton', 'SA', -34.7710, 137.5958],
+  ['Mitcham', 'SA', -34.9789, 138.6218],
+  ['Mitchell Park', 'SA', -35.0103, 138.5627],
+  ['Moana', 'SA', -35.1939, 138.4761],
+  ['Modbury', 'SA', -34.8333, 138.6833],
+  ['Modbury Heights', 'SA', -34.8097, 138.6854],
+  ['Modbury North', 'SA', -34.8285, 138.6739],
+  ['Monash', 'SA', -34.2384, 140.5613],
+  ['Moonta Bay', 'SA', -34.0500, 137.5667],
+  ['Moorak', 'SA', -37.8638, 140.7426],
+  ['Morphett Vale', 'SA', -35.1333, 138.5167],
+  ['Morphettville', 'SA', -34.9885, 138.5398],
+  ['Mount Barker', 'SA', -35.0667, 138.8667],
+  ['Mount Compass', 'SA', -35.3469, 138.6203],
+  ['Mount Gambier', 'SA', -37.8318, 140.7792],
+  ['Munno Para', 'SA', -34.6679, 138.7015],
+  ['Munno Para West', 'SA', -34.6570, 138.6710],
+  ['Murray Bridge', 'SA', -35.1199, 139.2735],
+  ['Mylor', 'SA', -35.0430, 138.7590],
+  ['Myrtle Bank', 'SA', -34.9606, 138.6338],
+  ['Nailsworth', 'SA', -34.8844, 138.6062],
+  ['Nairne', 'SA', -35.0345, 138.9115],
+  ['Naracoorte', 'SA', -36.9578, 140.7383],
+  ['Netherby', 'SA', -34.9705, 138.6250],
+  ['Netley', 'SA', -34.9489, 138.5498],
+  ['Newton', 'SA', -34.8821, 138.6825],
+  ['Noarlunga Downs', 'SA', -35.1504, 138.5040],
+  ['Normanville', 'SA', -35.4462, 138.3213],
+  ['North Adelaide', 'SA', -34.9073, 138.5914],
+  ['North Brighton', 'SA', -35.0028, 138.5221],
+  ['North Haven', 'SA', -34.7882, 138.4916],
+  ['North Plympton', 'SA', -34.9577, 138.5534],
+  ['Northfield', 'SA', -34.8498, 138.6255],
+  ['Northgate', 'SA', -34.8578, 138.6291],
+  ['Norwood', 'SA', -34.9273, 138.6285],
+  ['Novar Gardens', 'SA', -34.9663, 138.5326],
+  ['Nuriootpa', 'SA', -34.4682, 138.9977],
+  ['O’Halloran Hill', 'SA', -35.0667, 138.5500],
+  ['O\'Sullivan Beach', 'SA', -35.1188, 138.4734],
+  ['Oakden', 'SA', -34.8528, 138.6433],
+  ['Oaklands Park', 'SA', -35.0067, 138.5446],
+  ['Old Noarlunga', 'SA', -35.1821, 138.5014],
+  ['Old Reynella', 'SA', -35.1035, 138.5337],
+  ['One Tree Hill', 'SA', -34.7000, 138.7667],
+  ['Onkaparinga Hills', 'SA', -35.1351, 138.5670],
+  ['Osborne', 'SA', -34.7980, 138.4980],
+  ['Ottoway', 'SA', -34.8476, 138.5358],
+  ['Panorama', 'SA', -34.9908, 138.5995],
+  ['Para Hills', 'SA', -34.8121, 138.6580],
+  ['Para Hills West', 'SA', -34.8047, 138.6428],
+  ['Para Vista', 'SA', -34.8209, 138.6611],
+  ['Paradise', 'SA', -34.8736, 138.6690],
+  ['Parafield Gardens', 'SA', -34.7825, 138.6108],
+  ['Paralowie', 'SA', -34.7570, 138.6082],
+  ['Paringa', 'SA', -34.1764, 140.7858],
+  ['Park Holme', 'SA', -34.9944, 138.5532],
+  ['Parkside', 'SA', -34.9451, 138.6130],
+  ['Pasadena', 'SA', -35.0027, 138.5886],
+  ['Payneham', 'SA', -34.8972, 138.6406],
+  ['Payneham South', 'SA', -34.9048, 138.6445],
+  ['Pennington', 'SA', -34.8576, 138.5316],
+  ['Penola', 'SA', -37.3752, 140.8368],
+  ['Peterborough', 'SA', -32.9721, 138.8407],
+  ['Peterhead', 'SA', -34.8312, 138.4989],
+  ['Plympton', 'SA', -34.9620, 138.5550],
+  ['Plympton Park', 'SA', -34.9807, 138.5492],
+  ['Pooraka', 'SA', -34.8247, 138.6264],
+  ['Port Adelaide', 'SA', -34.8462, 138.5030],
+  ['Port Augusta', 'SA', -32.4960, 137.7728],
+  ['Port Augusta West', 'SA', -32.4861, 137.7583],
+  ['Port Broughton', 'SA', -33.6007, 137.9360],
+  ['Port Elliot', 'SA', -35.5302, 138.6792],
+  ['Port Lincoln', 'SA', -34.7262, 135.8744],
+  ['Port Noarlunga', 'SA', -35.1480, 138.4710],
+  ['Port Noarlunga South', 'SA', -35.1740, 138.4686],
+  ['Port Pirie', 'SA', -33.1918, 138.0175],
+  ['Port Pirie South', 'SA', -33.1980, 138.0145],
+  ['Port Pirie West', 'SA', -33.1779, 137.9985],
+  ['Port Willunga', 'SA', -35.2618, 138.4644],
+  ['Prospect', 'SA', -34.8824, 138.5933],
+  ['Queenstown', 'SA', -34.8609, 138.5105],
+  ['Quorn', 'SA', -32.3468, 138.0418],
+  ['Redwood Park', 'SA', -34.8115, 138.7070],
+  ['Renmark', 'SA', -34.1770, 140.7470],
+  ['Renmark West', 'SA', -34.1653, 140.7097],
+  ['Renown Park', 'SA', -34.8917, 138.5773],
+  ['Reynella', 'SA', -35.0937, 138.5308],
+  ['Reynella East', 'SA', -35.0920, 138.5574],
+  ['Richmond', 'SA', -34.9420, 138.5632],
+  ['Ridgehaven', 'SA', -34.8213, 138.7047],
+  ['Ridleyton', 'SA', -34.8928, 138.5716],
+  ['Risdon Park', 'SA', -33.1966, 137.9940],
+  ['Risdon Park South', 'SA', -33.2110, 137.9950],
+  ['Robe', 'SA', -37.1639, 139.7603],
+  ['Rose Park', 'SA', -34.9304, 138.6283],
+  ['Rosewater', 'SA', -34.8520, 138.5216],
+  ['Rosslyn Park', 'SA', -34.9219, 138.6755],
+  ['Rostrevor', 'SA', -34.8939, 138.6918],
+  ['Roxby Downs', 'SA', -30.5630, 136.8955],
+  ['Royal Park', 'SA', -34.8741, 138.5119],
+  ['Royston Park', 'SA', -34.8976, 138.6315],
+  ['Salisbury', 'SA', -34.7667, 138.6333],
+  ['Salisbury Downs', 'SA', -34.7677, 138.6221],
+  ['Salisbury East', 'SA', -34.7905, 138.6545],
+  ['Salisbury Heights', 'SA', -34.7631, 138.6759],
+  ['Salisbury North', 'SA', -34.7496, 138.6206],
+  ['Salisbury Park', 'SA', -34.7615, 138.6703],
+  ['Salisbury Plain', 'SA', -34.7726, 138.6633],
+  ['Seacliff', 'SA', -35.0347, 138.5229],
+  ['Seacliff Park', 'SA', -35.0298, 138.5313],
+  ['Seacombe Gardens', 'SA', -35.0234, 138.5458],
+  ['Seacombe Heights', 'SA', -35.0326, 138.5458],
+  ['Seaford', 'SA', -35.1898, 138.4759],
+  ['Seaford Meadows', 'SA', -35.1728, 138.4879],
+  ['Seaford Rise', 'SA', -35.1930, 138.4817],
+  ['Seaton', 'SA', -34.9000, 138.5167],
+  ['Seaview Downs', 'SA', -35.0370, 138.5380],
+  ['Sefton Park', 'SA', -34.8740, 138.6034],
+  ['Sellicks Beach', 'SA', -35.3387, 138.4473],
+  ['Semaphore', 'SA', -34.8393, 138.4823],
+  ['Semaphore Park', 'SA', -34.8507, 138.4789],
+  ['Semaphore South', 'SA', -34.8497, 138.4795],
+  ['Sheidow Park', 'SA', -35.0793, 138.5274],
+  ['Smithfield', 'SA', -34.6833, 138.6833],
+  ['Smithfield Plains', 'SA', -34.6764, 138.6779],
+  ['Solomontown', 'SA', -33.1853, 138.0236],
+  ['Somerton Park', 'SA', -34.9970, 138.5216],
+  ['South Brighton', 'SA', -35.0276, 138.5280],
+  ['South Plympton', 'SA', -34.9768, 138.5559],
+  ['St Agnes', 'SA', -34.8307, 138.7107],
+  ['St Clair', 'SA', -34.8709, 138.5354],
+  ['St Georges', 'SA', -34.9520, 138.6479],
+  ['St Marys', 'SA', -35.0042, 138.5798],
+  ['St Morris', 'SA', -34.9111, 138.6536],
+  ['St Peters', 'SA', -34.9050, 138.6226],
+  ['Stirling', 'SA', -35.0022, 138.7196],
+  ['Stirling North', 'SA', -32.4799, 137.8380],
+  ['Stonyfell', 'SA', -34.9342, 138.6767],
+  ['Strathalbyn', 'SA', -35.2598, 138.8925],
+  ['Streaky Bay', 'SA', -32.7955, 134.2093],
+  ['Sturt', 'SA', -35.0230, 138.5548],
+  ['Surrey Downs', 'SA', -34.7995, 138.7115],
+  ['Tailem Bend', 'SA', -35.2523, 139.4555],
+  ['Tanunda', 'SA', -34.5234, 138.9598],
+  ['Taperoo', 'SA', -34.8043, 138.4959],
+  ['Tea Tree Gully', 'SA', -34.8167, 138.7333],
+  ['Tennyson', 'SA', -34.8860, 138.4859],
+  ['Thebarton', 'SA', -34.9167, 138.5667],
+  ['Toorak Gardens', 'SA', -34.9348, 138.6364],
+  ['Torrens Park', 'SA', -34.9761, 138.6103],
+  ['Torrensville', 'SA', -34.9205, 138.5615],
+  ['Tranmere', 'SA', -34.9055, 138.6621],
+  ['Trinity Gardens', 'SA', -34.9144, 138.6414],
+  ['Trott Park', 'SA', -35.0758, 138.5419],
+  ['Tumby Bay', 'SA', -34.3773, 136.1007],
+  ['Tusmore', 'SA', -34.9389, 138.6506],
+  ['Two Wells', 'SA', -34.5933, 138.5137],
+  ['Underdale', 'SA', -34.9180, 138.5470],
+  ['Unley', 'SA', -34.9500, 138.6000],
+  ['Unley Park', 'SA', -34.9639, 138.6078],
+  ['Vale Park', 'SA', -34.8860, 138.6271],
+  ['Valley View', 'SA', -34.8399, 138.6607],
+  ['Victor Harbor', 'SA', -35.5504, 138.6215],
+  ['Virginia', 'SA', -34.6663, 138.5603],
+  ['Waikerie', 'SA', -34.1818, 139.9855],
+  ['Walkley Heights', 'SA', -34.8367, 138.6437],
+  ['Wallaroo', 'SA', -33.9388, 137.6337],
+  ['Warradale', 'SA', -34.9972, 138.5316],
+  ['Waterloo Corner', 'SA', -34.7167, 138.5833],
+  ['Wattle Park', 'SA', -34.9252, 138.6750],
+  ['Wayville', 'SA', -34.9447, 138.5913],
+  ['West Beach', 'SA', -34.9460, 138.5094],
+  ['West Croydon', 'SA', -34.8945, 138.5593],
+  ['West Hindmarsh', 'SA', -34.9079, 138.5641],
+  ['West Lakes', 'SA', -34.8730, 138.4946],
+  ['West Lakes Shore', 'SA', -34.8601, 138.4897],
+  ['Westbourne Park', 'SA', -34.9716, 138.5953],
+  ['Whyalla', 'SA', -33.0327, 137.5648],
+  ['Whyalla Jenkins', 'SA', -33.0220, 137.5127],
+  ['Whyalla Norrie', 'SA', -33.0290, 137.5392],
+  ['Whyalla Playford', 'SA', -33.0279, 137.5620],
+  ['Whyalla Stuart', 'SA', -33.0249, 137.5247],
+  ['Willaston', 'SA', -34.5864, 138.7412],
+  ['Williamstown', 'SA', -34.6721, 138.8911],
+  ['Willunga', 'SA', -35.2713, 138.5542],
+  ['Windsor Gardens', 'SA', -34.8654, 138.6470],
+  ['Woodcroft', 'SA', -35.1024, 138.5629],
+  ['Woodside', 'SA', -34.9543, 138.8790],
+  ['Woodville', 'SA', -34.8770, 138.5429],
+  ['Woodville Gardens', 'SA', -34.8679, 138.5480],
+  ['Woodville North', 'SA', -34.8720, 138.5431],
+  ['Woodville Park', 'SA', -34.8870, 138.5465],
+  ['Woodville South', 'SA', -34.8819, 138.5348],
+  ['Woodville West', 'SA', -34.8864, 138.5310],
+  ['Wynn Vale', 'SA', -34.7994, 138.6871],
+
+  // ── TAS ──────────────────────────────────────────────────────────────────
+  ['Acton Park', 'TAS', -42.8793, 147.4846],
+  ['Austins Ferry', 'TAS', -42.7667, 147.2500],
+  ['Bagdad', 'TAS', -42.6297, 147.2234],
+  ['Battery Point', 'TAS', -42.8899, 147.3332],
+  ['Beaconsfield', 'TAS', -41.2023, 146.8172],
+  ['Beauty Point', 'TAS', -41.1622, 146.8215],
+  ['Bellerive', 'TAS', -42.8755, 147.3703],
+  ['Berriedale', 'TAS', -42.8167, 147.2500],
+  ['Blackmans Bay', 'TAS', -43.0031, 147.3169],
+  ['Blackstone Heights', 'TAS', -41.4598, 147.0841],
+  ['Bridgewater', 'TAS', -42.7372, 147.2278],
+  ['Bridport', 'TAS', -41.0005, 147.3918],
+  ['Brighton', 'TAS', -42.6981, 147.2449],
+  ['Burnie', 'TAS', -41.0558, 145.9038],
+  ['Cambridge', 'TAS', -42.8333, 147.4500],
+  ['Chigwell', 'TAS', -42.8091, 147.2448],
+  ['Claremont', 'TAS', -42.7833, 147.2500],
+  ['Clarendon Vale', 'TAS', -42.8899, 147.4437],
+  ['Cressy', 'TAS', -41.6856, 147.0779],
+  ['Currie', 'TAS', -39.9298, 143.8539],
+  ['Cygnet', 'TAS', -43.1533, 147.0725],
+  ['Deloraine', 'TAS', -41.5248, 146.6570],
+  ['Devonport', 'TAS', -41.1769, 146.3515],
+  ['Dodges Ferry', 'TAS', -42.8531, 147.6226],
+  ['Dynnyrne', 'TAS', -42.9054, 147.3158],
+  ['East Devonport', 'TAS', -41.1879, 146.3866],
+  ['East Launceston', 'TAS', -41.4384, 147.1510],
+  ['Evandale', 'TAS', -41.5686, 147.2527],
+  ['Franklin', 'TAS', -43.0888, 147.0091],
+  ['Gagebrook', 'TAS', -42.7477, 147.2698],
+  ['Geeveston', 'TAS', -43.1634, 146.9255],
+  ['Geilston Bay', 'TAS', -42.8295, 147.3463],
+  ['George Town', 'TAS', -41.1056, 146.8261],
+  ['Glenorchy', 'TAS', -42.8334, 147.2759],
+  ['Goodwood', 'TAS', -42.8282, 147.2930],
+  ['Granton', 'TAS', -42.7515, 147.2280],
+  ['Hadspen', 'TAS', -41.5006, 147.0736],
+  ['Herdsmans Cove', 'TAS', -42.7507, 147.2648],
+  ['Hillcrest', 'TAS', -41.0632, 145.8944],
+  ['Hobart', 'TAS', -42.8794, 147.3294],
+  ['Hobart city centre', 'TAS', -42.8828, 147.3258],
+  ['Howrah', 'TAS', -42.8873, 147.4055],
+  ['Huonville', 'TAS', -43.0312, 147.0481],
+  ['Invermay', 'TAS', -41.4204, 147.1336],
+  ['Kings Meadows', 'TAS', -41.4704, 147.1620],
+  ['Kingston', 'TAS', -42.9764, 147.3035],
+  ['Kingston Beach', 'TAS', -42.9802, 147.3194],
+  ['Latrobe', 'TAS', -41.2464, 146.4246],
+  ['Lauderdale', 'TAS', -42.9136, 147.4875],
+  ['Launceston', 'TAS', -41.4388, 147.1347],
+  ['Launceston city centre', 'TAS', -41.4335, 147.1378],
+  ['Legana', 'TAS', -41.3657, 147.0458],
+  ['Lenah Valley', 'TAS', -42.8715, 147.2751],
+  ['Lindisfarne', 'TAS', -42.8484, 147.3619],
+  ['Longford', 'TAS', -41.6051, 147.1189],
+  ['Lutana', 'TAS', -42.8347, 147.3115],
+  ['Margate', 'TAS', -43.0281, 147.2626],
+  ['Mayfield', 'TAS', -41.3876, 147.1305],
+  ['Miandetta', 'TAS', -41.1955, 146.3532],
+  ['Midway Point', 'TAS', -42.7948, 147.5288],
+  ['Montello', 'TAS', -41.0576, 145.8963],
+  ['Montrose', 'TAS', -42.8289, 147.2474],
+  ['Moonah', 'TAS', -42.8462, 147.3023],
+  ['Mornington', 'TAS', -42.8627, 147.3982],
+  ['Mount Nelson', 'TAS', -42.9207, 147.3207],
+  ['Mount Stuart', 'TAS', -42.8716, 147.3016],
+  ['Mowbray', 'TAS', -41.4024, 147.1506],
+  ['New Norfolk', 'TAS', -42.7826, 147.0587],
+  ['New Town', 'TAS', -42.8576, 147.3087],
+  ['Newnham', 'TAS', -41.3897, 147.1140],
+  ['Newstead', 'TAS', -41.4411, 147.1618],
+  ['North Hobart', 'TAS', -42.8741, 147.3160],
+  ['Norwood', 'TAS', -41.4592, 147.1808],
+  ['Oakdowns', 'TAS', -42.9018, 147.4560],
+  ['Old Beach', 'TAS', -42.7776, 147.2666],
+  ['Park Grove', 'TAS', -41.0548, 145.8820],
+  ['Penguin', 'TAS', -41.1226, 146.0732],
+  ['Perth', 'TAS', -41.5723, 147.1710],
+  ['Port Sorell', 'TAS', -41.1665, 146.5528],
+  ['Prospect Vale', 'TAS', -41.4810, 147.1041],
+  ['Queenstown', 'TAS', -42.0805, 145.5565],
+  ['Ranelagh', 'TAS', -43.0098, 147.0376],
+  ['Ravenswood', 'TAS', -41.4159, 147.1825],
+  ['Richmond', 'TAS', -42.7355, 147.4383],
+  ['Risdon Vale', 'TAS', -42.8124, 147.3565],
+  ['Riverside', 'TAS', -41.4210, 147.0509],
+  ['Rocherlea', 'TAS', -41.3808, 147.1574],
+  ['Rokeby', 'TAS', -42.8987, 147.4492],
+  ['Romaine', 'TAS', -41.0994, 145.8938],
+  ['Rosetta', 'TAS', -42.8210, 147.2526],
+  ['Saint Leonards', 'TAS', -41.4567, 147.1995],
+  ['Sandford', 'TAS', -42.9333, 147.5000],
+  ['Sandy Bay', 'TAS', -42.8945, 147.3244],
+  ['Scottsdale', 'TAS', -41.1578, 147.5173],
+  ['Seven Mile Beach', 'TAS', -42.8586, 147.5053],
+  ['Shearwater', 'TAS', -41.1567, 146.5318],
+  ['Sheffield', 'TAS', -41.3995, 146.3390],
+  ['Shorewell Park', 'TAS', -41.0699, 145.8769],
+  ['Smithton', 'TAS', -40.8459, 145.1250],
+  ['Snug', 'TAS', -43.0667, 147.2547],
+  ['Somerset', 'TAS', -41.0406, 145.8305],
+  ['Sorell', 'TAS', -42.7816, 147.5627],
+  ['South Hobart', 'TAS', -42.8946, 147.3092],
+  ['South Launceston', 'TAS', -41.4551, 147.1456],
+  ['Spreyton', 'TAS', -41.2352, 146.3511],
+  ['St Helens', 'TAS', -41.3203, 148.2389],
+  ['Summerhill', 'TAS', -41.4675, 147.1280],
+  ['Taroona', 'TAS', -42.9452, 147.3484],
+  ['Tranmere', 'TAS', -42.9218, 147.4170],
+  ['Trevallyn', 'TAS', -41.4425, 147.1048],
+  ['Turners Beach', 'TAS', -41.1606, 146.2319],
+  ['Ulverstone', 'TAS', -41.1603, 146.1824],
+  ['Upper Burnie', 'TAS', -41.0714, 145.8996],
+  ['Warrane', 'TAS', -42.8555, 147.3830],
+  ['Waverley', 'TAS', -41.4360, 147.1859],
+  ['West Hobart', 'TAS', -42.8766, 147.3069],
+  ['West Launceston', 'TAS', -41.4509, 147.1311],
+  ['West Moonah', 'TAS', -42.8500, 147.2818],
+  ['West Ulverstone', 'TAS', -41.1474, 146.1267],
+  ['Westbury', 'TAS', -41.5291, 146.8391],
+  ['Wynyard', 'TAS', -40.9897, 145.7262],
+  ['Youngtown', 'TAS', -41.4833, 147.1707],
+
+  // ── VIC ──────────────────────────────────────────────────────────────────
+  ['Abbotsford', 'VIC', -37.8000, 145.0000],
+  ['Aberfeldie', 'VIC', -37.7596, 144.8974],
+  ['Aintree', 'VIC', -37.7225, 144.6677],
+  ['Airport West', 'VIC', -37.7247, 144.8813],
+  ['Albanvale', 'VIC', -37.7461, 144.7686],
+  ['Albert Park', 'VIC', -37.8411, 144.9520],
+  ['Albion', 'VIC', -37.7802, 144.8172],
+  ['Alexandra', 'VIC', -37.1913, 145.7112],
+  ['Alfredton', 'VIC', -37.5667, 143.8167],
+  ['Allansford', 'VIC', -38.3864, 142.5943],
+  ['Alphington', 'VIC', -37.7833, 145.0333],
+  ['Altona', 'VIC', -37.8696, 144.8304],
+  ['Altona Meadows', 'VIC', -37.8841, 144.7837],
+  ['Altona North', 'VIC', -37.8349, 144.8474],
+  ['Anglesea', 'VIC', -38.4073, 144.1859],
+  ['Apollo Bay', 'VIC', -38.7594, 143.6722],
+  ['Ararat', 'VIC', -37.2854, 142.9273],
+  ['Ardeer', 'VIC', -37.7759, 144.8014],
+  ['Armadale', 'VIC', -37.8554, 145.0205],
+  ['Armstrong Creek', 'VIC', -38.2312, 144.3737],
+  ['Ascot', 'VIC', -36.7000, 144.3333],
+  ['Ascot Vale', 'VIC', -37.7799, 144.9228],
+  ['Ashburton', 'VIC', -37.8667, 145.0833],
+  ['Ashwood', 'VIC', -37.8666, 145.1055],
+  ['Aspendale', 'VIC', -38.0291, 145.1027],
+  ['Aspendale Gardens', 'VIC', -38.0228, 145.1180],
+  ['Attwood', 'VIC', -37.6695, 144.8868],
+  ['Avenel', 'VIC', -36.9009, 145.2337],
+  ['Avoca', 'VIC', -37.0904, 143.4737],
+  ['Avondale Heights', 'VIC', -37.7615, 144.8626],
+  ['Bacchus Marsh', 'VIC', -37.6727, 144.4383],
+  ['Badger Creek', 'VIC', -37.7000, 145.5167],
+  ['Bairnsdale', 'VIC', -37.8229, 147.6104],
+  ['Balaclava', 'VIC', -37.8667, 145.0000],
+  ['Ballan', 'VIC', -37.5999, 144.2289],
+  ['Ballarat', 'VIC', -37.5662, 143.8496],
+  ['Ballarat Central', 'VIC', -37.5621, 143.8508],
+  ['Ballarat East', 'VIC', -37.5667, 143.8667],
+  ['Ballarat North', 'VIC', -37.5409, 143.8665],
+  ['Balnarring', 'VIC', -38.3667, 145.1333],
+  ['Balwyn', 'VIC', -37.8091, 145.0789],
+  ['Balwyn North', 'VIC', -37.7909, 145.0939],
+  ['Bannockburn', 'VIC', -38.0489, 144.1688],
+  ['Baranduda', 'VIC', -36.1911, 146.9538],
+  ['Barwon Heads', 'VIC', -38.2745, 144.4885],
+  ['Baxter', 'VIC', -38.2000, 145.1500],
+  ['Bayswater', 'VIC', -37.8500, 145.2667],
+  ['Bayswater North', 'VIC', -37.8256, 145.2822],
+  ['Beaconsfield', 'VIC', -38.0500, 145.3667],
+  ['Beaconsfield Upper', 'VIC', -37.9941, 145.4142],
+  ['Beaufort', 'VIC', -37.4300, 143.3835],
+  ['Beaumaris', 'VIC', -37.9853, 145.0336],
+  ['Beechworth', 'VIC', -36.3583, 146.6858],
+  ['Belgrave', 'VIC', -37.9109, 145.3536],
+  ['Belgrave Heights', 'VIC', -37.9262, 145.3437],
+  ['Belgrave South', 'VIC', -37.9333, 145.3333],
+  ['Bell Park', 'VIC', -38.1079, 144.3384],
+  ['Bell Post Hill', 'VIC', -38.0956, 144.3197],
+  ['Bellfield', 'VIC', -37.7531, 145.0385],
+  ['Belmont', 'VIC', -38.1748, 144.3428],
+  ['Benalla', 'VIC', -36.5511, 145.9843],
+  ['Bendigo', 'VIC', -36.7582, 144.2802],
+  ['Bendigo city centre', 'VIC', -36.7570, 144.2796],
+  ['Bentleigh', 'VIC', -37.9181, 145.0354],
+  ['Bentleigh East', 'VIC', -37.9193, 145.0530],
+  ['Berwick', 'VIC', -38.0333, 145.3500],
+  ['Beveridge', 'VIC', -37.4833, 144.9833],
+  ['Bittern', 'VIC', -38.3333, 145.1667],
+  ['Black Hill', 'VIC', -37.5500, 143.8667],
+  ['Black Rock', 'VIC', -37.9736, 145.0164],
+  ['Blackburn', 'VIC', -37.8190, 145.1533],
+  ['Blackburn North', 'VIC', -37.8093, 145.1518],
+  ['Blackburn South', 'VIC', -37.8397, 145.1555],
+  ['Blairgowrie', 'VIC', -38.3613, 144.7796],
+  ['Blind Bight', 'VIC', -38.2143, 145.3377],
+  ['Bonbeach', 'VIC', -38.0653, 145.1228],
+  ['Boronia', 'VIC', -37.8667, 145.2833],
+  ['Botanic Ridge', 'VIC', -38.1440, 145.2680],
+  ['Box Hill', 'VIC', -37.8189, 145.1255],
+  ['Box Hill North', 'VIC', -37.8027, 145.1266],
+  ['Box Hill South', 'VIC', -37.8324, 145.1210],
+  ['Braybrook', 'VIC', -37.7867, 144.8548],
+  ['Briagolong', 'VIC', -37.8436, 147.0727],
+  ['Briar Hill', 'VIC', -37.7063, 145.1210],
+  ['Bright', 'VIC', -36.7300, 146.9598],
+  ['Brighton', 'VIC', -37.9056, 145.0028],
+  ['Brighton East', 'VIC', -37.9023, 145.0173],
+  ['Broadford', 'VIC', -37.2028, 145.0484],
+  ['Broadmeadows', 'VIC', -37.6801, 144.9188],
+  ['Brookfield', 'VIC', -37.7008, 144.5603],
+  ['Brooklyn', 'VIC', -37.8161, 144.8415],
+  ['Brown Hill', 'VIC', -37.5465, 143.9155],
+  ['Brunswick', 'VIC', -37.7667, 144.9667],
+  ['Brunswick East', 'VIC', -37.7725, 144.9724],
+  ['Brunswick West', 'VIC', -37.7646, 144.9438],
+  ['Bulleen', 'VIC', -37.7667, 145.0833],
+  ['Bundoora', 'VIC', -37.6982, 145.0597],
+  ['Buninyong', 'VIC', -37.6502, 143.8839],
+  ['Bunyip', 'VIC', -38.0979, 145.7161],
+  ['Burnside', 'VIC', -37.7494, 144.7530],
+  ['Burnside Heights', 'VIC', -37.7269, 144.7523],
+  ['Burwood', 'VIC', -37.8498, 145.1190],
+  ['Burwood East', 'VIC', -37.8500, 145.1500],
+  ['Cairnlea', 'VIC', -37.7593, 144.7878],
+  ['California Gully', 'VIC', -36.7289, 144.2609],
+  ['Camberwell', 'VIC', -37.8420, 145.0694],
+  ['Campbellfield', 'VIC', -37.6639, 144.9595],
+  ['Campbells Creek', 'VIC', -37.0866, 144.2020],
+  ['Camperdown', 'VIC', -38.2339, 143.1498],
+  ['Canadian', 'VIC', -37.5761, 143.8774],
+  ['Canterbury', 'VIC', -37.8247, 145.0848],
+  ['Cape Woolamai', 'VIC', -38.5428, 145.3441],
+  ['Capel Sound', 'VIC', -38.3673, 144.8788],
+  ['Carisbrook', 'VIC', -37.0481, 143.8167],
+  ['Carlton', 'VIC', -37.8000, 144.9667],
+  ['Carlton North', 'VIC', -37.7882, 144.9701],
+  ['Carnegie', 'VIC', -37.8936, 145.0553],
+  ['Caroline Springs', 'VIC', -37.7412, 144.7363],
+  ['Carrum', 'VIC', -38.0833, 145.1333],
+  ['Carrum Downs', 'VIC', -38.0997, 145.1725],
+  ['Casterton', 'VIC', -37.5849, 141.4030],
+  ['Castlemaine', 'VIC', -37.0671, 144.2168],
+  ['Caulfield', 'VIC', -37.8825, 145.0229],
+  ['Caulfield East', 'VIC', -37.8812, 145.0421],
+  ['Caulfield North', 'VIC', -37.8739, 145.0248],
+  ['Caulfield South', 'VIC', -37.8956, 145.0260],
+  ['Chadstone', 'VIC', -37.8877, 145.0952],
+  ['Charlton', 'VIC', -36.2644, 143.3490],
+  ['Chelsea', 'VIC', -38.0500, 145.1167],
+  ['Chelsea Heights', 'VIC', -38.0333, 145.1333],
+  ['Cheltenham', 'VIC', -37.9694, 145.0481],
+  ['Chewton', 'VIC', -37.0814, 144.2568],
+  ['Chiltern', 'VIC', -36.1504, 146.6084],
+  ['Chirnside Park', 'VIC', -37.7386, 145.3143],
+  ['Churchill', 'VIC', -38.3078, 146.4137],
+  ['City of Port Phillip', 'VIC', -37.8338, 144.9383],
+  ['Clarinda', 'VIC', -37.9407, 145.1024],
+  ['Clayton', 'VIC', -37.9167, 145.1167],
+  ['Clayton South', 'VIC', -37.9333, 145.1167],
+  ['Clifton Hill', 'VIC', -37.7920, 144.9950],
+  ['Clifton Springs', 'VIC', -38.1567, 144.5551],
+  ['Clunes', 'VIC', -37.2947, 143.7864],
+  ['Clyde', 'VIC', -38.1333, 145.3333],
+  ['Clyde North', 'VIC', -38.1167, 145.3333],
+  ['Cobblebank', 'VIC', -37.7064, 144.6020],
+  ['Cobden', 'VIC', -38.3286, 143.0748],
+  ['Cobram', 'VIC', -35.9207, 145.6407],
+  ['Coburg', 'VIC', -37.7500, 144.9667],
+  ['Coburg North', 'VIC', -37.7287, 144.9613],
+  ['Cockatoo', 'VIC', -37.9368, 145.4938],
+  ['Cohuna', 'VIC', -35.8070, 144.2189],
+  ['Colac', 'VIC', -38.3390, 143.5849],
+  ['Coldstream', 'VIC', -37.7249, 145.3780],
+  ['Collingwood', 'VIC', -37.8025, 144.9887],
+  ['Coolaroo', 'VIC', -37.6567, 144.9346],
+  ['Corio', 'VIC', -38.0833, 144.3833],
+  ['Corryong', 'VIC', -36.1970, 147.9026],
+  ['Cowes', 'VIC', -38.4523, 145.2387],
+  ['Craigieburn', 'VIC', -37.6000, 144.9500],
+  ['Cranbourne', 'VIC', -38.1134, 145.2833],
+  ['Cranbourne East', 'VIC', -38.1153, 145.2981],
+  ['Cranbourne North', 'VIC', -38.0776, 145.2987],
+  ['Cranbourne South', 'VIC', -38.1350, 145.2396],
+  ['Cranbourne West', 'VIC', -38.0965, 145.2671],
+  ['Cremorne', 'VIC', -37.8318, 144.9938],
+  ['Creswick', 'VIC', -37.4240, 143.8947],
+  ['Crib Point', 'VIC', -38.3500, 145.2000],
+  ['Croydon', 'VIC', -37.8000, 145.2833],
+  ['Croydon Hills', 'VIC', -37.7744, 145.2661],
+  ['Croydon North', 'VIC', -37.7674, 145.2907],
+  ['Croydon South', 'VIC', -37.8155, 145.2781],
+  ['Dallas', 'VIC', -37.6708, 144.9354],
+  ['Dandenong', 'VIC', -37.9833, 145.2000],
+  ['Dandenong North', 'VIC', -37.9665, 145.2081],
+  ['Darley', 'VIC', -37.6581, 144.4434],
+  ['Daylesford', 'VIC', -37.3411, 144.1426],
+  ['Deer Park', 'VIC', -37.7672, 144.7666],
+  ['Delacombe', 'VIC', -37.5891, 143.8147],
+  ['Delahey', 'VIC', -37.7198, 144.7773],
+  ['Dennington', 'VIC', -38.3552, 142.4336],
+  ['Derrimut', 'VIC', -37.7924, 144.7699],
+  ['Devon Meadows', 'VIC', -38.1667, 145.3000],
+  ['Diamond Creek', 'VIC', -37.6667, 145.1500],
+  ['Diggers Rest', 'VIC', -37.6260, 144.7188],
+  ['Dimboola', 'VIC', -36.4562, 142.0329],
+  ['Dingley Village', 'VIC', -37.9827, 145.1342],
+  ['Dinner Plain', 'VIC', -37.0236, 147.2412],
+  ['Docklands', 'VIC', -37.8149, 144.9505],
+  ['Donald', 'VIC', -36.3686, 142.9811],
+  ['Doncaster', 'VIC', -37.7883, 145.1237],
+  ['Doncaster East', 'VIC', -37.7876, 145.1489],
+  ['Donvale', 'VIC', -37.7891, 145.1749],
+  ['Doreen', 'VIC', -37.6000, 145.1500],
+  ['Doveton', 'VIC', -37.9935, 145.2389],
+  ['Dromana', 'VIC', -38.3337, 144.9646],
+  ['Drouin', 'VIC', -38.1366, 145.8584],
+  ['Drysdale', 'VIC', -38.1724, 144.5699],
+  ['Eagle Point', 'VIC', -37.9000, 147.6833],
+  ['Eaglehawk', 'VIC', -36.7161, 144.2505],
+  ['Eaglemont', 'VIC', -37.7638, 145.0638],
+  ['East Bairnsdale', 'VIC', -37.8343, 147.6555],
+  ['East Bendigo', 'VIC', -36.7416, 144.3189],
+  ['East Geelong', 'VIC', -38.1557, 144.3720],
+  ['East Melbourne', 'VIC', -37.8167, 144.9879],
+  ['Echuca', 'VIC', -36.1406, 144.7519],
+  ['Eden Park', 'VIC', -37.4833, 145.0833],
+  ['Edithvale', 'VIC', -38.0372, 145.1097],
+  ['Elliminyt', 'VIC', -38.3711, 143.5800],
+  ['Elsternwick', 'VIC', -37.8864, 145.0025],
+  ['Eltham', 'VIC', -37.7333, 145.1500],
+  ['Eltham North', 'VIC', -37.7000, 145.1500],
+  ['Elwood', 'VIC', -37.8821, 144.9822],
+  ['Emerald', 'VIC', -37.9317, 145.4409],
+  ['Endeavour Hills', 'VIC', -37.9769, 145.2587],
+  ['Epping', 'VIC', -37.6500, 145.0333],
+  ['Epsom', 'VIC', -36.7167, 144.3167],
+  ['Essendon', 'VIC', -37.7498, 144.9109],
+  ['Essendon North', 'VIC', -37.7422, 144.9055],
+  ['Essendon West', 'VIC', -37.7549, 144.8834],
+  ['Eumemmerring', 'VIC', -37.9978, 145.2482],
+  ['Euroa', 'VIC', -36.7555, 145.5708],
+  ['Eynesbury', 'VIC', -37.8004, 144.5746],
+  ['Fairfield', 'VIC', -37.7798, 145.0176],
+  ['Falls Creek', 'VIC', -36.8653, 147.2778],
+  ['Fawkner', 'VIC', -37.7167, 144.9667],
+  ['Ferntree Gully', 'VIC', -37.8846, 145.2954],
+  ['Ferny Creek', 'VIC', -37.8833, 145.3333],
+  ['Fitzroy', 'VIC', -37.7984, 144.9783],
+  ['Fitzroy North', 'VIC', -37.7886, 144.9789],
+  ['Flemington', 'VIC', -37.7882, 144.9300],
+  ['Flora Hill', 'VIC', -36.7812, 144.2956],
+  ['Footscray', 'VIC', -37.8000, 144.9000],
+  ['Forest Hill', 'VIC', -37.8333, 145.1833],
+  ['Foster', 'VIC', -38.6527, 146.2007],
+  ['Frankston', 'VIC', -38.1446, 145.1229],
+  ['Frankston East', 'VIC', -38.1333, 145.1333],
+  ['Frankston North', 'VIC', -38.1235, 145.1484],
+  ['Frankston South', 'VIC', -38.1660, 145.1364],
+  ['Garfield', 'VIC', -38.0898, 145.6750],
+  ['Geelong', 'VIC', -38.1471, 144.3607],
+  ['Geelong city centre', 'VIC', -38.1500, 144.3618],
+  ['Geelong West', 'VIC', -38.1389, 144.3484],
+  ['Gembrook', 'VIC', -37.9532, 145.5554],
+  ['Gisborne', 'VIC', -37.4886, 144.5942],
+  ['Gladstone Park', 'VIC', -37.6874, 144.8868],
+  ['Glen Huntly', 'VIC', -37.8924, 145.0414],
+  ['Glen Iris', 'VIC', -37.8667, 145.0667],
+  ['Glen Waverley', 'VIC', -37.8781, 145.1648],
+  ['Glenferrie', 'VIC', -37.8333, 145.0500],
+  ['Glengarry', 'VIC', -38.1167, 146.5667],
+  ['Glenroy', 'VIC', -37.7000, 144.9333],
+  ['Golden Point', 'VIC', -37.5749, 143.8687],
+  ['Golden Square', 'VIC', -36.7726, 144.2527],
+  ['Gordon', 'VIC', -37.5823, 144.1093],
+  ['Gowanbrae', 'VIC', -37.7082, 144.8908],
+  ['Greensborough', 'VIC', -37.7046, 145.1030],
+  ['Greenvale', 'VIC', -37.6333, 144.8667],
+  ['Grovedale', 'VIC', -38.2000, 144.3500],
+  ['Haddon', 'VIC', -37.6000, 143.7167],
+  ['Hadfield', 'VIC', -37.7073, 144.9416],
+  ['Hallam', 'VIC', -38.0167, 145.2667],
+  ['Hamilton', 'VIC', -37.7442, 142.0220],
+  ['Hamlyn Heights', 'VIC', -38.1211, 144.3280],
+  ['Hampton', 'VIC', -37.9500, 145.0000],
+  ['Hampton East', 'VIC', -37.9370, 145.0286],
+  ['Hampton Park', 'VIC', -38.0333, 145.2500],
+  ['Hastings', 'VIC', -38.3000, 145.1833],
+  ['Haven', 'VIC', -36.7607, 142.1943],
+  ['Hawthorn', 'VIC', -37.8199, 145.0358],
+  ['Hawthorn East', 'VIC', -37.8248, 145.0464],
+  ['Hawthorn South', 'VIC', -37.8329, 145.0367],
+  ['Hazelwood North', 'VIC', -38.2676, 146.4829],
+  ['Healesville', 'VIC', -37.6539, 145.5172],
+  ['Heathcote', 'VIC', -36.9221, 144.7084],
+  ['Heatherton', 'VIC', -37.9667, 145.1000],
+  ['Heathmont', 'VIC', -37.8333, 145.2500],
+  ['Heidelberg', 'VIC', -37.7500, 145.0667],
+  ['Heidelberg Heights', 'VIC', -37.7431, 145.0570],
+  ['Heidelberg West', 'VIC', -37.7392, 145.0403],
+  ['Herne Hill', 'VIC', -38.1343, 144.3241],
+  ['Heyfield', 'VIC', -37.9813, 146.7856],
+  ['Heywood', 'VIC', -38.1329, 141.6295],
+  ['Highett', 'VIC', -37.9500, 145.0500],
+  ['Highton', 'VIC', -38.1706, 144.3114],
+  ['Hillside', 'VIC', -37.6905, 144.7417],
+  ['Hmas Cerberus', 'VIC', -38.3649, 145.2004],
+  ['Hoppers Crossing', 'VIC', -37.8826, 144.7003],
+  ['Horsham', 'VIC', -36.7113, 142.1998],
+  ['Hotham Heights', 'VIC', -36.9930, 147.1523],
+  ['Hughesdale', 'VIC', -37.9000, 145.0833],
+  ['Huntingdale', 'VIC', -37.9077, 145.1085],
+  ['Huntly', 'VIC', -36.6645, 144.3338],
+  ['Hurstbridge', 'VIC', -37.6416, 145.1941],
+  ['Indented Head', 'VIC', -38.1430, 144.7134],
+  ['Inverleigh', 'VIC', -38.1018, 144.0513],
+  ['Inverloch', 'VIC', -38.6266, 145.7226],
+  ['Invermay Park', 'VIC', -37.5306, 143.8580],
+  ['Ironbark', 'VIC', -36.7548, 144.2638],
+  ['Irymple', 'VIC', -34.2354, 142.1710],
+  ['Ivanhoe', 'VIC', -37.7690, 145.0431],
+  ['Ivanhoe East', 'VIC', -37.7734, 145.0620],
+  ['Jacana', 'VIC', -37.6878, 144.9111],
+  ['Jackass Flat', 'VIC', -36.7159, 144.2860],
+  ['Jan Juc', 'VIC', -38.3445, 144.2952],
+  ['Jolimont', 'VIC', -37.8168, 144.9846],
+  ['Junction Village', 'VIC', -38.1364, 145.2968],
+  ['Junortoun', 'VIC', -36.7711, 144.3631],
+  ['Kalimna', 'VIC', -37.8701, 147.9666],
+  ['Kallista', 'VIC', -37.8981, 145.3823],
+  ['Kalorama', 'VIC', -37.8167, 145.3667],
+  ['Kangaroo Flat', 'VIC', -36.8000, 144.2500],
+  ['Kangaroo Ground', 'VIC', -37.6892, 145.2317],
+  ['Kealba', 'VIC', -37.7371, 144.8283],
+  ['Keilor', 'VIC', -37.7167, 144.8333],
+  ['Keilor Downs', 'VIC', -37.7234, 144.8084],
+  ['Keilor East', 'VIC', -37.7326, 144.8650],
+  ['Keilor Lodge', 'VIC', -37.7000, 144.8033],
+  ['Keilor Park', 'VIC', -37.7202, 144.8542],
+  ['Kennington', 'VIC', -36.7713, 144.3030],
+  ['Kensington', 'VIC', -37.7919, 144.9311],
+  ['Kerang', 'VIC', -35.7349, 143.9203],
+  ['Kew', 'VIC', -37.8064, 145.0309],
+  ['Kew East', 'VIC', -37.7976, 145.0538],
+  ['Keysborough', 'VIC', -37.9912, 145.1738],
+  ['Kialla', 'VIC', -36.4473, 145.4142],
+  ['Kilmore', 'VIC', -37.2958, 144.9525],
+  ['Kilsyth', 'VIC', -37.8000, 145.3167],
+  ['Kilsyth South', 'VIC', -37.8203, 145.3160],
+  ['Kinglake', 'VIC', -37.5329, 145.3396],
+  ['Kinglake West', 'VIC', -37.4667, 145.2333],
+  ['Kings Park', 'VIC', -37.7340, 144.7777],
+  ['Kingsbury', 'VIC', -37.7141, 145.0351],
+  ['Kingsville', 'VIC', -37.8082, 144.8791],
+  ['Knoxfield', 'VIC', -37.8898, 145.2496],
+  ['Koo-Wee-Rup', 'VIC', -38.1994, 145.4908],
+  ['Koroit', 'VIC', -38.2918, 142.3673],
+  ['Korumburra', 'VIC', -38.4319, 145.8236],
+  ['Kurunjang', 'VIC', -37.6759, 144.5969],
+  ['Kyabram', 'VIC', -36.3133, 145.0504],
+  ['Kyneton', 'VIC', -37.2444, 144.4515],
+  ['Lake Gardens', 'VIC', -37.5463, 143.8165],
+  ['Lake Wendouree', 'VIC', -37.5499, 143.8473],
+  ['Lakes Entrance', 'VIC', -37.8668, 148.0016],
+  ['Lalor', 'VIC', -37.6667, 145.0167],
+  ['Lancefield', 'VIC', -37.2773, 144.7360],
+  ['Lang Lang', 'VIC', -38.2660, 145.5621],
+  ['Langwarrin', 'VIC', -38.1667, 145.1667],
+  ['Langwarrin South', 'VIC', -38.1895, 145.1935],
+  ['Lara', 'VIC', -38.0239, 144.4062],
+  ['Launching Place', 'VIC', -37.7806, 145.5683],
+  ['Laverton', 'VIC', -37.8620, 144.7698],
+  ['Leongatha', 'VIC', -38.4761, 145.9469],
+  ['Leopold', 'VIC', -38.1900, 144.4683],
+  ['Lilydale', 'VIC', -37.7500, 145.3500],
+  ['Little River', 'VIC', -37.9667, 144.5000],
+  ['Long Gully', 'VIC', -36.7430, 144.2579],
+  ['Longford', 'VIC', -38.1624, 147.0859],
+  ['Longwarry', 'VIC', -38.1128, 145.7685],
+  ['Lorne', 'VIC', -38.5404, 143.9764],
+  ['Lovely Banks', 'VIC', -38.0667, 144.3333],
+  ['Lower Plenty', 'VIC', -37.7333, 145.1167],
+  ['Lucknow', 'VIC', -37.8167, 147.6500],
+  ['Lynbrook', 'VIC', -38.0559, 145.2562],
+  ['Lysterfield', 'VIC', -37.9333, 145.3000],
+  ['Macedon', 'VIC', -37.4196, 144.5624],
+  ['Macleod', 'VIC', -37.7230, 145.0730],
+  ['Maddingley', 'VIC', -37.6852, 144.4325],
+  ['Maffra', 'VIC', -37.9713, 146.9837],
+  ['Maiden Gully', 'VIC', -36.7539, 144.2079],
+  ['Maidstone', 'VIC', -37.7803, 144.8735],
+  ['Maldon', 'VIC', -36.9957, 144.0683],
+  ['Mallacoota', 'VIC', -37.5590, 149.7541],
+  ['Malvern', 'VIC', -37.8626, 145.0281],
+  ['Malvern East', 'VIC', -37.8740, 145.0425],
+  ['Manifold Heights', 'VIC', -38.1376, 144.3337],
+  ['Mansfield', 'VIC', -37.0520, 146.0885],
+  ['Maribyrnong', 'VIC', -37.7724, 144.8844],
+  ['Marong', 'VIC', -36.7333, 144.1333],
+  ['Maryborough', 'VIC', -37.0456, 143.7392],
+  ['McCrae', 'VIC', -38.3497, 144.9281],
+  ['McKinnon', 'VIC', -37.9110, 145.0380],
+  ['Meadow Heights', 'VIC', -37.6512, 144.9186],
+  ['Melbourne', 'VIC', -37.8140, 144.9633],
+  ['Melbourne City Centre', 'VIC', -37.8150, 144.9666],
+  ['Melton', 'VIC', -37.6834, 144.5854],
+  ['Melton South', 'VIC', -37.7077, 144.5749],
+  ['Melton West', 'VIC', -37.6785, 144.5688],
+  ['Mentone', 'VIC', -37.9833, 145.0667],
+  ['Merbein', 'VIC', -34.1680, 142.0660],
+  ['Mernda', 'VIC', -37.6007, 145.0956],
+  ['Metung', 'VIC', -37.8915, 147.8530],
+  ['Mickleham', 'VIC', -37.5366, 144.9020],
+  ['Middle Park', 'VIC', -37.8512, 144.9620],
+  ['Mildura', 'VIC', -34.1855, 142.1625],
+  ['Mill Park', 'VIC', -37.6667, 145.0667],
+  ['Millgrove', 'VIC', -37.7553, 145.6535],
+  ['Miners Rest', 'VIC', -37.4808, 143.8011],
+  ['Mirboo North', 'VIC', -38.4010, 146.1614],
+  ['Mitcham', 'VIC', -37.8167, 145.2000],
+  ['Moe', 'VIC', -38.1783, 146.2610],
+  ['Monbulk', 'VIC', -37.8743, 145.4259],
+  ['Mont Albert', 'VIC', -37.8179, 145.1080],
+  ['Mont Albert North', 'VIC', -37.8004, 145.1083],
+  ['Montmorency', 'VIC', -37.7167, 145.1167],
+  ['Montrose', 'VIC', -37.8167, 145.3500],
+  ['Moolap', 'VIC', -38.1833, 144.4333],
+  ['Moonee Ponds', 'VIC', -37.7667, 144.9167],
+  ['Moorabbin', 'VIC', -37.9415, 145.0578],
+  ['Moorooduc', 'VIC', -38.2167, 145.1167],
+  ['Mooroolbark', 'VIC', -37.7825, 145.3168],
+  ['Mooroopna', 'VIC', -36.4000, 145.3500],
+  ['Mordialloc', 'VIC', -38.0000, 145.0833],
+  ['Mornington', 'VIC', -38.2179, 145.0388],
+  ['Mortlake', 'VIC', -38.0810, 142.8083],
+  ['Morwell', 'VIC', -38.2348, 146.3950],
+  ['Mount Buller', 'VIC', -37.1459, 146.4369],
+  ['Mount Clear', 'VIC', -37.6000, 143.8833],
+  ['Mount Dandenong', 'VIC', -37.8333, 145.3667],
+  ['Mount Duneed', 'VIC', -38.2409, 144.3375],
+  ['Mount Eliza', 'VIC', -38.1833, 145.0833],
+  ['Mount Evelyn', 'VIC', -37.7833, 145.3833],
+  ['Mount Helen', 'VIC', -37.6246, 143.8789],
+  ['Mount Macedon', 'VIC', -37.4005, 144.5841],
+  ['Mount Martha', 'VIC', -38.2667, 145.0167],
+  ['Mount Pleasant', 'VIC', -37.5833, 143.8667],
+  ['Mount Waverley', 'VIC', -37.8771, 145.1294],
+  ['Mulgrave', 'VIC', -37.9284, 145.1771],
+  ['Murrumbeena', 'VIC', -37.9000, 145.0667],
+  ['Myrtleford', 'VIC', -36.5610, 146.7237],
+  ['Nagambie', 'VIC', -36.7851, 145.1538],
+  ['Narre Warren', 'VIC', -38.0333, 145.3000],
+  ['Narre Warren North', 'VIC', -37.9833, 145.3167],
+  ['Narre Warren South', 'VIC', -38.0437, 145.2923],
+  ['Nathalia', 'VIC', -36.0577, 145.2041],
+  ['Neerim South', 'VIC', -38.0168, 145.9545],
+  ['New Gisborne', 'VIC', -37.4606, 144.5993],
+  ['Newborough', 'VIC', -38.1717, 146.2926],
+  ['Newcomb', 'VIC', -38.1662, 144.3943],
+  ['Newington', 'VIC', -37.5585, 143.8249],
+  ['Newport', 'VIC', -37.8443, 144.8848],
+  ['Newtown', 'VIC', -38.1539, 144.3351],
+  ['Nhill', 'VIC', -36.3333, 141.6501],
+  ['Nichols Point', 'VIC', -34.2103, 142.2112],
+  ['Nicholson', 'VIC', -37.8167, 147.7333],
+  ['Niddrie', 'VIC', -37.7375, 144.8921],
+  ['Noble Park', 'VIC', -37.9667, 145.1667],
+  ['Noble Park North', 'VIC', -37.9498, 145.1926],
+  ['Norlane', 'VIC', -38.1014, 144.3542],
+  ['North Bendigo', 'VIC', -36.7436, 144.2879],
+  ['North Brighton', 'VIC', -37.9069, 145.0053],
+  ['North Geelong', 'VIC', -38.1095, 144.3513],
+  ['North Melbourne', 'VIC', -37.7980, 144.9451],
+  ['North Warrandyte', 'VIC', -37.7292, 145.2157],
+  ['North Wonthaggi', 'VIC', -38.5777, 145.5930],
+  ['Northcote', 'VIC', -37.7667, 145.0000],
+  ['Notting Hill', 'VIC', -37.9050, 145.1427],
+  ['Numurkah', 'VIC', -36.0885, 145.4422],
+  ['Nunawading', 'VIC', -37.8204, 145.1731],
+  ['Nyora', 'VIC', -38.3336, 145.6725],
+  ['Oak Park', 'VIC', -37.7184, 144.9195],
+  ['Oakleigh', 'VIC', -37.8981, 145.0884],
+  ['Oakleigh East', 'VIC', -37.9000, 145.1167],
+  ['Oakleigh South', 'VIC', -37.9242, 145.0915],
+  ['Ocean Grove', 'VIC', -38.2577, 144.5192],
+  ['Officer', 'VIC', -38.0592, 145.4095],
+  ['Olinda', 'VIC', -37.8500, 145.3667],
+  ['Orbost', 'VIC', -37.6964, 148.4570],
+  ['Ormond', 'VIC', -37.9040, 145.0390],
+  ['Ouyen', 'VIC', -35.0709, 142.3203],
+  ['Pakenham', 'VIC', -38.0702, 145.4741],
+  ['Pakenham Upper', 'VIC', -38.0167, 145.5167],
+  ['Panton Hill', 'VIC', -37.6408, 145.2399],
+  ['Park Orchards', 'VIC', -37.7769, 145.2146],
+  ['Parkdale', 'VIC', -37.9919, 145.0813],
+  ['Parkville', 'VIC', -37.7833, 144.9500],
+  ['Pascoe Vale', 'VIC', -37.7333, 144.9333],
+  ['Pascoe Vale South', 'VIC', -37.7397, 144.9462],
+  ['Patterson Lakes', 'VIC', -38.0693, 145.1433],
+  ['Paynesville', 'VIC', -37.9189, 147.7194],
+  ['Pearcedale', 'VIC', -38.2030, 145.2349],
+  ['Phillip Island', 'VIC', -38.4835, 145.2310],
+  ['Plenty', 'VIC', -37.6667, 145.1167],
+  ['Plumpton', 'VIC', -37.6870, 144.6908],
+  ['Point Cook', 'VIC', -37.9148, 144.7509],
+  ['Point Lonsdale', 'VIC', -38.2817, 144.6106],
+  ['Porepunkah', 'VIC', -36.6961, 146.9104],
+  ['Port Fairy', 'VIC', -38.3853, 142.2371],
+  ['Port Melbourne', 'VIC', -37.8396, 144.9423],
+  ['Portarlington', 'VIC', -38.1154, 144.6556],
+  ['Portland', 'VIC', -38.3462, 141.6026],
+  ['Prahran', 'VIC', -37.8511, 144.9932],
+  ['Preston', 'VIC', -37.7500, 145.0167],
+  ['Princes Hill', 'VIC', -37.7818, 144.9666],
+  ['Puckapunyal', 'VIC', -36.9949, 145.0401],
+  ['Quarry Hill', 'VIC', -36.7765, 144.2802],
+  ['Queenscliff', 'VIC', -38.2679, 144.6619],
+  ['Ravenhall', 'VIC', -37.7655, 144.7511],
+  ['Red Cliffs', 'VIC', -34.3094, 142.1897],
+  ['Redan', 'VIC', -37.5765, 143.8386],
+  ['Research', 'VIC', -37.7000, 145.1833],
+  ['Reservoir', 'VIC', -37.7167, 145.0000],
+  ['Richmond', 'VIC', -37.8182, 145.0018],
+  ['Ringwood', 'VIC', -37.8167, 145.2333],
+  ['Ringwood East', 'VIC', -37.8167, 145.2500],
+  ['Ringwood North', 'VIC', -37.8000, 145.2333],
+  ['Ripponlea', 'VIC', -37.8780, 144.9950],
+  ['Robinvale', 'VIC', -34.5836, 142.7723],
+  ['Rochester', 'VIC', -36.3635, 144.7008],
+  ['Rockbank', 'VIC', -37.7335, 144.6700],
+  ['Romsey', 'VIC', -37.3507, 144.7430],
+  ['Rosanna', 'VIC', -37.7389, 145.0674],
+  ['Rosebud', 'VIC', -38.3554, 144.9068],
+  ['Rosebud West', 'VIC', -38.3644, 144.8775],
+  ['Rosedale', 'VIC', -38.1545, 146.7886],
+  ['Ross Creek', 'VIC', -37.6500, 143.7500],
+  ['Rowville', 'VIC', -37.9333, 145.2333],
+  ['Roxburgh Park', 'VIC', -37.6258, 144.9255],
+  ['Rushworth', 'VIC', -36.5867, 145.0175],
+  ['Rutherglen', 'VIC', -36.0543, 146.4621],
+  ['Rye', 'VIC', -38.3853, 144.8122],
+  ['Safety Beach', 'VIC', -38.3153, 145.0003],
+  ['Saint Albans', 'VIC', -37.7333, 144.8000],
+  ['Saint Andrews', 'VIC', -37.6015, 145.2724],
+  ['Saint Andrews Beach', 'VIC', -38.4141, 144.8244],
+  ['Saint Helena', 'VIC', -37.7000, 145.1333],
+  ['Saint Kilda', 'VIC', -37.8676, 144.9810],
+  ['Saint Leonards', 'VIC', -38.1705, 144.7180],
+  ['Sale', 'VIC', -38.1109, 147.0680],
+  ['San Remo', 'VIC', -38.5255, 145.3762],
+  ['Sandhurst', 'VIC', -38.0810, 145.2077],
+  ['Sandringham', 'VIC', -37.9522, 145.0113],
+  ['Sassafras', 'VIC', -37.8667, 145.3500],
+  ['Scoresby', 'VIC', -37.9000, 145.2333],
+  ['Seabrook', 'VIC', -37.8809, 144.7587],
+  ['Seaford', 'VIC', -38.1000, 145.1333],
+  ['Seaholme', 'VIC', -37.8640, 144.8450],
+  ['Sebastopol', 'VIC', -37.5853, 143.8395],
+  ['Seddon', 'VIC', -37.8061, 144.8907],
+  ['Selby', 'VIC', -37.9167, 145.3833],
+  ['Seville', 'VIC', -37.7980, 145.4876],
+  ['Seymour', 'VIC', -37.0265, 145.1392],
+  ['Shepparton', 'VIC', -36.3805, 145.3987],
+  ['Shepparton East', 'VIC', -36.4016, 145.4777],
+  ['Silvan', 'VIC', -37.8167, 145.4167],
+  ['Skye', 'VIC', -38.1050, 145.2163],
+  ['Smythes Creek', 'VIC', -37.6000, 143.7833],
+  ['Smythesdale', 'VIC', -37.6431, 143.6862],
+  ['Soldiers Hill', 'VIC', -37.5496, 143.8587],
+  ['Somers', 'VIC', -38.3813, 145.1590],
+  ['Somerville', 'VIC', -38.2167, 145.1667],
+  ['Sorrento', 'VIC', -38.3396, 144.7413],
+  ['South Kingsville', 'VIC', -37.8302, 144.8709],
+  ['South Melbourne', 'VIC', -37.8333, 144.9667],
+  ['South Morang', 'VIC', -37.6500, 145.1000],
+  ['South Yarra', 'VIC', -37.8383, 144.9915],
+  ['Southbank', 'VIC', -37.8228, 144.9643],
+  ['Spotswood', 'VIC', -37.8297, 144.8852],
+  ['Springvale', 'VIC', -37.9485, 145.1527],
+  ['Springvale South', 'VIC', -37.9667, 145.1500],
+  ['St Albans', 'VIC', -37.7450, 144.8005],
+  ['St Albans Park', 'VIC', -38.1880, 144.3921],
+  ['St Helena', 'VIC', -37.6899, 145.1232],
+  ['St Kilda East', 'VIC', -37.8659, 145.0002],
+  ['St Kilda West', 'VIC', -37.8599, 144.9711],
+  ['Stawell', 'VIC', -37.0563, 142.7809],
+  ['Stratford', 'VIC', -37.9634, 147.0826],
+  ['Strathdale', 'VIC', -36.7657, 144.3155],
+  ['Strathfieldsaye', 'VIC', -36.8067, 144.3549],
+  ['Strathmerton', 'VIC', -35.9253, 145.4786],
+  ['Strathmore', 'VIC', -37.7356, 144.9207],
+  ['Sunbury', 'VIC', -37.5774, 144.7261],
+  ['Sunshine', 'VIC', -37.7833, 144.8333],
+  ['Sunshine North', 'VIC', -37.7699, 144.8279],
+  ['Sunshine West', 'VIC', -37.7912, 144.8164],
+  ['Surrey Hills', 'VIC', -37.8167, 145.1000],
+  ['Swan Hill', 'VIC', -35.3378, 143.5544],
+  ['Sydenham', 'VIC', -37.7000, 144.7667],
+  ['Tallangatta', 'VIC', -36.2179, 147.1770],
+  ['Tarneit', 'VIC', -37.8363, 144.6595],
+  ['Tatura', 'VIC', -36.4396, 145.2299],
+  ['Taylors Hill', 'VIC', -37.7099, 144.7548],
+  ['Taylors Lakes', 'VIC', -37.6986, 144.7863],
+  ['Tecoma', 'VIC', -37.9030, 145.3447],
+  ['Teesdale', 'VIC', -38.0333, 144.0500],
+  ['Templestowe', 'VIC', -37.7540, 145.1486],
+  ['Templestowe Lower', 'VIC', -37.7667, 145.1167],
+  ['Terang', 'VIC', -38.2408, 142.9212],
+  ['The Basin', 'VIC', -37.8500, 145.3167],
+  ['The Patch', 'VIC', -37.8919, 145.4022],
+  ['Thomastown', 'VIC', -37.6833, 145.0167],
+  ['Thomson', 'VIC', -38.1698, 144.3789],
+  ['Thornbury', 'VIC', -37.7582, 145.0058],
+  ['Timboon', 'VIC', -38.4843, 142.9803],
+  ['Tongala', 'VIC', -36.2547, 144.9562],
+  ['Tooradin', 'VIC', -38.2147, 145.3833],
+  ['Toorak', 'VIC', -37.8416, 145.0144],
+  ['Tootgarook', 'VIC', -38.3777, 144.8502],
+  ['Torquay', 'VIC', -38.3308, 144.3264],
+  ['Trafalgar', 'VIC', -38.2091, 146.1535],
+  ['Traralgon', 'VIC', -38.1953, 146.5415],
+  ['Travancore', 'VIC', -37.7808, 144.9355],
+  ['Trentham', 'VIC', -37.3888, 144.3216],
+  ['Truganina', 'VIC', -37.8167, 144.7500],
+  ['Tullamarine', 'VIC', -37.7013, 144.8810],
+  ['Tyabb', 'VIC', -38.2500, 145.1833],
+  ['Upwey', 'VIC', -37.9000, 145.3333],
+  ['Vermont', 'VIC', -37.8362, 145.1943],
+  ['Vermont South', 'VIC', -37.8575, 145.1827],
+  ['Viewbank', 'VIC', -37.7399, 145.0932],
+  ['Wahgunyah', 'VIC', -36.0118, 146.3971],
+  ['Wallan', 'VIC', -37.4162, 144.9786],
+  ['Wallington', 'VIC', -38.2264, 144.5120],
+  ['Wandana Heights', 'VIC', -38.1758, 144.3039],
+  ['Wandin North', 'VIC', -37.7833, 145.4333],
+  ['Wandong', 'VIC', -37.3719, 145.0321],
+  ['Wangaratta', 'VIC', -36.3585, 146.3206],
+  ['Wantirna', 'VIC', -37.8500, 145.2167],
+  ['Wantirna South', 'VIC', -37.8833, 145.2167],
+  ['Warburton', 'VIC', -37.7537, 145.6904],
+  ['Warracknabeal', 'VIC', -36.2533, 142.3928],
+  ['Warragul', 'VIC', -38.1591, 145.9312],
+  ['Warrandyte', 'VIC', -37.7500, 145.2333],
+  ['Warranwood', 'VIC', -37.7730, 145.2505],
+  ['Warrnambool', 'VIC', -38.3818, 142.4880],
+  ['Waterways', 'VIC', -38.0148, 145.1305],
+  ['Watsonia', 'VIC', -37.7167, 145.0833],
+  ['Watsonia North', 'VIC', -37.6998, 145.0847],
+  ['Wattleglen', 'VIC', -37.6667, 145.1833],
+  ['Waurn Ponds', 'VIC', -38.2167, 144.2833],
+  ['Weir Views', 'VIC', -37.7312, 144.5758],
+  ['Wendouree', 'VIC', -37.5308, 143.8284],
+  ['Werribee', 'VIC', -37.9000, 144.6667],
+  ['Werribee South', 'VIC', -37.9475, 144.7167],
+  ['Wesburn', 'VIC', -37.7667, 145.6333],
+  ['West Footscray', 'VIC', -37.7975, 144.8773],
+  ['West Melbourne', 'VIC', -37.8101, 144.9500],
+  ['West Wodonga', 'VIC', -36.1235, 146.8519],
+  ['Westmeadows', 'VIC', -37.6760, 144.8870],
+  ['Wheelers Hill', 'VIC', -37.9000, 145.1833],
+  ['White Hills', 'VIC', -36.7287, 144.3053],
+  ['Whittington', 'VIC', -38.1808, 144.3932],
+  ['Whittlesea', 'VIC', -37.5115, 145.1184],
+  ['Williams Landing', 'VIC', -37.8619, 144.7437],
+  ['Williamstown', 'VIC', -37.8635, 144.8990],
+  ['Williamstown North', 'VIC', -37.8551, 144.8826],
+  ['Winchelsea', 'VIC', -38.2448, 143.9832],
+  ['Windsor', 'VIC', -37.8534, 144.9924],
+  ['Wodonga', 'VIC', -36.1218, 146.8881],
+  ['Wollert', 'VIC', -37.5833, 145.0333],
+  ['Wonga Park', 'VIC', -37.7333, 145.2667],
+  ['Wonthaggi', 'VIC', -38.6059, 145.5936],
+  ['Woodend', 'VIC', -37.3547, 144.5290],
+  ['Woori Yallock', 'VIC', -37.7806, 145.5382],
+  ['Wurruk', 'VIC', -38.1167, 147.0333],
+  ['Wy Yung', 'VIC', -37.8000, 147.5833],
+  ['Wyndham Vale', 'VIC', -37.8914, 144.6237],
+  ['Yackandandah', 'VIC', -36.3137, 146.8396],
+  ['Yallambie', 'VIC', -37.7251, 145.0935],
+  ['Yallourn North', 'VIC', -38.1605, 146.3645],
+  ['Yarra Glen', 'VIC', -37.6579, 145.3742],
+  ['Yarra Junction', 'VIC', -37.7819, 145.6143],
+  ['Yarragon', 'VIC', -38.2052, 146.0608],
+  ['Yarram', 'VIC', -38.5648, 146.6756],
+  ['Yarrambat', 'VIC', -37.6375, 145.1349],
+  ['Yarraville', 'VIC', -37.8167, 144.9000],
+  ['Yarrawonga', 'VIC', -36.0192, 145.9997],
+  ['Yea', 'VIC', -37.2107, 145.4276],
+
+  // ── WA ───────────────────────────────────────────────────────────────────
+  ['Abbey', 'WA', -33.6636, 115.2564],
+  ['Albany', 'WA', -35.0269, 117.8837],
+  ['Albany city centre', 'WA', -35.0248, 117.8847],
+  ['Alexander Heights', 'WA', -31.8276, 115.8650],
+  ['Alfred Cove', 'WA', -32.0332, 115.8126],
+  ['Alkimos', 'WA', -31.6304, 115.6864],
+  ['Applecross', 'WA', -32.0167, 115.8333],
+  ['Ardross', 'WA', -32.0270, 115.8355],
+  ['Armadale', 'WA', -32.1461, 116.0093],
+  ['Ascot', 'WA', -31.9382, 115.9226],
+  ['Ashby', 'WA', -31.7325, 115.7977],
+  ['Ashfield', 'WA', -31.9172, 115.9380],
+  ['Attadale', 'WA', -32.0249, 115.8020],
+  ['Atwell', 'WA', -32.1435, 115.8653],
+  ['Aubin Grove', 'WA', -32.1671, 115.8626],
+  ['Augusta', 'WA', -34.3157, 115.1592],
+  ['Australind', 'WA', -33.2792, 115.7150],
+  ['Aveley', 'WA', -31.7813, 115.9896],
+  ['Bakers Hill', 'WA', -31.7469, 116.4587],
+  ['Balcatta', 'WA', -31.8750, 115.8284],
+  ['Baldivis', 'WA', -32.3289, 115.8305],
+  ['Balga', 'WA', -31.8550, 115.8399],
+  ['Ballajura', 'WA', -31.8406, 115.8955],
+  ['Banjup', 'WA', -32.1418, 115.8867],
+  ['Banksia Grove', 'WA', -31.6961, 115.8050],
+  ['Bassendean', 'WA', -31.9091, 115.9437],
+  ['Bateman', 'WA', -32.0555, 115.8474],
+  ['Baynton', 'WA', -20.7516, 116.8014],
+  ['Bayonet Head', 'WA', -34.9730, 117.9345],
+  ['Bayswater', 'WA', -31.9169, 115.9178],
+  ['Beachlands', 'WA', -28.7857, 114.6019],
+  ['Beaconsfield', 'WA', -32.0675, 115.7640],
+  ['Beckenham', 'WA', -32.0248, 115.9599],
+  ['Bedford', 'WA', -31.9113, 115.8892],
+  ['Bedfordale', 'WA', -32.1741, 116.0504],
+  ['Beechboro', 'WA', -31.8651, 115.9366],
+  ['Beeliar', 'WA', -32.1334, 115.8064],
+  ['Beldon', 'WA', -31.7747, 115.7627],
+  ['Bellevue', 'WA', -31.9012, 116.0276],
+  ['Belmont', 'WA', -31.9435, 115.9255],
+  ['Bennett Springs', 'WA', -31.8594, 115.9451],
+  ['Bentley', 'WA', -32.0022, 115.9247],
+  ['Beresford', 'WA', -28.7575, 114.6197],
+  ['Bertram', 'WA', -32.2437, 115.8457],
+  ['Bibra Lake', 'WA', -32.0976, 115.8192],
+  ['Bicton', 'WA', -32.0278, 115.7833],
+  ['Bilingurr', 'WA', -17.9091, 122.2292],
+  ['Bindoon', 'WA', -31.3866, 116.0966],
+  ['Binningup', 'WA', -33.1483, 115.6952],
+  ['Bluff Point', 'WA', -28.7374, 114.6228],
+  ['Boddington', 'WA', -32.8007, 116.4752],
+  ['Booragoon', 'WA', -32.0394, 115.8337],
+  ['Boulder', 'WA', -30.7820, 121.4912],
+  ['Boyanup', 'WA', -33.4829, 115.7284],
+  ['Brabham', 'WA', -31.8273, 115.9742],
+  ['Brentwood', 'WA', -32.0435, 115.8525],
+  ['Bridgetown', 'WA', -33.9624, 116.1360],
+  ['Broadwater', 'WA', -33.6630, 115.2842],
+  ['Brockman', 'WA', -24.8813, 113.6537],
+  ['Brookdale', 'WA', -32.1670, 116.0019],
+  ['Broome', 'WA', -17.9554, 122.2392],
+  ['Brunswick', 'WA', -33.2324, 115.8628],
+  ['Bulgarra', 'WA', -20.7258, 116.8567],
+  ['Bull Creek', 'WA', -32.0562, 115.8624],
+  ['Bullsbrook', 'WA', -31.6690, 115.9999],
+  ['Bunbury', 'WA', -33.3271, 115.6414],
+  ['Burns Beach', 'WA', -31.7206, 115.7205],
+  ['Burswood', 'WA', -31.9587, 115.9040],
+  ['Busselton', 'WA', -33.6525, 115.3455],
+  ['Busselton city centre', 'WA', -33.6508, 115.3493],
+  ['Butler', 'WA', -31.6430, 115.7043],
+  ['Byford', 'WA', -32.2210, 116.0090],
+  ['Cable Beach', 'WA', -17.9610, 122.2127],
+  ['Calista', 'WA', -32.2410, 115.7976],
+  ['Camillo', 'WA', -32.1129, 116.0021],
+  ['Canning Vale', 'WA', -32.0580, 115.9181],
+  ['Cannington', 'WA', -32.0162, 115.9365],
+  ['Capel', 'WA', -33.5581, 115.5628],
+  ['Cardup', 'WA', -32.2580, 115.9851],
+  ['Carey Park', 'WA', -33.3488, 115.6493],
+  ['Carine', 'WA', -31.8523, 115.7826],
+  ['Carlisle', 'WA', -31.9794, 115.9181],
+  ['Carnarvon', 'WA', -24.8826, 113.6571],
+  ['Carramar', 'WA', -31.6902, 115.7716],
+  ['Castletown', 'WA', -33.8324, 121.9156],
+  ['Casuarina', 'WA', -32.2414, 115.8698],
+  ['Caversham', 'WA', -31.8833, 115.9667],
+  ['Champion Lakes', 'WA', -32.1191, 115.9862],
+  ['Chidlow', 'WA', -31.8609, 116.2724],
+  ['Churchlands', 'WA', -31.9214, 115.7932],
+  ['City Beach', 'WA', -31.9344, 115.7617],
+  ['City of Cockburn', 'WA', -32.1026, 115.8442],
+  ['Claremont', 'WA', -31.9796, 115.7823],
+  ['Clarkson', 'WA', -31.6828, 115.7247],
+  ['Cloverdale', 'WA', -31.9628, 115.9443],
+  ['Cockburn Central', 'WA', -32.1213, 115.8478],
+  ['College Grove', 'WA', -33.3759, 115.6591],
+  ['Collie', 'WA', -33.3621, 116.1562],
+  ['Como', 'WA', -31.9912, 115.8634],
+  ['Connolly', 'WA', -31.7486, 115.7505],
+  ['Coodanup', 'WA', -32.5519, 115.7535],
+  ['Coogee', 'WA', -32.1193, 115.7665],
+  ['Coolbellup', 'WA', -32.0812, 115.8061],
+  ['Coolbinia', 'WA', -31.9147, 115.8489],
+  ['Cooloongup', 'WA', -32.2950, 115.7800],
+  ['Cottesloe', 'WA', -31.9943, 115.7582],
+  ['Cowaramup', 'WA', -33.8504, 115.1038],
+  ['Craigie', 'WA', -31.7873, 115.7699],
+  ['Crawley', 'WA', -31.9842, 115.8160],
+  ['Currambine', 'WA', -31.7331, 115.7477],
+  ['Daglish', 'WA', -31.9518, 115.8088],
+  ['Dalkeith', 'WA', -31.9952, 115.7998],
+  ['Dalyellup', 'WA', -33.4084, 115.6151],
+  ['Dampier', 'WA', -20.6627, 116.7126],
+  ['Dampier Peninsula', 'WA', -16.9324, 122.8656],
+  ['Darch', 'WA', -31.8125, 115.8458],
+  ['Darling Downs', 'WA', -32.1944, 115.9919],
+  ['Darlington', 'WA', -31.9191, 116.0812],
+  ['Dawesville', 'WA', -32.6323, 115.6290],
+  ['Dayton', 'WA', -31.8525, 115.9749],
+  ['Denmark', 'WA', -34.9607, 117.3532],
+  ['Derby', 'WA', -17.3029, 123.6286],
+  ['Dianella', 'WA', -31.8882, 115.8719],
+  ['Djugun', 'WA', -17.9539, 122.2279],
+  ['Dongara', 'WA', -29.2380, 114.9270],
+  ['Donnybrook', 'WA', -33.5713, 115.8245],
+  ['Doubleview', 'WA', -31.8963, 115.7816],
+  ['Drummond Cove', 'WA', -28.6738, 114.6128],
+  ['Dudley Park', 'WA', -32.5522, 115.7310],
+  ['Duncraig', 'WA', -31.8329, 115.7759],
+  ['Dunsborough', 'WA', -33.6148, 115.1045],
+  ['East Bunbury', 'WA', -33.3362, 115.6604],
+  ['East Cannington', 'WA', -32.0098, 115.9550],
+  ['East Carnarvon', 'WA', -24.8640, 113.6777],
+  ['East Fremantle', 'WA', -32.0382, 115.7676],
+  ['East Perth', 'WA', -31.9587, 115.8711],
+  ['East Victoria Park', 'WA', -31.9889, 115.9039],
+  ['Eaton', 'WA', -33.3166, 115.7050],
+  ['Eden Hill', 'WA', -31.8891, 115.9468],
+  ['Edgewater', 'WA', -31.7655, 115.7822],
+  ['Eglinton', 'WA', -31.5868, 115.6888],
+  ['Ellenbrook', 'WA', -31.7674, 115.9694],
+  ['Embleton', 'WA', -31.9035, 115.9090],
+  ['Erskine', 'WA', -32.5572, 115.7066],
+  ['Esperance', 'WA', -33.8592, 121.8916],
+  ['Exmouth', 'WA', -21.9306, 114.1209],
+  ['Falcon', 'WA', -32.5824, 115.6620],
+  ['Ferndale', 'WA', -32.0349, 115.9223],
+  ['Fitzroy Crossing', 'WA', -18.1971, 125.5666],
+  ['Floreat', 'WA', -31.9386, 115.7921],
+  ['Forrestdale', 'WA', -32.1552, 115.9342],
+  ['Forrestfield', 'WA', -31.9828, 116.0067],
+  ['Fremantle', 'WA', -32.0563, 115.7456],
+  ['Garden Island', 'WA', -32.2426, 115.6951],
+  ['Gelorup', 'WA', -33.4242, 115.6409],
+  ['Geographe', 'WA', -33.6397, 115.3836],
+  ['Geraldton', 'WA', -28.7790, 114.6146],
+  ['Geraldton city centre', 'WA', -28.7775, 114.6149],
+  ['Gidgegannup', 'WA', -31.7544, 116.1875],
+  ['Girrawheen', 'WA', -31.8410, 115.8398],
+  ['Glen Forrest', 'WA', -31.9193, 116.1073],
+  ['Glen Iris', 'WA', -33.3371, 115.6743],
+  ['Glendalough', 'WA', -31.9199, 115.8195],
+  ['Gnangara', 'WA', -31.7761, 115.8662],
+  ['Golden Bay', 'WA', -32.4250, 115.7610],
+  ['Gooseberry Hill', 'WA', -31.9544, 116.0492],
+  ['Gosnells', 'WA', -32.0810, 116.0054],
+  ['Grasmere', 'WA', -35.0181, 117.7556],
+  ['Greenfields', 'WA', -32.5243, 115.7632],
+  ['Greenmount', 'WA', -31.9007, 116.0495],
+  ['Greenwood', 'WA', -31.8272, 115.8025],
+  ['Guildford', 'WA', -31.9000, 115.9667],
+  ['Gwelup', 'WA', -31.8716, 115.7948],
+  ['Halls Creek', 'WA', -18.2248, 127.6665],
+  ['Halls Head', 'WA', -32.5431, 115.6967],
+  ['Hamersley', 'WA', -31.8490, 115.8076],
+  ['Hamilton Hill', 'WA', -32.0845, 115.7795],
+  ['Hammond Park', 'WA', -32.1685, 115.8504],
+  ['Hannans', 'WA', -30.7191, 121.4548],
+  ['Harrisdale', 'WA', -32.1108, 115.9356],
+  ['Harvey', 'WA', -33.0786, 115.9151],
+  ['Heathridge', 'WA', -31.7624, 115.7590],
+  ['Helena Valley', 'WA', -31.9194, 116.0398],
+  ['Henley Brook', 'WA', -31.8139, 115.9881],
+  ['Herne Hill', 'WA', -31.8255, 116.0227],
+  ['High Wycombe', 'WA', -31.9444, 116.0034],
+  ['Highgate', 'WA', -31.9397, 115.8702],
+  ['Hilbert', 'WA', -32.1782, 115.9849],
+  ['Hillarys', 'WA', -31.8070, 115.7405],
+  ['Hillman', 'WA', -32.2833, 115.7636],
+  ['Hilton', 'WA', -32.0621, 115.7805],
+  ['Hocking', 'WA', -31.7701, 115.8183],
+  ['Huntingdale', 'WA', -32.0832, 115.9661],
+  ['Iluka', 'WA', -31.7355, 115.7306],
+  ['Inglewood', 'WA', -31.9166, 115.8798],
+  ['Innaloo', 'WA', -31.8927, 115.7951],
+  ['Jandakot', 'WA', -32.1016, 115.8708],
+  ['Jane Brook', 'WA', -31.8637, 116.0504],
+  ['Jarrahdale', 'WA', -32.3358, 116.0595],
+  ['Jindalee', 'WA', -31.6494, 115.6950],
+  ['Jolimont', 'WA', -31.9456, 115.8095],
+  ['Joondalup', 'WA', -31.7444, 115.7684],
+  ['Joondanna', 'WA', -31.9077, 115.8423],
+  ['Jurien Bay', 'WA', -30.3059, 115.0383],
+  ['Kalamunda', 'WA', -31.9737, 116.0585],
+  ['Kalbarri', 'WA', -27.7105, 114.1651],
+  ['Kalgoorlie', 'WA', -30.7461, 121.4742],
+  ['Kallaroo', 'WA', -31.7910, 115.7530],
+  ['Kambalda East', 'WA', -31.2055, 121.6701],
+  ['Kambalda West', 'WA', -31.2017, 121.6306],
+  ['Karawara', 'WA', -32.0086, 115.8811],
+  ['Kardinya', 'WA', -32.0656, 115.8148],
+  ['Karnup', 'WA', -32.4189, 115.7927],
+  ['Karratha', 'WA', -20.7376, 116.8463],
+  ['Karrinyup', 'WA', -31.8723, 115.7768],
+  ['Katanning', 'WA', -33.6879, 117.5584],
+  ['Kelmscott', 'WA', -32.1243, 116.0259],
+  ['Kenwick', 'WA', -32.0333, 115.9667],
+  ['Kewdale', 'WA', -31.9789, 115.9516],
+  ['Kiara', 'WA', -31.8816, 115.9389],
+  ['Kingsley', 'WA', -31.8104, 115.8008],
+  ['Kinross', 'WA', -31.7187, 115.7384],
+  ['Kojonup', 'WA', -33.8305, 117.1595],
+  ['Koondoola', 'WA', -31.8414, 115.8665],
+  ['Kununurra', 'WA', -15.7782, 128.7421],
+  ['Kwinana', 'WA', -32.2301, 115.7813],
+  ['Lakelands', 'WA', -32.4716, 115.7729],
+  ['Lamington', 'WA', -30.7342, 121.4616],
+  ['Landsdale', 'WA', -31.8075, 115.8660],
+  ['Langford', 'WA', -32.0409, 115.9416],
+  ['Lathlain', 'WA', -31.9675, 115.9063],
+  ['Laverton', 'WA', -28.6253, 122.3994],
+  ['Leda', 'WA', -32.2677, 115.7993],
+  ['Leederville', 'WA', -31.9363, 115.8419],
+  ['Leeming', 'WA', -32.0751, 115.8661],
+  ['Leinster', 'WA', -27.9203, 120.6967],
+  ['Leonora', 'WA', -28.8851, 121.3307],
+  ['Leschenault', 'WA', -33.2452, 115.7251],
+  ['Lesmurdie', 'WA', -32.0020, 116.0482],
+  ['Little Grove', 'WA', -35.0680, 117.8720],
+  ['Lockridge', 'WA', -31.8817, 115.9503],
+  ['Lockyer', 'WA', -35.0057, 117.8588],
+  ['Lower Chittering', 'WA', -31.5833, 116.1167],
+  ['Lower King', 'WA', -34.9578, 117.9383],
+  ['Lynwood', 'WA', -32.0401, 115.9289],
+  ['Maddington', 'WA', -32.0500, 115.9833],
+  ['Madeley', 'WA', -31.8111, 115.8281],
+  ['Madora Bay', 'WA', -32.4695, 115.7526],
+  ['Maida Vale', 'WA', -31.9519, 116.0276],
+  ['Mandurah', 'WA', -32.5269, 115.7217],
+  ['Mandurah city centre', 'WA', -32.5264, 115.7336],
+  ['Manjimup', 'WA', -34.2412, 116.1456],
+  ['Manning', 'WA', -32.0159, 115.8671],
+  ['Marangaroo', 'WA', -31.8271, 115.8384],
+  ['Margaret River', 'WA', -33.9550, 115.0760],
+  ['Marmion', 'WA', -31.8416, 115.7569],
+  ['Martin', 'WA', -32.0755, 116.0454],
+  ['Maylands', 'WA', -31.9310, 115.8949],
+  ['McKail', 'WA', -34.9853, 117.8301],
+  ['Meadow Springs', 'WA', -32.4972, 115.7533],
+  ['Medina', 'WA', -32.2341, 115.7990],
+  ['Melville', 'WA', -32.0404, 115.8012],
+  ['Menora', 'WA', -31.9189, 115.8621],
+  ['Merredin', 'WA', -31.4809, 118.2745],
+  ['Merriwa', 'WA', -31.6649, 115.7127],
+  ['Middle Swan', 'WA', -31.8500, 116.0167],
+  ['Midland', 'WA', -31.8891, 116.0107],
+  ['Midvale', 'WA', -31.8888, 116.0329],
+  ['Millars Well', 'WA', -20.7417, 116.8173],
+  ['Millbridge', 'WA', -33.3062, 115.7350],
+  ['Mindarie', 'WA', -31.6893, 115.7070],
+  ['Mira Mar', 'WA', -35.0152, 117.9010],
+  ['Mirrabooka', 'WA', -31.8596, 115.8659],
+  ['Moora', 'WA', -30.6400, 116.0037],
+  ['Morley', 'WA', -31.8877, 115.9099],
+  ['Mosman Park', 'WA', -32.0054, 115.7638],
+  ['Mount Barker', 'WA', -34.6308, 117.6661],
+  ['Mount Claremont', 'WA', -31.9618, 115.7834],
+  ['Mount Hawthorn', 'WA', -31.9200, 115.8351],
+  ['Mount Helena', 'WA', -31.8761, 116.2103],
+  ['Mount Lawley', 'WA', -31.9344, 115.8716],
+  ['Mount Melville', 'WA', -35.0222, 117.8714],
+  ['Mount Nasura', 'WA', -32.1378, 116.0247],
+  ['Mount Pleasant', 'WA', -32.0397, 115.8499],
+  ['Mount Richon', 'WA', -32.1735, 116.0214],
+  ['Mount Tarcoola', 'WA', -28.7986, 114.6253],
+  ['Mullaloo', 'WA', -31.7790, 115.7368],
+  ['Mundaring', 'WA', -31.9021, 116.1676],
+  ['Mundijong', 'WA', -32.2922, 115.9856],
+  ['Munster', 'WA', -32.1420, 115.7980],
+  ['Murdoch', 'WA', -32.0699, 115.8376],
+  ['Myaree', 'WA', -32.0400, 115.8176],
+  ['Narrogin', 'WA', -32.9328, 117.1776],
+  ['Nedlands', 'WA', -31.9818, 115.8073],
+  ['Newman', 'WA', -23.3564, 119.7355],
+  ['Nickol', 'WA', -20.7456, 116.7954],
+  ['Nollamara', 'WA', -31.8802, 115.8454],
+  ['Noranda', 'WA', -31.8733, 115.8990],
+  ['North Beach', 'WA', -31.8630, 115.7562],
+  ['North Coogee', 'WA', -32.0950, 115.7597],
+  ['North Fremantle', 'WA', -32.0333, 115.7500],
+  ['North Lake', 'WA', -32.0819, 115.8357],
+  ['North Perth', 'WA', -31.9272, 115.8528],
+  ['Northam', 'WA', -31.6493, 116.6742],
+  ['Northbridge', 'WA', -31.9478, 115.8588],
+  ['Nullagine', 'WA', -21.8897, 120.1114],
+  ['Nulsen', 'WA', -33.8570, 121.8750],
+  ['Oakford', 'WA', -32.2009, 115.9339],
+  ['Ocean Reef', 'WA', -31.7587, 115.7360],
+  ['Onslow', 'WA', -21.6376, 115.1122],
+  ['Orana', 'WA', -34.9960, 117.8593],
+  ['Orelia', 'WA', -32.2333, 115.8223],
+  ['Osborne Park', 'WA', -31.9007, 115.8108],
+  ['Padbury', 'WA', -31.8064, 115.7688],
+  ['Palmyra', 'WA', -32.0450, 115.7859],
+  ['Paraburdoo', 'WA', -23.2042, 117.6697],
+  ['Parkerville', 'WA', -31.8747, 116.1380],
+  ['Parkwood', 'WA', -32.0491, 115.9184],
+  ['Parmelia', 'WA', -32.2578, 115.8221],
+  ['Pearce', 'WA', -31.6667, 116.0167],
+  ['Pearsall', 'WA', -31.7812, 115.8182],
+  ['Pegs Creek', 'WA', -20.7383, 116.8328],
+  ['Pemberton', 'WA', -34.4431, 116.0369],
+  ['Peppermint Grove', 'WA', -31.9988, 115.7682],
+  ['Perth', 'WA', -31.9522, 115.8614],
+  ['Perth city centre', 'WA', -31.9529, 115.8515],
+  ['Piara Waters', 'WA', -32.1334, 115.9163],
+  ['Piccadilly', 'WA', -30.7428, 121.4642],
+  ['Pinjarra', 'WA', -32.6298, 115.8735],
+  ['Port Denison', 'WA', -29.2737, 114.9207],
+  ['Port Hedland', 'WA', -20.3121, 118.6106],
+  ['Port Kennedy', 'WA', -32.3734, 115.7515],
+  ['Queens Park', 'WA', -32.0031, 115.9462],
+  ['Quindalup', 'WA', -33.6356, 115.1490],
+  ['Quinns Rocks', 'WA', -31.6738, 115.7037],
+  ['Rangeway', 'WA', -28.7866, 114.6306],
+  ['Ravenswood', 'WA', -32.5824, 115.8315],
+  ['Redcliffe', 'WA', -31.9384, 115.9465],
+  ['Ridgewood', 'WA', -31.6615, 115.7226],
+  ['Riverton', 'WA', -32.0347, 115.8986],
+  ['Rivervale', 'WA', -31.9555, 115.9131],
+  ['Rockingham', 'WA', -32.2768, 115.7298],
+  ['Rockingham city centre', 'WA', -32.2841, 115.7354],
+  ['Roebuck', 'WA', -18.1713, 122.5012],
+  ['Roleystone', 'WA', -32.1146, 116.0706],
+  ['Rossmoyne', 'WA', -32.0396, 115.8678],
+  ['Safety Bay', 'WA', -32.3046, 115.7421],
+  ['Salter Point', 'WA', -32.0238, 115.8658],
+  ['Samson', 'WA', -32.0700, 115.7977],
+  ['Scarborough', 'WA', -31.8958, 115.7643],
+  ['Secret Harbour', 'WA', -32.4059, 115.7585],
+  ['Serpentine', 'WA', -32.3605, 115.9772],
+  ['Seville Grove', 'WA', -32.1365, 115.9891],
+  ['Shelley', 'WA', -32.0296, 115.8866],
+  ['Shenton Park', 'WA', -31.9557, 115.7981],
+  ['Shoalwater', 'WA', -32.2909, 115.7110],
+  ['Silver Sands', 'WA', -32.5086, 115.7360],
+  ['Sinagra', 'WA', -31.7426, 115.8063],
+  ['Singleton', 'WA', -32.4440, 115.7573],
+  ['Somerville', 'WA', -30.7698, 121.4544],
+  ['Sorrento', 'WA', -31.8253, 115.7525],
+  ['South Bunbury', 'WA', -33.3491, 115.6336],
+  ['South Carnarvon', 'WA', -24.8935, 113.6585],
+  ['South Fremantle', 'WA', -32.0691, 115.7545],
+  ['South Guildford', 'WA', -31.9122, 115.9683],
+  ['South Hedland', 'WA', -20.4065, 118.6007],
+  ['South Kalgoorlie', 'WA', -30.7651, 121.4733],
+  ['South Lake', 'WA', -32.1112, 115.8387],
+  ['South Perth', 'WA', -31.9833, 115.8667],
+  ['South Yunderup', 'WA', -32.5851, 115.7802],
+  ['Southern River', 'WA', -32.1066, 115.9590],
+  ['Spalding', 'WA', -28.7352, 114.6365],
+  ['Spearwood', 'WA', -32.1053, 115.7780],
+  ['Spencer Park', 'WA', -35.0051, 117.9001],
+  ['St George Ranges', 'WA', -18.9820, 125.0087],
+  ['St James', 'WA', -32.0000, 115.9098],
+  ['Stirling', 'WA', -31.8834, 115.8099],
+  ['Stoneville', 'WA', -31.8783, 116.1707],
+  ['Strathalbyn', 'WA', -28.7517, 114.6458],
+  ['Stratton', 'WA', -31.8683, 116.0407],
+  ['Subiaco', 'WA', -31.9485, 115.8268],
+  ['Success', 'WA', -32.1428, 115.8500],
+  ['Sunset Beach', 'WA', -28.7191, 114.6230],
+  ['Swan View', 'WA', -31.8833, 116.0500],
+  ['Swanbourne', 'WA', -31.9688, 115.7673],
+  ['Tapping', 'WA', -31.7195, 115.7956],
+  ['Tarcoola Beach', 'WA', -28.8100, 114.6224],
+  ['The Vines', 'WA', -31.7549, 116.0024],
+  ['Thornlie', 'WA', -32.0600, 115.9550],
+  ['Tom Price', 'WA', -22.6939, 117.7931],
+  ['Toodyay', 'WA', -31.5498, 116.4674],
+  ['Trigg', 'WA', -31.8694, 115.7571],
+  ['Tuart Hill', 'WA', -31.8981, 115.8350],
+  ['Two Rocks', 'WA', -31.4998, 115.5874],
+  ['Usher', 'WA', -33.3798, 115.6292],
+  ['Utakarra', 'WA', -28.7833, 114.6500],
+  ['Vasse', 'WA', -33.6934, 115.2678],
+  ['Victoria Park', 'WA', -31.9762, 115.9053],
+  ['Viveash', 'WA', -31.8786, 115.9966],
+  ['Waggrakine', 'WA', -28.7188, 114.6392],
+  ['Wagin', 'WA', -33.3089, 117.3433],
+  ['Waikiki', 'WA', -32.3161, 115.7546],
+  ['Wandi', 'WA', -32.1943, 115.8763],
+  ['Wandina', 'WA', -28.8194, 114.6346],
+  ['Wannanup', 'WA', -32.5995, 115.6449],
+  ['Wanneroo', 'WA', -31.7500, 115.8000],
+  ['Warnbro', 'WA', -32.3402, 115.7473],
+  ['Waroona', 'WA', -32.8432, 115.9220],
+  ['Warwick', 'WA', -31.8397, 115.8086],
+  ['Waterford', 'WA', -32.0157, 115.8866],
+  ['Watermans Bay', 'WA', -31.8491, 115.7559],
+  ['Wattle Grove', 'WA', -32.0067, 116.0005],
+  ['Wellard', 'WA', -32.2667, 115.8333],
+  ['Wembley', 'WA', -31.9331, 115.8178],
+  ['Wembley Downs', 'WA', -31.9117, 115.7736],
+  ['West Beach', 'WA', -33.8746, 121.8901],
+  ['West Busselton', 'WA', -33.6579, 115.3229],
+  ['West Lamington', 'WA', -30.7471, 121.4525],
+  ['West Leederville', 'WA', -31.9414, 115.8312],
+  ['West Perth', 'WA', -31.9490, 115.8420],
+  ['Westminster', 'WA', -31.8674, 115.8392],
+  ['White Gum Valley', 'WA', -32.0603, 115.7706],
+  ['Wickham', 'WA', -20.6747, 117.1378],
+  ['Willagee', 'WA', -32.0520, 115.8053],
+  ['Willetton', 'WA', -32.0525, 115.8878],
+  ['Wilson', 'WA', -32.0206, 115.9118],
+  ['Winthrop', 'WA', -32.0522, 115.8297],
+  ['Withers', 'WA', -33.3681, 115.6305],
+  ['Wonthella', 'WA', -28.7669, 114.6334],
+  ['Woodbridge', 'WA', -31.8869, 115.9920],
+  ['Woodvale', 'WA', -31.7893, 115.7968],
+  ['Wooroloo', 'WA', -31.8038, 116.3131],
+  ['Woorree', 'WA', -28.7668, 114.6581],
+  ['Wundowie', 'WA', -31.7616, 116.3799],
+  ['Yakamia', 'WA', -35.0039, 117.8783],
+  ['Yallingup', 'WA', -33.6459, 115.0351],
+  ['Yalyalup', 'WA', -33.6750, 115.4145],
+  ['Yanchep', 'WA', -31.5468, 115.6317],
+  ['Yangebup', 'WA', -32.1206, 115.8162],
+  ['Yokine', 'WA', -31.9011, 115.8532],
+  ['York', 'WA', -31.8881, 116.7678],
+];
+
+module.exports = { PLACES };
@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * Australian postcode centroids for offline geocoding (src/services/geocode.js).
+ *
+ * One row per postcode: [postcode, suburb, state, latitude, longitude].
+ * Coordinates are the approximate centre of the main suburb for the postcode
+ * (4 decimal places, ~10 m) — good enough for day clustering and drive
+ * distance estimates, not for turn-by-turn directions.
+ *
+ * This hand-picked starter table covers capital-city inner suburbs plus the
+ * main regional centres in each state. Replace it with the complete table —
+ * every postcode and locality, from the GeoNames postal codes for Australia
+ * (CC BY 4.0) — by running scripts/build-postcodes.js on their AU.txt.
+ * Until then, an address whose postcode isn't listed is matched by suburb +
+ * state against the ~3,800 GeoNames towns and suburbs in src/config/places.js,
+ * then falls back to the average of listed postcodes sharing its first three
+ * digits; anything else stays ungeocoded until a manager sets it.
+ *
+ * LOCALITIES ([suburb, state, latitude, longitude]) lists the other suburbs
+ * each postcode covers; the generated table fills it in.
+ */
+
+const POSTCODES = [
+  // ── ACT ──────────────────────────────────────────────────────────────────
+  ['2600', 'Barton',            'ACT', -35.3080, 149.1350],
+  ['2601', 'Canberra',          'ACT', -35.2809, 149.1300],
+  ['2602', 'Dickson',           'ACT', -35.2500, 149.1390],
+  ['2603', 'Griffith',          'ACT', -35.3250, 149.1370],
+  ['2604', 'Kingston',          'ACT', -35.3150, 149.1450],
+  ['2606', 'Phillip',           'ACT', -35.3460, 149.0870],
+  ['2612', 'Braddon',           'ACT', -35.2710, 149.1350],
+  ['2614', 'Cook',              'ACT', -35.2600, 149.0650],
+  ['2617', 'Belconnen',         'ACT', -35.2380, 149.0650],
+  ['2900', 'Greenway',          'ACT', -35.4150, 149.0660],
+  ['2913', 'Gungahlin',         'ACT', -35.1860, 149.1330],
+
+  // ── NSW ──────────────────────────────────────────────────────────────────
+  ['2000', 'Sydney',            'NSW', -33.8688, 151.2093],
+  ['2007', 'Ultimo',            'NSW', -33.8790, 151.1970],
+  ['2009', 'Pyrmont',           'NSW', -33.8700, 151.1940],
+  ['2010', 'Surry Hills',       'NSW', -33.8846, 151.2117],
+  ['2011', 'Potts Point',       'NSW', -33.8704, 151.2253],
+  ['2015', 'Alexandria',        'NSW', -33.9020, 151.1940],
+  ['2016', 'Redfern',           'NSW', -33.8928, 151.2042],
+  ['2017', 'Waterloo',          'NSW', -33.9000, 151.2070],
+  ['2021', 'Paddington',        'NSW', -33.8842, 151.2268],
+  ['2022', 'Bondi Junction',    'NSW', -33.8930, 151.2500],
+  ['2025', 'Woollahra',         'NSW', -33.8870, 151.2400],
+  ['2026', 'Bondi',             'NSW', -33.8915, 151.2767],
+  ['2031', 'Randwick',          'NSW', -33.9140, 151.2410],
+  ['2034', 'Coogee',            'NSW', -33.9200, 151.2550],
+  ['2037', 'Glebe',             'NSW', -33.8790, 151.1860],
+  ['2038', 'Annandale',         'NSW', -33.8810, 151.1700],
+  ['2040', 'Leichhardt',        'NSW', -33.8836, 151.1566],
+  ['2041', 'Balmain',           'NSW', -33.8590, 151.1790],
+  ['2042', 'Newtown',           'NSW', -33.8979, 151.1793],
+  ['2044', 'St Peters',         'NSW', -33.9110, 151.1790],
+  ['2046', 'Five Dock',         'NSW', -33.8670, 151.1290],
+  ['2050', 'Camperdown',        'NSW', -33.8890, 151.1760],
+  ['2060', 'North Sydney',      'NSW', -33.8390, 151.2070],
+  ['2065', 'St Leonards',       'NSW', -33.8230, 151.1950],
+  ['2067', 'Chatswood',         'NSW', -33.7969, 151.1803],
+  ['2070', 'Lindfield',         'NSW', -33.7760, 151.1690],
+  ['2077', 'Hornsby',           'NSW', -33.7030, 151.0990],
+  ['2088', 'Mosman',            'NSW', -33.8290, 151.2440],
+  ['2095', 'Manly',             'NSW', -33.7969, 151.2870],
+  ['2099', 'Dee Why',           'NSW', -33.7510, 151.2870],
+  ['2107', 'Avalon Beach',      'NSW', -33.6360, 151.3290],
+  ['2112', 'Ryde',              'NSW', -33.8150, 151.1040],
+  ['2113', 'Macquarie Park',    'NSW', -33.7770, 151.1200],
+  ['2121', 'Epping',            'NSW', -33.7730, 151.0820],
+  ['2135', 'Strathfield',       'NSW', -33.8730, 151.0940],
+  ['2150', 'Parramatta',        'NSW', -33.8150, 151.0010],
+  ['2153', 'Baulkham Hills',    'NSW', -33.7600, 150.9920],
+  ['2170', 'Liverpool',         'NSW', -33.9200, 150.9230],
+  ['2200', 'Bankstown',         'NSW', -33.9170, 151.0350],
+  ['2204', 'Marrickville',      'NSW', -33.9110, 151.1550],
+  ['2216', 'Rockdale',          'NSW', -33.9520, 151.1370],
+  ['2220', 'Hurstville',        'NSW', -33.9670, 151.1020],
+  ['2230', 'Cronulla',          'NSW', -34.0580, 151.1520],
+  ['2250', 'Gosford',           'NSW', -33.4250, 151.3420],
+  ['2259', 'Wyong',             'NSW', -33.2830, 151.4230],
+  ['2300', 'Newcastle',         'NSW', -32.9283, 151.7817],
+  ['2303', 'Hamilton',          'NSW', -32.9230, 151.7480],
+  ['2320', 'Maitland',          'NSW', -32.7330, 151.5570],
+  ['2340', 'Tamworth',          'NSW', -31.0900, 150.9290],
+  ['2350', 'Armidale',          'NSW', -30.5130, 151.6650],
+  ['2444', 'Port Macquarie',    'NSW', -31.4310, 152.9090],
+  ['2450', 'Coffs Harbour',     'NSW', -30.2960, 153.1140],
+  ['2480', 'Lismore',           'NSW', -28.8130, 153.2770],
+  ['2481', 'Byron Bay',         'NSW', -28.6474, 153.6020],
+  ['2500', 'Wollongong',        'NSW', -34.4278, 150.8931],
+  ['2530', 'Dapto',             'NSW', -34.4930, 150.7950],
+  ['2540', 'Nowra',             'NSW', -34.8730, 150.6000],
+  ['2560', 'Campbelltown',      'NSW', -34.0650, 150.8140],
+  ['2576', 'Bowral',            'NSW', -34.4780, 150.4180],
+  ['2620', 'Queanbeyan',        'NSW', -35.3530, 149.2320],
+  ['2640', 'Albury',            'NSW', -36.0800, 146.9160],
+  ['2650', 'Wagga Wagga',       'NSW', -35.1080, 147.3690],
+  ['2750', 'Penrith',           'NSW', -33.7510, 150.6940],
+  ['2777', 'Springwood',        'NSW', -33.6990, 150.5640],
+  ['2780', 'Katoomba',          'NSW', -33.7120, 150.3110],
+  ['2795', 'Bathurst',          'NSW', -33.4190, 149.5780],
+  ['2800', 'Orange',            'NSW', -33.2840, 149.1000],
+  ['2830', 'Dubbo',             'NSW', -32.2430, 148.6040],
+  ['2850', 'Mudgee',            'NSW', -32.5940, 149.5870],
+  ['2880', 'Broken Hill',       'NSW', -31.9530, 141.4530],
+
+  // ── NT ───────────────────────────────────────────────────────────────────
+  ['0800', 'Darwin',            'NT',  -12.4634, 130.8456],
+  ['0810', 'Casuarina',         'NT',  -12.3770, 130.8800],
+  ['0830', 'Palmerston',        'NT',  -12.4800, 130.9830],
+  ['0850', 'Katherine',         'NT',  -14.4650, 132.2640],
+  ['0870', 'Alice Springs',     'NT',  -23.6980, 133.8807],
+
+  // ── QLD ──────────────────────────────────────────────────────────────────
+  ['4000', 'Brisbane',          'QLD', -27.4698, 153.0251],
+  ['4005', 'New Farm',          'QLD', -27.4670, 153.0490],
+  ['4006', 'Fortitude Valley',  'QLD', -27.4570, 153.0340],
+  ['4051', 'Alderley',          'QLD', -27.4250, 152.9980],
+  ['4060', 'Ashgrove',          'QLD', -27.4440, 152.9870],
+  ['4064', 'Paddington',        'QLD', -27.4598, 152.9994],
+  ['4066', 'Toowong',           'QLD', -27.4850, 152.9930],
+  ['4101', 'West End',          'QLD', -27.4810, 153.0120],
+  ['4102', 'Woolloongabba',     'QLD', -27.4890, 153.0360],
+  ['4169', 'East Brisbane',     'QLD', -27.4830, 153.0460],
+  ['4215', 'Southport',         'QLD', -27.9670, 153.4000],
+  ['4217', 'Surfers Paradise',  'QLD', -28.0027, 153.4300],
+  ['4220', 'Burleigh Heads',    'QLD', -28.0870, 153.4500],
+  ['4305', 'Ipswich',           'QLD', -27.6160, 152.7600],
+  ['4350', 'Toowoomba',         'QLD', -27.5606, 151.9539],
+  ['4551', 'Caloundra',         'QLD', -26.8030, 153.1220],
+  ['4558', 'Maroochydore',      'QLD', -26.6600, 153.0990],
+  ['4560', 'Nambour',           'QLD', -26.6270, 152.9590],
+  ['4567', 'Noosa Heads',       'QLD', -26.3945, 153.0910],
+  ['4655', 'Hervey Bay',        'QLD', -25.2880, 152.8450],
+  ['4670', 'Bundaberg',         'QLD', -24.8660, 152.3480],
+  ['4700', 'Rockhampton',       'QLD', -23.3780, 150.5100],
+  ['4740', 'Mackay',            'QLD', -21.1410, 149.1860],
+  ['4810', 'Townsville',        'QLD', -19.2590, 146.8170],
+  ['4870', 'Cairns',            'QLD', -16.9186, 145.7781],
+  ['4877', 'Port Douglas',      'QLD', -16.4840, 145.4650],
+
+  // ── SA ───────────────────────────────────────────────────────────────────
+  ['5000', 'Adelaide',          'SA',  -34.9285, 138.6007],
+  ['5006', 'North Adelaide',    'SA',  -34.9070, 138.5930],
+  ['5034', 'Goodwood',          'SA',  -34.9510, 138.5890],
+  ['5045', 'Glenelg',           'SA',  -34.9800, 138.5150],
+  ['5061', 'Unley',             'SA',  -34.9500, 138.6070],
+  ['5063', 'Fullarton',         'SA',  -34.9530, 138.6280],
+  ['5067', 'Norwood',           'SA',  -34.9210, 138.6300],
+  ['5082', 'Prospect',          'SA',  -34.8830, 138.5950],
+  ['5152', 'Stirling',          'SA',  -35.0040, 138.7160],
+  ['5253', 'Murray Bridge',     'SA',  -35.1200, 139.2730],
+  ['5290', 'Mount Gambier',     'SA',  -37.8290, 140.7820],
+  ['5540', 'Port Pirie',        'SA',  -33.1850, 138.0170],
+  ['5700', 'Port Augusta',      'SA',  -32.4920, 137.7650],
+
+  // ── TAS ──────────────────────────────────────────────────────────────────
+  ['7000', 'Hobart',            'TAS', -42.8821, 147.3272],
+  ['7004', 'South Hobart',      'TAS', -42.8930, 147.3130],
+  ['7005', 'Sandy Bay',         'TAS', -42.9010, 147.3280],
+  ['7008', 'New Town',          'TAS', -42.8580, 147.3070],
+  ['7050', 'Kingston',          'TAS', -42.9760, 147.3080],
+  ['7250', 'Launceston',        'TAS', -41.4332, 147.1441],
+  ['7310', 'Devonport',         'TAS', -41.1800, 146.3460],
+  ['7320', 'Burnie',            'TAS', -41.0530, 145.9070],
+
+  // ── VIC ──────────────────────────────────────────────────────────────────
+  ['3000', 'Melbourne',         'VIC', -37.8136, 144.9631],
+  ['3002', 'East Melbourne',    'VIC', -37.8160, 144.9870],
+  ['3006', 'Southbank',         'VIC', -37.8230, 144.9650],
+  ['3011', 'Footscray',         'VIC', -37.8000, 144.9000],
+  ['3016', 'Williamstown',      'VIC', -37.8630, 144.8980],
+  ['3051', 'North Melbourne',   'VIC', -37.7990, 144.9460],
+  ['3052', 'Parkville',         'VIC', -37.7840, 144.9510],
+  ['3053', 'Carlton',           'VIC', -37.8001, 144.9671],
+  ['3054', 'Carlton North',     'VIC', -37.7850, 144.9720],
+  ['3056', 'Brunswick',         'VIC', -37.7667, 144.9600],
+  ['3057', 'Brunswick East',    'VIC', -37.7700, 144.9790],
+  ['3065', 'Fitzroy',           'VIC', -37.7984, 144.9784],
+  ['3066', 'Collingwood',       'VIC', -37.8020, 144.9880],
+  ['3068', 'Clifton Hill',      'VIC', -37.7890, 144.9950],
+  ['3070', 'Northcote',         'VIC', -37.7700, 145.0000],
+  ['3071', 'Thornbury',         'VIC', -37.7570, 145.0050],
+  ['3072', 'Preston',           'VIC', -37.7430, 145.0060],
+  ['3101', 'Kew',               'VIC', -37.8060, 145.0310],
+  ['3121', 'Richmond',          'VIC', -37.8230, 144.9980],
+  ['3122', 'Hawthorn',          'VIC', -37.8220, 145.0340],
+  ['3124', 'Camberwell',        'VIC', -37.8400, 145.0700],
+  ['3141', 'South Yarra',       'VIC', -37.8380, 144.9920],
+  ['3143', 'Armadale',          'VIC', -37.8560, 145.0190],
+  ['3144', 'Malvern',           'VIC', -37.8620, 145.0290],
+  ['3150', 'Glen Waverley',     'VIC', -37.8780, 145.1650],
+  ['3181', 'Prahran',           'VIC', -37.8510, 144.9930],
+  ['3182', 'St Kilda',          'VIC', -37.8676, 144.9809],
+  ['3186', 'Brighton',          'VIC', -37.9070, 144.9990],
+  ['3205', 'South Melbourne',   'VIC', -37.8330, 144.9580],
+  ['3207', 'Port Melbourne',    'VIC', -37.8390, 144.9420],
+  ['3220', 'Geelong',           'VIC', -38.1499, 144.3617],
+  ['3280', 'Warrnambool',       'VIC', -38.3830, 142.4820],
+  ['3350', 'Ballarat',          'VIC', -37.5622, 143.8503],
+  ['3400', 'Horsham',           'VIC', -36.7110, 142.2000],
+  ['3450', 'Castlemaine',       'VIC', -37.0630, 144.2170],
+  ['3460', 'Daylesford',        'VIC', -37.3480, 144.1430],
+  ['3550', 'Bendigo',           'VIC', -36.7570, 144.2794],
+  ['3630', 'Shepparton',        'VIC', -36.3800, 145.3990],
+  ['3690', 'Wodonga',           'VIC', -36.1210, 146.8880],
+  ['3820', 'Warragul',          'VIC', -38.1590, 145.9310],
+  ['3844', 'Traralgon',         'VIC', -38.1950, 146.5400],
+  ['3930', 'Mornington',        'VIC', -38.2180, 145.0380],
+  ['3977', 'Cranbourne',        'VIC', -38.0990, 145.2830],
+
+  // ── WA ───────────────────────────────────────────────────────────────────
+  ['6000', 'Perth',             'WA',  -31.9505, 115.8605],
+  ['6003', 'Northbridge',       'WA',  -31.9450, 115.8570],
+  ['6008', 'Subiaco',           'WA',  -31.9490, 115.8260],
+  ['6011', 'Cottesloe',         'WA',  -31.9940, 115.7580],
+  ['6027', 'Joondalup',         'WA',  -31.7450, 115.7660],
+  ['6050', 'Mount Lawley',      'WA',  -31.9340, 115.8710],
+  ['6151', 'South Perth',       'WA',  -31.9750, 115.8640],
+  ['6160', 'Fremantle',         'WA',  -32.0569, 115.7439],
+  ['6210', 'Mandurah',          'WA',  -32.5270, 115.7230],
+  ['6230', 'Bunbury',           'WA',  -33.3270, 115.6410],
+  ['6280', 'Busselton',         'WA',  -33.6530, 115.3450],
+  ['6285', 'Margaret River',    'WA',  -33.9550, 115.0750],
+  ['6330', 'Albany',            'WA',  -35.0230, 117.8810],
+  ['6430', 'Kalgoorlie',        'WA',  -30.7490, 121.4660],
+  ['6530', 'Geraldton',         'WA',  -28.7780, 114.6150],
+];
+
+const LOCALITIES = [];
+
+module.exports = { POSTCODES, LOCALITIES };
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Audit log middleware (migration 025)
+ * auditLog                      — app-level: records every change made by a manager or
+ *                                 executive, plus the Zoho debug endpoints, in audit_log
+ *                                 once the response has been sent
+ * auditEntity(type, load, opts) — route-level: names the entity a request acts on and
+ *                                 snapshots it with load(id) before and after the change
+ *
+ * Without auditEntity the entity is read from the URL (/api/<type>/<id>/…) and
+ * `after` is the request body, or the response when the body is empty.
+ * Password, token and secret fields, 2FA codes and recovery codes are redacted.
+ */
+
+const db = require('../db');
+
+const AUDITED_ROLES = ['manager', 'executive'];
+const READ_METHODS  = ['GET', 'HEAD', 'OPTIONS'];
+
+// GETs that reach into Zoho / internals — logged for anyone, including refusals
+const AUDITED_GETS = [/^\/api\/debug/, /^\/api\/zoho-test$/];
+// POSTs that only read (previews, header sniffing), end a session, or hand
+// out a new 2FA secret (kept out of the log; enabling it is recorded)
+const NOT_AUDITED  = [/\/preview$/, /\/headers$/, /^\/auth\/logout$/, /^\/auth\/2fa\/setup$/];
+
+// String values (or lists of them) under these keys — 2FA codes and recovery
+// codes included; flags like must_change_password are kept
+const REDACT_RE = /password|secret|token|^code$|^recovery_codes?$/i;
+const MAX_SNAPSHOT_BYTES = 20_000;
+
+function shouldAudit(req) {
+  if (AUDITED_GETS.some((re) => re.test(req.path))) return true;
+  if (READ_METHODS.includes(req.method) || NOT_AUDITED.some((re) => re.test(req.path))) return false;
+  return AUDITED_ROLES.includes(req.session?.role);
+}
+
+const isSecretValue = (v) => typeof v === 'string' || (Array.isArray(v) && v.every((x) => typeof x === 'string'));
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, REDACT_RE.test(k) && isSecretValue(v) ? '[redacted]' : redact(v)])
+    );
+  }
+  return value;
+}
+
+/** JSON for a before / after column: null when empty, a stub when too big to keep. */
+function snapshot(value) {
+  if (value === undefined || value === null) return null;
+  const json = JSON.stringify(redact(value));
+  if (json === '{}' || json === '[]') return null;
+  return json.length > MAX_SNAPSHOT_BYTES ? JSON.stringify({ truncated: true, bytes: json.length }) : json;
+}
+
+/** '/api/users/12/reset-password' → { type: 'users', id: '12' } */
+function entityFromPath(path) {
+  const segments = path.split('/').filter(Boolean);
+  if (segments[0] === 'api' || segments[0] === 'auth') segments.shift();
+  return { type: segments[0] || null, id: segments.find((s) => /^\d+$/.test(s)) || null };
+}
+
+async function writeEntry(req, res, { session, path }) {
+  const audit = req.audit;
+  const fromPath = entityFromPath(path);
+  const entityType = audit.entityType || fromPath.type;
+  const entityId = audit.load
+    ? audit.entityId ?? (audit.responseBody?.id != null ? String(audit.responseBody.id) : null)
+    : fromPath.id;
+
+  let after = null;
+  if (audit.load && entityId !== null && res.statusCode < 400) {
+    try {
+      after = snapshot(await audit.load(entityId, req));
+    } catch (err) {
+      console.error(`[audit] Failed to load ${entityType} ${entityId} after ${req.method} ${path}:`, err.message);
+    }
+  } else {
+    const body = { ...req.body };
+    if (req.file) body.file = req.file.originalname;
+    after = snapshot(body) ?? snapshot(audit.responseBody);
+  }
+
+  await db.query(`
+    INSERT INTO audit_log (user_id, role, method, path, action, entity_type, entity_id, before, after, status_code, ip)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    session.userId, session.role, req.method, path,
+    `${req.method} ${path.replace(/\/\d+(?=\/|$)/g, '/:id')}`,
+    entityType, entityId, snapshot(audit.before), after, res.statusCode, req.ip || null,
+  ]);
+}
+
+function auditLog(req, res, next) {
+  if (!shouldAudit(req)) return next();
+
+  // Who and where, as of the request — routers rewrite req.path and password
+  // changes may alter the session before the response finishes
+  const session = { userId: req.session?.userId ?? null, role: req.session?.role ?? null };
+  const path = req.path;
+  req.audit = { entityType: null, entityId: null, before: null, load: null, responseBody: undefined };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    req.audit.responseBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    writeEntry(req, res, { session, path }).catch((err) =>
+      console.error(`[audit] Failed to record ${req.method} ${path}:`, err.message)
+    );
+  });
+  next();
+}
+
+/**
+ * Snapshot the entity a route changes. `load(id, req)` returns its current
+ * state (or null); `opts.id(req)` picks the id, default req.params.id. Creates
+ * pass an id of null and are identified by the `id` in the JSON response.
+ */
+function auditEntity(type, load, { id: idOf = (req) => req.params.id } = {}) {
+  return async (req, res, next) => {
+    if (!req.audit) return next();
+    req.audit.entityType = type;
+    req.audit.load = load;
+    try {
+      const id = await idOf(req);
+      req.audit.entityId = id === undefined || id === null ? null : String(id);
+      if (req.audit.entityId !== null) req.audit.before = await load(req.audit.entityId, req);
+    } catch (err) {
+      console.error(`[audit] Failed to load ${type} before ${req.method} ${req.originalUrl}:`, err.message);
+    }
+    next();
+  };
+}
+
+module.exports = { auditLog, auditEntity };
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Rate limit middleware
+ * rateLimit({ windowMs, max, message, key? }) — at most `max` requests per key
+ * (default: client IP) in each fixed window of `windowMs`; over that, 429 with
+ * a Retry-After header.
+ *
+ * Counts live in this process only, which is enough for one web instance.
+ * Each limiter exposes reset() so tests can start from zero.
+ */
+
+function rateLimit({ windowMs, max, message = 'Too many requests — try again later', key = (req) => req.ip }) {
+  const hits = new Map();   // key → { count, resetAt }
+
+  // Drop finished windows now and then so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [k, entry] of hits) if (entry.resetAt <= now) hits.delete(k);
+  }, windowMs);
+  sweep.unref();
+
+  function limiter(req, res, next) {
+    const now = Date.now();
+    const k = key(req);
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  }
+
+  limiter.reset = () => hits.clear();
+  return limiter;
+}
+
+module.exports = { rateLimit };
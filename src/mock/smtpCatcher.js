@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Local SMTP catcher for development and tests — accepts every message and
+ * keeps it in memory instead of delivering it.
+ *
+ * Speaks enough ESMTP for src/services/mailer.js: EHLO / HELO, AUTH PLAIN
+ * (any credentials), MAIL FROM, RCPT TO, DATA, RSET, NOOP, QUIT. No STARTTLS.
+ *
+ * Usage:
+ *   const { createSmtpCatcher } = require('./src/mock/smtpCatcher');
+ *   const catcher = createSmtpCatcher({ onMessage: (m) => console.log(m.subject) });
+ *   catcher.server.listen(2525);
+ *
+ * Then point the app at it:
+ *   SMTP_HOST=localhost SMTP_PORT=2525
+ */
+
+const net = require('net');
+
+// ── Message parsing ───────────────────────────────────────────────────────────
+
+function decodeHeader(value) {
+  return value.replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b64) => Buffer.from(b64, 'base64').toString('utf8'));
+}
+
+/** Split raw RFC 5322 text into lower-cased headers and body. */
+function splitMessage(raw) {
+  const sep  = raw.indexOf('\r\n\r\n');
+  const head = sep >= 0 ? raw.slice(0, sep) : raw;
+  const body = sep >= 0 ? raw.slice(sep + 4) : '';
+  const headers = {};
+  for (const line of head.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  return { headers, body };
+}
+
+function decodeBody(headers, body) {
+  return /base64/i.test(headers['content-transfer-encoding'] || '')
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+    : body;
+}
+
+/** Pull subject plus text / html parts out of a received message. */
+function parseMessage(raw) {
+  const { headers, body } = splitMessage(raw);
+  const out = { subject: decodeHeader(headers.subject || ''), headers, text: null, html: null };
+
+  const boundary = (headers['content-type'] || '').match(/boundary="?([^";]+)"?/i)?.[1];
+  const parts = boundary
+    ? body.split(`--${boundary}`).slice(1).filter((p) => !p.startsWith('--')).map((p) => splitMessage(p.replace(/^\r\n/, '')))
+    : [{ headers, body }];
+
+  for (const part of parts) {
+    const type = (part.headers['content-type'] || 'text/plain').toLowerCase();
+    const content = decodeBody(part.headers, part.body).replace(/\r\n$/, '');
+    if (type.startsWith('text/html')) out.html = content;
+    else if (type.startsWith('text/plain')) out.text = content;
+  }
+  return out;
+}
+
+// ── Server factory ────────────────────────────────────────────────────────────
+
+/**
+ * @param {object}   [opts]
+ * @param {Function} [opts.onMessage] – called with each received message
+ * @returns {{ server, messages, reset }}
+ *   server   – net.Server; call server.listen(port)
+ *   messages – received messages: { from, to[], subject, text, html, headers, raw, received_at }
+ *   reset()  – forget received messages
+ */
+function createSmtpCatcher({ onMessage } = {}) {
+  const catcher = { messages: [] };
+  catcher.reset = () => { catcher.messages.length = 0; };
+
+  catcher.server = net.createServer((socket) => {
+    let buffer   = '';
+    let envelope = { from: null, to: [] };
+    let data     = null; // lines collected while in DATA mode
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    function handleLine(line) {
+      if (data) {
+        if (line === '.') {
+          const raw = data.join('\r\n');
+          const message = { from: envelope.from, to: envelope.to, ...parseMessage(raw), raw, received_at: new Date() };
+          catcher.messages.push(message);
+          if (onMessage) onMessage(message);
+          data = null;
+          envelope = { from: null, to: [] };
+          reply('250 OK queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        return;
+      }
+
+      const verb = line.slice(0, 4).toUpperCase();
+      const arg  = line.match(/<([^>]*)>/)?.[1] ?? '';
+      if (verb === 'EHLO')      { reply('250-artico-smtp-catcher'); reply('250-AUTH PLAIN'); reply('250 8BITMIME'); }
+      else if (verb === 'HELO') { reply('250 artico-smtp-catcher'); }
+      else if (verb === 'AUTH') { reply('235 Authentication succeeded'); }
+      else if (verb === 'MAIL') { envelope = { from: arg, to: [] }; reply('250 OK'); }
+      else if (verb === 'RCPT') {
+        if (!envelope.from) { reply('503 MAIL first'); return; }
+        envelope.to.push(arg);
+        reply('250 OK');
+      }
+      else if (verb === 'DATA') {
+        if (envelope.to.length === 0) { reply('503 RCPT first'); return; }
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      }
+      else if (verb === 'RSET') { envelope = { from: null, to: [] }; reply('250 OK'); }
+      else if (verb === 'NOOP') { reply('250 OK'); }
+      else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else                      { reply('502 Command not implemented'); }
+    }
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let i;
+      while ((i = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        handleLine(line);
+      }
+    });
+    socket.on('error', () => {}); // client hang-ups are not our problem
+
+    reply('220 artico-smtp-catcher ESMTP ready');
+  });
+
+  return catcher;
+}
+
+module.exports = { createSmtpCatcher, parseMessage };
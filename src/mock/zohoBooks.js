@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * Local Zoho Books stand-in for offline development, demos and tests.
+ *
+ * Serves the subset of the Books v3 API this app uses, backed by the JSON
+ * fixtures in ./fixtures:
+ *
+ *   POST /oauth/v2/token                        – refresh_token grant (rotates the refresh token)
+ *   GET  /books/v3/contacts                     – contact_type filter
+ *   PUT  /books/v3/contacts/:id                 – custom_fields update (grade write-back)
+ *   GET  /books/v3/items                        – filter_by=Status.Active
+ *   GET  /books/v3/invoices                     – status, date_start/date_end, customer_id, last_modified_time
+ *   GET  /books/v3/creditnotes                  – same filters as invoices
+ *   GET  /books/v3/salesorders                  – same filters as invoices
+ *   GET  /books/v3/reports/salesbysalesperson   – from_date / to_date
+ *
+ * List endpoints page with page / per_page (max 200) and return a
+ * page_context block shaped like the real API.
+ *
+ * Fixture documents carry `days_ago` instead of a fixed date so the data
+ * always looks current — `date` and `last_modified_time` are derived when the
+ * fixtures are loaded.
+ *
+ * Usage:
+ *   const { createZohoMock } = require('./src/mock/zohoBooks');
+ *   const mock = createZohoMock();
+ *   mock.app.listen(4010);
+ *
+ * Then point the app at it:
+ *   ZOHO_BASE_URL=http://localhost:4010/books/v3
+ *   ZOHO_ACCOUNTS_URL=http://localhost:4010
+ */
+
+const crypto  = require('crypto');
+const fs      = require('fs');
+const path    = require('path');
+const express = require('express');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const MAX_PER_PAGE = 200;
+const DAY_MS       = 86_400_000;
+
+// ── Fixture loading ───────────────────────────────────────────────────────────
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function ymd(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Zoho's timestamp format: 2024-05-10T14:23:11+0000 */
+function zohoTimestamp(d) {
+  return `${d.toISOString().slice(0, 19)}+0000`;
+}
+
+/** Parse a Zoho timestamp (offset written as +hhmm or +hh:mm) to epoch ms. */
+function parseZohoTimestamp(ts) {
+  if (!ts) return NaN;
+  return Date.parse(String(ts).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+}
+
+function readFixture(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Turn a fixture document's days_ago into date / last_modified_time.
+ * Documents are "modified" at 10:00 local time on their own date.
+ */
+function materialise(doc, now) {
+  const { days_ago, shipment_days_ahead, ...rest } = doc;
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days_ago || 0), 10);
+  const out = { ...rest, date: ymd(day), last_modified_time: zohoTimestamp(day) };
+  if (shipment_days_ahead != null) {
+    out.shipment_date = ymd(new Date(day.getTime() + shipment_days_ahead * DAY_MS));
+  }
+  return out;
+}
+
+function loadFixtures(dir, now) {
+  return {
+    contacts:    readFixture(dir, 'contacts').map((c) => ({ ...c, last_modified_time: zohoTimestamp(now) })),
+    items:       readFixture(dir, 'items'),
+    invoices:    readFixture(dir, 'invoices').map((d) => materialise(d, now)),
+    creditnotes: readFixture(dir, 'creditnotes').map((d) => materialise(d, now)),
+    salesorders: readFixture(dir, 'salesorders').map((d) => materialise(d, now)),
+  };
+}
+
+// ── Query helpers ─────────────────────────────────────────────────────────────
+
+/**
+ * Slice a list for page / per_page and build Zoho's page_context.
+ */
+function paginate(list, query) {
+  const page    = Math.max(1, parseInt(query.page, 10) || 1);
+  const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(query.per_page, 10) || MAX_PER_PAGE));
+  const start   = (page - 1) * perPage;
+  return {
+    rows: list.slice(start, start + perPage),
+    page_context: {
+      page,
+      per_page:      perPage,
+      has_more_page: start + perPage < list.length,
+      total:         list.length,
+    },
+  };
+}
+
+/** Filters shared by invoices, credit notes and sales orders. */
+function filterDocuments(docs, query) {
+  const since = parseZohoTimestamp(query.last_modified_time);
+  return docs.filter((d) => {
+    if (query.status && d.status !== query.status) return false;
+    if (query.customer_id && String(d.customer_id) !== String(query.customer_id)) return false;
+    if (query.date_start && d.date < query.date_start) return false;
+    if (query.date_end && d.date > query.date_end) return false;
+    if (!Number.isNaN(since) && parseZohoTimestamp(d.last_modified_time) < since) return false;
+    return true;
+  });
+}
+
+function byDateDesc(a, b) {
+  return a.date < b.date ? 1 : a.date > b.date ? -1 : 0;
+}
+
+// ── Server factory ────────────────────────────────────────────────────────────
+
+/**
+ * Build a mock Zoho Books server.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.fixturesDir] – directory holding the *.json fixtures
+ * @param {Date}   [opts.now]         – reference "today" for days_ago fixtures
+ * @returns {{ app, state, requests, failNext, reset }}
+ *   app        – express app; call app.listen(port)
+ *   state      – mutable in-memory documents (tests may edit them directly)
+ *   requests   – per-endpoint request counts
+ *   failNext() – make the next n Books API calls fail (429 / 5xx simulation)
+ *   reset()    – reload fixtures and forget issued tokens
+ */
+function createZohoMock({ fixturesDir = FIXTURES_DIR, now = new Date() } = {}) {
+  const mock = {
+    state:    loadFixtures(fixturesDir, now),
+    requests: {},
+    tokens:   new Set(),
+    faults:   [],
+  };
+
+  /**
+   * Queue n failures for the next Books API calls.
+   * @param {number} n
+   * @param {number} [status=429]
+   * @param {number} [retryAfter] – seconds, sent as Retry-After when set
+   */
+  mock.failNext = (n, status = 429, retryAfter) => {
+    for (let i = 0; i < n; i++) mock.faults.push({ status, retryAfter });
+  };
+
+  mock.reset = () => {
+    mock.state    = loadFixtures(fixturesDir, now);
+    mock.requests = {};
+    mock.faults   = [];
+    mock.tokens.clear();
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    const key = `${req.method} ${req.path}`;
+    mock.requests[key] = (mock.requests[key] || 0) + 1;
+    next();
+  });
+
+  // ── OAuth ────────────────────────────────────────────────────────────────
+  // Any non-empty refresh token is accepted so a seeded ZOHO_REFRESH_TOKEN
+  // works; a new one is returned on every call, like the real Books API.
+
+  app.post('/oauth/v2/token', (req, res) => {
+    const { grant_type, client_id, refresh_token } = req.body || {};
+    if (grant_type !== 'refresh_token' || !client_id || !refresh_token) {
+      return res.json({ error: 'invalid_code' });
+    }
+    const accessToken = `mock-access-${crypto.randomBytes(12).toString('hex')}`;
+    mock.tokens.add(accessToken);
+    res.json({
+      access_token:  accessToken,
+      refresh_token: `mock-refresh-${crypto.randomBytes(12).toString('hex')}`,
+      api_domain:    'https://www.zohoapis.com',
+      token_type:    'Bearer',
+      expires_in:    3600,
+    });
+  });
+
+  // ── Books API ────────────────────────────────────────────────────────────
+
+  const books = express.Router();
+
+  books.use((req, res, next) => {
+    const fault = mock.faults.shift();
+    if (fault) {
+      if (fault.retryAfter != null) res.set('Retry-After', String(fault.retryAfter));
+      return fault.status === 429
+        ? res.status(429).json({ code: 44, message: 'You have made too many requests. Please try again after some time.' })
+        : res.status(fault.status).json({ code: 9999, message: 'Mock Zoho: simulated server error' });
+    }
+
+    const token = (req.get('Authorization') || '').replace(/^Zoho-oauthtoken\s+/i, '');
+    if (!mock.tokens.has(token)) {
+      return res.status(401).json({ code: 57, message: 'You are not authorized to perform this operation' });
+    }
+    if (!req.query.organization_id) {
+      return res.status(400).json({ code: 6041, message: 'organization_id is required' });
+    }
+    next();
+  });
+
+  function listRoute(key) {
+    return (req, res) => {
+      const docs = filterDocuments(mock.state[key], req.query).sort(byDateDesc);
+      const { rows, page_context } = paginate(docs, req.query);
+      res.json({ code: 0, message: 'success', [key]: rows, page_context });
+    };
+  }
+
+  books.get('/invoices',    listRoute('invoices'));
+  books.get('/creditnotes', listRoute('creditnotes'));
+  books.get('/salesorders', listRoute('salesorders'));
+
+  books.get('/contacts', (req, res) => {
+    let contacts = mock.state.contacts;
+    if (req.query.contact_type) {
+      contacts = contacts.filter((c) => c.contact_type === req.query.contact_type);
+    }
+    const { rows, page_context } = paginate(contacts, req.query);
+    res.json({ code: 0, message: 'success', contacts: rows, page_context });
+  });
+
+  books.put('/contacts/:id', (req, res) => {
+    const contact = mock.state.contacts.find((c) => c.contact_id === req.params.id);
+    if (!contact) {
+      return res.status(404).json({ code: 1002, message: 'Contact does not exist.' });
+    }
+    for (const field of req.body?.custom_fields || []) {
+      const existing = contact.custom_fields.find((f) => f.api_name === field.api_name);
+      if (existing) existing.value = field.value;
+      else contact.custom_fields.push({ api_name: field.api_name, value: field.value });
+    }
+    contact.last_modified_time = zohoTimestamp(new Date());
+    res.json({ code: 0, message: 'Contact information has been saved.', contact });
+  });
+
+  books.get('/items', (req, res) => {
+    let items = mock.state.items;
+    if (req.query.filter_by === 'Status.Active') {
+      items = items.filter((i) => i.status === 'active');
+    }
+    const { rows, page_context } = paginate(items, req.query);
+    res.json({ code: 0, message: 'success', items: rows, page_context });
+  });
+
+  // Net ex-GST sales per salesperson, credit notes deducted — same meaning as
+  // the real report's total_sales / cn_sales columns.
+  books.get('/reports/salesbysalesperson', (req, res) => {
+    const { from_date, to_date } = req.query;
+    const inRange = (d) =>
+      (!from_date || d.date >= from_date) && (!to_date || d.date <= to_date) &&
+      d.status !== 'draft' && d.status !== 'void';
+
+    const rows = new Map();
+    const row  = (name) => {
+      if (!rows.has(name)) {
+        rows.set(name, { salesperson_name: name, invoice_count: 0, invoice_sales: 0, cn_sales: 0, total_sales: 0 });
+      }
+      return rows.get(name);
+    };
+
+    for (const inv of mock.state.invoices.filter(inRange)) {
+      const r = row(inv.salesperson_name || '');
+      r.invoice_count++;
+      r.invoice_sales += Number(inv.sub_total ?? inv.total / 1.1);
+    }
+    for (const cn of mock.state.creditnotes.filter(inRange)) {
+      row(cn.salesperson_name || '').cn_sales += Number(cn.total) / 1.1;
+    }
+    for (const r of rows.values()) {
+      r.invoice_sales = Math.round(r.invoice_sales * 100) / 100;
+      r.cn_sales      = Math.round(r.cn_sales * 100) / 100;
+      r.total_sales   = Math.round((r.invoice_sales - r.cn_sales) * 100) / 100;
+    }
+
+    res.json({ code: 0, message: 'success', salesbysalesperson: [...rows.values()] });
+  });
+
+  books.use((req, res) => {
+    res.status(404).json({ code: 5, message: `Mock Zoho: ${req.method} ${req.path} is not implemented` });
+  });
+
+  app.use('/books/v3', books);
+
+  mock.app = app;
+  return mock;
+}
+
+module.exports = { createZohoMock, zohoTimestamp, parseZohoTimestamp };
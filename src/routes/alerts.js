@@ -2,15 +2,26 @@
 
 const express = require('express');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
 const db = require('../db');
 const { runAlertEngine } = require('../services/alertEngine');
+const { RULE_CATALOG, SCOPE_FIELDS, isDefaultRule } = require('../services/alertRules');
+const { getPrefs, savePrefs, sendTestDigest } = require('../services/alertDigest');
+const {
+  OUTCOMES, snoozeAlert, assignAlert, resolveAlert, getStoreAlertHistory, sydneyToday,
+} = require('../services/alertLifecycle');
+const { buildEffectivenessReport, DEFAULT_VISIT_DAYS, DEFAULT_REVENUE_DAYS } = require('../services/alertEffectiveness');
+const { scopeFor, repInScope, storeInScope, repScopeSql, storeScopeSql } = require('../services/teamScope');
 
 const router = express.Router();
 
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
 // ── GET /api/alerts ───────────────────────────────────────────────────────────
-// Returns unacknowledged alerts.
-//  - Reps: their own alerts only (where rep_id = userId)
-//  - Managers/execs: all unacknowledged alerts, optionally filtered by rep_id
+// Returns open alerts (snoozed ones reappear on their snooze date).
+//  - Reps: alerts assigned to them (assigned_to, else rep_id = userId)
+//  - Managers/execs: open alerts for their teams' reps and stores (executives:
+//    all of them), optionally filtered by rep_id
 //
 // Query params: ?rep_id=&tier=&limit= (all optional)
 
@@ -20,17 +31,27 @@ router.get('/', requireAuth, async (req, res) => {
     const { rep_id, tier } = req.query;
     const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-    let conditions = ['a.acknowledged_at IS NULL'];
-    let params = [];
-    let p = 1;
+    let conditions = [
+      'a.acknowledged_at IS NULL',
+      `(a.status <> 'snoozed' OR a.snoozed_until <= $1)`,
+    ];
+    let params = [sydneyToday()];
+    let p = 2;
 
     if (!isManager) {
       // Reps see alerts assigned to them
-      conditions.push(`a.rep_id = $${p++}`);
+      conditions.push(`COALESCE(a.assigned_to, a.rep_id) = $${p++}`);
       params.push(req.session.userId);
-    } else if (rep_id) {
-      conditions.push(`a.rep_id = $${p++}`);
-      params.push(parseInt(rep_id));
+    } else {
+      const scope = await scopeFor(req);
+      if (!scope.all) {
+        conditions.push(`(${repScopeSql(scope, 'COALESCE(a.assigned_to, a.rep_id)', params)} OR ${storeScopeSql(scope, 's', params)})`);
+        p = params.length + 1;
+      }
+      if (rep_id) {
+        conditions.push(`COALESCE(a.assigned_to, a.rep_id) = $${p++}`);
+        params.push(parseInt(rep_id));
+      }
     }
 
     if (tier) {
@@ -52,12 +73,15 @@ router.get('/', requireAuth, async (req, res) => {
         a.triggered_at,
         a.revenue_at_risk,
         a.estimated_uplift,
+        a.assigned_to,
         s.name AS store_name,
         s.grade AS store_grade,
-        u.name AS rep_name
+        u.name AS rep_name,
+        au.name AS assigned_to_name
       FROM alert_log a
-      LEFT JOIN stores s ON s.id = a.store_id
-      LEFT JOIN users  u ON u.id = a.rep_id
+      LEFT JOIN stores s  ON s.id = a.store_id
+      LEFT JOIN users  u  ON u.id = a.rep_id
+      LEFT JOIN users  au ON au.id = a.assigned_to
       WHERE ${conditions.join(' AND ')}
       ORDER BY a.tier ASC, a.triggered_at DESC
       LIMIT $${p}
@@ -83,34 +107,435 @@ router.post('/run', requireRole('manager', 'executive'), async (req, res) => {
   }
 });
 
-// ── POST /api/alerts/:id/acknowledge ─────────────────────────────────────────
-// Acknowledge an alert. Reps can only ack their own; managers can ack any.
+// ── Alert rules (manager / executive only) ───────────────────────────────────
+// Every alert type has an unscoped default rule (seeded by migration 013) plus
+// optional overrides scoped by channel_type / state / grade / rep. A manager
+// limited to their teams only sees and changes overrides for their own reps.
 
-router.post('/:id/acknowledge', requireAuth, async (req, res) => {
-  const alertId = parseInt(req.params.id);
-  if (isNaN(alertId)) return res.status(400).json({ error: 'Invalid alert id' });
+/** Whether the session may see / change this rule (rep overrides for its reps, or everything). */
+function ruleInScope(scope, rule) {
+  return scope.all || (rule.rep_id != null && repInScope(scope, rule.rep_id));
+}
+
+const RULE_OUT_OF_SCOPE = 'Only executives can change alert rules beyond your own reps';
 
+const auditRule = auditEntity('alert_rule', async (id) => {
+  const { rows } = await db.query('SELECT * FROM alert_rules WHERE id = $1', [id]);
+  return rows[0] || null;
+});
+
+// Validate a params object against the catalog: known keys, non-negative numbers.
+// Returns { params } or { error }.
+function cleanParams(alertType, input) {
+  const spec = RULE_CATALOG[alertType].params;
+  const out  = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    if (!spec[key]) return { error: `Unknown param "${key}" for ${alertType}` };
+    const n = Number(value);
+    if (value === '' || value === null || !Number.isFinite(n) || n < 0) {
+      return { error: `${spec[key].label} must be a non-negative number` };
+    }
+    out[key] = n;
+  }
+  return { params: out };
+}
+
+// GET /api/alerts/rules — catalog, all rules and the options for scoping an override
+router.get('/rules', requireRole('manager', 'executive'), async (req, res) => {
   try {
-    const isManager = ['manager', 'executive'].includes(req.session.role);
+    const scope = await scopeFor(req);
+    const repParams = [];
+    const repScope = repScopeSql(scope, 'id', repParams);
+    const [rulesRes, channelsRes, statesRes, repsRes] = await Promise.all([
+      db.query(`
+        SELECT r.*, u.name AS rep_name
+        FROM alert_rules r
+        LEFT JOIN users u ON u.id = r.rep_id
+        WHERE r.rep_id IS NULL OR $1::BOOLEAN OR r.rep_id = ANY($2::INTEGER[])
+        ORDER BY r.alert_type, r.id
+      `, [scope.all, scope.repIds || []]),
+      db.query(`SELECT DISTINCT channel_type FROM stores WHERE channel_type IS NOT NULL AND channel_type <> '' ORDER BY 1`),
+      db.query(`SELECT DISTINCT state FROM stores WHERE state IS NOT NULL AND state <> '' ORDER BY 1`),
+      db.query(`SELECT id, name FROM users WHERE role = 'rep' AND active = TRUE AND ${repScope} ORDER BY name`, repParams),
+    ]);
+
+    res.json({
+      catalog: RULE_CATALOG,
+      can_edit_all: scope.all,
+      rules:   rulesRes.rows,
+      scope_options: {
+        channel_types: channelsRes.rows.map((r) => r.channel_type),
+        states:        statesRes.rows.map((r) => r.state),
+        reps:          repsRes.rows,
+      },
+    });
+  } catch (err) {
+    console.error('Alert rules list error:', err.message);
+    res.status(500).json({ error: 'Failed to load alert rules' });
+  }
+});
+
+// POST /api/alerts/rules — create a scoped override
+// Body: { alert_type, channel_type?, state?, grade?, rep_id?, enabled?, tier?, params? }
+router.post('/rules', requireRole('manager', 'executive'), auditRule, async (req, res) => {
+  const { alert_type, enabled = true } = req.body;
+  const entry = RULE_CATALOG[alert_type];
+  if (!entry) return res.status(400).json({ error: 'Unknown alert type' });
+
+  const scope = {
+    channel_type: req.body.channel_type || null,
+    state:        req.body.state || null,
+    grade:        req.body.grade || null,
+    rep_id:       req.body.rep_id ? parseInt(req.body.rep_id) : null,
+  };
+  if (SCOPE_FIELDS.every((f) => scope[f] === null)) {
+    return res.status(400).json({ error: 'An override needs at least one scope — edit the default rule instead' });
+  }
+  if (entry.subject === 'rep' && (scope.channel_type || scope.state || scope.grade)) {
+    return res.status(400).json({ error: `${entry.label} can only be scoped by rep` });
+  }
+  if (scope.grade && !['A', 'B', 'C'].includes(scope.grade)) {
+    return res.status(400).json({ error: 'Grade must be A, B or C' });
+  }
+  if (req.body.rep_id && isNaN(scope.rep_id)) return res.status(400).json({ error: 'Invalid rep_id' });
+
+  const tier = req.body.tier !== undefined ? parseInt(req.body.tier) : entry.tier;
+  if (![1, 2].includes(tier)) return res.status(400).json({ error: 'Tier must be 1 or 2' });
+
+  const { params, error } = cleanParams(alert_type, req.body.params);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (!ruleInScope(await scopeFor(req), scope)) return res.status(403).json({ error: RULE_OUT_OF_SCOPE });
+
+    const { rows } = await db.query(`
+      INSERT INTO alert_rules
+        (alert_type, enabled, tier, params, channel_type, state, grade, rep_id, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      alert_type, !!enabled, tier, JSON.stringify(params),
+      scope.channel_type, scope.state, scope.grade, scope.rep_id,
+      req.session.userId,
+    ]);
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A rule with that scope already exists for this alert type' });
+    }
+    console.error('Alert rule create error:', err.message);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+// PATCH /api/alerts/rules/:id — update enabled / tier / params (params are merged)
+router.patch('/rules/:id', requireRole('manager', 'executive'), auditRule, async (req, res) => {
+  const ruleId = parseInt(req.params.id);
+  if (isNaN(ruleId)) return res.status(400).json({ error: 'Invalid rule id' });
+
+  try {
+    const { rows: existing } = await db.query(`SELECT * FROM alert_rules WHERE id = $1`, [ruleId]);
+    const rule = existing[0];
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    if (!ruleInScope(await scopeFor(req), rule)) return res.status(403).json({ error: RULE_OUT_OF_SCOPE });
+    if (!RULE_CATALOG[rule.alert_type]) return res.status(400).json({ error: 'Unknown alert type' });
+
+    const { enabled, tier } = req.body;
+    if (tier !== undefined && ![1, 2].includes(parseInt(tier))) {
+      return res.status(400).json({ error: 'Tier must be 1 or 2' });
+    }
+    const { params, error } = cleanParams(rule.alert_type, req.body.params);
+    if (error) return res.status(400).json({ error });
+
+    const { rows } = await db.query(`
+      UPDATE alert_rules
+      SET enabled    = COALESCE($2, enabled),
+          tier       = COALESCE($3, tier),
+          params     = params || $4::jsonb,
+          updated_by = $5,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      ruleId,
+      enabled === undefined ? null : !!enabled,
+      tier === undefined ? null : parseInt(tier),
+      JSON.stringify(params),
+      req.session.userId,
+    ]);
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('Alert rule update error:', err.message);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+// DELETE /api/alerts/rules/:id — remove a scoped override (defaults stay)
+router.delete('/rules/:id', requireRole('manager', 'executive'), auditRule, async (req, res) => {
+  const ruleId = parseInt(req.params.id);
+  if (isNaN(ruleId)) return res.status(400).json({ error: 'Invalid rule id' });
+
+  try {
+    const { rows } = await db.query(`SELECT * FROM alert_rules WHERE id = $1`, [ruleId]);
+    if (!rows[0]) return res.status(404).json({ error: 'Rule not found' });
+    if (!ruleInScope(await scopeFor(req), rows[0])) return res.status(403).json({ error: RULE_OUT_OF_SCOPE });
+    if (isDefaultRule(rows[0])) {
+      return res.status(400).json({ error: 'Default rules cannot be deleted — disable them instead' });
+    }
+
+    await db.query(`DELETE FROM alert_rules WHERE id = $1`, [ruleId]);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Alert rule delete error:', err.message);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
+// ── Notification preferences (own user) ──────────────────────────────────────
+
+const DIGEST_OPTIONS = ['off', 'daily', 'weekly'];
+
+// GET /api/alerts/preferences — the current user's email digest settings
+router.get('/preferences', requireAuth, async (req, res) => {
+  try {
+    const prefs = await getPrefs(req.session.userId);
+    const { rows } = await db.query(`
+      SELECT kind, status, alert_count, error, sent_at
+      FROM notification_log WHERE user_id = $1
+      ORDER BY sent_at DESC LIMIT 1
+    `, [req.session.userId]);
+    res.json({ ...prefs, last_sent: rows[0] || null });
+  } catch (err) {
+    console.error('Get notification preferences error:', err.message);
+    res.status(500).json({ error: 'Failed to load notification preferences' });
+  }
+});
+
+// PUT /api/alerts/preferences — body: { digest?, weekly_day?, max_tier? }
+router.put('/preferences', requireAuth, async (req, res) => {
+  const { digest, weekly_day, max_tier } = req.body || {};
+  if (digest !== undefined && !DIGEST_OPTIONS.includes(digest)) {
+    return res.status(400).json({ error: `digest must be one of ${DIGEST_OPTIONS.join(', ')}` });
+  }
+  if (weekly_day !== undefined && !(Number.isInteger(weekly_day) && weekly_day >= 1 && weekly_day <= 7)) {
+    return res.status(400).json({ error: 'weekly_day must be 1 (Monday) to 7 (Sunday)' });
+  }
+  if (max_tier !== undefined && ![1, 2].includes(max_tier)) {
+    return res.status(400).json({ error: 'max_tier must be 1 or 2' });
+  }
+
+  try {
+    const prefs = await savePrefs(req.session.userId, { digest, weekly_day, max_tier });
+    res.json(prefs);
+  } catch (err) {
+    console.error('Save notification preferences error:', err.message);
+    res.status(500).json({ error: 'Failed to save notification preferences' });
+  }
+});
 
-    // Verify the alert exists and the user has permission
+// POST /api/alerts/preferences/test — email the current user a digest now
+router.post('/preferences/test', requireAuth, async (req, res) => {
+  try {
+    const result = await sendTestDigest(req.session.userId);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Test digest error:', err.message);
+    res.status(500).json({ error: `Test email failed: ${err.message}` });
+  }
+});
+
+// ── GET /api/alerts/effectiveness ────────────────────────────────────────────
+// What followed each alert, per alert type and per rep (manager / executive).
+// Query params: ?from=&to= (YYYY-MM-DD, default the last 365 days),
+//               ?visit_days= (default 14), ?revenue_days= (default 90)
+
+router.get('/effectiveness', requireRole('manager', 'executive'), async (req, res) => {
+  const today = sydneyToday();
+  const yearAgo = new Date(`${today}T00:00:00Z`);
+  yearAgo.setUTCDate(yearAgo.getUTCDate() - 365);
+
+  const from = req.query.from || yearAgo.toISOString().slice(0, 10);
+  const to   = req.query.to   || today;
+  if (!DATE_RE.test(from) || !DATE_RE.test(to) || from > to) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from before to' });
+  }
+  const visitDays   = req.query.visit_days   ? parseInt(req.query.visit_days)   : DEFAULT_VISIT_DAYS;
+  const revenueDays = req.query.revenue_days ? parseInt(req.query.revenue_days) : DEFAULT_REVENUE_DAYS;
+  if (!(visitDays >= 1 && visitDays <= 365) || !(revenueDays >= 1 && revenueDays <= 365)) {
+    return res.status(400).json({ error: 'visit_days and revenue_days must be between 1 and 365' });
+  }
+
+  try {
+    const scope = await scopeFor(req);
+    res.json(await buildEffectivenessReport({ from, to, visitDays, revenueDays, repIds: scope.all ? null : scope.repIds }));
+  } catch (err) {
+    console.error('Alert effectiveness error:', err.message);
+    res.status(500).json({ error: 'Failed to build alert effectiveness report' });
+  }
+});
+
+// ── Alert lifecycle ──────────────────────────────────────────────────────────
+// Reps can act on alerts assigned to them; managers on any alert for their
+// teams' reps or stores.
+
+const MAX_SNOOZE_DAYS = 90;
+
+/** Load an open / snoozed alert the session user may act on, or send 400/403/404. */
+async function loadActionableAlert(req, res) {
+  const alertId = parseInt(req.params.id);
+  if (isNaN(alertId)) { res.status(400).json({ error: 'Invalid alert id' }); return null; }
+
+  const { rows } = await db.query(`
+    SELECT a.id, a.rep_id, a.assigned_to, a.store_id, s.rep_id AS store_rep_id, s.state AS store_state
+    FROM alert_log a
+    LEFT JOIN stores s ON s.id = a.store_id
+    WHERE a.id = $1 AND a.acknowledged_at IS NULL
+  `, [alertId]);
+  if (!rows[0]) { res.status(404).json({ error: 'Alert not found or already resolved' }); return null; }
+
+  const alert = rows[0];
+  const isManager = ['manager', 'executive'].includes(req.session.role);
+  if (!isManager && (alert.assigned_to ?? alert.rep_id) !== req.session.userId) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  if (isManager) {
+    const scope = await scopeFor(req);
+    const inScope = repInScope(scope, alert.assigned_to ?? alert.rep_id)
+      || (alert.store_id != null && storeInScope(scope, { rep_id: alert.store_rep_id, state: alert.store_state }));
+    if (!inScope) {
+      res.status(403).json({ error: 'That alert isn\'t in your team' });
+      return null;
+    }
+  }
+  return alert;
+}
+
+/**
+ * SQL condition on users `u` the signed-in user may hand an alert to:
+ * executives anyone, managers their teams' reps (and themselves), reps
+ * themselves and their team's manager.
+ */
+async function assigneeScopeSql(req, params) {
+  if (['manager', 'executive'].includes(req.session.role)) {
+    return repScopeSql(await scopeFor(req), 'u.id', params);
+  }
+  params.push(req.session.userId);
+  return `(u.id = $${params.length} OR u.id = (
+    SELECT t.manager_id FROM teams t JOIN users me ON me.team_id = t.id WHERE me.id = $${params.length}
+  ))`;
+}
+
+// GET /api/alerts/assignees — users the signed-in user can reassign an alert to
+router.get('/assignees', requireAuth, async (req, res) => {
+  try {
+    const params = [];
+    const scopeSql = await assigneeScopeSql(req, params);
     const { rows } = await db.query(
-      `SELECT id, rep_id FROM alert_log WHERE id = $1 AND acknowledged_at IS NULL`,
-      [alertId]
+      `SELECT u.id, u.name, u.role FROM users u WHERE u.active = TRUE AND ${scopeSql} ORDER BY u.name`,
+      params
     );
-    if (!rows[0]) return res.status(404).json({ error: 'Alert not found or already acknowledged' });
+    res.json(rows);
+  } catch (err) {
+    console.error('Alert assignees error:', err.message);
+    res.status(500).json({ error: 'Failed to load users' });
+  }
+});
+
+// GET /api/alerts/store/:storeId/history — every alert for a store with its events
+router.get('/store/:storeId/history', requireRole('manager', 'executive'), async (req, res) => {
+  const storeId = parseInt(req.params.storeId);
+  if (isNaN(storeId)) return res.status(400).json({ error: 'Invalid store id' });
 
-    const alert = rows[0];
-    if (!isManager && alert.rep_id !== req.session.userId) {
-      return res.status(403).json({ error: 'Forbidden' });
+  try {
+    const scope = await scopeFor(req);
+    if (!scope.all) {
+      const { rows: [store] } = await db.query('SELECT rep_id, state FROM stores WHERE id = $1', [storeId]);
+      if (store && !storeInScope(scope, store)) return res.status(403).json({ error: 'That store isn\'t in your team' });
     }
+    res.json({ outcomes: OUTCOMES, alerts: await getStoreAlertHistory(storeId) });
+  } catch (err) {
+    console.error('Store alert history error:', err.message);
+    res.status(500).json({ error: 'Failed to load alert history' });
+  }
+});
 
-    await db.query(`
-      UPDATE alert_log
-      SET acknowledged_at = NOW(), acknowledged_by = $2
-      WHERE id = $1
-    `, [alertId, req.session.userId]);
+// POST /api/alerts/:id/snooze — body: { until: 'YYYY-MM-DD' }
+router.post('/:id/snooze', requireAuth, async (req, res) => {
+  const { until } = req.body || {};
+  const today = sydneyToday();
+  const limit = new Date(`${today}T00:00:00Z`);
+  limit.setUTCDate(limit.getUTCDate() + MAX_SNOOZE_DAYS);
+  if (!DATE_RE.test(until || '') || isNaN(Date.parse(until))) {
+    return res.status(400).json({ error: 'until must be a date (YYYY-MM-DD)' });
+  }
+  if (until <= today || until > limit.toISOString().slice(0, 10)) {
+    return res.status(400).json({ error: `Snooze until a date within the next ${MAX_SNOOZE_DAYS} days` });
+  }
 
+  try {
+    const alert = await loadActionableAlert(req, res);
+    if (!alert) return;
+    await snoozeAlert(alert.id, until, req.session.userId);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Snooze alert error:', err.message);
+    res.status(500).json({ error: 'Failed to snooze alert' });
+  }
+});
+
+// POST /api/alerts/:id/assign — body: { user_id }
+router.post('/:id/assign', requireAuth, async (req, res) => {
+  const userId = parseInt(req.body?.user_id);
+  if (isNaN(userId)) return res.status(400).json({ error: 'user_id is required' });
+
+  try {
+    const alert = await loadActionableAlert(req, res);
+    if (!alert) return;
+
+    const { rows } = await db.query(`SELECT id FROM users WHERE id = $1 AND active = TRUE`, [userId]);
+    if (!rows[0]) return res.status(400).json({ error: 'User not found' });
+
+    const params = [userId];
+    const scopeSql = await assigneeScopeSql(req, params);
+    const { rows: [allowed] } = await db.query(`SELECT 1 FROM users u WHERE u.id = $1 AND ${scopeSql}`, params);
+    if (!allowed) return res.status(403).json({ error: 'You can only assign alerts to people in your team' });
+
+    await assignAlert(alert.id, userId, req.session.userId);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Assign alert error:', err.message);
+    res.status(500).json({ error: 'Failed to reassign alert' });
+  }
+});
+
+// POST /api/alerts/:id/resolve — body: { outcome, note? }
+router.post('/:id/resolve', requireAuth, async (req, res) => {
+  const { outcome, note } = req.body || {};
+  if (!OUTCOMES[outcome]) {
+    return res.status(400).json({ error: `outcome must be one of ${Object.keys(OUTCOMES).join(', ')}` });
+  }
+
+  try {
+    const alert = await loadActionableAlert(req, res);
+    if (!alert) return;
+    await resolveAlert(alert.id, { outcome, note: note?.trim() || null }, req.session.userId);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Resolve alert error:', err.message);
+    res.status(500).json({ error: 'Failed to resolve alert' });
+  }
+});
+
+// ── POST /api/alerts/:id/acknowledge ─────────────────────────────────────────
+// Acknowledge an alert — resolves it with outcome 'acknowledged'.
+// Reps can only ack alerts assigned to them; managers can ack any.
+
+router.post('/:id/acknowledge', requireAuth, async (req, res) => {
+  try {
+    const alert = await loadActionableAlert(req, res);
+    if (!alert) return;
+    await resolveAlert(alert.id, { outcome: 'acknowledged' }, req.session.userId);
     res.json({ ok: true });
   } catch (err) {
     console.error('Acknowledge alert error:', err.message);
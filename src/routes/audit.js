@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Audit log viewer (executives only). Entries are written by the auditLog
+ * middleware — see src/middleware/audit.js.
+ *
+ * GET /api/audit          – filtered, newest first, paged
+ * GET /api/audit/filters  – users and entity types that appear in the log
+ */
+
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const db = require('../db');
+
+const router = express.Router();
+const executiveOnly = requireRole('executive');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── GET /api/audit ────────────────────────────────────────────────────────────
+// Query: user_id, entity_type, entity_id, action (substring of e.g.
+// 'PUT /api/users/:id'), from / to ('YYYY-MM-DD', Sydney time, inclusive),
+// failed=1 (4xx / 5xx only), limit (≤ 200, default 50), offset.
+router.get('/', executiveOnly, async (req, res) => {
+  const where  = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (req.query.user_id) {
+    const userId = parseInt(req.query.user_id);
+    if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+    add('a.user_id = ?', userId);
+  }
+  if (req.query.entity_type) add('a.entity_type = ?', String(req.query.entity_type));
+  if (req.query.entity_id)   add('a.entity_id = ?', String(req.query.entity_id));
+  if (req.query.action)      add('a.action ILIKE ?', `%${String(req.query.action).replace(/[%_\\]/g, '\\$&')}%`);
+  for (const key of ['from', 'to']) {
+    if (!req.query[key]) continue;
+    if (!DATE_RE.test(req.query[key])) return res.status(400).json({ error: `${key} must be a date (YYYY-MM-DD)` });
+    add(`(a.created_at AT TIME ZONE 'Australia/Sydney')::DATE ${key === 'from' ? '>=' : '<='} ?::DATE`, req.query[key]);
+  }
+  if (req.query.failed === '1') where.push('a.status_code >= 400');
+
+  const limit  = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  try {
+    const [{ rows: entries }, { rows: [{ total }] }] = await Promise.all([
+      db.query(`
+        SELECT a.id, a.user_id, u.name AS user_name, a.role, a.method, a.path, a.action,
+               a.entity_type, a.entity_id, a.before, a.after, a.status_code, a.ip, a.created_at
+        FROM audit_log a
+        LEFT JOIN users u ON u.id = a.user_id
+        ${whereSql}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      db.query(`SELECT COUNT(*)::INTEGER AS total FROM audit_log a ${whereSql}`, params),
+    ]);
+    res.json({ entries, total, limit, offset });
+  } catch (err) {
+    console.error('Audit log error:', err.message);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// ── GET /api/audit/filters ────────────────────────────────────────────────────
+router.get('/filters', executiveOnly, async (req, res) => {
+  try {
+    const [{ rows: users }, { rows: types }] = await Promise.all([
+      db.query(`
+        SELECT u.id, u.name FROM users u
+        WHERE EXISTS (SELECT 1 FROM audit_log a WHERE a.user_id = u.id)
+        ORDER BY u.name
+      `),
+      db.query(`SELECT DISTINCT entity_type FROM audit_log WHERE entity_type IS NOT NULL ORDER BY 1`),
+    ]);
+    res.json({ users, entity_types: types.map((t) => t.entity_type) });
+  } catch (err) {
+    console.error('Audit filters error:', err.message);
+    res.status(500).json({ error: 'Failed to load audit filters' });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,124 @@ const express  = require('express');
 const bcrypt   = require('bcryptjs');
 const pool     = require('../db/index');
 const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { checkPassword } = require('../services/passwordPolicy');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const {
+  TRUSTED_DEVICE_DAYS, requiresTwoFactor, startEnrolment, confirmEnrolment, verifySecondFactor,
+  replaceRecoveryCodes, recoveryCodesLeft, trustDevice, isTrustedDevice, forgetDevices,
+} = require('../services/twoFactor');
 
 const router = express.Router();
 
+// Wrong passwords in a row before an account is locked, and for how long
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES   = 15;
+
+// A password-checked sign-in waits this long for its 2FA code, and allows this many wrong ones
+const TWO_FACTOR_PENDING_MINUTES = 10;
+const MAX_TWO_FACTOR_ATTEMPTS    = 5;
+
+// "Remember this device" cookie (token hash in trusted_devices)
+const DEVICE_COOKIE = 'artico.device';
+
+// Per-IP limits, on top of the per-account lockout
+const loginLimiter  = rateLimit({ windowMs: 15 * 60_000, max: 20, message: 'Too many sign-in attempts — try again in 15 minutes' });
+const forgotLimiter = rateLimit({ windowMs: 15 * 60_000, max: 5,  message: 'Too many reset requests — try again in 15 minutes' });
+const resetLimiter  = rateLimit({ windowMs: 15 * 60_000, max: 10, message: 'Too many attempts — try again in 15 minutes' });
+const twoFactorLimiter = rateLimit({ windowMs: 15 * 60_000, max: 20, message: 'Too many codes tried — try again in 15 minutes' });
+
+function lockedMessage(lockedUntil) {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60_000));
+  return `Too many wrong passwords — this account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}. ` +
+         'Try again later or reset your password.';
+}
+
+function userPayload(user) {
+  return {
+    id:                   user.id,
+    email:                user.email,
+    name:                 user.name,
+    role:                 user.role,
+    must_change_password: user.must_change_password,
+  };
+}
+
+async function activeUser(id) {
+  const { rows } = await pool.query('SELECT * FROM users WHERE id = $1 AND active = TRUE', [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Signed-in session for `user`. `mfa` records how the second factor was met
+ * ('totp', 'recovery', 'device', or 'none' for roles without 2FA); IP, device
+ * and sign-in time are kept for the executives' session list.
+ */
+function startSession(req, user, mfa) {
+  delete req.session.pendingTwoFactor;
+  req.session.userId     = user.id;
+  req.session.role       = user.role;
+  req.session.name       = user.name;
+  req.session.mfa        = mfa;
+  req.session.ip         = req.ip;
+  req.session.userAgent  = (req.get('user-agent') || '').slice(0, 300);
+  req.session.signedInAt = new Date().toISOString();
+}
+
+function deviceToken(req) {
+  const cookie = (req.headers.cookie || '').split(';').map((c) => c.trim())
+    .find((c) => c.startsWith(`${DEVICE_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(DEVICE_COOKIE.length + 1)) : null;
+}
+
+async function rememberDevice(req, res, user) {
+  const token = await trustDevice(user.id, { userAgent: req.get('user-agent'), ip: req.ip });
+  res.cookie(DEVICE_COOKIE, token, {
+    secure:   process.env.NODE_ENV === 'production',
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge:   TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+/**
+ * Finish a sign-in once the password checks out. Straight in when no second
+ * factor is needed or this device is remembered; otherwise the account is
+ * parked in the session until /auth/2fa/verify (or, for a first-time setup,
+ * /auth/2fa/enable) and the client is told which.
+ */
+async function completeSignIn(req, res, user) {
+  if (!requiresTwoFactor(user)) {
+    startSession(req, user, 'none');
+    return res.json(userPayload(user));
+  }
+  if (user.totp_enabled_at && await isTrustedDevice(user.id, deviceToken(req))) {
+    startSession(req, user, 'device');
+    return res.json(userPayload(user));
+  }
+
+  req.session.pendingTwoFactor = {
+    userId:    user.id,
+    setup:     !user.totp_enabled_at,
+    startedAt: Date.now(),
+    attempts:  0,
+  };
+  res.json({ two_factor: user.totp_enabled_at ? 'verify' : 'setup' });
+}
+
+/** The sign-in parked by completeSignIn, while it's still fresh. */
+function pendingTwoFactor(req) {
+  const pending = req.session?.pendingTwoFactor;
+  if (!pending) return null;
+  if (Date.now() - pending.startedAt > TWO_FACTOR_PENDING_MINUTES * 60_000) {
+    delete req.session.pendingTwoFactor;
+    return null;
+  }
+  return pending;
+}
+
 // ── POST /auth/login ──────────────────────────────────────────────────────────
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   const { email, password } = req.body;
 
   if (!email || !password) {
@@ -23,32 +136,47 @@ router.post('/login', async (req, res) => {
     if (!user) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
+    const locked = user.locked_until && new Date(user.locked_until) > new Date();
 
-    // Account has no password yet — first login
+    // Account has no password yet — first login. The account is remembered in
+    // the session so only this browser can go on to set its password.
     if (!user.password_hash) {
+      req.session.pendingPasswordUserId = user.id;
       return res.status(200).json({
         first_login: true,
-        user_id: user.id,
         message: 'Please set your password to continue',
       });
     }
 
+    // The password is checked before the lockout, and a wrong one always gets
+    // the same answer as an unknown email, so a lockout doesn't confirm the
+    // account exists. Only the right password hears that it's locked.
     const valid = await bcrypt.compare(password, user.password_hash);
     if (!valid) {
+      if (!locked) {
+        const { rows: [failed] } = await pool.query(`
+          UPDATE users
+          SET failed_logins = failed_logins + 1,
+              locked_until  = CASE WHEN failed_logins + 1 >= $2
+                                   THEN NOW() + make_interval(mins => $3) END
+          WHERE id = $1
+          RETURNING locked_until
+        `, [user.id, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]);
+        if (failed.locked_until) {
+          console.log(`[auth] User ${user.id} locked out after ${MAX_FAILED_LOGINS} failed sign-ins`);
+        }
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
+    if (locked) {
+      return res.status(429).json({ error: lockedMessage(user.locked_until) });
+    }
 
-    req.session.userId = user.id;
-    req.session.role   = user.role;
-    req.session.name   = user.name;
+    if (user.failed_logins || user.locked_until) {
+      await pool.query('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = $1', [user.id]);
+    }
 
-    res.json({
-      id:                   user.id,
-      email:                user.email,
-      name:                 user.name,
-      role:                 user.role,
-      must_change_password: user.must_change_password,
-    });
+    await completeSignIn(req, res, user);
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ error: 'Login failed' });
@@ -85,20 +213,18 @@ router.get('/me', requireAuth, async (req, res) => {
 
 // ── POST /auth/change-password ────────────────────────────────────────────────
 // Works for both:
-//   • First-login flow (no session yet): body must include user_id
+//   • First-login flow: the account that just tried to sign in without a
+//     password (kept in the session by /login)
 //   • Authenticated users changing their own password: body includes current_password
+// New passwords must meet the policy in services/passwordPolicy.js.
 router.post('/change-password', async (req, res) => {
-  const { user_id, password, current_password } = req.body;
+  const { password, current_password } = req.body;
 
-  const targetId = req.session?.userId || user_id;
+  const targetId = req.session?.userId || req.session?.pendingPasswordUserId;
   if (!targetId) {
     return res.status(401).json({ error: 'Not authenticated' });
   }
 
-  if (!password || password.length < 8) {
-    return res.status(400).json({ error: 'Password must be at least 8 characters' });
-  }
-
   try {
     const result = await pool.query(
       'SELECT * FROM users WHERE id = $1 AND active = TRUE',
@@ -109,6 +235,11 @@ router.post('/change-password', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const weak = checkPassword(password, user);
+    if (weak) {
+      return res.status(400).json({ error: weak });
+    }
+
     // If user already has a password and it's not a forced-change, verify current password
     if (user.password_hash && !user.must_change_password) {
       if (!current_password) {
@@ -126,38 +257,205 @@ router.post('/change-password', async (req, res) => {
       [hash, targetId]
     );
 
-    // Establish session for first-login flow
-    req.session.userId = user.id;
-    req.session.role   = user.role;
-    req.session.name   = user.name;
+    // First login: carry on to the second factor, where one is needed
+    delete req.session.pendingPasswordUserId;
+    const updated = { ...user, must_change_password: false };
+    if (!req.session.userId) return await completeSignIn(req, res, updated);
 
-    res.json({ id: user.id, name: user.name, role: user.role, must_change_password: false });
+    res.json(userPayload(updated));
   } catch (err) {
     console.error('Change password error:', err);
     res.status(500).json({ error: 'Failed to change password' });
   }
 });
 
-// ── GET /auth/reset-admin ─────────────────────────────────────────────────────
-// Temporary endpoint: resets admin@artico.com.au to the set-password flow.
-// Hit this from a browser to unblock a stuck admin login.
-// Remove once the admin account is fully set up.
-router.get('/reset-admin', async (req, res) => {
+// ── POST /auth/forgot-password ────────────────────────────────────────────────
+// Body: { email }. Emails a single-use reset link if the address belongs to an
+// active user; the answer is the same either way.
+router.post('/forgot-password', forgotLimiter, async (req, res) => {
+  const { email } = req.body || {};
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  // Answer before looking the account up, so neither the reply nor how long it
+  // takes shows whether the address is registered
+  res.json({ ok: true, message: 'If that email has an account, a reset link is on its way.' });
+  requestPasswordReset(email, { ip: req.ip }).catch((err) => {
+    console.error('Forgot password error:', err.message);
+  });
+});
+
+// ── POST /auth/reset-password ─────────────────────────────────────────────────
+// Body: { token, password }. Sets the new password and signs the user out
+// everywhere; they then sign in.
+router.post('/reset-password', resetLimiter, async (req, res) => {
+  const { token, password } = req.body || {};
+
   try {
-    const result = await pool.query(
-      `UPDATE users
-          SET password_hash = NULL, must_change_password = TRUE
-        WHERE email = 'admin@artico.com.au'
-        RETURNING id, email, name, role`,
+    const result = await resetPassword(token, password);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    console.log(`[auth] Password reset by link for user ${result.user.id} — ${result.sessions_revoked} session(s) signed out`);
+    res.json({ ok: true, email: result.user.email });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// ── Two-factor authentication ─────────────────────────────────────────────────
+// Managers and executives (and anyone else who enrols) give a code from an
+// authenticator app after their password — see services/twoFactor.js. Those
+// without it set it up during their next sign-in.
+
+/** Who a 2FA setup request is for: a parked first-time sign-in, or the signed-in user. */
+function enrolmentUserId(req) {
+  const pending = pendingTwoFactor(req);
+  if (pending) return pending.setup ? pending.userId : null;
+  return req.session?.userId || null;
+}
+
+// ── POST /auth/2fa/verify ─────────────────────────────────────────────────────
+// Body: { code, remember_device? }. code is an authenticator code or a recovery code.
+router.post('/2fa/verify', twoFactorLimiter, async (req, res) => {
+  const { code, remember_device } = req.body || {};
+  const pending = pendingTwoFactor(req);
+  if (!pending || pending.setup) {
+    return res.status(401).json({ error: 'Sign in again to continue', restart: true });
+  }
+
+  try {
+    const user = await activeUser(pending.userId);
+    if (!user) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({ error: 'Sign in again to continue', restart: true });
+    }
+
+    const method = await verifySecondFactor(user.id, code);
+    if (!method) {
+      pending.attempts++;
+      if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+        console.log(`[auth] User ${user.id} sent back to sign-in after ${MAX_TWO_FACTOR_ATTEMPTS} wrong 2FA codes`);
+        return res.status(401).json({ error: 'Too many wrong codes — sign in again', restart: true });
+      }
+      return res.status(401).json({ error: 'That code isn\'t right — try the newest code from your app' });
+    }
+
+    if (remember_device) await rememberDevice(req, res, user);
+    startSession(req, user, method);
+
+    const payload = userPayload(user);
+    if (method === 'recovery') payload.recovery_codes_left = await recoveryCodesLeft(user.id);
+    res.json(payload);
+  } catch (err) {
+    console.error('2FA verify error:', err);
+    res.status(500).json({ error: 'Failed to check the code' });
+  }
+});
+
+// ── POST /auth/2fa/setup ──────────────────────────────────────────────────────
+// Starts enrolment → { secret, otpauth_url, qr_svg }. Nothing changes until
+// /2fa/enable confirms a code from the new secret.
+router.post('/2fa/setup', twoFactorLimiter, async (req, res) => {
+  const userId = enrolmentUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Not authenticated' });
+
+  try {
+    const user = await activeUser(userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is already set up' });
+    }
+    res.json(await startEnrolment(user.id));
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// ── POST /auth/2fa/enable ─────────────────────────────────────────────────────
+// Body: { code, remember_device? }. Confirms enrolment and returns the recovery
+// codes — the only time they're shown. A parked sign-in is completed.
+router.post('/2fa/enable', twoFactorLimiter, async (req, res) => {
+  const { code, remember_device } = req.body || {};
+  const userId = enrolmentUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Not authenticated' });
+
+  try {
+    const result = await confirmEnrolment(userId, code);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const user = await activeUser(userId);
+    console.log(`[auth] Two-factor authentication enabled for user ${userId}`);
+    if (pendingTwoFactor(req)) {
+      if (remember_device) await rememberDevice(req, res, user);
+      startSession(req, user, 'totp');
+    } else {
+      req.session.mfa = 'totp';
+    }
+    res.json({ ...userPayload(user), recovery_codes: result.recovery_codes });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// ── GET /auth/2fa ─────────────────────────────────────────────────────────────
+router.get('/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await activeUser(req.session.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { rows: [devices] } = await pool.query(
+      'SELECT COUNT(*)::INT AS n FROM trusted_devices WHERE user_id = $1 AND expires_at > NOW()',
+      [user.id]
     );
-    if (result.rowCount === 0) {
-      return res.status(404).send('No admin user found.');
+    res.json({
+      enabled:             Boolean(user.totp_enabled_at),
+      enabled_at:          user.totp_enabled_at,
+      required:            requiresTwoFactor(user),
+      recovery_codes_left: user.totp_enabled_at ? await recoveryCodesLeft(user.id) : 0,
+      trusted_devices:     devices.n,
+    });
+  } catch (err) {
+    console.error('2FA status error:', err);
+    res.status(500).json({ error: 'Failed to load two-factor status' });
+  }
+});
+
+// ── POST /auth/2fa/recovery-codes ─────────────────────────────────────────────
+// Body: { code }. Replaces the recovery codes; needs a current code to prove
+// the request comes from the phone's owner.
+router.post('/2fa/recovery-codes', requireAuth, twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await activeUser(req.session.userId);
+    if (!user?.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication isn\'t set up' });
     }
-    res.send(`Admin reset OK — ${result.rows[0].email} can now set a new password at the login screen.`);
+    if (!await verifySecondFactor(user.id, req.body?.code)) {
+      return res.status(400).json({ error: 'That code isn\'t right — try the newest code from your app' });
+    }
+    res.json({ recovery_codes: await replaceRecoveryCodes(user.id) });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
+// ── POST /auth/2fa/forget-devices ─────────────────────────────────────────────
+// Every remembered device asks for a code again at its next sign-in.
+router.post('/2fa/forget-devices', requireAuth, async (req, res) => {
+  try {
+    const forgotten = await forgetDevices(req.session.userId);
+    res.clearCookie(DEVICE_COOKIE);
+    res.json({ ok: true, forgotten });
   } catch (err) {
-    console.error('Reset-admin error:', err);
-    res.status(500).send('Reset failed: ' + err.message);
+    console.error('Forget devices error:', err);
+    res.status(500).json({ error: 'Failed to forget devices' });
   }
 });
 
+// Exposed so tests can reset the per-IP counts
+router.limiters = { login: loginLimiter, forgot: forgotLimiter, reset: resetLimiter, twoFactor: twoFactorLimiter };
+
 module.exports = router;
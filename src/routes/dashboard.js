@@ -1,6 +1,7 @@
 const express = require('express');
 const { requireAuth, requireRole } = require('../middleware/auth');
 const { getRepDashboard, getTeamDashboard } = require('../services/dashboard');
+const { scopeFor } = require('../services/teamScope');
 
 const router = express.Router();
 
@@ -23,13 +24,14 @@ router.get('/rep', requireAuth, async (req, res) => {
   }
 });
 
-// GET /api/dashboard/team
+// GET /api/dashboard/team — managers see their own teams only
 router.get('/team', requireRole('manager', 'executive'), async (req, res) => {
   const month = req.query.month || curMonth();
   const force = req.query.refresh === '1';
 
   try {
-    const data = await getTeamDashboard(month, { force });
+    const scope = await scopeFor(req);
+    const data = await getTeamDashboard(month, { force, repIds: scope.all ? null : scope.repIds });
     res.json(data);
   } catch (err) {
     console.error('Team dashboard error:', err.message);
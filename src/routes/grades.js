@@ -133,8 +133,7 @@ router.get('/report', requireAuth, requireRole('manager', 'executive'), async (r
 
 router.post('/run-auto', requireAuth, requireRole('executive'), async (req, res) => {
   try {
-    // Run sequentially so the first fetch populates the invoice cache.
-    // Parallel execution causes a cache stampede (4 concurrent 24m Zoho fetches).
+    // Run sequentially — each step reads the stores the previous one updated.
     const auto_grade = await runAutoGrading().catch(e => ({ error: e.message }));
     const classify   = await classifyProspects().catch(e => ({ error: e.message }));
     const promote    = await promoteActiveProspects().catch(e => ({ error: e.message }));
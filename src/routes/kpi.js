@@ -3,225 +3,95 @@
 /**
  * KPI Incentive Tracker routes.
  *
- * GET  /api/kpi/targets          – List all incentive targets (manager/exec)
+ * GET  /api/kpi/targets          – List incentive targets (manager/exec)
  * POST /api/kpi/targets          – Upsert targets for a rep/quarter/year (manager/exec)
  * GET  /api/kpi/my               – KPI progress for the current user (any rep)
  * GET  /api/kpi/team             – All reps KPI summary (manager/exec)
  * GET  /api/kpi/team/csv         – CSV export of team KPIs (manager/exec)
  * POST /api/kpi/weekly-plan      – Submit weekly plan flag for current week (any rep)
+ *
+ * /my, /team and /team/csv take ?quarter=&year= (default: this quarter). Closed
+ * quarters come from KPI snapshots (src/services/kpiSnapshots.js).
+ * GET  /api/kpi/history          – A rep's last closed quarters and this one (?rep_id=&quarters=)
+ * POST /api/kpi/snapshots        – Snapshot a closed quarter for reps without one (executive)
+ *
+ * Incentive plans and payout statements (src/services/incentives.js):
+ * GET  /api/kpi/plans            – Plans and the reps on each (manager/exec)
+ * POST /api/kpi/plans            – Create a plan (executive)
+ * PUT  /api/kpi/plans/:id        – Replace a plan's settings (executive)
+ * PUT  /api/kpi/plans/:id/reps   – Set the reps on a plan (executive)
+ * GET  /api/kpi/statements       – Payout statement per rep for ?quarter=&year= (manager/exec)
+ * POST /api/kpi/statements/approve – Lock a finished quarter's statement (manager/exec)
+ * GET  /api/kpi/statements/csv   – Approved statements for payroll (manager/exec)
+ *
+ * GET /api/kpi/my includes the rep's projected payout for the quarter.
+ * Targets can't be changed for a quarter whose statement is approved.
+ *
+ * Managers only see and set targets for the reps in their teams.
  */
 
 const express = require('express');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
 const db = require('../db');
-const { fetchInvoicesWithTimeout, invAmount } = require('../services/sync');
+const { fetchInvoicesWithTimeout } = require('../services/sync');
+const { DEFAULTS, currentQuarter, currentWeekStart } = require('../services/kpi');
+const { scopeFor, repInScope, repScopeSql } = require('../services/teamScope');
+const incentives = require('../services/incentives');
+const snapshots = require('../services/kpiSnapshots');
+const { csvLine } = require('../services/csv');
 
 const router = express.Router();
-
-// ── Quarter / window helpers ──────────────────────────────────────────────────
-
-function currentQuarter() {
-  const now = new Date();
-  return {
-    quarter: Math.ceil((now.getMonth() + 1) / 3),
-    year:    now.getFullYear(),
-  };
-}
-
-function quarterDateRange(quarter, year) {
-  const startMonth = (quarter - 1) * 3 + 1;
-  const endMonth   = quarter * 3;
-  const pad        = n => String(n).padStart(2, '0');
-  const endDay     = new Date(year, endMonth, 0).getDate();
-  return {
-    from: `${year}-${pad(startMonth)}-01`,
-    to:   `${year}-${pad(endMonth)}-${pad(endDay)}`,
-  };
-}
-
-/** Returns the same 18m window pre-warmed by the scheduler → cache hit. */
-function get18mWindow() {
-  const now  = new Date();
-  const toD  = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-  const fromD = new Date(now.getFullYear(), now.getMonth() - 17, 1);
-  const pad  = n => String(n).padStart(2, '0');
-  return {
-    from: `${fromD.getFullYear()}-${pad(fromD.getMonth() + 1)}-01`,
-    to:   `${toD.getFullYear()}-${pad(toD.getMonth() + 1)}-${pad(toD.getDate())}`,
-  };
-}
-
-/** ISO Monday of the current week. */
-function currentWeekStart() {
-  const now = new Date();
-  const day = now.getDay() || 7;           // 1=Mon … 7=Sun
-  const mon = new Date(now);
-  mon.setDate(now.getDate() - day + 1);
-  return mon.toISOString().slice(0, 10);   // YYYY-MM-DD
-}
-
-// ── Resolve rep salesperson names (supports multi-name via zoho_salesperson_ids) ─
-
-async function repSpNames(repId) {
-  const { rows } = await db.query(
-    `SELECT zoho_salesperson_id, zoho_salesperson_ids FROM users WHERE id = $1`,
-    [repId]
-  );
-  if (!rows[0]) return [];
-  const u = rows[0];
-  if (Array.isArray(u.zoho_salesperson_ids) && u.zoho_salesperson_ids.length) {
-    return u.zoho_salesperson_ids;
-  }
-  return [u.zoho_salesperson_id].filter(Boolean);
-}
-
-// ── Core KPI calculation ──────────────────────────────────────────────────────
+const executiveOnly = requireRole('executive');
 
 /**
- * Calculate all 5 KPIs for a single rep.
- *
- * @param {number}   repId
- * @param {object[]} invoices   – 18m invoice array (from cache)
- * @param {object}   targets    – { new_customers, reactivations, coverage_pct, growth_pct }
- * @param {number}   quarter
- * @param {number}   year
+ * Reps the signed-in manager can see: the active ones, plus — for a past
+ * quarter — anyone with a snapshot for it.
  */
-async function calcKpi(repId, invoices, targets, quarter, year) {
-  const spNames = await repSpNames(repId);
-  const { from: qFrom, to: qTo } = quarterDateRange(quarter, year);
-  const { from: lyFrom, to: lyTo } = quarterDateRange(quarter, year - 1);
-
-  // ── 1. New customers ──────────────────────────────────────────────────────
-  // Contacts with a rep invoice in current quarter but NO prior invoice in the
-  // 18m window (best-effort new customer check using cached data).
-  const repInvoices = invoices.filter(i => spNames.includes(i.salesperson_name));
-  const qContacts   = new Set(
-    repInvoices.filter(i => i.date >= qFrom && i.date <= qTo)
-               .map(i => String(i.customer_id))
-  );
-  const priorContacts = new Set(
-    repInvoices.filter(i => i.date < qFrom)
-               .map(i => String(i.customer_id))
-  );
-  const newCustomers = [...qContacts].filter(c => !priorContacts.has(c)).length;
-
-  // ── 2. Reactivations ──────────────────────────────────────────────────────
-  // Customer ordered in current quarter AND no order in the 6 months before
-  // the quarter start (dormant for at least 6 months → reactivation signal).
-  const sixMoBeforeQ = new Date(qFrom);
-  sixMoBeforeQ.setMonth(sixMoBeforeQ.getMonth() - 6);
-  const dormancyFrom = sixMoBeforeQ.toISOString().slice(0, 10);
-
-  const dormantContacts = new Set(
-    repInvoices
-      .filter(i => i.date >= dormancyFrom && i.date < qFrom)
-      .map(i => String(i.customer_id))
-  );
-  // Contacts active in quarter that were dormant in the 6m window before
-  const reactivations = [...qContacts].filter(c => !dormantContacts.has(c) && priorContacts.has(c)).length;
-
-  // ── 3. Territory coverage (grade-dependent visit windows) ─────────────────
-  const { rows: covRows } = await db.query(`
-    SELECT
-      COUNT(*) FILTER (WHERE
-        (s.grade = 'A' AND last_v.last_visit >= NOW() - INTERVAL '42 days') OR
-        (s.grade IN ('B','C') AND last_v.last_visit >= NOW() - INTERVAL '84 days')
-      )::INTEGER AS covered,
-      COUNT(*)::INTEGER AS total
-    FROM stores s
-    LEFT JOIN (
-      SELECT store_id, MAX(visited_at) AS last_visit
-      FROM visits
-      GROUP BY store_id
-    ) last_v ON last_v.store_id = s.id
-    WHERE s.rep_id = $1
-      AND s.active = TRUE
-      AND s.is_prospect = FALSE
-      AND s.grade IN ('A','B','C')
-  `, [repId]);
-
-  const covData   = covRows[0] || { covered: 0, total: 0 };
-  const covPct    = covData.total > 0 ? Math.round((covData.covered / covData.total) * 100) : 0;
-
-  // ── 4. Weekly plan ────────────────────────────────────────────────────────
-  const weekStart = currentWeekStart();
-  const { rows: planRows } = await db.query(
-    `SELECT submitted_at FROM weekly_plans WHERE rep_id = $1 AND week_start = $2`,
-    [repId, weekStart]
-  );
-  const weeklyPlanSubmitted = planRows.length > 0;
-
-  // ── 5. Territory growth (quarter vs same quarter LY, by store contacts) ───
-  const { rows: storeRows } = await db.query(
-    `SELECT zoho_contact_id FROM stores WHERE rep_id = $1 AND active = TRUE AND is_prospect = FALSE`,
-    [repId]
-  );
-  const contactIds = new Set(storeRows.map(r => String(r.zoho_contact_id)));
-
-  let qRevenue = 0, lyRevenue = 0;
-  for (const inv of invoices) {
-    if (!contactIds.has(String(inv.customer_id))) continue;
-    const total = invAmount(inv);
-    if (inv.date >= qFrom && inv.date <= qTo)   qRevenue  += total;
-    if (inv.date >= lyFrom && inv.date <= lyTo) lyRevenue += total;
+async function teamReps(req, period = null) {
+  const params = [];
+  const scopeSql = repScopeSql(await scopeFor(req), 'id', params);
+  let activeSql = 'active = TRUE';
+  if (period) {
+    params.push(period.quarter, period.year);
+    activeSql = `(active = TRUE OR EXISTS (
+      SELECT 1 FROM kpi_snapshots k WHERE k.rep_id = users.id AND k.quarter = $${params.length - 1} AND k.year = $${params.length}
+    ))`;
   }
-  const growthPct = lyRevenue > 0
-    ? Math.round(((qRevenue - lyRevenue) / lyRevenue) * 100)
-    : null;
-
-  return {
-    new_customers: {
-      actual: newCustomers,
-      target: targets.new_customers,
-      pct:    targets.new_customers > 0 ? Math.round((newCustomers / targets.new_customers) * 100) : null,
-    },
-    reactivations: {
-      actual: reactivations,
-      target: targets.reactivations,
-      pct:    targets.reactivations > 0 ? Math.round((reactivations / targets.reactivations) * 100) : null,
-    },
-    coverage: {
-      covered:        covData.covered,
-      total:          covData.total,
-      pct:            covPct,
-      target_pct:     targets.coverage_pct,
-      on_track:       covPct >= targets.coverage_pct,
-    },
-    weekly_plan: {
-      submitted:  weeklyPlanSubmitted,
-      week_start: weekStart,
-    },
-    growth: {
-      current_quarter: Math.round(qRevenue),
-      ly_quarter:      Math.round(lyRevenue),
-      pct:             growthPct,
-      target_pct:      targets.growth_pct,
-    },
-  };
+  return db.query(`SELECT id, name FROM users WHERE role = 'rep' AND ${activeSql} AND ${scopeSql} ORDER BY name`, params);
 }
 
-/** Default targets (used when no row exists in incentive_targets). */
-const DEFAULTS = { new_customers: 5, reactivations: 5, coverage_pct: 90, growth_pct: 5 };
+/** ?quarter=&year= (or body fields), defaulting to the current quarter. */
+function quarterParam(source) {
+  const current = currentQuarter();
+  const quarter = source.quarter ? parseInt(source.quarter) : current.quarter;
+  const year    = source.year ? parseInt(source.year) : current.year;
+  if (![1, 2, 3, 4].includes(quarter)) return { error: 'quarter must be 1 to 4' };
+  if (isNaN(year) || year < 2020 || year > 2100) return { error: 'year must be a year like 2026' };
+  return { quarter, year };
+}
 
-async function getTargetsForRep(repId, quarter, year) {
-  const { rows } = await db.query(
-    `SELECT new_customers, reactivations, coverage_pct, growth_pct
-     FROM incentive_targets WHERE rep_id = $1 AND quarter = $2 AND year = $3`,
-    [repId, quarter, year]
-  );
-  return rows[0] || { ...DEFAULTS };
+/** Invoice fetch for live KPIs on a page: gives up with no invoices rather than fail it. */
+function pageInvoices(label) {
+  return (from, to) => fetchInvoicesWithTimeout(from, to).catch((err) => {
+    console.error(`[kpi] ${label}: invoice fetch failed:`, err.message);
+    return [];
+  });
 }
 
 // ── GET /api/kpi/targets ──────────────────────────────────────────────────────
 
 router.get('/targets', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
   try {
+    const params = [];
+    const scopeSql = repScopeSql(await scopeFor(req), 'it.rep_id', params);
     const { rows } = await db.query(`
       SELECT it.*, u.name AS rep_name
       FROM incentive_targets it
       JOIN users u ON u.id = it.rep_id
+      WHERE ${scopeSql}
       ORDER BY u.name, it.year DESC, it.quarter DESC
-    `);
+    `, params);
     res.json(rows);
   } catch (err) {
     console.error('[kpi] GET targets error:', err.message);
@@ -231,7 +101,24 @@ router.get('/targets', requireAuth, requireRole('manager', 'executive'), async (
 
 // ── POST /api/kpi/targets ─────────────────────────────────────────────────────
 
-router.post('/targets', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+const auditKpiTarget = auditEntity(
+  'incentive_target',
+  async (id) => (await db.query('SELECT * FROM incentive_targets WHERE id = $1', [id])).rows[0] || null,
+  {
+    // Upserted by rep / quarter / year, so find the row being replaced (if any)
+    id: async (req) => {
+      const { rep_id, quarter, year } = req.body || {};
+      if (!rep_id || !quarter || !year) return null;
+      const { rows } = await db.query(
+        'SELECT id FROM incentive_targets WHERE rep_id = $1 AND quarter = $2 AND year = $3',
+        [parseInt(rep_id), parseInt(quarter), parseInt(year)]
+      );
+      return rows[0]?.id ?? null;
+    },
+  }
+);
+
+router.post('/targets', requireAuth, requireRole('manager', 'executive'), auditKpiTarget, async (req, res) => {
   try {
     const { rep_id, quarter, year, new_customers, reactivations, coverage_pct, growth_pct } = req.body;
 
@@ -239,6 +126,12 @@ router.post('/targets', requireAuth, requireRole('manager', 'executive'), async
       return res.status(400).json({ error: 'rep_id, quarter, and year are required' });
     }
     if (quarter < 1 || quarter > 4) return res.status(400).json({ error: 'Invalid quarter' });
+    if (!repInScope(await scopeFor(req), rep_id)) {
+      return res.status(403).json({ error: 'That rep isn\'t in your team' });
+    }
+    if (await incentives.isApproved(parseInt(rep_id), parseInt(quarter), parseInt(year))) {
+      return res.status(409).json({ error: `The Q${quarter} ${year} payout is approved, so its targets are locked` });
+    }
 
     const nc  = Math.max(0, parseInt(new_customers)  ?? DEFAULTS.new_customers);
     const r   = Math.max(0, parseInt(reactivations)  ?? DEFAULTS.reactivations);
@@ -269,23 +162,35 @@ router.post('/targets', requireAuth, requireRole('manager', 'executive'), async
 // ── GET /api/kpi/my ───────────────────────────────────────────────────────────
 
 router.get('/my', requireAuth, async (req, res) => {
+  const { quarter, year, error } = quarterParam(req.query);
+  if (error) return res.status(400).json({ error });
+
   try {
     const repId = req.session.userId;
-    const { quarter, year } = currentQuarter();
-    const { from, to } = get18mWindow();
-
-    const [invoices, targets] = await Promise.all([
-      fetchInvoicesWithTimeout(from, to).catch((err) => {
-        console.error('[kpi] my: invoice fetch failed:', err.message);
-        return [];
-      }),
-      getTargetsForRep(repId, quarter, year),
+    const [[kpis], plans] = await Promise.all([
+      snapshots.quarterKpis([{ id: repId, name: null }], quarter, year, { fetchInvoices: pageInvoices('my') }),
+      incentives.plansForReps([repId]),
     ]);
-
-    const actuals = await calcKpi(repId, invoices, targets, quarter, year);
-    const qLabel  = `Q${quarter} ${year}`;
-
-    res.json({ quarter, year, quarter_label: qLabel, targets, actuals });
+    const closed = snapshots.isClosed(quarter, year);
+
+    // Projected payout if the quarter ended on today's numbers
+    const plan = plans.get(repId);
+    const payout = plan && !closed
+      ? { plan_name: plan.name, ...incentives.calcPayout({ ...kpis.actuals, weekly_plans: kpis.weekly_plans }, plan) }
+      : null;
+
+    res.json({
+      quarter,
+      year,
+      quarter_label: `Q${quarter} ${year}`,
+      closed,
+      source:        kpis.source,
+      captured_at:   kpis.captured_at,
+      targets:       kpis.targets,
+      actuals:       kpis.actuals,
+      weekly_plans:  kpis.weekly_plans,
+      payout,
+    });
   } catch (err) {
     console.error('[kpi] GET my error:', err.message);
     res.status(500).json({ error: 'Failed to load KPI progress' });
@@ -295,34 +200,20 @@ router.get('/my', requireAuth, async (req, res) => {
 // ── GET /api/kpi/team ─────────────────────────────────────────────────────────
 
 router.get('/team', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
-  try {
-    const { quarter, year } = currentQuarter();
-    const { from, to } = get18mWindow();
-
-    const [invoices, { rows: reps }, { rows: allTargets }] = await Promise.all([
-      fetchInvoicesWithTimeout(from, to).catch((err) => {
-        console.error('[kpi] team: invoice fetch failed:', err.message);
-        return [];
-      }),
-      db.query(`SELECT id, name FROM users WHERE role = 'rep' AND active = TRUE ORDER BY name`),
-      db.query(
-        `SELECT * FROM incentive_targets WHERE quarter = $1 AND year = $2`,
-        [quarter, year]
-      ),
-    ]);
-
-    const targetsById = {};
-    for (const t of allTargets) targetsById[t.rep_id] = t;
+  const { quarter, year, error } = quarterParam(req.query);
+  if (error) return res.status(400).json({ error });
 
-    const repKpis = await Promise.all(
-      reps.map(async rep => {
-        const targets = targetsById[rep.id] || { ...DEFAULTS };
-        const actuals = await calcKpi(rep.id, invoices, targets, quarter, year);
-        return { rep_id: rep.id, name: rep.name, targets, actuals };
-      })
-    );
-
-    res.json({ quarter, year, quarter_label: `Q${quarter} ${year}`, reps: repKpis });
+  try {
+    const { rows: reps } = await teamReps(req, { quarter, year });
+    const kpis = await snapshots.quarterKpis(reps, quarter, year, { fetchInvoices: pageInvoices('team') });
+
+    res.json({
+      quarter,
+      year,
+      quarter_label: `Q${quarter} ${year}`,
+      closed:        snapshots.isClosed(quarter, year),
+      reps:          kpis,
+    });
   } catch (err) {
     console.error('[kpi] GET team error:', err.message);
     res.status(500).json({ error: 'Failed to load team KPIs' });
@@ -332,35 +223,27 @@ router.get('/team', requireAuth, requireRole('manager', 'executive'), async (req
 // ── GET /api/kpi/team/csv ─────────────────────────────────────────────────────
 
 router.get('/team/csv', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
-  try {
-    const { quarter, year } = currentQuarter();
-    const { from, to } = get18mWindow();
+  const { quarter, year, error } = quarterParam(req.query);
+  if (error) return res.status(400).json({ error });
 
-    const [invoices, { rows: reps }, { rows: allTargets }] = await Promise.all([
-      fetchInvoicesWithTimeout(from, to).catch(() => []),
-      db.query(`SELECT id, name FROM users WHERE role = 'rep' AND active = TRUE ORDER BY name`),
-      db.query(`SELECT * FROM incentive_targets WHERE quarter = $1 AND year = $2`, [quarter, year]),
+  try {
+    const { rows: reps } = await teamReps(req, { quarter, year });
+    const kpis = await snapshots.quarterKpis(reps, quarter, year, { fetchInvoices: pageInvoices('csv') });
+
+    const rows = kpis.map(({ name, actuals: a, weekly_plans: w }) => csvLine([
+      name,
+      a.new_customers.actual, a.new_customers.target,
+      a.reactivations.actual, a.reactivations.target,
+      `${a.coverage.covered}/${a.coverage.total}`, a.coverage.pct, a.coverage.target_pct,
+      a.weekly_plan.submitted ? 'Yes' : 'No', `${w.submitted}/${w.due}`,
+      a.growth.pct ?? 'N/A', a.growth.target_pct,
+    ]));
+
+    const header = csvLine([
+      'Rep', 'New Cust Actual', 'New Cust Target', 'Reactivations Actual', 'Reactivations Target',
+      'Coverage (visited/total)', 'Coverage %', 'Coverage Target %', 'Weekly Plan', 'Weeks Planned',
+      'Growth %', 'Growth Target %',
     ]);
-
-    const targetsById = {};
-    for (const t of allTargets) targetsById[t.rep_id] = t;
-
-    const rows = await Promise.all(
-      reps.map(async rep => {
-        const targets = targetsById[rep.id] || { ...DEFAULTS };
-        const a = await calcKpi(rep.id, invoices, targets, quarter, year);
-        return [
-          rep.name,
-          a.new_customers.actual, a.new_customers.target,
-          a.reactivations.actual, a.reactivations.target,
-          `${a.coverage.covered}/${a.coverage.total}`, `${a.coverage.pct}%`, `${a.coverage.target_pct}%`,
-          a.weekly_plan.submitted ? 'Yes' : 'No',
-          a.growth.pct !== null ? `${a.growth.pct}%` : 'N/A', `${a.growth.target_pct}%`,
-        ].join(',');
-      })
-    );
-
-    const header = 'Rep,New Cust Actual,New Cust Target,Reactivations Actual,Reactivations Target,Coverage (visited/total),Coverage %,Coverage Target,Weekly Plan,Growth %,Growth Target';
     const csv = [header, ...rows].join('\n');
 
     res.setHeader('Content-Type', 'text/csv');
@@ -372,6 +255,49 @@ router.get('/team/csv', requireAuth, requireRole('manager', 'executive'), async
   }
 });
 
+// ── GET /api/kpi/history ──────────────────────────────────────────────────────
+// Quarter over quarter for one rep. Reps see their own; managers their team's.
+
+router.get('/history', requireAuth, async (req, res) => {
+  const repId = req.query.rep_id ? parseInt(req.query.rep_id) : req.session.userId;
+  if (isNaN(repId)) return res.status(400).json({ error: 'Invalid rep_id' });
+  const count = req.query.quarters ? parseInt(req.query.quarters) : 4;
+  if (isNaN(count) || count < 1 || count > 12) return res.status(400).json({ error: 'quarters must be 1 to 12' });
+
+  try {
+    if (!repInScope(await scopeFor(req), repId)) {
+      return res.status(403).json({ error: 'That rep isn\'t in your team' });
+    }
+    const { rows: [rep] } = await db.query(`SELECT id, name FROM users WHERE id = $1 AND role = 'rep'`, [repId]);
+    if (!rep) return res.status(404).json({ error: 'Rep not found' });
+
+    const quarters = await snapshots.repHistory(rep, count, { fetchInvoices: pageInvoices('history') });
+    res.json({ rep_id: rep.id, name: rep.name, quarters });
+  } catch (err) {
+    console.error('[kpi] GET history error:', err.message);
+    res.status(500).json({ error: 'Failed to load KPI history' });
+  }
+});
+
+// ── POST /api/kpi/snapshots ───────────────────────────────────────────────────
+// Body: { quarter, year }. The quarter-close job does this for the quarter just
+// ended; this fills in a missed run. Existing snapshots are left alone.
+
+router.post('/snapshots', requireAuth, executiveOnly, async (req, res) => {
+  const { quarter, year, error } = quarterParam(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if (!snapshots.isClosed(quarter, year)) {
+    return res.status(409).json({ error: `Q${quarter} ${year} isn't over yet` });
+  }
+
+  try {
+    res.json(await snapshots.snapshotQuarter(quarter, year));
+  } catch (err) {
+    console.error('[kpi] POST snapshots error:', err.message);
+    res.status(500).json({ error: 'Failed to snapshot KPIs' });
+  }
+});
+
 // ── POST /api/kpi/weekly-plan ─────────────────────────────────────────────────
 
 router.post('/weekly-plan', requireAuth, async (req, res) => {
@@ -393,4 +319,219 @@ router.post('/weekly-plan', requireAuth, async (req, res) => {
   }
 });
 
+// ── Incentive plans ───────────────────────────────────────────────────────────
+
+const PLAN_SELECT = `
+  SELECT p.*,
+         COALESCE(json_agg(json_build_object('id', u.id, 'name', u.name) ORDER BY u.name)
+                  FILTER (WHERE u.id IS NOT NULL), '[]') AS reps
+  FROM incentive_plans p
+  LEFT JOIN users u ON u.incentive_plan_id = p.id AND u.role = 'rep' AND u.active = TRUE`;
+
+async function fetchPlan(id) {
+  const { rows } = await db.query(`${PLAN_SELECT} WHERE p.id = $1 GROUP BY p.id`, [id]);
+  return rows[0] ? incentives.planFromRow(rows[0]) : null;
+}
+
+const auditPlan = auditEntity('incentive_plan', fetchPlan);
+
+/** Save a parsed plan (insert when `id` is null), moving the default flag if it's set. */
+async function savePlan(id, plan, userId) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (plan.is_default) {
+      await client.query('UPDATE incentive_plans SET is_default = FALSE WHERE is_default AND id IS DISTINCT FROM $1', [id]);
+    }
+    const values = [
+      plan.name, plan.on_target_amount, JSON.stringify(plan.weights), plan.threshold_pct, plan.accelerator,
+      plan.cap_pct, plan.require_weekly_plans, plan.min_coverage_pct, plan.is_default,
+    ];
+    const { rows } = id === null
+      ? await client.query(`
+          INSERT INTO incentive_plans
+            (name, on_target_amount, weights, threshold_pct, accelerator, cap_pct,
+             require_weekly_plans, min_coverage_pct, is_default, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING id
+        `, [...values, userId])
+      : await client.query(`
+          UPDATE incentive_plans
+          SET name = $1, on_target_amount = $2, weights = $3, threshold_pct = $4, accelerator = $5,
+              cap_pct = $6, require_weekly_plans = $7, min_coverage_pct = $8, is_default = $9,
+              updated_at = NOW()
+          WHERE id = $10
+          RETURNING id
+        `, [...values, id]);
+    await client.query('COMMIT');
+    return rows[0]?.id ?? null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── GET /api/kpi/plans ────────────────────────────────────────────────────────
+// Managers see every plan but only their own reps on each.
+router.get('/plans', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    const params = [];
+    const scopeSql = repScopeSql(await scopeFor(req), 'u.id', params);
+    const { rows } = await db.query(`
+      SELECT p.*,
+             COALESCE(json_agg(json_build_object('id', u.id, 'name', u.name) ORDER BY u.name)
+                      FILTER (WHERE u.id IS NOT NULL AND ${scopeSql}), '[]') AS reps
+      FROM incentive_plans p
+      LEFT JOIN users u ON u.incentive_plan_id = p.id AND u.role = 'rep' AND u.active = TRUE
+      GROUP BY p.id
+      ORDER BY p.is_default DESC, p.name
+    `, params);
+    res.json(rows.map(incentives.planFromRow));
+  } catch (err) {
+    console.error('[kpi] GET plans error:', err.message);
+    res.status(500).json({ error: 'Failed to load incentive plans' });
+  }
+});
+
+// ── POST /api/kpi/plans ───────────────────────────────────────────────────────
+router.post('/plans', requireAuth, executiveOnly, auditPlan, async (req, res) => {
+  try {
+    const { plan, error } = incentives.parsePlan(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const id = await savePlan(null, plan, req.session.userId);
+    res.status(201).json(await fetchPlan(id));
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A plan with that name already exists' });
+    console.error('[kpi] POST plans error:', err.message);
+    res.status(500).json({ error: 'Failed to create incentive plan' });
+  }
+});
+
+// ── PUT /api/kpi/plans/:id ────────────────────────────────────────────────────
+// Approved statements keep the settings they were approved under.
+router.put('/plans/:id', requireAuth, executiveOnly, auditPlan, async (req, res) => {
+  const planId = parseInt(req.params.id);
+  if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan id' });
+
+  try {
+    const { plan, error } = incentives.parsePlan(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const id = await savePlan(planId, plan, req.session.userId);
+    if (!id) return res.status(404).json({ error: 'Plan not found' });
+    res.json(await fetchPlan(id));
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A plan with that name already exists' });
+    console.error('[kpi] PUT plans error:', err.message);
+    res.status(500).json({ error: 'Failed to update incentive plan' });
+  }
+});
+
+// ── PUT /api/kpi/plans/:id/reps ───────────────────────────────────────────────
+// Body: { rep_ids: [...] } — the plan's full rep list. Reps listed here move
+// from any other plan; reps left out go back to the default plan.
+router.put('/plans/:id/reps', requireAuth, executiveOnly, auditPlan, async (req, res) => {
+  const planId = parseInt(req.params.id);
+  if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan id' });
+  const repIds = req.body?.rep_ids;
+  if (!Array.isArray(repIds) || repIds.some((id) => !Number.isInteger(id))) {
+    return res.status(400).json({ error: 'rep_ids must be a list of user ids' });
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [exists] } = await client.query('SELECT id FROM incentive_plans WHERE id = $1 FOR UPDATE', [planId]);
+    if (!exists) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    const { rows: reps } = await client.query(
+      `SELECT id FROM users WHERE id = ANY($1::INTEGER[]) AND role = 'rep'`, [repIds]
+    );
+    if (reps.length !== new Set(repIds).size) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'rep_ids must all be reps' });
+    }
+
+    await client.query(
+      `UPDATE users SET incentive_plan_id = NULL WHERE incentive_plan_id = $1 AND NOT (id = ANY($2::INTEGER[]))`,
+      [planId, repIds]
+    );
+    await client.query(`UPDATE users SET incentive_plan_id = $1 WHERE id = ANY($2::INTEGER[])`, [planId, repIds]);
+    await client.query('COMMIT');
+    res.json(await fetchPlan(planId));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[kpi] PUT plan reps error:', err.message);
+    res.status(500).json({ error: 'Failed to update plan reps' });
+  } finally {
+    client.release();
+  }
+});
+
+// ── Payout statements ─────────────────────────────────────────────────────────
+
+// ── GET /api/kpi/statements ───────────────────────────────────────────────────
+// Approved statements as locked; everyone else's worked out from the quarter's
+// KPIs (its snapshots once it's closed).
+router.get('/statements', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+  const { quarter, year, error } = quarterParam(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { rows: reps } = await teamReps(req, { quarter, year });
+    const statements = await incentives.quarterStatements(reps, quarter, year);
+    res.json({
+      quarter,
+      year,
+      quarter_label: `Q${quarter} ${year}`,
+      closed:        snapshots.isClosed(quarter, year),
+      statements,
+    });
+  } catch (err) {
+    console.error('[kpi] GET statements error:', err.message);
+    res.status(500).json({ error: 'Failed to load payout statements' });
+  }
+});
+
+// ── POST /api/kpi/statements/approve ──────────────────────────────────────────
+// Body: { rep_id, quarter, year }
+router.post('/statements/approve', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+  const { quarter, year, error } = quarterParam(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const repId = parseInt(req.body?.rep_id);
+  if (isNaN(repId)) return res.status(400).json({ error: 'rep_id is required' });
+
+  try {
+    if (!repInScope(await scopeFor(req), repId)) {
+      return res.status(403).json({ error: 'That rep isn\'t in your team' });
+    }
+    const result = await incentives.approveStatement(repId, quarter, year, req.session.userId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json(result.statement);
+  } catch (err) {
+    console.error('[kpi] approve statement error:', err.message);
+    res.status(500).json({ error: 'Failed to approve payout statement' });
+  }
+});
+
+// ── GET /api/kpi/statements/csv ───────────────────────────────────────────────
+
+router.get('/statements/csv', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+  const { quarter, year, error } = quarterParam(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const csv = await incentives.payrollCsv(quarter, year, await scopeFor(req));
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="payouts-Q${quarter}-${year}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error('[kpi] payroll CSV error:', err.message);
+    res.status(500).json({ error: 'Failed to generate payroll CSV' });
+  }
+});
+
 module.exports = router;
@@ -3,33 +3,30 @@
 /**
  * Call Planner routes.
  *
- * GET  /api/planner/week?week=YYYY-MM-DD[&rep_id=N]  – get plan for a week
- * POST /api/planner/generate                          – auto-generate plan
+ * GET  /api/planner/week?week=YYYY-MM-DD[&rep_id=N]  – get plan for a week (+ est. drive km per day)
+ * POST /api/planner/generate                          – auto-generate plan, routed from the rep's home base
  * GET  /api/planner/overdue-stores?q=&rep_id=         – store search for manual add
  * POST /api/planner/items                             – add store manually
  * PATCH /api/planner/items/:id                        – update item (day/position/status/time)
  * DELETE /api/planner/items/:id                       – remove item
  * POST /api/planner/submit                            – submit week (sets weekly_plans flag)
  * GET  /api/planner/team?week=YYYY-MM-DD              – manager: all reps summary
+ *
+ * Managers plan for (and see) the reps in their teams; rep_id outside them is a 403.
  */
 
 const express = require('express');
 const { requireAuth, requireRole } = require('../middleware/auth');
 const db = require('../db');
+const {
+  visitsNeeded, isoMonday, quarterWeeks, planDays, routeDistanceKm, visitSlot, scheduleQuarter,
+} = require('../services/planner');
+const { scopeFor, repInScope, repScopeSql } = require('../services/teamScope');
 
 const router = express.Router();
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-/** Returns the ISO Monday of the week containing the given date string YYYY-MM-DD */
-function isoMonday(dateStr) {
-  const d = new Date(dateStr + 'T00:00:00Z');
-  const day = d.getUTCDay(); // 0=Sun, 1=Mon, ..., 6=Sat
-  const diff = day === 0 ? -6 : 1 - day;
-  d.setUTCDate(d.getUTCDate() + diff);
-  return d.toISOString().slice(0, 10);
-}
-
 function currentWeek() {
   return isoMonday(new Date().toISOString().slice(0, 10));
 }
@@ -39,21 +36,22 @@ function currentQuarter() {
   return { quarter: Math.ceil((now.getMonth() + 1) / 3), year: now.getFullYear() };
 }
 
-/** Returns array of ISO Monday strings for every week whose Monday falls in the given quarter */
-function quarterWeeks(quarter, year) {
-  const monthStart = (quarter - 1) * 3;
-  const qEnd = new Date(Date.UTC(year, monthStart + 3, 0));
-  let d = new Date(Date.UTC(year, monthStart, 1));
-  const dow = d.getUTCDay();
-  if (dow !== 1) d.setUTCDate(d.getUTCDate() + (dow === 0 ? 1 : 8 - dow));
-  const weeks = [];
-  while (d <= qEnd) {
-    weeks.push(d.toISOString().slice(0, 10));
-    d = new Date(d); d.setUTCDate(d.getUTCDate() + 7);
-  }
-  return weeks;
+/** Rep's home base ({ latitude, longitude }) or null when no home postcode is set. */
+async function repHomeBase(repId) {
+  const { rows: [u] } = await db.query(
+    `SELECT home_latitude AS latitude, home_longitude AS longitude FROM users WHERE id = $1`,
+    [repId]
+  );
+  return u && u.latitude !== null && u.longitude !== null ? u : null;
 }
 
+/** Whether the signed-in user may see or change this rep's plan. */
+async function canPlanFor(req, repId) {
+  return repId === req.session.userId || repInScope(await scopeFor(req), repId);
+}
+
+const NOT_IN_TEAM = 'That rep isn\'t in your team';
+
 function fmtWeekLabel(w) {
   const mon = new Date(w + 'T00:00:00Z');
   const fri = new Date(w + 'T00:00:00Z');
@@ -71,12 +69,14 @@ router.get('/week', requireAuth, async (req, res) => {
     const repId = isManager && req.query.rep_id
       ? parseInt(req.query.rep_id)
       : req.session.userId;
+    if (!await canPlanFor(req, repId)) return res.status(403).json({ error: NOT_IN_TEAM });
 
     const { rows: items } = await db.query(`
       SELECT
         cpi.id, cpi.store_id, cpi.day_of_week, cpi.position,
         cpi.status, cpi.confirmed_time, cpi.notes,
         s.name AS store_name, s.grade, s.is_prospect, s.state, s.postcode, s.channel_type,
+        s.latitude, s.longitude,
         (SELECT MAX(v.visited_at) FROM visits v WHERE v.store_id = cpi.store_id) AS last_visit,
         GREATEST(0,
           EXTRACT(DAY FROM (NOW() - COALESCE(
@@ -100,7 +100,12 @@ router.get('/week', requireAuth, async (req, res) => {
       (days[item.day_of_week] = days[item.day_of_week] || []).push(item);
     }
 
-    res.json({ week, rep_id: repId, submitted: !!planRow, days });
+    // Estimated drive distance per day, in the current stop order
+    const home = await repHomeBase(repId);
+    const dayDistanceKm = {};
+    for (const [d, dayItems] of Object.entries(days)) dayDistanceKm[d] = routeDistanceKm(dayItems, home);
+
+    res.json({ week, rep_id: repId, submitted: !!planRow, days, day_distance_km: dayDistanceKm, home_base: !!home });
   } catch (err) {
     console.error('[planner] week error:', err.message);
     res.status(500).json({ error: err.message });
@@ -119,6 +124,7 @@ router.get('/quarter', requireAuth, async (req, res) => {
     const repId = isManager && req.query.rep_id
       ? parseInt(req.query.rep_id)
       : req.session.userId;
+    if (!await canPlanFor(req, repId)) return res.status(403).json({ error: NOT_IN_TEAM });
 
     const weeks = quarterWeeks(q, yr);
     const wFirst = weeks[0], wLast = weeks[weeks.length - 1];
@@ -185,52 +191,13 @@ router.get('/quarter', requireAuth, async (req, res) => {
   }
 });
 
-// ── Shared: cluster stores geographically and assign to 5 days ────────────────
-
-function clusterIntoDays(stores) {
-  const MAX_PER_DAY = 8;
-  const clusterMap  = new Map();
-  for (const s of stores) {
-    const key = `${s.state || 'ZZZ'}::${(s.postcode || '').slice(0, 3)}`;
-    if (!clusterMap.has(key)) clusterMap.set(key, []);
-    clusterMap.get(key).push(s);
-  }
-  const sortedClusters = [...clusterMap.entries()]
-    .sort(([a], [b]) => a.localeCompare(b))
-    .map(([, cs]) => {
-      cs.sort((a, b) => {
-        const pa = (a.postcode || ''), pb = (b.postcode || '');
-        if (pa !== pb) return pa.localeCompare(pb);
-        const ga = a.grade === 'A' ? 0 : a.grade === 'B' ? 1 : 2;
-        const gb = b.grade === 'A' ? 0 : b.grade === 'B' ? 1 : 2;
-        return ga - gb;
-      });
-      return cs;
-    });
-
-  const dayBuckets = [[], [], [], [], []];
-  let dayIdx = 0;
-  outer: for (const cluster of sortedClusters) {
-    for (const s of cluster) {
-      if (dayBuckets[dayIdx].length >= MAX_PER_DAY) {
-        if (++dayIdx >= 5) break outer;
-      }
-      dayBuckets[dayIdx].push(s);
-    }
-  }
-  // Within each day sort by full postcode ascending
-  for (const bucket of dayBuckets) {
-    bucket.sort((a, b) => (a.postcode || '').localeCompare(b.postcode || ''));
-  }
-  return dayBuckets;
-}
-
 // ── POST /api/planner/generate ────────────────────────────────────────────────
 
 router.post('/generate', requireAuth, async (req, res) => {
   try {
     const isManager = ['manager', 'executive'].includes(req.session.role);
     const repId = isManager && req.body.rep_id ? parseInt(req.body.rep_id) : req.session.userId;
+    if (!await canPlanFor(req, repId)) return res.status(403).json({ error: NOT_IN_TEAM });
     const scope = req.body.scope || 'week';
 
     // ── Quarter-wide generate ────────────────────────────────────────────────
@@ -242,8 +209,6 @@ router.post('/generate', requireAuth, async (req, res) => {
 
       const qFrom    = weeks[0];                          // e.g. 2026-01-05 (first Monday)
       const qLast    = weeks[weeks.length - 1];           // last Monday of quarter
-      const qStartMs = new Date(qFrom   + 'T00:00:00Z').getTime();
-      const qEndMs   = new Date(qLast   + 'T23:59:59Z').getTime();
 
       // Quarter calendar bounds (to catch visits before first Monday)
       const monthStart = (q - 1) * 3;
@@ -259,7 +224,7 @@ router.post('/generate', requireAuth, async (req, res) => {
       // 2. All active graded stores (with last visit from all time for interval calc)
       const { rows: stores } = await db.query(`
         SELECT
-          s.id AS store_id, s.name, s.grade, s.state, s.postcode,
+          s.id AS store_id, s.name, s.grade, s.state, s.postcode, s.latitude, s.longitude,
           (SELECT MAX(v.visited_at) FROM visits v WHERE v.store_id = s.id) AS last_visit
         FROM stores s
         WHERE s.rep_id = $1 AND s.active = TRUE AND s.is_prospect = FALSE AND s.grade IN ('A','B','C')
@@ -292,15 +257,10 @@ router.post('/generate', requireAuth, async (req, res) => {
       //    day_of_week derived from actual visit day (Mon=1…Fri=5, clamp weekend→Fri).
       let completedInserted = 0;
       for (const v of qVisits) {
-        const visitDate  = new Date(v.visited_at);
-        const visitWeek  = isoMonday(visitDate.toISOString().slice(0, 10));
+        const { week: visitWeek, dayOfWeek } = visitSlot(v.visited_at);
         // Only insert if this week is within our quarter weeks range
         if (visitWeek < qFrom || visitWeek > qLast) continue;
 
-        const jsDow  = visitDate.getUTCDay(); // 0=Sun, 1=Mon…6=Sat
-        // Map to Mon=1…Fri=5, clamp Sun→Mon, Sat→Fri
-        const dayOfWeek = jsDow === 0 ? 1 : jsDow === 6 ? 5 : jsDow;
-
         await db.query(`
           INSERT INTO call_plan_items (rep_id, store_id, planned_week, day_of_week, position, status)
           VALUES ($1, $2, $3, $4, 1, 'completed')
@@ -317,61 +277,15 @@ router.post('/generate', requireAuth, async (req, res) => {
       `, [repId, qFrom, qLast]);
       const committedSet = new Set(committed.map(c => `${c.store_id}:${String(c.planned_week).slice(0, 10)}`));
 
-      const INTERVAL_A  = 42 * 86400000; // 6 weeks ms
-      const INTERVAL_BC = 84 * 86400000; // 12 weeks ms
-
       // 6. Build suggested visit schedule, accounting for real visits already done
-      const weekBuckets = new Map();
-      for (const w of weeks) weekBuckets.set(w, []);
-
-      for (const store of stores) {
-        const interval     = store.grade === 'A' ? INTERVAL_A : INTERVAL_BC;
-        const visitsDone   = quarterVisits.get(store.store_id) || [];
-        const visitsNeeded = store.grade === 'A' ? 2 : 1;
-
-        // Collect due dates for remaining visits
-        const dueDates = [];
-
-        if (visitsDone.length === 0) {
-          // Not visited yet — use last visit from all time to compute first due
-          const lastVisitMs = store.last_visit ? new Date(store.last_visit).getTime() : null;
-          const firstDueMs  = lastVisitMs
-            ? Math.max(qStartMs, lastVisitMs + interval)
-            : qStartMs;
-          if (firstDueMs <= qEndMs) dueDates.push(firstDueMs);
-
-          // A stores: second visit 6 weeks after first
-          if (store.grade === 'A' && dueDates.length > 0) {
-            const secondDueMs = dueDates[0] + INTERVAL_A;
-            if (secondDueMs <= qEndMs) dueDates.push(secondDueMs);
-          }
-        } else if (visitsDone.length < visitsNeeded) {
-          // Partially covered — schedule remaining visits from last actual visit
-          const lastVisitMs = visitsDone[visitsDone.length - 1].getTime();
-          const nextDueMs   = lastVisitMs + interval;
-          if (nextDueMs <= qEndMs) dueDates.push(nextDueMs);
-        }
-        // If visitsDone.length >= visitsNeeded → fully covered, nothing to schedule
+      const weekBuckets = scheduleQuarter(weeks, stores, quarterVisits, committedSet);
 
-        for (const dueMs of dueDates) {
-          // Find first quarter week on or after the due date
-          let targetWeek = null;
-          for (const w of weeks) {
-            if (new Date(w + 'T00:00:00Z').getTime() >= dueMs) { targetWeek = w; break; }
-          }
-          if (!targetWeek) continue;
-          if (committedSet.has(`${store.store_id}:${targetWeek}`)) continue;
-          const bucket = weekBuckets.get(targetWeek);
-          if (bucket.some(s => s.store_id === store.store_id)) continue;
-          bucket.push({ ...store });
-        }
-      }
-
-      // 7. Insert suggested items with geographic clustering per week
+      // 7. Insert suggested items, clustered into days and routed from home per week
+      const home = await repHomeBase(repId);
       let totalInserted = 0, weeksPlanned = 0;
       for (const [week, wStores] of weekBuckets) {
         if (wStores.length === 0) continue;
-        const dayBuckets = clusterIntoDays(wStores);
+        const dayBuckets = planDays(wStores, home);
         for (let d = 0; d < 5; d++) {
           for (let pos = 0; pos < dayBuckets[d].length; pos++) {
             await db.query(`
@@ -387,9 +301,8 @@ router.post('/generate', requireAuth, async (req, res) => {
 
       const completedStores = quarterVisits.size;
       const storesRemaining = stores.filter(s => {
-        const done   = (quarterVisits.get(s.store_id) || []).length;
-        const needed = s.grade === 'A' ? 2 : 1;
-        return done < needed;
+        const done = (quarterVisits.get(s.store_id) || []).length;
+        return done < visitsNeeded(s.grade);
       }).length;
 
       return res.json({
@@ -406,7 +319,7 @@ router.post('/generate', requireAuth, async (req, res) => {
 
     const { rows: overdue } = await db.query(`
       SELECT
-        s.id AS store_id, s.name, s.grade, s.state, s.postcode,
+        s.id AS store_id, s.name, s.grade, s.state, s.postcode, s.latitude, s.longitude,
         GREATEST(0,
           EXTRACT(DAY FROM (NOW() - COALESCE(
             (SELECT MAX(v.visited_at) FROM visits v WHERE v.store_id = s.id),
@@ -449,7 +362,8 @@ router.post('/generate', requireAuth, async (req, res) => {
       return res.json({ ok: true, generated: 0, overdue_total: overdue.length, message: 'All overdue stores already in plan' });
     }
 
-    const dayBuckets = clusterIntoDays(itemsToInsert);
+    const home = await repHomeBase(repId);
+    const dayBuckets = planDays(itemsToInsert, home);
     let inserted = 0;
     for (let d = 0; d < 5; d++) {
       for (let pos = 0; pos < dayBuckets[d].length; pos++) {
@@ -462,7 +376,11 @@ router.post('/generate', requireAuth, async (req, res) => {
       }
     }
 
-    res.json({ ok: true, generated: inserted, overdue_total: overdue.length });
+    const distanceKm = dayBuckets.reduce((sum, day) => sum + (routeDistanceKm(day, home) || 0), 0);
+    res.json({
+      ok: true, generated: inserted, overdue_total: overdue.length,
+      distance_km: Math.round(distanceKm * 10) / 10, home_base: !!home,
+    });
   } catch (err) {
     console.error('[planner] generate error:', err.message);
     res.status(500).json({ error: err.message });
@@ -476,6 +394,7 @@ router.get('/overdue-stores', requireAuth, async (req, res) => {
   try {
     const isManager = ['manager', 'executive'].includes(req.session.role);
     const repId = isManager && req.query.rep_id ? parseInt(req.query.rep_id) : req.session.userId;
+    if (!await canPlanFor(req, repId)) return res.status(403).json({ error: NOT_IN_TEAM });
     const q = (req.query.q || '').toLowerCase().trim();
 
     const { rows } = await db.query(`
@@ -507,6 +426,7 @@ router.post('/items', requireAuth, async (req, res) => {
     const isManager = ['manager', 'executive'].includes(req.session.role);
     const { store_id, day_of_week, notes } = req.body;
     const repId = isManager && req.body.rep_id ? parseInt(req.body.rep_id) : req.session.userId;
+    if (!await canPlanFor(req, repId)) return res.status(403).json({ error: NOT_IN_TEAM });
     const week  = req.body.planned_week ? isoMonday(req.body.planned_week) : currentWeek();
 
     if (!store_id || !day_of_week) {
@@ -550,13 +470,12 @@ router.post('/items', requireAuth, async (req, res) => {
 router.patch('/items/:id', requireAuth, async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
-    const isManager = ['manager', 'executive'].includes(req.session.role);
 
     const { rows: [item] } = await db.query(
       `SELECT * FROM call_plan_items WHERE id = $1`, [itemId]
     );
     if (!item) return res.status(404).json({ error: 'Item not found' });
-    if (!isManager && item.rep_id !== req.session.userId) {
+    if (!await canPlanFor(req, item.rep_id)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -613,13 +532,12 @@ router.patch('/items/:id', requireAuth, async (req, res) => {
 router.delete('/items/:id', requireAuth, async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
-    const isManager = ['manager', 'executive'].includes(req.session.role);
 
     const { rows: [item] } = await db.query(
       `SELECT rep_id FROM call_plan_items WHERE id = $1`, [itemId]
     );
     if (!item) return res.status(404).json({ error: 'Item not found' });
-    if (!isManager && item.rep_id !== req.session.userId) {
+    if (!await canPlanFor(req, item.rep_id)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -640,6 +558,7 @@ router.post('/move-day', requireAuth, async (req, res) => {
     const isManager = ['manager', 'executive'].includes(req.session.role);
     const { from_week, from_day, to_week, to_day } = req.body;
     const repId = isManager && req.body.rep_id ? parseInt(req.body.rep_id) : req.session.userId;
+    if (!await canPlanFor(req, repId)) return res.status(403).json({ error: NOT_IN_TEAM });
 
     if (!from_week || !from_day || !to_week || !to_day) {
       return res.status(400).json({ error: 'from_week, from_day, to_week, to_day required' });
@@ -702,6 +621,7 @@ router.post('/submit', requireAuth, async (req, res) => {
     const isManager = ['manager', 'executive'].includes(req.session.role);
     const week  = req.body.week ? isoMonday(req.body.week) : currentWeek();
     const repId = isManager && req.body.rep_id ? parseInt(req.body.rep_id) : req.session.userId;
+    if (!await canPlanFor(req, repId)) return res.status(403).json({ error: NOT_IN_TEAM });
 
     await db.query(`
       INSERT INTO weekly_plans (rep_id, week_start)
@@ -722,11 +642,13 @@ router.get('/team', requireAuth, requireRole('manager', 'executive'), async (req
   try {
     const week = req.query.week ? isoMonday(req.query.week) : currentWeek();
 
+    const params = [];
+    const scopeSql = repScopeSql(await scopeFor(req), 'id', params);
     const { rows: reps } = await db.query(`
       SELECT id, name FROM users
-      WHERE active = TRUE AND role = 'rep'
+      WHERE active = TRUE AND role = 'rep' AND ${scopeSql}
       ORDER BY name
-    `);
+    `, params);
 
     const result = await Promise.all(reps.map(async (rep) => {
       const [{ rows: [summary] }, { rows: [planRow] }] = await Promise.all([
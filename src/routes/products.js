@@ -3,7 +3,7 @@
 const express = require('express');
 const { requireRole } = require('../middleware/auth');
 const db = require('../db');
-const { fetchInvoices } = require('../services/sync');
+const { fetchInvoices, fetchItemBrandMap } = require('../services/sync');
 const {
   computeOverview,
   computeSkuDetail,
@@ -111,4 +111,122 @@ router.get('/store/:storeId/behaviour', requireRole('manager', 'executive'), asy
   }
 });
 
+// ── Focus lines ───────────────────────────────────────────────────────────────
+// Brands / SKUs the team is pushing for a date range. Drives the focus_line
+// alert (see alertEngine T2-4) — a line only alerts while it is current.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const FOCUS_LINE_COLUMNS = `
+  id, kind, brand, sku, label,
+  to_char(starts_on, 'YYYY-MM-DD') AS starts_on,
+  to_char(ends_on,   'YYYY-MM-DD') AS ends_on,
+  created_at, updated_at`;
+
+// Validate start / end dates (end optional, not before start). Returns an error string or null.
+function checkFocusDates(startsOn, endsOn) {
+  if (startsOn && !DATE_RE.test(startsOn)) return 'starts_on must be YYYY-MM-DD';
+  if (endsOn   && !DATE_RE.test(endsOn))   return 'ends_on must be YYYY-MM-DD';
+  if (startsOn && endsOn && endsOn < startsOn) return 'ends_on must be on or after starts_on';
+  return null;
+}
+
+// GET /api/products/focus-lines — all focus lines (newest first) + known brand names
+router.get('/focus-lines', managerOnly, async (req, res) => {
+  try {
+    const [{ rows }, brandMap] = await Promise.all([
+      db.query(`SELECT ${FOCUS_LINE_COLUMNS} FROM focus_lines ORDER BY starts_on DESC, id DESC`),
+      fetchItemBrandMap().catch(() => new Map()),
+    ]);
+    const brands = [...new Set(brandMap.values())].sort((a, b) => a.localeCompare(b));
+    res.json({ lines: rows, brands });
+  } catch (err) {
+    console.error('Focus lines list error:', err.message);
+    res.status(500).json({ error: 'Failed to load focus lines' });
+  }
+});
+
+// POST /api/products/focus-lines
+// Body: { kind: 'brand'|'sku', brand?, sku?, label?, starts_on?, ends_on? }
+router.post('/focus-lines', managerOnly, async (req, res) => {
+  const { kind, label, starts_on, ends_on } = req.body;
+  const brand = (req.body.brand || '').trim() || null;
+  const sku   = (req.body.sku   || '').trim() || null;
+
+  if (!['brand', 'sku'].includes(kind)) return res.status(400).json({ error: 'kind must be brand or sku' });
+  if (kind === 'brand' && !brand) return res.status(400).json({ error: 'brand is required' });
+  if (kind === 'sku'   && !sku)   return res.status(400).json({ error: 'sku is required' });
+  const dateError = checkFocusDates(starts_on, ends_on);
+  if (dateError) return res.status(400).json({ error: dateError });
+
+  try {
+    const { rows } = await db.query(`
+      INSERT INTO focus_lines (kind, brand, sku, label, starts_on, ends_on, created_by)
+      VALUES ($1, $2, $3, $4, COALESCE($5::DATE, CURRENT_DATE), $6, $7)
+      RETURNING ${FOCUS_LINE_COLUMNS}
+    `, [
+      kind,
+      kind === 'brand' ? brand : null,
+      kind === 'sku'   ? sku   : null,
+      (label || '').trim() || null,
+      starts_on || null,
+      ends_on   || null,
+      req.session.userId,
+    ]);
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === '23514') return res.status(400).json({ error: 'ends_on must be on or after starts_on' });
+    console.error('Focus line create error:', err.message);
+    res.status(500).json({ error: 'Failed to create focus line' });
+  }
+});
+
+// PATCH /api/products/focus-lines/:id — update label / dates (ends_on: null = open-ended)
+router.patch('/focus-lines/:id', managerOnly, async (req, res) => {
+  const lineId = parseInt(req.params.id);
+  if (isNaN(lineId)) return res.status(400).json({ error: 'Invalid focus line id' });
+
+  const { label, starts_on, ends_on } = req.body;
+  const dateError = checkFocusDates(starts_on, ends_on);
+  if (dateError) return res.status(400).json({ error: dateError });
+
+  try {
+    const { rows } = await db.query(`
+      UPDATE focus_lines
+      SET label      = CASE WHEN $2::BOOLEAN THEN $3 ELSE label END,
+          starts_on  = COALESCE($4::DATE, starts_on),
+          ends_on    = CASE WHEN $5::BOOLEAN THEN $6::DATE ELSE ends_on END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${FOCUS_LINE_COLUMNS}
+    `, [
+      lineId,
+      label !== undefined, (label || '').trim() || null,
+      starts_on || null,
+      ends_on !== undefined, ends_on || null,
+    ]);
+    if (!rows[0]) return res.status(404).json({ error: 'Focus line not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    if (err.code === '23514') return res.status(400).json({ error: 'ends_on must be on or after starts_on' });
+    console.error('Focus line update error:', err.message);
+    res.status(500).json({ error: 'Failed to update focus line' });
+  }
+});
+
+// DELETE /api/products/focus-lines/:id
+router.delete('/focus-lines/:id', managerOnly, async (req, res) => {
+  const lineId = parseInt(req.params.id);
+  if (isNaN(lineId)) return res.status(400).json({ error: 'Invalid focus line id' });
+
+  try {
+    const { rowCount } = await db.query(`DELETE FROM focus_lines WHERE id = $1`, [lineId]);
+    if (!rowCount) return res.status(404).json({ error: 'Focus line not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Focus line delete error:', err.message);
+    res.status(500).json({ error: 'Failed to delete focus line' });
+  }
+});
+
 module.exports = router;
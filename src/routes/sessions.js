@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Active sign-in sessions (executives only), read from the connect-pg-simple
+ * `session` table. Sessions are identified by a SHA-256 of their id so the
+ * list never exposes anything that could be replayed as a cookie.
+ *
+ * GET    /api/sessions      – signed-in sessions that haven't expired, most recently active first
+ * DELETE /api/sessions/:id  – sign that session out
+ */
+
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const db = require('../db');
+
+const router = express.Router();
+const executiveOnly = requireRole('executive');
+
+const SESSION_HASH = `encode(sha256(convert_to(s.sid, 'UTF8')), 'hex')`;
+
+// Sessions roll forward on each request, so last activity is the expiry less
+// the cookie's lifetime (the store rounds expiry up to the second, hence LEAST).
+// `mfa` is how the second factor was met at sign-in.
+const SESSION_COLS = `
+  ${SESSION_HASH}                               AS id,
+  s.sid = $1                                    AS current,
+  (s.sess->>'userId')::INT                      AS user_id,
+  u.name                                        AS user_name,
+  u.email                                       AS user_email,
+  COALESCE(u.role, s.sess->>'role')             AS role,
+  s.sess->>'ip'                                 AS ip,
+  s.sess->>'userAgent'                          AS user_agent,
+  s.sess->>'mfa'                                AS two_factor,
+  (s.sess->>'signedInAt')::TIMESTAMPTZ          AS signed_in_at,
+  LEAST(NOW(), s.expire::TIMESTAMPTZ - make_interval(secs => COALESCE((s.sess->'cookie'->>'originalMaxAge')::NUMERIC, 0) / 1000))
+                                                AS last_active_at,
+  s.expire::TIMESTAMPTZ                         AS expires_at`;
+
+async function fetchSession(id, req) {
+  const { rows } = await db.query(`
+    SELECT ${SESSION_COLS}
+    FROM "session" s
+    LEFT JOIN users u ON u.id = (s.sess->>'userId')::INT
+    WHERE ${SESSION_HASH} = $2
+  `, [req.sessionID || '', id]);
+  return rows[0] || null;
+}
+
+const auditSession = auditEntity('session', fetchSession);
+
+// ── GET /api/sessions ─────────────────────────────────────────────────────────
+// Query: user_id (optional).
+router.get('/', executiveOnly, async (req, res) => {
+  const params = [req.sessionID || ''];
+  let userFilter = '';
+  if (req.query.user_id) {
+    const userId = parseInt(req.query.user_id);
+    if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+    params.push(String(userId));
+    userFilter = `AND s.sess->>'userId' = $2`;
+  }
+
+  try {
+    const { rows } = await db.query(`
+      SELECT ${SESSION_COLS}
+      FROM "session" s
+      LEFT JOIN users u ON u.id = (s.sess->>'userId')::INT
+      WHERE s.expire > NOW() AND s.sess->>'userId' IS NOT NULL ${userFilter}
+      ORDER BY last_active_at DESC
+    `, params);
+    res.json(rows);
+  } catch (err) {
+    console.error('[sessions] list error:', err.message);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+});
+
+// ── DELETE /api/sessions/:id ──────────────────────────────────────────────────
+router.delete('/:id', executiveOnly, auditSession, async (req, res) => {
+  const id = String(req.params.id);
+  if (!/^[0-9a-f]{64}$/.test(id)) return res.status(400).json({ error: 'Invalid session id' });
+
+  try {
+    const { rows: [revoked] } = await db.query(`
+      DELETE FROM "session" s WHERE ${SESSION_HASH} = $1
+      RETURNING (s.sess->>'userId')::INT AS user_id
+    `, [id]);
+    if (!revoked) return res.status(404).json({ error: 'Session not found — it may have already ended' });
+    console.log(`[sessions] Session for user ${revoked.user_id} revoked by user ${req.session.userId}`);
+    res.json({ ok: true, user_id: revoked.user_id });
+  } catch (err) {
+    console.error('[sessions] revoke error:', err.message);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,14 @@
 
 const express = require('express');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
 const db = require('../db');
 const { fetchInvoices, invAmount } = require('../services/sync');
+const { fetchNoOrderStreaks } = require('../services/visitOutcomes');
+const { scopeFor, repInScope, storeInScope, storeScopeSql } = require('../services/teamScope');
+const {
+  parseTransfer, previewTransfer, applyTransfer, writeTransferToZoho, fetchTransfers, fetchStoreAssignments,
+} = require('../services/territory');
 
 const router = express.Router();
 
@@ -35,6 +41,35 @@ function monthBounds(ym) {
   return { from: `${y}-${pad(m)}-01`, to: `${y}-${pad(m)}-${pad(last)}` };
 }
 
+/** Manager actions on one store are audited with its grade, prospect and location fields. */
+const auditStore = auditEntity('store', async (id) => {
+  const { rows } = await db.query(`
+    SELECT id, zoho_contact_id, name, rep_id, grade, grade_locked, is_prospect,
+           latitude, longitude, geocode_source
+    FROM stores WHERE id = $1
+  `, [id]);
+  return rows[0] || null;
+});
+
+/** Manager actions on one store: 403 when it's outside the manager's teams. */
+async function requireStoreInScope(req, res, next) {
+  const storeId = parseInt(req.params.id);
+  if (isNaN(storeId)) return res.status(400).json({ error: 'Invalid store id' });
+  try {
+    const scope = await scopeFor(req);
+    if (!scope.all) {
+      const { rows: [store] } = await db.query('SELECT rep_id, state FROM stores WHERE id = $1', [storeId]);
+      if (store && !storeInScope(scope, store)) {
+        return res.status(403).json({ error: 'That store isn\'t in your team' });
+      }
+    }
+    next();
+  } catch (err) {
+    console.error('Store scope check error:', err.message);
+    res.status(500).json({ error: 'Failed to check store access' });
+  }
+}
+
 // ── GET /api/stores  (store list with filters) ────────────────────────────────
 
 router.get('/', requireAuth, async (req, res) => {
@@ -56,9 +91,13 @@ router.get('/', requireAuth, async (req, res) => {
     if (!isManager) {
       conditions.push(`s.rep_id = $${p++}`);
       params.push(req.session.userId);
-    } else if (rep_id) {
-      conditions.push(`s.rep_id = $${p++}`);
-      params.push(parseInt(rep_id));
+    } else {
+      conditions.push(storeScopeSql(await scopeFor(req), 's', params));
+      p = params.length + 1;
+      if (rep_id) {
+        conditions.push(`s.rep_id = $${p++}`);
+        params.push(parseInt(rep_id));
+      }
     }
 
     if (q && q.trim()) {
@@ -124,6 +163,7 @@ router.get('/new-doors', requireAuth, async (req, res) => {
     const month = req.query.month || curM;
 
     const isManager = ['manager', 'executive'].includes(req.session.role);
+    const scope = isManager ? await scopeFor(req) : { all: true };
     let filterRepId  = null;
     if (!isManager) {
       filterRepId = req.session.userId;
@@ -183,6 +223,7 @@ router.get('/new-doors', requireAuth, async (req, res) => {
       const rep   = repBySp[inv.salesperson_name] || null;
 
       if (filterRepId && rep?.id !== filterRepId) continue;
+      if (!scope.all && !(store ? storeInScope(scope, store) : rep && scope.repIds.includes(rep.id))) continue;
 
       doors.push({
         customer_id:        cid,
@@ -246,6 +287,8 @@ const GRADE_ORDER = { A: 0, B: 1, C: 2 };
 router.get('/grade-review', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
   try {
     const { from: windowFrom, to: windowTo } = get12MonthWindow();
+    const scopeParams = [];
+    const scopeSql    = storeScopeSql(await scopeFor(req), 's', scopeParams);
 
     const [allInvoices, { rows: stores }, { rows: visitRows }] = await Promise.all([
       fetchInvoices(windowFrom, windowTo),
@@ -253,9 +296,9 @@ router.get('/grade-review', requireAuth, requireRole('manager', 'executive'), as
         SELECT s.id, s.name, s.grade, s.state, s.zoho_contact_id, s.rep_id, u.name AS rep_name
         FROM stores s
         LEFT JOIN users u ON u.id = s.rep_id
-        WHERE s.active = TRUE AND s.is_prospect = FALSE
+        WHERE s.active = TRUE AND s.is_prospect = FALSE AND ${scopeSql}
         ORDER BY s.name
-      `),
+      `, scopeParams),
       db.query(`
         SELECT store_id, COUNT(*)::INTEGER AS visit_count
         FROM visits
@@ -344,9 +387,75 @@ router.get('/grade-review', requireAuth, requireRole('manager', 'executive'), as
   }
 });
 
+// ── Territory transfers  (manager/exec only, must be before /:id) ───────────
+// Bulk reassignment of stores by state / postcode / channel / current rep.
+// Preview and apply take the same body (see parseTransfer in
+// services/territory.js); apply moves the stores the preview marks `move`.
+
+/** Parse the body and check the destination rep; sends the 400/403 itself. */
+async function transferFromRequest(req, res) {
+  const { transfer, error } = parseTransfer(req.body || {});
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  const scope = await scopeFor(req);
+  const { rows: [rep] } = await db.query(
+    `SELECT id FROM users WHERE id = $1 AND role = 'rep' AND active = TRUE`, [transfer.toRepId]
+  );
+  if (!rep) {
+    res.status(400).json({ error: 'to_rep_id must be an active rep' });
+    return null;
+  }
+  if (!repInScope(scope, transfer.toRepId)) {
+    res.status(403).json({ error: 'That rep isn\'t in your team' });
+    return null;
+  }
+  return { transfer, scope };
+}
+
+router.post('/transfers/preview', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    const parsed = await transferFromRequest(req, res);
+    if (!parsed) return;
+    res.json(await previewTransfer(parsed.transfer, parsed.scope));
+  } catch (err) {
+    console.error('Transfer preview error:', err.message);
+    res.status(500).json({ error: 'Failed to preview transfer' });
+  }
+});
+
+router.post('/transfers', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    const parsed = await transferFromRequest(req, res);
+    if (!parsed) return;
+    const transfer = await applyTransfer(parsed.transfer, parsed.scope, req.session.userId);
+    if (transfer.zoho_writeback === 'pending') {
+      writeTransferToZoho(transfer.id).catch((err) =>
+        console.error(`[territory] Zoho write-back for transfer ${transfer.id} failed:`, err.message)
+      );
+    }
+    res.status(201).json(transfer);
+  } catch (err) {
+    console.error('Apply transfer error:', err.message);
+    res.status(500).json({ error: 'Failed to apply transfer' });
+  }
+});
+
+router.get('/transfers', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    const scope = await scopeFor(req);
+    const transfers = await fetchTransfers({ limit: Math.min(parseInt(req.query.limit) || 30, 200) });
+    res.json(transfers.filter((t) => scope.all || repInScope(scope, t.to_rep_id) || t.created_by === req.session.userId));
+  } catch (err) {
+    console.error('List transfers error:', err.message);
+    res.status(500).json({ error: 'Failed to list transfers' });
+  }
+});
+
 // ── PATCH /api/stores/:id/lock-grade  (manager/exec only) ────────────────────
 
-router.patch('/:id/lock-grade', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+router.patch('/:id/lock-grade', requireAuth, requireRole('manager', 'executive'), requireStoreInScope, auditStore, async (req, res) => {
   const storeId = parseInt(req.params.id);
   if (isNaN(storeId)) return res.status(400).json({ error: 'Invalid store id' });
 
@@ -375,6 +484,46 @@ router.patch('/:id/lock-grade', requireAuth, requireRole('manager', 'executive')
   }
 });
 
+// ── PATCH /api/stores/:id/location  (manager/exec only) ──────────────────────
+// Body { latitude, longitude } pins the store for the call planner; both null
+// drops the pin and re-geocodes from the Zoho address.
+
+router.patch('/:id/location', requireAuth, requireRole('manager', 'executive'), requireStoreInScope, auditStore, async (req, res) => {
+  const storeId = parseInt(req.params.id);
+  if (isNaN(storeId)) return res.status(400).json({ error: 'Invalid store id' });
+
+  const { latitude = null, longitude = null } = req.body || {};
+  const clearing = latitude === null && longitude === null;
+  if (!clearing && !(
+    Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -44 && latitude <= -9 && longitude >= 112 && longitude <= 154
+  )) {
+    return res.status(400).json({ error: 'latitude and longitude must be numbers within Australia' });
+  }
+
+  try {
+    const { rows } = await db.query(
+      `UPDATE stores SET latitude = $2, longitude = $3, geocode_source = $4
+       WHERE id = $1 AND active = TRUE RETURNING id`,
+      [storeId, latitude, longitude, clearing ? null : 'manual']
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Store not found' });
+
+    if (clearing) {
+      const { geocodeStores } = require('../services/geocode');
+      await geocodeStores({ storeIds: [storeId] });
+    }
+
+    const { rows: [store] } = await db.query(
+      `SELECT id, latitude, longitude, geocode_source FROM stores WHERE id = $1`, [storeId]
+    );
+    res.json({ ok: true, store });
+  } catch (err) {
+    console.error('Store location error:', err.message);
+    res.status(500).json({ error: 'Failed to update store location' });
+  }
+});
+
 // ── GET /api/stores/:id  (store detail + revenue) ────────────────────────────
 
 router.get('/:id', requireAuth, async (req, res) => {
@@ -397,16 +546,26 @@ router.get('/:id', requireAuth, async (req, res) => {
     if (!isManager && store.rep_id !== req.session.userId) {
       return res.status(403).json({ error: 'Forbidden' });
     }
+    if (isManager && !storeInScope(await scopeFor(req), store)) {
+      return res.status(403).json({ error: 'That store isn\'t in your team' });
+    }
 
     // Visit history (last 10)
     const { rows: visitRows } = await db.query(`
-      SELECT v.id, v.visited_at, v.note, u.name AS rep_name
+      SELECT v.id, v.visited_at, v.note, u.name AS rep_name,
+             v.order_taken, v.order_value::FLOAT8 AS order_value, v.salesorder_number, v.merchandised,
+             v.competitor_brands, v.brands_discussed,
+             to_char(v.follow_up_date, 'YYYY-MM-DD') AS follow_up_date, v.contact_name,
+             v.checkin_verified, v.checkin_flags, v.checkin_distance_m
       FROM visits v
       JOIN users u ON u.id = v.rep_id
       WHERE v.store_id = $1
       ORDER BY v.visited_at DESC
       LIMIT 10
     `, [storeId]);
+    const [streakRow] = await fetchNoOrderStreaks({ storeId });
+    const ownerHistory = await fetchStoreAssignments(storeId);
+    const noOrderStreak = streakRow ? streakRow.streak : 0;
 
     // Grade history (last 10 entries)
     const { rows: gradeHistRows } = await db.query(`
@@ -471,7 +630,9 @@ router.get('/:id', requireAuth, async (req, res) => {
       rep_name:         store.rep_name,
       last_synced_at:   store.last_synced_at,
       visit_history:    visitRows,
+      no_order_streak:  noOrderStreak,
       grade_history:    gradeHistRows,
+      owner_history:    ownerHistory,
       revenue_12m,
       trend_pct,
       sku_count:        skuSet.size,
@@ -487,7 +648,7 @@ router.get('/:id', requireAuth, async (req, res) => {
 // ── POST /api/stores/:id/convert-prospect  (manager/exec only) ───────────────
 // Manually promote a prospect to an active customer at grade C.
 
-router.post('/:id/convert-prospect', requireAuth, requireRole('manager', 'executive'), async (req, res) => {
+router.post('/:id/convert-prospect', requireAuth, requireRole('manager', 'executive'), requireStoreInScope, auditStore, async (req, res) => {
   const storeId = parseInt(req.params.id);
   if (isNaN(storeId)) return res.status(400).json({ error: 'Invalid store id' });
 
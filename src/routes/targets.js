@@ -1,6 +1,8 @@
 const express = require('express');
 const pool    = require('../db/index');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { scopeFor, repInScope, repScopeSql } = require('../services/teamScope');
+const { parsePhasing, previewPhasing, applyPhasing, reconcileTargets, periodMonths, brandList } = require('../services/targetPhasing');
 
 const router = express.Router();
 const isManager = requireRole('manager', 'executive');
@@ -10,9 +12,11 @@ function validMonth(m) {
   return typeof m === 'string' && /^\d{4}-(?:0[1-9]|1[0-2])$/.test(m);
 }
 
-// ── GET /api/targets/rep — all rep targets (manager/exec) ─────────────────────
+// ── GET /api/targets/rep — rep targets for the manager's teams (exec: all) ───
 router.get('/rep', isManager, async (req, res) => {
   try {
+    const params = [];
+    const scopeSql = repScopeSql(await scopeFor(req), 'rt.rep_id', params);
     const result = await pool.query(
       `SELECT rt.id, rt.rep_id, rt.month, rt.amount,
               u.name AS rep_name, s.name AS set_by_name,
@@ -20,7 +24,9 @@ router.get('/rep', isManager, async (req, res) => {
        FROM revenue_targets rt
        JOIN users u ON u.id = rt.rep_id
        LEFT JOIN users s ON s.id = rt.set_by
-       ORDER BY rt.rep_id, rt.month`
+       WHERE ${scopeSql}
+       ORDER BY rt.rep_id, rt.month`,
+      params
     );
     res.json(result.rows);
   } catch (err) {
@@ -39,6 +45,10 @@ router.get('/rep/:repId', requireAuth, async (req, res) => {
   }
 
   try {
+    if (req.session.role === 'manager' && !repInScope(await scopeFor(req), repId)) {
+      return res.status(403).json({ error: 'That rep isn\'t in your team' });
+    }
+
     const result = await pool.query(
       `SELECT rt.id, rt.rep_id, rt.month, rt.amount, rt.created_at, rt.updated_at
        FROM revenue_targets rt
@@ -68,6 +78,15 @@ router.post('/rep', isManager, async (req, res) => {
     return res.status(400).json({ error: 'amount must be a non-negative number' });
   }
 
+  try {
+    if (!repInScope(await scopeFor(req), rep_id)) {
+      return res.status(403).json({ error: 'That rep isn\'t in your team' });
+    }
+  } catch (err) {
+    console.error('Set rep target error:', err);
+    return res.status(500).json({ error: 'Failed to set target' });
+  }
+
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -110,6 +129,7 @@ router.post('/rep', isManager, async (req, res) => {
 });
 
 // ── POST /api/targets/brand — set a brand target ──────────────────────────────
+// Brand targets are company-wide, so a manager limited to their teams can't set them.
 router.post('/brand', isManager, async (req, res) => {
   const { brand_slug, month, amount } = req.body;
 
@@ -124,6 +144,15 @@ router.post('/brand', isManager, async (req, res) => {
     return res.status(400).json({ error: 'amount must be a non-negative number' });
   }
 
+  try {
+    if (!(await scopeFor(req)).all) {
+      return res.status(403).json({ error: 'Only executives can set brand targets once teams are set up' });
+    }
+  } catch (err) {
+    console.error('Set brand target error:', err);
+    return res.status(500).json({ error: 'Failed to set brand target' });
+  }
+
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -162,6 +191,16 @@ router.post('/brand', isManager, async (req, res) => {
   }
 });
 
+// ── GET /api/targets/brands — brands targets can be set for ───────────────────
+router.get('/brands', isManager, async (req, res) => {
+  try {
+    res.json(await brandList());
+  } catch (err) {
+    console.error('List brands error:', err);
+    res.status(500).json({ error: 'Failed to load brands' });
+  }
+});
+
 // ── GET /api/targets/brand — all brand targets ────────────────────────────────
 router.get('/brand', isManager, async (req, res) => {
   try {
@@ -178,4 +217,103 @@ router.get('/brand', isManager, async (req, res) => {
   }
 });
 
+// ── Phasing wizard ────────────────────────────────────────────────────────────
+// An annual or quarterly number per rep or brand, spread across its months
+// (see services/targetPhasing.js). Preview and apply take the same body.
+// Reconciliation sums every rep's and brand's targets, so it's only returned
+// to people who can see the whole company.
+
+/** Parse the body and check who it targets; sends the 400/403 itself. */
+async function phasingFromRequest(req, res) {
+  const { phasing, error } = parsePhasing(req.body || {});
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  const scope = await scopeFor(req);
+
+  if (phasing.kind === 'brand') {
+    if (!scope.all) {
+      res.status(403).json({ error: 'Only executives can set brand targets once teams are set up' });
+      return null;
+    }
+    return { phasing, scope };
+  }
+
+  const repIds = phasing.entries.map((e) => e.id);
+  const reps = await pool.query(
+    `SELECT id FROM users WHERE id = ANY($1::INTEGER[]) AND role = 'rep'`, [repIds]
+  );
+  if (reps.rows.length !== repIds.length) {
+    res.status(400).json({ error: 'Every rep_id must be a rep' });
+    return null;
+  }
+  if (!repIds.every((id) => repInScope(scope, id))) {
+    res.status(403).json({ error: 'That rep isn\'t in your team' });
+    return null;
+  }
+  return { phasing, scope };
+}
+
+// ── POST /api/targets/phasing/preview — months each target would be split into ─
+router.post('/phasing/preview', isManager, async (req, res) => {
+  try {
+    const parsed = await phasingFromRequest(req, res);
+    if (!parsed) return;
+    const { phasing, scope } = parsed;
+    const preview = await previewPhasing(phasing);
+    const reconciliation = scope.all
+      ? await reconcileTargets(phasing.months, { companyTotal: phasing.companyTotal, pending: { kind: phasing.kind, rows: preview.rows } })
+      : null;
+    res.json({ ...preview, reconciliation });
+  } catch (err) {
+    console.error('Phasing preview error:', err);
+    res.status(500).json({ error: 'Failed to preview targets' });
+  }
+});
+
+// ── POST /api/targets/phasing — save the phased months ────────────────────────
+router.post('/phasing', isManager, async (req, res) => {
+  try {
+    const parsed = await phasingFromRequest(req, res);
+    if (!parsed) return;
+    const { phasing, scope } = parsed;
+    const result = await applyPhasing(phasing, req.session.userId);
+    const reconciliation = scope.all
+      ? await reconcileTargets(phasing.months, { companyTotal: phasing.companyTotal })
+      : null;
+    res.json({ ...result, reconciliation });
+  } catch (err) {
+    console.error('Phasing save error:', err);
+    res.status(500).json({ error: 'Failed to save targets' });
+  }
+});
+
+// ── GET /api/targets/reconcile — rep vs brand vs company totals ───────────────
+// Query: year (required), quarter, company_total (for the year or quarter).
+router.get('/reconcile', isManager, async (req, res) => {
+  const year = parseInt(req.query.year);
+  if (isNaN(year) || year < 2000 || year > 2100) {
+    return res.status(400).json({ error: 'year must be a year like 2026' });
+  }
+  const quarter = req.query.quarter ? parseInt(req.query.quarter) : null;
+  if (quarter !== null && ![1, 2, 3, 4].includes(quarter)) {
+    return res.status(400).json({ error: 'quarter must be 1 to 4' });
+  }
+  const companyTotal = req.query.company_total ? parseFloat(req.query.company_total) : null;
+  if (companyTotal !== null && (isNaN(companyTotal) || companyTotal < 0)) {
+    return res.status(400).json({ error: 'company_total must be a non-negative number' });
+  }
+
+  try {
+    if (!(await scopeFor(req)).all) {
+      return res.status(403).json({ error: 'Reconciling targets needs access to the whole company' });
+    }
+    res.json(await reconcileTargets(periodMonths(year, quarter), { companyTotal }));
+  } catch (err) {
+    console.error('Reconcile targets error:', err);
+    res.status(500).json({ error: 'Failed to reconcile targets' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Teams — state-based groups of reps with one manager (migration 023).
+ * Executives set teams up; managers can list the teams they see.
+ * What a team's manager can see is worked out in src/services/teamScope.js.
+ */
+
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const db = require('../db');
+const { scopeFor } = require('../services/teamScope');
+
+const router = express.Router();
+const executiveOnly = requireRole('executive');
+
+const TEAM_SELECT = `
+  SELECT t.id, t.name, t.states, t.manager_id, m.name AS manager_name, t.created_at, t.updated_at,
+         COALESCE(json_agg(json_build_object('id', u.id, 'name', u.name) ORDER BY u.name)
+                  FILTER (WHERE u.id IS NOT NULL), '[]') AS members
+  FROM teams t
+  LEFT JOIN users m ON m.id = t.manager_id
+  LEFT JOIN users u ON u.team_id = t.id AND u.role = 'rep' AND u.active = TRUE`;
+
+/**
+ * Validate name / states / manager_id from a create or update body.
+ * Only keys present in the body are returned (all of them when `create`).
+ */
+async function parseTeam(body, { create }) {
+  const team = {};
+
+  if (create || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'name is required (at most 100 characters)' };
+    team.name = name;
+  }
+
+  if (create || body.states !== undefined) {
+    const states = body.states ?? [];
+    if (!Array.isArray(states) || states.some((s) => typeof s !== 'string' || !s.trim() || s.length > 50)) {
+      return { error: 'states must be a list of state names, e.g. ["NSW", "ACT"]' };
+    }
+    team.states = [...new Set(states.map((s) => s.trim().toUpperCase()))];
+  }
+
+  if (create || body.manager_id !== undefined) {
+    team.manager_id = null;
+    if (body.manager_id !== undefined && body.manager_id !== null && body.manager_id !== '') {
+      const managerId = parseInt(body.manager_id);
+      const { rows } = await db.query(
+        `SELECT id FROM users WHERE id = $1 AND role = 'manager' AND active = TRUE`, [managerId]
+      );
+      if (!rows[0]) return { error: 'manager_id must be an active manager' };
+      team.manager_id = managerId;
+    }
+  }
+
+  return { team };
+}
+
+async function fetchTeam(id) {
+  const { rows } = await db.query(`${TEAM_SELECT} WHERE t.id = $1 GROUP BY t.id, m.name`, [id]);
+  return rows[0] || null;
+}
+
+const auditTeam = auditEntity('team', fetchTeam);
+
+// ── GET /api/teams ────────────────────────────────────────────────────────────
+// Executives (and managers before teams exist) see every team; other managers
+// see the teams they manage.
+router.get('/', requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    const scope = await scopeFor(req);
+    const { rows } = await db.query(`
+      ${TEAM_SELECT}
+      WHERE $1::BOOLEAN OR t.id = ANY($2::INTEGER[])
+      GROUP BY t.id, m.name
+      ORDER BY t.name
+    `, [scope.all, scope.teamIds || []]);
+    res.json(rows);
+  } catch (err) {
+    console.error('List teams error:', err.message);
+    res.status(500).json({ error: 'Failed to list teams' });
+  }
+});
+
+// ── POST /api/teams ───────────────────────────────────────────────────────────
+// Body: { name, states?: ['NSW', …], manager_id? }
+router.post('/', executiveOnly, auditTeam, async (req, res) => {
+  try {
+    const { team, error } = await parseTeam(req.body || {}, { create: true });
+    if (error) return res.status(400).json({ error });
+
+    const { rows } = await db.query(
+      `INSERT INTO teams (name, states, manager_id) VALUES ($1, $2, $3) RETURNING id`,
+      [team.name, team.states, team.manager_id]
+    );
+    res.status(201).json(await fetchTeam(rows[0].id));
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A team with that name already exists' });
+    console.error('Create team error:', err.message);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+// ── PATCH /api/teams/:id ──────────────────────────────────────────────────────
+router.patch('/:id', executiveOnly, auditTeam, async (req, res) => {
+  const teamId = parseInt(req.params.id);
+  if (isNaN(teamId)) return res.status(400).json({ error: 'Invalid team id' });
+
+  try {
+    const { team, error } = await parseTeam(req.body || {}, { create: false });
+    if (error) return res.status(400).json({ error });
+
+    const { rows } = await db.query(`
+      UPDATE teams
+      SET name       = COALESCE($2, name),
+          states     = COALESCE($3, states),
+          manager_id = CASE WHEN $4::BOOLEAN THEN $5::INTEGER ELSE manager_id END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id
+    `, [teamId, team.name ?? null, team.states ?? null, 'manager_id' in team, team.manager_id ?? null]);
+    if (!rows[0]) return res.status(404).json({ error: 'Team not found' });
+    res.json(await fetchTeam(teamId));
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A team with that name already exists' });
+    console.error('Update team error:', err.message);
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+// ── PUT /api/teams/:id/members ────────────────────────────────────────────────
+// Body: { rep_ids: [...] } — the team's full rep list. Reps listed here move
+// from any other team; reps left out are removed from this one.
+router.put('/:id/members', executiveOnly, auditTeam, async (req, res) => {
+  const teamId = parseInt(req.params.id);
+  if (isNaN(teamId)) return res.status(400).json({ error: 'Invalid team id' });
+  const repIds = req.body?.rep_ids;
+  if (!Array.isArray(repIds) || repIds.some((id) => !Number.isInteger(id))) {
+    return res.status(400).json({ error: 'rep_ids must be a list of user ids' });
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [exists] } = await client.query('SELECT id FROM teams WHERE id = $1 FOR UPDATE', [teamId]);
+    if (!exists) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    const { rows: reps } = await client.query(
+      `SELECT id FROM users WHERE id = ANY($1::INTEGER[]) AND role = 'rep'`, [repIds]
+    );
+    if (reps.length !== new Set(repIds).size) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'rep_ids must all be reps' });
+    }
+
+    await client.query(
+      `UPDATE users SET team_id = NULL WHERE team_id = $1 AND NOT (id = ANY($2::INTEGER[]))`, [teamId, repIds]
+    );
+    await client.query(`UPDATE users SET team_id = $1 WHERE id = ANY($2::INTEGER[])`, [teamId, repIds]);
+    await client.query('COMMIT');
+    res.json(await fetchTeam(teamId));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Set team members error:', err.message);
+    res.status(500).json({ error: 'Failed to update team members' });
+  } finally {
+    client.release();
+  }
+});
+
+// ── DELETE /api/teams/:id ─────────────────────────────────────────────────────
+// Members are left without a team.
+router.delete('/:id', executiveOnly, auditTeam, async (req, res) => {
+  const teamId = parseInt(req.params.id);
+  if (isNaN(teamId)) return res.status(400).json({ error: 'Invalid team id' });
+
+  try {
+    const { rowCount } = await db.query('DELETE FROM teams WHERE id = $1', [teamId]);
+    if (!rowCount) return res.status(404).json({ error: 'Team not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Delete team error:', err.message);
+    res.status(500).json({ error: 'Failed to delete team' });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,75 @@
 const express = require('express');
 const pool    = require('../db/index');
 const { requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { geocodeAddress, normalisePostcode } = require('../services/geocode');
+const { scopeFor, repInScope } = require('../services/teamScope');
+const { resetTwoFactor } = require('../services/twoFactor');
 
 const router = express.Router();
 const isManager = requireRole('manager', 'executive');
 
-const USER_COLS = 'id, email, name, role, zoho_salesperson_id, active, must_change_password, created_at';
+const USER_COLS = 'id, email, name, role, zoho_salesperson_id, active, must_change_password, home_postcode, team_id, created_at, ' +
+                  '(totp_enabled_at IS NOT NULL) AS two_factor_enabled';
+
+const auditUser = auditEntity('user', async (id) => {
+  const { rows } = await pool.query(`SELECT ${USER_COLS} FROM users WHERE id = $1`, [id]);
+  return rows[0] || null;
+});
+
+/**
+ * Team for a user being created or edited by this session. Executives (and
+ * managers before teams exist) may pick any team; other managers only their own.
+ * @returns {Promise<{ teamId: number|null } | { error: string }>}
+ */
+async function allowedTeam(scope, value) {
+  if (value === null || value === '') {
+    return scope.all ? { teamId: null } : { error: 'Reps you add must be in one of your teams' };
+  }
+  const teamId = parseInt(value);
+  if (isNaN(teamId)) return { error: 'team_id must be a team id' };
+  if (!scope.all && !scope.teamIds.includes(teamId)) return { error: 'You can only add people to your own teams' };
+  const { rows } = await pool.query('SELECT id FROM teams WHERE id = $1', [teamId]);
+  return rows[0] ? { teamId } : { error: 'Team not found' };
+}
+
+/** True when a team-scoped manager is acting on a rep outside their teams. */
+async function repOutOfScope(scope, userId) {
+  if (scope.all) return false;
+  const { rows: [target] } = await pool.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+  return Boolean(target && target.role === 'rep' && !repInScope(scope, target.id));
+}
+
+/**
+ * Home base for the call planner from a postcode: { postcode, latitude, longitude },
+ * all null when the postcode is blank, or null when it can't be located.
+ */
+function homeBase(value) {
+  if (value === null || String(value).trim() === '') return { postcode: null, latitude: null, longitude: null };
+  const postcode = normalisePostcode(value);
+  const hit = postcode && geocodeAddress({ postcode });
+  return hit ? { postcode, latitude: hit.latitude, longitude: hit.longitude } : null;
+}
 
 // ── GET /api/users ────────────────────────────────────────────────────────────
 router.get('/', isManager, async (req, res) => {
   try {
     const { role } = req.query;
+    const scope = await scopeFor(req);
     let query  = `SELECT ${USER_COLS} FROM users`;
     const args = [];
+    const where = [];
 
     if (role) {
       args.push(role);
-      query += ` WHERE role = $${args.length}`;
+      where.push(`role = $${args.length}`);
+    }
+    // Team-scoped managers see the reps in their teams (other roles stay listed)
+    if (!scope.all) {
+      args.push(scope.repIds);
+      where.push(`(role <> 'rep' OR id = ANY($${args.length}::INTEGER[]))`);
     }
+    if (where.length) query += ` WHERE ${where.join(' AND ')}`;
     query += ' ORDER BY name';
 
     const result = await pool.query(query, args);
@@ -29,24 +81,38 @@ router.get('/', isManager, async (req, res) => {
 });
 
 // ── POST /api/users ───────────────────────────────────────────────────────────
-router.post('/', isManager, async (req, res) => {
-  const { email, name, role, zoho_salesperson_id } = req.body;
+router.post('/', isManager, auditUser, async (req, res) => {
+  const { email, name, role, zoho_salesperson_id, home_postcode } = req.body;
 
   if (!email || !name || !role) {
     return res.status(400).json({ error: 'email, name, and role are required' });
   }
 
+  const home = homeBase(home_postcode ?? null);
+  if (!home) {
+    return res.status(400).json({ error: 'Home postcode not recognised' });
+  }
+
   const validRoles = ['rep', 'manager', 'executive'];
   if (!validRoles.includes(role)) {
     return res.status(400).json({ error: 'role must be rep, manager, or executive' });
   }
 
   try {
+    // A team-scoped manager's only team is the default for new reps
+    const scope = await scopeFor(req);
+    let teamValue = req.body.team_id ?? null;
+    if (teamValue === null && role === 'rep' && !scope.all && scope.teamIds.length === 1) teamValue = scope.teamIds[0];
+    const team = await allowedTeam(scope, role === 'rep' ? teamValue : null);
+    if (team.error) return res.status(400).json({ error: team.error });
+
     const result = await pool.query(
-      `INSERT INTO users (email, name, role, zoho_salesperson_id, must_change_password, active)
-       VALUES ($1, $2, $3, $4, TRUE, TRUE)
+      `INSERT INTO users (email, name, role, zoho_salesperson_id, home_postcode, home_latitude, home_longitude,
+                          team_id, must_change_password, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, TRUE, TRUE)
        RETURNING ${USER_COLS}`,
-      [email.toLowerCase().trim(), name.trim(), role, zoho_salesperson_id || null]
+      [email.toLowerCase().trim(), name.trim(), role, zoho_salesperson_id || null,
+       home.postcode, home.latitude, home.longitude, team.teamId]
     );
     res.status(201).json(result.rows[0]);
   } catch (err) {
@@ -59,26 +125,43 @@ router.post('/', isManager, async (req, res) => {
 });
 
 // ── PUT /api/users/:id ────────────────────────────────────────────────────────
-router.put('/:id', isManager, async (req, res) => {
+router.put('/:id', isManager, auditUser, async (req, res) => {
   const { id } = req.params;
-  const { name, role, zoho_salesperson_id, active } = req.body;
+  const { name, role, zoho_salesperson_id, active, home_postcode } = req.body;
 
-  const fields = [];
-  const args   = [];
+  try {
+    const scope = await scopeFor(req);
+    if (await repOutOfScope(scope, id)) {
+      return res.status(403).json({ error: 'That rep isn\'t in your team' });
+    }
 
-  if (name !== undefined)               { args.push(name.trim());         fields.push(`name = $${args.length}`); }
-  if (role !== undefined)               { args.push(role);                fields.push(`role = $${args.length}`); }
-  if (zoho_salesperson_id !== undefined){ args.push(zoho_salesperson_id); fields.push(`zoho_salesperson_id = $${args.length}`); }
-  if (active !== undefined)             { args.push(active);              fields.push(`active = $${args.length}`); }
+    const fields = [];
+    const args   = [];
+
+    if (name !== undefined)               { args.push(name.trim());         fields.push(`name = $${args.length}`); }
+    if (role !== undefined)               { args.push(role);                fields.push(`role = $${args.length}`); }
+    if (zoho_salesperson_id !== undefined){ args.push(zoho_salesperson_id); fields.push(`zoho_salesperson_id = $${args.length}`); }
+    if (active !== undefined)             { args.push(active);              fields.push(`active = $${args.length}`); }
+    if (home_postcode !== undefined) {
+      const home = homeBase(home_postcode);
+      if (!home) return res.status(400).json({ error: 'Home postcode not recognised' });
+      args.push(home.postcode);  fields.push(`home_postcode = $${args.length}`);
+      args.push(home.latitude);  fields.push(`home_latitude = $${args.length}`);
+      args.push(home.longitude); fields.push(`home_longitude = $${args.length}`);
+    }
+    if (req.body.team_id !== undefined) {
+      const team = await allowedTeam(scope, req.body.team_id);
+      if (team.error) return res.status(400).json({ error: team.error });
+      args.push(team.teamId); fields.push(`team_id = $${args.length}`);
+    }
 
-  if (fields.length === 0) {
-    return res.status(400).json({ error: 'No fields to update' });
-  }
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
 
-  args.push(id);
-  const query = `UPDATE users SET ${fields.join(', ')} WHERE id = $${args.length} RETURNING ${USER_COLS}`;
+    args.push(id);
+    const query = `UPDATE users SET ${fields.join(', ')} WHERE id = $${args.length} RETURNING ${USER_COLS}`;
 
-  try {
     const result = await pool.query(query, args);
     if (!result.rows[0]) {
       return res.status(404).json({ error: 'User not found' });
@@ -92,10 +175,15 @@ router.put('/:id', isManager, async (req, res) => {
 
 // ── POST /api/users/:id/reset-password ────────────────────────────────────────
 // Clears password_hash so user is prompted to set a new one on next login.
-router.post('/:id/reset-password', isManager, async (req, res) => {
+router.post('/:id/reset-password', isManager, auditUser, async (req, res) => {
   const { id } = req.params;
 
   try {
+    const scope = await scopeFor(req);
+    if (await repOutOfScope(scope, id)) {
+      return res.status(403).json({ error: 'That rep isn\'t in your team' });
+    }
+
     const result = await pool.query(
       `UPDATE users
        SET password_hash = NULL, must_change_password = TRUE
@@ -113,4 +201,27 @@ router.post('/:id/reset-password', isManager, async (req, res) => {
   }
 });
 
+// ── POST /api/users/:id/reset-2fa ─────────────────────────────────────────────
+// For a lost phone with no recovery codes: the user sets up two-factor again
+// at their next sign-in. Also signs them out everywhere. Executives only.
+router.post('/:id/reset-2fa', requireRole('executive'), auditUser, async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid user id' });
+
+  try {
+    const result = await resetTwoFactor(id);
+    if (!result) return res.status(404).json({ error: 'User not found' });
+    console.log(`[users] Two-factor reset for user ${id} by user ${req.session.userId}`);
+    res.json({
+      ok: true,
+      user: result.user,
+      sessions_revoked: result.sessions_revoked,
+      message: 'They\'ll set up two-factor authentication again at their next sign-in',
+    });
+  } catch (err) {
+    console.error('Reset 2FA error:', err);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
 module.exports = router;
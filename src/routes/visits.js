@@ -2,154 +2,196 @@
 
 const express = require('express');
 const multer  = require('multer');
-const { parse } = require('csv-parse/sync');
 const { requireAuth, requireRole } = require('../middleware/auth');
 const db = require('../db');
+const { autoResolveAlerts, sydneyToday } = require('../services/alertLifecycle');
+const { OUTCOME_COLUMNS, parseVisitOutcome, fetchNoOrderStreaks } = require('../services/visitOutcomes');
+const { fetchItemBrandMap } = require('../services/sync');
+const { CHECKIN_COLUMNS, parseCheckinLocation, evaluateCheckin, fetchVerificationByRep } = require('../services/visitCheckin');
+const { validateProfile, readCsv, prepareImport, fetchProfiles, fetchProfile } = require('../services/visitImport');
+const {
+  fileSha256, runImportJob, findPreviousImport, fetchImportJobs, fetchImportJob, rejectedRowsCsv, rollbackImportJob,
+} = require('../services/importJobs');
+const { scopeFor, repScopeSql, storeScopeSql } = require('../services/teamScope');
 
 const router = express.Router();
 
-// ── CSV import helpers ────────────────────────────────────────────────────────
+// ── CSV import ────────────────────────────────────────────────────────────────
+// Uploads are mapped by a saved import profile (src/services/visitImport.js).
+// Every import endpoint is manager/executive only.
 
 const upload = multer({
   storage: multer.memoryStorage(),
   limits:  { fileSize: 50 * 1024 * 1024 }, // 50 MB
 });
 
-// Column indices in the PixSell diary/calls CSV (0-based, after 5 header rows)
-const COL_DATE     = 0;
-const COL_START    = 1;
-const COL_ACCOUNT  = 4;   // Zoho contact ID
-const COL_COMMENTS = 7;
-const COL_REP_CODE = 18;  // e.g. CW, EM, JA
-const COL_CATEGORY = 27;  // PHONE or VISIT
-
-/** Parse PixSell CSV buffer → array of raw row arrays, skipping first 5 header lines. */
-function parseCsv(buffer) {
-  return parse(buffer, {
-    from_line:        6,     // skip 5 PixSell report header rows (1-indexed)
-    skip_empty_lines: true,
-    relax_column_count: true,
-    trim:             true,
-  });
-}
+const PREVIEW_ROWS = 20;
 
 /**
- * Convert a PixSell date ("D/M/YYYY") + time ("H:MM" or "H:MM:SS")
- * to a JS Date in AEST (UTC+10). Returns null if unparseable.
+ * Read profile_id, rep_id and store_overrides from a multipart upload and
+ * resolve the file. Sends the 4xx itself and returns null on bad input.
  */
-function toAEST(dateStr, timeStr) {
-  if (!dateStr || !timeStr) return null;
-  try {
-    let iso;
-    if (dateStr.includes('/')) {
-      const parts = dateStr.split('/');
-      if (parts.length !== 3) return null;
-      const [d, m, y] = parts;
-      iso = `${y.padStart(4,'0')}-${m.padStart(2,'0')}-${d.padStart(2,'0')}`;
-    } else {
-      iso = dateStr; // already YYYY-MM-DD
+async function prepareUpload(req, res) {
+  if (!req.file) { res.status(400).json({ error: 'No file uploaded' }); return null; }
+
+  const profileId = parseInt(req.body.profile_id);
+  if (isNaN(profileId)) { res.status(400).json({ error: 'profile_id is required' }); return null; }
+  const profile = await fetchProfile(profileId);
+  if (!profile) { res.status(404).json({ error: 'Import profile not found' }); return null; }
+
+  let fallbackRepId = null;
+  if (req.body.rep_id) {
+    fallbackRepId = parseInt(req.body.rep_id);
+    if (isNaN(fallbackRepId)) { res.status(400).json({ error: 'rep_id must be a user id' }); return null; }
+  }
+
+  let storeOverrides = {};
+  if (req.body.store_overrides) {
+    try {
+      storeOverrides = JSON.parse(req.body.store_overrides);
+    } catch {
+      storeOverrides = null;
+    }
+    if (!storeOverrides || typeof storeOverrides !== 'object' || Array.isArray(storeOverrides)
+        || Object.values(storeOverrides).some((v) => !Number.isInteger(v) || v < 0)) {
+      res.status(400).json({ error: 'store_overrides must map review keys to store ids (0 = skip)' });
+      return null;
     }
-    const timeParts = timeStr.split(':').slice(0, 2).join(':'); // HH:MM
-    const d = new Date(`${iso}T${timeParts}:00+10:00`);
-    if (isNaN(d.getTime())) return null;
-    return d;
-  } catch {
-    return null;
   }
-}
 
-/** Load lookup maps from DB for a single import pass. */
-async function loadLookups() {
-  const [storeRows, repRows] = await Promise.all([
-    db.query('SELECT id, zoho_contact_id FROM stores WHERE active = TRUE'),
-    db.query('SELECT id, rep_code FROM users WHERE active = TRUE AND rep_code IS NOT NULL'),
-  ]);
-  const storeByZohoId = {};
-  for (const s of storeRows.rows) storeByZohoId[s.zoho_contact_id] = s.id;
-  const repByCode = {};
-  for (const u of repRows.rows) repByCode[u.rep_code.toUpperCase()] = u.id;
-  return { storeByZohoId, repByCode };
+  const prepared = await prepareImport({ buffer: req.file.buffer, profile, storeOverrides, fallbackRepId });
+  if (prepared.error) { res.status(400).json({ error: prepared.error }); return null; }
+  return { ...prepared, profile };
 }
 
-/**
- * Validate and map one CSV row to an import record.
- * Returns { record } on success or { skip, reason } on failure.
- */
-function mapRow(row, storeByZohoId, repByCode) {
-  const account  = (row[COL_ACCOUNT]  || '').trim();
-  const repCode  = (row[COL_REP_CODE] || '').trim().toUpperCase();
-  const dateStr  = (row[COL_DATE]     || '').trim();
-  const startStr = (row[COL_START]    || '').trim();
-  const comments = (row[COL_COMMENTS] || '').trim() || null;
-  const category = (row[COL_CATEGORY] || '').trim().toLowerCase();
-
-  // Skip non-Zoho account prefixes (PP, PAC, etc.)
-  if (!account.startsWith('1748')) {
-    return { skip: true, reason: 'non_zoho' };
+// GET /api/visits/import/profiles
+router.get('/import/profiles', requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    res.json(await fetchProfiles());
+  } catch (err) {
+    console.error('Import profiles error:', err.message);
+    res.status(500).json({ error: 'Failed to load import profiles' });
   }
+});
+
+// POST /api/visits/import/profiles
+// Body: { name, header_row?, columns: { field: header | '#N' }, date_format?, timezone?, account_prefix?, phone_values? }
+router.post('/import/profiles', requireRole('manager', 'executive'), async (req, res) => {
+  const { profile, error } = validateProfile(req.body || {});
+  if (error) return res.status(400).json({ error });
 
-  const storeId = storeByZohoId[account];
-  if (!storeId) return { skip: true, reason: 'no_store_match' };
+  try {
+    const { rows } = await db.query(`
+      INSERT INTO import_profiles (name, header_row, columns, date_format, timezone, account_prefix, phone_values, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      profile.name, profile.header_row, JSON.stringify(profile.columns), profile.date_format,
+      profile.timezone, profile.account_prefix, profile.phone_values, req.session.userId,
+    ]);
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'An import profile with that name already exists' });
+    console.error('Import profile create error:', err.message);
+    res.status(500).json({ error: 'Failed to create import profile' });
+  }
+});
 
-  if (!repCode) return { skip: true, reason: 'no_rep_code' };
-  const repId = repByCode[repCode];
-  if (!repId) return { skip: true, reason: 'no_rep_match' };
+// PUT /api/visits/import/profiles/:id — replaces the whole profile
+router.put('/import/profiles/:id', requireRole('manager', 'executive'), async (req, res) => {
+  const profileId = parseInt(req.params.id);
+  if (isNaN(profileId)) return res.status(400).json({ error: 'Invalid import profile id' });
+  const { profile, error } = validateProfile(req.body || {});
+  if (error) return res.status(400).json({ error });
 
-  const visitedAt = toAEST(dateStr, startStr);
-  if (!visitedAt) return { skip: true, reason: 'bad_date' };
+  try {
+    const { rows } = await db.query(`
+      UPDATE import_profiles
+      SET name = $2, header_row = $3, columns = $4, date_format = $5, timezone = $6,
+          account_prefix = $7, phone_values = $8, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      profileId, profile.name, profile.header_row, JSON.stringify(profile.columns), profile.date_format,
+      profile.timezone, profile.account_prefix, profile.phone_values,
+    ]);
+    if (!rows[0]) return res.status(404).json({ error: 'Import profile not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'An import profile with that name already exists' });
+    console.error('Import profile update error:', err.message);
+    res.status(500).json({ error: 'Failed to update import profile' });
+  }
+});
 
-  const visitType = category === 'phone' ? 'phone' : 'visit';
+// DELETE /api/visits/import/profiles/:id
+router.delete('/import/profiles/:id', requireRole('manager', 'executive'), async (req, res) => {
+  const profileId = parseInt(req.params.id);
+  if (isNaN(profileId)) return res.status(400).json({ error: 'Invalid import profile id' });
 
-  return { record: { storeId, repId, visitedAt, visitType, note: comments } };
-}
+  try {
+    const { rowCount } = await db.query('DELETE FROM import_profiles WHERE id = $1', [profileId]);
+    if (!rowCount) return res.status(404).json({ error: 'Import profile not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Import profile delete error:', err.message);
+    res.status(500).json({ error: 'Failed to delete import profile' });
+  }
+});
+
+// ── POST /api/visits/import/headers ───────────────────────────────────────────
+// Headers and first rows of a file, for building a profile. Form: csv, header_row?
+
+router.post(
+  '/import/headers',
+  requireRole('manager', 'executive'),
+  upload.single('csv'),
+  (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const headerRow = req.body.header_row ? parseInt(req.body.header_row) : 1;
+    if (isNaN(headerRow) || headerRow < 1) return res.status(400).json({ error: 'header_row must be 1 or more' });
+    try {
+      const { headers, rows } = readCsv(req.file.buffer, headerRow);
+      res.json({ headers, sample: rows.slice(0, 5).map((r) => r.cells), total_rows: rows.length });
+    } catch (err) {
+      console.error('[import/headers]', err.message);
+      res.status(400).json({ error: 'Failed to parse CSV: ' + err.message });
+    }
+  },
+);
 
 // ── POST /api/visits/import/preview ──────────────────────────────────────────
-// Parse the CSV and return the first 20 data rows + whole-file counts.
-// No DB writes. Manager/executive only.
+// Resolve the whole file and return counts, stores needing review and the
+// first 20 importable rows. previous_import is the last completed job for the
+// same file, if any. No DB writes.
+// Form: csv, profile_id, rep_id?, store_overrides? (JSON { key: storeId | 0 })
 
 router.post(
   '/import/preview',
   requireRole('manager', 'executive'),
   upload.single('csv'),
   async (req, res) => {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
     try {
-      const { storeByZohoId, repByCode } = await loadLookups();
-      const rows = parseCsv(req.file.buffer);
-
-      let totalRows = 0, validRows = 0, nonZoho = 0, noStore = 0, noRep = 0, badDate = 0;
-      const preview = [];
-
-      for (const row of rows) {
-        if (!row.length || row.every(c => !c)) continue;
-        totalRows++;
-
-        const result = mapRow(row, storeByZohoId, repByCode);
-        if (result.skip) {
-          if (result.reason === 'non_zoho') nonZoho++;
-          else if (result.reason === 'no_store_match') noStore++;
-          else if (result.reason === 'no_rep_match' || result.reason === 'no_rep_code') noRep++;
-          else if (result.reason === 'bad_date') badDate++;
-          continue;
-        }
-
-        validRows++;
-        if (preview.length < 20) {
-          const { record } = result;
-          preview.push({
-            date:       (row[COL_DATE]     || '').trim(),
-            start:      (row[COL_START]    || '').trim(),
-            account:    (row[COL_ACCOUNT]  || '').trim(),
-            store_name: Object.keys(storeByZohoId).find(k => storeByZohoId[k] === record.storeId)
-                          ? `(id ${record.storeId})` : '?',
-            rep_code:   (row[COL_REP_CODE] || '').trim(),
-            category:   (row[COL_CATEGORY] || '').trim() || 'VISIT',
-            note:       (row[COL_COMMENTS] || '').trim() || '',
-          });
-        }
-      }
+      const prepared = await prepareUpload(req, res);
+      if (!prepared) return;
 
-      res.json({ totalRows, validRows, nonZoho, noStore, noRep, badDate, preview });
+      res.json({
+        previous_import: await findPreviousImport(fileSha256(req.file.buffer)),
+        total_rows: prepared.total_rows,
+        valid_rows: prepared.records.length,
+        skipped:    prepared.skipped,
+        review:     prepared.review,
+        preview:    prepared.records.slice(0, PREVIEW_ROWS).map((r) => ({
+          line:       r.line,
+          visited_at: r.visitedAt.toISOString(),
+          store_id:   r.storeId,
+          store_name: r.storeName,
+          matched_by: r.via,
+          rep_name:   r.repName,
+          visit_type: r.visitType,
+          note:       r.note || '',
+        })),
+      });
     } catch (err) {
       console.error('[import/preview]', err.message);
       res.status(500).json({ error: 'Failed to parse CSV: ' + err.message });
@@ -158,71 +200,37 @@ router.post(
 );
 
 // ── POST /api/visits/import/run ───────────────────────────────────────────────
-// Full import: parse CSV, batch-insert into visits. Manager/executive only.
+// Full import with the same form fields as preview, recorded as an import job
+// (src/services/importJobs.js). Rows still awaiting review are skipped.
 
 router.post(
   '/import/run',
   requireRole('manager', 'executive'),
   upload.single('csv'),
   async (req, res) => {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
     try {
-      const { storeByZohoId, repByCode } = await loadLookups();
-      const rows = parseCsv(req.file.buffer);
-
-      const records = [];
-      let skippedNonZoho = 0, skippedNoStore = 0, skippedNoRep = 0, skippedBadDate = 0;
-
-      for (const row of rows) {
-        if (!row.length || row.every(c => !c)) continue;
-        const result = mapRow(row, storeByZohoId, repByCode);
-        if (result.skip) {
-          if (result.reason === 'non_zoho')     skippedNonZoho++;
-          else if (result.reason === 'no_store_match') skippedNoStore++;
-          else if (result.reason === 'no_rep_match' || result.reason === 'no_rep_code') skippedNoRep++;
-          else if (result.reason === 'bad_date')  skippedBadDate++;
-          continue;
-        }
-        records.push(result.record);
-      }
+      const prepared = await prepareUpload(req, res);
+      if (!prepared) return;
+
+      const job = await runImportJob({
+        prepared,
+        profile:  prepared.profile,
+        fileName: req.file.originalname || 'upload.csv',
+        buffer:   req.file.buffer,
+        userId:   req.session.userId,
+      });
 
-      // Batch insert in chunks of 500, ON CONFLICT DO NOTHING for dedup
-      const BATCH = 500;
-      let imported = 0, duplicates = 0;
-
-      for (let i = 0; i < records.length; i += BATCH) {
-        const chunk = records.slice(i, i + BATCH);
-
-        // Build multi-row VALUES clause
-        const values = [];
-        const params = [];
-        let p = 1;
-        for (const r of chunk) {
-          values.push(`($${p++}, $${p++}, $${p++}, $${p++}, $${p++})`);
-          params.push(r.repId, r.storeId, r.visitedAt.toISOString(), r.visitType, r.note);
-        }
-
-        const sql = `
-          INSERT INTO visits (rep_id, store_id, visited_at, visit_type, note)
-          VALUES ${values.join(', ')}
-          ON CONFLICT (store_id, rep_id, visited_at) DO NOTHING`;
-
-        const result = await db.query(sql, params);
-        imported  += result.rowCount;
-        duplicates += chunk.length - result.rowCount;
+      // Imported visits can clear visit-breach alerts
+      if (job.imported) {
+        await autoResolveAlerts().catch((err) =>
+          console.error('[import/run] Alert auto-resolve failed:', err.message)
+        );
       }
 
-      console.log(`[import/run] imported=${imported} dupes=${duplicates} skipped_non_zoho=${skippedNonZoho} skipped_no_store=${skippedNoStore} skipped_no_rep=${skippedNoRep}`);
+      const skippedLog = Object.entries(job.skipped).map(([k, n]) => ` skipped_${k}=${n}`).join('');
+      console.log(`[import/run] job=${job.id} imported=${job.imported} dupes=${job.duplicates}${skippedLog}`);
 
-      res.json({
-        ok:               true,
-        imported,
-        duplicates,
-        skipped_non_zoho: skippedNonZoho,
-        skipped_no_store: skippedNoStore,
-        skipped_no_rep:   skippedNoRep,
-        skipped_bad_date: skippedBadDate,
-      });
+      res.json({ ok: true, job_id: job.id, imported: job.imported, duplicates: job.duplicates, skipped: job.skipped });
     } catch (err) {
       console.error('[import/run]', err.message);
       res.status(500).json({ error: 'Import failed: ' + err.message });
@@ -230,6 +238,95 @@ router.post(
   },
 );
 
+// ── Import jobs ───────────────────────────────────────────────────────────────
+
+// GET /api/visits/import/jobs — most recent first
+router.get('/import/jobs', requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    res.json(await fetchImportJobs());
+  } catch (err) {
+    console.error('Import jobs error:', err.message);
+    res.status(500).json({ error: 'Failed to load import jobs' });
+  }
+});
+
+// GET /api/visits/import/jobs/:id — job plus its first 200 rejected rows
+router.get('/import/jobs/:id', requireRole('manager', 'executive'), async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  if (isNaN(jobId)) return res.status(400).json({ error: 'Invalid import job id' });
+  try {
+    const job = await fetchImportJob(jobId);
+    if (!job) return res.status(404).json({ error: 'Import job not found' });
+    res.json(job);
+  } catch (err) {
+    console.error('Import job error:', err.message);
+    res.status(500).json({ error: 'Failed to load import job' });
+  }
+});
+
+// GET /api/visits/import/jobs/:id/rejected.csv — every row not imported, with its reason
+router.get('/import/jobs/:id/rejected.csv', requireRole('manager', 'executive'), async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  if (isNaN(jobId)) return res.status(400).json({ error: 'Invalid import job id' });
+  try {
+    const file = await rejectedRowsCsv(jobId);
+    if (!file) return res.status(404).json({ error: 'Import job not found' });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.csv);
+  } catch (err) {
+    console.error('Import rejected rows error:', err.message);
+    res.status(500).json({ error: 'Failed to build rejected rows CSV' });
+  }
+});
+
+// POST /api/visits/import/jobs/:id/rollback — delete the visits the job inserted
+router.post('/import/jobs/:id/rollback', requireRole('manager', 'executive'), async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  if (isNaN(jobId)) return res.status(400).json({ error: 'Invalid import job id' });
+  try {
+    const result = await rollbackImportJob(jobId, req.session.userId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    console.log(`[import/rollback] job=${jobId} removed=${result.job.rolled_back_visits} by=${req.session.userId}`);
+    res.json(result.job);
+  } catch (err) {
+    console.error('Import rollback error:', err.message);
+    res.status(500).json({ error: 'Failed to roll back import' });
+  }
+});
+
+// Outcome and check-in columns as returned to the client (numbers as numbers, dates as YYYY-MM-DD)
+const VISIT_DETAIL_SELECT = `
+  order_taken, order_value::FLOAT8 AS order_value, salesorder_number, merchandised,
+  competitor_brands, brands_discussed, to_char(follow_up_date, 'YYYY-MM-DD') AS follow_up_date, contact_name,
+  checkin_verified, checkin_flags, checkin_distance_m`;
+
+// ── GET /api/visits/brands  (brand names for the outcome form) ───────────────
+
+router.get('/brands', requireAuth, async (req, res) => {
+  try {
+    const brandMap = await fetchItemBrandMap().catch(() => new Map());
+    res.json({ brands: [...new Set(brandMap.values())].sort((a, b) => a.localeCompare(b)) });
+  } catch (err) {
+    console.error('Visit brands error:', err.message);
+    res.status(500).json({ error: 'Failed to load brands' });
+  }
+});
+
+// ── GET /api/visits/verification  (check-in rate per rep, manager) ───────────
+
+router.get('/verification', requireRole('manager', 'executive'), async (req, res) => {
+  try {
+    const days  = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const repId = req.query.rep_id ? parseInt(req.query.rep_id) : null;
+    const scope = await scopeFor(req);
+    res.json({ days, reps: await fetchVerificationByRep({ days, repId, repIds: scope.all ? null : scope.repIds }) });
+  } catch (err) {
+    console.error('Visit verification error:', err.message);
+    res.status(500).json({ error: 'Failed to load check-in verification' });
+  }
+});
+
 // ── GET /api/visits  (recent visit list) ─────────────────────────────────────
 
 router.get('/', requireAuth, async (req, res) => {
@@ -245,9 +342,17 @@ router.get('/', requireAuth, async (req, res) => {
       // Reps always see only their own visits
       conditions.push(`v.rep_id = $${p++}`);
       params.push(req.session.userId);
-    } else if (req.query.rep_id) {
-      conditions.push(`v.rep_id = $${p++}`);
-      params.push(parseInt(req.query.rep_id));
+    } else {
+      // Managers see their teams' visits
+      const scope = await scopeFor(req);
+      if (!scope.all) {
+        conditions.push(repScopeSql(scope, 'v.rep_id', params));
+        p = params.length + 1;
+      }
+      if (req.query.rep_id) {
+        conditions.push(`v.rep_id = $${p++}`);
+        params.push(parseInt(req.query.rep_id));
+      }
     }
 
     const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
@@ -255,7 +360,7 @@ router.get('/', requireAuth, async (req, res) => {
 
     const { rows } = await db.query(`
       SELECT
-        v.id, v.visited_at, v.note, v.rep_id, v.store_id, v.created_at,
+        v.id, v.visited_at, v.note, v.rep_id, v.store_id, v.created_at, ${VISIT_DETAIL_SELECT},
         s.name AS store_name, s.grade,
         u.name AS rep_name
       FROM visits v
@@ -280,7 +385,10 @@ router.get('/analytics', requireRole('manager', 'executive'), async (req, res) =
   try {
     let conditions = ['s.active = TRUE'];
     let params = [];
-    let p = 1;
+
+    const scope = await scopeFor(req);
+    if (!scope.all) conditions.push(storeScopeSql(scope, 's', params));
+    let p = params.length + 1;
 
     if (req.query.rep_id) {
       conditions.push(`s.rep_id = $${p++}`);
@@ -297,16 +405,28 @@ router.get('/analytics', requireRole('manager', 'executive'), async (req, res) =
         u.name AS rep_name,
         MAX(v.visited_at)                                         AS last_visit_at,
         EXTRACT(DAY FROM NOW() - MAX(v.visited_at))::INTEGER      AS days_since_visit,
-        COUNT(v.id)::INTEGER                                      AS visit_count
+        COUNT(v.id)::INTEGER                                      AS visit_count,
+        COUNT(v.id) FILTER (WHERE v.order_taken IS NOT NULL)::INTEGER AS outcome_visits,
+        COUNT(v.id) FILTER (WHERE v.order_taken)::INTEGER         AS orders_taken,
+        COALESCE(SUM(v.order_value) FILTER (WHERE v.order_taken), 0)::FLOAT8 AS order_value,
+        COUNT(v.id) FILTER (WHERE v.merchandised)::INTEGER        AS merchandised_visits,
+        COUNT(v.id) FILTER (WHERE v.checkin_verified IS NOT NULL)::INTEGER AS checkin_visits,
+        COUNT(v.id) FILTER (WHERE v.checkin_verified)::INTEGER    AS verified_visits,
+        to_char(MIN(v.follow_up_date) FILTER (WHERE v.follow_up_date >= $${p}::DATE), 'YYYY-MM-DD') AS next_follow_up
       FROM stores s
       LEFT JOIN users u   ON u.id   = s.rep_id
       LEFT JOIN visits v  ON v.store_id = s.id
       WHERE ${conditions.join(' AND ')}
       GROUP BY s.id, s.name, s.grade, s.state, s.channel_type, u.name
       ORDER BY s.name ASC
-    `, params);
-
-    res.json(rows);
+    `, [...params, sydneyToday()]);
+
+    const streaks = new Map((await fetchNoOrderStreaks()).map((r) => [r.store_id, r.streak]));
+    res.json(rows.map((r) => ({
+      ...r,
+      order_rate_pct:  r.outcome_visits ? Math.round((r.orders_taken / r.outcome_visits) * 100) : null,
+      no_order_streak: streaks.get(r.id) || 0,
+    })));
   } catch (err) {
     console.error('Visit analytics error:', err.message);
     res.status(500).json({ error: 'Failed to load analytics' });
@@ -314,16 +434,64 @@ router.get('/analytics', requireRole('manager', 'executive'), async (req, res) =
 });
 
 // ── POST /api/visits  (log a visit) ──────────────────────────────────────────
+// Visits logged offline are replayed by the PWA with the Idempotency-Key they
+// were queued with and the time they were logged (visited_at). A key the rep
+// has already used returns the original visit with replayed: true.
+
+const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9_-]{8,100}$/;
+const MAX_REPLAY_AGE_MS  = 14 * 24 * 60 * 60 * 1000;  // oldest offline visit accepted
+
+/**
+ * Client-supplied visit time → Date, or null for "now". Times ahead of the
+ * server (a phone clock running fast) are clamped to the server's time.
+ */
+function parseVisitedAt(value) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const at = new Date(value);
+  if (typeof value !== 'string' || isNaN(at)) return { error: 'visited_at must be an ISO timestamp' };
+  if (Date.now() - at.getTime() > MAX_REPLAY_AGE_MS) return { error: 'visited_at is more than 14 days ago' };
+  return { value: at };
+}
+
+async function findVisitByKey(repId, key) {
+  const { rows } = await db.query(`
+    SELECT v.id, v.rep_id, v.store_id, v.visited_at, v.note, v.created_at, ${VISIT_DETAIL_SELECT},
+           s.name AS store_name
+    FROM visits v
+    JOIN stores s ON s.id = v.store_id
+    WHERE v.rep_id = $1 AND v.idempotency_key = $2
+  `, [repId, key]);
+  return rows[0] ? { ...rows[0], replayed: true } : null;
+}
 
 router.post('/', requireAuth, async (req, res) => {
   const { store_id, note } = req.body;
   if (!store_id) return res.status(400).json({ error: 'store_id is required' });
 
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+  if (idempotencyKey && !IDEMPOTENCY_KEY_RE.test(idempotencyKey)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 8–100 letters, digits, - or _' });
+  }
+
+  const visitedAt = parseVisitedAt(req.body.visited_at);
+  if (visitedAt.error) return res.status(400).json({ error: visitedAt.error });
+
+  const checkin = parseCheckinLocation(req.body.location);
+  if (checkin.error) return res.status(400).json({ error: checkin.error });
+
+  const { outcome, error } = parseVisitOutcome(req.body, { today: sydneyToday() });
+  if (error) return res.status(400).json({ error });
+
   try {
     const isManager = ['manager', 'executive'].includes(req.session.role);
 
+    if (idempotencyKey) {
+      const existing = await findVisitByKey(req.session.userId, idempotencyKey);
+      if (existing) return res.json(existing);
+    }
+
     const { rows: storeRows } = await db.query(
-      'SELECT id, name, rep_id FROM stores WHERE id = $1 AND active = TRUE',
+      'SELECT id, name, rep_id, latitude, longitude, geocode_source FROM stores WHERE id = $1 AND active = TRUE',
       [store_id]
     );
     if (!storeRows[0]) return res.status(404).json({ error: 'Store not found' });
@@ -333,11 +501,25 @@ router.post('/', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'You can only log visits to your own stores' });
     }
 
+    const loggedAt = new Date();
+    const visitTime = visitedAt.value && visitedAt.value < loggedAt ? visitedAt.value : loggedAt;
+    const checkinCols = evaluateCheckin({ location: checkin.location, store, visitedAt: visitTime, loggedAt });
+
+    const extraCols = [...OUTCOME_COLUMNS, ...CHECKIN_COLUMNS];
+    const extraVals = [...OUTCOME_COLUMNS.map((c) => outcome[c]), ...CHECKIN_COLUMNS.map((c) => checkinCols[c])];
     const { rows } = await db.query(
-      `INSERT INTO visits (rep_id, store_id, visited_at, note)
-       VALUES ($1, $2, NOW(), $3)
-       RETURNING id, rep_id, store_id, visited_at, note, created_at`,
-      [req.session.userId, store_id, note?.trim() || null]
+      `INSERT INTO visits (rep_id, store_id, visited_at, note, idempotency_key, ${extraCols.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, ${extraCols.map((_, i) => `$${i + 6}`).join(', ')})
+       ON CONFLICT (rep_id, idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+       RETURNING id, rep_id, store_id, visited_at, note, created_at, ${VISIT_DETAIL_SELECT}`,
+      [req.session.userId, store_id, visitTime, note?.trim() || null, idempotencyKey, ...extraVals]
+    );
+    // Lost a race with a concurrent replay of the same key
+    if (!rows[0]) return res.json(await findVisitByKey(req.session.userId, idempotencyKey));
+
+    // A visit clears this store's visit-breach alerts
+    await autoResolveAlerts({ storeId: store.id }).catch((err) =>
+      console.error('Alert auto-resolve error:', err.message)
     );
 
     res.json({ ...rows[0], store_name: store.name });
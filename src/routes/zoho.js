@@ -3,27 +3,32 @@
 /**
  * Zoho integration routes.
  *
- * GET  /api/zoho-test        – connectivity check
- * POST /api/sync             – trigger on-demand store sync
+ * GET  /api/zoho-test        – connectivity check (executive)
+ * POST /api/sync             – trigger on-demand store sync (manager / executive)
  * GET  /api/debug-deanne     – temporary debug endpoint (REMOVE after fix confirmed)
+ * /api/debug/*               – token, cache and schema diagnostics (executive)
  */
 
 const express = require('express');
-const { makeZohoRequest, refreshAccessToken } = require('../services/zoho');
-const { syncStores, fetchInvoices, fetchInvoicesWithTimeout, invalidateInvoiceCache, refreshInvoiceCacheInBackground, getInvoiceCacheStats, isSyncRecentEnough, invAmount } = require('../services/sync');
+const { makeZohoRequest, refreshAccessToken, withZohoSubsystem, getApiBudget } = require('../services/zoho');
+const { syncStores, syncInvoices, syncCreditNotes, fetchInvoices, getInvoiceStoreStats, isSyncRecentEnough, invAmount } = require('../services/sync');
 const { requireRole } = require('../middleware/auth');
 const db = require('../db');
 
 const router = express.Router();
 
+// Attribute Zoho calls made from these routes for API budget tracking:
+// POST /sync counts as 'sync', everything else here as 'debug'.
+router.use((req, res, next) => {
+  withZohoSubsystem(req.path === '/sync' ? 'sync' : 'debug', next);
+});
+
 // ── GET /api/zoho-test ────────────────────────────────────────────────────────
 //
 // Verifies the Zoho connection is working.
 // Returns a summary of data visible via the API — useful before building UI.
 //
-// TODO: Restrict to admin role once auth middleware is wired up (Prompt 3).
-
-router.get('/zoho-test', async (req, res) => {
+router.get('/zoho-test', requireRole('executive'), async (req, res) => {
   try {
     const orgId = process.env.ZOHO_ORG_ID || '689159620';
 
@@ -77,10 +82,9 @@ router.get('/zoho-test', async (req, res) => {
 //
 // Triggers an on-demand store sync from Zoho Books.
 // Pass { "force": true } in the JSON body to bypass the 15-minute cache.
-//
-// TODO: Restrict to manager/executive role once auth middleware is wired up (Prompt 3).
+// Managers and executives only.
 
-router.post('/sync', async (req, res) => {
+router.post('/sync', requireRole('manager', 'executive'), async (req, res) => {
   const force = req.body?.force === true;
 
   if (!force && isSyncRecentEnough('stores')) {
@@ -260,22 +264,27 @@ router.get('/debug/grading-status', requireRole('executive'), async (req, res) =
 });
 
 // ── GET /api/debug/invoice-cache ─────────────────────────────────────────────
-// Shows current invoice cache state — no Zoho API call. Executive only.
-// If entries is empty → pre-warm hasn't completed or failed.
+// Shows the local invoice / credit note store — no Zoho API call. Executive only.
+// If backfilled is false → the first full sync hasn't completed or failed.
 
-router.get('/debug/invoice-cache', requireRole('executive'), (req, res) => {
-  const stats = getInvoiceCacheStats();
-  res.json({
-    ok: true,
-    ...stats,
-    note: 'If entries is empty, the 18m invoice cache has not been populated yet. Use POST /api/debug/cache-refresh to force reload.',
-  });
+router.get('/debug/invoice-cache', requireRole('executive'), async (req, res) => {
+  try {
+    const stats = await getInvoiceStoreStats();
+    res.json({
+      ok: true,
+      ...stats,
+      note: 'If backfilled is false, the first full sync has not completed yet. Use POST /api/debug/cache-refresh to force a full re-sync.',
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
 });
 
 // ── GET /api/debug/token-status ───────────────────────────────────────────────
 // Shows Zoho token state from app_config (NOT zoho_tokens — that table doesn't
 // exist; the refresh token lives in app_config under key 'zoho_refresh_token').
-// Also shows invoice cache state and attempts a live Zoho ping. Executive only.
+// Also shows invoice store state, today's Zoho API budget (calls per subsystem)
+// and attempts a live Zoho ping. Executive only.
 
 router.get('/debug/token-status', requireRole('executive'), async (req, res) => {
   const out = {};
@@ -293,10 +302,21 @@ router.get('/debug/token-status', requireRole('executive'), async (req, res) =>
     out.refresh_token_db_error = err.message;
   }
 
-  // 2. Invoice cache state
-  out.invoice_cache = getInvoiceCacheStats();
+  // 2. Local invoice store state
+  try {
+    out.invoice_store = await getInvoiceStoreStats();
+  } catch (err) {
+    out.invoice_store_error = err.message;
+  }
 
-  // 3. Live Zoho ping
+  // 3. Zoho API budget — daily quota, per-subsystem call counts, queue state
+  try {
+    out.api_budget = await getApiBudget();
+  } catch (err) {
+    out.api_budget_error = err.message;
+  }
+
+  // 4. Live Zoho ping
   try {
     const to   = new Date().toISOString().slice(0, 10);
     const from = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
@@ -385,30 +405,23 @@ router.get('/debug/zoho-ping', requireRole('executive'), async (req, res) => {
 });
 
 // ── POST /api/debug/cache-refresh ────────────────────────────────────────────
-// Clears invoice cache and triggers a fresh 18m fetch. Executive only.
-// Non-blocking — responds immediately, fetch runs in background.
-// Check Render logs for "[scheduler] fetchInvoices cached" to confirm success.
+// Re-pulls the full invoice + credit note window from Zoho. Executive only.
+// Existing rows keep serving reads while the pull runs; invoices deleted in
+// Zoho are removed once it completes. Non-blocking — responds immediately.
 
 router.post('/debug/cache-refresh', requireRole('executive'), (req, res) => {
-  const now  = new Date();
-  const toD  = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-  const fromD = new Date(now.getFullYear(), now.getMonth() - 17, 1);
-  const pad  = n => String(n).padStart(2, '0');
-  const from = `${fromD.getFullYear()}-${pad(fromD.getMonth() + 1)}-01`;
-  const to   = `${toD.getFullYear()}-${pad(toD.getMonth() + 1)}-${pad(toD.getDate())}`;
-
-  // Clear first (user-triggered explicit reload), then refill.
-  // Unlike the hourly scheduler we want a true forced reload here.
-  invalidateInvoiceCache();
-  console.log(`[cache-refresh] Cache cleared. Re-warming ${from} to ${to}…`);
+  console.log('[cache-refresh] Starting full invoice + credit note re-sync…');
 
-  refreshInvoiceCacheInBackground(from, to)
-    .then(inv => console.log(`[cache-refresh] Done — ${inv.length} invoices loaded`))
-    .catch(err => console.error('[cache-refresh] Failed:', err.message));
+  syncInvoices({ full: true })
+    .then(r => console.log(`[cache-refresh] Invoices done — ${r.upserted} upserted`))
+    .catch(err => console.error('[cache-refresh] Invoice re-sync failed:', err.message));
+  syncCreditNotes({ full: true })
+    .then(r => console.log(`[cache-refresh] Credit notes done — ${r.upserted} upserted`))
+    .catch(err => console.error('[cache-refresh] Credit note re-sync failed:', err.message));
 
   res.json({
     ok: true,
-    message: `Cache cleared. Re-warming ${from} to ${to} in background (~60s). Reload dashboard once Render logs show "fetchInvoices cached".`,
+    message: 'Full re-sync started in background. Existing invoices keep serving the dashboard; check GET /api/debug/invoice-cache for progress.',
   });
 });
 
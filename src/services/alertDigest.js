@@ -0,0 +1,330 @@
+'use strict';
+
+/**
+ * Alert email digests.
+ *
+ * After the nightly alert engine, runAlertDigests() emails each active user
+ * the alerts raised since their last digest that are still open (not
+ * resolved or snoozed), grouped by tier. Reps get the alerts assigned to them;
+ * managers get their teams' alerts and executives all of them (same
+ * visibility as GET /api/alerts, see teamScope.js).
+ *
+ * Preferences (notification_prefs, defaults when a user has no row):
+ *   digest      'daily' | 'weekly' | 'off'          (default 'daily')
+ *   weekly_day  ISO weekday for weekly digests      (default 1 = Monday)
+ *   max_tier    1 = Tier 1 only, 2 = both tiers     (default 2)
+ *
+ * Days are Sydney calendar days, matching the cron schedule. A user is sent at
+ * most one scheduled digest per day; empty digests are not sent.
+ *
+ * Exports:
+ *   DEFAULT_PREFS
+ *   getPrefs(userId)                 → prefs (defaults merged)
+ *   savePrefs(userId, prefs)         → saved prefs
+ *   isDigestDue(prefs, now?)         → boolean
+ *   buildDigest(user, alerts, opts)  → { subject, text, html }
+ *   runAlertDigests({ now? })        → { sent, empty, skipped, failed }
+ *   sendTestDigest(userId)           → { alert_count, transport }
+ */
+
+const db = require('../db');
+const { sendMail } = require('./mailer');
+const { resolveScope, repScopeSql, storeScopeSql } = require('./teamScope');
+
+const DEFAULT_PREFS = { digest: 'daily', weekly_day: 1, max_tier: 2, last_digest_at: null };
+const APP_URL       = process.env.APP_URL || 'https://sales.artico.au';
+const MAX_ALERTS    = 200;
+const DAY_MS        = 86_400_000;
+
+const TYPE_LABELS = {
+  a_grade_visit_breach: 'A-Grade Visit Breach',
+  high_value_unvisited: 'High-Value Unvisited',
+  churn_risk:           'Churn Risk',
+  sku_gap:              'SKU Gap',
+  rep_activity_drop:    'Rep Activity Drop',
+  no_order_streak:      'Visits Without Order',
+  store_outperforming:  'Outperforming Store',
+  new_door_high_value:  'New Customer',
+  brand_underindex:     'Brand Under-Index',
+  focus_line:           'Focus Line',
+  grade_change:         'Grade Change',
+  customer_lapsed:      'Customer Lapsed',
+};
+
+// ── Dates (Australia/Sydney) ──────────────────────────────────────────────────
+
+const _dayFormatter     = new Intl.DateTimeFormat('en-CA', { timeZone: 'Australia/Sydney' });
+const _weekdayFormatter = new Intl.DateTimeFormat('en-AU', { timeZone: 'Australia/Sydney', weekday: 'short' });
+const ISO_WEEKDAY = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+function sydneyDay(d) {
+  return _dayFormatter.format(d); // YYYY-MM-DD
+}
+
+function sydneyWeekday(d) {
+  return ISO_WEEKDAY[_weekdayFormatter.format(d)];
+}
+
+// ── Preferences ───────────────────────────────────────────────────────────────
+
+function withDefaults(row) {
+  const prefs = { ...DEFAULT_PREFS };
+  for (const key of Object.keys(DEFAULT_PREFS)) {
+    if (row && row[key] !== null && row[key] !== undefined) prefs[key] = row[key];
+  }
+  return prefs;
+}
+
+async function getPrefs(userId) {
+  const { rows } = await db.query(`SELECT * FROM notification_prefs WHERE user_id = $1`, [userId]);
+  return withDefaults(rows[0]);
+}
+
+/**
+ * Upsert a user's preferences. Fields left undefined keep their current value.
+ * Validation is the caller's job (see routes/alerts.js).
+ */
+async function savePrefs(userId, { digest, weekly_day, max_tier }) {
+  const current = await getPrefs(userId);
+  const next = {
+    digest:     digest     ?? current.digest,
+    weekly_day: weekly_day ?? current.weekly_day,
+    max_tier:   max_tier   ?? current.max_tier,
+  };
+  const { rows } = await db.query(`
+    INSERT INTO notification_prefs (user_id, digest, weekly_day, max_tier)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id) DO UPDATE
+      SET digest = EXCLUDED.digest, weekly_day = EXCLUDED.weekly_day,
+          max_tier = EXCLUDED.max_tier, updated_at = NOW()
+    RETURNING *
+  `, [userId, next.digest, next.weekly_day, next.max_tier]);
+  return withDefaults(rows[0]);
+}
+
+/** Whether a scheduled digest should go out to this user at `now`. */
+function isDigestDue(prefs, now = new Date()) {
+  if (prefs.digest === 'off') return false;
+  if (prefs.last_digest_at && sydneyDay(new Date(prefs.last_digest_at)) === sydneyDay(now)) return false;
+  if (prefs.digest === 'weekly') return sydneyWeekday(now) === Number(prefs.weekly_day);
+  return true;
+}
+
+/** Start of the digest window: the last digest, else one day / one week back. */
+function digestSince(prefs, now) {
+  if (prefs.last_digest_at) return new Date(prefs.last_digest_at);
+  return new Date(now.getTime() - (prefs.digest === 'weekly' ? 7 : 1) * DAY_MS);
+}
+
+// ── Alerts ────────────────────────────────────────────────────────────────────
+
+async function fetchDigestAlerts(user, since, maxTier) {
+  const isManager = ['manager', 'executive'].includes(user.role);
+  const params = [since, maxTier, MAX_ALERTS];
+  let repFilter = '';
+  if (!isManager) {
+    params.push(user.id);
+    repFilter = `AND COALESCE(a.assigned_to, a.rep_id) = $${params.length}`;
+  } else {
+    // Managers get their teams' reps and stores, as in GET /api/alerts
+    const scope = await resolveScope({ userId: user.id, role: user.role });
+    if (!scope.all) {
+      repFilter = `AND (${repScopeSql(scope, 'COALESCE(a.assigned_to, a.rep_id)', params)} OR ${storeScopeSql(scope, 's', params)})`;
+    }
+  }
+
+  const { rows } = await db.query(`
+    SELECT
+      a.id, a.alert_type, a.tier, a.alert_title, a.triggered_at,
+      a.revenue_at_risk::FLOAT8  AS revenue_at_risk,
+      a.estimated_uplift::FLOAT8 AS estimated_uplift,
+      s.name AS store_name,
+      u.name AS rep_name
+    FROM alert_log a
+    LEFT JOIN stores s ON s.id = a.store_id
+    LEFT JOIN users  u ON u.id = a.rep_id
+    WHERE a.acknowledged_at IS NULL
+      AND a.status = 'open'
+      AND a.triggered_at > $1
+      AND a.tier <= $2
+      ${repFilter}
+    ORDER BY a.tier ASC, a.triggered_at DESC
+    LIMIT $3
+  `, params);
+  return rows;
+}
+
+// ── Formatting ────────────────────────────────────────────────────────────────
+
+function fmt(n) {
+  if (!n) return '$0';
+  return '$' + Math.round(n).toLocaleString('en-AU');
+}
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function alertFacts(a, showRep) {
+  return [
+    TYPE_LABELS[a.alert_type] || a.alert_type,
+    showRep && a.rep_name ? a.rep_name : null,
+    a.revenue_at_risk  ? `At risk ${fmt(a.revenue_at_risk)}` : null,
+    a.estimated_uplift ? `Uplift ${fmt(a.estimated_uplift)}` : null,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render a digest email.
+ * @param {object}   user   – { name, role }
+ * @param {object[]} alerts – rows from fetchDigestAlerts()
+ * @param {object}   [opts] – { frequency: 'daily'|'weekly'|'test', appUrl }
+ */
+function buildDigest(user, alerts, { frequency = 'daily', appUrl = APP_URL } = {}) {
+  const showRep = ['manager', 'executive'].includes(user.role);
+  const groups = [
+    { label: 'Action required', tier: 1, alerts: alerts.filter((a) => a.tier === 1) },
+    { label: 'Insights',        tier: 2, alerts: alerts.filter((a) => a.tier === 2) },
+  ].filter((g) => g.alerts.length > 0);
+
+  const t1 = alerts.filter((a) => a.tier === 1).length;
+  const period = frequency === 'weekly' ? 'this week' : frequency === 'test' ? 'open' : 'since yesterday';
+  const subject = `Artico Sales: ${alerts.length} new alert${alerts.length === 1 ? '' : 's'}` +
+    (t1 ? ` (${t1} action required)` : '');
+
+  const firstName = (user.name || '').split(' ')[0] || 'there';
+  const intro = `Hi ${firstName}, here ${alerts.length === 1 ? 'is' : 'are'} ${alerts.length} alert${alerts.length === 1 ? '' : 's'} ${period}.`;
+  const footer = `Open the app to acknowledge alerts: ${appUrl}\nChange how often you get this email under Notifications (bell icon) in the app.`;
+
+  const text = [
+    intro,
+    '',
+    ...groups.flatMap((g) => [
+      `${g.label.toUpperCase()} (${g.alerts.length})`,
+      ...g.alerts.flatMap((a) => [`- ${a.alert_title}`, `  ${alertFacts(a, showRep)}`]),
+      '',
+    ]),
+    footer,
+  ].join('\n');
+
+  const colour = { 1: '#B91C1C', 2: '#B45309' };
+  const html = `<!DOCTYPE html>
+<html><body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#111827;max-width:600px;margin:0 auto;padding:16px;">
+  <p>${escapeHtml(intro)}</p>
+  ${groups.map((g) => `
+  <h3 style="color:${colour[g.tier]};font-size:14px;text-transform:uppercase;letter-spacing:0.04em;margin:20px 0 8px;">${g.label} (${g.alerts.length})</h3>
+  ${g.alerts.map((a) => `
+  <div style="border-left:3px solid ${colour[g.tier]};padding:6px 10px;margin-bottom:8px;background:#F9FAFB;">
+    <div style="font-weight:600;">${escapeHtml(a.alert_title)}</div>
+    <div style="font-size:13px;color:#6B7280;">${escapeHtml(alertFacts(a, showRep))}</div>
+  </div>`).join('')}`).join('')}
+  <p style="margin-top:24px;"><a href="${escapeHtml(appUrl)}" style="color:#1B3A6B;font-weight:600;">Open Artico Sales</a></p>
+  <p style="font-size:12px;color:#6B7280;">Change how often you get this email under Notifications (bell icon) in the app.</p>
+</body></html>`;
+
+  return { subject, text, html };
+}
+
+// ── Sending ───────────────────────────────────────────────────────────────────
+
+async function logNotification(userId, kind, { status, alertCount, result, error }) {
+  await db.query(`
+    INSERT INTO notification_log (user_id, kind, status, alert_count, transport, message_id, error)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [userId, kind, status, alertCount, result?.transport ?? null, result?.id ?? null, error ?? null]);
+}
+
+async function markDigested(userId, now) {
+  await db.query(`
+    INSERT INTO notification_prefs (user_id, last_digest_at) VALUES ($1, $2)
+    ON CONFLICT (user_id) DO UPDATE SET last_digest_at = EXCLUDED.last_digest_at
+  `, [userId, now]);
+}
+
+/**
+ * Send scheduled digests to every active user who is due one.
+ * Errors for one user are logged and do not stop the run.
+ */
+async function runAlertDigests({ now = new Date() } = {}) {
+  console.log('[alertDigest] Starting digest run');
+  const counts = { sent: 0, empty: 0, skipped: 0, failed: 0 };
+
+  const { rows: users } = await db.query(`
+    SELECT u.id, u.name, u.email, u.role,
+           p.digest, p.weekly_day, p.max_tier, p.last_digest_at
+    FROM users u
+    LEFT JOIN notification_prefs p ON p.user_id = u.id
+    WHERE u.active = TRUE AND COALESCE(u.email, '') <> ''
+    ORDER BY u.id
+  `);
+
+  for (const user of users) {
+    const prefs = withDefaults(user);
+    if (!isDigestDue(prefs, now)) { counts.skipped++; continue; }
+
+    let alerts = [];
+    try {
+      alerts = await fetchDigestAlerts(user, digestSince(prefs, now), prefs.max_tier);
+      if (alerts.length === 0) {
+        await markDigested(user.id, now);
+        counts.empty++;
+        continue;
+      }
+
+      const message = buildDigest(user, alerts, { frequency: prefs.digest });
+      const result  = await sendMail({ to: user.email, ...message });
+      await markDigested(user.id, now);
+      await logNotification(user.id, 'digest', { status: 'sent', alertCount: alerts.length, result });
+      counts.sent++;
+    } catch (err) {
+      console.error(`[alertDigest] Digest for user ${user.id} failed:`, err.message);
+      counts.failed++;
+      await logNotification(user.id, 'digest', { status: 'failed', alertCount: alerts.length, error: err.message })
+        .catch(() => {});
+    }
+  }
+
+  console.log(`[alertDigest] Done — ${counts.sent} sent, ${counts.empty} empty, ${counts.failed} failed`);
+  return counts;
+}
+
+/**
+ * Send the user a digest of their currently open alerts (last 7 days) right
+ * now, whatever their schedule. Does not move last_digest_at.
+ */
+async function sendTestDigest(userId) {
+  const { rows } = await db.query(`SELECT id, name, email, role FROM users WHERE id = $1`, [userId]);
+  const user = rows[0];
+  if (!user) throw new Error('User not found');
+
+  const prefs  = await getPrefs(userId);
+  const alerts = await fetchDigestAlerts(user, new Date(Date.now() - 7 * DAY_MS), prefs.max_tier);
+  const message = alerts.length > 0
+    ? buildDigest(user, alerts, { frequency: 'test' })
+    : {
+        subject: 'Artico Sales: test email',
+        text:    `Hi ${(user.name || '').split(' ')[0] || 'there'}, email notifications are working. You have no open alerts from the last 7 days.`,
+      };
+
+  try {
+    const result = await sendMail({ to: user.email, ...message });
+    await logNotification(user.id, 'test', { status: 'sent', alertCount: alerts.length, result });
+    return { alert_count: alerts.length, transport: result.transport };
+  } catch (err) {
+    await logNotification(user.id, 'test', { status: 'failed', alertCount: alerts.length, error: err.message })
+      .catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  DEFAULT_PREFS,
+  getPrefs,
+  savePrefs,
+  isDigestDue,
+  buildDigest,
+  runAlertDigests,
+  sendTestDigest,
+};
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Alert effectiveness — did alerts lead to visits and orders?
+ *
+ * For every alert raised in a window this looks at what happened next:
+ *   actioned        – a user acted on it (resolve, snooze, reassign or ✓)
+ *   auto_resolved   – it closed itself (see alertLifecycle.js)
+ *   days_to_action  – trigger → first user action
+ *   visited         – a visit at the store within visitDays of the trigger
+ *   revenue         – invoiced revenue at the store (ex GST, drafts / voids
+ *                     excluded) from the trigger day through revenueDays
+ *
+ * Visit and revenue figures only apply to store alerts; rep-level alerts
+ * (rep_activity_drop) count towards actioned / time to action only. Alerts
+ * younger than revenueDays have an incomplete revenue window — `complete`
+ * says how many in a group have had the full window.
+ *
+ * Exports:
+ *   fetchAlertOutcomes({ from, to, visitDays, revenueDays })  → per-alert rows
+ *   summariseOutcomes(rows, keyFn, labelFn)                   → grouped stats
+ *   buildEffectivenessReport(opts)                            → { window, totals, by_type, by_rep }
+ *                                                               (opts.repIds limits it to those reps' alerts)
+ */
+
+const db = require('../db');
+
+const DEFAULT_VISIT_DAYS   = 14;
+const DEFAULT_REVENUE_DAYS = 90;
+
+// Same exclusions and GST treatment as sync.js (invAmount)
+const EXCLUDED_INVOICE_STATUSES = ['draft', 'void'];
+const GST_DIVISOR = 1.1;
+
+/**
+ * One row per alert triggered between `from` and `to` (inclusive, Sydney dates).
+ */
+async function fetchAlertOutcomes({ from, to, visitDays = DEFAULT_VISIT_DAYS, revenueDays = DEFAULT_REVENUE_DAYS }) {
+  const { rows } = await db.query(`
+    SELECT
+      a.id, a.alert_type, a.tier, a.store_id,
+      COALESCE(a.assigned_to, a.rep_id)   AS rep_id,
+      u.name                              AS rep_name,
+      a.triggered_at,
+      a.revenue_at_risk::FLOAT8           AS revenue_at_risk,
+      a.estimated_uplift::FLOAT8          AS estimated_uplift,
+      act.first_action_at,
+      EXISTS (SELECT 1 FROM alert_events e WHERE e.alert_id = a.id AND e.event = 'auto_resolved') AS auto_resolved,
+      vis.first_visit_at,
+      rev.revenue,
+      a.triggered_at + make_interval(days => $4) <= NOW() AS complete
+    FROM alert_log a
+    LEFT JOIN users  u ON u.id = COALESCE(a.assigned_to, a.rep_id)
+    LEFT JOIN stores s ON s.id = a.store_id
+    CROSS JOIN LATERAL (
+      -- Legacy acknowledgements have no events, only acknowledged_by
+      SELECT LEAST(
+        (SELECT MIN(e.created_at) FROM alert_events e WHERE e.alert_id = a.id AND e.user_id IS NOT NULL),
+        CASE WHEN a.acknowledged_by IS NOT NULL THEN a.acknowledged_at END
+      ) AS first_action_at
+    ) act
+    LEFT JOIN LATERAL (
+      SELECT MIN(v.visited_at) AS first_visit_at
+      FROM visits v
+      WHERE v.store_id = a.store_id
+        AND v.visited_at >= a.triggered_at
+        AND v.visited_at <  a.triggered_at + make_interval(days => $3)
+    ) vis ON a.store_id IS NOT NULL
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(SUM(i.total), 0)::FLOAT8 / ${GST_DIVISOR} AS revenue
+      FROM zoho_invoices i
+      WHERE i.customer_id = s.zoho_contact_id
+        AND i.date >= (a.triggered_at AT TIME ZONE 'Australia/Sydney')::DATE
+        AND i.date <  (a.triggered_at AT TIME ZONE 'Australia/Sydney')::DATE + $4::INTEGER
+        AND COALESCE(i.status, '') <> ALL($5)
+    ) rev ON a.store_id IS NOT NULL
+    WHERE (a.triggered_at AT TIME ZONE 'Australia/Sydney')::DATE BETWEEN $1 AND $2
+    ORDER BY a.triggered_at
+  `, [from, to, visitDays, revenueDays, EXCLUDED_INVOICE_STATUSES]);
+  return rows;
+}
+
+// ── Aggregation ───────────────────────────────────────────────────────────────
+
+function pct(n, d) {
+  return d > 0 ? Math.round((n / d) * 100) : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Group per-alert rows and compute the report columns.
+ * @param {object[]} rows     – from fetchAlertOutcomes()
+ * @param {Function} keyFn    – row → group key
+ * @param {Function} labelFn  – row → group label
+ * @returns {object[]} groups sorted by alert count, largest first
+ */
+function summariseOutcomes(rows, keyFn, labelFn = keyFn) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyFn(row);
+    if (!groups.has(key)) groups.set(key, { key, label: labelFn(row), rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  return [...groups.values()].map(({ key, label, rows: g }) => {
+    const storeAlerts = g.filter((r) => r.store_id !== null);
+    const actioned    = g.filter((r) => r.first_action_at);
+    const autoClosed  = g.filter((r) => r.auto_resolved);
+    const visited     = storeAlerts.filter((r) => r.first_visit_at);
+    const ordered     = storeAlerts.filter((r) => r.revenue > 0);
+    const revenue     = storeAlerts.reduce((sum, r) => sum + (r.revenue || 0), 0);
+    const daysToAction = actioned.map((r) =>
+      (new Date(r.first_action_at) - new Date(r.triggered_at)) / 86_400_000
+    );
+    const medianDays = median(daysToAction);
+
+    return {
+      key,
+      label,
+      alerts:                g.length,
+      actioned:              actioned.length,
+      actioned_pct:          pct(actioned.length, g.length),
+      auto_resolved:         autoClosed.length,
+      auto_resolved_pct:     pct(autoClosed.length, g.length),
+      median_days_to_action: medianDays === null ? null : Math.round(medianDays * 10) / 10,
+      store_alerts:          storeAlerts.length,
+      visited:               visited.length,
+      visited_pct:           pct(visited.length, storeAlerts.length),
+      ordered:               ordered.length,
+      ordered_pct:           pct(ordered.length, storeAlerts.length),
+      revenue:               Math.round(revenue),
+      revenue_per_alert:     storeAlerts.length ? Math.round(revenue / storeAlerts.length) : null,
+      revenue_at_risk:       Math.round(g.reduce((sum, r) => sum + (r.revenue_at_risk || 0), 0)),
+      estimated_uplift:      Math.round(g.reduce((sum, r) => sum + (r.estimated_uplift || 0), 0)),
+      complete:              storeAlerts.filter((r) => r.complete).length,
+    };
+  }).sort((a, b) => b.alerts - a.alerts);
+}
+
+/**
+ * Effectiveness report for alerts triggered between `from` and `to`.
+ * @param {object} opts – { from, to, visitDays?, revenueDays? } (dates YYYY-MM-DD)
+ */
+async function buildEffectivenessReport({ from, to, visitDays = DEFAULT_VISIT_DAYS, revenueDays = DEFAULT_REVENUE_DAYS, repIds = null }) {
+  let rows = await fetchAlertOutcomes({ from, to, visitDays, revenueDays });
+  if (repIds) rows = rows.filter((r) => repIds.includes(r.rep_id));
+  const [totals] = summariseOutcomes(rows, () => 'all', () => 'All alerts');
+  return {
+    window:  { from, to, visit_days: visitDays, revenue_days: revenueDays },
+    totals:  totals || null,
+    by_type: summariseOutcomes(rows, (r) => r.alert_type),
+    by_rep:  summariseOutcomes(rows, (r) => r.rep_id ?? 'none', (r) => r.rep_name || 'Unassigned'),
+  };
+}
+
+module.exports = {
+  DEFAULT_VISIT_DAYS,
+  DEFAULT_REVENUE_DAYS,
+  fetchAlertOutcomes,
+  summariseOutcomes,
+  buildEffectivenessReport,
+};
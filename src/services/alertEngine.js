@@ -9,19 +9,33 @@
  *   ALERT-3  churn_risk              Top-20% revenue store, no invoice in 90+ days
  *   ALERT-4  sku_gap                 Store with revenue but only 1 distinct SKU (12m)
  *   ALERT-5  rep_activity_drop       Rep with 0 visits in the last 14 days
+ *   ALERT-6  no_order_streak         Store visited 3+ times in a row with no order taken
  *
  * Tier 2 — informational / positive:
  *   T2-1     store_outperforming     Store revenue up >20% vs same period prior year
  *   T2-2     new_door_high_value     New door (first invoice) with value > $500
- *   T2-3     brand_underindex        (placeholder — requires brand config)
- *   T2-4     focus_line              (placeholder — requires focus-line config)
+ *   T2-3     brand_underindex        Brand share < 50% of the channel / territory average
+ *   T2-4     focus_line              Active store hasn't ranged a current focus line
+ *
+ * The thresholds above are the defaults. Each runner resolves the effective
+ * rule per store (or per rep for ALERT-5) from the alert_rules table — see
+ * alertRules.js — so managers can disable a type, change its tier or tune its
+ * params for a channel, state, grade or rep. Runners take the loaded rules as
+ * their last argument; omitted, the built-in defaults apply.
  *
  * Deduplication: an alert is only inserted if no unacknowledged alert of the
- * same alert_type + store_id + rep_id exists.
+ * same alert_type + store_id + rep_id exists (snoozed and reassigned alerts
+ * count as unacknowledged). Before the runners, due snoozes are woken and
+ * alerts whose condition has cleared are auto-resolved — see alertLifecycle.js.
  */
 
 const db           = require('../db');
-const { fetchInvoices, invAmount } = require('./sync');
+const { fetchInvoices, fetchItemBrandMap, invAmount } = require('./sync');
+const { buildBrandTotals } = require('./dashboard');
+const { withZohoSubsystem } = require('./zoho');
+const { loadAlertRules, resolveRule, maxParam } = require('./alertRules');
+const { wakeSnoozedAlerts, autoResolveAlerts } = require('./alertLifecycle');
+const { fetchNoOrderStreaks } = require('./visitOutcomes');
 
 // ── Date helpers ──────────────────────────────────────────────────────────────
 
@@ -78,27 +92,30 @@ async function insertAlert({ alertType, storeId, repId, tier, title, detail, rev
 // ── ALERT-1: A-Grade Visit Breach ─────────────────────────────────────────────
 // A-grade stores that have not been visited in 30+ days (or never visited).
 
-async function runAlert1(counts) {
+async function runAlert1(counts, rules = []) {
   const { rows: stores } = await db.query(`
     SELECT
-      s.id, s.name, s.rep_id, u.name AS rep_name,
+      s.id, s.name, s.rep_id, s.channel_type, s.state, s.grade, u.name AS rep_name,
       MAX(v.visited_at) AS last_visit_at,
       EXTRACT(DAY FROM NOW() - MAX(v.visited_at))::INTEGER AS days_since_visit
     FROM stores s
     LEFT JOIN visits v ON v.store_id = s.id
     LEFT JOIN users u  ON u.id = s.rep_id
     WHERE s.grade = 'A' AND s.active = TRUE AND s.is_prospect = FALSE
-    GROUP BY s.id, s.name, s.rep_id, u.name
-    HAVING MAX(v.visited_at) IS NULL OR EXTRACT(DAY FROM NOW() - MAX(v.visited_at)) >= 30
+    GROUP BY s.id, s.name, s.rep_id, s.channel_type, s.state, s.grade, u.name
   `);
 
   for (const store of stores) {
+    const rule = resolveRule(rules, 'a_grade_visit_breach', store);
+    if (!rule.enabled) continue;
     const days = store.days_since_visit ?? null;
+    if (store.last_visit_at && days < rule.params.days) continue;
+
     const inserted = await insertAlert({
       alertType:    'a_grade_visit_breach',
       storeId:      store.id,
       repId:        store.rep_id,
-      tier:         1,
+      tier:         rule.tier,
       title:        `A-Grade not visited: ${store.name}`,
       detail:       { days_since_visit: days, rep_name: store.rep_name },
       revenueAtRisk: null,
@@ -111,7 +128,7 @@ async function runAlert1(counts) {
 // Stores with 12m revenue > $3,000 that haven't been visited in 45+ days.
 // Revenue at risk = (12m_revenue / 365) * days_overdue
 
-async function runAlert2(counts, invoices) {
+async function runAlert2(counts, invoices, rules = []) {
   // Build revenue map per zoho_contact_id
   const revenueMap = {};
   for (const inv of invoices) {
@@ -121,21 +138,24 @@ async function runAlert2(counts, invoices) {
 
   const { rows: stores } = await db.query(`
     SELECT
-      s.id, s.name, s.rep_id, s.zoho_contact_id, u.name AS rep_name,
+      s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+      u.name AS rep_name,
       MAX(v.visited_at) AS last_visit_at,
       EXTRACT(DAY FROM NOW() - MAX(v.visited_at))::INTEGER AS days_since_visit
     FROM stores s
     LEFT JOIN visits v ON v.store_id = s.id
     LEFT JOIN users u  ON u.id = s.rep_id
     WHERE s.active = TRUE AND s.is_prospect = FALSE
-    GROUP BY s.id, s.name, s.rep_id, s.zoho_contact_id, u.name
-    HAVING MAX(v.visited_at) IS NULL OR EXTRACT(DAY FROM NOW() - MAX(v.visited_at)) >= 45
+    GROUP BY s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade, u.name
   `);
 
-  const THRESHOLD = 3000;
   for (const store of stores) {
+    const rule = resolveRule(rules, 'high_value_unvisited', store);
+    if (!rule.enabled) continue;
+
     const rev = revenueMap[String(store.zoho_contact_id)] || 0;
-    if (rev < THRESHOLD) continue;
+    if (rev < rule.params.min_revenue) continue;
+    if (store.last_visit_at && store.days_since_visit < rule.params.days) continue;
 
     const days         = store.days_since_visit ?? 999;
     const revenueAtRisk = Math.round((rev / 365) * days);
@@ -144,7 +164,7 @@ async function runAlert2(counts, invoices) {
       alertType:    'high_value_unvisited',
       storeId:      store.id,
       repId:        store.rep_id,
-      tier:         1,
+      tier:         rule.tier,
       title:        `High-value store unvisited: ${store.name}`,
       detail:       { days_since_visit: days, revenue_12m: Math.round(rev), rep_name: store.rep_name },
       revenueAtRisk,
@@ -156,7 +176,7 @@ async function runAlert2(counts, invoices) {
 // ── ALERT-3: Churn Risk (Top-20% Revenue, No Recent Invoice) ─────────────────
 // Stores in the top 20% of 12m revenue with no invoice in the last 90 days.
 
-async function runAlert3(counts, invoices) {
+async function runAlert3(counts, invoices, rules = []) {
   // Revenue per customer
   const revenueMap = {};
   for (const inv of invoices) {
@@ -173,37 +193,41 @@ async function runAlert3(counts, invoices) {
     }
   }
 
-  // Compute 80th percentile threshold
+  // Revenue threshold for the top N% (80th percentile at the default 20%)
   const revenues = Object.values(revenueMap).filter(v => v > 0).sort((a, b) => a - b);
   if (revenues.length === 0) return;
-  const p80idx = Math.floor(revenues.length * 0.8);
-  const p80    = revenues[p80idx];
-
-  const cutoff = daysAgo(90);
+  const percentile = (topPct) => {
+    const idx = Math.floor(revenues.length * (1 - topPct / 100));
+    return revenues[Math.min(Math.max(idx, 0), revenues.length - 1)];
+  };
 
   const { rows: stores } = await db.query(`
-    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, u.name AS rep_name
+    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+           u.name AS rep_name
     FROM stores s
     LEFT JOIN users u ON u.id = s.rep_id
     WHERE s.active = TRUE AND s.is_prospect = FALSE
   `);
 
   for (const store of stores) {
+    const rule = resolveRule(rules, 'churn_risk', store);
+    if (!rule.enabled) continue;
+
     const cid = String(store.zoho_contact_id);
     const rev = revenueMap[cid] || 0;
-    if (rev < p80) continue;
+    if (rev === 0 || rev < percentile(rule.params.top_pct)) continue;
 
     const lastOrder = lastOrderMap[cid];
-    if (lastOrder && lastOrder >= cutoff) continue; // ordered recently
+    if (lastOrder && lastOrder >= daysAgo(rule.params.days)) continue; // ordered recently
 
     const inserted = await insertAlert({
       alertType:    'churn_risk',
       storeId:      store.id,
       repId:        store.rep_id,
-      tier:         1,
+      tier:         rule.tier,
       title:        `Churn risk: ${store.name}`,
       detail:       { revenue_12m: Math.round(rev), last_order_date: lastOrder || null, rep_name: store.rep_name },
-      revenueAtRisk: Math.round(rev * 0.25), // estimate 25% of annual at risk
+      revenueAtRisk: Math.round(rev * rule.params.risk_pct / 100), // share of annual revenue at risk
     });
     if (inserted) counts.inserted++;
   }
@@ -213,7 +237,7 @@ async function runAlert3(counts, invoices) {
 // Stores that have revenue but only 1 distinct SKU across 12m invoices.
 // Signals upsell opportunity.
 
-async function runAlert4(counts, invoices) {
+async function runAlert4(counts, invoices, rules = []) {
   // Per-customer SKU set
   const skuMap = {};
   for (const inv of invoices) {
@@ -225,15 +249,17 @@ async function runAlert4(counts, invoices) {
     }
   }
 
-  // Find customers with exactly 1 SKU (and revenue > $0)
+  // Candidate customers: at most as many SKUs as the loosest rule allows
+  const maxSkus    = maxParam(rules, 'sku_gap', 'max_skus');
   const narrowCids = Object.entries(skuMap)
-    .filter(([, s]) => s.size === 1)
+    .filter(([, s]) => s.size > 0 && s.size <= maxSkus)
     .map(([cid]) => cid);
 
   if (narrowCids.length === 0) return;
 
   const { rows: stores } = await db.query(`
-    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, u.name AS rep_name
+    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+           u.name AS rep_name
     FROM stores s
     LEFT JOIN users u ON u.id = s.rep_id
     WHERE s.active = TRUE AND s.is_prospect = FALSE AND s.zoho_contact_id = ANY($1)
@@ -246,19 +272,22 @@ async function runAlert4(counts, invoices) {
   }
 
   for (const store of stores) {
+    const rule = resolveRule(rules, 'sku_gap', store);
+    if (!rule.enabled) continue;
+
     const cid = String(store.zoho_contact_id);
     const skus = skuMap[cid]?.size || 0;
     const rev  = revenueMap[cid] || 0;
-    if (rev === 0) continue;
+    if (rev === 0 || skus > rule.params.max_skus) continue;
 
     const inserted = await insertAlert({
       alertType:      'sku_gap',
       storeId:        store.id,
       repId:          store.rep_id,
-      tier:           1,
-      title:          `SKU gap (1 product): ${store.name}`,
+      tier:           rule.tier,
+      title:          `SKU gap (${skus} product${skus === 1 ? '' : 's'}): ${store.name}`,
       detail:         { sku_count: skus, revenue_12m: Math.round(rev), rep_name: store.rep_name },
-      estimatedUplift: Math.round(rev * 0.3), // estimate 30% uplift from range expansion
+      estimatedUplift: Math.round(rev * rule.params.uplift_pct / 100), // uplift from range expansion
     });
     if (inserted) counts.inserted++;
   }
@@ -267,19 +296,22 @@ async function runAlert4(counts, invoices) {
 // ── ALERT-5: Rep Activity Drop ────────────────────────────────────────────────
 // Reps who have logged 0 visits in the last 14 days.
 
-async function runAlert5(counts) {
-  const cutoff = daysAgo(14);
-
+async function runAlert5(counts, rules = []) {
   const { rows: reps } = await db.query(`
     SELECT id, name FROM users WHERE role = 'rep' AND active = TRUE
   `);
 
   for (const rep of reps) {
+    // Rep-level alert: only unscoped and rep-scoped rules apply
+    const rule = resolveRule(rules, 'rep_activity_drop', { rep_id: rep.id });
+    if (!rule.enabled) continue;
+    const window = rule.params.days;
+
     const { rows } = await db.query(`
       SELECT COUNT(*)::INTEGER AS cnt
       FROM visits
       WHERE rep_id = $1 AND visited_at >= $2
-    `, [rep.id, cutoff]);
+    `, [rep.id, daysAgo(window)]);
 
     if (rows[0].cnt > 0) continue;
 
@@ -287,9 +319,60 @@ async function runAlert5(counts) {
       alertType: 'rep_activity_drop',
       storeId:   null,
       repId:     rep.id,
-      tier:      1,
-      title:     `No visits in 14 days: ${rep.name}`,
-      detail:    { rep_name: rep.name, days_window: 14 },
+      tier:      rule.tier,
+      title:     `No visits in ${window} days: ${rep.name}`,
+      detail:    { rep_name: rep.name, days_window: window },
+    });
+    if (inserted) counts.inserted++;
+  }
+}
+
+// ── ALERT-6: Visits Without Order ─────────────────────────────────────────────
+// Stores whose last 3+ in-person visits all recorded "no order taken" and that
+// haven't invoiced since the streak began (orders placed directly still count).
+
+async function runAlert6(counts, invoices, rules = []) {
+  const streaks = await fetchNoOrderStreaks();
+  if (streaks.length === 0) return;
+
+  const lastOrderMap = {};
+  for (const inv of invoices) {
+    const cid = String(inv.customer_id);
+    if (!lastOrderMap[cid] || inv.date > lastOrderMap[cid]) lastOrderMap[cid] = inv.date;
+  }
+
+  const { rows: stores } = await db.query(`
+    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+           u.name AS rep_name
+    FROM stores s
+    LEFT JOIN users u ON u.id = s.rep_id
+    WHERE s.active = TRUE AND s.id = ANY($1)
+  `, [streaks.map((r) => r.store_id)]);
+  const storeById = new Map(stores.map((s) => [s.id, s]));
+
+  for (const streak of streaks) {
+    const store = storeById.get(streak.store_id);
+    if (!store) continue;
+    const rule = resolveRule(rules, 'no_order_streak', store);
+    if (!rule.enabled || streak.streak < rule.params.visits) continue;
+
+    const since     = new Date(streak.since).toISOString().slice(0, 10);
+    const lastOrder = lastOrderMap[String(store.zoho_contact_id)] || null;
+    if (lastOrder && lastOrder >= since) continue; // ordered outside a visit
+
+    const inserted = await insertAlert({
+      alertType: 'no_order_streak',
+      storeId:   store.id,
+      repId:     store.rep_id,
+      tier:      rule.tier,
+      title:     `${streak.streak} visits without an order: ${store.name}`,
+      detail:    {
+        visits_without_order: streak.streak,
+        since,
+        last_visit_at:   streak.last_visit_at,
+        last_order_date: lastOrder,
+        rep_name:        store.rep_name,
+      },
     });
     if (inserted) counts.inserted++;
   }
@@ -298,7 +381,7 @@ async function runAlert5(counts) {
 // ── T2-1: Store Outperforming ─────────────────────────────────────────────────
 // Stores where last 3-month revenue > 120% of the same 3 months last year.
 
-async function runT2Alert1(counts, invoices) {
+async function runT2Alert1(counts, invoices, rules = []) {
   const now = new Date();
 
   // Current 3-month window
@@ -327,26 +410,30 @@ async function runT2Alert1(counts, invoices) {
   }
 
   const { rows: stores } = await db.query(`
-    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, u.name AS rep_name
+    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+           u.name AS rep_name
     FROM stores s
     LEFT JOIN users u ON u.id = s.rep_id
     WHERE s.active = TRUE AND s.is_prospect = FALSE
   `);
 
   for (const store of stores) {
+    const rule = resolveRule(rules, 'store_outperforming', store);
+    if (!rule.enabled) continue;
+
     const cid  = String(store.zoho_contact_id);
     const cur  = curRev[cid] || 0;
     const prev = pyRev[cid]  || 0;
     if (prev === 0 || cur === 0) continue;
 
     const growthPct = Math.round(((cur - prev) / prev) * 100);
-    if (growthPct < 20) continue; // < 20% growth — skip
+    if (growthPct < rule.params.growth_pct) continue; // below growth threshold — skip
 
     const inserted = await insertAlert({
       alertType:      'store_outperforming',
       storeId:        store.id,
       repId:          store.rep_id,
-      tier:           2,
+      tier:           rule.tier,
       title:          `Outperforming +${growthPct}%: ${store.name}`,
       detail:         { growth_pct: growthPct, revenue_cur3m: Math.round(cur), revenue_py3m: Math.round(prev), rep_name: store.rep_name },
       estimatedUplift: Math.round(cur - prev),
@@ -357,22 +444,23 @@ async function runT2Alert1(counts, invoices) {
 
 // ── T2-2: New Door High Value ─────────────────────────────────────────────────
 // Customers whose first-ever invoice (in the 12m window) was in the last 30 days
-// and exceeded $500.
+// and exceeded $500. Candidates are gathered over the widest rule window, then
+// each is checked against its own store's rule.
 
-async function runT2Alert2(counts, invoices) {
-  const cutoff30 = daysAgo(30);
+async function runT2Alert2(counts, invoices, rules = []) {
+  const cutoff = daysAgo(maxParam(rules, 'new_door_high_value', 'window_days'));
 
-  // Last-30-day invoices
-  const recentInvoices = invoices.filter(inv => (inv.date || '') >= cutoff30);
+  // Invoices inside the widest window
+  const recentInvoices = invoices.filter(inv => (inv.date || '') >= cutoff);
 
-  // Prior invoices (before 30 days ago)
+  // Prior invoices (before the window)
   const priorCustomers = new Set(
     invoices
-      .filter(inv => (inv.date || '') < cutoff30)
+      .filter(inv => (inv.date || '') < cutoff)
       .map(inv => String(inv.customer_id))
   );
 
-  // Find first invoice per new customer in last 30 days
+  // Find first invoice per new customer in the window
   const newDoorMap = new Map();
   for (const inv of recentInvoices.sort((a, b) => (a.date || '').localeCompare(b.date || ''))) {
     const cid = String(inv.customer_id);
@@ -385,7 +473,8 @@ async function runT2Alert2(counts, invoices) {
 
   const contactIds = [...newDoorMap.keys()];
   const { rows: stores } = await db.query(`
-    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, u.name AS rep_name
+    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+           u.name AS rep_name
     FROM stores s
     LEFT JOIN users u ON u.id = s.rep_id
     WHERE s.active = TRUE AND s.is_prospect = FALSE AND s.zoho_contact_id = ANY($1)
@@ -395,16 +484,19 @@ async function runT2Alert2(counts, invoices) {
   for (const s of stores) storeByContactId[String(s.zoho_contact_id)] = s;
 
   for (const [cid, inv] of newDoorMap) {
-    const value = invAmount(inv);
-    if (value < 500) continue;
-
     const store = storeByContactId[cid];
+    const rule  = resolveRule(rules, 'new_door_high_value', store || {}); // no store → default rule
+    if (!rule.enabled) continue;
+    if ((inv.date || '') < daysAgo(rule.params.window_days)) continue;
+
+    const value = invAmount(inv);
+    if (value < rule.params.min_value) continue;
 
     const inserted = await insertAlert({
       alertType:      'new_door_high_value',
       storeId:        store?.id   ?? null,
       repId:          store?.rep_id ?? null,
-      tier:           2,
+      tier:           rule.tier,
       title:          `New door ${fmt(value)}: ${store?.name || inv.customer_name || cid}`,
       detail:         {
         first_order_value: Math.round(value),
@@ -418,6 +510,214 @@ async function runT2Alert2(counts, invoices) {
   }
 }
 
+// ── T2-3: Brand Under-Index ───────────────────────────────────────────────────
+// Stores whose share of a brand (12m line-item revenue, brands from the Zoho
+// item catalog) is under half the average share across their peers — stores in
+// the same channel, or the same rep's territory. Brands the peers barely carry
+// are ignored. One alert per store naming the largest gap; uplift is the extra
+// revenue if each under-indexed brand matched the peer share.
+
+async function runT2Alert3(counts, invoices, rules = [], itemBrandMap = new Map()) {
+  if (itemBrandMap.size === 0) return; // no brand data — nothing to compare
+
+  const invoicesByCid = {};
+  for (const inv of invoices) {
+    const cid = String(inv.customer_id);
+    (invoicesByCid[cid] = invoicesByCid[cid] || []).push(inv);
+  }
+
+  const { rows: stores } = await db.query(`
+    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+           u.name AS rep_name
+    FROM stores s
+    LEFT JOIN users u ON u.id = s.rep_id
+    WHERE s.active = TRUE AND s.is_prospect = FALSE
+  `);
+
+  // Brand mix per store with branded revenue
+  const profiles = [];
+  for (const store of stores) {
+    const storeInvoices = invoicesByCid[String(store.zoho_contact_id)];
+    if (!storeInvoices) continue;
+    const totals = buildBrandTotals(storeInvoices, itemBrandMap);
+    const total  = Object.values(totals).reduce((a, b) => a + b, 0);
+    if (total > 0) profiles.push({ store, totals, total });
+  }
+
+  const brands = [...new Set(profiles.flatMap(p => Object.keys(p.totals)))];
+  const share  = (p, brand) => (p.totals[brand] || 0) / p.total;
+
+  // Each store's peer average is its group's share sum less its own share, so
+  // the sums are worked out once per channel and per rep rather than per store
+  const channelKey   = (store) => (store.channel_type ? store.channel_type.toLowerCase() : null);
+  const territoryKey = (store) => store.rep_id || null;
+  const groupSums = (keyOf) => {
+    const groups = new Map();
+    for (const p of profiles) {
+      const key = keyOf(p.store);
+      if (key === null) continue;
+      if (!groups.has(key)) groups.set(key, { count: 0, sums: new Map() });
+      const g = groups.get(key);
+      g.count++;
+      for (const brand of Object.keys(p.totals)) g.sums.set(brand, (g.sums.get(brand) || 0) + share(p, brand));
+    }
+    return groups;
+  };
+  const bases = [
+    { basis: 'channel',   keyOf: channelKey,   groups: groupSums(channelKey) },
+    { basis: 'territory', keyOf: territoryKey, groups: groupSums(territoryKey) },
+  ];
+
+  for (const p of profiles) {
+    const { store } = p;
+    const rule = resolveRule(rules, 'brand_underindex', store);
+    if (!rule.enabled || p.total < rule.params.min_revenue) continue;
+
+    const groups = bases
+      .map(({ basis, keyOf, groups: byKey }) => {
+        const key = keyOf(store);
+        const g = key === null ? null : byKey.get(key);
+        return g && { basis, peerCount: g.count - 1, sums: g.sums };
+      })
+      .filter(g => g && g.peerCount >= rule.params.min_peers);
+    if (groups.length === 0) continue;
+
+    const gaps = [];
+    for (const brand of brands) {
+      const storeShare = share(p, brand);
+      let best = null;
+      for (const g of groups) {
+        const avg = ((g.sums.get(brand) || 0) - storeShare) / g.peerCount;
+        if (avg * 100 < rule.params.min_peer_share_pct) continue;
+        if (storeShare >= avg * rule.params.share_ratio_pct / 100) continue;
+        if (!best || avg > best.avg) best = { basis: g.basis, avg };
+      }
+      if (!best) continue;
+      gaps.push({
+        brand,
+        store_share_pct: Math.round(storeShare * 1000) / 10,
+        peer_share_pct:  Math.round(best.avg * 1000) / 10,
+        benchmark:       best.basis,
+        uplift:          Math.round((best.avg - storeShare) * p.total),
+      });
+    }
+    if (gaps.length === 0) continue;
+    gaps.sort((a, b) => b.uplift - a.uplift);
+
+    const top  = gaps[0];
+    const more = gaps.length > 1 ? ` (+${gaps.length - 1} more)` : '';
+    const inserted = await insertAlert({
+      alertType:      'brand_underindex',
+      storeId:        store.id,
+      repId:          store.rep_id,
+      tier:           rule.tier,
+      title:          `${top.store_share_pct === 0 ? 'Missing' : 'Under-indexed'} ${top.brand}${more}: ${store.name}`,
+      detail:         {
+        brand:              top.brand,
+        brands:             gaps,
+        brand_revenue_12m:  Math.round(p.total),
+        rep_name:           store.rep_name,
+      },
+      estimatedUplift: gaps.reduce((sum, g) => sum + g.uplift, 0),
+    });
+    if (inserted) counts.inserted++;
+  }
+}
+
+// ── T2-4: Focus Line Not Ranged ───────────────────────────────────────────────
+// Active stores (ordered in the 12m window) that haven't bought a focus line
+// (focus_lines table) that is current today. One alert per store naming the
+// most valuable missing line; uplift is the average 12m spend on each missing
+// line across the stores that do range it.
+
+async function runT2Alert4(counts, invoices, rules = [], itemBrandMap = new Map()) {
+  const { rows: allLines } = await db.query(`
+    SELECT id, kind, brand, sku, label, to_char(ends_on, 'YYYY-MM-DD') AS ends_on
+    FROM focus_lines
+    WHERE starts_on <= CURRENT_DATE AND (ends_on IS NULL OR ends_on >= CURRENT_DATE)
+    ORDER BY id
+  `);
+  // Brand lines can only be matched once the item → brand map is available
+  const lines = allLines.filter(l => l.kind === 'sku' || itemBrandMap.size > 0);
+  if (lines.length === 0) return;
+
+  const lower = v => String(v || '').toLowerCase();
+  const matches = (line, li) => line.kind === 'brand'
+    ? lower(itemBrandMap.get(String(li.item_id || ''))) === lower(line.brand)
+    : [li.sku, li.item_id].some(v => v && lower(v) === lower(line.sku));
+
+  // 12m revenue and spend per focus line, per customer
+  const revenueMap = {};
+  const lineSpend  = {};
+  for (const inv of invoices) {
+    const cid = String(inv.customer_id);
+    revenueMap[cid] = (revenueMap[cid] || 0) + invAmount(inv);
+    for (const li of inv.line_items || []) {
+      for (const line of lines) {
+        if (!matches(line, li)) continue;
+        lineSpend[cid] = lineSpend[cid] || {};
+        lineSpend[cid][line.id] = (lineSpend[cid][line.id] || 0) + Number(li.item_total || 0);
+      }
+    }
+  }
+
+  const avgSpend = {};
+  for (const line of lines) {
+    const spends = Object.values(lineSpend).map(m => m[line.id] || 0).filter(v => v > 0);
+    avgSpend[line.id] = spends.length ? spends.reduce((a, b) => a + b, 0) / spends.length : 0;
+  }
+
+  const { rows: stores } = await db.query(`
+    SELECT s.id, s.name, s.rep_id, s.zoho_contact_id, s.channel_type, s.state, s.grade,
+           u.name AS rep_name
+    FROM stores s
+    LEFT JOIN users u ON u.id = s.rep_id
+    WHERE s.active = TRUE AND s.is_prospect = FALSE
+  `);
+
+  for (const store of stores) {
+    const rule = resolveRule(rules, 'focus_line', store);
+    if (!rule.enabled) continue;
+
+    const cid = String(store.zoho_contact_id);
+    const rev = revenueMap[cid] || 0;
+    if (rev === 0 || rev < rule.params.min_revenue) continue;
+
+    const missing = lines
+      .filter(l => !(lineSpend[cid]?.[l.id] > 0))
+      .map(l => ({
+        focus_line_id: l.id,
+        kind:          l.kind,
+        name:          l.label || (l.kind === 'brand' ? l.brand : l.sku),
+        brand:         l.brand,
+        sku:           l.sku,
+        ends_on:       l.ends_on,
+        uplift:        Math.round(avgSpend[l.id]),
+      }))
+      .sort((a, b) => b.uplift - a.uplift);
+    if (missing.length === 0) continue;
+
+    const top   = missing[0];
+    const more  = missing.length > 1 ? ` (+${missing.length - 1} more)` : '';
+    const total = missing.reduce((sum, m) => sum + m.uplift, 0);
+    const inserted = await insertAlert({
+      alertType:      'focus_line',
+      storeId:        store.id,
+      repId:          store.rep_id,
+      tier:           rule.tier,
+      title:          `Focus line not ranged: ${top.name}${more} — ${store.name}`,
+      detail:         {
+        focus_line:    top.name,
+        missing_lines: missing,
+        revenue_12m:   Math.round(rev),
+        rep_name:      store.rep_name,
+      },
+      estimatedUplift: total || null,
+    });
+    if (inserted) counts.inserted++;
+  }
+}
+
 // ── Simple number formatter (used in alert titles) ────────────────────────────
 function fmt(n) {
   if (!n) return '$0';
@@ -431,18 +731,30 @@ async function runAlertEngine() {
   const counts = { inserted: 0, skipped: 0 };
 
   try {
-    // Fetch 12-month invoice data (uses cache if warm)
+    counts.woken         = await wakeSnoozedAlerts();
+    counts.auto_resolved = await autoResolveAlerts();
+
+    // Fetch 12-month invoice data from the local invoice store
     const { from, to } = get12MonthWindow();
-    const invoices = await fetchInvoices(from, to);
+    const invoices = await withZohoSubsystem('alerts', () => fetchInvoices(from, to));
     console.log(`[alertEngine] Working with ${invoices.length} invoices`);
 
-    await runAlert1(counts);
-    await runAlert2(counts, invoices);
-    await runAlert3(counts, invoices);
-    await runAlert4(counts, invoices);
-    await runAlert5(counts);
-    await runT2Alert1(counts, invoices);
-    await runT2Alert2(counts, invoices);
+    const rules = await loadAlertRules();
+    const itemBrandMap = await withZohoSubsystem('alerts', () => fetchItemBrandMap()).catch((err) => {
+      console.error('[alertEngine] Item brand map unavailable, skipping brand alerts:', err.message);
+      return new Map();
+    });
+
+    await runAlert1(counts, rules);
+    await runAlert2(counts, invoices, rules);
+    await runAlert3(counts, invoices, rules);
+    await runAlert4(counts, invoices, rules);
+    await runAlert5(counts, rules);
+    await runAlert6(counts, invoices, rules);
+    await runT2Alert1(counts, invoices, rules);
+    await runT2Alert2(counts, invoices, rules);
+    await runT2Alert3(counts, invoices, rules, itemBrandMap);
+    await runT2Alert4(counts, invoices, rules, itemBrandMap);
 
     console.log(`[alertEngine] Done — ${counts.inserted} new alerts inserted`);
     return { success: true, ...counts };
@@ -452,4 +764,18 @@ async function runAlertEngine() {
   }
 }
 
-module.exports = { runAlertEngine };
+module.exports = {
+  runAlertEngine,
+  isDuplicate,
+  insertAlert,
+  runAlert1,
+  runAlert2,
+  runAlert3,
+  runAlert4,
+  runAlert5,
+  runAlert6,
+  runT2Alert1,
+  runT2Alert2,
+  runT2Alert3,
+  runT2Alert4,
+};
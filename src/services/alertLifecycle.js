@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Alert lifecycle — snooze, reassign, resolve with an outcome, and
+ * auto-resolution once the condition behind an alert clears.
+ *
+ * alert_log.status:
+ *   open      – in the alert list
+ *   snoozed   – hidden until snoozed_until (a Sydney date), then open again
+ *   resolved  – closed with an outcome; acknowledged_at / acknowledged_by say
+ *               when and by whom (acknowledged_by NULL = resolved itself)
+ *
+ * Closed still means acknowledged_at IS NOT NULL everywhere else (engine
+ * dedup, digests), so a snoozed or reassigned alert is not raised again.
+ * assigned_to, when set, replaces rep_id as the user who sees the alert.
+ * Every change is written to alert_events for the per-store history.
+ *
+ * Exports:
+ *   OUTCOMES, AUTO_RESOLVE
+ *   snoozeAlert(alertId, until, userId)               → boolean
+ *   assignAlert(alertId, assigneeId, userId)          → boolean
+ *   resolveAlert(alertId, { outcome, note }, userId)  → boolean
+ *   wakeSnoozedAlerts()                               → number woken
+ *   autoResolveAlerts({ storeId? })                   → number resolved
+ *   getStoreAlertHistory(storeId)                     → alerts with events
+ *   sydneyToday()                                     → 'YYYY-MM-DD'
+ */
+
+const db = require('../db');
+
+/** Outcomes a user can pick when resolving ('acknowledged' is the legacy ✓). */
+const OUTCOMES = {
+  visited:         'Visited',
+  ordered:         'Ordered',
+  not_recoverable: 'Not recoverable',
+  no_action:       'No action needed',
+  acknowledged:    'Acknowledged',
+};
+
+/**
+ * Alert types that close themselves, and what clears them:
+ *   visited – a visit at the store on or after the alert was raised
+ *   ordered – an invoice for the store dated on or after the alert's (Sydney) day
+ */
+const AUTO_RESOLVE = {
+  a_grade_visit_breach: 'visited',
+  high_value_unvisited: 'visited',
+  churn_risk:           'ordered',
+  customer_lapsed:      'ordered',
+  no_order_streak:      'ordered',
+};
+
+// Same exclusions as the invoice store reads in sync.js
+const EXCLUDED_INVOICE_STATUSES = ['draft', 'void'];
+
+const _dayFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: 'Australia/Sydney' });
+
+function sydneyToday() {
+  return _dayFormatter.format(new Date());
+}
+
+// ── Manual transitions ────────────────────────────────────────────────────────
+// Each is one statement (UPDATE + event INSERT) and only touches alerts that
+// are still open or snoozed. They return false when no such alert exists.
+
+async function snoozeAlert(alertId, until, userId) {
+  const { rowCount } = await db.query(`
+    WITH upd AS (
+      UPDATE alert_log SET status = 'snoozed', snoozed_until = $2
+      WHERE id = $1 AND acknowledged_at IS NULL
+      RETURNING id
+    )
+    INSERT INTO alert_events (alert_id, event, user_id, detail)
+    SELECT id, 'snoozed', $3, jsonb_build_object('until', $2::TEXT) FROM upd
+  `, [alertId, until, userId]);
+  return rowCount > 0;
+}
+
+async function assignAlert(alertId, assigneeId, userId) {
+  const { rowCount } = await db.query(`
+    WITH prev AS (
+      SELECT id, COALESCE(assigned_to, rep_id) AS from_user_id
+      FROM alert_log WHERE id = $1 AND acknowledged_at IS NULL
+    ), upd AS (
+      UPDATE alert_log a SET assigned_to = $2
+      FROM prev WHERE a.id = prev.id
+      RETURNING a.id, prev.from_user_id
+    )
+    INSERT INTO alert_events (alert_id, event, user_id, detail)
+    SELECT id, 'assigned', $3, jsonb_build_object('from_user_id', from_user_id, 'to_user_id', $2::INTEGER) FROM upd
+  `, [alertId, assigneeId, userId]);
+  return rowCount > 0;
+}
+
+async function resolveAlert(alertId, { outcome, note = null }, userId) {
+  const { rowCount } = await db.query(`
+    WITH upd AS (
+      UPDATE alert_log
+      SET status = 'resolved', outcome = $2, action_taken = $3, snoozed_until = NULL,
+          acknowledged_at = NOW(), acknowledged_by = $4
+      WHERE id = $1 AND acknowledged_at IS NULL
+      RETURNING id
+    )
+    INSERT INTO alert_events (alert_id, event, user_id, detail)
+    SELECT id, 'resolved', $4, jsonb_build_object('outcome', $2::TEXT, 'note', $3::TEXT) FROM upd
+  `, [alertId, outcome, note, userId]);
+  return rowCount > 0;
+}
+
+// ── System transitions ────────────────────────────────────────────────────────
+
+/** Reopen snoozed alerts whose snooze date has arrived. */
+async function wakeSnoozedAlerts() {
+  const { rowCount } = await db.query(`
+    WITH upd AS (
+      UPDATE alert_log SET status = 'open', snoozed_until = NULL
+      WHERE status = 'snoozed' AND acknowledged_at IS NULL AND snoozed_until <= $1
+      RETURNING id
+    )
+    INSERT INTO alert_events (alert_id, event) SELECT id, 'woken' FROM upd
+  `, [sydneyToday()]);
+  return rowCount;
+}
+
+// Per clearing kind: a query returning (id, detail) for open alerts whose
+// condition has cleared. $1 = alert types, $2 = store id or NULL.
+const CLEARED_SQL = {
+  visited: `
+    SELECT a.id, jsonb_build_object('outcome', 'visited', 'visited_at', MIN(v.visited_at)) AS detail
+    FROM alert_log a
+    JOIN visits v ON v.store_id = a.store_id AND v.visited_at >= a.triggered_at
+    WHERE a.acknowledged_at IS NULL AND a.alert_type = ANY($1)
+      AND ($2::INTEGER IS NULL OR a.store_id = $2)
+    GROUP BY a.id`,
+  ordered: `
+    SELECT a.id, jsonb_build_object(
+             'outcome',        'ordered',
+             'invoice_number', (ARRAY_AGG(i.invoice_number ORDER BY i.date, i.invoice_id))[1],
+             'invoice_date',   MIN(i.date)) AS detail
+    FROM alert_log a
+    JOIN stores s        ON s.id = a.store_id
+    JOIN zoho_invoices i ON i.customer_id = s.zoho_contact_id
+                        AND i.date >= (a.triggered_at AT TIME ZONE 'Australia/Sydney')::DATE
+                        AND COALESCE(i.status, '') <> ALL($3)
+    WHERE a.acknowledged_at IS NULL AND a.alert_type = ANY($1)
+      AND ($2::INTEGER IS NULL OR a.store_id = $2)
+    GROUP BY a.id`,
+};
+
+/**
+ * Close open / snoozed alerts whose condition has cleared (see AUTO_RESOLVE).
+ * Called after a visit is logged, after each invoice sync and before the
+ * nightly engine run. Pass storeId to limit the check to one store.
+ */
+async function autoResolveAlerts({ storeId = null } = {}) {
+  let resolved = 0;
+  for (const [kind, sql] of Object.entries(CLEARED_SQL)) {
+    const types = Object.keys(AUTO_RESOLVE).filter((t) => AUTO_RESOLVE[t] === kind);
+    const params = [types, storeId];
+    if (kind === 'ordered') params.push(EXCLUDED_INVOICE_STATUSES);
+
+    const { rowCount } = await db.query(`
+      WITH cleared AS (${sql}
+      ), upd AS (
+        UPDATE alert_log a
+        SET status = 'resolved', outcome = '${kind}', snoozed_until = NULL,
+            acknowledged_at = NOW(), acknowledged_by = NULL
+        FROM cleared c WHERE a.id = c.id
+        RETURNING a.id
+      )
+      INSERT INTO alert_events (alert_id, event, detail)
+      SELECT c.id, 'auto_resolved', c.detail FROM cleared c JOIN upd ON upd.id = c.id
+    `, params);
+    resolved += rowCount;
+  }
+  if (resolved) console.log(`[alertLifecycle] Auto-resolved ${resolved} alert(s)`);
+  return resolved;
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+
+/** Every alert raised for a store (newest first) with its event trail. */
+async function getStoreAlertHistory(storeId, { limit = 100 } = {}) {
+  const { rows } = await db.query(`
+    SELECT
+      a.id, a.alert_type, a.tier, a.alert_title, a.status, a.outcome,
+      a.snoozed_until, a.triggered_at, a.acknowledged_at AS resolved_at,
+      a.action_taken AS note,
+      ru.name AS rep_name,
+      au.name AS assigned_to_name,
+      bu.name AS resolved_by_name,
+      COALESCE((
+        SELECT json_agg(json_build_object(
+                 'event', e.event, 'detail', e.detail, 'created_at', e.created_at,
+                 'user_name', eu.name, 'to_user_name', tu.name
+               ) ORDER BY e.created_at, e.id)
+        FROM alert_events e
+        LEFT JOIN users eu ON eu.id = e.user_id
+        LEFT JOIN users tu ON tu.id = (e.detail->>'to_user_id')::INTEGER
+        WHERE e.alert_id = a.id
+      ), '[]') AS events
+    FROM alert_log a
+    LEFT JOIN users ru ON ru.id = a.rep_id
+    LEFT JOIN users au ON au.id = a.assigned_to
+    LEFT JOIN users bu ON bu.id = a.acknowledged_by
+    WHERE a.store_id = $1
+    ORDER BY a.triggered_at DESC, a.id DESC
+    LIMIT $2
+  `, [storeId, limit]);
+  return rows;
+}
+
+module.exports = {
+  OUTCOMES,
+  AUTO_RESOLVE,
+  snoozeAlert,
+  assignAlert,
+  resolveAlert,
+  wakeSnoozedAlerts,
+  autoResolveAlerts,
+  getStoreAlertHistory,
+  sydneyToday,
+};
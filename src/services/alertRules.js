@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Alert rules — manager-tunable thresholds for the alert engine.
+ *
+ * Each alert type has one unscoped default rule plus optional overrides
+ * scoped by channel_type, state, grade and/or rep (see alert_rules table).
+ * For a given store or rep the most specific matching rule wins; ties go to
+ * the older rule. Params the winning rule leaves out fall back to the type's
+ * default rule, then to the built-in defaults in RULE_CATALOG.
+ *
+ * Exports:
+ *   RULE_CATALOG                        – alert types, labels, default tier + params
+ *   SCOPE_FIELDS                        – ['channel_type', 'state', 'grade', 'rep_id']
+ *   loadAlertRules()                    → all rows from alert_rules
+ *   resolveRule(rules, type, subject)   → { id, enabled, tier, params } for a store / rep
+ *   maxParam(rules, type, key)          → largest value of a param across the type's rules
+ *   isDefaultRule(rule)                 → true for the unscoped default row
+ */
+
+const db = require('../db');
+
+// ── Catalog ───────────────────────────────────────────────────────────────────
+// subject: 'store' rules can be scoped by any field; 'rep' rules by rep only.
+
+const RULE_CATALOG = {
+  a_grade_visit_breach: {
+    label: 'A-Grade Visit Breach', tier: 1, subject: 'store',
+    params: {
+      days: { label: 'Days without a visit', default: 30 },
+    },
+  },
+  high_value_unvisited: {
+    label: 'High-Value Unvisited', tier: 1, subject: 'store',
+    params: {
+      min_revenue: { label: '12m revenue at least ($ ex GST)', default: 3000 },
+      days:        { label: 'Days without a visit',            default: 45 },
+    },
+  },
+  churn_risk: {
+    label: 'Churn Risk', tier: 1, subject: 'store',
+    params: {
+      top_pct:  { label: 'Top % of stores by 12m revenue', default: 20 },
+      days:     { label: 'Days without an invoice',        default: 90 },
+      risk_pct: { label: '% of 12m revenue at risk',       default: 25 },
+    },
+  },
+  sku_gap: {
+    label: 'SKU Gap', tier: 1, subject: 'store',
+    params: {
+      max_skus:   { label: 'Distinct SKUs at most (12m)',   default: 1 },
+      uplift_pct: { label: 'Uplift estimate (% of 12m)',    default: 30 },
+    },
+  },
+  rep_activity_drop: {
+    label: 'Rep Activity Drop', tier: 1, subject: 'rep',
+    params: {
+      days: { label: 'Days without a logged visit', default: 14 },
+    },
+  },
+  no_order_streak: {
+    label: 'Visits Without Order', tier: 1, subject: 'store',
+    params: {
+      visits: { label: 'Consecutive visits without an order', default: 3 },
+    },
+  },
+  store_outperforming: {
+    label: 'Outperforming Store', tier: 2, subject: 'store',
+    params: {
+      growth_pct: { label: 'Growth vs same 3 months LY (%)', default: 20 },
+    },
+  },
+  new_door_high_value: {
+    label: 'New Customer', tier: 2, subject: 'store',
+    params: {
+      min_value:   { label: 'First order at least ($ ex GST)', default: 500 },
+      window_days: { label: 'First order within (days)',       default: 30 },
+    },
+  },
+  brand_underindex: {
+    label: 'Brand Under-Index', tier: 2, subject: 'store',
+    params: {
+      share_ratio_pct:    { label: 'Brand share below (% of peer average)', default: 50 },
+      min_peer_share_pct: { label: 'Peer brand share at least (%)',         default: 10 },
+      min_revenue:        { label: 'Store 12m brand revenue at least ($)',  default: 1000 },
+      min_peers:          { label: 'Peer stores at least',                  default: 5 },
+    },
+  },
+  focus_line: {
+    label: 'Focus Line', tier: 2, subject: 'store',
+    params: {
+      min_revenue: { label: 'Store 12m revenue at least ($ ex GST)', default: 1000 },
+    },
+  },
+};
+
+const SCOPE_FIELDS = ['channel_type', 'state', 'grade', 'rep_id'];
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+
+/**
+ * All alert rules, oldest first. Returns [] if the table is missing or
+ * unreadable so the engine still runs on built-in defaults.
+ */
+async function loadAlertRules() {
+  try {
+    const { rows } = await db.query(`SELECT * FROM alert_rules ORDER BY id`);
+    return rows;
+  } catch (err) {
+    console.error('[alertRules] Failed to load rules, using defaults:', err.message);
+    return [];
+  }
+}
+
+// ── Resolution ────────────────────────────────────────────────────────────────
+
+function isDefaultRule(rule) {
+  return SCOPE_FIELDS.every((f) => rule[f] === null || rule[f] === undefined);
+}
+
+function matchesScope(rule, subject) {
+  return SCOPE_FIELDS.every((f) => {
+    if (rule[f] === null || rule[f] === undefined) return true;
+    const value = subject[f];
+    if (value === null || value === undefined) return false;
+    return f === 'channel_type' || f === 'state'
+      ? String(value).toLowerCase() === String(rule[f]).toLowerCase()
+      : String(value) === String(rule[f]);
+  });
+}
+
+function specificity(rule) {
+  return SCOPE_FIELDS.filter((f) => rule[f] !== null && rule[f] !== undefined).length;
+}
+
+function catalogParams(type) {
+  const out = {};
+  for (const [key, p] of Object.entries(RULE_CATALOG[type]?.params || {})) out[key] = p.default;
+  return out;
+}
+
+/**
+ * Effective rule for one store or rep.
+ *
+ * @param {object[]} rules   – rows from loadAlertRules()
+ * @param {string}   type    – alert_type
+ * @param {object}   subject – { channel_type, state, grade, rep_id } (store) or { rep_id } (rep)
+ * @returns {{ id: number|null, enabled: boolean, tier: number, params: object }}
+ */
+function resolveRule(rules, type, subject = {}) {
+  const ofType = (rules || []).filter((r) => r.alert_type === type);
+  const base   = ofType.find(isDefaultRule);
+
+  let winner = null;
+  for (const rule of ofType) {
+    if (!matchesScope(rule, subject)) continue;
+    if (!winner || specificity(rule) > specificity(winner)) winner = rule;
+  }
+
+  const params = { ...catalogParams(type), ...(base?.params || {}), ...(winner?.params || {}) };
+  return {
+    id:      winner?.id ?? null,
+    enabled: winner ? winner.enabled : true,
+    tier:    winner?.tier ?? RULE_CATALOG[type]?.tier ?? 1,
+    params,
+  };
+}
+
+/**
+ * Largest value of a param across the type's enabled rules (and the built-in
+ * default) — used to size pre-filters before per-store rules are resolved.
+ */
+function maxParam(rules, type, key) {
+  const values = (rules || [])
+    .filter((r) => r.alert_type === type && r.enabled && r.params?.[key] !== undefined)
+    .map((r) => Number(r.params[key]));
+  const dflt = RULE_CATALOG[type]?.params?.[key]?.default;
+  if (dflt !== undefined) values.push(dflt);
+  return Math.max(...values);
+}
+
+module.exports = {
+  RULE_CATALOG,
+  SCOPE_FIELDS,
+  loadAlertRules,
+  resolveRule,
+  maxParam,
+  isDefaultRule,
+};
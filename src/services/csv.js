@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Writing CSV for download.
+ *
+ * Text that starts with =, +, - or @ is a formula to Excel and Sheets, so a
+ * store or rep name like `=HYPERLINK(...)` would run when the file is opened.
+ * Such cells get a leading ' to keep them as text. Numbers are left alone so
+ * negative values stay numeric.
+ *
+ * Exports:
+ *   csvCell(value)   → value quoted and escaped for one CSV cell ('' for null)
+ *   csvLine(values)  → the cells joined with commas
+ */
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',');
+}
+
+module.exports = { csvCell, csvLine };
@@ -5,14 +5,22 @@
  * Aggregates Zoho invoice data + local DB stats into dashboard payloads.
  * Results are cached in memory for 15 minutes.
  *
+ * For the month in progress both payloads carry month / quarter / year-end
+ * forecasts against target (see forecast.js) for each rep, brand and the team.
+ *
  * Exports:
  *   getRepDashboard(repId, month, { force })  → rep dashboard payload
- *   getTeamDashboard(month, { force })        → team dashboard payload
+ *   getTeamDashboard(month, { force, repIds }) → team dashboard payload (repIds limits it to
+ *                                               one manager's teams; null = whole company)
  *   invalidateCache(key?)                     → clear one key or all
+ *   buildBrandTotals(invoices, itemBrandMap)  → { [brandName]: line-item total }
+ *   slugify(brandName)                        → brand slug as used by brand_targets
  */
 
 const db                                               = require('../db');
 const { fetchInvoicesWithTimeout, fetchSalesByPersonReport, buildSalesMap, fetchItemBrandMap, invAmount } = require('./sync');
+const { loadOwnership, invoicesForRep }                = require('./territory');
+const { forecastRevenue, seasonalIndices, pipelineByMonth, openSalesOrders } = require('./forecast');
 
 // ── In-memory cache ───────────────────────────────────────────────────────────
 
@@ -132,27 +140,27 @@ async function overdueStoreCount(repId) {
 
 /**
  * Territory-based year-on-year revenue comparison.
- * Attributes revenue to whichever rep currently owns each store (via stores.rep_id),
- * regardless of which salesperson's name appears on the Zoho invoice.
+ * Attributes revenue to whichever rep owned each store on the invoice date
+ * (store_assignments, see territory.js), regardless of which salesperson's
+ * name appears on the Zoho invoice.
  *
- * @param {Array}   invoices   – raw invoice array (must cover current month AND same month LY)
- * @param {Set}     contactIds – Set of zoho_contact_id strings for the territory
- * @param {string}  mFrom      – 'YYYY-MM-DD' first day of current month
- * @param {string}  mTo        – 'YYYY-MM-DD' last day of current month
+ * @param {Array}    invoices   – raw invoice array (must cover current month AND same month LY)
+ * @param {Function} owns       – (zoho_contact_id, 'YYYY-MM-DD') → whether the territory had the store then
+ * @param {number}   storeCount – stores in the territory now
+ * @param {string}   mFrom      – 'YYYY-MM-DD' first day of current month
+ * @param {string}   mTo        – 'YYYY-MM-DD' last day of current month
  * @returns {{ current, ly, growth_pct, store_count }}
  */
-function computeTerritoryGrowth(invoices, contactIds, mFrom, mTo) {
-  if (!contactIds.size) {
-    return { current: 0, ly: 0, growth_pct: null, store_count: 0 };
-  }
-
+function computeTerritoryGrowth(invoices, owns, storeCount, mFrom, mTo) {
   // Same month last year
   const lyFrom = `${Number(mFrom.slice(0, 4)) - 1}${mFrom.slice(4)}`;
   const lyTo   = `${Number(mTo.slice(0, 4)) - 1}${mTo.slice(4)}`;
 
   let current = 0, ly = 0;
   for (const inv of invoices) {
-    if (!contactIds.has(String(inv.customer_id))) continue;
+    const inMonth = inv.date >= mFrom && inv.date <= mTo;
+    const inLy    = inv.date >= lyFrom && inv.date <= lyTo;
+    if ((!inMonth && !inLy) || !owns(String(inv.customer_id), inv.date)) continue;
     const total = invAmount(inv);
     if (inv.date >= mFrom && inv.date <= mTo) current += total;
     if (inv.date >= lyFrom && inv.date <= lyTo) ly += total;
@@ -162,15 +170,15 @@ function computeTerritoryGrowth(invoices, contactIds, mFrom, mTo) {
     current,
     ly,
     growth_pct: ly > 0 ? Math.round(((current - ly) / ly) * 100) : null,
-    store_count: contactIds.size,
+    store_count: storeCount,
   };
 }
 
-/** Sum invoices by month for a rep (spNames is an array) → { 'YYYY-MM': amount } */
-function byMonth(invoices, spNames) {
+/** Sum invoices by month for a rep (spNames is an array; omit for everyone) → { 'YYYY-MM': amount } */
+function byMonth(invoices, spNames = null) {
   const out = {};
   for (const inv of invoices) {
-    if (!spNames.includes(inv.salesperson_name)) continue;
+    if (spNames && !spNames.includes(inv.salesperson_name)) continue;
     const m = (inv.date || '').slice(0, 7);
     if (m) out[m] = (out[m] || 0) + invAmount(inv);
   }
@@ -199,20 +207,39 @@ function buildBrandTotals(invoices, itemBrandMap) {
   return totals;
 }
 
+/** Brand line item totals by month → { [brandName]: { 'YYYY-MM': amount } } */
+function brandTotalsByMonth(invoices, itemBrandMap) {
+  const out = {};
+  for (const inv of invoices) {
+    const m = (inv.date || '').slice(0, 7);
+    if (!m) continue;
+    for (const [brand, total] of Object.entries(buildBrandTotals([inv], itemBrandMap))) {
+      if (!out[brand]) out[brand] = {};
+      out[brand][m] = (out[brand][m] || 0) + total;
+    }
+  }
+  return out;
+}
+
+/** Open orders from a salesperson list, or null when Zoho's sales orders couldn't be fetched. */
+function ordersFor(salesOrders, spNames) {
+  return salesOrders && salesOrders.filter(so => spNames.includes(so.salesperson_name));
+}
+
 /**
  * Approximate new-door count: customers invoiced this month by this rep
  * that don't appear in any earlier invoice in the dataset (best-effort, 12-month window).
+ * repInvoices is the rep's share of the feed (territory.invoicesForRep).
  */
-function newDoorCount(invoices, spNames, monthFrom, monthTo) {
-  if (!spNames.length) return 0;
+function newDoorCount(repInvoices, monthFrom, monthTo) {
   const thisMonth = new Set(
-    invoices
-      .filter(i => spNames.includes(i.salesperson_name) && i.date >= monthFrom && i.date <= monthTo)
+    repInvoices
+      .filter(i => i.date >= monthFrom && i.date <= monthTo)
       .map(i => String(i.customer_id)).filter(Boolean)
   );
   const prior = new Set(
-    invoices
-      .filter(i => spNames.includes(i.salesperson_name) && i.date < monthFrom)
+    repInvoices
+      .filter(i => i.date < monthFrom)
       .map(i => String(i.customer_id)).filter(Boolean)
   );
   let n = 0;
@@ -228,13 +255,13 @@ async function getRepDashboard(repId, month = currentMonth(), { force = false }
 
   const spNames  = await salespersonNames(repId);
   const months12 = lastNMonths(month, 12);  // sparkline window
-  const months18 = lastNMonths(month, 18);  // matches team dashboard + pre-warm cache key → cache hit
+  const months18 = lastNMonths(month, 18);  // matches the team dashboard's history window
   const { from: histFrom }  = monthBounds(months18[0]);
   const { from: mFrom, to: mTo } = monthBounds(month);
   const yearStart = `${month.slice(0, 4)}-01-01`;
 
   // ── Parallel fetches ──
-  const [invoices, reportRows, ytdReportRows, mTargetRow, ytdTargets, histTargets, visits, overdue, syncAt, storeRows] = await Promise.all([
+  const [invoices, reportRows, ytdReportRows, mTargetRow, ytdTargets, histTargets, yearTargets, visits, overdue, syncAt, storeRows, ownership, salesOrders] = await Promise.all([
     // Invoices still needed for: monthly history sparkline, brand breakdown, territory growth, new doors
     fetchInvoicesWithTimeout(histFrom, mTo).catch((err) => { console.error('[dashboard] rep invoice fetch failed:', err.message); return []; }),
     // Reports API: exact ex-GST revenue net of credit notes, for current month and YTD
@@ -250,10 +277,18 @@ async function getRepDashboard(repId, month = currentMonth(), { force = false }
       `SELECT month, amount FROM revenue_targets WHERE rep_id=$1 AND month=ANY($2)`,
       [repId, months12]
     ),
+    // Whole year, for the quarter / year-end forecasts
+    db.query(
+      `SELECT month, amount FROM revenue_targets WHERE rep_id=$1 AND month LIKE $2`,
+      [repId, `${month.slice(0, 4)}-%`]
+    ),
     visitsThisMonth(repId, mFrom),
     overdueStoreCount(repId),
     lastSyncAt(),
     db.query(`SELECT zoho_contact_id FROM stores WHERE rep_id=$1 AND active=TRUE`, [repId]),
+    loadOwnership(),
+    // Committed pipeline for the forecast; null (forecast without it) if Zoho fails
+    openSalesOrders().catch((err) => { console.error('[dashboard] rep sales order fetch failed:', err.message); return null; }),
   ]);
 
   const target     = Number(mTargetRow.rows[0]?.amount || 0);
@@ -290,20 +325,43 @@ async function getRepDashboard(repId, month = currentMonth(), { force = false }
   }));
 
   // Territory growth — uses invoice data (needs per-customer breakdown, reports doesn't have it)
-  const repContactIds = new Set(storeRows.rows.map(s => String(s.zoho_contact_id)));
-  const territory_growth = computeTerritoryGrowth(invoices, repContactIds, mFrom, mTo);
+  const territory_growth = computeTerritoryGrowth(
+    invoices,
+    (contactId, date) => ownership.ownerOn(contactId, date) === repId && ownership.store(contactId).active,
+    storeRows.rows.length, mFrom, mTo
+  );
 
   // Brand breakdown (current month only) — dynamic from item catalog
   const mInvoices = invoices.filter(i => spNames.includes(i.salesperson_name) && i.date >= mFrom && i.date <= mTo);
   const itemBrandMap = await fetchItemBrandMap().catch(() => new Map());
   const brandTotalsMap = buildBrandTotals(mInvoices, itemBrandMap);
   const totalBrandRev = Object.values(brandTotalsMap).reduce((s, v) => s + v, 0);
+
+  // Forecasts use the company's seasonality — one rep's months are too noisy to
+  // read a season from. Brands have no pipeline (sales orders carry no line items).
+  const seasonal = seasonalIndices(byMonth(invoices), month);
+  const yearTargetByM = {};
+  for (const r of yearTargets.rows) yearTargetByM[r.month] = Number(r.amount);
+  const repOrders = ordersFor(salesOrders, spNames);
+  const forecast = forecastRevenue({
+    history:   { ...invoiceActuals, [month]: actual },
+    month,
+    seasonal,
+    targets:   yearTargetByM,
+    pipeline:  repOrders && pipelineByMonth(repOrders),
+    ytdActual: ytd_actual,
+  });
+  const brandHistory = forecast
+    ? brandTotalsByMonth(invoices.filter(i => spNames.includes(i.salesperson_name)), itemBrandMap)
+    : {};
+
   const brand_breakdown = Object.entries(brandTotalsMap)
     .map(([name, actual]) => ({
       slug: slugify(name),
       name,
       actual,
       pct_of_total: totalBrandRev > 0 ? Math.round((actual / totalBrandRev) * 100) : 0,
+      forecast: forecast && forecastRevenue({ history: brandHistory[name] || {}, month, seasonal }).month,
     }))
     .sort((a, b) => b.actual - a.actual);
 
@@ -324,11 +382,12 @@ async function getRepDashboard(repId, month = currentMonth(), { force = false }
       target: ytd_target,
       percentage: ytd_target > 0 ? Math.round((ytd_actual / ytd_target) * 100) : null,
     },
+    forecast: forecast && { ...forecast, pipeline_available: salesOrders !== null },
     territory_growth,
     monthly_history,
     brand_breakdown,
     quick_stats: {
-      new_doors:          newDoorCount(invoices, spNames, mFrom, mTo),
+      new_doors:          newDoorCount(invoicesForRep(invoices, ownership, repId, spNames), mFrom, mTo),
       visits_this_month:  visits,
       overdue_stores:     overdue,
     },
@@ -342,8 +401,8 @@ async function getRepDashboard(repId, month = currentMonth(), { force = false }
 
 // ── Team dashboard ────────────────────────────────────────────────────────────
 
-async function getTeamDashboard(month = currentMonth(), { force = false } = {}) {
-  const key = `team-${month}`;
+async function getTeamDashboard(month = currentMonth(), { force = false, repIds = null } = {}) {
+  const key = repIds ? `team-${month}-${[...repIds].sort((a, b) => a - b).join(',')}` : `team-${month}`;
   if (!force) { const c = getCached(key); if (c) return c; }
 
   const months18 = lastNMonths(month, 18);
@@ -358,8 +417,13 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
   const qStart  = `${new Date().getFullYear()}-${String(qMonth + 1).padStart(2, '0')}-01`;
 
   // ── Parallel fetches ──
-  const [repsResult, invoices, reportRows, ytdReportRows, mTargets, ytdTargets, brandMTargets, syncAt, storesByRepResult, gradeDist, gradeTrend] = await Promise.all([
-    db.query(`SELECT id, name, zoho_salesperson_id, zoho_salesperson_ids FROM users WHERE role='rep' AND active=TRUE ORDER BY name`),
+  const [repsResult, invoices, reportRows, ytdReportRows, mTargets, ytdTargets, yearTargets, brandMTargets, syncAt, storesByRepResult, gradeDist, gradeTrend, ownership, salesOrders] = await Promise.all([
+    db.query(
+      `SELECT id, name, zoho_salesperson_id, zoho_salesperson_ids FROM users
+       WHERE role='rep' AND active=TRUE AND ($1::INTEGER[] IS NULL OR id = ANY($1::INTEGER[]))
+       ORDER BY name`,
+      [repIds]
+    ),
     // Invoices still needed for: monthly history, brand breakdown, territory growth, new doors
     fetchInvoicesWithTimeout(histFrom, mTo).catch((err) => { console.error('[dashboard] team invoice fetch failed:', err.message); return []; }),
     // Reports API: exact ex-GST revenue net of credit notes, for current month and YTD
@@ -371,11 +435,16 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
        WHERE month>=$1 AND month<=$2 GROUP BY rep_id`,
       [yearStart.slice(0, 7), month]
     ),
+    // Whole year, for the quarter / year-end forecasts
+    db.query(`SELECT rep_id, month, amount FROM revenue_targets WHERE month LIKE $1`, [`${month.slice(0, 4)}-%`]),
     db.query(`SELECT brand_slug, amount FROM brand_targets WHERE month=$1`, [month]),
     lastSyncAt(),
     db.query(
       `SELECT rep_id, array_agg(zoho_contact_id::text) AS contact_ids
-       FROM stores WHERE active=TRUE AND is_prospect=FALSE AND rep_id IS NOT NULL GROUP BY rep_id`
+       FROM stores WHERE active=TRUE AND is_prospect=FALSE AND rep_id IS NOT NULL
+         AND ($1::INTEGER[] IS NULL OR rep_id = ANY($1::INTEGER[]))
+       GROUP BY rep_id`,
+      [repIds]
     ),
     // Grade distribution per rep
     db.query(
@@ -388,9 +457,13 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
       `SELECT
          SUM(CASE WHEN (old_grade='C' AND new_grade IN ('A','B')) OR (old_grade='B' AND new_grade='A') THEN 1 ELSE 0 END)::INTEGER AS upgrades,
          SUM(CASE WHEN (old_grade='A' AND new_grade IN ('B','C')) OR (old_grade='B' AND new_grade='C') OR (old_grade IN ('A','B','C') AND new_grade IS NULL) THEN 1 ELSE 0 END)::INTEGER AS downgrades
-       FROM grade_history WHERE changed_at >= $1`,
-      [qStart]
+       FROM grade_history gh
+       WHERE gh.changed_at >= $1
+         AND ($2::INTEGER[] IS NULL OR gh.store_id IN (SELECT id FROM stores WHERE rep_id = ANY($2::INTEGER[])))`,
+      [qStart, repIds]
     ).catch(() => ({ rows: [{ upgrades: 0, downgrades: 0 }] })),
+    loadOwnership(),
+    openSalesOrders().catch((err) => { console.error('[dashboard] team sales order fetch failed:', err.message); return null; }),
   ]);
 
   // ── Revenue maps from Reports API ──
@@ -406,8 +479,20 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
   }
 
   const reps = repsResult.rows;
+  const repIdSet = new Set(reps.map(r => r.id));
+  /** Whether a store was an active, non-prospect store of one of `ids` on a date. */
+  const ownedBy = (ids) => (contactId, date) => {
+    const store = ownership.store(contactId);
+    return Boolean(store?.active && !store.is_prospect && ids.has(ownership.ownerOn(contactId, date)));
+  };
   const tByRep = {}; for (const r of mTargets.rows)  tByRep[r.rep_id]  = Number(r.amount);
   const yByRep = {}; for (const r of ytdTargets.rows) yByRep[r.rep_id] = Number(r.total);
+  const yearTargetsByRep = {};
+  for (const r of yearTargets.rows) {
+    if (!yearTargetsByRep[r.rep_id]) yearTargetsByRep[r.rep_id] = {};
+    yearTargetsByRep[r.rep_id][r.month] = Number(r.amount);
+  }
+  const seasonal = seasonalIndices(byMonth(invoices), month);
 
   // Grade distribution map: rep_id → { A, B, C, ungraded }
   const gradeDistByRep = {};
@@ -446,8 +531,17 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
     const target  = tByRep[rep.id] || 0;
     const repContacts  = contactsByRep.get(rep.id) || new Set();
     // Territory growth uses invoices (needs per-customer breakdown, reports don't provide it)
-    const tg   = computeTerritoryGrowth(invoices, repContacts, mFrom, mTo);
+    const tg   = computeTerritoryGrowth(invoices, ownedBy(new Set([rep.id])), repContacts.size, mFrom, mTo);
     const dist = gradeDistByRep[rep.id] || { A: 0, B: 0, C: 0, ungraded: 0 };
+    const repOrders = ordersFor(salesOrders, spNames);
+    const forecast = forecastRevenue({
+      history:   { ...invoiceActuals, [month]: actual },
+      month,
+      seasonal,
+      targets:   yearTargetsByRep[rep.id] || {},
+      pipeline:  repOrders && pipelineByMonth(repOrders),
+      ytdActual: ytd_actual,
+    });
     return {
       rep_id: rep.id, name: rep.name, actual, target,
       percentage: target > 0 ? Math.round((actual / target) * 100) : null,
@@ -458,6 +552,7 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
       territory_ly:         tg.ly,
       territory_stores:     tg.store_count,
       grade_dist:           dist,
+      forecast,
     };
   }).sort((a, b) => (b.percentage ?? -1) - (a.percentage ?? -1));
 
@@ -468,10 +563,10 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
   };
   totals.percentage = totals.target > 0 ? Math.round((totals.actual / totals.target) * 100) : null;
 
-  // Company territory growth — union of all assigned store contacts (invoice-based)
+  // Company territory growth — every store while one of these reps had it (invoice-based)
   const allAssignedContacts = new Set();
   for (const ids of contactsByRep.values()) for (const id of ids) allAssignedContacts.add(id);
-  const company_territory_growth = computeTerritoryGrowth(invoices, allAssignedContacts, mFrom, mTo);
+  const company_territory_growth = computeTerritoryGrowth(invoices, ownedBy(repIdSet), allAssignedContacts.size, mFrom, mTo);
 
   const ytd = {
     actual:  leaderboard.reduce((s, r) => s + r.ytd_actual, 0),
@@ -479,14 +574,20 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
   };
   ytd.percentage = ytd.target > 0 ? Math.round((ytd.actual / ytd.target) * 100) : null;
 
-  // Brand performance — dynamic from item catalog
-  const mInvoices   = invoices.filter(i => i.date >= mFrom    && i.date <= mTo);
-  const prvInvoices = invoices.filter(i => i.date >= prevFrom  && i.date <= prevTo);
-  const bTargetBySlug = {}; for (const r of brandMTargets.rows)   bTargetBySlug[r.brand_slug]  = Number(r.amount);
+  // Brand performance — dynamic from item catalog. A team view only counts its
+  // own reps' invoices, and brand targets are company-wide so it leaves them out.
+  const teamSpNames = repIds ? new Set(reps.flatMap(repSpNames)) : null;
+  const brandInvoices = teamSpNames ? invoices.filter(i => teamSpNames.has(i.salesperson_name)) : invoices;
+  const mInvoices   = brandInvoices.filter(i => i.date >= mFrom    && i.date <= mTo);
+  const prvInvoices = brandInvoices.filter(i => i.date >= prevFrom  && i.date <= prevTo);
+  const bTargetBySlug = {};
+  if (!repIds) for (const r of brandMTargets.rows) bTargetBySlug[r.brand_slug] = Number(r.amount);
 
   const itemBrandMap   = await fetchItemBrandMap().catch(() => new Map());
   const mBrandTotals   = buildBrandTotals(mInvoices, itemBrandMap);
   const prvBrandTotals = buildBrandTotals(prvInvoices, itemBrandMap);
+  const forecasting    = month === currentMonth();
+  const brandHistory   = forecasting ? brandTotalsByMonth(brandInvoices, itemBrandMap) : {};
 
   // Union of brand names seen in current or previous month
   const allBrandNames = new Set([...Object.keys(mBrandTotals), ...Object.keys(prvBrandTotals)]);
@@ -497,14 +598,17 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
       const prev_actual = prvBrandTotals[brandName] || 0;
       const target      = bTargetBySlug[slug]       || 0;
       const trend       = prev_actual > 0 ? Math.round(((actual - prev_actual) / prev_actual) * 100) : null;
+      const forecast    = forecasting
+        ? forecastRevenue({ history: brandHistory[brandName] || {}, month, seasonal, targets: { [month]: target } }).month
+        : null;
       return { slug, name: brandName, actual, target,
-               percentage: target > 0 ? Math.round((actual / target) * 100) : null, trend };
+               percentage: target > 0 ? Math.round((actual / target) * 100) : null, trend, forecast };
     })
     .sort((a, b) => b.actual - a.actual);
 
   // New doors by rep (12-month approximation)
   const new_doors_by_rep = reps.map(rep => {
-    return { rep_id: rep.id, name: rep.name, count: newDoorCount(invoices, repSpNames(rep), mFrom, mTo) };
+    return { rep_id: rep.id, name: rep.name, count: newDoorCount(invoicesForRep(invoices, ownership, rep.id, repSpNames(rep)), mFrom, mTo) };
   });
 
   // Monthly history — invoice-based for all months.
@@ -519,10 +623,26 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
     return { month: m, actual, target: 0 };
   });
 
+  // Team forecast — the reps' combined history, pipeline and targets
+  const teamTargets = {};
+  for (const rep of reps) {
+    for (const [m, amount] of Object.entries(yearTargetsByRep[rep.id] || {})) teamTargets[m] = (teamTargets[m] || 0) + amount;
+  }
+  const teamOrders = ordersFor(salesOrders, reps.flatMap(repSpNames));
+  const forecast = forecastRevenue({
+    history:   Object.fromEntries(monthly_history.map(h => [h.month, h.actual])),
+    month,
+    seasonal,
+    targets:   teamTargets,
+    pipeline:  teamOrders && pipelineByMonth(teamOrders),
+    ytdActual: ytd.actual,
+  });
+
   const data_loading = invoices.length === 0;
 
   const result = {
     month, data_loading, leaderboard, totals, ytd,
+    forecast: forecast && { ...forecast, pipeline_available: salesOrders !== null },
     company_territory_growth,
     quarterly_grade_trend,
     brand_performance, new_doors_by_rep, monthly_history,
@@ -534,4 +654,4 @@ async function getTeamDashboard(month = currentMonth(), { force = false } = {})
   return result;
 }
 
-module.exports = { getRepDashboard, getTeamDashboard, invalidateCache };
+module.exports = { getRepDashboard, getTeamDashboard, invalidateCache, buildBrandTotals, slugify };
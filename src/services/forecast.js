@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Revenue forecasting for the rep and team dashboards.
+ *
+ * Projects month-end, quarter-end and year-end revenue from a monthly revenue
+ * history ({ 'YYYY-MM': amount } — the 18 months the dashboards already load):
+ *   - seasonality: each calendar month's share of the last 12 complete months
+ *     (gift retail peaks in Q4), damped towards flat so one odd month can't swing it
+ *   - level: the last three complete months with the seasonality taken out
+ *   - this month: the pace so far blended with the seasonal expectation,
+ *     leaning on the pace as the month goes on
+ *   - committed pipeline: open Zoho sales orders shipping in a month are a
+ *     floor under what that month still brings in
+ *   - confidence band: 80% interval from how far the model misses past months
+ *
+ * Quarters and years are calendar ones, matching targets and KPIs.
+ *
+ * Exports:
+ *   forecastRevenue(opts)               → { month, quarter, year, seasonal_index } | null
+ *                                         each period: { actual, committed, forecast, low, high,
+ *                                                        target, pct_of_target, status }
+ *   seasonalIndices(history, month)     → { 1..12: index } (1 = an average month)
+ *   pipelineByMonth(salesOrders, today) → { 'YYYY-MM': ex-GST amount of open orders }
+ *   openSalesOrders()                   → open Zoho sales orders (cached for 15 minutes)
+ *   todayIso()                          → local 'YYYY-MM-DD'
+ */
+
+const { fetchSalesOrders, invAmount } = require('./sync');
+
+const SEASONAL_DAMPING = 0.7;   // weight on the raw seasonal shape (the rest is flat)
+const LEVEL_MONTHS     = 3;
+const BAND_Z           = 1.28;  // 80% two-sided
+const DEFAULT_ERROR    = 0.3;
+const MIN_ERROR        = 0.1;
+const MAX_ERROR        = 0.6;
+const PIPELINE_MONTHS  = 6;     // how far back open orders are looked for
+
+// ── Month arithmetic ──────────────────────────────────────────────────────────
+
+function todayIso() {
+  const n = new Date();
+  return `${n.getFullYear()}-${String(n.getMonth() + 1).padStart(2, '0')}-${String(n.getDate()).padStart(2, '0')}`;
+}
+
+/** 'YYYY-MM' shifted by n months */
+function addMonths(ym, n) {
+  const [y, m] = ym.split('-').map(Number);
+  const d = new Date(y, m - 1 + n, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/** Months from `from` to `to` inclusive */
+function monthRange(from, to) {
+  const out = [];
+  for (let m = from; m <= to; m = addMonths(m, 1)) out.push(m);
+  return out;
+}
+
+const monthNumber = (ym) => Number(ym.slice(5, 7));
+const daysIn      = (ym) => new Date(Number(ym.slice(0, 4)), monthNumber(ym), 0).getDate();
+
+function quarterMonths(ym) {
+  const start = Math.floor((monthNumber(ym) - 1) / 3) * 3 + 1;
+  const first = `${ym.slice(0, 4)}-${String(start).padStart(2, '0')}`;
+  return monthRange(first, addMonths(first, 2));
+}
+
+const yearMonths = (ym) => monthRange(`${ym.slice(0, 4)}-01`, `${ym.slice(0, 4)}-12`);
+
+// ── Model ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Seasonal index per calendar month from the 12 complete months before `month`.
+ * Flat (all 1) unless every one of those months had revenue.
+ */
+function seasonalIndices(history, month) {
+  const months = monthRange(addMonths(month, -12), addMonths(month, -1));
+  const values = months.map((m) => history[m] || 0);
+  const flat = Object.fromEntries(months.map((m) => [monthNumber(m), 1]));
+  if (values.some((v) => v <= 0)) return flat;
+
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return Object.fromEntries(months.map((m, i) => [
+    monthNumber(m),
+    SEASONAL_DAMPING * (values[i] / mean) + (1 - SEASONAL_DAMPING),
+  ]));
+}
+
+/** Seasonally adjusted monthly revenue from the last few complete months. */
+function baseLevel(history, month, seasonal) {
+  const months = monthRange(addMonths(month, -LEVEL_MONTHS), addMonths(month, -1));
+  const revenue = months.reduce((s, m) => s + (history[m] || 0), 0);
+  const weight  = months.reduce((s, m) => s + seasonal[monthNumber(m)], 0);
+  return weight > 0 ? revenue / weight : 0;
+}
+
+/** Root-mean-square relative miss of level × season over the complete months in history. */
+function modelError(history, month, level, seasonal) {
+  if (level <= 0) return DEFAULT_ERROR;
+  const misses = Object.keys(history)
+    .filter((m) => m < month)
+    .map((m) => history[m] / (level * seasonal[monthNumber(m)]) - 1);
+  if (misses.length < 4) return DEFAULT_ERROR;
+  const rms = Math.sqrt(misses.reduce((s, e) => s + e * e, 0) / misses.length);
+  return Math.min(MAX_ERROR, Math.max(MIN_ERROR, rms));
+}
+
+function projection(months, { month, history, pipeline, expected, error, target, actualToDate }) {
+  const actual = actualToDate ?? months
+    .filter((m) => m <= month)
+    .reduce((s, m) => s + (history[m] || 0), 0);
+
+  let committed = 0, remaining = 0, spread = 0;
+  for (const m of months.filter((m) => m >= month)) {
+    const booked = pipeline[m] || 0;
+    committed += booked;
+    remaining += Math.max(expected[m], booked);
+    spread    += error * expected[m];
+  }
+
+  const forecast = actual + remaining;
+  const high = forecast + BAND_Z * spread;
+  const low  = Math.max(actual + committed, forecast - BAND_Z * spread);
+  const periodTarget = months.reduce((s, m) => s + (target[m] || 0), 0) || null;
+
+  let status = null;
+  if (periodTarget) status = forecast >= periodTarget ? 'on_track' : high >= periodTarget ? 'at_risk' : 'off_track';
+
+  return {
+    actual:        Math.round(actual),
+    committed:     Math.round(committed),
+    forecast:      Math.round(forecast),
+    low:           Math.round(low),
+    high:          Math.round(high),
+    target:        periodTarget,
+    pct_of_target: periodTarget ? Math.round((forecast / periodTarget) * 100) : null,
+    status,
+  };
+}
+
+/**
+ * Forecast the month containing `today` and its quarter and year.
+ *
+ * @param {object} opts
+ * @param {object} opts.history    – { 'YYYY-MM': revenue }, this month's figure being revenue to date
+ * @param {string} opts.month      – 'YYYY-MM' being viewed; null is returned unless it contains `today`
+ * @param {string} [opts.today]    – 'YYYY-MM-DD', default today
+ * @param {object} [opts.targets]  – { 'YYYY-MM': target } for the year
+ * @param {object} [opts.pipeline] – { 'YYYY-MM': open order value } (see pipelineByMonth)
+ * @param {object} [opts.seasonal] – indices to use instead of the history's own, e.g.
+ *                                   the company's for a single rep or brand
+ * @param {number} [opts.ytdActual] – exact year-to-date revenue, when it differs from the history's sum
+ */
+function forecastRevenue({ history, month, today = todayIso(), targets = {}, pipeline = null, seasonal = null, ytdActual = null }) {
+  if (today.slice(0, 7) !== month) return null;
+
+  const indices = seasonal || seasonalIndices(history, month);
+  const level   = baseLevel(history, month, indices);
+  const error   = modelError(history, month, level, indices);
+
+  // What each month from now to December should still bring in
+  const days    = daysIn(month);
+  const elapsed = Number(today.slice(8, 10));
+  const share   = elapsed / days;
+  const actual  = history[month] || 0;
+  const dailyExpected = (level * indices[monthNumber(month)]) / days;
+  const expected = {
+    [month]: (days - elapsed) * (share * (actual / elapsed) + (1 - share) * dailyExpected),
+  };
+  for (const m of monthRange(addMonths(month, 1), `${month.slice(0, 4)}-12`)) {
+    expected[m] = level * indices[monthNumber(m)];
+  }
+
+  const ctx = { month, history, pipeline: pipeline || {}, expected, error, target: targets };
+  return {
+    month:          projection([month], ctx),
+    quarter:        projection(quarterMonths(month), ctx),
+    year:           projection(yearMonths(month), { ...ctx, actualToDate: ytdActual }),
+    seasonal_index: Math.round(indices[monthNumber(month)] * 100) / 100,
+  };
+}
+
+// ── Pipeline ──────────────────────────────────────────────────────────────────
+
+/**
+ * Open sales orders by the month they're due to ship (falling back to the order
+ * date). Orders already past due are expected this month.
+ */
+function pipelineByMonth(salesOrders, today = todayIso()) {
+  const thisMonth = today.slice(0, 7);
+  const out = {};
+  for (const so of salesOrders) {
+    if (so.status !== 'open') continue;
+    const due = (so.shipment_date || so.date || '').slice(0, 7);
+    if (!due) continue;
+    const m = due < thisMonth ? thisMonth : due;
+    out[m] = (out[m] || 0) + invAmount(so);
+  }
+  return out;
+}
+
+let _openOrders = null;
+const ORDERS_TTL = 15 * 60 * 1000;
+
+/** Open sales orders raised in the last few months, shared by both dashboards. */
+async function openSalesOrders() {
+  if (_openOrders && Date.now() - _openOrders.fetchedAt < ORDERS_TTL) return _openOrders.data;
+  const today = todayIso();
+  const from  = `${addMonths(today.slice(0, 7), -PIPELINE_MONTHS)}-01`;
+  const data  = (await fetchSalesOrders(from, today)).filter((so) => so.status === 'open');
+  _openOrders = { data, fetchedAt: Date.now() };
+  return data;
+}
+
+module.exports = { forecastRevenue, seasonalIndices, pipelineByMonth, openSalesOrders, todayIso };
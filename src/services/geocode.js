@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Offline geocoding for stores and rep home bases — no external API calls.
+ *
+ * Coordinates come from the bundled postcode centroids (src/config/postcodes.js)
+ * and GeoNames towns (src/config/places.js), matched against the Zoho billing
+ * address synced onto each store, in order:
+ *   postcode         – exact postcode
+ *   suburb           – billing city + state (postcode missing or not listed),
+ *                      against each postcode's suburb, then every locality,
+ *                      then the towns
+ *   postcode_prefix  – average of listed postcodes sharing the first 3 digits
+ * Stores with geocode_source = 'manual' (PATCH /api/stores/:id/location) are
+ * never overwritten. Store sync clears the coordinates when the address
+ * changes, and geocodeStores() fills them back in.
+ *
+ * Exports:
+ *   normalisePostcode(value)                     → '2000' | null
+ *   geocodeAddress({ postcode, suburb, state })  → { latitude, longitude, source } | null
+ *   geocodeStores({ storeIds?, force? })         → { geocoded, unmatched }
+ */
+
+const db = require('../db');
+const { POSTCODES, LOCALITIES } = require('../config/postcodes');
+const { PLACES } = require('../config/places');
+
+// ── Lookup tables ─────────────────────────────────────────────────────────────
+
+const byPostcode = new Map();
+const bySuburb   = new Map(); // 'SUBURB::STATE' → entry
+const byPrefix   = new Map(); // '200' → averaged entry
+
+for (const [postcode, suburb, state, latitude, longitude] of POSTCODES) {
+  const entry = { latitude, longitude };
+  byPostcode.set(postcode, entry);
+  bySuburb.set(`${suburb.toUpperCase()}::${state}`, entry);
+
+  const prefix = postcode.slice(0, 3);
+  if (!byPrefix.has(prefix)) byPrefix.set(prefix, { lat: 0, lng: 0, n: 0 });
+  const p = byPrefix.get(prefix);
+  p.lat += latitude; p.lng += longitude; p.n++;
+}
+for (const [prefix, p] of byPrefix) {
+  byPrefix.set(prefix, { latitude: p.lat / p.n, longitude: p.lng / p.n });
+}
+// Other suburbs the postcodes cover, then towns from the gazetteer; a
+// postcode's own suburb keeps its centroid
+for (const [suburb, state, latitude, longitude] of [...LOCALITIES, ...PLACES]) {
+  const key = `${suburb.toUpperCase()}::${state}`;
+  if (!bySuburb.has(key)) bySuburb.set(key, { latitude, longitude });
+}
+
+/** Four-digit postcode, restoring the leading zero NT postcodes lose in spreadsheets. */
+function normalisePostcode(value) {
+  const digits = String(value ?? '').trim();
+  if (!/^\d{3,4}$/.test(digits)) return null;
+  return digits.padStart(4, '0');
+}
+
+/**
+ * Best available centroid for an address, or null when nothing matches.
+ * @param {object} address – { postcode?, suburb?, state? }
+ */
+function geocodeAddress({ postcode, suburb, state } = {}) {
+  const pc = normalisePostcode(postcode);
+  if (pc && byPostcode.has(pc)) return { ...byPostcode.get(pc), source: 'postcode' };
+
+  if (suburb && state) {
+    const hit = bySuburb.get(`${String(suburb).trim().toUpperCase()}::${String(state).trim().toUpperCase()}`);
+    if (hit) return { ...hit, source: 'suburb' };
+  }
+
+  if (pc && byPrefix.has(pc.slice(0, 3))) return { ...byPrefix.get(pc.slice(0, 3)), source: 'postcode_prefix' };
+  return null;
+}
+
+// ── Store backfill ────────────────────────────────────────────────────────────
+
+/**
+ * Geocode stores that have no coordinates yet (or, with force, every store
+ * not set manually). Stores that match nothing keep NULL coordinates and fall
+ * back to postcode clustering in the planner.
+ *
+ * @param {object}   [opts]
+ * @param {number[]} [opts.storeIds] – limit to these stores
+ * @param {boolean}  [opts.force]    – recompute non-manual coordinates too
+ */
+async function geocodeStores({ storeIds = null, force = false } = {}) {
+  const { rows } = await db.query(`
+    SELECT id, postcode, suburb, state
+    FROM stores
+    WHERE ($1::INTEGER[] IS NULL OR id = ANY($1))
+      AND geocode_source IS DISTINCT FROM 'manual'
+      AND ($2 OR latitude IS NULL)
+  `, [storeIds, force]);
+
+  let geocoded = 0, unmatched = 0;
+  for (const store of rows) {
+    const hit = geocodeAddress(store);
+    if (!hit) { unmatched++; continue; }
+    await db.query(
+      `UPDATE stores SET latitude = $2, longitude = $3, geocode_source = $4 WHERE id = $1`,
+      [store.id, hit.latitude, hit.longitude, hit.source]
+    );
+    geocoded++;
+  }
+
+  if (geocoded || unmatched) {
+    console.log(`[geocode] ${geocoded} store(s) geocoded, ${unmatched} without a postcode match`);
+  }
+  return { geocoded, unmatched };
+}
+
+module.exports = {
+  normalisePostcode,
+  geocodeAddress,
+  geocodeStores,
+};
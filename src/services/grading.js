@@ -13,7 +13,7 @@
  *   if there truly is no 24m activity — those get a lapsed alert instead).
  *
  * Exports:
- *   calculateGrade(lastVisit, lastOrder, orderCount12m, hasActivity24m) → { grade, reason }
+ *   calculateGrade(lastVisit, lastOrder, orderCount12m, hasActivity24m[, now]) → { grade, reason }
  *   runAutoGrading()            – grade all ungraded non-prospect stores
  *   runQuarterlyGrading()       – reassess all non-locked stores
  *   classifyProspects()         – mark ungraded inactive stores as prospects
@@ -23,20 +23,23 @@
 
 const db = require('../db');
 const { fetchInvoices } = require('./sync');
-const { makeZohoWrite } = require('./zoho');
+const { makeZohoWrite, withZohoSubsystem } = require('./zoho');
 
 // ── Timeout-safe invoice fetch ────────────────────────────────────────────────
-// Grading fetches a 24m window independently of the dashboard's 13m cache.
-// Wrap with a 30s timeout so a slow Zoho response never hangs the process.
-// Returns [] on timeout or error — grading functions check for empty and skip.
+// Grading reads a 24m window from the local invoice store. Wrap with a 30s
+// timeout so a store that hasn't finished its first backfill (live Zoho
+// fallback) never hangs the process. Returns [] on timeout or error — grading
+// functions check for empty and skip.
 
 const GRADING_FETCH_TIMEOUT_MS = 30_000;
 
 function fetchInvoicesForGrading(fromDate, toDate) {
-  const timeout = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error(`Zoho invoice fetch timed out after ${GRADING_FETCH_TIMEOUT_MS / 1000}s`)), GRADING_FETCH_TIMEOUT_MS)
-  );
-  return Promise.race([fetchInvoices(fromDate, toDate), timeout]);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Invoice fetch timed out after ${GRADING_FETCH_TIMEOUT_MS / 1000}s`)), GRADING_FETCH_TIMEOUT_MS);
+  });
+  return Promise.race([withZohoSubsystem('grading', () => fetchInvoices(fromDate, toDate)), timeout])
+    .finally(() => clearTimeout(timer));
 }
 
 // ── Time constants ─────────────────────────────────────────────────────────────
@@ -54,10 +57,10 @@ const M24 = 24 * 30.44 * 86_400_000;       // ~24 months in ms
  * @param {string|Date|null} lastOrderDate
  * @param {number}           orderCount12m  – invoices in the last 12 months
  * @param {boolean}          hasActivity24m – any order OR visit in last 24 months
+ * @param {number}           [now]          – reference time in ms (defaults to Date.now())
  * @returns {{ grade: 'A'|'B'|'C'|null, reason: string }}
  */
-function calculateGrade(lastVisitDate, lastOrderDate, orderCount12m, hasActivity24m) {
-  const now = Date.now();
+function calculateGrade(lastVisitDate, lastOrderDate, orderCount12m, hasActivity24m, now = Date.now()) {
   const lv  = lastVisitDate ? new Date(lastVisitDate).getTime() : null;
   const lo  = lastOrderDate ? new Date(lastOrderDate).getTime() : null;
 
@@ -77,9 +80,11 @@ function calculateGrade(lastVisitDate, lastOrderDate, orderCount12m, hasActivity
 async function writeGradeToZoho(zohoContactId, grade) {
   if (!zohoContactId) return;
   try {
-    await makeZohoWrite('PUT', `/contacts/${zohoContactId}`, {
-      custom_fields: [{ api_name: 'cf_store_grade', value: grade || '' }],
-    });
+    await withZohoSubsystem('grading', () =>
+      makeZohoWrite('PUT', `/contacts/${zohoContactId}`, {
+        custom_fields: [{ api_name: 'cf_store_grade', value: grade || '' }],
+      })
+    );
     console.log(`[grading] Zoho contact ${zohoContactId} → grade ${grade || 'cleared'}`);
   } catch (err) {
     // Non-fatal — local data is source of truth; Zoho is best-effort
@@ -281,7 +286,7 @@ async function gradeStores(stores, invoices, visitMap, windowFrom12m, windowFrom
 /**
  * Auto-grade all ungraded (grade IS NULL), non-prospect, non-locked stores.
  * Uses 24m invoices so any store with activity in 24m gets at least grade C.
- * Called at startup (after invoice cache warms) and via /api/grades/run-auto.
+ * Called at startup (after the initial invoice sync) and via /api/grades/run-auto.
  */
 async function runAutoGrading() {
   console.log('[grading] Auto-grade: starting for ungraded stores...');
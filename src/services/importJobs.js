@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Visit import jobs (migration 022) — the record of each import run.
+ *
+ * A run inserts its visits and one import_job_rows row per CSV data row in a
+ * single transaction, so a job either lands whole or not at all (a failed run
+ * is still logged, with its error). Visits carry import_job_id, which is what
+ * a rollback deletes; rows that were duplicates of earlier visits belong to
+ * whoever inserted them first and are left alone.
+ *
+ * Exports:
+ *   REJECT_REASON_LABELS                           – row reason → text for the CSV
+ *   fileSha256(buffer)                             → hex digest
+ *   runImportJob({ prepared, profile, fileName, buffer, userId }) → job row
+ *   findPreviousImport(sha256)                     → latest completed job for the same file, or null
+ *   fetchImportJobs({ limit? }), fetchImportJob(id)
+ *   rejectedRowsCsv(id)                            → { filename, csv } | null
+ *   rollbackImportJob(id, userId)                  → { job } | { status, error }
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { csvLine } = require('./csv');
+
+const REJECT_REASON_LABELS = {
+  duplicate:           'Already imported',
+  account_filtered:    'Store ID outside the profile\'s account prefix',
+  no_store_match:      'No matching store',
+  needs_review:        'Store match not reviewed',
+  skipped_by_reviewer: 'Skipped in store review',
+  no_rep:              'No matching rep',
+  bad_date:            'Unreadable date or time',
+};
+
+const VISIT_BATCH = 500;
+const ROW_BATCH   = 2000;
+
+const JOB_SELECT = `
+  SELECT j.id, j.profile_id, j.profile_name, j.file_name, j.file_sha256, j.status,
+         j.total_rows, j.imported, j.duplicates, j.skipped, j.error, j.created_at,
+         j.rolled_back_at, j.rolled_back_visits,
+         j.uploaded_by,    up.name AS uploaded_by_name,
+         j.rolled_back_by, rb.name AS rolled_back_by_name
+  FROM import_jobs j
+  LEFT JOIN users up ON up.id = j.uploaded_by
+  LEFT JOIN users rb ON rb.id = j.rolled_back_by`;
+
+function fileSha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// ── Running ───────────────────────────────────────────────────────────────────
+
+async function insertJobRows(client, jobId, rows) {
+  for (let i = 0; i < rows.length; i += ROW_BATCH) {
+    const chunk = rows.slice(i, i + ROW_BATCH);
+    await client.query(`
+      INSERT INTO import_job_rows (job_id, line, outcome, reason, visit_id, cells)
+      SELECT $1, * FROM UNNEST($2::INTEGER[], $3::VARCHAR[], $4::VARCHAR[], $5::INTEGER[], $6::JSONB[])
+    `, [
+      jobId,
+      chunk.map((r) => r.line),
+      chunk.map((r) => r.outcome),
+      chunk.map((r) => r.reason),
+      chunk.map((r) => r.visitId),
+      chunk.map((r) => (r.cells ? JSON.stringify(r.cells) : null)),
+    ]);
+  }
+}
+
+/**
+ * Insert the visits of a prepared import (visitImport.prepareImport) and record
+ * the job. Throws after logging a failed job if the inserts fail.
+ */
+async function runImportJob({ prepared, profile, fileName, buffer, userId }) {
+  const { records, rejects, skipped } = prepared;
+  const sha256 = fileSha256(buffer);
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: [job] } = await client.query(`
+      INSERT INTO import_jobs (profile_id, profile_name, file_name, file_sha256, file_headers, uploaded_by, status, total_rows, skipped)
+      VALUES ($1, $2, $3, $4, $5, $6, 'completed', $7, $8)
+      RETURNING id
+    `, [profile.id, profile.name, fileName, sha256, prepared.headers, userId, prepared.total_rows, skipped]);
+
+    // Batch insert, ON CONFLICT DO NOTHING for dedup. RETURNING tells which
+    // records went in; the rest were already there (or repeated in the file).
+    const rowOutcomes = rejects.map((r) => ({ line: r.line, outcome: 'skipped', reason: r.reason, visitId: null, cells: r.cells }));
+    let imported = 0, duplicates = 0;
+
+    for (let i = 0; i < records.length; i += VISIT_BATCH) {
+      const chunk = records.slice(i, i + VISIT_BATCH);
+
+      const values = [];
+      const params = [];
+      let p = 1;
+      for (const r of chunk) {
+        values.push(`($${p++}, $${p++}, $${p++}, $${p++}, $${p++}, $${p++})`);
+        params.push(r.repId, r.storeId, r.visitedAt.toISOString(), r.visitType, r.note, job.id);
+      }
+
+      const { rows: inserted } = await client.query(`
+        INSERT INTO visits (rep_id, store_id, visited_at, visit_type, note, import_job_id)
+        VALUES ${values.join(', ')}
+        ON CONFLICT (store_id, rep_id, visited_at) DO NOTHING
+        RETURNING id, rep_id, store_id, visited_at
+      `, params);
+
+      const visitIdByKey = new Map(inserted.map((v) => [`${v.store_id}|${v.rep_id}|${v.visited_at.getTime()}`, v.id]));
+      for (const r of chunk) {
+        const key = `${r.storeId}|${r.repId}|${r.visitedAt.getTime()}`;
+        const visitId = visitIdByKey.get(key);
+        if (visitId) {
+          visitIdByKey.delete(key);   // a repeat of this row later in the file is a duplicate
+          imported++;
+          rowOutcomes.push({ line: r.line, outcome: 'imported', reason: null, visitId, cells: null });
+        } else {
+          duplicates++;
+          rowOutcomes.push({ line: r.line, outcome: 'duplicate', reason: 'duplicate', visitId: null, cells: r.cells });
+        }
+      }
+    }
+
+    await insertJobRows(client, job.id, rowOutcomes);
+    const { rows: [done] } = await client.query(
+      `UPDATE import_jobs SET imported = $2, duplicates = $3 WHERE id = $1 RETURNING *`,
+      [job.id, imported, duplicates]
+    );
+
+    await client.query('COMMIT');
+    return done;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await db.query(`
+      INSERT INTO import_jobs (profile_id, profile_name, file_name, file_sha256, file_headers, uploaded_by, status, total_rows, skipped, error)
+      VALUES ($1, $2, $3, $4, $5, $6, 'failed', $7, $8, $9)
+    `, [profile.id, profile.name, fileName, sha256, prepared.headers, userId, prepared.total_rows, skipped, err.message])
+      .catch((logErr) => console.error('[importJobs] Failed to log failed job:', logErr.message));
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+
+async function findPreviousImport(sha256) {
+  const { rows } = await db.query(`
+    ${JOB_SELECT}
+    WHERE j.file_sha256 = $1 AND j.status = 'completed'
+    ORDER BY j.created_at DESC
+    LIMIT 1
+  `, [sha256]);
+  return rows[0] || null;
+}
+
+async function fetchImportJobs({ limit = 30 } = {}) {
+  const { rows } = await db.query(`${JOB_SELECT} ORDER BY j.created_at DESC, j.id DESC LIMIT $1`, [limit]);
+  return rows;
+}
+
+/** A job with its first 200 rows that weren't imported. */
+async function fetchImportJob(id) {
+  const { rows: [job] } = await db.query(`${JOB_SELECT} WHERE j.id = $1`, [id]);
+  if (!job) return null;
+  const { rows } = await db.query(`
+    SELECT line, outcome, reason, cells
+    FROM import_job_rows
+    WHERE job_id = $1 AND outcome <> 'imported'
+    ORDER BY line
+    LIMIT 200
+  `, [id]);
+  return { ...job, rejected_rows: rows };
+}
+
+/**
+ * Every row of a job that wasn't imported, as it appeared in the upload,
+ * after Line and Reason columns.
+ */
+async function rejectedRowsCsv(id) {
+  const { rows: [job] } = await db.query('SELECT id, file_name, file_headers FROM import_jobs WHERE id = $1', [id]);
+  if (!job) return null;
+  const { rows } = await db.query(`
+    SELECT line, reason, cells
+    FROM import_job_rows
+    WHERE job_id = $1 AND outcome <> 'imported'
+    ORDER BY line
+  `, [id]);
+
+  const lines = [csvLine(['Line', 'Reason', ...job.file_headers])];
+  for (const r of rows) {
+    lines.push(csvLine([r.line, REJECT_REASON_LABELS[r.reason] || r.reason, ...(r.cells || [])]));
+  }
+  const base = job.file_name.replace(/\.csv$/i, '').replace(/[^\w.-]+/g, '_') || 'import';
+  return { filename: `${base}-job${job.id}-rejected.csv`, csv: lines.join('\n') + '\n' };
+}
+
+// ── Rollback ──────────────────────────────────────────────────────────────────
+
+/**
+ * Delete every visit a completed job inserted and mark it rolled back.
+ * @returns {Promise<{ job } | { status: number, error: string }>}
+ */
+async function rollbackImportJob(id, userId) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [job] } = await client.query('SELECT id, status FROM import_jobs WHERE id = $1 FOR UPDATE', [id]);
+    if (!job) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Import job not found' };
+    }
+    if (job.status !== 'completed') {
+      await client.query('ROLLBACK');
+      return {
+        status: 409,
+        error:  job.status === 'rolled_back' ? 'This import has already been rolled back' : 'Only completed imports can be rolled back',
+      };
+    }
+
+    const { rowCount } = await client.query('DELETE FROM visits WHERE import_job_id = $1', [id]);
+    await client.query(`
+      UPDATE import_jobs
+      SET status = 'rolled_back', rolled_back_at = NOW(), rolled_back_by = $2, rolled_back_visits = $3
+      WHERE id = $1
+    `, [id, userId, rowCount]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const { rows: [job] } = await db.query(`${JOB_SELECT} WHERE j.id = $1`, [id]);
+  return { job };
+}
+
+module.exports = {
+  REJECT_REASON_LABELS,
+  fileSha256,
+  runImportJob,
+  findPreviousImport,
+  fetchImportJobs,
+  fetchImportJob,
+  rejectedRowsCsv,
+  rollbackImportJob,
+};
@@ -0,0 +1,396 @@
+'use strict';
+
+/**
+ * Incentive payouts: KPI progress (kpi.js) turned into money by an incentive
+ * plan (migration 028).
+ *
+ * Each KPI pays its weight's share of the plan's on-target amount, scaled by
+ * attainment against the rep's incentive_targets:
+ *   new customers / reactivations – actual ÷ target
+ *   coverage                       – coverage % ÷ target %
+ *   growth                         – quarter revenue ÷ (same quarter last year
+ *                                    × (1 + target %)); nothing without last year
+ * A target of 0 counts as met. Below threshold_pct a KPI pays nothing; up to
+ * 100% it pays pro rata; above 100% each point pays `accelerator` times over.
+ * The quarter is capped at cap_pct of on-target, and pays nothing unless every
+ * gate is met (every weekly plan of the quarter so far, a coverage floor).
+ *
+ * A rep is on their own plan (users.incentive_plan_id) or the default one; with
+ * neither there is no payout. Statements are worked out from the quarter's KPIs
+ * (its snapshot once it's closed, kpiSnapshots.js) until a manager approves a
+ * finished quarter, which copies the plan, KPIs and lines into
+ * incentive_statements — from then on the quarter's targets are locked.
+ *
+ * Exports:
+ *   KPI_KEYS, KPI_LABELS
+ *   parsePlan(body)                               → { plan } | { error }
+ *   planFromRow(row)                              → incentive_plans row with numbers for NUMERICs
+ *   attainment(key, kpi)                          → percent, or null if it can't be measured
+ *   calcPayout(kpi, plan)                         → { on_target, lines, gates, gates_met, earned, cap, capped, payout }
+ *   plansForReps(repIds)                          → Map rep id → plan (or nothing)
+ *   quarterStatements(reps, quarter, year)        → a statement per rep, approved or live
+ *   approveStatement(repId, quarter, year, userId) → { statement } | { error, status }
+ *   isApproved(repId, quarter, year)              → boolean
+ *   payrollCsv(quarter, year, scope)              → CSV of the approved statements
+ */
+
+const db = require('../db');
+const { csvLine } = require('./csv');
+const { quarterKpis, isClosed, snapshotQuarter } = require('./kpiSnapshots');
+const { repScopeSql } = require('./teamScope');
+
+const KPI_KEYS = ['new_customers', 'reactivations', 'coverage', 'growth'];
+const KPI_LABELS = {
+  new_customers: 'New Customers',
+  reactivations: 'Reactivations',
+  coverage:      'Territory Coverage',
+  growth:        'Territory Growth',
+};
+const MAX_ACCELERATOR = 5;
+const MAX_CAP_PCT     = 500;
+
+const money = (n) => Math.round(n * 100) / 100;
+
+// ── Plans ─────────────────────────────────────────────────────────────────────
+
+function intInRange(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Validate a plan body:
+ *   { name, on_target_amount, weights: { new_customers, reactivations, coverage, growth },
+ *     threshold_pct?, accelerator?, cap_pct?, require_weekly_plans?, min_coverage_pct?, is_default? }
+ * Weights are whole percents adding up to 100.
+ */
+function parsePlan(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) return { error: 'name is required (at most 100 characters)' };
+
+  const onTarget = Number(body.on_target_amount);
+  if (!Number.isFinite(onTarget) || onTarget <= 0) return { error: 'on_target_amount must be a positive amount' };
+
+  const weights = {};
+  for (const key of KPI_KEYS) {
+    const w = intInRange(body.weights?.[key] ?? 0, 0, 100);
+    if (w === null) return { error: `weights.${key} must be a whole percent from 0 to 100` };
+    weights[key] = w;
+  }
+  const totalWeight = KPI_KEYS.reduce((s, k) => s + weights[k], 0);
+  if (totalWeight !== 100) return { error: `weights must add up to 100 (they add up to ${totalWeight})` };
+
+  const threshold = intInRange(body.threshold_pct ?? 50, 0, 100);
+  if (threshold === null) return { error: 'threshold_pct must be a whole percent from 0 to 100' };
+
+  const accelerator = Number(body.accelerator ?? 1);
+  if (!Number.isFinite(accelerator) || accelerator < 0 || accelerator > MAX_ACCELERATOR) {
+    return { error: `accelerator must be from 0 to ${MAX_ACCELERATOR}` };
+  }
+
+  const cap = intInRange(body.cap_pct ?? 150, 100, MAX_CAP_PCT);
+  if (cap === null) return { error: `cap_pct must be a whole percent from 100 to ${MAX_CAP_PCT}` };
+
+  let minCoverage = null;
+  if (body.min_coverage_pct !== undefined && body.min_coverage_pct !== null && body.min_coverage_pct !== '') {
+    minCoverage = intInRange(body.min_coverage_pct, 0, 100);
+    if (minCoverage === null) return { error: 'min_coverage_pct must be a whole percent from 0 to 100' };
+  }
+
+  return {
+    plan: {
+      name,
+      on_target_amount:     money(onTarget),
+      weights,
+      threshold_pct:        threshold,
+      accelerator:          Math.round(accelerator * 100) / 100,
+      cap_pct:              cap,
+      require_weekly_plans: body.require_weekly_plans === true,
+      min_coverage_pct:     minCoverage,
+      is_default:           body.is_default === true,
+    },
+  };
+}
+
+/** Plan row with NUMERIC columns as numbers. */
+function planFromRow(row) {
+  return {
+    ...row,
+    on_target_amount: Number(row.on_target_amount),
+    accelerator:      Number(row.accelerator),
+  };
+}
+
+/** Each rep's plan: their own, else the default. Reps with neither are left out. */
+async function plansForReps(repIds) {
+  const { rows } = await db.query(`
+    SELECT u.id AS rep_id, p.*
+    FROM users u
+    JOIN incentive_plans p
+      ON p.id = u.incentive_plan_id OR (u.incentive_plan_id IS NULL AND p.is_default)
+    WHERE u.id = ANY($1::INTEGER[])
+  `, [repIds]);
+  return new Map(rows.map(({ rep_id, ...plan }) => [rep_id, planFromRow(plan)]));
+}
+
+// ── Payout ────────────────────────────────────────────────────────────────────
+
+/**
+ * Attainment of one KPI in percent (1 decimal place) from calcKpi output.
+ */
+function attainment(key, kpi) {
+  let pct;
+  if (key === 'new_customers' || key === 'reactivations') {
+    const { actual, target } = kpi[key];
+    pct = target > 0 ? (actual / target) * 100 : 100;
+  } else if (key === 'coverage') {
+    const { pct: covered, target_pct } = kpi.coverage;
+    pct = target_pct > 0 ? (covered / target_pct) * 100 : 100;
+  } else if (key === 'growth') {
+    const { current_quarter, ly_quarter, target_pct } = kpi.growth;
+    if (!(ly_quarter > 0)) return null;
+    pct = (current_quarter / (ly_quarter * (1 + target_pct / 100))) * 100;
+  }
+  return Math.round(pct * 10) / 10;
+}
+
+/** Share of a KPI's on-target amount paid at `pct` attainment. */
+function payFactor(pct, plan) {
+  if (pct === null || pct < plan.threshold_pct) return 0;
+  if (pct <= 100) return pct / 100;
+  return 1 + ((pct - 100) / 100) * plan.accelerator;
+}
+
+/**
+ * What a quarter pays under `plan`.
+ *
+ * @param {object} kpi  – calcKpi() output plus weekly_plans: { submitted, due }
+ *                        (weeks of the quarter with a plan / weeks so far)
+ * @param {object} plan – incentive_plans row
+ */
+function calcPayout(kpi, plan) {
+  const onTarget = plan.on_target_amount;
+
+  const lines = KPI_KEYS.filter((key) => plan.weights[key] > 0).map((key) => {
+    const pct = attainment(key, kpi);
+    const lineTarget = (onTarget * plan.weights[key]) / 100;
+    const factor = payFactor(pct, plan);
+    return {
+      kpi:        key,
+      label:      KPI_LABELS[key],
+      weight:     plan.weights[key],
+      attainment: pct,
+      on_target:  money(lineTarget),
+      amount:     money(lineTarget * factor),
+    };
+  });
+
+  const gates = [];
+  if (plan.require_weekly_plans) {
+    const { submitted = 0, due = 0 } = kpi.weekly_plans || {};
+    gates.push({
+      gate:   'weekly_plans',
+      label:  'Weekly plan every week',
+      met:    submitted >= due,
+      detail: `${submitted} of ${due} weeks`,
+    });
+  }
+  if (plan.min_coverage_pct !== null && plan.min_coverage_pct !== undefined) {
+    gates.push({
+      gate:   'min_coverage',
+      label:  `Coverage at least ${plan.min_coverage_pct}%`,
+      met:    kpi.coverage.pct >= plan.min_coverage_pct,
+      detail: `${kpi.coverage.pct}%`,
+    });
+  }
+
+  const gatesMet = gates.every((g) => g.met);
+  const earned = money(lines.reduce((s, l) => s + l.amount, 0));
+  const cap = money((onTarget * plan.cap_pct) / 100);
+  return {
+    on_target: onTarget,
+    lines,
+    gates,
+    gates_met: gatesMet,
+    earned,
+    cap,
+    capped:    earned > cap,
+    payout:    gatesMet ? Math.min(earned, cap) : 0,
+  };
+}
+
+// ── KPIs for a quarter ────────────────────────────────────────────────────────
+
+function liveStatement(k, quarter, year, plan) {
+  const kpis = { ...k.actuals, weekly_plans: k.weekly_plans };
+  const payout = plan ? calcPayout(kpis, plan) : null;
+  return {
+    rep_id:  k.rep_id,
+    name:    k.name,
+    quarter,
+    year,
+    status:  'draft',
+    source:  k.source,
+    plan:    plan || null,
+    targets: k.targets,
+    kpis,
+    lines:   payout?.lines || [],
+    gates:   payout?.gates || [],
+    payout,
+  };
+}
+
+function approvedStatement(row) {
+  const earned = money(row.lines.reduce((s, l) => s + l.amount, 0));
+  const cap = money((row.plan.on_target_amount * row.plan.cap_pct) / 100);
+  return {
+    rep_id:           row.rep_id,
+    name:             row.name,
+    quarter:          row.quarter,
+    year:             row.year,
+    status:           'approved',
+    plan:             row.plan,
+    kpis:             row.kpis,
+    lines:            row.lines,
+    gates:            row.gates,
+    payout: {
+      on_target: row.plan.on_target_amount,
+      lines:     row.lines,
+      gates:     row.gates,
+      gates_met: row.gates.every((g) => g.met),
+      earned,
+      cap,
+      capped:    earned > cap,
+      payout:    Number(row.payout),
+    },
+    approved_by:      row.approved_by,
+    approved_by_name: row.approved_by_name,
+    approved_at:      row.approved_at,
+  };
+}
+
+const APPROVED_SELECT = `
+  SELECT s.*, u.name, u.email, a.name AS approved_by_name
+  FROM incentive_statements s
+  JOIN users u ON u.id = s.rep_id
+  LEFT JOIN users a ON a.id = s.approved_by`;
+
+async function approvedRows(repIds, quarter, year) {
+  const { rows } = await db.query(
+    `${APPROVED_SELECT} WHERE s.rep_id = ANY($1::INTEGER[]) AND s.quarter = $2 AND s.year = $3`,
+    [repIds, quarter, year]
+  );
+  return rows;
+}
+
+/**
+ * Statement for each of `reps` ([{ id, name }]): the approved one where there
+ * is one, otherwise worked out from the quarter's KPIs and the rep's plan.
+ */
+async function quarterStatements(reps, quarter, year) {
+  const ids = reps.map((r) => r.id);
+  const approved = new Map((await approvedRows(ids, quarter, year)).map((r) => [r.rep_id, r]));
+  const pending = reps.filter((r) => !approved.has(r.id));
+
+  const [kpis, plans] = await Promise.all([
+    quarterKpis(pending, quarter, year),
+    plansForReps(pending.map((r) => r.id)),
+  ]);
+  const live = new Map(kpis.map((k) => [k.rep_id, liveStatement(k, quarter, year, plans.get(k.rep_id))]));
+
+  return reps.map((rep) => (approved.has(rep.id) ? approvedStatement(approved.get(rep.id)) : live.get(rep.id)));
+}
+
+async function isApproved(repId, quarter, year) {
+  const { rows } = await db.query(
+    'SELECT 1 FROM incentive_statements WHERE rep_id = $1 AND quarter = $2 AND year = $3',
+    [repId, quarter, year]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Lock a finished quarter's statement for payroll. Its KPIs always come from
+ * the quarter's snapshot — if the quarter-close job hasn't taken it yet, it's
+ * taken here first, so what's paid never moves with later invoice edits.
+ * Errors carry the HTTP status: 404 unknown rep, 409 quarter not over / no
+ * snapshot / no plan / already approved.
+ */
+async function approveStatement(repId, quarter, year, userId) {
+  if (!isClosed(quarter, year)) return { error: `Q${quarter} ${year} isn't over yet`, status: 409 };
+
+  const { rows: [rep] } = await db.query(`SELECT id, name FROM users WHERE id = $1 AND role = 'rep'`, [repId]);
+  if (!rep) return { error: 'Rep not found', status: 404 };
+
+  let [statement] = await quarterStatements([rep], quarter, year);
+  if (statement.status === 'draft' && statement.source !== 'snapshot') {
+    await snapshotQuarter(quarter, year);
+    [statement] = await quarterStatements([rep], quarter, year);
+  }
+  if (statement.status === 'approved') return { error: `Q${quarter} ${year} is already approved for ${rep.name}`, status: 409 };
+  if (statement.source !== 'snapshot') return { error: `Q${quarter} ${year} has no KPI snapshot for ${rep.name}`, status: 409 };
+  if (!statement.plan) return { error: `No incentive plan applies to ${rep.name}`, status: 409 };
+
+  const { id, name, on_target_amount, weights, threshold_pct, accelerator, cap_pct,
+          require_weekly_plans, min_coverage_pct } = statement.plan;
+  const plan = { id, name, on_target_amount, weights, threshold_pct, accelerator, cap_pct,
+                 require_weekly_plans, min_coverage_pct };
+
+  const { rowCount } = await db.query(`
+    INSERT INTO incentive_statements
+      (rep_id, quarter, year, plan_id, plan, kpis, lines, gates, payout, approved_by, approved_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+    ON CONFLICT (rep_id, quarter, year) DO NOTHING
+  `, [repId, quarter, year, id, JSON.stringify(plan), JSON.stringify(statement.kpis),
+      JSON.stringify(statement.lines), JSON.stringify(statement.gates), statement.payout.payout, userId]);
+  // Another manager got there first
+  if (!rowCount) return { error: `Q${quarter} ${year} is already approved for ${rep.name}`, status: 409 };
+
+  const [row] = await approvedRows([repId], quarter, year);
+  return { statement: approvedStatement(row) };
+}
+
+// ── Payroll export ────────────────────────────────────────────────────────────
+
+/**
+ * The quarter's approved statements for reps in `scope`, one row each with
+ * attainment per KPI, whether the gates were met and the amount to pay.
+ */
+async function payrollCsv(quarter, year, scope) {
+  const params = [quarter, year];
+  const scopeSql = repScopeSql(scope, 's.rep_id', params);
+  const { rows } = await db.query(
+    `${APPROVED_SELECT} WHERE s.quarter = $1 AND s.year = $2 AND ${scopeSql} ORDER BY u.name`, params
+  );
+
+  const header = [
+    'Rep', 'Email', 'Quarter', 'Plan', 'On-Target',
+    ...KPI_KEYS.map((k) => `${KPI_LABELS[k]} %`),
+    'Gates Met', 'Payout', 'Approved By', 'Approved At',
+  ];
+  const lines = [csvLine(header)];
+  for (const s of rows) {
+    const byKpi = Object.fromEntries(s.lines.map((l) => [l.kpi, l.attainment]));
+    lines.push(csvLine([
+      s.name, s.email, `Q${s.quarter} ${s.year}`, s.plan.name, s.plan.on_target_amount.toFixed(2),
+      ...KPI_KEYS.map((k) => byKpi[k] ?? ''),
+      s.gates.every((g) => g.met) ? 'Yes' : 'No',
+      Number(s.payout).toFixed(2), s.approved_by_name, s.approved_at.toISOString(),
+    ]));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  KPI_KEYS,
+  KPI_LABELS,
+  parsePlan,
+  planFromRow,
+  attainment,
+  calcPayout,
+  plansForReps,
+  quarterStatements,
+  approveStatement,
+  isApproved,
+  payrollCsv,
+};
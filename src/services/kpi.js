@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * KPI Incentive Tracker calculations.
+ *
+ * Used by src/routes/kpi.js for the rep / team views and CSV export.
+ *
+ * Exports:
+ *   DEFAULTS                                         – targets used when none are set
+ *   currentQuarter(today?) / quarterDateRange(q, year) – quarter helpers (today: Sydney date)
+ *   get18mWindow() / currentWeekStart()              – invoice window + weekly plan week
+ *   quarterInvoiceWindow(q, year)                    → the quarter plus the 18 months before it
+ *   weeklyPlanWeeks(repId, q, year, today?)          → { submitted, due } weeks of the quarter so far
+ *   repSpNames(repId)                                → Zoho salesperson names for a rep
+ *   calcKpi(repId, invoices, targets, quarter, year, ownership?) → all 5 KPIs for a rep
+ *
+ * Invoice-based KPIs credit each invoice to the rep who owned the store on the
+ * invoice date (territory.js); pass one loadOwnership() result when scoring a team.
+ *   getTargetsForRep(repId, quarter, year)           → incentive_targets row or DEFAULTS
+ */
+
+const db = require('../db');
+const { invAmount } = require('./sync');
+const { loadOwnership, invoicesForRep } = require('./territory');
+const { sydneyToday } = require('./alertLifecycle');
+
+// ── Quarter / window helpers ──────────────────────────────────────────────────
+
+/** The quarter `today` ('YYYY-MM-DD', default Sydney's date) falls in. */
+function currentQuarter(today = sydneyToday()) {
+  return {
+    quarter: Math.ceil(Number(today.slice(5, 7)) / 3),
+    year:    Number(today.slice(0, 4)),
+  };
+}
+
+function quarterDateRange(quarter, year) {
+  const startMonth = (quarter - 1) * 3 + 1;
+  const endMonth   = quarter * 3;
+  const pad        = n => String(n).padStart(2, '0');
+  const endDay     = new Date(year, endMonth, 0).getDate();
+  return {
+    from: `${year}-${pad(startMonth)}-01`,
+    to:   `${year}-${pad(endMonth)}-${pad(endDay)}`,
+  };
+}
+
+/** Returns the same 18m window the dashboards read from the invoice store. */
+function get18mWindow() {
+  const now  = new Date();
+  const toD  = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  const fromD = new Date(now.getFullYear(), now.getMonth() - 17, 1);
+  const pad  = n => String(n).padStart(2, '0');
+  return {
+    from: `${fromD.getFullYear()}-${pad(fromD.getMonth() + 1)}-01`,
+    to:   `${toD.getFullYear()}-${pad(toD.getMonth() + 1)}-${pad(toD.getDate())}`,
+  };
+}
+
+/** Invoices a quarter's KPIs read: the quarter and the 18 months before it. */
+function quarterInvoiceWindow(quarter, year) {
+  const { to } = quarterDateRange(quarter, year);
+  const from = new Date(year, (quarter - 1) * 3 - 18, 1);
+  return { from: `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}-01`, to };
+}
+
+/** ISO Monday of the current week. */
+function currentWeekStart() {
+  const now = new Date();
+  const day = now.getDay() || 7;           // 1=Mon … 7=Sun
+  const mon = new Date(now);
+  mon.setDate(now.getDate() - day + 1);
+  return mon.toISOString().slice(0, 10);   // YYYY-MM-DD
+}
+
+/** Mondays ('YYYY-MM-DD') in the quarter up to `today`. */
+function quarterWeeks(quarter, year, today) {
+  const { from, to } = quarterDateRange(quarter, year);
+  const last = to < today ? to : today;
+  const d = new Date(`${from}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + ((8 - (d.getUTCDay() || 7)) % 7));
+  const weeks = [];
+  for (; d.toISOString().slice(0, 10) <= last; d.setUTCDate(d.getUTCDate() + 7)) {
+    weeks.push(d.toISOString().slice(0, 10));
+  }
+  return weeks;
+}
+
+/** Weeks starting in the quarter (up to today) and how many have a weekly plan. */
+async function weeklyPlanWeeks(repId, quarter, year, today = sydneyToday()) {
+  const weeks = quarterWeeks(quarter, year, today);
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::INTEGER AS n FROM weekly_plans WHERE rep_id = $1 AND week_start = ANY($2::DATE[])`,
+    [repId, weeks]
+  );
+  return { submitted: rows[0].n, due: weeks.length };
+}
+
+// ── Resolve rep salesperson names (supports multi-name via zoho_salesperson_ids) ─
+
+async function repSpNames(repId) {
+  const { rows } = await db.query(
+    `SELECT zoho_salesperson_id, zoho_salesperson_ids FROM users WHERE id = $1`,
+    [repId]
+  );
+  if (!rows[0]) return [];
+  const u = rows[0];
+  if (Array.isArray(u.zoho_salesperson_ids) && u.zoho_salesperson_ids.length) {
+    return u.zoho_salesperson_ids;
+  }
+  return [u.zoho_salesperson_id].filter(Boolean);
+}
+
+// ── Core KPI calculation ──────────────────────────────────────────────────────
+
+/**
+ * Calculate all 5 KPIs for a single rep.
+ *
+ * @param {number}   repId
+ * @param {object[]} invoices   – 18m invoice array (from cache)
+ * @param {object}   targets    – { new_customers, reactivations, coverage_pct, growth_pct }
+ * @param {number}   quarter
+ * @param {number}   year
+ * @param {object}   [ownership] – territory.loadOwnership() result, loaded if not given
+ */
+async function calcKpi(repId, invoices, targets, quarter, year, ownership = null) {
+  const spNames = await repSpNames(repId);
+  if (!ownership) ownership = await loadOwnership();
+  const { from: qFrom, to: qTo } = quarterDateRange(quarter, year);
+  const { from: lyFrom, to: lyTo } = quarterDateRange(quarter, year - 1);
+
+  // ── 1. New customers ──────────────────────────────────────────────────────
+  // Contacts with a rep invoice in current quarter but NO prior invoice in the
+  // 18m window (best-effort new customer check using cached data). A store's
+  // invoices count for whoever owned it at the time.
+  const repInvoices = invoicesForRep(invoices, ownership, repId, spNames);
+  const qContacts   = new Set(
+    repInvoices.filter(i => i.date >= qFrom && i.date <= qTo)
+               .map(i => String(i.customer_id))
+  );
+  const priorContacts = new Set(
+    repInvoices.filter(i => i.date < qFrom)
+               .map(i => String(i.customer_id))
+  );
+  const newCustomers = [...qContacts].filter(c => !priorContacts.has(c)).length;
+
+  // ── 2. Reactivations ──────────────────────────────────────────────────────
+  // Customer ordered in current quarter AND no order in the 6 months before
+  // the quarter start (dormant for at least 6 months → reactivation signal).
+  const sixMoBeforeQ = new Date(qFrom);
+  sixMoBeforeQ.setMonth(sixMoBeforeQ.getMonth() - 6);
+  const dormancyFrom = sixMoBeforeQ.toISOString().slice(0, 10);
+
+  const dormantContacts = new Set(
+    repInvoices
+      .filter(i => i.date >= dormancyFrom && i.date < qFrom)
+      .map(i => String(i.customer_id))
+  );
+  // Contacts active in quarter that were dormant in the 6m window before
+  const reactivations = [...qContacts].filter(c => !dormantContacts.has(c) && priorContacts.has(c)).length;
+
+  // ── 3. Territory coverage (grade-dependent visit windows) ─────────────────
+  const { rows: covRows } = await db.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE
+        (s.grade = 'A' AND last_v.last_visit >= NOW() - INTERVAL '42 days') OR
+        (s.grade IN ('B','C') AND last_v.last_visit >= NOW() - INTERVAL '84 days')
+      )::INTEGER AS covered,
+      COUNT(*)::INTEGER AS total
+    FROM stores s
+    LEFT JOIN (
+      SELECT store_id, MAX(visited_at) AS last_visit
+      FROM visits
+      GROUP BY store_id
+    ) last_v ON last_v.store_id = s.id
+    WHERE s.rep_id = $1
+      AND s.active = TRUE
+      AND s.is_prospect = FALSE
+      AND s.grade IN ('A','B','C')
+  `, [repId]);
+
+  const covData   = covRows[0] || { covered: 0, total: 0 };
+  const covPct    = covData.total > 0 ? Math.round((covData.covered / covData.total) * 100) : 0;
+
+  // ── 4. Weekly plan ────────────────────────────────────────────────────────
+  const weekStart = currentWeekStart();
+  const { rows: planRows } = await db.query(
+    `SELECT submitted_at FROM weekly_plans WHERE rep_id = $1 AND week_start = $2`,
+    [repId, weekStart]
+  );
+  const weeklyPlanSubmitted = planRows.length > 0;
+
+  // ── 5. Territory growth (quarter vs same quarter LY, by store contacts) ───
+  // Each quarter counts the active stores the rep owned on the invoice date.
+  let qRevenue = 0, lyRevenue = 0;
+  for (const inv of invoices) {
+    const store = ownership.store(inv.customer_id);
+    if (!store?.active || store.is_prospect || ownership.ownerOn(inv.customer_id, inv.date) !== repId) continue;
+    const total = invAmount(inv);
+    if (inv.date >= qFrom && inv.date <= qTo)   qRevenue  += total;
+    if (inv.date >= lyFrom && inv.date <= lyTo) lyRevenue += total;
+  }
+  const growthPct = lyRevenue > 0
+    ? Math.round(((qRevenue - lyRevenue) / lyRevenue) * 100)
+    : null;
+
+  return {
+    new_customers: {
+      actual: newCustomers,
+      target: targets.new_customers,
+      pct:    targets.new_customers > 0 ? Math.round((newCustomers / targets.new_customers) * 100) : null,
+    },
+    reactivations: {
+      actual: reactivations,
+      target: targets.reactivations,
+      pct:    targets.reactivations > 0 ? Math.round((reactivations / targets.reactivations) * 100) : null,
+    },
+    coverage: {
+      covered:        covData.covered,
+      total:          covData.total,
+      pct:            covPct,
+      target_pct:     targets.coverage_pct,
+      on_track:       covPct >= targets.coverage_pct,
+    },
+    weekly_plan: {
+      submitted:  weeklyPlanSubmitted,
+      week_start: weekStart,
+    },
+    growth: {
+      current_quarter: Math.round(qRevenue),
+      ly_quarter:      Math.round(lyRevenue),
+      pct:             growthPct,
+      target_pct:      targets.growth_pct,
+    },
+  };
+}
+
+/** Default targets (used when no row exists in incentive_targets). */
+const DEFAULTS = { new_customers: 5, reactivations: 5, coverage_pct: 90, growth_pct: 5 };
+
+async function getTargetsForRep(repId, quarter, year) {
+  const { rows } = await db.query(
+    `SELECT new_customers, reactivations, coverage_pct, growth_pct
+     FROM incentive_targets WHERE rep_id = $1 AND quarter = $2 AND year = $3`,
+    [repId, quarter, year]
+  );
+  return rows[0] || { ...DEFAULTS };
+}
+
+module.exports = {
+  DEFAULTS,
+  currentQuarter,
+  quarterDateRange,
+  get18mWindow,
+  quarterInvoiceWindow,
+  currentWeekStart,
+  weeklyPlanWeeks,
+  repSpNames,
+  calcKpi,
+  getTargetsForRep,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * KPI snapshots for closed quarters (migration 029).
+ *
+ * Live KPIs (kpi.js) read the 18-month invoice window and today's visits, so a
+ * past quarter's results drift as invoices are edited in Zoho and vanish once
+ * the quarter leaves the window. The quarter-close job (server.js cron, or an
+ * executive via POST /api/kpi/snapshots) saves each rep's results, the counts
+ * behind them and the targets they were measured against. A snapshot is never
+ * rewritten: re-running only fills in reps that don't have one yet.
+ *
+ * Closed quarters are served from snapshots. A rep with no snapshot yet (the
+ * job hasn't run) is worked out live and marked `source: 'live'`.
+ *
+ * Exports:
+ *   isClosed(quarter, year, today?)             → boolean
+ *   previousQuarter({ quarter, year }?)         → the quarter before (default: before this one)
+ *   snapshotQuarter(quarter, year)              → { saved, existing }
+ *   closeLastQuarter(today?)                    → snapshotQuarter() for the quarter just ended
+ *   quarterKpis(reps, quarter, year, opts?)     → [{ rep_id, name, targets, actuals, weekly_plans, source, captured_at }]
+ *   repHistory(rep, count)                      → the rep's last `count` closed quarters plus this one, oldest first
+ */
+
+const db = require('../db');
+const { fetchInvoices } = require('./sync');
+const {
+  currentQuarter, quarterDateRange, quarterInvoiceWindow, weeklyPlanWeeks, calcKpi, getTargetsForRep,
+} = require('./kpi');
+const { loadOwnership } = require('./territory');
+const { sydneyToday } = require('./alertLifecycle');
+
+// "Today" is Sydney's date throughout: the quarter-close job runs at 04:00 on
+// the 1st in Sydney, while the server's own clock (UTC) is still in the
+// quarter being closed.
+
+function isClosed(quarter, year, today = sydneyToday()) {
+  return quarterDateRange(quarter, year).to < today;
+}
+
+function previousQuarter({ quarter, year } = currentQuarter()) {
+  return quarter === 1 ? { quarter: 4, year: year - 1 } : { quarter: quarter - 1, year };
+}
+
+const pctOf = (actual, target) => (target > 0 ? Math.round((actual / target) * 100) : null);
+
+/** A snapshot row in the shape live KPIs have. */
+function fromSnapshot(row) {
+  const targets = {
+    new_customers: row.target_new_customers,
+    reactivations: row.target_reactivations,
+    coverage_pct:  row.target_coverage_pct,
+    growth_pct:    row.target_growth_pct,
+  };
+  return {
+    targets,
+    actuals: {
+      new_customers: {
+        actual: row.new_customers,
+        target: targets.new_customers,
+        pct:    pctOf(row.new_customers, targets.new_customers),
+      },
+      reactivations: {
+        actual: row.reactivations,
+        target: targets.reactivations,
+        pct:    pctOf(row.reactivations, targets.reactivations),
+      },
+      coverage: {
+        covered:    row.stores_covered,
+        total:      row.stores_total,
+        pct:        row.coverage_pct,
+        target_pct: targets.coverage_pct,
+        on_track:   row.coverage_pct >= targets.coverage_pct,
+      },
+      // A closed quarter has no "this week"; submitted means every week had a plan
+      weekly_plan: {
+        submitted:  row.weeks_planned >= row.weeks_due,
+        week_start: null,
+      },
+      growth: {
+        current_quarter: Math.round(Number(row.revenue)),
+        ly_quarter:      Math.round(Number(row.ly_revenue)),
+        pct:             row.growth_pct,
+        target_pct:      targets.growth_pct,
+      },
+    },
+    weekly_plans: { submitted: row.weeks_planned, due: row.weeks_due },
+    source:       'snapshot',
+    captured_at:  row.captured_at,
+  };
+}
+
+/** KPIs worked out now, from the invoice store (or `fetch`, e.g. one with a timeout). */
+async function liveKpis(reps, quarter, year, fetch = fetchInvoices) {
+  if (!reps.length) return [];
+  const { from, to } = quarterInvoiceWindow(quarter, year);
+  const [invoices, ownership] = await Promise.all([fetch(from, to), loadOwnership()]);
+
+  return Promise.all(reps.map(async (rep) => {
+    const targets = await getTargetsForRep(rep.id, quarter, year);
+    const [actuals, weeklyPlans] = await Promise.all([
+      calcKpi(rep.id, invoices, targets, quarter, year, ownership),
+      weeklyPlanWeeks(rep.id, quarter, year),
+    ]);
+    return {
+      rep_id:       rep.id,
+      name:         rep.name,
+      targets,
+      actuals,
+      weekly_plans: weeklyPlans,
+      source:       'live',
+      captured_at:  null,
+    };
+  }));
+}
+
+async function loadSnapshots(repIds, quarter, year) {
+  const { rows } = await db.query(
+    `SELECT * FROM kpi_snapshots WHERE rep_id = ANY($1::INTEGER[]) AND quarter = $2 AND year = $3`,
+    [repIds, quarter, year]
+  );
+  return new Map(rows.map((r) => [r.rep_id, r]));
+}
+
+/**
+ * KPIs for each of `reps` ([{ id, name }]) in a quarter: from snapshots when
+ * it's closed, live otherwise.
+ *
+ * @param {object}   [opts]
+ * @param {function} [opts.fetchInvoices] – (from, to) → invoices, for the live ones
+ */
+async function quarterKpis(reps, quarter, year, { fetchInvoices: fetch } = {}) {
+  const snapshots = isClosed(quarter, year)
+    ? await loadSnapshots(reps.map((r) => r.id), quarter, year)
+    : new Map();
+  const live = new Map(
+    (await liveKpis(reps.filter((r) => !snapshots.has(r.id)), quarter, year, fetch)).map((k) => [k.rep_id, k])
+  );
+  return reps.map((rep) => (snapshots.has(rep.id)
+    ? { rep_id: rep.id, name: rep.name, ...fromSnapshot(snapshots.get(rep.id)) }
+    : live.get(rep.id)));
+}
+
+// ── Quarter close ─────────────────────────────────────────────────────────────
+
+/**
+ * Snapshot every rep who is active or had targets for the quarter, skipping
+ * those already done. Invoice fetch errors are thrown rather than snapshotting
+ * empty results.
+ */
+async function snapshotQuarter(quarter, year) {
+  const { rows: reps } = await db.query(`
+    SELECT u.id, u.name,
+           EXISTS (SELECT 1 FROM kpi_snapshots k WHERE k.rep_id = u.id AND k.quarter = $1 AND k.year = $2) AS done
+    FROM users u
+    WHERE u.role = 'rep'
+      AND (u.active = TRUE OR EXISTS (
+        SELECT 1 FROM incentive_targets t WHERE t.rep_id = u.id AND t.quarter = $1 AND t.year = $2
+      ))
+    ORDER BY u.name
+  `, [quarter, year]);
+
+  const todo = reps.filter((r) => !r.done);
+  let saved = 0;
+  for (const k of await liveKpis(todo, quarter, year)) {
+    const { targets: t, actuals: a, weekly_plans: w } = k;
+    const { rowCount } = await db.query(`
+      INSERT INTO kpi_snapshots
+        (rep_id, quarter, year,
+         target_new_customers, target_reactivations, target_coverage_pct, target_growth_pct,
+         new_customers, reactivations, stores_covered, stores_total, coverage_pct,
+         revenue, ly_revenue, growth_pct, weeks_planned, weeks_due)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      ON CONFLICT (rep_id, quarter, year) DO NOTHING
+    `, [k.rep_id, quarter, year,
+        t.new_customers, t.reactivations, t.coverage_pct, t.growth_pct,
+        a.new_customers.actual, a.reactivations.actual, a.coverage.covered, a.coverage.total, a.coverage.pct,
+        a.growth.current_quarter, a.growth.ly_quarter, a.growth.pct, w.submitted, w.due]);
+    saved += rowCount;
+  }
+
+  return { saved, existing: reps.length - todo.length };
+}
+
+async function closeLastQuarter(today = sydneyToday()) {
+  const { quarter, year } = previousQuarter(currentQuarter(today));
+  const result = await snapshotQuarter(quarter, year);
+  console.log(`[kpi] Q${quarter} ${year} closed — ${result.saved} snapshot(s) saved, ${result.existing} already taken`);
+  return result;
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+
+/** The rep's snapshots for their last `count` closed quarters, then this quarter live. */
+async function repHistory(rep, count, opts = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM kpi_snapshots WHERE rep_id = $1 ORDER BY year DESC, quarter DESC LIMIT $2`,
+    [rep.id, count]
+  );
+  const { quarter, year } = currentQuarter();
+  const [current] = await quarterKpis([rep], quarter, year, opts);
+
+  return [
+    ...rows.reverse().map((r) => ({ quarter: r.quarter, year: r.year, ...fromSnapshot(r) })),
+    { quarter, year, ...current },
+  ].map(({ rep_id, name, ...q }) => ({ ...q, quarter_label: `Q${q.quarter} ${q.year}` }));
+}
+
+module.exports = {
+  isClosed,
+  previousQuarter,
+  snapshotQuarter,
+  closeLastQuarter,
+  quarterKpis,
+  repHistory,
+};
@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * Outbound email with a pluggable transport.
+ *
+ * Env vars:
+ *   MAIL_TRANSPORT  – 'smtp' or 'log' (default: smtp if SMTP_HOST is set, else log)
+ *   MAIL_FROM       – From address, default "Artico Sales <no-reply@artico.com.au>"
+ *   SMTP_HOST       – SMTP server host
+ *   SMTP_PORT       – default 465 when SMTP_SECURE, else 587
+ *   SMTP_SECURE     – 'true' for implicit TLS (port 465); otherwise STARTTLS is
+ *                     used when the server offers it
+ *   SMTP_USER / SMTP_PASS – optional AUTH PLAIN credentials
+ *
+ * The 'log' transport prints messages to the console instead of sending them.
+ * In production it refuses messages marked secret (reset links).
+ * For local development run the SMTP catcher (npm run mock:smtp, see
+ * src/mock/smtpCatcher.js) and set SMTP_HOST=localhost SMTP_PORT=2525.
+ *
+ * A transport is any object with { name, send(message) → Promise<{ id }> }
+ * where message is { from, to: string[], subject, text, html? }.
+ *
+ * Exports:
+ *   sendMail({ to, subject, text, html?, secret? }) → { id, transport }
+ *   getTransport() / setTransport(t)        – current transport (setTransport(null) resets to env)
+ *   createSmtpTransport(options)            – SMTP client (net / tls, no dependencies)
+ *   createLogTransport()                    – console transport
+ *   buildMessage(message)                   → RFC 5322 text (multipart/alternative if html)
+ */
+
+const crypto = require('crypto');
+const net    = require('net');
+const os     = require('os');
+const tls    = require('tls');
+
+const DEFAULT_FROM     = 'Artico Sales <no-reply@artico.com.au>';
+const SMTP_TIMEOUT_MS  = 30_000;
+
+// ── Message formatting ────────────────────────────────────────────────────────
+
+/** Bare address from "Name <addr>" or "addr". */
+function addressOf(value) {
+  const m = String(value).match(/<([^>]+)>/);
+  return (m ? m[1] : String(value)).trim();
+}
+
+/** RFC 2047 encode a header value when it contains non-ASCII characters. */
+function encodeHeader(value) {
+  const s = String(value);
+  if (/^[\x00-\x7F]*$/.test(s)) return s;
+  return `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+}
+
+/** Base64 body wrapped at 76 characters. */
+function base64Body(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+function buildMessage({ from, to, subject, text, html, messageId, date = new Date() }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+  ];
+
+  if (!html) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Body(text || ''),
+    ].join('\r\n');
+  }
+
+  const boundary = `=_artico_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(text || ''),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`,
+  ].join('\r\n');
+}
+
+// ── SMTP transport ────────────────────────────────────────────────────────────
+
+/**
+ * Reads SMTP replies (multi-line "250-…" continuations end with "250 …")
+ * from a socket. The socket can be swapped after STARTTLS.
+ */
+function createReplyReader() {
+  let buffer = '';
+  let lines  = [];
+  let waiter = null;
+  let failure = null;
+
+  function settle() {
+    if (!waiter) return;
+    if (failure) { const w = waiter; waiter = null; w.reject(failure); return; }
+    const end = lines.findIndex((l) => /^\d{3}(?: |$)/.test(l));
+    if (end < 0) return;
+    const reply = lines.splice(0, end + 1);
+    const w = waiter;
+    waiter = null;
+    w.resolve({ code: parseInt(reply[end].slice(0, 3), 10), lines: reply.map((l) => l.slice(4)) });
+  }
+
+  return {
+    attach(socket) {
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let i;
+        while ((i = buffer.indexOf('\n')) >= 0) {
+          lines.push(buffer.slice(0, i).replace(/\r$/, ''));
+          buffer = buffer.slice(i + 1);
+        }
+        settle();
+      });
+    },
+    fail(err) {
+      if (!failure) failure = err;
+      settle();
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiter = { resolve, reject };
+        settle();
+      });
+    },
+  };
+}
+
+/**
+ * @param {object} options – { host, port, secure, user, pass, name, timeoutMs, tlsOptions }
+ */
+function createSmtpTransport(options = {}) {
+  const host      = options.host || 'localhost';
+  const secure    = !!options.secure;
+  const port      = Number(options.port) || (secure ? 465 : 587);
+  const name      = options.name || os.hostname();
+  const timeoutMs = options.timeoutMs || SMTP_TIMEOUT_MS;
+
+  async function send(message) {
+    const reader = createReplyReader();
+    let socket = secure
+      ? tls.connect({ host, port, servername: host, ...options.tlsOptions })
+      : net.connect({ host, port });
+
+    const watch = (s) => {
+      s.setTimeout(timeoutMs, () => s.destroy(new Error(`SMTP timeout after ${timeoutMs / 1000}s`)));
+      s.on('error', (err) => reader.fail(err));
+      s.on('close', () => reader.fail(new Error('SMTP connection closed')));
+      reader.attach(s);
+    };
+    watch(socket);
+
+    async function command(line, expected) {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+        throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    }
+
+    try {
+      await command(null, [220]);
+      let ehlo = await command(`EHLO ${name}`, [250]);
+
+      const offers = (keyword) => ehlo.lines.some((l) => l.toUpperCase().startsWith(keyword));
+      if (!secure && offers('STARTTLS')) {
+        await command('STARTTLS', [220]);
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('close');
+        socket.removeAllListeners('error');
+        socket.setTimeout(0);
+        socket = tls.connect({ socket, servername: host, ...options.tlsOptions });
+        watch(socket);
+        ehlo = await command(`EHLO ${name}`, [250]);
+      }
+
+      if (options.user) {
+        const token = Buffer.from(`\0${options.user}\0${options.pass || ''}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${token}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+      for (const rcpt of message.to) {
+        await command(`RCPT TO:<${addressOf(rcpt)}>`, [250, 251]);
+      }
+      await command('DATA', [354]);
+
+      const messageId = `<${crypto.randomUUID()}@${addressOf(message.from).split('@')[1] || 'localhost'}>`;
+      const body = buildMessage({ ...message, messageId })
+        .replace(/\r?\n/g, '\r\n')
+        .replace(/^\./gm, '..'); // dot-stuffing
+      await command(`${body}\r\n.`, [250]);
+
+      await command('QUIT', [221]).catch(() => {});
+      return { id: messageId };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: 'smtp', send };
+}
+
+// ── Log transport ─────────────────────────────────────────────────────────────
+
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send(message) {
+      const id = `<${crypto.randomUUID()}@log>`;
+      console.log(`[mailer] (log transport) To: ${message.to.join(', ')} — ${message.subject}\n${message.text || ''}`);
+      return { id };
+    },
+  };
+}
+
+// ── Transport selection ───────────────────────────────────────────────────────
+
+let _transport = null;
+
+function transportFromEnv() {
+  const kind = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log')).toLowerCase();
+  if (kind === 'smtp') {
+    return createSmtpTransport({
+      host:   process.env.SMTP_HOST,
+      port:   process.env.SMTP_PORT,
+      secure: process.env.SMTP_SECURE === 'true',
+      user:   process.env.SMTP_USER,
+      pass:   process.env.SMTP_PASS,
+    });
+  }
+  if (kind !== 'log') console.error(`[mailer] Unknown MAIL_TRANSPORT "${kind}", using log`);
+  return createLogTransport();
+}
+
+function getTransport() {
+  if (!_transport) _transport = transportFromEnv();
+  return _transport;
+}
+
+/** Swap the transport (tests, alternative providers). null re-reads the env. */
+function setTransport(transport) {
+  _transport = transport;
+}
+
+/**
+ * Send one email.
+ * @param {object} message – { to: string|string[], subject, text, html? , from?, secret? }
+ *   secret: the message carries a credential (a password reset link). In
+ *   production it is refused rather than printed by the log transport, where
+ *   anyone who can read the hosting logs would see it.
+ */
+async function sendMail({ to, subject, text, html, from, secret = false }) {
+  const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+  if (recipients.length === 0) throw new Error('sendMail: no recipients');
+
+  const transport = getTransport();
+  if (secret && transport.name === 'log' && process.env.NODE_ENV === 'production') {
+    throw new Error(`sendMail: refusing to log "${subject}" in production — set SMTP_HOST to send it`);
+  }
+  const result = await transport.send({
+    from: from || process.env.MAIL_FROM || DEFAULT_FROM,
+    to:   recipients,
+    subject,
+    text,
+    html,
+  });
+  return { id: result?.id || null, transport: transport.name };
+}
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createLogTransport,
+  buildMessage,
+};
@@ -3,8 +3,8 @@
 /**
  * Metric calculation service.
  *
- * All calculations are done on-the-fly from Zoho Books data — invoices
- * and sales orders are NOT stored locally.
+ * All calculations are done on-the-fly. Invoices come from the local invoice
+ * store (see sync.js); sales orders are still fetched live from Zoho.
  *
  * Functions:
  *   getRepRevenue(repId, month)              → { actual, target, percentage, ytd_actual, ytd_target }
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Password strength policy for new passwords (set, change and reset).
+ *
+ *   • 10–72 characters (bcrypt only uses the first 72 bytes)
+ *   • at least three of lower case, upper case, digits and symbols —
+ *     or 16+ characters, so long passphrases don't need symbols
+ *   • not a well-known password, and not the user's name or email
+ *
+ * Exports:
+ *   checkPassword(password, { email?, name? }) → error message, or null if acceptable
+ *   PASSWORD_RULES                             → one-line summary for forms and errors
+ */
+
+const MIN_LENGTH        = 10;
+const MAX_BYTES         = 72;
+const PASSPHRASE_LENGTH = 16;
+
+const PASSWORD_RULES =
+  'At least 10 characters, mixing upper and lower case, numbers and symbols (or 16+ characters), ' +
+  'and not your name or email';
+
+// Lower-cased; compared after stripping trailing digits / symbols ("Password123!" → "password")
+const COMMON = new Set([
+  'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'qwerty', 'qwertyuiop', 'letmein', 'welcome',
+  'iloveyou', 'admin', 'administrator', 'changeme', 'monkey', 'dragon', 'sunshine', 'football',
+  'baseball', 'superman', 'trustno1', 'abc123', 'abcdef', 'abcdefgh', '1q2w3e4r', 'qazwsx',
+  'artico', 'articosales', 'sales', 'summer', 'winter', 'spring', 'autumn',
+]);
+
+function characterClasses(password) {
+  return [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((re) => re.test(password)).length;
+}
+
+function checkPassword(password, { email = '', name = '' } = {}) {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+    return `Password must be at most ${MAX_BYTES} characters`;
+  }
+  if (password.length < PASSPHRASE_LENGTH && characterClasses(password) < 3) {
+    return `Use at least three of: upper case, lower case, numbers, symbols — or make it ${PASSPHRASE_LENGTH}+ characters`;
+  }
+
+  const lower = password.toLowerCase();
+  const core  = lower.replace(/[^a-z]+$/, '').replace(/^[^a-z]+/, '');
+  if (COMMON.has(core) || /^(.)\1+$/.test(lower) || /^(0123456789|1234567890|123456789)/.test(lower)) {
+    return 'That password is too common — choose something harder to guess';
+  }
+
+  const personal = [
+    String(email).split('@')[0],
+    ...String(name).split(/\s+/),
+  ].map((s) => s.toLowerCase()).filter((s) => s.length >= 3);
+  if (personal.some((s) => lower.includes(s))) {
+    return 'Password must not contain your name or email';
+  }
+  return null;
+}
+
+module.exports = { checkPassword, PASSWORD_RULES };
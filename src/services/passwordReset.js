@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Self-service password reset by emailed link (migration 026).
+ *
+ * A request emails a random token as a link (APP_URL/?reset=<token>) through
+ * the mailer's transport. Only its SHA-256 is stored. A link works once, for
+ * RESET_TTL_MINUTES, and asking for a new one spends the old ones. Requests
+ * for unknown or inactive emails do nothing, so callers must answer the same
+ * way either way, and without waiting for it.
+ *
+ * Env vars:
+ *   APP_URL – base URL for the link (default https://sales.artico.au)
+ *
+ * Exports:
+ *   requestPasswordReset(email, { ip? }) → { sent: boolean }
+ *   resetPassword(token, password)       → { user, sessions_revoked } | { error, status }
+ *   hashToken(token)                     → hex SHA-256
+ *   RESET_TTL_MINUTES
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const { sendMail } = require('./mailer');
+const { checkPassword } = require('./passwordPolicy');
+
+const APP_URL            = process.env.APP_URL || 'https://sales.artico.au';
+const RESET_TTL_MINUTES  = 60;
+const RESEND_GAP_SECONDS = 60;   // one email per account per minute, whatever the caller's IP
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function resetEmail(user, link) {
+  return {
+    subject: 'Reset your Artico Sales password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone (hopefully you) asked to reset the password for your Artico Sales account.',
+      `Open this link within ${RESET_TTL_MINUTES} minutes to choose a new password:`,
+      '',
+      link,
+      '',
+      'The link works once. If you didn\'t ask for this, you can ignore this email — your password hasn\'t changed.',
+    ].join('\n'),
+  };
+}
+
+async function requestPasswordReset(email, { ip = null } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const client = await db.pool.connect();
+  let user;
+  try {
+    await client.query('BEGIN');
+    // Locking the user row lets requests that arrive together see each other's token
+    ({ rows: [user] } = await client.query(
+      'SELECT id, name, email FROM users WHERE email = $1 AND active = TRUE FOR UPDATE',
+      [String(email || '').toLowerCase().trim()]
+    ));
+    if (!user) {
+      await client.query('ROLLBACK');
+      return { sent: false };
+    }
+
+    const { rows: [recent] } = await client.query(`
+      SELECT 1 FROM password_reset_tokens
+      WHERE user_id = $1 AND created_at > NOW() - make_interval(secs => $2)
+    `, [user.id, RESEND_GAP_SECONDS]);
+    if (recent) {
+      await client.query('ROLLBACK');
+      return { sent: false };
+    }
+
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await client.query(`
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+      VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)
+    `, [user.id, hashToken(token), RESET_TTL_MINUTES, ip]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await sendMail({ to: user.email, ...resetEmail(user, `${APP_URL}/?reset=${encodeURIComponent(token)}`), secret: true });
+  console.log(`[auth] Password reset link sent to user ${user.id}`);
+  return { sent: true };
+}
+
+/**
+ * Set a new password from a reset link. Clears any sign-in lockout, spends
+ * every outstanding link for the user and ends all of their sessions.
+ */
+async function resetPassword(token, password) {
+  if (!token) return { error: 'This reset link is invalid', status: 400 };
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [row] } = await client.query(`
+      SELECT t.id, t.user_id, u.email, u.name, u.role
+      FROM password_reset_tokens t
+      JOIN users u ON u.id = t.user_id AND u.active = TRUE
+      WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW()
+      FOR UPDATE OF t
+    `, [hashToken(token)]);
+    if (!row) {
+      await client.query('ROLLBACK');
+      return { error: 'This reset link has expired or already been used — ask for a new one', status: 400 };
+    }
+
+    const weak = checkPassword(password, row);
+    if (weak) {
+      await client.query('ROLLBACK');
+      return { error: weak, status: 400 };
+    }
+
+    const hash = await bcrypt.hash(password, 12);
+    await client.query(`
+      UPDATE users
+      SET password_hash = $2, must_change_password = FALSE, failed_logins = 0, locked_until = NULL
+      WHERE id = $1
+    `, [row.user_id, hash]);
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [row.user_id]
+    );
+    // Whoever else is signed in as the user is signed out
+    const { rowCount: sessions } = await client.query(
+      `DELETE FROM "session" WHERE sess->>'userId' = $1::TEXT`,
+      [row.user_id]
+    );
+    await client.query('COMMIT');
+    return { user: { id: row.user_id, email: row.email, name: row.name, role: row.role }, sessions_revoked: sessions };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { requestPasswordReset, resetPassword, hashToken, RESET_TTL_MINUTES };
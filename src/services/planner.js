@@ -0,0 +1,357 @@
+'use strict';
+
+/**
+ * Call Planner scheduling logic — pure functions, no DB access.
+ *
+ * Used by src/routes/planner.js to build weekly and quarter-wide plans.
+ *
+ * Exports:
+ *   visitsNeeded(grade)                         → visits expected per quarter
+ *   isoMonday(dateStr)                          → 'YYYY-MM-DD' Monday of that week
+ *   quarterWeeks(quarter, year)                 → ISO Mondays falling in the quarter
+ *   clusterIntoDays(stores)                     → 5 day buckets grouped by state + postcode
+ *   haversineKm(a, b)                           → straight-line km between { latitude, longitude }
+ *   clusterByLocation(stores, home)             → 5 day buckets, swept around the home base
+ *   routeDay(stops, home)                       → one day's stops in driving order
+ *   routeDistanceKm(stops, home)                → estimated road km for a day, or null
+ *   planDays(stores, home)                      → 5 routed day buckets (used by generate)
+ *   visitSlot(visitedAt)                        → { week, dayOfWeek } for a logged visit
+ *   scheduleQuarter(weeks, stores, visits, set) → Map week → stores to suggest
+ */
+
+// ── Visit cadence ─────────────────────────────────────────────────────────────
+
+const MAX_PER_DAY = 8;
+const INTERVAL_A  = 42 * 86400000; // 6 weeks ms
+const INTERVAL_BC = 84 * 86400000; // 12 weeks ms
+
+/** Visits expected per quarter: A stores every 6 weeks, B/C every 12. */
+function visitsNeeded(grade) {
+  return grade === 'A' ? 2 : 1;
+}
+
+// ── Week helpers ──────────────────────────────────────────────────────────────
+
+/** Returns the ISO Monday of the week containing the given date string YYYY-MM-DD */
+function isoMonday(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  const day = d.getUTCDay(); // 0=Sun, 1=Mon, ..., 6=Sat
+  const diff = day === 0 ? -6 : 1 - day;
+  d.setUTCDate(d.getUTCDate() + diff);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Returns array of ISO Monday strings for every week whose Monday falls in the given quarter */
+function quarterWeeks(quarter, year) {
+  const monthStart = (quarter - 1) * 3;
+  const qEnd = new Date(Date.UTC(year, monthStart + 3, 0));
+  let d = new Date(Date.UTC(year, monthStart, 1));
+  const dow = d.getUTCDay();
+  if (dow !== 1) d.setUTCDate(d.getUTCDate() + (dow === 0 ? 1 : 8 - dow));
+  const weeks = [];
+  while (d <= qEnd) {
+    weeks.push(d.toISOString().slice(0, 10));
+    d = new Date(d); d.setUTCDate(d.getUTCDate() + 7);
+  }
+  return weeks;
+}
+
+// ── Cluster stores geographically and assign to 5 days ────────────────────────
+
+function clusterIntoDays(stores) {
+  const clusterMap  = new Map();
+  for (const s of stores) {
+    const key = `${s.state || 'ZZZ'}::${(s.postcode || '').slice(0, 3)}`;
+    if (!clusterMap.has(key)) clusterMap.set(key, []);
+    clusterMap.get(key).push(s);
+  }
+  const sortedClusters = [...clusterMap.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, cs]) => {
+      cs.sort((a, b) => {
+        const pa = (a.postcode || ''), pb = (b.postcode || '');
+        if (pa !== pb) return pa.localeCompare(pb);
+        const ga = a.grade === 'A' ? 0 : a.grade === 'B' ? 1 : 2;
+        const gb = b.grade === 'A' ? 0 : b.grade === 'B' ? 1 : 2;
+        return ga - gb;
+      });
+      return cs;
+    });
+
+  const dayBuckets = [[], [], [], [], []];
+  let dayIdx = 0;
+  outer: for (const cluster of sortedClusters) {
+    for (const s of cluster) {
+      if (dayBuckets[dayIdx].length >= MAX_PER_DAY) {
+        if (++dayIdx >= 5) break outer;
+      }
+      dayBuckets[dayIdx].push(s);
+    }
+  }
+  // Within each day sort by full postcode ascending
+  for (const bucket of dayBuckets) {
+    bucket.sort((a, b) => (a.postcode || '').localeCompare(b.postcode || ''));
+  }
+  return dayBuckets;
+}
+
+// ── Route planning (store geocodes) ───────────────────────────────────────────
+// Stores carry latitude / longitude from src/services/geocode.js and the rep's
+// home base comes from users.home_latitude / home_longitude. Either may be
+// missing: stores without coordinates go after the routed stops, and without
+// a home base the centroid of the week's stores stands in for it.
+
+const EARTH_RADIUS_KM = 6371;
+const ROAD_FACTOR     = 1.3; // straight line → typical suburban road distance
+
+function hasLocation(p) {
+  return p != null && Number.isFinite(p.latitude) && Number.isFinite(p.longitude);
+}
+
+function haversineKm(a, b) {
+  const rad  = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function centroid(points) {
+  return {
+    latitude:  points.reduce((sum, p) => sum + p.latitude, 0) / points.length,
+    longitude: points.reduce((sum, p) => sum + p.longitude, 0) / points.length,
+  };
+}
+
+const gradeRank = (s) => (s.grade === 'A' ? 0 : s.grade === 'B' ? 1 : 2);
+
+/**
+ * Sweep clustering: sort stores by bearing from the home base, start the
+ * sweep at the widest empty wedge, and cut the sweep into evenly sized days
+ * of at most MAX_PER_DAY. Capped at 5 days; A stores win when over capacity.
+ * Falls back to clusterIntoDays when no store has coordinates.
+ *
+ * @param {object[]} stores – { store_id, grade, state, postcode, latitude, longitude }
+ * @param {object}   [home] – { latitude, longitude }
+ * @returns {object[][]} 5 day buckets (unordered within a day — see routeDay)
+ */
+function clusterByLocation(stores, home = null) {
+  const capped  = [...stores].sort((a, b) => gradeRank(a) - gradeRank(b)).slice(0, MAX_PER_DAY * 5);
+  const located = capped.filter(hasLocation);
+  if (located.length === 0) return clusterIntoDays(stores);
+
+  const centre = hasLocation(home) ? home : centroid(located);
+  const cosLat = Math.cos((centre.latitude * Math.PI) / 180);
+  const swept  = located
+    .map((s) => ({ s, angle: Math.atan2(s.latitude - centre.latitude, (s.longitude - centre.longitude) * cosLat) }))
+    .sort((a, b) => a.angle - b.angle);
+
+  // Rotate so the sweep starts just after the largest angular gap
+  let start = 0, widest = -1;
+  for (let i = 0; i < swept.length; i++) {
+    const next = swept[(i + 1) % swept.length].angle + (i + 1 === swept.length ? 2 * Math.PI : 0);
+    if (next - swept[i].angle > widest) { widest = next - swept[i].angle; start = (i + 1) % swept.length; }
+  }
+  const ordered = [...swept.slice(start), ...swept.slice(0, start)].map((x) => x.s);
+
+  const dayBuckets = [[], [], [], [], []];
+  const days = Math.ceil(ordered.length / MAX_PER_DAY);
+  let idx = 0;
+  for (let d = 0; d < days; d++) {
+    const size = Math.ceil((ordered.length - idx) / (days - d));
+    dayBuckets[d] = ordered.slice(idx, idx + size);
+    idx += size;
+  }
+
+  // Stores without coordinates fill the remaining space, grouped by postcode
+  const unlocated = capped.filter((s) => !hasLocation(s))
+    .sort((a, b) => (a.postcode || '').localeCompare(b.postcode || ''));
+  let d = 0;
+  for (const s of unlocated) {
+    while (dayBuckets[d].length >= MAX_PER_DAY) d++;
+    dayBuckets[d].push(s);
+  }
+  return dayBuckets;
+}
+
+/** Total length of a path of located points, optionally returning to the start. */
+function pathKm(points, closed) {
+  let km = 0;
+  for (let i = 1; i < points.length; i++) km += haversineKm(points[i - 1], points[i]);
+  if (closed && points.length > 1) km += haversineKm(points[points.length - 1], points[0]);
+  return km;
+}
+
+/** 2-opt: reverse segments while that shortens the route. points[0] stays first. */
+function twoOpt(points, closed) {
+  const route = [...points];
+  const n = route.length;
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < n - 1; i++) {
+      for (let k = i + 1; k < n; k++) {
+        const after = k + 1 < n ? route[k + 1] : (closed ? route[0] : null);
+        const before = haversineKm(route[i - 1], route[i]) + (after ? haversineKm(route[k], after) : 0);
+        const swapped = haversineKm(route[i - 1], route[k]) + (after ? haversineKm(route[i], after) : 0);
+        if (swapped < before - 1e-9) {
+          const segment = route.slice(i, k + 1).reverse();
+          route.splice(i, segment.length, ...segment);
+          improved = true;
+        }
+      }
+    }
+  }
+  return route;
+}
+
+/**
+ * Order one day's stops as a driving route: nearest neighbour from the home
+ * base, improved with 2-opt, for a round trip home → stops → home. Without a
+ * home base the route starts at the stop furthest from the day's centre.
+ * Stops without coordinates keep their order at the end.
+ */
+function routeDay(stops, home = null) {
+  const located   = stops.filter(hasLocation);
+  const unlocated = stops.filter((s) => !hasLocation(s));
+  if (located.length < 2) return [...located, ...unlocated];
+
+  let current = home;
+  const remaining = [...located];
+  if (!hasLocation(home)) {
+    const mid = centroid(located);
+    remaining.sort((a, b) => haversineKm(mid, b) - haversineKm(mid, a));
+    current = remaining[0];
+  }
+
+  const ordered = [];
+  while (remaining.length) {
+    let best = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (haversineKm(current, remaining[i]) < haversineKm(current, remaining[best])) best = i;
+    }
+    current = remaining.splice(best, 1)[0];
+    ordered.push(current);
+  }
+
+  const routed = hasLocation(home)
+    ? twoOpt([home, ...ordered], true).slice(1)
+    : twoOpt(ordered, false);
+  return [...routed, ...unlocated];
+}
+
+/**
+ * Estimated drive distance for a day's stops in the given order: straight-line
+ * legs × ROAD_FACTOR, from and back to the home base when there is one.
+ * Stops without coordinates are skipped; null when none have any.
+ */
+function routeDistanceKm(stops, home = null) {
+  const located = stops.filter(hasLocation);
+  if (located.length === 0) return null;
+  const km = hasLocation(home) ? pathKm([home, ...located], true) : pathKm(located, false);
+  return Math.round(km * ROAD_FACTOR * 10) / 10;
+}
+
+/** Cluster a week's stores into days and order each day as a route. */
+function planDays(stores, home = null) {
+  return clusterByLocation(stores, home).map((day) => routeDay(day, home));
+}
+
+// ── Quarter generator ─────────────────────────────────────────────────────────
+
+/**
+ * Plan slot for a visit that has already happened.
+ * Uses the ISO Monday of the visit date as planned_week; day_of_week is the
+ * actual visit day (Mon=1…Fri=5), with Sun clamped to Mon and Sat to Fri.
+ *
+ * @param {string|Date} visitedAt
+ * @returns {{ week: string, dayOfWeek: number }}
+ */
+function visitSlot(visitedAt) {
+  const visitDate = new Date(visitedAt);
+  const jsDow     = visitDate.getUTCDay(); // 0=Sun, 1=Mon…6=Sat
+  return {
+    week:      isoMonday(visitDate.toISOString().slice(0, 10)),
+    dayOfWeek: jsDow === 0 ? 1 : jsDow === 6 ? 5 : jsDow,
+  };
+}
+
+/**
+ * Build the suggested visit schedule for a quarter, accounting for real visits
+ * already made. A stores get two visits 6 weeks apart, B/C stores one; the
+ * first is due one interval after the store's last visit (or at quarter start
+ * if never visited / already overdue).
+ *
+ * @param {string[]}            weeks         – ISO Mondays of the quarter (quarterWeeks)
+ * @param {object[]}            stores        – { store_id, grade, state, postcode, last_visit }
+ * @param {Map<number, Date[]>} quarterVisits – store_id → this quarter's visits, ascending
+ * @param {Set<string>}         committedSet  – 'store_id:YYYY-MM-DD' weeks already holding a non-suggested item
+ * @returns {Map<string, object[]>} week → stores to suggest that week
+ */
+function scheduleQuarter(weeks, stores, quarterVisits, committedSet = new Set()) {
+  const weekBuckets = new Map();
+  for (const w of weeks) weekBuckets.set(w, []);
+  if (weeks.length === 0) return weekBuckets;
+
+  const qStartMs = new Date(weeks[0] + 'T00:00:00Z').getTime();
+  const qEndMs   = new Date(weeks[weeks.length - 1] + 'T23:59:59Z').getTime();
+
+  for (const store of stores) {
+    const interval   = store.grade === 'A' ? INTERVAL_A : INTERVAL_BC;
+    const visitsDone = quarterVisits.get(store.store_id) || [];
+
+    // Collect due dates for remaining visits
+    const dueDates = [];
+
+    if (visitsDone.length === 0) {
+      // Not visited yet — use last visit from all time to compute first due
+      const lastVisitMs = store.last_visit ? new Date(store.last_visit).getTime() : null;
+      const firstDueMs  = lastVisitMs
+        ? Math.max(qStartMs, lastVisitMs + interval)
+        : qStartMs;
+      if (firstDueMs <= qEndMs) dueDates.push(firstDueMs);
+
+      // A stores: second visit 6 weeks after first
+      if (store.grade === 'A' && dueDates.length > 0) {
+        const secondDueMs = dueDates[0] + INTERVAL_A;
+        if (secondDueMs <= qEndMs) dueDates.push(secondDueMs);
+      }
+    } else if (visitsDone.length < visitsNeeded(store.grade)) {
+      // Partially covered — schedule remaining visits from last actual visit
+      const lastVisitMs = visitsDone[visitsDone.length - 1].getTime();
+      const nextDueMs   = lastVisitMs + interval;
+      if (nextDueMs <= qEndMs) dueDates.push(nextDueMs);
+    }
+    // If visitsDone.length >= visitsNeeded → fully covered, nothing to schedule
+
+    for (const dueMs of dueDates) {
+      // Find first quarter week on or after the due date
+      let targetWeek = null;
+      for (const w of weeks) {
+        if (new Date(w + 'T00:00:00Z').getTime() >= dueMs) { targetWeek = w; break; }
+      }
+      if (!targetWeek) continue;
+      if (committedSet.has(`${store.store_id}:${targetWeek}`)) continue;
+      const bucket = weekBuckets.get(targetWeek);
+      if (bucket.some(s => s.store_id === store.store_id)) continue;
+      bucket.push({ ...store });
+    }
+  }
+
+  return weekBuckets;
+}
+
+module.exports = {
+  visitsNeeded,
+  isoMonday,
+  quarterWeeks,
+  clusterIntoDays,
+  haversineKm,
+  clusterByLocation,
+  routeDay,
+  routeDistanceKm,
+  planDays,
+  visitSlot,
+  scheduleQuarter,
+};
@@ -3,8 +3,8 @@
 /**
  * Product Intelligence Service
  *
- * All calculations operate on the 12-month in-memory invoice cache
- * returned by fetchInvoices(). No additional DB queries are made unless
+ * All calculations operate on the 12-month invoice window returned by
+ * fetchInvoices() from the local invoice store. No additional DB queries are made unless
  * explicitly noted.
  *
  * Key concept — purchase history:
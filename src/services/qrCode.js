@@ -0,0 +1,300 @@
+'use strict';
+
+/**
+ * Minimal QR code encoder for the two-factor enrolment screen.
+ *
+ * Byte mode, error correction level M, versions 1–10 (up to 213 bytes) —
+ * plenty for an otpauth:// URI — with the mask chosen by the standard penalty
+ * rules. Follows ISO/IEC 18004; the Reed–Solomon and placement steps mirror
+ * the well-known Nayuki reference implementation.
+ *
+ * Exports:
+ *   qrMatrix(text) → boolean[][] (true = dark), no quiet zone
+ *   qrSvg(text, { moduleSize? }) → SVG markup with a 4-module quiet zone
+ */
+
+// Per version (index 0 = version 1), level M
+const ECC_PER_BLOCK  = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ECC_BLOCKS     = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const RAW_CODEWORDS  = [26, 44, 70, 100, 134, 172, 196, 242, 292, 346];
+const ALIGNMENT      = [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const ECL_M_BITS     = 0;
+
+// ── Reed–Solomon over GF(256), polynomial 0x11D ──────────────────────────────
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ── Data codewords ───────────────────────────────────────────────────────────
+function dataCodewords(bytes, version) {
+  const capacity = RAW_CODEWORDS[version - 1] - ECC_PER_BLOCK[version - 1] * ECC_BLOCKS[version - 1];
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);                                   // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  push(0, Math.min(4, capacity * 8 - bits.length));  // terminator
+  push(0, (8 - bits.length % 8) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+function interleaveWithEcc(data, version) {
+  const numBlocks      = ECC_BLOCKS[version - 1];
+  const eccLen         = ECC_PER_BLOCK[version - 1];
+  const raw            = RAW_CODEWORDS[version - 1];
+  const numShortBlocks = numBlocks - raw % numBlocks;
+  const shortBlockLen  = Math.floor(raw / numBlocks);
+  const divisor        = rsDivisor(eccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding slot in short blocks
+      if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ── Module placement ─────────────────────────────────────────────────────────
+function createGrid(version) {
+  const size = version * 4 + 17;
+  const modules    = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they'd overlap the finders
+  const positions = ALIGNMENT[version - 1];
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+
+  // Version information (7+)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Reserve the format areas (drawn per mask later)
+  drawFormatBits({ modules, isFunction, size, set }, 0);
+  return { modules, isFunction, size, set };
+}
+
+function drawFormatBits({ size, set }, mask) {
+  const data = (ECL_M_BITS << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);   // dark module
+}
+
+function drawCodewords({ modules, isFunction, size }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => (((x + y) % 2) + (x * y) % 3) % 2 === 0,
+];
+
+function applyMask({ modules, isFunction, size }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+/** Penalty score from the four rules in ISO/IEC 18004 §8.8.2. */
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+  const finderLike = [true, false, true, true, true, false, true];
+  for (const line of lines) {
+    // Rule 1: runs of five or more
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    // Rule 3: 1:1:3:1:1 finder-like patterns with four light modules on a side
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every((k) => !line[i - k]);
+      const lightAfter  = i + 11 <= size && [7, 8, 9, 10].every((k) => !line[i + k]);
+      if (lightBefore || lightAfter) score += 40;
+    }
+  }
+
+  // Rule 2: 2×2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  // Rule 4: balance of dark and light
+  const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  return score;
+}
+
+function qrMatrix(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = RAW_CODEWORDS.findIndex((raw, i) => {
+    const capacityBits = (raw - ECC_PER_BLOCK[i] * ECC_BLOCKS[i]) * 8;
+    return 4 + (i + 1 < 10 ? 8 : 16) + bytes.length * 8 <= capacityBits;
+  }) + 1;
+  if (version === 0) throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+
+  const codewords = interleaveWithEcc(dataCodewords(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const grid = createGrid(version);
+    drawCodewords(grid, codewords);
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const score = penalty(grid.modules);
+    if (!best || score < best.score) best = { score, modules: grid.modules };
+  }
+  return best.modules;
+}
+
+function qrSvg(text, { moduleSize = 4 } = {}) {
+  const modules = qrMatrix(text);
+  const quiet = 4;
+  const dim = modules.length + quiet * 2;
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + quiet},${y + quiet}h1v1h-1z`;
+    });
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${dim * moduleSize}" ` +
+    `height="${dim * moduleSize}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/>` +
+    `<path d="${path}" fill="#000"/></svg>`;
+}
+
+module.exports = { qrMatrix, qrSvg };
@@ -0,0 +1,573 @@
+'use strict';
+
+/**
+ * Scoreboard: reps ranked on four metrics over a rolling 12-month window, with
+ * monthly history, streaks and badges (migration 030).
+ *
+ * Metrics — the only figures the scoreboard shows. No raw revenue, store-level
+ * data or coaching metrics leave this module:
+ *   revPerVisit      – 12m revenue ÷ visits logged
+ *   growthPct        – last 6 months of the window vs the first 6
+ *   newDoors         – customers first invoiced in the window's last month
+ *   reactivationPct  – share of revenue from stores back after a 3-month gap
+ *
+ * Finished months are snapshotted by the month-close job (server.js cron, or an
+ * executive via POST /api/scoreboard/snapshots), all reps together, and never
+ * rewritten. A past month is served from its snapshot, or worked out for that
+ * month's window when it has none. Snapshots give each rank's movement since
+ * the month before and runs of months at the top ("3 months top on new doors").
+ *
+ * Badges are set up by executives; a badge's kind says what it measures and its
+ * threshold how much (describeBadge). awardBadges() hands them out nightly,
+ * after month close and when a badge is saved. Turning a badge off hides it but
+ * reps keep what they earned.
+ *
+ * Exports:
+ *   METRICS, METRIC_LABELS, BADGE_KINDS
+ *   currentMonth(today?)            → 'YYYY-MM' (today: Sydney date)
+ *   previousMonth(month?)           → the month before (default: before this one)
+ *   monthWindow(month)              → { from, to } — the 12 months ending with `month`
+ *   computeScoreboard(month, opts?) → [{ repId, name, revPerVisit, visitCount, growthPct, newDoors, reactivationPct, <metric>Rank }]
+ *   snapshotMonth(month)            → { saved, existing }
+ *   closeLastMonth(today?)          → snapshotMonth() for the month just ended
+ *   scoreboard(month?, opts?)       → { month, period, source, captured_at, reps, snapshot_months }
+ *   topRuns(rows, metric)           → [{ repId, start, months }] — runs of consecutive months ranked top
+ *   parseBadge(body)                → { badge } | { error }
+ *   describeBadge(badge)            → one line, e.g. '100 visits in a quarter'
+ *   awardBadges({ badgeIds? })      → number of badges newly earned
+ */
+
+const db = require('../db');
+const { fetchInvoices, invAmount } = require('./sync');
+const { sydneyToday } = require('./alertLifecycle');
+
+const METRICS = ['revPerVisit', 'growthPct', 'newDoors', 'reactivationPct'];
+const METRIC_LABELS = {
+  revPerVisit:     'Revenue per Visit',
+  growthPct:       'Territory Growth',
+  newDoors:        'New Doors',
+  reactivationPct: 'Reactivation Revenue',
+};
+const METRIC_COLUMNS = {
+  revPerVisit:     'rev_per_visit',
+  growthPct:       'growth_pct',
+  newDoors:        'new_doors',
+  reactivationPct: 'reactivation_pct',
+};
+const BADGE_KINDS = ['new_door_value', 'quarter_visits', 'top_streak'];
+const MIN_STREAK = 2;   // months at the top before it shows as a streak
+
+// ── Months ────────────────────────────────────────────────────────────────────
+
+const pad = (n) => String(n).padStart(2, '0');
+const monthOf = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+
+function addMonths(month, n) {
+  const [y, m] = month.split('-').map(Number);
+  return monthOf(new Date(y, m - 1 + n, 1));
+}
+
+// Months go by Sydney's date: the month-close job runs at 04:30 on the 1st in
+// Sydney, while the server's own clock (UTC) is still in the month being closed.
+function currentMonth(today = sydneyToday()) {
+  return today.slice(0, 7);
+}
+
+function previousMonth(month = currentMonth()) {
+  return addMonths(month, -1);
+}
+
+function monthWindow(month) {
+  const [y, m] = month.split('-').map(Number);
+  return {
+    from: `${addMonths(month, -11)}-01`,
+    to:   `${month}-${pad(new Date(y, m, 0).getDate())}`,
+  };
+}
+
+// ── Scoreboard for a month ────────────────────────────────────────────────────
+
+/** salesperson name → rep id, for reps with one or several Zoho salesperson names */
+function repsBySalesperson(reps) {
+  const byName = {};
+  for (const r of reps) {
+    const spNames = (Array.isArray(r.zoho_salesperson_ids) && r.zoho_salesperson_ids.length)
+      ? r.zoho_salesperson_ids
+      : (r.zoho_salesperson_id ? [r.zoho_salesperson_id] : [r.name]);
+    for (const sp of spNames) byName[sp] = r.id;
+  }
+  return byName;
+}
+
+// Rank on one metric (reps with no data sort last)
+function rankBy(rows, key) {
+  const sorted = [...rows].sort((a, b) => (b[key] ?? -Infinity) - (a[key] ?? -Infinity));
+  return new Map(sorted.map((r, i) => [r.repId, i + 1]));
+}
+
+/**
+ * The scoreboard for the 12-month window ending with `month`, worked out from
+ * the invoice store and visits.
+ *
+ * @param {object}   [opts]
+ * @param {function} [opts.fetchInvoices] – (from, to) → invoices, e.g. one with a timeout
+ */
+async function computeScoreboard(month, { fetchInvoices: fetch = fetchInvoices } = {}) {
+  const { from, to } = monthWindow(month);
+  const mid            = `${addMonths(month, -5)}-01`;   // midpoint of the 12m window
+  const threeMonthsAgo = `${addMonths(month, -3)}-01`;
+  const sixMonthsAgo   = `${addMonths(month, -6)}-01`;
+
+  // All active reps
+  const { rows: reps } = await db.query(
+    `SELECT id, name, zoho_salesperson_id, zoho_salesperson_ids FROM users
+     WHERE role = 'rep' AND active = TRUE ORDER BY name`
+  );
+
+  // Visits per rep (12m)
+  const { rows: visitRows } = await db.query(
+    `SELECT rep_id, COUNT(*)::INTEGER AS visit_count
+     FROM visits WHERE visited_at >= $1 AND visited_at < $2 GROUP BY rep_id`,
+    [from, `${addMonths(month, 1)}-01`]
+  );
+  const visitsByRep = {};
+  for (const v of visitRows) visitsByRep[v.rep_id] = v.visit_count;
+
+  // Invoice data for revenue calculations
+  const invoices = await fetch(from, to);
+  const repByName = repsBySalesperson(reps);
+
+  // Per-rep invoice buckets
+  const rev12m    = {}; // total 12m
+  const revFirst6 = {}; // first 6m (from → mid)
+  const revLast6  = {}; // last 6m (mid → to)
+
+  // customer_id → last invoice date before the 3m window
+  const lastOrderBeforeWindow = {};
+  // customer_id → revenue in last 3m
+  const recentRevByCust = {};
+  // per-rep totals for reactivation
+  const reactivationRev = {};
+  const totalRevPerRep  = {};
+
+  for (const inv of invoices) {
+    const repId = repByName[inv.salesperson_name];
+    if (!repId) continue;
+    const cid = String(inv.customer_id);
+
+    const total = invAmount(inv);
+    rev12m[repId]  = (rev12m[repId]  || 0) + total;
+    totalRevPerRep[repId] = (totalRevPerRep[repId] || 0) + total;
+
+    if (inv.date && inv.date < mid) {
+      revFirst6[repId] = (revFirst6[repId] || 0) + total;
+    } else {
+      revLast6[repId]  = (revLast6[repId]  || 0) + total;
+    }
+
+    // Reactivation: track per-customer last order before 3m window
+    if (inv.date && inv.date < threeMonthsAgo) {
+      if (!lastOrderBeforeWindow[cid] || inv.date > lastOrderBeforeWindow[cid]) {
+        lastOrderBeforeWindow[cid] = inv.date;
+      }
+    }
+    if (inv.date && inv.date >= threeMonthsAgo) {
+      recentRevByCust[cid] = (recentRevByCust[cid] || 0) + total;
+      // Track which rep got this revenue
+      if (!recentRevByCust[`${cid}_rep`]) recentRevByCust[`${cid}_rep`] = repId;
+    }
+  }
+
+  // Identify reactivated customers: had order 6-12m ago, nothing 3-6m ago, but ordered in last 3m
+  for (const [cid, lastBefore] of Object.entries(lastOrderBeforeWindow)) {
+    if (lastBefore < sixMonthsAgo) continue; // too old — not a recent churn
+    const recentRev = recentRevByCust[cid] || 0;
+    if (recentRev === 0) continue; // didn't reactivate
+    const repId = recentRevByCust[`${cid}_rep`];
+    if (!repId) continue;
+    reactivationRev[repId] = (reactivationRev[repId] || 0) + recentRev;
+  }
+
+  // New doors from invoices: first-ever invoice in the month, no prior invoice
+  const newDoorInvoice = {};
+  {
+    const priorCustomers = new Set(
+      invoices.filter(inv => (inv.date || '') < `${month}-01`).map(inv => String(inv.customer_id))
+    );
+    const monthInvoices = invoices.filter(inv => (inv.date || '').startsWith(month));
+    for (const inv of monthInvoices) {
+      const cid   = String(inv.customer_id);
+      if (priorCustomers.has(cid)) continue;
+      const repId = repByName[inv.salesperson_name];
+      if (!repId) continue;
+      if (!newDoorInvoice[repId]) newDoorInvoice[repId] = new Set();
+      newDoorInvoice[repId].add(cid);
+    }
+  }
+
+  // Assemble scoreboard rows
+  const rows = reps.map(rep => {
+    const visits  = visitsByRep[rep.id] || 0;
+    const r12m    = rev12m[rep.id]      || 0;
+    const first6  = revFirst6[rep.id]   || 0;
+    const last6   = revLast6[rep.id]    || 0;
+    const reactivated = reactivationRev[rep.id] || 0;
+    const totalRev    = totalRevPerRep[rep.id]  || 0;
+
+    return {
+      repId:           rep.id,
+      name:            rep.name,
+      revPerVisit:     visits > 0 ? Math.round(r12m / visits) : 0,
+      visitCount:      visits,
+      growthPct:       first6 > 0 ? Math.round(((last6 - first6) / first6) * 100) : null,
+      newDoors:        newDoorInvoice[rep.id]?.size || 0,
+      reactivationPct: totalRev > 0 ? Math.round((reactivated / totalRev) * 100) : 0,
+    };
+  });
+
+  const ranks = METRICS.map((key) => [key, rankBy(rows, key)]);
+  return rows.map((r) => {
+    const ranked = { ...r };
+    for (const [key, rank] of ranks) ranked[`${key}Rank`] = rank.get(r.repId);
+    return ranked;
+  });
+}
+
+// ── Snapshots ─────────────────────────────────────────────────────────────────
+
+/** A scoreboard_snapshots row (joined to the rep's name) as a scoreboard row. */
+function fromSnapshot(row) {
+  const r = { repId: row.rep_id, name: row.name, month: row.month, visitCount: row.visit_count };
+  for (const key of METRICS) {
+    r[key] = row[METRIC_COLUMNS[key]];
+    r[`${key}Rank`] = row[`${METRIC_COLUMNS[key]}_rank`];
+  }
+  return r;
+}
+
+async function loadSnapshots(where, params) {
+  const { rows } = await db.query(`
+    SELECT s.*, to_char(s.month, 'YYYY-MM') AS month, u.name
+    FROM scoreboard_snapshots s
+    JOIN users u ON u.id = s.rep_id
+    WHERE ${where}
+    ORDER BY s.month, u.name
+  `, params);
+  return rows;
+}
+
+/**
+ * Snapshot a finished month. Ranks are relative, so a month is taken for all
+ * reps at once, in one transaction — it's either all there or not at all; if
+ * it already has a snapshot nothing is written. Invoice fetch errors are
+ * thrown rather than snapshotting empty results.
+ */
+async function snapshotMonth(month) {
+  const { rows: [{ n }] } = await db.query(
+    `SELECT COUNT(*)::INTEGER AS n FROM scoreboard_snapshots WHERE month = $1`, [`${month}-01`]
+  );
+  if (n) return { saved: 0, existing: n };
+
+  const rows = await computeScoreboard(month);
+  let saved = 0;
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const r of rows) {
+      const { rowCount } = await client.query(`
+        INSERT INTO scoreboard_snapshots
+          (month, rep_id, rev_per_visit, visit_count, growth_pct, new_doors, reactivation_pct,
+           rev_per_visit_rank, growth_pct_rank, new_doors_rank, reactivation_pct_rank)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (month, rep_id) DO NOTHING
+      `, [`${month}-01`, r.repId, r.revPerVisit, r.visitCount, r.growthPct, r.newDoors, r.reactivationPct,
+          r.revPerVisitRank, r.growthPctRank, r.newDoorsRank, r.reactivationPctRank]);
+      saved += rowCount;
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return { saved, existing: 0 };
+}
+
+async function closeLastMonth(today = sydneyToday()) {
+  const month = previousMonth(currentMonth(today));
+  const result = await snapshotMonth(month);
+  console.log(`[scoreboard] ${month} closed — ${result.saved} snapshot(s) saved, ${result.existing} already taken`);
+  return result;
+}
+
+// ── Movement and streaks ──────────────────────────────────────────────────────
+
+const isTop = (r, metric) => r[`${metric}Rank`] === 1 && r[metric] > 0;
+
+/**
+ * Runs of consecutive snapshot months in which a rep ranked top on `metric`
+ * (with something to show for it — a rank of 1 on zero doesn't count).
+ * `rows` are snapshot rows (fromSnapshot) in month order.
+ */
+function topRuns(rows, metric) {
+  const runs = [];
+  const open = new Map();   // rep id → the run still going
+  for (const r of rows) {
+    if (!isTop(r, metric)) continue;
+    const run = open.get(r.repId);
+    if (run && addMonths(run.months[run.months.length - 1], 1) === r.month) {
+      run.months.push(r.month);
+    } else {
+      const started = { repId: r.repId, start: r.month, months: [r.month] };
+      runs.push(started);
+      open.set(r.repId, started);
+    }
+  }
+  return runs;
+}
+
+/** rep id → [{ metric, label, months }] for top runs still going in `month` */
+function streaksEndingIn(rows, month) {
+  const streaks = new Map();
+  for (const metric of METRICS) {
+    for (const run of topRuns(rows, metric)) {
+      if (run.months.length < MIN_STREAK || run.months[run.months.length - 1] !== month) continue;
+      if (!streaks.has(run.repId)) streaks.set(run.repId, []);
+      streaks.get(run.repId).push({ metric, label: METRIC_LABELS[metric], months: run.months.length });
+    }
+  }
+  return streaks;
+}
+
+/** Rank change per metric since `before` (positive = moved up), null without one. */
+function movement(row, before) {
+  const moved = {};
+  for (const key of METRICS) {
+    moved[key] = before ? before[`${key}Rank`] - row[`${key}Rank`] : null;
+  }
+  return moved;
+}
+
+// ── Badges ────────────────────────────────────────────────────────────────────
+
+function intInRange(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Validate a badge body: { name, icon?, kind, threshold, metric?, active? }
+ *   new_door_value – threshold is the first order's dollars (ex-GST)
+ *   quarter_visits – threshold is visits in one calendar quarter
+ *   top_streak     – threshold is months in a row ranked top on `metric`
+ */
+function parseBadge(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) return { error: 'name is required (at most 100 characters)' };
+
+  const icon = typeof body.icon === 'string' && body.icon.trim() ? body.icon.trim() : '🏅';
+  if (icon.length > 16) return { error: 'icon must be an emoji or a few characters' };
+
+  if (!BADGE_KINDS.includes(body.kind)) return { error: `kind must be one of ${BADGE_KINDS.join(', ')}` };
+
+  let threshold;
+  let metric = null;
+  if (body.kind === 'new_door_value') {
+    threshold = Number(body.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) return { error: 'threshold must be a positive dollar amount' };
+    threshold = Math.round(threshold * 100) / 100;
+  } else if (body.kind === 'quarter_visits') {
+    threshold = intInRange(body.threshold, 1, 1000);
+    if (threshold === null) return { error: 'threshold must be a whole number of visits from 1 to 1000' };
+  } else {
+    threshold = intInRange(body.threshold, 1, 24);
+    if (threshold === null) return { error: 'threshold must be a whole number of months from 1 to 24' };
+    if (!METRICS.includes(body.metric)) return { error: `metric must be one of ${METRICS.join(', ')}` };
+    metric = body.metric;
+  }
+
+  return { badge: { name, icon, kind: body.kind, threshold, metric, active: body.active !== false } };
+}
+
+function describeBadge(badge) {
+  const threshold = Number(badge.threshold);
+  if (badge.kind === 'new_door_value') {
+    return `A new door whose first order was $${threshold.toLocaleString('en-AU')} or more`;
+  }
+  if (badge.kind === 'quarter_visits') return `${threshold} visits in a quarter`;
+  return threshold === 1
+    ? `Top on ${METRIC_LABELS[badge.metric].toLowerCase()} for a month`
+    : `Top on ${METRIC_LABELS[badge.metric].toLowerCase()} ${threshold} months running`;
+}
+
+/**
+ * First orders of the new doors in the last 12 months: customers with no
+ * invoice in the 12 months before their first one. The invoice store holds 24
+ * months, so that's as far back as a door can be told apart as new.
+ */
+async function newDoorFirstOrders() {
+  const month = currentMonth();
+  const invoices = await fetchInvoices(`${addMonths(month, -23)}-01`, monthWindow(month).to);
+  const { rows: reps } = await db.query(
+    `SELECT id, name, zoho_salesperson_id, zoho_salesperson_ids FROM users WHERE role = 'rep'`
+  );
+  const repByName = repsBySalesperson(reps);
+
+  const first = new Map();   // customer → { date, amount, salesperson }
+  for (const inv of invoices) {
+    if (!inv.date) continue;
+    const cid = String(inv.customer_id);
+    const seen = first.get(cid);
+    if (!seen || inv.date < seen.date) {
+      first.set(cid, { date: inv.date, amount: invAmount(inv), salesperson: inv.salesperson_name });
+    } else if (inv.date === seen.date) {
+      seen.amount += invAmount(inv);
+    }
+  }
+
+  const newSince = monthWindow(month).from;
+  return [...first.values()]
+    .filter((f) => f.date >= newSince && repByName[f.salesperson])
+    .map((f) => ({ rep_id: repByName[f.salesperson], date: f.date, amount: f.amount }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// kind → (badge, ctx) → [{ rep_id, period, earned_on }]
+const EARNERS = {
+  async new_door_value(badge, ctx) {
+    ctx.firstOrders ??= await newDoorFirstOrders();
+    const earned = new Map();   // the rep's first door over the line
+    for (const f of ctx.firstOrders) {
+      if (f.amount >= Number(badge.threshold) && !earned.has(f.rep_id)) {
+        earned.set(f.rep_id, { rep_id: f.rep_id, period: '', earned_on: f.date });
+      }
+    }
+    return [...earned.values()];
+  },
+
+  async quarter_visits(badge) {
+    const { rows } = await db.query(`
+      SELECT rep_id, period, to_char(visited_at, 'YYYY-MM-DD') AS earned_on
+      FROM (
+        SELECT v.rep_id, v.visited_at,
+               'Q' || EXTRACT(QUARTER FROM v.visited_at)::INTEGER || ' ' || EXTRACT(YEAR FROM v.visited_at)::INTEGER AS period,
+               ROW_NUMBER() OVER (PARTITION BY v.rep_id, DATE_TRUNC('quarter', v.visited_at) ORDER BY v.visited_at, v.id) AS n
+        FROM visits v
+        JOIN users u ON u.id = v.rep_id AND u.role = 'rep'
+      ) q
+      WHERE n = $1
+    `, [Number(badge.threshold)]);
+    return rows;
+  },
+
+  async top_streak(badge, ctx) {
+    ctx.snapshots ??= (await loadSnapshots('TRUE', [])).map(fromSnapshot);
+    const months = Number(badge.threshold);
+    return topRuns(ctx.snapshots, badge.metric)
+      .filter((run) => run.months.length >= months)
+      .map((run) => ({ rep_id: run.repId, period: run.start, earned_on: monthWindow(run.months[months - 1]).to }));
+  },
+};
+
+/** Award the active badges (or just `badgeIds`) to reps who have earned them. */
+async function awardBadges({ badgeIds = null } = {}) {
+  const { rows: badges } = badgeIds
+    ? await db.query(`SELECT * FROM badges WHERE active AND id = ANY($1::INTEGER[]) ORDER BY id`, [badgeIds])
+    : await db.query(`SELECT * FROM badges WHERE active ORDER BY id`);
+
+  const ctx = {};
+  let awarded = 0;
+  for (const badge of badges) {
+    for (const e of await EARNERS[badge.kind](badge, ctx)) {
+      const { rowCount } = await db.query(`
+        INSERT INTO rep_badges (badge_id, rep_id, period, earned_on)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (badge_id, rep_id, period) DO NOTHING
+      `, [badge.id, e.rep_id, e.period, e.earned_on]);
+      awarded += rowCount;
+    }
+  }
+  return awarded;
+}
+
+/** rep id → badges earned (active badges only), oldest first */
+async function badgesForReps(repIds) {
+  const { rows } = await db.query(`
+    SELECT rb.rep_id, rb.period, to_char(rb.earned_on, 'YYYY-MM-DD') AS earned_on,
+           b.id, b.name, b.icon, b.kind, b.threshold, b.metric
+    FROM rep_badges rb
+    JOIN badges b ON b.id = rb.badge_id
+    WHERE b.active AND rb.rep_id = ANY($1::INTEGER[])
+    ORDER BY rb.earned_on, b.name
+  `, [repIds]);
+  const byRep = new Map();
+  for (const r of rows) {
+    if (!byRep.has(r.rep_id)) byRep.set(r.rep_id, []);
+    byRep.get(r.rep_id).push({
+      badge_id:    r.id,
+      name:        r.name,
+      icon:        r.icon,
+      description: describeBadge(r),
+      period:      r.period,
+      earned_on:   r.earned_on,
+    });
+  }
+  return byRep;
+}
+
+// ── Scoreboard page ───────────────────────────────────────────────────────────
+
+/**
+ * The scoreboard for `month` (default: this month, live): each rep's metrics
+ * and ranks, rank movement since the month before, top streaks and badges.
+ * Streaks run through the month shown, or through last month when it's live.
+ *
+ * @param {object}   [opts]
+ * @param {function} [opts.fetchInvoices] – for a month worked out live
+ */
+async function scoreboard(month = currentMonth(), opts = {}) {
+  const live = month === currentMonth();
+  const snapshot = live ? [] : await loadSnapshots('s.month = $1', [`${month}-01`]);
+  const rows = snapshot.length ? snapshot.map(fromSnapshot) : await computeScoreboard(month, opts);
+
+  const history = await loadSnapshots('s.month <= $1', [`${previousMonth(month)}-01`]);
+  const previous = new Map(history.filter((r) => r.month === previousMonth(month)).map((r) => [r.rep_id, fromSnapshot(r)]));
+  const streaks = streaksEndingIn([...history, ...snapshot].map(fromSnapshot), snapshot.length ? month : previousMonth(month));
+  const badges = await badgesForReps(rows.map((r) => r.repId));
+
+  const { rows: months } = await db.query(
+    `SELECT DISTINCT to_char(month, 'YYYY-MM') AS month FROM scoreboard_snapshots ORDER BY month DESC`
+  );
+
+  return {
+    month,
+    period:          monthWindow(month),
+    source:          snapshot.length ? 'snapshot' : 'live',
+    captured_at:     snapshot[0]?.captured_at ?? null,
+    reps:            rows.map(({ month: _m, ...r }) => ({
+      ...r,
+      movement: movement(r, previous.get(r.repId)),
+      streaks:  streaks.get(r.repId) || [],
+      badges:   badges.get(r.repId) || [],
+    })),
+    snapshot_months: months.map((m) => m.month),
+  };
+}
+
+module.exports = {
+  METRICS,
+  METRIC_LABELS,
+  BADGE_KINDS,
+  currentMonth,
+  previousMonth,
+  monthWindow,
+  computeScoreboard,
+  snapshotMonth,
+  closeLastMonth,
+  scoreboard,
+  topRuns,
+  parseBadge,
+  describeBadge,
+  awardBadges,
+};
@@ -4,13 +4,20 @@
  * Zoho Books data sync functions.
  *
  * syncStores()          – Upserts Zoho Contacts → local stores table.
- * fetchInvoices()       – Returns raw invoice array from Zoho (not stored locally).
+ * syncInvoices()        – Incremental pull of Zoho invoices + line items → zoho_invoices
+ *                         ({ full: true } re-pulls the window and drops deleted ones).
+ * syncCreditNotes()     – Incremental pull of Zoho credit notes → zoho_credit_notes.
+ * fetchInvoices()       – Returns invoices for a date range from the local store.
+ * fetchCreditNotes()    – Returns credit notes for a date range from the local store.
  * fetchSalesOrders()    – Returns raw sales order array from Zoho (not stored locally).
  * startScheduler()      – Starts the 60-minute background sync via setInterval.
  */
 
-const { makeZohoRequest } = require('./zoho');
+const { makeZohoRequest, withZohoSubsystem } = require('./zoho');
 const db = require('../db');
+const { autoResolveAlerts, sydneyToday } = require('./alertLifecycle');
+const { geocodeStores } = require('./geocode');
+const { recordAssignment } = require('./territory');
 
 // ── Pagination helper ─────────────────────────────────────────────────────────
 
@@ -161,33 +168,65 @@ function invAmount(inv) {
   return Number(inv.total || 0) / 1.1;
 }
 
-// ── Invoice in-memory cache ───────────────────────────────────────────────────
-// Keyed by "fromDate::toDate". Only used for unfiltered (full-range) fetches.
-// Avoids the ~40s cold Zoho fetch on every dashboard load.
+// ── Local invoice store settings ──────────────────────────────────────────────
+// Invoices and credit notes are persisted in Postgres (zoho_invoices,
+// zoho_invoice_line_items, zoho_credit_notes). The first sync backfills
+// BACKFILL_MONTHS of history; every later sync only pulls documents whose
+// last_modified_time is at or after the stored cursor.
 
-const _invoiceCache = new Map();
-const INVOICE_CACHE_TTL = 60 * 60 * 1000; // 60 minutes
+const BACKFILL_MONTHS = 24; // covers grading's 24m window (dashboards use 18m)
 
-function _getCachedInvoices(fromDate, toDate) {
-  const key   = `${fromDate}::${toDate}`;
-  const entry = _invoiceCache.get(key);
-  if (!entry || Date.now() - entry.ts > INVOICE_CACHE_TTL) {
-    _invoiceCache.delete(key);
-    return null;
-  }
-  return entry.data;
+// Draft and void documents are stored (so a void replaces the earlier sent
+// copy) but never counted as revenue.
+const EXCLUDED_STATUSES = ['draft', 'void'];
+
+const INVOICE_CURSOR_KEY     = 'zoho_invoice_sync_cursor';
+const CREDIT_NOTE_CURSOR_KEY = 'zoho_creditnote_sync_cursor';
+
+async function _getCursor(key) {
+  const { rows } = await db.query(`SELECT value FROM app_config WHERE key = $1`, [key]);
+  return rows[0]?.value || null;
 }
 
-function _setCachedInvoices(fromDate, toDate, data) {
-  _invoiceCache.set(`${fromDate}::${toDate}`, { data, ts: Date.now() });
+async function _setCursor(key, value) {
+  await db.query(
+    `INSERT INTO app_config (key, value, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+    [key, value]
+  );
 }
 
-function invalidateInvoiceCache() {
-  _invoiceCache.clear();
+/**
+ * Latest last_modified_time held in a store table, formatted the way Zoho's
+ * last_modified_time filter expects it (yyyy-MM-ddTHH:mm:ss+0000).
+ */
+async function _maxModifiedTime(table) {
+  const { rows } = await db.query(
+    `SELECT to_char(MAX(last_modified_time) AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"+0000"') AS ts
+     FROM ${table}`
+  );
+  return rows[0]?.ts || null;
+}
+
+/** 'YYYY-MM-DD' window covering the last n months through the end of this month. */
+function _backfillWindow(n) {
+  const now   = new Date();
+  const toD   = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  const fromD = new Date(now.getFullYear(), now.getMonth() - (n - 1), 1);
+  const pad   = x => String(x).padStart(2, '0');
+  return {
+    fromDate: `${fromD.getFullYear()}-${pad(fromD.getMonth() + 1)}-01`,
+    toDate:   `${toD.getFullYear()}-${pad(toD.getMonth() + 1)}-${pad(toD.getDate())}`,
+  };
 }
 
 // ── syncStores() ──────────────────────────────────────────────────────────────
 
+// Keep a store's coordinates through the upsert unless its address changed
+const KEEP_GEOCODE = `(stores.geocode_source = 'manual' OR (stores.postcode IS NOT DISTINCT FROM EXCLUDED.postcode
+                      AND stores.suburb IS NOT DISTINCT FROM EXCLUDED.suburb))`;
+
 /**
  * Fetch all customer Contacts from Zoho Books and upsert into local stores table.
  *
@@ -196,9 +235,16 @@ function invalidateInvoiceCache() {
  *   company_name          → name  (falls back to contact_name if blank)
  *   cf_category           → channel_type  (dropdown: 'Gift Store', etc.)
  *   cf_store_grade        → grade  (TODO: field does not exist in Zoho yet — create it)
- *   cf_sales_rep          → rep_id  (matched against local users table)
+ *   cf_sales_rep          → rep_id  (matched against local users table; only when it
+ *                           changed in Zoho, so local territory transfers stick)
  *   cf_sales_region       → TODO: no region column in stores schema yet; add in a later migration
  *   billing_address.state → state
+ *   billing_address.zip   → postcode
+ *   billing_address.city  → suburb
+ *
+ * Coordinates are cleared when the postcode or suburb changes (unless set
+ * manually) and re-filled by geocodeStores() at the end of the sync.
+ * A change of rep is recorded in store_assignments from today.
  */
 
 async function syncStores({ force = false } = {}) {
@@ -237,7 +283,13 @@ async function syncStores({ force = false } = {}) {
       );
     }
 
+    // Current owners, to record changes of hands in store_assignments
+    const { rows: existing } = await db.query('SELECT zoho_contact_id, rep_id FROM stores');
+    const previousRep = new Map(existing.map((s) => [s.zoho_contact_id, s.rep_id]));
+    const today = sydneyToday();
+
     let upserted = 0;
+    let reassigned = 0;
     const newProspects = []; // new stores with no Zoho grade → marked as prospects
 
     for (const contact of contacts) {
@@ -258,14 +310,15 @@ async function syncStores({ force = false } = {}) {
       // Zoho Books billing_address is an object: { address, city, state, zip, country, fax }
       const state    = contact.billing_address?.state || null;
       const postcode = contact.billing_address?.zip   || null;
+      const suburb   = contact.billing_address?.city  || null;
 
       // Assigned rep on contact (confirmed api_name: cf_sales_rep)
       const repId = findRepId(getCustomField(customFields, 'cf_sales_rep'));
 
       const { rows: [row] } = await db.query(
         `INSERT INTO stores
-           (zoho_contact_id, name, channel_type, grade, is_prospect, state, postcode, rep_id, last_synced_at)
-         VALUES ($1, $2, $3, $4, ($4 IS NULL), $5, $6, $7, NOW())
+           (zoho_contact_id, name, channel_type, grade, is_prospect, state, postcode, suburb, rep_id, zoho_rep_id, last_synced_at)
+         VALUES ($1, $2, $3, $4::CHAR(1), ($4::CHAR(1) IS NULL), $5, $6, $8, $7, $7, NOW())
          ON CONFLICT (zoho_contact_id) DO UPDATE SET
            name           = EXCLUDED.name,
            channel_type   = EXCLUDED.channel_type,
@@ -273,14 +326,30 @@ async function syncStores({ force = false } = {}) {
            is_prospect    = CASE WHEN EXCLUDED.grade IS NOT NULL THEN FALSE ELSE stores.is_prospect END,
            state          = EXCLUDED.state,
            postcode       = EXCLUDED.postcode,
-           rep_id         = EXCLUDED.rep_id,
+           suburb         = EXCLUDED.suburb,
+           latitude       = CASE WHEN ${KEEP_GEOCODE} THEN stores.latitude       END,
+           longitude      = CASE WHEN ${KEEP_GEOCODE} THEN stores.longitude      END,
+           geocode_source = CASE WHEN ${KEEP_GEOCODE} THEN stores.geocode_source END,
+           rep_id         = CASE WHEN EXCLUDED.zoho_rep_id IS NOT DISTINCT FROM stores.zoho_rep_id
+                                 THEN stores.rep_id ELSE EXCLUDED.rep_id END,
+           zoho_rep_id    = EXCLUDED.zoho_rep_id,
            last_synced_at = NOW()
          RETURNING id, name, zoho_contact_id, rep_id, is_prospect, (xmax = 0) AS is_new_insert`,
-        [zohoContactId, name, channelType, zohoGrade, state, postcode, repId]
+        [zohoContactId, name, channelType, zohoGrade, state, postcode, repId, suburb]
       );
 
       upserted++;
 
+      if (row.is_new_insert) {
+        await recordAssignment(db, { storeId: row.id, repId: row.rep_id, source: 'zoho_sync' });
+      } else if (row.rep_id !== previousRep.get(zohoContactId)) {
+        await recordAssignment(db, {
+          storeId: row.id, repId: row.rep_id, previousRepId: previousRep.get(zohoContactId),
+          effectiveFrom: today, source: 'zoho_sync',
+        });
+        reassigned++;
+      }
+
       if (row.is_new_insert && row.is_prospect) {
         newProspects.push(row);
       }
@@ -289,6 +358,11 @@ async function syncStores({ force = false } = {}) {
     if (newProspects.length > 0) {
       console.log(`[sync] ${newProspects.length} new store(s) added as prospects (no Zoho grade)`);
     }
+    if (reassigned > 0) {
+      console.log(`[sync] ${reassigned} store(s) changed rep in Zoho`);
+    }
+
+    await geocodeStores();
 
     await completeSyncLog(logId, upserted);
     _markSyncDone('stores');
@@ -301,12 +375,291 @@ async function syncStores({ force = false } = {}) {
   }
 }
 
+// ── Invoice + credit note upserts ─────────────────────────────────────────────
+
+/**
+ * Upsert a batch of raw Zoho invoices in one transaction.
+ * Line items are replaced only when the response carries them, so an
+ * incremental pull from a list endpoint never wipes previously stored lines.
+ */
+async function _upsertInvoices(invoices) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const inv of invoices) {
+      if (!inv.invoice_id || !inv.date) continue;
+      const invoiceId = String(inv.invoice_id);
+
+      await client.query(
+        `INSERT INTO zoho_invoices
+           (invoice_id, invoice_number, customer_id, customer_name, salesperson_name,
+            status, date, total, sub_total, tax_total, last_modified_time, synced_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+         ON CONFLICT (invoice_id) DO UPDATE SET
+           invoice_number     = EXCLUDED.invoice_number,
+           customer_id        = EXCLUDED.customer_id,
+           customer_name      = EXCLUDED.customer_name,
+           salesperson_name   = EXCLUDED.salesperson_name,
+           status             = EXCLUDED.status,
+           date               = EXCLUDED.date,
+           total              = EXCLUDED.total,
+           sub_total          = EXCLUDED.sub_total,
+           tax_total          = EXCLUDED.tax_total,
+           last_modified_time = EXCLUDED.last_modified_time,
+           synced_at          = NOW()`,
+        [
+          invoiceId,
+          inv.invoice_number || null,
+          inv.customer_id ? String(inv.customer_id) : null,
+          inv.customer_name || null,
+          inv.salesperson_name || null,
+          inv.status || null,
+          inv.date,
+          Number(inv.total || 0),
+          inv.sub_total ?? null,
+          inv.tax_total ?? null,
+          inv.last_modified_time || null,
+        ]
+      );
+
+      if (Array.isArray(inv.line_items)) {
+        await client.query(`DELETE FROM zoho_invoice_line_items WHERE invoice_id = $1`, [invoiceId]);
+        let position = 1;
+        for (const line of inv.line_items) {
+          await client.query(
+            `INSERT INTO zoho_invoice_line_items
+               (invoice_id, line_item_id, item_id, name, sku, quantity, rate, item_total, position)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+              invoiceId,
+              line.line_item_id ? String(line.line_item_id) : null,
+              line.item_id ? String(line.item_id) : null,
+              line.name || line.item_name || null,
+              line.sku || null,
+              Number(line.quantity || 0),
+              line.rate ?? null,
+              Number(line.item_total || 0),
+              position++,
+            ]
+          );
+        }
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Upsert a batch of raw Zoho credit notes in one transaction. */
+async function _upsertCreditNotes(creditNotes) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const cn of creditNotes) {
+      if (!cn.creditnote_id || !cn.date) continue;
+      await client.query(
+        `INSERT INTO zoho_credit_notes
+           (creditnote_id, creditnote_number, customer_id, customer_name, salesperson_name,
+            status, date, total, last_modified_time, synced_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+         ON CONFLICT (creditnote_id) DO UPDATE SET
+           creditnote_number  = EXCLUDED.creditnote_number,
+           customer_id        = EXCLUDED.customer_id,
+           customer_name      = EXCLUDED.customer_name,
+           salesperson_name   = EXCLUDED.salesperson_name,
+           status             = EXCLUDED.status,
+           date               = EXCLUDED.date,
+           total              = EXCLUDED.total,
+           last_modified_time = EXCLUDED.last_modified_time,
+           synced_at          = NOW()`,
+        [
+          String(cn.creditnote_id),
+          cn.creditnote_number || null,
+          cn.customer_id ? String(cn.customer_id) : null,
+          cn.customer_name || null,
+          cn.salesperson_name || null,
+          cn.status || null,
+          cn.date,
+          Number(cn.total || 0),
+          cn.last_modified_time || null,
+        ]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── syncInvoices() / syncCreditNotes() ────────────────────────────────────────
+
+const DOCUMENT_TYPES = {
+  invoices: {
+    endpoint:  '/invoices',
+    arrayKey:  'invoices',
+    idField:   'invoice_id',
+    table:     'zoho_invoices',
+    idColumn:  'invoice_id',
+    cursorKey: INVOICE_CURSOR_KEY,
+    upsert:    _upsertInvoices,
+  },
+  creditnotes: {
+    endpoint:  '/creditnotes',
+    arrayKey:  'creditnotes',
+    idField:   'creditnote_id',
+    table:     'zoho_credit_notes',
+    idColumn:  'creditnote_id',
+    cursorKey: CREDIT_NOTE_CURSOR_KEY,
+    upsert:    _upsertCreditNotes,
+  },
+};
+
+// One in-flight sync per document type — concurrent callers share the promise
+const _syncInFlight = {};
+
+// Set once a type has completed its first backfill (cursor exists)
+const _storeReady = {};
+
+async function _isStoreReady(type) {
+  if (_storeReady[type]) return true;
+  const cursor = await _getCursor(DOCUMENT_TYPES[type].cursorKey);
+  if (cursor) _storeReady[type] = true;
+  return !!cursor;
+}
+
+async function _runDocumentSync(type, full) {
+  const cfg    = DOCUMENT_TYPES[type];
+  const cursor = full ? null : await _getCursor(cfg.cursorKey);
+  const logId  = await startSyncLog(type);
+
+  try {
+    let docs;
+    let window = null;
+
+    if (cursor) {
+      console.log(`[sync] Incremental ${type} sync — modified since ${cursor}`);
+      docs = await fetchAllPages(cfg.endpoint, cfg.arrayKey, { last_modified_time: cursor });
+    } else {
+      window = _backfillWindow(BACKFILL_MONTHS);
+      console.log(`[sync] Full ${type} sync — ${window.fromDate} to ${window.toDate}`);
+      docs = await fetchAllPages(cfg.endpoint, cfg.arrayKey, {
+        date_start: window.fromDate,
+        date_end:   window.toDate,
+      });
+    }
+
+    for (let i = 0; i < docs.length; i += 200) {
+      await cfg.upsert(docs.slice(i, i + 200));
+    }
+
+    // A full pull is authoritative for its window: anything Zoho no longer
+    // returns there has been deleted and must not keep counting as revenue.
+    // An empty response is never trusted to wipe the window.
+    if (window && docs.length) {
+      const ids = docs.map((d) => String(d[cfg.idField]));
+      const { rowCount } = await db.query(
+        `DELETE FROM ${cfg.table}
+         WHERE date BETWEEN $1 AND $2 AND NOT (${cfg.idColumn} = ANY($3))`,
+        [window.fromDate, window.toDate, ids]
+      );
+      if (rowCount) console.log(`[sync] Removed ${rowCount} ${type} no longer in Zoho`);
+    }
+
+    const nextCursor =
+      (await _maxModifiedTime(cfg.table)) ||
+      `${new Date().toISOString().slice(0, 19)}+0000`;
+    await _setCursor(cfg.cursorKey, nextCursor);
+    _storeReady[type] = true;
+
+    await completeSyncLog(logId, docs.length);
+    _markSyncDone(type);
+
+    // New invoices can clear churn / lapsed alerts straight away
+    if (type === 'invoices' && docs.length) {
+      await autoResolveAlerts().catch((err) =>
+        console.error('[sync] Alert auto-resolve failed:', err.message)
+      );
+    }
+    console.log(`[sync] ${type} sync complete — ${docs.length} upserted`);
+    return { upserted: docs.length, full: !!window };
+  } catch (err) {
+    await failSyncLog(logId, err.message);
+    console.error(`[sync] ${type} sync failed:`, err.message);
+    throw err;
+  }
+}
+
+// Whether the in-flight sync is a full pull, and a full pull waiting for it
+const _syncInFlightFull = {};
+const _fullSyncQueued = {};
+
+/**
+ * Start a sync, or join one already running. A full pull is never answered
+ * by a running incremental one: it is queued behind it instead, and callers
+ * asking for a full pull meanwhile share the queued one.
+ */
+function _syncDocuments(type, { full = false } = {}) {
+  if (!_syncInFlight[type]) {
+    _syncInFlightFull[type] = full;
+    _syncInFlight[type] = _runDocumentSync(type, full).finally(() => {
+      delete _syncInFlight[type];
+    });
+    return _syncInFlight[type];
+  }
+  if (!full || _syncInFlightFull[type]) return _syncInFlight[type];
+
+  if (!_fullSyncQueued[type]) {
+    _fullSyncQueued[type] = _syncInFlight[type]
+      .catch(() => {})
+      .then(() => {
+        delete _fullSyncQueued[type];
+        return _syncDocuments(type, { full: true });
+      });
+  }
+  return _fullSyncQueued[type];
+}
+
+/**
+ * Pull invoices (with line items) from Zoho into zoho_invoices.
+ * Incremental on last_modified_time once the first backfill has completed;
+ * pass { full: true } to re-pull the whole BACKFILL_MONTHS window.
+ */
+function syncInvoices(opts) {
+  return _syncDocuments('invoices', opts);
+}
+
+/** Pull credit notes from Zoho into zoho_credit_notes. Same semantics as syncInvoices(). */
+function syncCreditNotes(opts) {
+  return _syncDocuments('creditnotes', opts);
+}
+
+/**
+ * Resolves true once the local store for a document type can serve reads.
+ * On a brand-new database the first backfill may already be running — wait
+ * for it rather than starting a second, parallel Zoho fetch.
+ */
+async function _waitForStore(type) {
+  if (await _isStoreReady(type)) return true;
+  if (_syncInFlight[type]) {
+    await _syncInFlight[type].catch(() => {});
+    return _isStoreReady(type);
+  }
+  return false;
+}
+
 // ── fetchInvoices(fromDate, toDate, extraParams?) ─────────────────────────────
 
 /**
- * Internal: fetch invoices directly from Zoho without any cache interaction.
- * Deduplicates sent + paid results. Used by fetchInvoices() and
- * refreshInvoiceCacheInBackground() to share the same fetch logic.
+ * Internal: fetch invoices directly from Zoho, bypassing the local store.
+ * Deduplicates sent + paid results. Only used before the first backfill has
+ * completed, or for filters the local store can't answer.
  */
 async function _fetchInvoicesFromZoho(fromDate, toDate, extraParams = {}) {
   console.log(`[sync] fetchInvoices fetching from Zoho — ${fromDate} to ${toDate}`);
@@ -334,65 +687,72 @@ async function _fetchInvoicesFromZoho(fromDate, toDate, extraParams = {}) {
   return all;
 }
 
-// Track in-progress background refreshes to prevent stampedes
-const _backgroundRefreshing = new Set();
-
 /**
- * Refresh the invoice cache for a date range WITHOUT clearing existing data first.
- * The stale cache entry keeps serving dashboard requests during the ~60s Zoho fetch.
- * Once the fetch completes the cache is atomically updated with fresh data.
- *
- * This avoids the "cache gap" that occurs when the cache is cleared before a
- * background fetch, leaving dashboard requests with no data for up to 60 seconds.
+ * Internal: read invoices from zoho_invoices, rebuilding the line_items array
+ * so callers receive the same shape as a raw Zoho invoice.
  */
-async function refreshInvoiceCacheInBackground(fromDate, toDate) {
-  const key = `${fromDate}::${toDate}`;
-  if (_backgroundRefreshing.has(key)) {
-    console.log(`[sync] Background refresh already in progress for ${key} — skipping`);
-    return;
-  }
-  _backgroundRefreshing.add(key);
-  try {
-    const all = await _fetchInvoicesFromZoho(fromDate, toDate);
-    _setCachedInvoices(fromDate, toDate, all);
-    console.log(`[sync] fetchInvoices cached — ${all.length} invoices`);
-    return all;
-  } finally {
-    _backgroundRefreshing.delete(key);
+async function _readInvoices(fromDate, toDate, customerId) {
+  const params = [fromDate, toDate, EXCLUDED_STATUSES];
+  let customerFilter = '';
+  if (customerId) {
+    params.push(String(customerId));
+    customerFilter = `AND i.customer_id = $${params.length}`;
   }
+
+  const { rows } = await db.query(
+    `SELECT i.invoice_id, i.invoice_number, i.customer_id, i.customer_name,
+            i.salesperson_name, i.status,
+            to_char(i.date, 'YYYY-MM-DD') AS date,
+            i.total::FLOAT8     AS total,
+            i.sub_total::FLOAT8 AS sub_total,
+            i.tax_total::FLOAT8 AS tax_total,
+            i.last_modified_time,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                       'line_item_id', li.line_item_id,
+                       'item_id',      li.item_id,
+                       'name',         li.name,
+                       'item_name',    li.name,
+                       'sku',          li.sku,
+                       'quantity',     li.quantity::FLOAT8,
+                       'rate',         li.rate::FLOAT8,
+                       'item_total',   li.item_total::FLOAT8
+                     ) ORDER BY li.position)
+              FROM zoho_invoice_line_items li
+              WHERE li.invoice_id = i.invoice_id
+            ), '[]'::json) AS line_items
+     FROM zoho_invoices i
+     WHERE i.date BETWEEN $1 AND $2
+       AND COALESCE(i.status, '') <> ALL($3)
+       ${customerFilter}
+     ORDER BY i.date DESC, i.invoice_id`,
+    params
+  );
+  return rows;
 }
 
 /**
- * Fetch invoices with status 'sent' or 'paid' within the given date range.
- * Returns raw invoice objects — not stored locally.
+ * Fetch invoices within the given date range from the local store.
+ * Falls back to a live Zoho fetch until the first backfill has completed.
  *
  * Each invoice contains (at minimum):
- *   invoice_id, customer_id, salesperson_name, date, sub_total (ex-GST), total (inc-GST), line_items[]
- *   Use sub_total for all revenue calculations — it is the ex-GST amount.
+ *   invoice_id, customer_id, salesperson_name, date, total (inc-GST), line_items[]
+ *   Use invAmount() for all revenue calculations — it returns the ex-GST amount.
  *
  * @param {string} fromDate    – 'YYYY-MM-DD'
  * @param {string} toDate      – 'YYYY-MM-DD'
- * @param {object} extraParams – optional extra Zoho query params (e.g. { customer_id })
+ * @param {object} extraParams – optional filters; { customer_id } is served locally,
+ *                               anything else goes to Zoho
  */
 async function fetchInvoices(fromDate, toDate, extraParams = {}) {
-  // Use cache for unfiltered (full-range) calls — these are the expensive ones
-  const useCache = Object.keys(extraParams).length === 0;
-  if (useCache) {
-    const cached = _getCachedInvoices(fromDate, toDate);
-    if (cached) {
-      console.log(`[sync] fetchInvoices cache hit — ${fromDate} to ${toDate} (${cached.length} invoices)`);
-      return cached;
-    }
-  }
-
-  const all = await _fetchInvoicesFromZoho(fromDate, toDate, extraParams);
+  const { customer_id: customerId, ...otherParams } = extraParams;
+  const servableLocally = Object.keys(otherParams).length === 0;
 
-  if (useCache) {
-    _setCachedInvoices(fromDate, toDate, all);
-    console.log(`[sync] fetchInvoices cached — ${all.length} invoices`);
+  if (servableLocally && await _waitForStore('invoices')) {
+    return _readInvoices(fromDate, toDate, customerId);
   }
 
-  return all;
+  return _fetchInvoicesFromZoho(fromDate, toDate, extraParams);
 }
 
 // ── fetchSalesOrders(fromDate, toDate, extraParams?) ──────────────────────────
@@ -441,48 +801,13 @@ async function fetchSalesOrders(fromDate, toDate, extraParams = {}) {
 // ── fetchCreditNotes(fromDate, toDate) ────────────────────────────────────────
 
 /**
- * In-memory cache for credit notes — same pattern as invoice cache.
- * Credit notes reduce revenue; they are fetched alongside invoices and
- * stored with the same 18-month date window.
+ * Internal: fetch credit notes (open + closed) directly from Zoho.
+ * Void/draft credit notes are excluded — they have no revenue impact.
  */
-const _creditNoteCache = new Map();
-const CREDIT_NOTE_CACHE_TTL = 60 * 60 * 1000; // 60 minutes
-
-function _getCachedCreditNotes(fromDate, toDate) {
-  const key   = `${fromDate}::${toDate}`;
-  const entry = _creditNoteCache.get(key);
-  if (!entry || Date.now() - entry.ts > CREDIT_NOTE_CACHE_TTL) {
-    _creditNoteCache.delete(key);
-    return null;
-  }
-  return entry.data;
-}
-
-function _setCachedCreditNotes(fromDate, toDate, data) {
-  _creditNoteCache.set(`${fromDate}::${toDate}`, { data, ts: Date.now() });
-}
-
-/**
- * Fetch credit notes (open + closed) within the given date range from Zoho.
- * Credit notes represent refunds / adjustments that reduce gross revenue.
- * Cached for 60 minutes using the same TTL as invoice cache.
- *
- * @param {string} fromDate – 'YYYY-MM-DD'
- * @param {string} toDate   – 'YYYY-MM-DD'
- * @returns {Array} raw Zoho creditnote objects (each has customer_id, salesperson_name, date, total)
- */
-async function fetchCreditNotes(fromDate, toDate) {
-  const cached = _getCachedCreditNotes(fromDate, toDate);
-  if (cached) {
-    console.log(`[sync] fetchCreditNotes cache hit — ${fromDate} to ${toDate} (${cached.length} notes)`);
-    return cached;
-  }
-
+async function _fetchCreditNotesFromZoho(fromDate, toDate) {
   console.log(`[sync] fetchCreditNotes fetching from Zoho — ${fromDate} to ${toDate}`);
   const baseParams = { date_start: fromDate, date_end: toDate };
 
-  // Fetch open (partially applied) and closed (fully applied) credit notes.
-  // Void/draft credit notes are excluded — they have no revenue impact.
   const [open, closed] = await Promise.all([
     fetchAllPages('/creditnotes', 'creditnotes', { ...baseParams, status: 'open'   }),
     fetchAllPages('/creditnotes', 'creditnotes', { ...baseParams, status: 'closed' }),
@@ -496,12 +821,38 @@ async function fetchCreditNotes(fromDate, toDate) {
       all.push(cn);
     }
   }
-
-  _setCachedCreditNotes(fromDate, toDate, all);
-  console.log(`[sync] fetchCreditNotes cached — ${all.length} credit notes`);
   return all;
 }
 
+/**
+ * Fetch credit notes within the given date range from the local store.
+ * Credit notes represent refunds / adjustments that reduce gross revenue.
+ * Falls back to a live Zoho fetch until the first backfill has completed.
+ *
+ * @param {string} fromDate – 'YYYY-MM-DD'
+ * @param {string} toDate   – 'YYYY-MM-DD'
+ * @returns {Array} creditnote objects (each has customer_id, salesperson_name, date, total)
+ */
+async function fetchCreditNotes(fromDate, toDate) {
+  if (!(await _waitForStore('creditnotes'))) {
+    return _fetchCreditNotesFromZoho(fromDate, toDate);
+  }
+
+  const { rows } = await db.query(
+    `SELECT creditnote_id, creditnote_number, customer_id, customer_name,
+            salesperson_name, status,
+            to_char(date, 'YYYY-MM-DD') AS date,
+            total::FLOAT8 AS total,
+            last_modified_time
+     FROM zoho_credit_notes
+     WHERE date BETWEEN $1 AND $2
+       AND COALESCE(status, '') <> ALL($3)
+     ORDER BY date DESC, creditnote_id`,
+    [fromDate, toDate, EXCLUDED_STATUSES]
+  );
+  return rows;
+}
+
 // ── fetchSalesByPersonReport(fromDate, toDate) ────────────────────────────────
 //
 // Zoho Books Reports API: GET /reports/salesbysalesperson
@@ -567,7 +918,7 @@ function buildSalesMap(rows) {
 let _schedulerStarted = false;
 
 /**
- * Start the 60-minute background store sync.
+ * Start the 60-minute background sync (stores, invoices, credit notes).
  * Safe to call multiple times — only the first call has effect.
  */
 function startScheduler() {
@@ -576,49 +927,40 @@ function startScheduler() {
 
   const SIXTY_MIN = 60 * 60 * 1000;
 
-  // Helper to compute a month window ending at the last day of the current month.
-  // n=18 covers the team dashboard's 18-month history window.
-  // Both rep (13m) and team (18m) dashboards share this single cache key.
-  function getMonthWindow(n) {
+  // Current month + YTD windows for the sales-by-salesperson report pre-warm.
+  function getReportWindows() {
     const now   = new Date();
     const toD   = new Date(now.getFullYear(), now.getMonth() + 1, 0); // last day of current month
-    const fromD = new Date(now.getFullYear(), now.getMonth() - (n - 1), 1);
     const pad   = x => String(x).padStart(2, '0');
     return {
-      fromDate: `${fromD.getFullYear()}-${pad(fromD.getMonth() + 1)}-01`,
-      toDate:   `${toD.getFullYear()}-${pad(toD.getMonth() + 1)}-${pad(toD.getDate())}`,
+      monthStart: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-01`,
+      yearStart:  `${now.getFullYear()}-01-01`,
+      toDate:     `${toD.getFullYear()}-${pad(toD.getMonth() + 1)}-${pad(toD.getDate())}`,
     };
   }
 
-  // 30 seconds after startup: run store sync AND start invoice pre-warm in parallel.
-  // Previously these were sequential (sync first, then invoice fetch), adding ~20s
-  // to the cold-start window. Running in parallel means the cache is warm ~60s
-  // after startup instead of ~100s, so fewer dashboard loads race the pre-warm.
-  setTimeout(() => {
-    // Store sync — fire-and-forget (doesn't block invoice pre-warm)
+  // 30 seconds after startup: store sync and the invoice / credit note syncs run
+  // in parallel. Invoices already in Postgres keep serving every read while the
+  // incremental pull runs, so a restart no longer blanks the dashboard. Only a
+  // brand-new database pays for the full BACKFILL_MONTHS fetch.
+  // All scheduler calls are attributed to the 'sync' subsystem for API budgeting.
+  setTimeout(() => withZohoSubsystem('sync', () => {
     console.log('[scheduler] Running initial store sync');
     syncStores({ force: true }).catch((err) =>
       console.error('[scheduler] Initial store sync failed:', err.message)
     );
 
-    // Invoice + credit note cache pre-warm — both start immediately alongside store sync.
-    // Covers both the team dashboard (18m history) and rep dashboard (13m subset).
-    // NOTE: grading uses a separate 24m window and manages its own fetch with timeout.
-    console.log('[scheduler] Pre-warming 18m invoice + credit note caches...');
-    const { fromDate, toDate } = getMonthWindow(18);
-    fetchInvoices(fromDate, toDate)
-      .then(inv => console.log(`[scheduler] Invoice cache warm — ${inv.length} invoices`))
-      .catch((err) => console.error('[scheduler] Invoice cache pre-warm (18m) failed:', err.message));
-    fetchCreditNotes(fromDate, toDate)
-      .then(cns => console.log(`[scheduler] Credit note cache warm — ${cns.length} notes`))
-      .catch((err) => console.error('[scheduler] Credit note pre-warm (18m) failed:', err.message));
+    console.log('[scheduler] Running initial invoice + credit note sync');
+    syncInvoices().catch((err) =>
+      console.error('[scheduler] Initial invoice sync failed:', err.message)
+    );
+    syncCreditNotes().catch((err) =>
+      console.error('[scheduler] Initial credit note sync failed:', err.message)
+    );
 
     // Pre-warm sales-by-salesperson reports for current month and YTD.
     // These give exact ex-GST revenue figures for the leaderboard.
-    const pad        = x => String(x).padStart(2, '0');
-    const now        = new Date();
-    const monthStart = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-01`;
-    const yearStart  = `${now.getFullYear()}-01-01`;
+    const { monthStart, yearStart, toDate } = getReportWindows();
     fetchSalesByPersonReport(monthStart, toDate)
       .then(r => console.log(`[scheduler] Sales report (month) warm — ${r.length} rows`))
       .catch((err) => console.error('[scheduler] Sales report (month) pre-warm failed:', err.message));
@@ -630,9 +972,9 @@ function startScheduler() {
     fetchItemBrandMap().catch((err) =>
       console.error('[scheduler] Item brand map pre-warm failed:', err.message)
     );
-  }, 30_000);
+  }), 30_000);
 
-  setInterval(async () => {
+  setInterval(() => withZohoSubsystem('sync', async () => {
     console.log('[scheduler] Running scheduled store sync');
     try {
       await syncStores({ force: true });
@@ -640,32 +982,23 @@ function startScheduler() {
       console.error('[scheduler] Scheduled store sync failed:', err.message);
     }
 
-    // Refresh 18m invoice cache each hour WITHOUT clearing first.
-    // Old data stays in cache and serves dashboard requests during the ~60s
-    // Zoho fetch. Cache is atomically updated once new data arrives.
-    // (Previously: invalidateInvoiceCache() + fetchInvoices() caused a ~60s
-    //  window where the cache was empty → dashboard timeouts → $0 revenue.)
-    console.log('[scheduler] Refreshing invoice + credit note caches (gap-free)...');
-    const { fromDate, toDate } = getMonthWindow(18);
-    refreshInvoiceCacheInBackground(fromDate, toDate).catch((err) =>
-      console.error('[scheduler] Invoice cache refresh (18m) failed:', err.message)
+    // Incremental pulls — only documents modified since the last cursor.
+    console.log('[scheduler] Running incremental invoice + credit note sync');
+    syncInvoices().catch((err) =>
+      console.error('[scheduler] Scheduled invoice sync failed:', err.message)
     );
-    // Credit notes: replace cache each hour (they're few in number, fast to fetch)
-    fetchCreditNotes(fromDate, toDate).catch((err) =>
-      console.error('[scheduler] Credit note cache refresh (18m) failed:', err.message)
+    syncCreditNotes().catch((err) =>
+      console.error('[scheduler] Scheduled credit note sync failed:', err.message)
     );
 
     // Refresh sales-by-salesperson reports (invalidate stale entries then re-fetch)
-    const _pad        = x => String(x).padStart(2, '0');
-    const _now        = new Date();
-    const _monthStart = `${_now.getFullYear()}-${_pad(_now.getMonth() + 1)}-01`;
-    const _yearStart  = `${_now.getFullYear()}-01-01`;
-    _salesReportCache.delete(`${_monthStart}::${toDate}`);
-    _salesReportCache.delete(`${_yearStart}::${toDate}`);
-    fetchSalesByPersonReport(_monthStart, toDate).catch((err) =>
+    const { monthStart, yearStart, toDate } = getReportWindows();
+    _salesReportCache.delete(`${monthStart}::${toDate}`);
+    _salesReportCache.delete(`${yearStart}::${toDate}`);
+    fetchSalesByPersonReport(monthStart, toDate).catch((err) =>
       console.error('[scheduler] Sales report (month) refresh failed:', err.message)
     );
-    fetchSalesByPersonReport(_yearStart, toDate).catch((err) =>
+    fetchSalesByPersonReport(yearStart, toDate).catch((err) =>
       console.error('[scheduler] Sales report (YTD) refresh failed:', err.message)
     );
 
@@ -674,27 +1007,29 @@ function startScheduler() {
     fetchItemBrandMap().catch((err) =>
       console.error('[scheduler] Item brand map refresh failed:', err.message)
     );
-  }, SIXTY_MIN);
+  }), SIXTY_MIN);
 
-  console.log('[scheduler] Store sync scheduled — runs every 60 minutes');
+  console.log('[scheduler] Zoho sync scheduled — runs every 60 minutes');
 }
 
 // ── Timeout-safe invoice fetch (for callers outside grading) ─────────────────
-// Wraps fetchInvoices with a timeout so a slow/hanging Zoho response never
-// blocks the dashboard. Falls back to [] on timeout or error.
+// Wraps fetchInvoices with a timeout so a slow read never blocks the
+// dashboard. Reads normally come from Postgres and return in well under a
+// second; the long timeout only matters before the first backfill, when
+// fetchInvoices falls back to a live Zoho fetch.
 
-const DASHBOARD_FETCH_TIMEOUT_MS = 120_000; // 120s — cache hit is instant; cold fetch of 18m data needs up to 90s
+const DASHBOARD_FETCH_TIMEOUT_MS = 120_000; // 120s — cold Zoho fallback of 18m data needs up to 90s
 
 function fetchInvoicesWithTimeout(fromDate, toDate, timeoutMs = DASHBOARD_FETCH_TIMEOUT_MS) {
   const timer = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error(`Zoho invoice fetch timed out after ${timeoutMs / 1000}s`)), timeoutMs)
+    setTimeout(() => reject(new Error(`Invoice fetch timed out after ${timeoutMs / 1000}s`)), timeoutMs)
   );
   return Promise.race([fetchInvoices(fromDate, toDate), timer]);
 }
 
 /**
  * Fetch credit notes with a timeout. Falls back to [] on timeout/error.
- * Used by the dashboard to avoid blocking on slow Zoho responses.
+ * Used by the dashboard to avoid blocking on slow reads.
  */
 function fetchCreditNotesWithTimeout(fromDate, toDate, timeoutMs = DASHBOARD_FETCH_TIMEOUT_MS) {
   const timer = new Promise((_, reject) =>
@@ -703,28 +1038,46 @@ function fetchCreditNotesWithTimeout(fromDate, toDate, timeoutMs = DASHBOARD_FET
   return Promise.race([fetchCreditNotes(fromDate, toDate), timer]);
 }
 
-/** Returns a summary of the current invoice cache state (safe for diagnostics). */
-function getInvoiceCacheStats() {
-  const entries = [];
-  for (const [key, entry] of _invoiceCache.entries()) {
-    const ageMs  = Date.now() - entry.ts;
-    const ttlMs  = INVOICE_CACHE_TTL - ageMs;
-    entries.push({
-      key,
-      invoice_count: entry.data.length,
-      age_seconds:   Math.round(ageMs / 1000),
-      ttl_seconds:   Math.round(Math.max(0, ttlMs) / 1000),
-      expires_at:    new Date(entry.ts + INVOICE_CACHE_TTL).toISOString(),
-    });
+/** Returns a summary of the local invoice store (safe for diagnostics). */
+async function getInvoiceStoreStats() {
+  const out = {};
+  for (const [type, cfg] of Object.entries(DOCUMENT_TYPES)) {
+    const [{ rows: [counts] }, { rows: [lastSync] }, cursor] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*)::INTEGER AS count,
+                to_char(MIN(date), 'YYYY-MM-DD') AS earliest,
+                to_char(MAX(date), 'YYYY-MM-DD') AS latest
+         FROM ${cfg.table}`
+      ),
+      db.query(
+        `SELECT status, started_at, completed_at, records_processed, error_message
+         FROM zoho_sync_log WHERE sync_type = $1
+         ORDER BY started_at DESC LIMIT 1`,
+        [type]
+      ),
+      _getCursor(cfg.cursorKey),
+    ]);
+    out[type] = {
+      ...counts,
+      cursor,
+      backfilled:   !!cursor,
+      sync_running: !!_syncInFlight[type],
+      last_sync:    lastSync || null,
+    };
   }
-  return { entries, total_keys: entries.length };
+  const { rows: [lines] } = await db.query(
+    `SELECT COUNT(*)::INTEGER AS count FROM zoho_invoice_line_items`
+  );
+  out.invoices.line_item_count = lines.count;
+  return out;
 }
 
 module.exports = {
   syncStores,
+  syncInvoices,
+  syncCreditNotes,
   fetchInvoices,
   fetchInvoicesWithTimeout,
-  refreshInvoiceCacheInBackground,
   fetchCreditNotes,
   fetchCreditNotesWithTimeout,
   fetchSalesByPersonReport,
@@ -734,6 +1087,5 @@ module.exports = {
   invAmount,
   startScheduler,
   isSyncRecentEnough,
-  invalidateInvoiceCache,
-  getInvoiceCacheStats,
+  getInvoiceStoreStats,
 };
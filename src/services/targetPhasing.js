@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * Target phasing: an annual or quarterly number per rep or brand, spread across
+ * its months as revenue_targets / brand_targets rows.
+ *
+ * Templates:
+ *   prior_year – the same months last year, from the invoice store. Reps go by
+ *                store ownership on the invoice date (territory.js), brands by
+ *                line items. One with no revenue then takes the company's shape.
+ *   seasonal   – a fixed gift-retail shape: quiet January and February, Q4 peak
+ *   even       – the same every month
+ *
+ * Months are whole dollars and always add up to the amount entered. Saving
+ * writes a target_audit_log row for every month that changes.
+ *
+ * Exports:
+ *   TEMPLATES, SEASONAL_WEIGHTS
+ *   periodMonths(year, quarter?)        → ['YYYY-MM', …]
+ *   brandList()                         → [{ slug, name }] from the Zoho item catalog
+ *   phaseAmount(amount, weights)        → whole-dollar amounts, one per weight
+ *   parsePhasing(body)                  → { phasing } | { error }
+ *   previewPhasing(phasing)             → { months, rows, totals }
+ *   applyPhasing(phasing, userId)       → { saved, unchanged, rows }
+ *   reconcileTargets(months, opts)      → rep vs brand vs company totals by month
+ */
+
+const db = require('../db');
+const { fetchInvoices, fetchItemBrandMap, invAmount } = require('./sync');
+const { buildBrandTotals, slugify } = require('./dashboard');
+const { loadOwnership, invoicesForRep } = require('./territory');
+
+const TEMPLATES = ['prior_year', 'seasonal', 'even'];
+const KINDS     = ['rep', 'brand'];
+const MAX_ENTRIES = 100;
+const SLUG_RE   = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+//                         Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec
+const SEASONAL_WEIGHTS = [   7,  7,  8,  8,  8,  8,  7,  8,  8,  9, 10, 12];
+
+// Totals within a dollar of each other reconcile (phasing rounds to dollars)
+const RECONCILE_TOLERANCE = 1;
+
+// ── Months and weights ────────────────────────────────────────────────────────
+
+/** The 12 months of a year, or the 3 of one calendar quarter. */
+function periodMonths(year, quarter = null) {
+  const first = quarter ? (quarter - 1) * 3 + 1 : 1;
+  const count = quarter ? 3 : 12;
+  return Array.from({ length: count }, (_, i) => `${year}-${String(first + i).padStart(2, '0')}`);
+}
+
+const monthIndex = (ym) => Number(ym.slice(5, 7)) - 1;
+const lastYear   = (ym) => `${Number(ym.slice(0, 4)) - 1}${ym.slice(4)}`;
+
+/**
+ * Split `amount` (rounded to dollars) in proportion to `weights`, handing the
+ * dollars lost to rounding to the months with the largest remainders. All-zero
+ * weights split evenly.
+ */
+function phaseAmount(amount, weights) {
+  const dollars = Math.round(amount);
+  const total = weights.reduce((s, w) => s + w, 0);
+  const shares = weights.map((w) => (total > 0 ? (dollars * w) / total : dollars / weights.length));
+  const out = shares.map(Math.floor);
+  let left = dollars - out.reduce((s, v) => s + v, 0);
+  const byRemainder = shares
+    .map((share, i) => ({ i, rest: share - out[i] }))
+    .sort((a, b) => b.rest - a.rest || a.i - b.i);
+  for (const { i } of byRemainder) {
+    if (left <= 0) break;
+    out[i]++;
+    left--;
+  }
+  return out;
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a preview / apply body:
+ *   { kind: 'rep' | 'brand', year, quarter?: 1-4, template?: 'prior_year' (default),
+ *     entries: [{ rep_id | brand_slug, amount }], company_total? }
+ * `amount` is the total for the year, or for the quarter when one is given.
+ */
+function parsePhasing(body) {
+  const kind = body.kind;
+  if (!KINDS.includes(kind)) return { error: 'kind must be rep or brand' };
+
+  const year = parseInt(body.year);
+  if (isNaN(year) || year < 2000 || year > 2100) return { error: 'year must be a year like 2026' };
+
+  let quarter = null;
+  if (body.quarter !== undefined && body.quarter !== null && body.quarter !== '') {
+    quarter = parseInt(body.quarter);
+    if (![1, 2, 3, 4].includes(quarter)) return { error: 'quarter must be 1 to 4' };
+  }
+
+  const template = body.template || 'prior_year';
+  if (!TEMPLATES.includes(template)) return { error: `template must be one of ${TEMPLATES.join(', ')}` };
+
+  if (!Array.isArray(body.entries) || !body.entries.length) return { error: 'Add at least one target to phase' };
+  if (body.entries.length > MAX_ENTRIES) return { error: `At most ${MAX_ENTRIES} targets at a time` };
+
+  const entries = [];
+  const seen = new Set();
+  for (const entry of body.entries) {
+    const amount = parseFloat(entry?.amount);
+    if (isNaN(amount) || amount < 0) return { error: 'Each amount must be a non-negative number' };
+
+    let id;
+    if (kind === 'rep') {
+      id = parseInt(entry?.rep_id);
+      if (isNaN(id)) return { error: 'Each entry needs a rep_id' };
+    } else {
+      id = String(entry?.brand_slug || '');
+      if (!SLUG_RE.test(id)) return { error: 'Each entry needs a brand_slug' };
+    }
+    if (seen.has(id)) return { error: `${kind === 'rep' ? 'Rep' : 'Brand'} ${id} is listed twice` };
+    seen.add(id);
+    entries.push({ id, amount });
+  }
+
+  let companyTotal = null;
+  if (body.company_total !== undefined && body.company_total !== null && body.company_total !== '') {
+    companyTotal = parseFloat(body.company_total);
+    if (isNaN(companyTotal) || companyTotal < 0) return { error: 'company_total must be a non-negative number' };
+  }
+
+  return {
+    phasing: { kind, year, quarter, template, months: periodMonths(year, quarter), entries, companyTotal },
+  };
+}
+
+// ── Shapes ────────────────────────────────────────────────────────────────────
+
+/** Last year's revenue in the same months, per entity id and for the company. */
+async function priorYearRevenue(phasing) {
+  const { kind, months, entries } = phasing;
+  const end  = lastYear(months[months.length - 1]);
+  const from = `${lastYear(months[0])}-01`;
+  const to   = `${end}-${new Date(Number(end.slice(0, 4)), Number(end.slice(5, 7)), 0).getDate()}`;
+  const invoices = await fetchInvoices(from, to);
+
+  const sumByMonth = (list) => {
+    const out = months.map(() => 0);
+    for (const inv of list) {
+      const i = months.findIndex((m) => lastYear(m) === (inv.date || '').slice(0, 7));
+      if (i >= 0) out[i] += invAmount(inv);
+    }
+    return out;
+  };
+
+  const byEntity = new Map();
+  if (kind === 'rep') {
+    const ownership = await loadOwnership();
+    const { rows } = await db.query(
+      `SELECT id, name, zoho_salesperson_id, zoho_salesperson_ids FROM users WHERE id = ANY($1::INTEGER[])`,
+      [entries.map((e) => e.id)]
+    );
+    for (const rep of rows) {
+      const spNames = Array.isArray(rep.zoho_salesperson_ids) && rep.zoho_salesperson_ids.length
+        ? rep.zoho_salesperson_ids
+        : [rep.zoho_salesperson_id || rep.name];
+      byEntity.set(rep.id, sumByMonth(invoicesForRep(invoices, ownership, rep.id, spNames)));
+    }
+    return { byEntity, company: sumByMonth(invoices) };
+  }
+
+  const itemBrandMap = await fetchItemBrandMap();
+  const company = months.map(() => 0);
+  for (const [i, m] of months.entries()) {
+    const totals = buildBrandTotals(invoices.filter((inv) => (inv.date || '').slice(0, 7) === lastYear(m)), itemBrandMap);
+    for (const [brand, total] of Object.entries(totals)) {
+      const slug = slugify(brand);
+      if (!byEntity.has(slug)) byEntity.set(slug, months.map(() => 0));
+      byEntity.get(slug)[i] += total;
+      company[i] += total;
+    }
+  }
+  return { byEntity, company };
+}
+
+const hasRevenue = (weights) => weights.some((w) => w > 0);
+
+// ── Preview / apply ───────────────────────────────────────────────────────────
+
+/** Brands in the Zoho item catalog (the names dashboards show) → [{ slug, name }] */
+async function brandList() {
+  const itemBrandMap = await fetchItemBrandMap();
+  const bySlug = new Map();
+  for (const name of itemBrandMap.values()) bySlug.set(slugify(name), name);
+  return [...bySlug].map(([slug, name]) => ({ slug, name })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function entityNames(kind, ids) {
+  if (kind === 'brand') {
+    const brands = await brandList().catch(() => []);
+    return new Map(brands.map((b) => [b.slug, b.name]));
+  }
+  const { rows } = await db.query('SELECT id, name FROM users WHERE id = ANY($1::INTEGER[])', [ids]);
+  return new Map(rows.map((r) => [r.id, r.name]));
+}
+
+async function currentTargets(kind, ids, months, client = db) {
+  const { rows } = kind === 'rep'
+    ? await client.query(
+      'SELECT rep_id AS id, month, amount FROM revenue_targets WHERE rep_id = ANY($1::INTEGER[]) AND month = ANY($2)',
+      [ids, months]
+    )
+    : await client.query(
+      'SELECT brand_slug AS id, month, amount FROM brand_targets WHERE brand_slug = ANY($1) AND month = ANY($2)',
+      [ids, months]
+    );
+  return new Map(rows.map((r) => [`${r.id}|${r.month}`, Number(r.amount)]));
+}
+
+/**
+ * What saving would write: each entry's months with the amount now in place.
+ * @returns {{ months, rows: [{ rep_id | brand_slug, name, amount, shape, months: [{ month, amount, current }] }], totals }}
+ */
+async function previewPhasing(phasing) {
+  const { kind, months, entries, template } = phasing;
+  const ids = entries.map((e) => e.id);
+  const [names, current, prior] = await Promise.all([
+    entityNames(kind, ids),
+    currentTargets(kind, ids, months),
+    template === 'prior_year' ? priorYearRevenue(phasing) : null,
+  ]);
+  const seasonal = months.map((m) => SEASONAL_WEIGHTS[monthIndex(m)]);
+
+  const rows = entries.map(({ id, amount }) => {
+    let shape = template;
+    let weights = template === 'even' ? months.map(() => 1) : seasonal;
+    if (prior) {
+      const own = prior.byEntity.get(id) || [];
+      if (hasRevenue(own)) weights = own;
+      else if (hasRevenue(prior.company)) { weights = prior.company; shape = 'company'; }
+      else shape = 'seasonal';
+    }
+    const phased = phaseAmount(amount, weights);
+    return {
+      [kind === 'rep' ? 'rep_id' : 'brand_slug']: id,
+      name:   names.get(id) || String(id),
+      amount: Math.round(amount),
+      shape,
+      months: months.map((m, i) => ({ month: m, amount: phased[i], current: current.get(`${id}|${m}`) ?? null })),
+    };
+  });
+
+  const totals = months.map((m, i) => ({ month: m, amount: rows.reduce((s, r) => s + r.months[i].amount, 0) }));
+  return { months, rows, totals };
+}
+
+async function applyPhasing(phasing, userId) {
+  const preview = await previewPhasing(phasing);
+  const table = phasing.kind === 'rep' ? 'revenue_targets' : 'brand_targets';
+  const column = phasing.kind === 'rep' ? 'rep_id' : 'brand_slug';
+  let saved = 0, unchanged = 0;
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Re-read under the transaction so the audit log has the value being replaced
+    const current = await currentTargets(phasing.kind, phasing.entries.map((e) => e.id), phasing.months, client);
+
+    for (const row of preview.rows) {
+      const id = row[column];
+      for (const { month, amount } of row.months) {
+        const old = current.get(`${id}|${month}`) ?? null;
+        if (old === amount) { unchanged++; continue; }
+
+        const { rows: [target] } = await client.query(
+          `INSERT INTO ${table} (${column}, month, amount, set_by, updated_at)
+           VALUES ($1, $2, $3, $4, NOW())
+           ON CONFLICT (${column}, month) DO UPDATE
+             SET amount = EXCLUDED.amount,
+                 set_by = EXCLUDED.set_by,
+                 updated_at = NOW()
+           RETURNING id`,
+          [id, month, amount, userId]
+        );
+        await client.query(
+          `INSERT INTO target_audit_log (target_id, target_type, changed_by, old_value, new_value)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [target.id, phasing.kind, userId, old, amount]
+        );
+        saved++;
+      }
+    }
+
+    await client.query('COMMIT');
+    return { saved, unchanged, rows: preview.rows };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Reconciliation ────────────────────────────────────────────────────────────
+
+/**
+ * Do rep targets add up to brand targets month by month, and to the company
+ * total over the period? `pending` is a preview whose amounts replace the saved
+ * ones, so a plan can be checked before it's saved.
+ *
+ * @param {string[]} months
+ * @param {{ companyTotal?: number|null, pending?: { kind, rows } }} opts
+ * @returns {{ months: [{ month, rep_total, brand_total, difference }], totals, reconciled }}
+ */
+async function reconcileTargets(months, { companyTotal = null, pending = null } = {}) {
+  const [reps, brands] = await Promise.all([
+    db.query('SELECT rep_id AS id, month, amount FROM revenue_targets WHERE month = ANY($1)', [months]),
+    db.query('SELECT brand_slug AS id, month, amount FROM brand_targets WHERE month = ANY($1)', [months]),
+  ]);
+
+  const amounts = {
+    rep:   new Map(reps.rows.map((r) => [`${r.id}|${r.month}`, Number(r.amount)])),
+    brand: new Map(brands.rows.map((r) => [`${r.id}|${r.month}`, Number(r.amount)])),
+  };
+  if (pending) {
+    const column = pending.kind === 'rep' ? 'rep_id' : 'brand_slug';
+    for (const row of pending.rows) {
+      for (const m of row.months) amounts[pending.kind].set(`${row[column]}|${m.month}`, m.amount);
+    }
+  }
+
+  const sumFor = (map, month) => {
+    let total = 0;
+    for (const [key, amount] of map) if (key.endsWith(`|${month}`)) total += amount;
+    return total;
+  };
+  const byMonth = months.map((month) => {
+    const rep_total   = sumFor(amounts.rep, month);
+    const brand_total = sumFor(amounts.brand, month);
+    return { month, rep_total, brand_total, difference: rep_total - brand_total };
+  });
+
+  const rep_total   = byMonth.reduce((s, m) => s + m.rep_total, 0);
+  const brand_total = byMonth.reduce((s, m) => s + m.brand_total, 0);
+  const totals = {
+    rep_total,
+    brand_total,
+    company_total:  companyTotal,
+    rep_vs_brand:   rep_total - brand_total,
+    rep_vs_company: companyTotal === null ? null : rep_total - companyTotal,
+  };
+
+  const close = (diff) => Math.abs(diff) < RECONCILE_TOLERANCE;
+  return {
+    months: byMonth,
+    totals,
+    reconciled: byMonth.every((m) => close(m.difference)) && (companyTotal === null || close(totals.rep_vs_company)),
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  SEASONAL_WEIGHTS,
+  periodMonths,
+  brandList,
+  phaseAmount,
+  parsePhasing,
+  previewPhasing,
+  applyPhasing,
+  reconcileTargets,
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Which reps and stores a signed-in user may see (teams, migration 023).
+ *
+ *   executive – everything
+ *   manager   – reps in the teams they manage (plus themselves), those reps'
+ *               stores, and unassigned stores in the teams' states (kept
+ *               upper-case, compared with UPPER(stores.state)). A manager
+ *               with no team sees no one else's data — except before the first
+ *               team exists, when every manager keeps full visibility so the
+ *               change can roll out before teams are set up.
+ *   rep       – themselves
+ *
+ * A scope is { all: true } or { all: false, teamIds, repIds, states }.
+ * Company-wide settings (brand targets, alert rules for everyone, teams) need
+ * an all-seeing scope.
+ *
+ * Exports:
+ *   resolveScope({ userId, role })             → scope
+ *   scopeFor(req)                              → scope for the session, memoised on req
+ *   repInScope(scope, repId)                   → boolean
+ *   storeInScope(scope, store)                 → boolean for { rep_id, state }
+ *   repScopeSql(scope, column, params)         → SQL condition, pushing its params
+ *   storeScopeSql(scope, alias, params)        → SQL condition on alias.rep_id / alias.state
+ */
+
+const db = require('../db');
+
+const ALL = Object.freeze({ all: true });
+
+async function resolveScope({ userId, role }) {
+  if (role === 'executive') return ALL;
+  if (role !== 'manager') return { all: false, teamIds: [], repIds: [userId], states: [] };
+
+  const { rows: [row] } = await db.query(`
+    SELECT
+      (SELECT COUNT(*)::INTEGER FROM teams)                                   AS team_count,
+      COALESCE(array_agg(t.id) FILTER (WHERE t.id IS NOT NULL), '{}')         AS team_ids,
+      COALESCE((SELECT array_agg(DISTINCT st) FROM teams t2, unnest(t2.states) st
+                WHERE t2.manager_id = $1), '{}')                              AS states,
+      COALESCE((SELECT array_agg(u.id) FROM users u
+                JOIN teams t3 ON t3.id = u.team_id
+                WHERE t3.manager_id = $1), '{}')                              AS rep_ids
+    FROM teams t
+    WHERE t.manager_id = $1
+  `, [userId]);
+
+  if (!row || row.team_count === 0) return ALL;
+  return {
+    all:     false,
+    teamIds: row.team_ids,
+    repIds:  [...new Set([userId, ...row.rep_ids])],
+    states:  row.states,
+  };
+}
+
+/** Scope for the signed-in user, looked up once per request. */
+async function scopeFor(req) {
+  if (!req._scope) req._scope = resolveScope({ userId: req.session.userId, role: req.session.role });
+  return req._scope;
+}
+
+function repInScope(scope, repId) {
+  return scope.all || scope.repIds.includes(Number(repId));
+}
+
+function storeInScope(scope, store) {
+  if (scope.all) return true;
+  if (store.rep_id != null) return scope.repIds.includes(store.rep_id);
+  return scope.states.includes(String(store.state || '').toUpperCase());
+}
+
+function repScopeSql(scope, column, params) {
+  if (scope.all) return 'TRUE';
+  params.push(scope.repIds);
+  return `${column} = ANY($${params.length}::INTEGER[])`;
+}
+
+function storeScopeSql(scope, alias, params) {
+  if (scope.all) return 'TRUE';
+  params.push(scope.repIds, scope.states);
+  return `(${alias}.rep_id = ANY($${params.length - 1}::INTEGER[])
+           OR (${alias}.rep_id IS NULL AND UPPER(${alias}.state) = ANY($${params.length}::TEXT[])))`;
+}
+
+module.exports = {
+  resolveScope,
+  scopeFor,
+  repInScope,
+  storeInScope,
+  repScopeSql,
+  storeScopeSql,
+};
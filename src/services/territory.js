@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * Store ownership over time and bulk territory transfers (migration 024).
+ *
+ * store_assignments holds one row per ownership period. Store sync records a
+ * period when Zoho's cf_sales_rep moves a store; managers move stores in bulk
+ * with a transfer (filters → preview → apply), optionally writing the new rep
+ * back to Zoho. Revenue and KPI credit use ownerOn() to give each invoice to
+ * the rep who had the store on the invoice date.
+ *
+ * Exports:
+ *   loadOwnership()                                → { ownerOn(contactId, date), store(contactId) }
+ *   invoicesForRep(invoices, ownership, repId, spNames) → the rep's invoices by store owner
+ *   recordAssignment(client, opts)                 → true when the store changed hands
+ *   parseTransfer(body)                            → { transfer } | { error }
+ *   previewTransfer(transfer, scope)               → { stores, counts }
+ *   applyTransfer(transfer, scope, userId)         → territory_transfers row
+ *   writeTransferToZoho(transferId)                → final zoho_writeback status
+ *   fetchTransfers({ limit? }), fetchStoreAssignments(storeId)
+ */
+
+const db = require('../db');
+const { makeZohoWrite, withZohoSubsystem } = require('./zoho');
+const { sydneyToday } = require('./alertLifecycle');
+const { storeScopeSql } = require('./teamScope');
+
+const DATE_RE     = /^\d{4}-\d{2}-\d{2}$/;
+const POSTCODE_RE = /^(\d{4})(?:\s*-\s*(\d{4}))?$/;
+
+// ── Ownership lookup ──────────────────────────────────────────────────────────
+
+/**
+ * Every store's ownership periods, keyed by Zoho contact id. A store with no
+ * history rows is owned by its current rep throughout.
+ */
+async function loadOwnership() {
+  const { rows } = await db.query(`
+    SELECT s.zoho_contact_id, s.rep_id, s.active, s.is_prospect,
+           COALESCE(json_agg(json_build_object('rep_id', a.rep_id, 'from', a.effective_from, 'to', a.effective_to)
+                             ORDER BY a.effective_from NULLS FIRST)
+                    FILTER (WHERE a.id IS NOT NULL), '[]') AS periods
+    FROM stores s
+    LEFT JOIN store_assignments a ON a.store_id = s.id
+    GROUP BY s.id
+  `);
+  const byContact = new Map(rows.map((r) => [String(r.zoho_contact_id), r]));
+
+  return {
+    /** Rep who owned the store on 'YYYY-MM-DD' — null if unassigned, undefined if not a known store. */
+    ownerOn(contactId, date) {
+      const store = byContact.get(String(contactId));
+      if (!store) return undefined;
+      if (!store.periods.length) return store.rep_id;
+      const period = store.periods.find((p) => (p.from === null || p.from <= date) && (p.to === null || date < p.to));
+      return period ? period.rep_id : null;
+    },
+    store(contactId) {
+      return byContact.get(String(contactId)) || null;
+    },
+  };
+}
+
+/**
+ * A rep's invoices: those at stores they owned on the invoice date, plus —
+ * for customers that aren't stores here — those under their Zoho salesperson names.
+ */
+function invoicesForRep(invoices, ownership, repId, spNames) {
+  return invoices.filter((inv) => {
+    const owner = ownership.ownerOn(inv.customer_id, inv.date);
+    return owner === undefined ? spNames.includes(inv.salesperson_name) : owner === repId;
+  });
+}
+
+// ── Recording a change of owner ───────────────────────────────────────────────
+
+/**
+ * Close the store's current period and open one for repId from effectiveFrom
+ * (null: since records began). A change dated on or before the start of the
+ * current period replaces it. `previousRepId` seeds the history of a store
+ * that has none yet.
+ * @returns {Promise<boolean>} false when repId already owns the store
+ */
+async function recordAssignment(client, {
+  storeId, repId, previousRepId = null, effectiveFrom = null, source, transferId = null, userId = null,
+}) {
+  const { rows: [current] } = await client.query(`
+    SELECT id, rep_id, effective_from::TEXT AS effective_from
+    FROM store_assignments WHERE store_id = $1 AND effective_to IS NULL
+    FOR UPDATE
+  `, [storeId]);
+
+  if (current && current.rep_id === repId) return false;
+  if (!current && previousRepId === repId) return false;
+
+  if (current && (effectiveFrom === null || (current.effective_from !== null && current.effective_from >= effectiveFrom))) {
+    await client.query(`
+      UPDATE store_assignments
+      SET rep_id = $2, source = $3, transfer_id = $4, created_by = $5, created_at = NOW()
+      WHERE id = $1
+    `, [current.id, repId, source, transferId, userId]);
+    return true;
+  }
+
+  if (current) {
+    await client.query('UPDATE store_assignments SET effective_to = $2 WHERE id = $1', [current.id, effectiveFrom]);
+  } else if (effectiveFrom !== null) {
+    await client.query(`
+      INSERT INTO store_assignments (store_id, rep_id, effective_to, source) VALUES ($1, $2, $3, 'backfill')
+    `, [storeId, previousRepId, effectiveFrom]);
+  }
+  await client.query(`
+    INSERT INTO store_assignments (store_id, rep_id, effective_from, source, transfer_id, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [storeId, repId, effectiveFrom, source, transferId, userId]);
+  return true;
+}
+
+// ── Bulk transfers ────────────────────────────────────────────────────────────
+
+function stringList(value, field) {
+  if (value === undefined || value === null) return { list: [] };
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || !v.trim())) {
+    return { error: `${field} must be a list of strings` };
+  }
+  return { list: [...new Set(value.map((v) => v.trim()))] };
+}
+
+/**
+ * Validate a preview / apply body:
+ *   { to_rep_id, states?, postcodes?: ['2000', '2010-2019'], channel_types?,
+ *     from_rep_id?, effective_from?: 'YYYY-MM-DD' (default today), write_back?,
+ *     exclude_store_ids?, note? }
+ * At least one of states / postcodes / channel_types / from_rep_id is required.
+ */
+function parseTransfer(body) {
+  const toRepId = parseInt(body.to_rep_id);
+  if (isNaN(toRepId)) return { error: 'to_rep_id is required' };
+
+  const states = stringList(body.states, 'states');
+  if (states.error) return states;
+  const channels = stringList(body.channel_types, 'channel_types');
+  if (channels.error) return channels;
+  const postcodes = stringList(body.postcodes, 'postcodes');
+  if (postcodes.error) return postcodes;
+
+  const ranges = [];
+  for (const code of postcodes.list) {
+    const m = POSTCODE_RE.exec(code);
+    if (!m || (m[2] && m[2] < m[1])) return { error: `"${code}" isn't a postcode or range like 2000-2099` };
+    ranges.push([Number(m[1]), Number(m[2] || m[1])]);
+  }
+
+  let fromRepId = null;
+  if (body.from_rep_id !== undefined && body.from_rep_id !== null && body.from_rep_id !== '') {
+    fromRepId = parseInt(body.from_rep_id);
+    if (isNaN(fromRepId)) return { error: 'from_rep_id must be a user id' };
+  }
+  if (!states.list.length && !ranges.length && !channels.list.length && fromRepId === null) {
+    return { error: 'Pick at least one state, postcode, channel or current rep' };
+  }
+
+  const today = sydneyToday();
+  const effectiveFrom = body.effective_from || today;
+  if (!DATE_RE.test(effectiveFrom) || isNaN(Date.parse(effectiveFrom))) {
+    return { error: 'effective_from must be a date (YYYY-MM-DD)' };
+  }
+  if (effectiveFrom > today) return { error: 'effective_from can\'t be in the future' };
+
+  const exclude = body.exclude_store_ids ?? [];
+  if (!Array.isArray(exclude) || exclude.some((id) => !Number.isInteger(id))) {
+    return { error: 'exclude_store_ids must be a list of store ids' };
+  }
+
+  return {
+    transfer: {
+      toRepId,
+      criteria: {
+        states:        states.list.map((s) => s.toUpperCase()),
+        postcodes:     postcodes.list,
+        channel_types: channels.list,
+        from_rep_id:   fromRepId,
+      },
+      ranges,
+      effectiveFrom,
+      writeBack:       Boolean(body.write_back),
+      excludeStoreIds: exclude,
+      note:            typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null,
+    },
+  };
+}
+
+/**
+ * Active stores matching the transfer's filters (and the manager's scope),
+ * each with what applying would do:
+ *   move      – changes hands on effective_from
+ *   unchanged – already the new rep's
+ *   conflict  – its current owner took over after effective_from
+ *   excluded  – left out in the preview
+ */
+async function previewTransfer(transfer, scope) {
+  const { criteria, ranges } = transfer;
+  const params = [
+    criteria.states.length ? criteria.states : null,
+    criteria.channel_types.length ? criteria.channel_types : null,
+    criteria.from_rep_id,
+    ranges.map((r) => r[0]),
+    ranges.map((r) => r[1]),
+  ];
+  const scopeSql = storeScopeSql(scope, 's', params);
+
+  const { rows } = await db.query(`
+    SELECT s.id, s.name, s.state, s.postcode, s.channel_type, s.rep_id, u.name AS rep_name,
+           a.effective_from::TEXT AS owner_since
+    FROM stores s
+    LEFT JOIN users u ON u.id = s.rep_id
+    LEFT JOIN store_assignments a ON a.store_id = s.id AND a.effective_to IS NULL
+    WHERE s.active = TRUE
+      AND ($1::TEXT[] IS NULL OR UPPER(s.state) = ANY($1::TEXT[]))
+      AND ($2::TEXT[] IS NULL OR s.channel_type = ANY($2::TEXT[]))
+      AND ($3::INTEGER IS NULL OR s.rep_id = $3)
+      AND (cardinality($4::INTEGER[]) = 0 OR EXISTS (
+            SELECT 1 FROM unnest($4::INTEGER[], $5::INTEGER[]) AS r(lo, hi)
+            WHERE s.postcode ~ '^\\s*\\d{4}\\s*$' AND TRIM(s.postcode)::INTEGER BETWEEN r.lo AND r.hi))
+      AND ${scopeSql}
+    ORDER BY s.state, s.postcode, s.name
+  `, params);
+
+  const excluded = new Set(transfer.excludeStoreIds);
+  const stores = rows.map((s) => {
+    let action = 'move';
+    if (s.rep_id === transfer.toRepId) action = 'unchanged';
+    else if (s.owner_since && s.owner_since > transfer.effectiveFrom) action = 'conflict';
+    else if (excluded.has(s.id)) action = 'excluded';
+    return { ...s, action };
+  });
+
+  const counts = { move: 0, unchanged: 0, conflict: 0, excluded: 0 };
+  for (const s of stores) counts[s.action]++;
+  return { stores, counts };
+}
+
+/**
+ * Move every store the preview marks `move` to the new rep in one transaction.
+ * Zoho write-back (if asked for) is left pending for writeTransferToZoho.
+ */
+async function applyTransfer(transfer, scope, userId) {
+  const { stores } = await previewTransfer(transfer, scope);
+  const moving = stores.filter((s) => s.action === 'move');
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [row] } = await client.query(`
+      INSERT INTO territory_transfers (criteria, to_rep_id, effective_from, store_count, note, zoho_writeback, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      JSON.stringify(transfer.criteria), transfer.toRepId, transfer.effectiveFrom, moving.length, transfer.note,
+      transfer.writeBack && moving.length ? 'pending' : 'off', userId,
+    ]);
+
+    for (const s of moving) {
+      await recordAssignment(client, {
+        storeId: s.id, repId: transfer.toRepId, previousRepId: s.rep_id, effectiveFrom: transfer.effectiveFrom,
+        source: 'transfer', transferId: row.id, userId,
+      });
+    }
+    await client.query('UPDATE stores SET rep_id = $1 WHERE id = ANY($2::INTEGER[])', [transfer.toRepId, moving.map((s) => s.id)]);
+
+    await client.query('COMMIT');
+    return row;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set cf_sales_rep on each moved store's Zoho contact. Stores written back
+ * get zoho_rep_id updated so sync sees Zoho agreeing with the move.
+ * @returns {Promise<string>} 'done' | 'partial' | 'failed'
+ */
+async function writeTransferToZoho(transferId) {
+  const { rows: [transfer] } = await db.query(`
+    SELECT t.id, t.to_rep_id, COALESCE(u.zoho_salesperson_id, u.name) AS zoho_rep
+    FROM territory_transfers t
+    LEFT JOIN users u ON u.id = t.to_rep_id
+    WHERE t.id = $1
+  `, [transferId]);
+  if (!transfer) throw new Error(`Territory transfer ${transferId} not found`);
+
+  const { rows: stores } = await db.query(`
+    SELECT s.id, s.zoho_contact_id FROM store_assignments a
+    JOIN stores s ON s.id = a.store_id
+    WHERE a.transfer_id = $1
+  `, [transferId]);
+
+  const errors = [];
+  for (const s of stores) {
+    try {
+      await withZohoSubsystem('territory', () =>
+        makeZohoWrite('PUT', `/contacts/${s.zoho_contact_id}`, {
+          custom_fields: [{ api_name: 'cf_sales_rep', value: transfer.zoho_rep || '' }],
+        })
+      );
+      await db.query('UPDATE stores SET zoho_rep_id = $2 WHERE id = $1', [s.id, transfer.to_rep_id]);
+    } catch (err) {
+      console.error(`[territory] Zoho write failed for contact ${s.zoho_contact_id}:`, err.message);
+      errors.push({ store_id: s.id, error: err.message });
+    }
+  }
+
+  const status = !errors.length ? 'done' : errors.length === stores.length ? 'failed' : 'partial';
+  await db.query(
+    'UPDATE territory_transfers SET zoho_writeback = $2, zoho_errors = $3 WHERE id = $1',
+    [transferId, status, JSON.stringify(errors)]
+  );
+  return status;
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+
+async function fetchTransfers({ limit = 30 } = {}) {
+  const { rows } = await db.query(`
+    SELECT t.*, t.effective_from::TEXT AS effective_from, tr.name AS to_rep_name, fr.name AS from_rep_name, cb.name AS created_by_name
+    FROM territory_transfers t
+    LEFT JOIN users tr ON tr.id = t.to_rep_id
+    LEFT JOIN users fr ON fr.id = (t.criteria->>'from_rep_id')::INTEGER
+    LEFT JOIN users cb ON cb.id = t.created_by
+    ORDER BY t.created_at DESC, t.id DESC
+    LIMIT $1
+  `, [limit]);
+  return rows;
+}
+
+/** A store's ownership periods, newest first. */
+async function fetchStoreAssignments(storeId) {
+  const { rows } = await db.query(`
+    SELECT a.rep_id, u.name AS rep_name,
+           a.effective_from::TEXT AS effective_from, a.effective_to::TEXT AS effective_to,
+           a.source, a.transfer_id, cb.name AS changed_by_name, a.created_at
+    FROM store_assignments a
+    LEFT JOIN users u  ON u.id  = a.rep_id
+    LEFT JOIN users cb ON cb.id = a.created_by
+    WHERE a.store_id = $1
+    ORDER BY a.effective_from DESC NULLS LAST
+  `, [storeId]);
+  return rows;
+}
+
+module.exports = {
+  loadOwnership,
+  invoicesForRep,
+  recordAssignment,
+  parseTransfer,
+  previewTransfer,
+  applyTransfer,
+  writeTransferToZoho,
+  fetchTransfers,
+  fetchStoreAssignments,
+};
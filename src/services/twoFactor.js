@@ -0,0 +1,283 @@
+'use strict';
+
+/**
+ * Two-factor authentication: TOTP codes from an authenticator app, single-use
+ * recovery codes and "remember this device" tokens (migration 027).
+ *
+ * TOTP follows RFC 6238 with the defaults every authenticator app expects —
+ * SHA-1, 6 digits, 30-second steps — accepting one step either side for clock
+ * drift and never the same step twice. Recovery codes and device tokens are
+ * stored as SHA-256 hashes only.
+ *
+ * Exports:
+ *   TWO_FACTOR_ROLES, TRUSTED_DEVICE_DAYS, RECOVERY_CODE_COUNT
+ *   requiresTwoFactor(user)                     → true for managers / executives and anyone enrolled
+ *   generateSecret() / totpCode(secret, step)   → base32 secret / 6-digit code
+ *   verifyTotp(secret, code, { lastStep?, now? }) → matching step, or null
+ *   otpauthUrl(secret, email)                   → URI for the enrolment QR code
+ *   startEnrolment(userId)                      → { secret, otpauth_url, qr_svg }
+ *   confirmEnrolment(userId, code)              → { recovery_codes } | { error }
+ *   verifySecondFactor(userId, code)            → 'totp' | 'recovery' | null
+ *   replaceRecoveryCodes(userId)                → fresh codes (old ones stop working)
+ *   recoveryCodesLeft(userId)                   → count
+ *   trustDevice(userId, { userAgent?, ip? })    → cookie token
+ *   isTrustedDevice(userId, token)              → boolean
+ *   forgetDevices(userId)                       → devices removed
+ *   resetTwoFactor(userId)                      → clears enrolment, codes, devices and sessions
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { qrSvg } = require('./qrCode');
+
+const TWO_FACTOR_ROLES    = ['manager', 'executive'];
+const ISSUER              = 'Artico Sales';
+const STEP_SECONDS        = 30;
+const DRIFT_STEPS         = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TRUSTED_DEVICE_DAYS = 30;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+function requiresTwoFactor(user) {
+  return TWO_FACTOR_ROLES.includes(user.role) || Boolean(user.totp_enabled_at);
+}
+
+// ── TOTP ──────────────────────────────────────────────────────────────────────
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
+function base32Decode(text) {
+  const bits = [...String(text).toUpperCase().replace(/[\s=-]/g, '')]
+    .map((c) => {
+      const value = BASE32.indexOf(c);
+      if (value < 0) throw new Error('Invalid base32 secret');
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/** 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1. */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 1_000_000).padStart(6, '0');
+}
+
+function verifyTotp(secret, code, { lastStep = null, now = Date.now() } = {}) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(digits)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return step;
+  }
+  return null;
+}
+
+function otpauthUrl(secret, email) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&digits=6&period=${STEP_SECONDS}`;
+}
+
+// ── Enrolment ─────────────────────────────────────────────────────────────────
+
+async function startEnrolment(userId) {
+  const secret = generateSecret();
+  const { rows: [user] } = await db.query(
+    'UPDATE users SET totp_pending_secret = $2 WHERE id = $1 RETURNING email',
+    [userId, secret]
+  );
+  const url = otpauthUrl(secret, user.email);
+  return { secret, otpauth_url: url, qr_svg: qrSvg(url) };
+}
+
+function newRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(5)).toLowerCase();   // 8 characters
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+const normaliseRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+async function replaceRecoveryCodes(userId, client = db) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(`
+    INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+    SELECT $1, UNNEST($2::CHAR(64)[])
+  `, [userId, codes.map((c) => sha256(normaliseRecoveryCode(c)))]);
+  return codes;
+}
+
+async function confirmEnrolment(userId, code) {
+  const { rows: [user] } = await db.query(
+    'SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = $1',
+    [userId]
+  );
+  if (!user) return { error: 'User not found', status: 404 };
+  if (user.totp_enabled_at) return { error: 'Two-factor authentication is already set up', status: 409 };
+  if (!user.totp_pending_secret) return { error: 'Start two-factor setup first', status: 400 };
+
+  const step = verifyTotp(user.totp_pending_secret, code);
+  if (step === null) return { error: 'That code isn\'t right — check the time on your phone and try the newest code', status: 400 };
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      UPDATE users
+      SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+          totp_enabled_at = NOW(), totp_last_step = $2
+      WHERE id = $1
+    `, [userId, step]);
+    const codes = await replaceRecoveryCodes(userId, client);
+    await client.query('COMMIT');
+    return { recovery_codes: codes };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Sign-in ───────────────────────────────────────────────────────────────────
+
+/**
+ * Check a code from the sign-in screen: a TOTP code, or one of the user's
+ * unused recovery codes (which is then spent).
+ */
+async function verifySecondFactor(userId, code) {
+  const { rows: [user] } = await db.query(
+    'SELECT totp_secret, totp_last_step FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+  if (!user) return null;
+
+  const lastStep = user.totp_last_step === null ? null : Number(user.totp_last_step);
+  const step = verifyTotp(user.totp_secret, code, { lastStep });
+  if (step !== null) {
+    // Only accept the step if no concurrent sign-in got there first
+    const { rowCount } = await db.query(
+      'UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)',
+      [userId, step]
+    );
+    return rowCount ? 'totp' : null;
+  }
+
+  const normalised = normaliseRecoveryCode(code);
+  if (normalised.length !== 8) return null;
+  const { rowCount } = await db.query(`
+    UPDATE two_factor_recovery_codes SET used_at = NOW()
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+  `, [userId, sha256(normalised)]);
+  return rowCount ? 'recovery' : null;
+}
+
+async function recoveryCodesLeft(userId) {
+  const { rows: [row] } = await db.query(
+    'SELECT COUNT(*)::INT AS left FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return row.left;
+}
+
+// ── Trusted devices ───────────────────────────────────────────────────────────
+
+async function trustDevice(userId, { userAgent = null, ip = null } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(`
+    INSERT INTO trusted_devices (user_id, token_hash, user_agent, ip, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+  `, [userId, sha256(token), userAgent ? String(userAgent).slice(0, 500) : null, ip, TRUSTED_DEVICE_DAYS]);
+  return token;
+}
+
+async function isTrustedDevice(userId, token) {
+  if (!token) return false;
+  const { rowCount } = await db.query(`
+    UPDATE trusted_devices SET last_used_at = NOW()
+    WHERE user_id = $1 AND token_hash = $2 AND expires_at > NOW()
+  `, [userId, sha256(token)]);
+  return rowCount > 0;
+}
+
+async function forgetDevices(userId) {
+  const { rowCount } = await db.query('DELETE FROM trusted_devices WHERE user_id = $1', [userId]);
+  return rowCount;
+}
+
+/**
+ * For a lost phone with no recovery codes left: the user enrols again at their
+ * next sign-in. Signs them out everywhere, since their sessions were opened
+ * with the old factor.
+ */
+async function resetTwoFactor(userId) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [user] } = await client.query(`
+      UPDATE users
+      SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE id = $1
+      RETURNING id, email, name
+    `, [userId]);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM trusted_devices WHERE user_id = $1', [userId]);
+    const { rowCount: sessions } = await client.query(
+      `DELETE FROM "session" WHERE sess->>'userId' = $1::TEXT`,
+      [userId]
+    );
+    await client.query('COMMIT');
+    return { user, sessions_revoked: sessions };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  TRUSTED_DEVICE_DAYS,
+  RECOVERY_CODE_COUNT,
+  requiresTwoFactor,
+  generateSecret,
+  totpCode,
+  verifyTotp,
+  otpauthUrl,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  recoveryCodesLeft,
+  trustDevice,
+  isTrustedDevice,
+  forgetDevices,
+  resetTwoFactor,
+};
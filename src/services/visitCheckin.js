@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * GPS check-in verification for visits logged in the app.
+ *
+ * POST /api/visits may carry the device location as
+ *   location: { latitude, longitude, accuracy_m, captured_at }
+ * which is compared with the store's coordinates (migration 017). The check-in
+ * radius depends on how the store was geocoded: a postcode centroid can be
+ * kilometres from the shop, a manual pin shouldn't be.
+ *
+ * Flags stored on the visit (checkin_flags):
+ *   no_location      – no device location sent (denied, unavailable, desktop)
+ *   store_unlocated  – the store has no coordinates to compare against
+ *   low_accuracy     – fix accuracy worse than 1 km
+ *   far              – fix outside the radius, after allowing for its accuracy
+ *   stale_location   – fix taken more than 30 minutes from the visit time
+ *   late             – logged more than 4 hours after the visit
+ * A visit is verified when it has a fix and none of the flags apart from late
+ * (an offline visit replayed that evening still has its fix from the store).
+ * Imported PixSell visits and phone calls have checkin_verified NULL.
+ *
+ * Exports:
+ *   CHECKIN_RADIUS_M                                       – radius per geocode_source
+ *   CHECKIN_COLUMNS                                        – visit columns set by evaluateCheckin
+ *   parseCheckinLocation(value)                            → { location } | { error }
+ *   evaluateCheckin({ location, store, visitedAt, loggedAt }) → column values
+ *   fetchVerificationByRep({ days?, repId?, repIds? })     → per-rep verification rates
+ */
+
+const db = require('../db');
+const { haversineKm } = require('./planner');
+
+const CHECKIN_RADIUS_M = {
+  manual:          300,
+  postcode:        5000,
+  suburb:          5000,
+  postcode_prefix: 15000,
+};
+
+const CHECKIN_COLUMNS = [
+  'checkin_latitude', 'checkin_longitude', 'checkin_accuracy_m', 'checkin_captured_at',
+  'checkin_distance_m', 'checkin_verified', 'checkin_flags',
+];
+
+const MAX_ACCURACY_M   = 1000;
+const MAX_FIX_AGE_MS   = 30 * 60 * 1000;
+const LATE_AFTER_MS    = 4 * 60 * 60 * 1000;
+const UNVERIFIED_FLAGS = ['no_location', 'store_unlocated', 'low_accuracy', 'far', 'stale_location'];
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate the optional location object of a POST /api/visits body.
+ * @returns {{ location: object|null } | { error: string }}
+ */
+function parseCheckinLocation(value) {
+  if (value === undefined || value === null) return { location: null };
+  if (typeof value !== 'object' || Array.isArray(value)) return { error: 'location must be an object' };
+
+  const latitude   = Number(value.latitude);
+  const longitude  = Number(value.longitude);
+  const accuracy_m = value.accuracy_m === undefined || value.accuracy_m === null ? null : Number(value.accuracy_m);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90
+      || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { error: 'location needs a valid latitude and longitude' };
+  }
+  if (accuracy_m !== null && (!Number.isFinite(accuracy_m) || accuracy_m < 0)) {
+    return { error: 'location.accuracy_m must be a positive number of metres' };
+  }
+
+  let captured_at = null;
+  if (value.captured_at !== undefined && value.captured_at !== null) {
+    captured_at = new Date(value.captured_at);
+    if (typeof value.captured_at !== 'string' || isNaN(captured_at)) {
+      return { error: 'location.captured_at must be an ISO timestamp' };
+    }
+  }
+
+  return { location: { latitude, longitude, accuracy_m: accuracy_m === null ? null : Math.round(accuracy_m), captured_at } };
+}
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+/**
+ * Check-in columns for a new visit.
+ * @param {object}      args
+ * @param {object|null} args.location  – from parseCheckinLocation
+ * @param {object}      args.store     – { latitude, longitude, geocode_source }
+ * @param {Date}        args.visitedAt – when the visit happened
+ * @param {Date}        args.loggedAt  – when the server received it
+ * @returns {object} every CHECKIN_COLUMNS key
+ */
+function evaluateCheckin({ location, store, visitedAt, loggedAt }) {
+  const flags = [];
+  if (loggedAt - visitedAt > LATE_AFTER_MS) flags.push('late');
+
+  const out = {
+    checkin_latitude:    location?.latitude ?? null,
+    checkin_longitude:   location?.longitude ?? null,
+    checkin_accuracy_m:  location?.accuracy_m ?? null,
+    checkin_captured_at: location?.captured_at ?? null,
+    checkin_distance_m:  null,
+  };
+
+  if (!location) {
+    flags.push('no_location');
+  } else {
+    const accuracy = location.accuracy_m ?? 0;
+    if (accuracy > MAX_ACCURACY_M) flags.push('low_accuracy');
+    if (location.captured_at && Math.abs(visitedAt - location.captured_at) > MAX_FIX_AGE_MS) {
+      flags.push('stale_location');
+    }
+
+    if (store.latitude == null || store.longitude == null) {
+      flags.push('store_unlocated');
+    } else {
+      out.checkin_distance_m = Math.round(haversineKm(location, store) * 1000);
+      const radius = CHECKIN_RADIUS_M[store.geocode_source] ?? CHECKIN_RADIUS_M.postcode;
+      if (out.checkin_distance_m > radius + Math.min(accuracy, MAX_ACCURACY_M)) flags.push('far');
+    }
+  }
+
+  out.checkin_verified = !flags.some((f) => UNVERIFIED_FLAGS.includes(f));
+  out.checkin_flags    = flags;
+  return out;
+}
+
+// ── Reporting ─────────────────────────────────────────────────────────────────
+
+/**
+ * Verification rate per rep over in-app visits in the last `days` days.
+ * @returns {Promise<Array<{ rep_id, rep_name, visits, verified, far, late, no_location, rate_pct }>>}
+ */
+async function fetchVerificationByRep({ days = 30, repId = null, repIds = null } = {}) {
+  const { rows } = await db.query(`
+    SELECT u.id AS rep_id, u.name AS rep_name,
+           COUNT(*)::INTEGER                                                AS visits,
+           COUNT(*) FILTER (WHERE v.checkin_verified)::INTEGER              AS verified,
+           COUNT(*) FILTER (WHERE 'far' = ANY(v.checkin_flags))::INTEGER         AS far,
+           COUNT(*) FILTER (WHERE 'late' = ANY(v.checkin_flags))::INTEGER        AS late,
+           COUNT(*) FILTER (WHERE 'no_location' = ANY(v.checkin_flags))::INTEGER AS no_location
+    FROM visits v
+    JOIN users u ON u.id = v.rep_id
+    WHERE v.checkin_verified IS NOT NULL
+      AND v.visited_at >= NOW() - make_interval(days => $1)
+      AND ($2::INTEGER IS NULL OR v.rep_id = $2)
+      AND ($3::INTEGER[] IS NULL OR v.rep_id = ANY($3::INTEGER[]))
+    GROUP BY u.id, u.name
+    ORDER BY u.name
+  `, [days, repId, repIds]);
+  return rows.map((r) => ({ ...r, rate_pct: Math.round((r.verified / r.visits) * 100) }));
+}
+
+module.exports = {
+  CHECKIN_RADIUS_M,
+  CHECKIN_COLUMNS,
+  parseCheckinLocation,
+  evaluateCheckin,
+  fetchVerificationByRep,
+};
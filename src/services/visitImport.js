@@ -0,0 +1,510 @@
+'use strict';
+
+/**
+ * Visit CSV import driven by saved import profiles (migration 021).
+ *
+ * A profile says which row holds the headers, which column feeds each import
+ * field, how dates are written and which timezone the times are in. Columns
+ * are referenced by header name (case-insensitive) or 1-based position '#N'.
+ *
+ * Fields (IMPORT_FIELDS):
+ *   date                       – required; ISO YYYY-MM-DD is always accepted
+ *   time                       – H:MM[:SS] with optional AM/PM; noon when unmapped
+ *   store_id / store_name / postcode – at least one; see matching below
+ *   rep_code / rep_name        – blank or unmapped falls back to the rep chosen on upload
+ *   visit_type                 – values in phone_values import as phone calls
+ *   note
+ *
+ * Store matching, in order:
+ *   1. store_id equals a Zoho contact ID (rows outside account_prefix are skipped)
+ *   2. store_name equals a store name after normalising case, punctuation,
+ *      '&'/'and' and Pty Ltd; postcode narrows duplicates
+ *   3. anything else with a name or postcode goes to review with up to three
+ *      candidates (name similarity ≥ 0.5, or stores in that postcode). Rows are
+ *      grouped by review key so one decision covers every row for that store;
+ *      store_overrides maps key → store id, or 0 to skip the rows.
+ *
+ * Skip reasons: account_filtered, no_store_match, needs_review,
+ * skipped_by_reviewer, no_rep, bad_date.
+ *
+ * Exports:
+ *   IMPORT_FIELDS, DATE_FORMATS
+ *   validateProfile(body)                             → { profile } | { error }
+ *   readCsv(buffer, headerRow)                        → { headers, rows: [{ line, cells }] }
+ *   resolveColumns(columns, headers)                  → { index } | { error }
+ *   parseVisitTime(date, time, { dateFormat, timezone }) → Date | null
+ *   normaliseStoreName(name), nameSimilarity(a, b)
+ *   createStoreMatcher(stores)                        → match({ storeId, storeName, postcode }, { accountPrefix })
+ *   prepareImport({ buffer, profile, storeOverrides, fallbackRepId }) → rows resolved to visits
+ *   fetchProfiles(), fetchProfile(id)
+ */
+
+const { parse } = require('csv-parse/sync');
+const db = require('../db');
+
+const IMPORT_FIELDS = ['date', 'time', 'store_id', 'store_name', 'postcode', 'rep_code', 'rep_name', 'visit_type', 'note'];
+const STORE_FIELDS  = ['store_id', 'store_name', 'postcode'];
+const DATE_FORMATS  = ['DMY', 'MDY', 'YMD'];
+
+const PROFILE_COLUMNS = `id, name, header_row, columns, date_format, timezone, account_prefix,
+  phone_values, created_by, created_at, updated_at`;
+
+const MAX_HEADER_ROW  = 50;
+const MIN_SIMILARITY  = 0.5;
+const MAX_CANDIDATES  = 3;
+const DEFAULT_TIME    = { hour: 12, minute: 0, second: 0 };
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+function isTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-AU', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a profile create/update body.
+ * @returns {{ profile: object } | { error: string }}
+ */
+function validateProfile(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) return { error: 'name is required (at most 100 characters)' };
+
+  const headerRow = body.header_row === undefined ? 1 : Number(body.header_row);
+  if (!Number.isInteger(headerRow) || headerRow < 1 || headerRow > MAX_HEADER_ROW) {
+    return { error: `header_row must be a whole number from 1 to ${MAX_HEADER_ROW}` };
+  }
+
+  const columns = body.columns;
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    return { error: 'columns must map import fields to CSV columns' };
+  }
+  const mapped = {};
+  for (const [field, ref] of Object.entries(columns)) {
+    if (!IMPORT_FIELDS.includes(field)) return { error: `Unknown import field: ${field}` };
+    if (ref === null || ref === '') continue;
+    if (typeof ref !== 'string' || !ref.trim() || ref.length > 100) {
+      return { error: `Column for ${field} must be a header name or #N` };
+    }
+    if (ref.startsWith('#') && !/^#[1-9]\d*$/.test(ref.trim())) {
+      return { error: `Column for ${field} must be #1 or higher` };
+    }
+    mapped[field] = ref.trim();
+  }
+  if (!mapped.date) return { error: 'A date column is required' };
+  if (!STORE_FIELDS.some((f) => mapped[f])) {
+    return { error: 'Map at least one of store_id, store_name or postcode' };
+  }
+
+  const dateFormat = body.date_format ?? 'DMY';
+  if (!DATE_FORMATS.includes(dateFormat)) return { error: `date_format must be one of ${DATE_FORMATS.join(', ')}` };
+
+  const timezone = body.timezone ?? 'Australia/Sydney';
+  if (typeof timezone !== 'string' || !isTimezone(timezone)) return { error: 'timezone must be an IANA timezone, e.g. Australia/Sydney' };
+
+  let accountPrefix = null;
+  if (body.account_prefix !== undefined && body.account_prefix !== null && body.account_prefix !== '') {
+    if (typeof body.account_prefix !== 'string' || body.account_prefix.trim().length > 20) {
+      return { error: 'account_prefix must be at most 20 characters' };
+    }
+    accountPrefix = body.account_prefix.trim() || null;
+  }
+
+  let phoneValues = ['phone'];
+  if (body.phone_values !== undefined && body.phone_values !== null) {
+    if (!Array.isArray(body.phone_values) || body.phone_values.some((v) => typeof v !== 'string')) {
+      return { error: 'phone_values must be a list of text values' };
+    }
+    phoneValues = [...new Set(body.phone_values.map((v) => v.trim().toLowerCase()).filter(Boolean))];
+  }
+
+  return {
+    profile: {
+      name,
+      header_row:     headerRow,
+      columns:        mapped,
+      date_format:    dateFormat,
+      timezone,
+      account_prefix: accountPrefix,
+      phone_values:   phoneValues,
+    },
+  };
+}
+
+async function fetchProfiles() {
+  const { rows } = await db.query(`SELECT ${PROFILE_COLUMNS} FROM import_profiles ORDER BY name`);
+  return rows;
+}
+
+async function fetchProfile(id) {
+  const { rows } = await db.query(`SELECT ${PROFILE_COLUMNS} FROM import_profiles WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+/**
+ * Split a CSV into its header row and the non-empty data rows after it.
+ * line is the file line each row ends on, for pointing people at bad rows.
+ */
+function readCsv(buffer, headerRow) {
+  const records = parse(buffer, {
+    bom:                true,
+    info:               true,
+    relax_column_count: true,
+    trim:               true,
+  });
+
+  const headerAt = records.findIndex((r) => r.info.lines >= headerRow);
+  if (headerAt === -1) return { headers: [], rows: [] };
+
+  const rows = [];
+  for (const { record, info } of records.slice(headerAt + 1)) {
+    if (record.every((c) => !c)) continue;
+    rows.push({ line: info.lines, cells: record });
+  }
+  return { headers: records[headerAt].record, rows };
+}
+
+/**
+ * Turn a profile's column references into cell indexes for this file.
+ * @returns {{ index: object } | { error: string }} index maps field → 0-based column
+ */
+function resolveColumns(columns, headers) {
+  const byName = new Map();
+  headers.forEach((h, i) => {
+    const key = String(h).trim().toLowerCase();
+    if (key && !byName.has(key)) byName.set(key, i);
+  });
+
+  const index = {};
+  for (const [field, ref] of Object.entries(columns)) {
+    if (/^#\d+$/.test(ref)) {
+      index[field] = Number(ref.slice(1)) - 1;
+    } else {
+      const i = byName.get(ref.toLowerCase());
+      if (i === undefined) return { error: `Column "${ref}" (for ${field}) isn't in the file's header row` };
+      index[field] = i;
+    }
+  }
+  return { index };
+}
+
+// ── Dates ─────────────────────────────────────────────────────────────────────
+
+const ISO_DATE_RE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](.+))?$/;
+const TIME_RE     = /^(\d{1,2})(?:[:.](\d{2}))?(?:[:.](\d{2}))?(?:\.\d+)?\s*([ap]\.?m\.?)?$/i;
+
+function parseDatePart(value, dateFormat) {
+  const iso = ISO_DATE_RE.exec(value);
+  if (iso) return { y: +iso[1], m: +iso[2], d: +iso[3], rest: iso[4] || '' };
+
+  const [datePart, ...rest] = value.split(/\s+/);
+  const parts = datePart.split(/[/.-]/);
+  if (parts.length !== 3 || parts.some((p) => !/^\d{1,4}$/.test(p))) return null;
+
+  const order = { DMY: [2, 1, 0], MDY: [2, 0, 1], YMD: [0, 1, 2] }[dateFormat];
+  let y = +parts[order[0]];
+  if (parts[order[0]].length <= 2) y += 2000;
+  return { y, m: +parts[order[1]], d: +parts[order[2]], rest: rest.join(' ') };
+}
+
+function parseTimePart(value) {
+  const match = TIME_RE.exec(value.trim());
+  if (!match) return null;
+  let hour = +match[1];
+  const minute = match[2] ? +match[2] : 0;
+  const second = match[3] ? +match[3] : 0;
+  // A bare number is a year or an ID, not a time
+  if (!match[2] && !match[4]) return null;
+  if (match[4]) {
+    if (hour < 1 || hour > 12) return null;
+    const pm = match[4][0].toLowerCase() === 'p';
+    hour = (hour % 12) + (pm ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return { hour, minute, second };
+}
+
+/** Offset of timeZone from UTC, in ms, at the instant utcMs. */
+function zoneOffsetMs(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(utcMs));
+  const v = Object.fromEntries(parts.map((p) => [p.type, +p.value]));
+  return Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second) - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Read a date cell (and optional time cell) as wall-clock time in `timezone`.
+ * The time may also follow the date in the date cell. A time column that is
+ * mapped but blank or unreadable makes the row a bad_date.
+ * @param {string}      date
+ * @param {string|null} time – null when the profile has no time column
+ * @returns {Date|null}
+ */
+function parseVisitTime(date, time, { dateFormat = 'DMY', timezone = 'Australia/Sydney' } = {}) {
+  if (!date) return null;
+  const parsed = parseDatePart(date.trim(), dateFormat);
+  if (!parsed) return null;
+  const { y, m, d } = parsed;
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const dayCheck = new Date(Date.UTC(y, m - 1, d));
+  if (dayCheck.getUTCMonth() !== m - 1 || dayCheck.getUTCDate() !== d) return null;
+
+  let clock = DEFAULT_TIME;
+  if (time !== null) {
+    clock = parseTimePart(time || '');
+    if (!clock) return null;
+  } else if (parsed.rest) {
+    clock = parseTimePart(parsed.rest);
+    if (!clock) return null;
+  }
+
+  // Wall time → UTC: guess with the offset at the wall time, then correct once
+  // in case that guess crossed a daylight-saving change.
+  const wall = Date.UTC(y, m - 1, d, clock.hour, clock.minute, clock.second);
+  let utc = wall - zoneOffsetMs(wall, timezone);
+  const corrected = wall - zoneOffsetMs(utc, timezone);
+  if (corrected !== utc) utc = corrected;
+  return new Date(utc);
+}
+
+// ── Store matching ────────────────────────────────────────────────────────────
+
+function normaliseStoreName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\b(pty|ltd|limited|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const s = text.replace(/ /g, '');
+  const out = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/** Dice coefficient on letter pairs of two normalised names, 0–1. */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const ga = bigrams(a);
+  const gb = bigrams(b);
+  let total = 0, shared = 0;
+  for (const n of ga.values()) total += n;
+  for (const [g, n] of gb) {
+    total += n;
+    shared += Math.min(n, ga.get(g) || 0);
+  }
+  return total ? (2 * shared) / total : 0;
+}
+
+/**
+ * Matcher over the active stores ({ id, zoho_contact_id, name, postcode }).
+ * match() returns one of
+ *   { storeId, via: 'id' | 'name' }
+ *   { review: { key, name, postcode, candidates } }
+ *   { reason: 'account_filtered' | 'no_store_match' }
+ */
+function createStoreMatcher(stores) {
+  const byZohoId = new Map();
+  const byName   = new Map();
+  const indexed  = stores.map((s) => ({ ...s, norm: normaliseStoreName(s.name) }));
+  for (const s of indexed) {
+    byZohoId.set(s.zoho_contact_id, s);
+    if (!byName.has(s.norm)) byName.set(s.norm, []);
+    byName.get(s.norm).push(s);
+  }
+
+  const candidate = (s, score) => ({ id: s.id, name: s.name, postcode: s.postcode, score: Math.round(score * 100) / 100 });
+
+  function match({ storeId, storeName, postcode }, { accountPrefix = null } = {}) {
+    if (storeId) {
+      if (accountPrefix && !storeId.startsWith(accountPrefix)) return { reason: 'account_filtered' };
+      const s = byZohoId.get(storeId);
+      if (s) return { storeId: s.id, via: 'id' };
+    }
+
+    const norm = normaliseStoreName(storeName);
+    if (!norm && !postcode) return { reason: 'no_store_match' };
+
+    let candidates = [];
+    if (norm) {
+      const exact = byName.get(norm) || [];
+      const narrowed = postcode && exact.length > 1 ? exact.filter((s) => s.postcode === postcode) : exact;
+      if (narrowed.length === 1) return { storeId: narrowed[0].id, via: 'name' };
+
+      // Same-named stores that the postcode can't tell apart are reviewed as-is
+      candidates = (exact.length ? exact.map((s) => [s, 1]) : indexed
+        .map((s) => [s, nameSimilarity(norm, s.norm) + (postcode && s.postcode === postcode ? 0.1 : 0)])
+        .filter(([, score]) => score >= MIN_SIMILARITY))
+        .sort((a, b) => b[1] - a[1] || a[0].name.localeCompare(b[0].name))
+        .slice(0, MAX_CANDIDATES)
+        .map(([s, score]) => candidate(s, Math.min(score, 1)));
+    } else {
+      candidates = indexed
+        .filter((s) => s.postcode === postcode)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .slice(0, MAX_CANDIDATES)
+        .map((s) => candidate(s, 0));
+    }
+
+    if (!candidates.length) return { reason: 'no_store_match' };
+    return {
+      review: {
+        key:  `${norm}|${postcode || ''}`,
+        name: storeName || null,
+        postcode: postcode || null,
+        candidates,
+      },
+    };
+  }
+
+  return { match };
+}
+
+// ── Import pass ───────────────────────────────────────────────────────────────
+
+async function loadLookups() {
+  const [storeRows, repRows] = await Promise.all([
+    db.query('SELECT id, zoho_contact_id, name, postcode FROM stores WHERE active = TRUE'),
+    db.query('SELECT id, name, rep_code FROM users WHERE active = TRUE'),
+  ]);
+  const repByCode = new Map();
+  const repByName = new Map();
+  for (const u of repRows.rows) {
+    if (u.rep_code) repByCode.set(u.rep_code.toUpperCase(), u);
+    repByName.set(u.name.trim().toLowerCase(), u);
+  }
+  return {
+    matcher:   createStoreMatcher(storeRows.rows),
+    storeById: new Map(storeRows.rows.map((s) => [s.id, s])),
+    repById:   new Map(repRows.rows.map((u) => [u.id, u])),
+    repByCode,
+    repByName,
+  };
+}
+
+/**
+ * Resolve every data row of an upload against a profile.
+ * @param {object}  args
+ * @param {Buffer}  args.buffer
+ * @param {object}  args.profile         – import_profiles row
+ * @param {object}  args.storeOverrides  – review key → store id (0 = skip those rows)
+ * @param {?number} args.fallbackRepId   – rep for rows without a rep column value
+ * @returns {Promise<{ error } | { headers, total_rows, records, rejects, skipped, review }>}
+ *   records: [{ line, cells, repId, storeId, visitedAt, visitType, note, storeName, repName, via }]
+ *   rejects: [{ line, cells, reason }] for every skipped row
+ *   review:  unresolved review groups with their row counts
+ */
+async function prepareImport({ buffer, profile, storeOverrides = {}, fallbackRepId = null }) {
+  const { headers, rows } = readCsv(buffer, profile.header_row);
+  const cols = resolveColumns(profile.columns, headers);
+  if (cols.error) return { error: cols.error };
+  const { index } = cols;
+
+  const lookups = await loadLookups();
+  const fallbackRep = fallbackRepId ? lookups.repById.get(fallbackRepId) : null;
+  if (fallbackRepId && !fallbackRep) return { error: 'Default rep not found or inactive' };
+
+  const phoneValues = (profile.phone_values || []).map((v) => v.toLowerCase());
+  const cell = (row, field) => (index[field] === undefined ? '' : (row.cells[index[field]] || '').trim());
+
+  const records = [];
+  const rejects = [];
+  const skipped = {};
+  const review  = new Map();
+  const skip = (row, reason) => {
+    skipped[reason] = (skipped[reason] || 0) + 1;
+    rejects.push({ line: row.line, cells: row.cells, reason });
+  };
+
+  for (const row of rows) {
+    const found = lookups.matcher.match(
+      { storeId: cell(row, 'store_id'), storeName: cell(row, 'store_name'), postcode: cell(row, 'postcode') },
+      { accountPrefix: profile.account_prefix },
+    );
+    if (found.reason) { skip(row, found.reason); continue; }
+
+    let storeId = found.storeId;
+    let via     = found.via;
+    if (found.review) {
+      const override = storeOverrides[found.review.key];
+      if (override === 0) { skip(row, 'skipped_by_reviewer'); continue; }
+      if (override && lookups.storeById.has(override)) {
+        storeId = override;
+        via     = 'review';
+      } else {
+        const group = review.get(found.review.key) || { ...found.review, rows: 0 };
+        group.rows++;
+        review.set(found.review.key, group);
+        skip(row, 'needs_review');
+        continue;
+      }
+    }
+
+    const repCode = cell(row, 'rep_code').toUpperCase();
+    const repName = cell(row, 'rep_name').toLowerCase();
+    let rep = null;
+    if (repCode)       rep = lookups.repByCode.get(repCode);
+    else if (repName)  rep = lookups.repByName.get(repName);
+    else               rep = fallbackRep;
+    if (!rep) { skip(row, 'no_rep'); continue; }
+
+    const visitedAt = parseVisitTime(
+      cell(row, 'date'),
+      index.time === undefined ? null : cell(row, 'time'),
+      { dateFormat: profile.date_format, timezone: profile.timezone },
+    );
+    if (!visitedAt) { skip(row, 'bad_date'); continue; }
+
+    records.push({
+      line:      row.line,
+      cells:     row.cells,
+      repId:     rep.id,
+      repName:   rep.name,
+      storeId,
+      storeName: lookups.storeById.get(storeId).name,
+      via,
+      visitedAt,
+      visitType: phoneValues.includes(cell(row, 'visit_type').toLowerCase()) ? 'phone' : 'visit',
+      note:      cell(row, 'note') || null,
+    });
+  }
+
+  return {
+    headers,
+    total_rows: rows.length,
+    records,
+    rejects,
+    skipped,
+    review: [...review.values()].sort((a, b) => b.rows - a.rows),
+  };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  validateProfile,
+  readCsv,
+  resolveColumns,
+  parseVisitTime,
+  normaliseStoreName,
+  nameSimilarity,
+  createStoreMatcher,
+  prepareImport,
+  fetchProfiles,
+  fetchProfile,
+};
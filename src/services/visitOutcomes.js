@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Structured visit outcomes — what happened on a visit beyond the note.
+ *
+ * Columns on visits (migration 018), all optional:
+ *   order_taken        – true / false; NULL = not recorded (older and imported visits)
+ *   order_value        – ex GST, only with an order
+ *   salesorder_number  – Zoho sales order pushed for the order
+ *   merchandised       – shelves / display worked on
+ *   competitor_brands  – competitor lines seen on shelf
+ *   brands_discussed   – our brands (Zoho item brand names) talked through
+ *   follow_up_date     – when to go back (Sydney date, today or later)
+ *   contact_name       – who the rep met
+ *
+ * Exports:
+ *   OUTCOME_COLUMNS                      – column names above, in order
+ *   parseVisitOutcome(body, { today })   → { outcome } | { error }
+ *   fetchNoOrderStreaks({ storeId? })    → [{ store_id, streak, since, last_visit_at }]
+ */
+
+const db = require('../db');
+
+const OUTCOME_COLUMNS = [
+  'order_taken', 'order_value', 'salesorder_number', 'merchandised',
+  'competitor_brands', 'brands_discussed', 'follow_up_date', 'contact_name',
+];
+
+const DATE_RE        = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BRANDS     = 20;
+const MAX_BRAND_LEN  = 100;
+const MAX_ORDER      = 1_000_000;
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+function optionalBoolean(value, name) {
+  if (value === undefined || value === null) return { value: null };
+  if (typeof value !== 'boolean') return { error: `${name} must be true or false` };
+  return { value };
+}
+
+function optionalText(value, name, maxLen) {
+  if (value === undefined || value === null) return { value: null };
+  if (typeof value !== 'string') return { error: `${name} must be text` };
+  const text = value.trim();
+  if (text.length > maxLen) return { error: `${name} must be at most ${maxLen} characters` };
+  return { value: text || null };
+}
+
+function brandList(value, name) {
+  if (value === undefined || value === null) return { value: [] };
+  if (!Array.isArray(value) || value.some((b) => typeof b !== 'string')) {
+    return { error: `${name} must be a list of brand names` };
+  }
+  const brands = [...new Set(value.map((b) => b.trim()).filter(Boolean))];
+  if (brands.length > MAX_BRANDS) return { error: `${name} can list at most ${MAX_BRANDS} brands` };
+  if (brands.some((b) => b.length > MAX_BRAND_LEN)) return { error: `${name} entries must be at most ${MAX_BRAND_LEN} characters` };
+  return { value: brands };
+}
+
+/**
+ * Validate the outcome fields of a POST /api/visits body.
+ * @param {object} body
+ * @param {object} opts – { today: 'YYYY-MM-DD' } (Sydney) for the follow-up check
+ * @returns {{ outcome: object } | { error: string }} outcome has every OUTCOME_COLUMNS key
+ */
+function parseVisitOutcome(body, { today }) {
+  const fields = {
+    order_taken:       optionalBoolean(body.order_taken, 'order_taken'),
+    merchandised:      optionalBoolean(body.merchandised, 'merchandised'),
+    salesorder_number: optionalText(body.salesorder_number, 'salesorder_number', 50),
+    contact_name:      optionalText(body.contact_name, 'contact_name', 120),
+    competitor_brands: brandList(body.competitor_brands, 'competitor_brands'),
+    brands_discussed:  brandList(body.brands_discussed, 'brands_discussed'),
+  };
+  for (const f of Object.values(fields)) if (f.error) return { error: f.error };
+
+  const outcome = Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, f.value]));
+
+  // Order value / sales order only make sense with an order
+  outcome.order_value = null;
+  if (body.order_value !== undefined && body.order_value !== null && body.order_value !== '') {
+    const value = Number(body.order_value);
+    if (!Number.isFinite(value) || value < 0 || value >= MAX_ORDER) {
+      return { error: 'order_value must be a number between 0 and 1,000,000' };
+    }
+    outcome.order_value = Math.round(value * 100) / 100;
+  }
+  if ((outcome.order_value !== null || outcome.salesorder_number) && outcome.order_taken !== true) {
+    return { error: 'order_value and salesorder_number need order_taken: true' };
+  }
+
+  outcome.follow_up_date = null;
+  if (body.follow_up_date !== undefined && body.follow_up_date !== null && body.follow_up_date !== '') {
+    const date = body.follow_up_date;
+    if (typeof date !== 'string' || !DATE_RE.test(date) || isNaN(Date.parse(date))) {
+      return { error: 'follow_up_date must be YYYY-MM-DD' };
+    }
+    if (date < today) return { error: 'follow_up_date cannot be in the past' };
+    outcome.follow_up_date = date;
+  }
+
+  return { outcome: Object.fromEntries(OUTCOME_COLUMNS.map((c) => [c, outcome[c]])) };
+}
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+/**
+ * Stores whose most recent in-person visits all recorded "no order".
+ * The streak counts back from the latest visit and stops at the first visit
+ * that took an order or didn't record an outcome. Phone calls are ignored.
+ */
+async function fetchNoOrderStreaks({ storeId = null } = {}) {
+  const { rows } = await db.query(`
+    SELECT store_id,
+           COUNT(*)::INTEGER AS streak,
+           MIN(visited_at)   AS since,
+           MAX(visited_at)   AS last_visit_at
+    FROM (
+      SELECT store_id, visited_at, order_taken,
+             COUNT(*) FILTER (WHERE order_taken IS DISTINCT FROM FALSE)
+               OVER (PARTITION BY store_id ORDER BY visited_at DESC ROWS UNBOUNDED PRECEDING) AS breaks
+      FROM visits
+      WHERE visit_type = 'visit' AND ($1::INTEGER IS NULL OR store_id = $1)
+    ) v
+    WHERE breaks = 0
+    GROUP BY store_id
+  `, [storeId]);
+  return rows;
+}
+
+module.exports = {
+  OUTCOME_COLUMNS,
+  parseVisitOutcome,
+  fetchNoOrderStreaks,
+};
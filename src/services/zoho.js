@@ -4,11 +4,18 @@
  * Zoho Books OAuth2 client.
  *
  * Env vars required:
- *   ZOHO_CLIENT_ID      – from api-console.zoho.com
- *   ZOHO_CLIENT_SECRET  – from api-console.zoho.com
- *   ZOHO_REFRESH_TOKEN  – initial refresh token (seed value; DB takes over after first use)
- *   ZOHO_ORG_ID         – 689159620
- *   ZOHO_ACCOUNTS_URL   – optional, default https://accounts.zoho.com
+ *   ZOHO_CLIENT_ID         – from api-console.zoho.com
+ *   ZOHO_CLIENT_SECRET     – from api-console.zoho.com
+ *   ZOHO_REFRESH_TOKEN     – initial refresh token (seed value; DB takes over after first use)
+ *   ZOHO_ORG_ID            – 689159620
+ *   ZOHO_ACCOUNTS_URL      – optional, default https://accounts.zoho.com
+ *   ZOHO_BASE_URL          – optional, default https://www.zohoapis.com/books/v3
+ *   ZOHO_DAILY_CALL_LIMIT  – optional, default 5000 (calls per day, Sydney time)
+ *   ZOHO_PER_MINUTE_LIMIT  – optional, default 90 (Zoho allows 100/min per org)
+ *   ZOHO_MAX_CONCURRENT    – optional, default 4 in-flight calls
+ *
+ * Point both URLs at the local stand-in (npm run mock:zoho) to run without
+ * live credentials — see src/mock/zohoBooks.js.
  *
  * Refresh token persistence:
  *   The current refresh token is stored in the app_config table under the key
@@ -18,11 +25,13 @@
  *   so the token chain never breaks across server restarts or Render deployments.
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const db = require('../db/index');
 
 const ZOHO_ACCOUNTS_URL =
   process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com';
-const ZOHO_BASE_URL = 'https://www.zohoapis.com/books/v3';
+const ZOHO_BASE_URL =
+  process.env.ZOHO_BASE_URL || 'https://www.zohoapis.com/books/v3';
 
 // ── In-memory token cache ─────────────────────────────────────────────────────
 let _cachedToken    = null;
@@ -138,35 +147,298 @@ async function getAccessToken() {
   return refreshAccessToken();
 }
 
+// ── Request layer: queue, retry, quota ────────────────────────────────────────
+//
+// Every Books API call goes through _zohoFetch(), which:
+//   • queues calls so at most ZOHO_MAX_CONCURRENT run at once and no more than
+//     ZOHO_PER_MINUTE_LIMIT start in any 60-second window (Zoho allows 100/min)
+//   • retries 429 / 5xx / network errors with exponential backoff + full
+//     jitter, honouring Retry-After when Zoho sends it
+//   • refuses to call once today's ZOHO_DAILY_CALL_LIMIT has been used
+//   • counts calls per subsystem per day (zoho_api_usage table)
+//
+// The subsystem is taken from the async context — wrap a unit of work in
+// withZohoSubsystem('grading', fn) and every call made inside it is
+// attributed to 'grading'. Untagged calls count as 'other'.
+
+const MAX_CONCURRENT   = Number(process.env.ZOHO_MAX_CONCURRENT)   || 4;
+const PER_MINUTE_LIMIT = Number(process.env.ZOHO_PER_MINUTE_LIMIT) || 90;
+const DAILY_CALL_LIMIT = Number(process.env.ZOHO_DAILY_CALL_LIMIT) || 5000;
+const MAX_RETRIES      = 4;
+const BACKOFF_BASE_MS  = 1000;
+const BACKOFF_MAX_MS   = 30_000;
+const USAGE_FLUSH_MS   = 60_000;
+
+const _subsystemContext = new AsyncLocalStorage();
+
+/** Run fn with every Zoho call inside it attributed to `subsystem`. */
+function withZohoSubsystem(subsystem, fn) {
+  return _subsystemContext.run(subsystem, fn);
+}
+
+function _currentSubsystem() {
+  return _subsystemContext.getStore() || 'other';
+}
+
+const _sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ── Queue ──
+
+const _waiting      = [];
+const _recentStarts = []; // start timestamps within the last 60s
+let _active         = 0;
+let _drainTimer     = null;
+
+function _drainQueue() {
+  const now = Date.now();
+  while (_recentStarts.length && now - _recentStarts[0] >= 60_000) _recentStarts.shift();
+
+  while (_waiting.length && _active < MAX_CONCURRENT && _recentStarts.length < PER_MINUTE_LIMIT) {
+    _active++;
+    _recentStarts.push(now);
+    _waiting.shift()();
+  }
+
+  // Per-minute window full — wake up when the oldest start ages out
+  if (_waiting.length && _recentStarts.length >= PER_MINUTE_LIMIT && !_drainTimer) {
+    _drainTimer = setTimeout(() => {
+      _drainTimer = null;
+      _drainQueue();
+    }, 60_000 - (now - _recentStarts[0]) + 10);
+  }
+}
+
+function _acquireSlot() {
+  return new Promise((resolve) => {
+    _waiting.push(resolve);
+    _drainQueue();
+  });
+}
+
+function _releaseSlot() {
+  _active--;
+  _drainQueue();
+}
+
+/**
+ * Exponential backoff with full jitter. Retry-After (seconds) from Zoho wins
+ * when present, capped at BACKOFF_MAX_MS.
+ */
+function _backoffDelay(attempt, retryAfter) {
+  const hinted = Number(retryAfter);
+  if (hinted > 0) return Math.min(hinted * 1000, BACKOFF_MAX_MS);
+  const ceiling = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return Math.random() * ceiling;
+}
+
+// ── Daily usage counters ──
+
+// Quota day follows the business timezone used by the cron jobs.
+const _dayFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: 'Australia/Sydney' });
+
+function _today() {
+  return _dayFormatter.format(new Date()); // YYYY-MM-DD
+}
+
+let _usageDay        = _today();
+let _usedToday       = 0;   // calls made today (DB total + unflushed)
+let _pendingUsage    = {};  // subsystem → { calls, rate_limited, server_errors } not yet flushed
+let _usageFlushTimer = null;
+
+function _rollUsageDay() {
+  const today = _today();
+  if (today === _usageDay) return;
+  // Flush yesterday's tail before resetting the in-memory counters
+  const tail = _pendingUsage;
+  const day  = _usageDay;
+  _pendingUsage = {};
+  _usageDay     = today;
+  _usedToday    = 0;
+  _writeUsage(day, tail).catch((err) =>
+    console.error('[zoho] Failed to flush API usage:', err.message)
+  );
+}
+
+function _recordUsage(subsystem, field) {
+  _rollUsageDay();
+  const entry = _pendingUsage[subsystem] ||
+    (_pendingUsage[subsystem] = { calls: 0, rate_limited: 0, server_errors: 0 });
+  entry[field]++;
+  if (field === 'calls') _usedToday++;
+
+  if (!_usageFlushTimer) {
+    _usageFlushTimer = setInterval(() => {
+      flushApiUsage().catch((err) => console.error('[zoho] Failed to flush API usage:', err.message));
+    }, USAGE_FLUSH_MS);
+    _usageFlushTimer.unref();
+  }
+}
+
+async function _writeUsage(day, usage) {
+  for (const [subsystem, u] of Object.entries(usage)) {
+    await db.query(
+      `INSERT INTO zoho_api_usage (day, subsystem, calls, rate_limited, server_errors, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (day, subsystem) DO UPDATE SET
+         calls         = zoho_api_usage.calls + EXCLUDED.calls,
+         rate_limited  = zoho_api_usage.rate_limited + EXCLUDED.rate_limited,
+         server_errors = zoho_api_usage.server_errors + EXCLUDED.server_errors,
+         updated_at    = NOW()`,
+      [day, subsystem, u.calls, u.rate_limited, u.server_errors]
+    );
+  }
+}
+
+/** Write buffered per-subsystem counters to zoho_api_usage. */
+async function flushApiUsage() {
+  _rollUsageDay();
+  const usage = _pendingUsage;
+  _pendingUsage = {};
+  try {
+    await _writeUsage(_usageDay, usage);
+  } catch (err) {
+    // Put the counts back so the next flush retries them
+    for (const [subsystem, u] of Object.entries(usage)) {
+      const entry = _pendingUsage[subsystem] ||
+        (_pendingUsage[subsystem] = { calls: 0, rate_limited: 0, server_errors: 0 });
+      entry.calls         += u.calls;
+      entry.rate_limited  += u.rate_limited;
+      entry.server_errors += u.server_errors;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Restore today's call count from the DB so the daily quota survives restarts.
+ * Call once from server.js at startup.
+ */
+async function initApiUsage() {
+  try {
+    _usageDay = _today();
+    const { rows } = await db.query(
+      `SELECT COALESCE(SUM(calls), 0)::INTEGER AS calls FROM zoho_api_usage WHERE day = $1`,
+      [_usageDay]
+    );
+    const unflushed = Object.values(_pendingUsage).reduce((s, u) => s + u.calls, 0);
+    _usedToday = rows[0].calls + unflushed;
+    console.log(`[zoho] API usage today: ${_usedToday}/${DAILY_CALL_LIMIT} calls`);
+  } catch (err) {
+    console.error('[zoho] Failed to load API usage from DB:', err.message);
+  }
+}
+
+/**
+ * Today's API budget plus a 7-day per-subsystem history.
+ * Used by /api/debug/token-status.
+ */
+async function getApiBudget() {
+  await flushApiUsage().catch((err) =>
+    console.error('[zoho] Failed to flush API usage:', err.message)
+  );
+
+  const { rows } = await db.query(
+    `SELECT to_char(day, 'YYYY-MM-DD') AS day, subsystem, calls, rate_limited, server_errors
+     FROM zoho_api_usage
+     WHERE day > $1::date - 7
+     ORDER BY day DESC, calls DESC`,
+    [_usageDay]
+  );
+
+  return {
+    day:                _usageDay,
+    daily_limit:        DAILY_CALL_LIMIT,
+    used_today:         _usedToday,
+    remaining_today:    Math.max(0, DAILY_CALL_LIMIT - _usedToday),
+    per_minute_limit:   PER_MINUTE_LIMIT,
+    max_concurrent:     MAX_CONCURRENT,
+    queue:              { active: _active, waiting: _waiting.length, started_last_minute: _recentStarts.length },
+    today_by_subsystem: rows.filter((r) => r.day === _usageDay),
+    history:            rows,
+  };
+}
+
+// ── Shared fetch ──
+
+/**
+ * Make one authenticated Books API call through the queue.
+ * Refreshes the access token once on 401; retries 429 / 5xx / network errors
+ * up to MAX_RETRIES times. Returns the final Response (ok or not).
+ */
+async function _zohoFetch(endpoint, url, init) {
+  const subsystem = _currentSubsystem();
+  let refreshed = false;
+  let attempt   = 0;
+
+  for (;;) {
+    _rollUsageDay();
+    if (_usedToday >= DAILY_CALL_LIMIT) {
+      throw new Error(`Zoho daily API budget exhausted (${_usedToday}/${DAILY_CALL_LIMIT} calls) — ${endpoint} not called`);
+    }
+
+    const token = await getAccessToken();
+
+    await _acquireSlot();
+    let result;
+    let networkError;
+    try {
+      _recordUsage(subsystem, 'calls');
+      result = await fetch(url, {
+        ...init,
+        headers: { ...init.headers, Authorization: `Zoho-oauthtoken ${token}` },
+      });
+    } catch (err) {
+      networkError = err;
+    } finally {
+      _releaseSlot();
+    }
+
+    if (result && result.status === 401 && !refreshed) {
+      console.log(`[zoho] 401 received on ${endpoint} — refreshing token and retrying`);
+      refreshed = true;
+      await refreshAccessToken();
+      continue;
+    }
+
+    const retryable = networkError || result.status === 429 || result.status >= 500;
+    if (!retryable) return result;
+
+    if (result?.status === 429) _recordUsage(subsystem, 'rate_limited');
+    else _recordUsage(subsystem, 'server_errors');
+
+    if (attempt >= MAX_RETRIES) {
+      if (networkError) throw networkError;
+      return result;
+    }
+
+    const delay = _backoffDelay(attempt, result?.headers.get('retry-after'));
+    attempt++;
+    console.warn(
+      `[zoho] ${networkError ? networkError.message : result.status} on ${endpoint} ` +
+      `(${subsystem}) — retry ${attempt}/${MAX_RETRIES} in ${Math.round(delay)}ms`
+    );
+    await _sleep(delay);
+  }
+}
+
 // ── Zoho API write helper ─────────────────────────────────────────────────────
 
 /**
  * Make an authenticated write request (PUT/POST/PATCH) to the Zoho Books API.
- * Body is serialised as JSON. Retries once on 401.
+ * Body is serialised as JSON. Goes through the shared request layer.
  */
 async function makeZohoWrite(method, endpoint, body = {}) {
   const orgId = process.env.ZOHO_ORG_ID || '689159620';
   const url   = `${ZOHO_BASE_URL}${endpoint}?organization_id=${orgId}`;
 
-  const doFetch = (token) =>
-    fetch(url, {
-      method,
-      headers: {
-        Authorization:  `Zoho-oauthtoken ${token}`,
-        'Content-Type': 'application/json',
-        Accept:         'application/json',
-      },
-      body: JSON.stringify(body),
-    });
-
-  let token  = await getAccessToken();
-  let result = await doFetch(token);
-
-  if (result.status === 401) {
-    console.log('[zoho] 401 — refreshing token and retrying');
-    token  = await refreshAccessToken();
-    result = await doFetch(token);
-  }
+  const result = await _zohoFetch(endpoint, url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept:         'application/json',
+    },
+    body: JSON.stringify(body),
+  });
 
   if (!result.ok) {
     const text = await result.text();
@@ -180,29 +452,16 @@ async function makeZohoWrite(method, endpoint, body = {}) {
 
 /**
  * Make an authenticated GET request to the Zoho Books API.
- * Retries once on 401 with a freshly fetched token.
+ * Goes through the shared request layer (queue, retry, quota).
  */
 async function makeZohoRequest(endpoint, params = {}) {
   const orgId = process.env.ZOHO_ORG_ID || '689159620';
   const qs    = new URLSearchParams({ organization_id: orgId, ...params });
   const url   = `${ZOHO_BASE_URL}${endpoint}?${qs}`;
 
-  const doFetch = (token) =>
-    fetch(url, {
-      headers: {
-        Authorization: `Zoho-oauthtoken ${token}`,
-        Accept:        'application/json',
-      },
-    });
-
-  let token = await getAccessToken();
-  let result = await doFetch(token);
-
-  if (result.status === 401) {
-    console.log('[zoho] 401 received — refreshing token and retrying');
-    token  = await refreshAccessToken();
-    result = await doFetch(token);
-  }
+  const result = await _zohoFetch(endpoint, url, {
+    headers: { Accept: 'application/json' },
+  });
 
   if (!result.ok) {
     const text = await result.text();
@@ -212,4 +471,13 @@ async function makeZohoRequest(endpoint, params = {}) {
   return result.json();
 }
 
-module.exports = { initZohoTokens, refreshAccessToken, makeZohoRequest, makeZohoWrite };
+module.exports = {
+  initZohoTokens,
+  initApiUsage,
+  refreshAccessToken,
+  makeZohoRequest,
+  makeZohoWrite,
+  withZohoSubsystem,
+  flushApiUsage,
+  getApiBudget,
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertUser, insertStore } = require('./helpers/factories');
+
+describe('alert digests', { skip: skipWithoutDb }, () => {
+  let h, digest, mailer, sent, rep, other, manager, store;
+
+  // In-memory transport; set `failWith` to make the next sends throw
+  let failWith = null;
+  const transport = {
+    name: 'memory',
+    async send(message) {
+      if (failWith) throw new Error(failWith);
+      sent.push(message);
+      return { id: `<${sent.length}@memory>` };
+    },
+  };
+
+  before(async () => {
+    h = await startHarness();
+    digest = require('../src/services/alertDigest');
+    mailer = require('../src/services/mailer');
+    mailer.setTransport(transport);
+  });
+  after(() => {
+    mailer?.setTransport(null);
+    return h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    sent = [];
+    failWith = null;
+    rep     = await insertUser(h.db, { name: 'Sam Carter' });
+    other   = await insertUser(h.db, { name: 'Priya Nair' });
+    manager = await insertUser(h.db, { name: 'Mia Boss', role: 'manager' });
+    store   = await insertStore(h.db, { zoho_contact_id: 'N1', name: 'Corner Store', rep_id: rep.id });
+  });
+
+  async function addAlert({ repId, tier = 1, title, hoursAgo = 1, acknowledged = false, storeId = store.id }) {
+    await h.db.query(`
+      INSERT INTO alert_log (alert_type, store_id, rep_id, tier, alert_title, triggered_at, acknowledged_at)
+      VALUES ('churn_risk', $1, $2, $3, $4, NOW() - make_interval(hours => $5), $6)
+    `, [storeId, repId, tier, title, hoursAgo, acknowledged ? new Date() : null]);
+  }
+
+  const sentTo = (user) => sent.filter((m) => m.to.includes(user.email));
+
+  it('sends reps their own new alerts and managers everything', async () => {
+    await addAlert({ repId: rep.id, title: 'Sam T1' });
+    await addAlert({ repId: rep.id, tier: 2, title: 'Sam T2' });
+    await addAlert({ repId: other.id, title: 'Priya T1' });
+    await addAlert({ repId: other.id, title: 'Priya old', hoursAgo: 48 });
+    await addAlert({ repId: other.id, title: 'Priya acked', acknowledged: true });
+
+    const counts = await digest.runAlertDigests();
+    assert.deepEqual(counts, { sent: 3, empty: 0, skipped: 0, failed: 0 });
+
+    const [samMail] = sentTo(rep);
+    assert.match(samMail.text, /Sam T1/);
+    assert.match(samMail.text, /Sam T2/);
+    assert.doesNotMatch(samMail.text, /Priya/);
+
+    const [priyaMail] = sentTo(other);
+    assert.equal(priyaMail.subject, 'Artico Sales: 1 new alert (1 action required)');
+
+    const [managerMail] = sentTo(manager);
+    assert.match(managerMail.subject, /3 new alerts/);
+
+    const { rows } = await h.db.query(`SELECT kind, status, alert_count, transport FROM notification_log ORDER BY user_id`);
+    assert.deepEqual(rows.map((r) => [r.kind, r.status, r.alert_count, r.transport]), [
+      ['digest', 'sent', 2, 'memory'],
+      ['digest', 'sent', 1, 'memory'],
+      ['digest', 'sent', 3, 'memory'],
+    ]);
+  });
+
+  it("sends a team's manager only their team's alerts", async () => {
+    const exec = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    const vicStore = await insertStore(h.db, { zoho_contact_id: 'V1', name: 'Fitzroy Store', rep_id: other.id, state: 'VIC' });
+    const { rows: [nsw] } = await h.db.query(`INSERT INTO teams (name, states, manager_id) VALUES ('NSW', '{NSW}', $1) RETURNING id`, [manager.id]);
+    const { rows: [vic] } = await h.db.query(`INSERT INTO teams (name, states) VALUES ('VIC', '{VIC}') RETURNING id`);
+    await h.db.query('UPDATE users SET team_id = $1 WHERE id = $2', [nsw.id, rep.id]);
+    await h.db.query('UPDATE users SET team_id = $1 WHERE id = $2', [vic.id, other.id]);
+
+    await addAlert({ repId: rep.id, title: 'Sam T1' });
+    await addAlert({ repId: other.id, title: 'Priya T1', storeId: vicStore.id });
+
+    await digest.runAlertDigests();
+    const [managerMail] = sentTo(manager);
+    assert.match(managerMail.text, /Sam T1/);
+    assert.doesNotMatch(managerMail.text, /Priya|Fitzroy/);
+    assert.match(sentTo(exec)[0].subject, /2 new alerts/);
+  });
+
+  it('only sends once per day, and only alerts raised since the last digest', async () => {
+    await addAlert({ repId: rep.id, title: 'First' });
+    await digest.runAlertDigests();
+    assert.equal(sentTo(rep).length, 1);
+
+    // Same day: nothing more
+    await addAlert({ repId: rep.id, title: 'Second', hoursAgo: 0 });
+    const again = await digest.runAlertDigests();
+    assert.equal(again.skipped, 3);
+    assert.equal(sentTo(rep).length, 1);
+
+    // Next day: only the alert raised after the first digest
+    sent = [];
+    await digest.runAlertDigests({ now: new Date(Date.now() + 86_400_000) });
+    const [mail] = sentTo(rep);
+    assert.match(mail.text, /Second/);
+    assert.doesNotMatch(mail.text, /First/);
+  });
+
+  it('honours off, Tier-1-only and skips empty digests', async () => {
+    await digest.savePrefs(rep.id, { max_tier: 1 });
+    await digest.savePrefs(manager.id, { digest: 'off' });
+    await addAlert({ repId: rep.id, tier: 2, title: 'Insight only' });
+
+    const counts = await digest.runAlertDigests();
+    assert.deepEqual(counts, { sent: 0, empty: 2, skipped: 1, failed: 0 });
+    assert.equal(sent.length, 0);
+
+    // Empty digests still move the window on
+    const prefs = await digest.getPrefs(rep.id);
+    assert.ok(prefs.last_digest_at);
+    assert.equal(prefs.max_tier, 1);
+    assert.equal(prefs.digest, 'daily');
+  });
+
+  it('logs failures and retries them next run', async () => {
+    await addAlert({ repId: rep.id, title: 'Will retry' });
+    failWith = 'connection refused';
+
+    const counts = await digest.runAlertDigests();
+    assert.equal(counts.failed, 2);
+    assert.equal((await digest.getPrefs(rep.id)).last_digest_at, null);
+    const { rows } = await h.db.query(`SELECT status, error FROM notification_log WHERE user_id = $1`, [rep.id]);
+    assert.deepEqual(rows, [{ status: 'failed', error: 'connection refused' }]);
+
+    failWith = null;
+    await digest.runAlertDigests();
+    assert.match(sentTo(rep)[0].text, /Will retry/);
+  });
+
+  it('sends a test digest without moving the schedule', async () => {
+    await addAlert({ repId: rep.id, title: 'Open alert', hoursAgo: 72 });
+
+    const result = await digest.sendTestDigest(rep.id);
+    assert.deepEqual(result, { alert_count: 1, transport: 'memory' });
+    assert.match(sentTo(rep)[0].text, /Open alert/);
+    assert.equal((await digest.getPrefs(rep.id)).last_digest_at, null);
+
+    await digest.sendTestDigest(other.id);
+    assert.equal(sentTo(other)[0].subject, 'Artico Sales: test email');
+  });
+});
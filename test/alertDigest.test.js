@@ -0,0 +1,61 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDigestDue, buildDigest } = require('../src/services/alertDigest');
+
+// 02:30 Monday 19 Oct 2026 in Sydney (AEDT, UTC+11)
+const MONDAY_NIGHT = new Date('2026-10-18T15:30:00Z');
+
+describe('isDigestDue', () => {
+  it('sends daily digests once per Sydney day', () => {
+    assert.equal(isDigestDue({ digest: 'daily', last_digest_at: null }, MONDAY_NIGHT), true);
+    // Previous run was Sunday 02:00 Sydney
+    assert.equal(isDigestDue({ digest: 'daily', last_digest_at: '2026-10-17T15:00:00Z' }, MONDAY_NIGHT), true);
+    // Already sent at 00:30 Monday Sydney (still Sunday in UTC)
+    assert.equal(isDigestDue({ digest: 'daily', last_digest_at: '2026-10-18T13:30:00Z' }, MONDAY_NIGHT), false);
+  });
+
+  it('sends weekly digests on the chosen Sydney weekday only', () => {
+    assert.equal(isDigestDue({ digest: 'weekly', weekly_day: 1, last_digest_at: null }, MONDAY_NIGHT), true);
+    // Sunday in UTC, but Monday in Sydney — Sunday (7) is not due
+    assert.equal(isDigestDue({ digest: 'weekly', weekly_day: 7, last_digest_at: null }, MONDAY_NIGHT), false);
+  });
+
+  it('never sends when switched off', () => {
+    assert.equal(isDigestDue({ digest: 'off', weekly_day: 1, last_digest_at: null }, MONDAY_NIGHT), false);
+  });
+});
+
+describe('buildDigest', () => {
+  const alerts = [
+    { tier: 1, alert_type: 'churn_risk', alert_title: 'Churn risk: Corner Store', rep_name: 'Sam Carter', revenue_at_risk: 12500.4 },
+    { tier: 2, alert_type: 'focus_line', alert_title: 'Focus line not ranged: Name a Star — <Gifts & Co>', rep_name: 'Sam Carter', estimated_uplift: 800 },
+    { tier: 1, alert_type: 'sku_gap', alert_title: 'SKU gap: Bay Books', rep_name: 'Priya Nair' },
+  ];
+
+  it('groups alerts by tier with counts in the subject', () => {
+    const { subject, text } = buildDigest({ name: 'Sam Carter', role: 'rep' }, alerts, { appUrl: 'http://app.test' });
+
+    assert.equal(subject, 'Artico Sales: 3 new alerts (2 action required)');
+    assert.match(text, /^Hi Sam, here are 3 alerts since yesterday\./);
+    const t1 = text.indexOf('ACTION REQUIRED (2)');
+    const t2 = text.indexOf('INSIGHTS (1)');
+    assert.ok(t1 >= 0 && t2 > t1);
+    assert.ok(text.indexOf('SKU gap: Bay Books') < t2);
+    assert.match(text, /Churn Risk · At risk \$12,500/);
+    assert.match(text, /http:\/\/app\.test/);
+    // Reps don't need their own name on every line
+    assert.doesNotMatch(text, /Sam Carter/);
+  });
+
+  it('shows the rep to managers and escapes HTML', () => {
+    const { subject, text, html } = buildDigest({ name: 'Mia', role: 'manager' }, alerts.slice(1, 2), { frequency: 'weekly' });
+    assert.equal(subject, 'Artico Sales: 1 new alert');
+    assert.match(text, /here is 1 alert this week/);
+    assert.match(text, /Focus Line · Sam Carter · Uplift \$800/);
+    assert.doesNotMatch(text, /ACTION REQUIRED/);
+    assert.match(html, /&lt;Gifts &amp; Co&gt;/);
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { daysAgo, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('alert effectiveness', { skip: skipWithoutDb }, () => {
+  let h, report, lifecycle, rep, other, store;
+
+  before(async () => {
+    h = await startHarness();
+    report    = require('../src/services/alertEffectiveness');
+    lifecycle = require('../src/services/alertLifecycle');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    rep   = await insertUser(h.db, { name: 'Sam Carter' });
+    other = await insertUser(h.db, { name: 'Priya Nair' });
+    store = await insertStore(h.db, { zoho_contact_id: 'E1', rep_id: rep.id });
+  });
+
+  async function raise(alertType, age, { storeId = store.id } = {}) {
+    const { rows } = await h.db.query(`
+      INSERT INTO alert_log (alert_type, store_id, rep_id, tier, alert_title, triggered_at)
+      VALUES ($1, $2, $3, 1, 't', NOW() - make_interval(days => $4)) RETURNING id
+    `, [alertType, storeId, rep.id, age]);
+    return rows[0].id;
+  }
+
+  async function addInvoice(id, date, total, status = 'paid') {
+    await h.db.query(`
+      INSERT INTO zoho_invoices (invoice_id, customer_id, status, date, total) VALUES ($1, $2, $3, $4, $5)
+    `, [id, store.zoho_contact_id, status, date, total]);
+  }
+
+  it('joins each alert with the visits and invoices that followed', async () => {
+    const churn = await raise('churn_risk', 100);
+    const sku   = await raise('sku_gap', 20);
+    await raise('rep_activity_drop', 5, { storeId: null });
+
+    await lifecycle.resolveAlert(churn, { outcome: 'ordered' }, rep.id);
+    await lifecycle.assignAlert(sku, other.id, rep.id);
+
+    await insertVisit(h.db, { rep_id: rep.id, store_id: store.id, days_ago: 95 });  // 5 days after churn
+    await addInvoice('I1', daysAgo(99), 1100);          // inside churn's 90 days
+    await addInvoice('I2', daysAgo(2), 2200);           // outside churn's, inside sku's
+    await addInvoice('I3', daysAgo(2), 9999, 'draft');  // never counted
+    await addInvoice('I4', daysAgo(150), 5500);         // before both
+
+    const rows = await report.fetchAlertOutcomes({ from: daysAgo(365), to: daysAgo(0), visitDays: 14, revenueDays: 90 });
+    const byType = Object.fromEntries(rows.map((r) => [r.alert_type, r]));
+
+    assert.ok(byType.churn_risk.first_action_at);
+    assert.ok(byType.churn_risk.first_visit_at);
+    assert.equal(Math.round(byType.churn_risk.revenue), 1000);  // window ends 10 days ago
+    assert.equal(byType.churn_risk.complete, true);
+
+    assert.equal(byType.sku_gap.rep_name, 'Priya Nair');
+    assert.equal(byType.sku_gap.first_visit_at, null);
+    assert.equal(Math.round(byType.sku_gap.revenue), 2000);
+    assert.equal(byType.sku_gap.complete, false);
+
+    assert.equal(byType.rep_activity_drop.revenue, null);
+    assert.equal(byType.rep_activity_drop.first_action_at, null);
+  });
+
+  it('builds the per-type and per-rep report for the window', async () => {
+    await raise('churn_risk', 10);
+    await raise('churn_risk', 400);  // outside the window
+    const out = await report.buildEffectivenessReport({ from: daysAgo(30), to: daysAgo(0) });
+
+    assert.equal(out.totals.alerts, 1);
+    assert.deepEqual(out.by_type.map((g) => [g.key, g.alerts]), [['churn_risk', 1]]);
+    assert.deepEqual(out.by_rep.map((g) => [g.label, g.alerts]), [['Sam Carter', 1]]);
+    assert.deepEqual(out.window, { from: daysAgo(30), to: daysAgo(0), visit_days: 14, revenue_days: 90 });
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { summariseOutcomes } = require('../src/services/alertEffectiveness');
+
+const T0 = '2026-09-01T02:00:00Z';
+const daysAfter = (n) => new Date(Date.parse(T0) + n * 86_400_000).toISOString();
+
+// Rows shaped like fetchAlertOutcomes()
+function outcome(fields) {
+  return {
+    alert_type: 'churn_risk', store_id: 1, rep_id: 7, rep_name: 'Sam Carter',
+    triggered_at: T0, first_action_at: null, auto_resolved: false,
+    first_visit_at: null, revenue: 0, revenue_at_risk: null, estimated_uplift: null, complete: true,
+    ...fields,
+  };
+}
+
+describe('summariseOutcomes', () => {
+  it('computes rates, median time to action and revenue per group', () => {
+    const rows = [
+      outcome({ first_action_at: daysAfter(1), first_visit_at: daysAfter(2), revenue: 1000, revenue_at_risk: 5000 }),
+      outcome({ first_action_at: daysAfter(4), revenue: 500.4 }),
+      outcome({ auto_resolved: true, first_visit_at: daysAfter(3), complete: false }),
+      outcome({ first_action_at: daysAfter(2) }),
+      outcome({ alert_type: 'sku_gap', rep_id: 8, rep_name: 'Priya Nair' }),
+    ];
+
+    const [churn, sku] = summariseOutcomes(rows, (r) => r.alert_type);
+    assert.deepEqual(churn, {
+      key: 'churn_risk', label: 'churn_risk',
+      alerts: 4,
+      actioned: 3, actioned_pct: 75,
+      auto_resolved: 1, auto_resolved_pct: 25,
+      median_days_to_action: 2,
+      store_alerts: 4,
+      visited: 2, visited_pct: 50,
+      ordered: 2, ordered_pct: 50,
+      revenue: 1500, revenue_per_alert: 375,
+      revenue_at_risk: 5000, estimated_uplift: 0,
+      complete: 3,
+    });
+    assert.equal(sku.alerts, 1);
+    assert.equal(sku.actioned_pct, 0);
+    assert.equal(sku.median_days_to_action, null);
+  });
+
+  it('leaves visit and revenue rates empty for rep-level alerts', () => {
+    const rows = [
+      outcome({ alert_type: 'rep_activity_drop', store_id: null, first_action_at: daysAfter(0.5) }),
+    ];
+    const [g] = summariseOutcomes(rows, (r) => r.rep_id, (r) => r.rep_name);
+    assert.equal(g.label, 'Sam Carter');
+    assert.equal(g.median_days_to_action, 0.5);
+    assert.equal(g.store_alerts, 0);
+    assert.equal(g.visited_pct, null);
+    assert.equal(g.ordered_pct, null);
+    assert.equal(g.revenue_per_alert, null);
+  });
+
+  it('sorts groups by alert count', () => {
+    const rows = [outcome({ rep_id: 1 }), outcome({ rep_id: 2 }), outcome({ rep_id: 2 })];
+    assert.deepEqual(summariseOutcomes(rows, (r) => r.rep_id).map((g) => g.key), [2, 1]);
+  });
+});
@@ -0,0 +1,372 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { daysAgo, invoice, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('alert engine', { skip: skipWithoutDb }, () => {
+  let h, engine, rep;
+
+  before(async () => {
+    h = await startHarness();
+    engine = require('../src/services/alertEngine');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    rep = await insertUser(h.db, { name: 'Sam Carter' });
+  });
+
+  async function alerts(type) {
+    const { rows } = await h.db.query(
+      `SELECT alert_type, store_id, rep_id, tier, alert_title, alert_detail,
+              revenue_at_risk::FLOAT8 AS revenue_at_risk, estimated_uplift::FLOAT8 AS estimated_uplift
+       FROM alert_log WHERE alert_type = $1 ORDER BY store_id, rep_id`,
+      [type]
+    );
+    return rows;
+  }
+
+  const newCounts = () => ({ inserted: 0, skipped: 0 });
+
+  // ── Deduplication ───────────────────────────────────────────────────────────
+
+  describe('isDuplicate / insertAlert', () => {
+    it('blocks a second unacknowledged alert for the same type, store and rep', async () => {
+      const store = await insertStore(h.db, { zoho_contact_id: 'D1', rep_id: rep.id });
+      const alert = { alertType: 'churn_risk', storeId: store.id, repId: rep.id, tier: 1, title: 't' };
+
+      assert.equal(await engine.isDuplicate('churn_risk', store.id, rep.id), false);
+      assert.equal(await engine.insertAlert(alert), true);
+      assert.equal(await engine.isDuplicate('churn_risk', store.id, rep.id), true);
+      assert.equal(await engine.insertAlert(alert), false);
+
+      // Different type or rep is a different alert
+      assert.equal(await engine.isDuplicate('sku_gap', store.id, rep.id), false);
+      const other = await insertUser(h.db, { name: 'Priya Nair' });
+      assert.equal(await engine.isDuplicate('churn_risk', store.id, other.id), false);
+
+      assert.equal((await alerts('churn_risk')).length, 1);
+    });
+
+    it('matches NULL store / rep against NULL only', async () => {
+      await engine.insertAlert({ alertType: 'rep_activity_drop', storeId: null, repId: rep.id, tier: 1, title: 't' });
+      assert.equal(await engine.isDuplicate('rep_activity_drop', null, rep.id), true);
+      assert.equal(await engine.isDuplicate('rep_activity_drop', undefined, rep.id), true);
+
+      const store = await insertStore(h.db, { zoho_contact_id: 'D2', rep_id: rep.id });
+      assert.equal(await engine.isDuplicate('rep_activity_drop', store.id, rep.id), false);
+      assert.equal(await engine.isDuplicate('rep_activity_drop', null, null), false);
+    });
+
+    it('allows a fresh alert once the previous one is acknowledged', async () => {
+      const store = await insertStore(h.db, { zoho_contact_id: 'D3', rep_id: rep.id });
+      const alert = { alertType: 'sku_gap', storeId: store.id, repId: rep.id, tier: 1, title: 't' };
+      await engine.insertAlert(alert);
+      await h.db.query(`UPDATE alert_log SET acknowledged_at = NOW()`);
+
+      assert.equal(await engine.isDuplicate('sku_gap', store.id, rep.id), false);
+      assert.equal(await engine.insertAlert(alert), true);
+      assert.equal((await alerts('sku_gap')).length, 2);
+    });
+  });
+
+  // ── Tier 1 ──────────────────────────────────────────────────────────────────
+
+  it('ALERT-1 flags A-grade stores unvisited for 30+ days', async () => {
+    const never  = await insertStore(h.db, { zoho_contact_id: 'A1', rep_id: rep.id, grade: 'A' });
+    const stale  = await insertStore(h.db, { zoho_contact_id: 'A2', rep_id: rep.id, grade: 'A' });
+    const fresh  = await insertStore(h.db, { zoho_contact_id: 'A3', rep_id: rep.id, grade: 'A' });
+    await insertStore(h.db, { zoho_contact_id: 'A4', rep_id: rep.id, grade: 'B' });
+    await insertStore(h.db, { zoho_contact_id: 'A5', rep_id: rep.id, grade: 'A', active: false });
+    await insertVisit(h.db, { rep_id: rep.id, store_id: stale.id, days_ago: 40 });
+    await insertVisit(h.db, { rep_id: rep.id, store_id: fresh.id, days_ago: 10 });
+
+    const counts = newCounts();
+    await engine.runAlert1(counts);
+    await engine.runAlert1(counts);
+    assert.equal(counts.inserted, 2);
+
+    const rows = await alerts('a_grade_visit_breach');
+    assert.deepEqual(rows.map((r) => [r.store_id, r.tier, r.alert_detail.days_since_visit]), [
+      [never.id, 1, null],
+      [stale.id, 1, 40],
+    ]);
+  });
+
+  it('ALERT-2 flags $3k+ stores unvisited for 45+ days with revenue at risk', async () => {
+    const big    = await insertStore(h.db, { zoho_contact_id: 'H1', rep_id: rep.id });
+    await insertStore(h.db, { zoho_contact_id: 'H2', rep_id: rep.id });
+    const recent = await insertStore(h.db, { zoho_contact_id: 'H3', rep_id: rep.id });
+    await insertVisit(h.db, { rep_id: rep.id, store_id: big.id,    days_ago: 50 });
+    await insertVisit(h.db, { rep_id: rep.id, store_id: recent.id, days_ago: 10 });
+
+    const counts = newCounts();
+    await engine.runAlert2(counts, [
+      invoice({ customer_id: 'H1', date: daysAgo(100), total: 3410 }), // $3,100 ex GST
+      invoice({ customer_id: 'H2', date: daysAgo(100), total: 2200 }),
+      invoice({ customer_id: 'H3', date: daysAgo(100), total: 5500 }),
+    ]);
+
+    const [row, ...rest] = await alerts('high_value_unvisited');
+    assert.equal(rest.length, 0);
+    assert.equal(row.store_id, big.id);
+    assert.equal(row.alert_detail.revenue_12m, 3100);
+    assert.equal(row.revenue_at_risk, Math.round((3100 / 365) * 50));
+  });
+
+  it('ALERT-3 flags top-20% revenue stores with no invoice in 90 days', async () => {
+    for (const cid of ['T1', 'T2', 'T3', 'T4', 'T5']) {
+      await insertStore(h.db, { zoho_contact_id: cid, rep_id: rep.id });
+    }
+    const counts = newCounts();
+    await engine.runAlert3(counts, [
+      invoice({ customer_id: 'T1', date: daysAgo(10),  total: 110 }),
+      invoice({ customer_id: 'T2', date: daysAgo(10),  total: 220 }),
+      invoice({ customer_id: 'T3', date: daysAgo(200), total: 330 }),
+      invoice({ customer_id: 'T4', date: daysAgo(10),  total: 440 }),
+      invoice({ customer_id: 'T5', date: daysAgo(120), total: 11000 }),
+    ]);
+
+    const rows = await alerts('churn_risk');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].alert_detail.revenue_12m, 10000);
+    assert.equal(rows[0].alert_detail.last_order_date, daysAgo(120));
+    assert.equal(rows[0].revenue_at_risk, 2500);
+  });
+
+  it('ALERT-4 flags single-SKU stores with an uplift estimate', async () => {
+    const narrow = await insertStore(h.db, { zoho_contact_id: 'S1', rep_id: rep.id });
+    await insertStore(h.db, { zoho_contact_id: 'S2', rep_id: rep.id });
+
+    const counts = newCounts();
+    await engine.runAlert4(counts, [
+      invoice({ customer_id: 'S1', date: daysAgo(20), total: 1100, skus: ['NAS-01'] }),
+      invoice({ customer_id: 'S1', date: daysAgo(50), total: 2200, skus: ['NAS-01'] }),
+      invoice({ customer_id: 'S2', date: daysAgo(20), total: 1100, skus: ['NAS-01', 'SWB-02'] }),
+    ]);
+
+    const rows = await alerts('sku_gap');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].store_id, narrow.id);
+    assert.equal(rows[0].alert_detail.sku_count, 1);
+    assert.equal(rows[0].estimated_uplift, 900);
+  });
+
+  it('ALERT-5 flags active reps with no visits in 14 days', async () => {
+    const idle = await insertUser(h.db, { name: 'Priya Nair' });
+    await insertUser(h.db, { name: 'Gone', active: false });
+    await insertUser(h.db, { name: 'Boss', role: 'manager' });
+    const store = await insertStore(h.db, { zoho_contact_id: 'V1', rep_id: rep.id });
+    await insertVisit(h.db, { rep_id: rep.id,  store_id: store.id, days_ago: 3 });
+    await insertVisit(h.db, { rep_id: idle.id, store_id: store.id, days_ago: 20 });
+
+    const counts = newCounts();
+    await engine.runAlert5(counts);
+    await engine.runAlert5(counts);
+    assert.equal(counts.inserted, 1);
+
+    const rows = await alerts('rep_activity_drop');
+    assert.deepEqual(rows.map((r) => [r.store_id, r.rep_id]), [[null, idle.id]]);
+  });
+
+  // ── Tier 2 ──────────────────────────────────────────────────────────────────
+
+  it('T2-1 flags stores up 20%+ on the same months last year', async () => {
+    const up = await insertStore(h.db, { zoho_contact_id: 'O1', rep_id: rep.id });
+    await insertStore(h.db, { zoho_contact_id: 'O2', rep_id: rep.id });
+
+    const counts = newCounts();
+    await engine.runT2Alert1(counts, [
+      invoice({ customer_id: 'O1', date: daysAgo(365), total: 1100 }),
+      invoice({ customer_id: 'O1', date: daysAgo(1),   total: 1650 }),
+      invoice({ customer_id: 'O2', date: daysAgo(365), total: 1100 }),
+      invoice({ customer_id: 'O2', date: daysAgo(1),   total: 1210 }),
+    ]);
+
+    const rows = await alerts('store_outperforming');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].store_id, up.id);
+    assert.equal(rows[0].tier, 2);
+    assert.equal(rows[0].alert_detail.growth_pct, 50);
+    assert.equal(rows[0].estimated_uplift, 500);
+  });
+
+  it('T2-2 flags first orders over $500 in the last 30 days', async () => {
+    const fresh = await insertStore(h.db, { zoho_contact_id: 'N1', rep_id: rep.id, name: 'Paper Moon' });
+    await insertStore(h.db, { zoho_contact_id: 'N2', rep_id: rep.id });
+    await insertStore(h.db, { zoho_contact_id: 'N3', rep_id: rep.id });
+
+    const counts = newCounts();
+    await engine.runT2Alert2(counts, [
+      invoice({ customer_id: 'N1', date: daysAgo(10), total: 1100 }),
+      invoice({ customer_id: 'N2', date: daysAgo(60), total: 1100 }), // existing customer
+      invoice({ customer_id: 'N2', date: daysAgo(5),  total: 1100 }),
+      invoice({ customer_id: 'N3', date: daysAgo(5),  total: 330 }),  // under $500
+    ]);
+
+    const rows = await alerts('new_door_high_value');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].store_id, fresh.id);
+    assert.equal(rows[0].alert_title, 'New door $1,000: Paper Moon');
+    assert.equal(rows[0].estimated_uplift, 3000);
+  });
+
+  const brandMap = new Map([['NAS-01', 'Name a Star'], ['SWB-02', 'Shall We Bloom']]);
+
+  it('T2-3 flags a store whose brand share is well under its territory average', async () => {
+    const invoices = [];
+    for (const cid of ['P1', 'P2', 'P3', 'P4', 'P5']) {
+      await insertStore(h.db, { zoho_contact_id: cid, rep_id: rep.id });
+      invoices.push(invoice({ customer_id: cid, date: daysAgo(30), total: 2200, skus: ['NAS-01', 'SWB-02'] }));
+    }
+    const narrow = await insertStore(h.db, { zoho_contact_id: 'P6', rep_id: rep.id, name: 'Gum Tree Gifts' });
+    invoices.push(invoice({ customer_id: 'P6', date: daysAgo(30), total: 2200, skus: ['NAS-01'] }));
+
+    await engine.runT2Alert3(newCounts(), invoices, [], new Map()); // no brand catalog → no-op
+    assert.equal((await alerts('brand_underindex')).length, 0);
+
+    await engine.runT2Alert3(newCounts(), invoices, [], brandMap);
+    const rows = await alerts('brand_underindex');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].store_id, narrow.id);
+    assert.equal(rows[0].tier, 2);
+    assert.equal(rows[0].alert_title, 'Missing Shall We Bloom: Gum Tree Gifts');
+    assert.deepEqual(rows[0].alert_detail.brands, [{
+      brand: 'Shall We Bloom', store_share_pct: 0, peer_share_pct: 50, benchmark: 'territory', uplift: 1100,
+    }]);
+    assert.equal(rows[0].estimated_uplift, 1100);
+  });
+
+  it('T2-3 benchmarks stores without a rep against their channel, whatever its case', async () => {
+    const invoices = [];
+    for (const cid of ['C1', 'C2', 'C3', 'C4', 'C5']) {
+      await insertStore(h.db, { zoho_contact_id: cid });
+      invoices.push(invoice({ customer_id: cid, date: daysAgo(30), total: 2200, skus: ['NAS-01', 'SWB-02'] }));
+    }
+    const narrow = await insertStore(h.db, { zoho_contact_id: 'C6', name: 'Gum Tree Gifts' });
+    invoices.push(invoice({ customer_id: 'C6', date: daysAgo(30), total: 2200, skus: ['SWB-02'] }));
+    await h.db.query(`UPDATE stores SET channel_type = CASE WHEN id = $1 THEN 'gift shop' ELSE 'Gift Shop' END`, [narrow.id]);
+
+    await engine.runT2Alert3(newCounts(), invoices, [], brandMap);
+    const rows = await alerts('brand_underindex');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].store_id, narrow.id);
+    assert.deepEqual(rows[0].alert_detail.brands, [{
+      brand: 'Name a Star', store_share_pct: 0, peer_share_pct: 50, benchmark: 'channel', uplift: 1100,
+    }]);
+  });
+
+  it('T2-4 flags active stores missing a current focus line', async () => {
+    await h.db.query(`
+      INSERT INTO focus_lines (kind, brand, sku, label, starts_on, ends_on) VALUES
+        ('brand', 'Name a Star', NULL, NULL,                CURRENT_DATE - 30, NULL),
+        ('sku',   NULL,          'SWB-02', 'Bloom Gift Box', CURRENT_DATE - 30, CURRENT_DATE + 30),
+        ('sku',   NULL,          'OLD-1',  NULL,             CURRENT_DATE - 90, CURRENT_DATE - 10),
+        ('sku',   NULL,          'NEW-1',  NULL,             CURRENT_DATE + 10, NULL)
+    `);
+    const missing = await insertStore(h.db, { zoho_contact_id: 'F1', rep_id: rep.id, name: 'Wattle & Co' });
+    await insertStore(h.db, { zoho_contact_id: 'F2', rep_id: rep.id });
+    await insertStore(h.db, { zoho_contact_id: 'F3', rep_id: rep.id });
+    await insertStore(h.db, { zoho_contact_id: 'F4', rep_id: rep.id });
+
+    await engine.runT2Alert4(newCounts(), [
+      invoice({ customer_id: 'F1', date: daysAgo(20), total: 2200, skus: ['NAS-01'] }),
+      invoice({ customer_id: 'F2', date: daysAgo(20), total: 2200, skus: ['NAS-01', 'SWB-02'] }),
+      invoice({ customer_id: 'F4', date: daysAgo(20), total: 550,  skus: ['NAS-01'] }), // under $1k
+    ], [], brandMap);
+
+    const rows = await alerts('focus_line');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].store_id, missing.id);
+    assert.equal(rows[0].alert_title, 'Focus line not ranged: Bloom Gift Box — Wattle & Co');
+    assert.deepEqual(rows[0].alert_detail.missing_lines.map((m) => [m.name, m.kind, m.uplift]), [
+      ['Bloom Gift Box', 'sku', 1100],
+    ]);
+    assert.equal(rows[0].estimated_uplift, 1100);
+  });
+
+  // ── Alert rules ─────────────────────────────────────────────────────────────
+
+  describe('alert rules', () => {
+    async function addRule(fields) {
+      const { rows } = await h.db.query(`
+        INSERT INTO alert_rules (alert_type, enabled, tier, params, state, grade, rep_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
+      `, [fields.alert_type, fields.enabled ?? true, fields.tier ?? 1, JSON.stringify(fields.params || {}),
+          fields.state ?? null, fields.grade ?? null, fields.rep_id ?? null]);
+      return rows[0];
+    }
+
+    it('applies scoped thresholds and tiers per store', async () => {
+      const nsw = await insertStore(h.db, { zoho_contact_id: 'R1', rep_id: rep.id, grade: 'A', state: 'NSW' });
+      const vic = await insertStore(h.db, { zoho_contact_id: 'R2', rep_id: rep.id, grade: 'A', state: 'VIC' });
+      await insertVisit(h.db, { rep_id: rep.id, store_id: nsw.id, days_ago: 20 });
+      await insertVisit(h.db, { rep_id: rep.id, store_id: vic.id, days_ago: 20 });
+      await addRule({ alert_type: 'a_grade_visit_breach', params: { days: 30 } });
+      await addRule({ alert_type: 'a_grade_visit_breach', state: 'VIC', tier: 2, params: { days: 14 } });
+
+      const rules = (await h.db.query(`SELECT * FROM alert_rules`)).rows;
+      await engine.runAlert1(newCounts(), rules);
+
+      const rows = await alerts('a_grade_visit_breach');
+      assert.deepEqual(rows.map((r) => [r.store_id, r.tier]), [[vic.id, 2]]);
+    });
+
+    it('skips stores and reps whose rule is disabled', async () => {
+      const store = await insertStore(h.db, { zoho_contact_id: 'R3', rep_id: rep.id, state: 'QLD' });
+      await addRule({ alert_type: 'churn_risk', state: 'QLD', enabled: false });
+      await addRule({ alert_type: 'rep_activity_drop', rep_id: rep.id, enabled: false });
+      const rules = (await h.db.query(`SELECT * FROM alert_rules`)).rows;
+
+      await engine.runAlert3(newCounts(), [invoice({ customer_id: 'R3', date: daysAgo(200), total: 11000 })], rules);
+      await engine.runAlert5(newCounts(), rules);
+      assert.equal((await alerts('churn_risk')).length, 0);
+      assert.equal((await alerts('rep_activity_drop')).length, 0);
+
+      // Without the override the same store alerts
+      await engine.runAlert3(newCounts(), [invoice({ customer_id: 'R3', date: daysAgo(200), total: 11000 })]);
+      assert.deepEqual((await alerts('churn_risk')).map((r) => r.store_id), [store.id]);
+    });
+
+    it('uses rule params in uplift estimates and titles', async () => {
+      const store = await insertStore(h.db, { zoho_contact_id: 'R4', rep_id: rep.id, grade: 'B' });
+      await addRule({ alert_type: 'sku_gap', grade: 'B', params: { max_skus: 2, uplift_pct: 50 } });
+      const rules = (await h.db.query(`SELECT * FROM alert_rules`)).rows;
+
+      await engine.runAlert4(newCounts(), [
+        invoice({ customer_id: 'R4', date: daysAgo(20), total: 2200, skus: ['NAS-01', 'SWB-02'] }),
+      ], rules);
+
+      const rows = await alerts('sku_gap');
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].store_id, store.id);
+      assert.match(rows[0].alert_title, /^SKU gap \(2 products\)/);
+      assert.equal(rows[0].estimated_uplift, 1000);
+    });
+  });
+
+  // ── End to end ──────────────────────────────────────────────────────────────
+
+  it('runAlertEngine reads the synced invoice store and never re-raises open alerts', async () => {
+    const store = await insertStore(h.db, { zoho_contact_id: 'E1', rep_id: rep.id, grade: 'A' });
+    h.mock.state.invoices = [
+      invoice({ customer_id: 'E1', date: daysAgo(150), total: 4400, skus: ['NAS-01'] }),
+    ];
+    await require('../src/services/sync').syncInvoices({ full: true });
+
+    const first = await engine.runAlertEngine();
+    const types = (await h.db.query(
+      `SELECT alert_type FROM alert_log WHERE store_id = $1 ORDER BY alert_type`, [store.id]
+    )).rows.map((r) => r.alert_type);
+    assert.deepEqual(types, ['a_grade_visit_breach', 'churn_risk', 'high_value_unvisited', 'sku_gap']);
+    assert.equal(first.inserted, 5); // + rep_activity_drop
+
+    const second = await engine.runAlertEngine();
+    assert.equal(second.inserted, 0);
+  });
+});
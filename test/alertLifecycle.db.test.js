@@ -0,0 +1,148 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { daysAgo, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('alert lifecycle', { skip: skipWithoutDb }, () => {
+  let h, lifecycle, engine, rep, other, store;
+
+  before(async () => {
+    h = await startHarness();
+    lifecycle = require('../src/services/alertLifecycle');
+    engine    = require('../src/services/alertEngine');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    rep   = await insertUser(h.db, { name: 'Sam Carter' });
+    other = await insertUser(h.db, { name: 'Priya Nair' });
+    store = await insertStore(h.db, { zoho_contact_id: 'L1', rep_id: rep.id, grade: 'A' });
+  });
+
+  async function raise(alertType, { daysAgo: age = 1 } = {}) {
+    const { rows } = await h.db.query(`
+      INSERT INTO alert_log (alert_type, store_id, rep_id, tier, alert_title, triggered_at)
+      VALUES ($1, $2, $3, 1, 't', NOW() - make_interval(days => $4)) RETURNING id
+    `, [alertType, store.id, rep.id, age]);
+    return rows[0].id;
+  }
+
+  async function alertRow(id) {
+    const { rows } = await h.db.query(`SELECT * FROM alert_log WHERE id = $1`, [id]);
+    return rows[0];
+  }
+
+  async function events(id) {
+    const { rows } = await h.db.query(
+      `SELECT event, user_id, detail FROM alert_events WHERE alert_id = $1 ORDER BY id`, [id]
+    );
+    return rows;
+  }
+
+  async function addInvoice(date, status = 'paid') {
+    await h.db.query(`
+      INSERT INTO zoho_invoices (invoice_id, invoice_number, customer_id, status, date, total)
+      VALUES ($1, $1, $2, $3, $4, 1100)
+    `, [`INV-${date}-${status}`, store.zoho_contact_id, status, date]);
+  }
+
+  it('snoozes, reassigns and resolves with an outcome, recording each step', async () => {
+    const id = await raise('sku_gap');
+
+    assert.equal(await lifecycle.snoozeAlert(id, '2099-01-01', rep.id), true);
+    assert.equal((await alertRow(id)).status, 'snoozed');
+
+    assert.equal(await lifecycle.assignAlert(id, other.id, rep.id), true);
+    assert.equal((await alertRow(id)).assigned_to, other.id);
+
+    assert.equal(await lifecycle.resolveAlert(id, { outcome: 'not_recoverable', note: 'Closing down' }, other.id), true);
+    const row = await alertRow(id);
+    assert.equal(row.status, 'resolved');
+    assert.equal(row.outcome, 'not_recoverable');
+    assert.equal(row.action_taken, 'Closing down');
+    assert.equal(row.acknowledged_by, other.id);
+    assert.ok(row.acknowledged_at);
+
+    assert.deepEqual(await events(id), [
+      { event: 'snoozed',  user_id: rep.id,   detail: { until: '2099-01-01' } },
+      { event: 'assigned', user_id: rep.id,   detail: { from_user_id: rep.id, to_user_id: other.id } },
+      { event: 'resolved', user_id: other.id, detail: { outcome: 'not_recoverable', note: 'Closing down' } },
+    ]);
+
+    // Closed alerts can't change again
+    assert.equal(await lifecycle.snoozeAlert(id, '2099-02-01', rep.id), false);
+    assert.equal(await lifecycle.resolveAlert(id, { outcome: 'visited' }, rep.id), false);
+  });
+
+  it('wakes snoozed alerts on their date, and the engine does not re-raise them meanwhile', async () => {
+    const due    = await raise('sku_gap');
+    const later  = await raise('churn_risk');
+    await lifecycle.snoozeAlert(due, daysAgo(0), rep.id);
+    await lifecycle.snoozeAlert(later, '2099-01-01', rep.id);
+
+    assert.equal(await engine.isDuplicate('churn_risk', store.id, rep.id), true);
+    assert.equal(await lifecycle.wakeSnoozedAlerts(), 1);
+    assert.equal((await alertRow(due)).status, 'open');
+    assert.equal((await alertRow(due)).snoozed_until, null);
+    assert.equal((await alertRow(later)).status, 'snoozed');
+    assert.deepEqual((await events(due)).map((e) => e.event), ['snoozed', 'woken']);
+  });
+
+  it('auto-resolves visit alerts once the store is visited', async () => {
+    const breach = await raise('a_grade_visit_breach', { daysAgo: 2 });
+    const churn  = await raise('churn_risk', { daysAgo: 2 });
+
+    // A visit from before the alert doesn't count
+    await insertVisit(h.db, { rep_id: rep.id, store_id: store.id, days_ago: 5 });
+    assert.equal(await lifecycle.autoResolveAlerts(), 0);
+
+    await insertVisit(h.db, { rep_id: rep.id, store_id: store.id, days_ago: 0 });
+    assert.equal(await lifecycle.autoResolveAlerts({ storeId: store.id }), 1);
+
+    const row = await alertRow(breach);
+    assert.equal(row.status, 'resolved');
+    assert.equal(row.outcome, 'visited');
+    assert.equal(row.acknowledged_by, null);
+    const [ev] = await events(breach);
+    assert.equal(ev.event, 'auto_resolved');
+    assert.equal(ev.user_id, null);
+
+    // Churn needs an order, not a visit
+    assert.equal((await alertRow(churn)).status, 'open');
+  });
+
+  it('auto-resolves churn alerts when a new invoice lands', async () => {
+    const churn = await raise('churn_risk', { daysAgo: 3 });
+
+    await addInvoice(daysAgo(10));          // before the alert
+    await addInvoice(daysAgo(1), 'draft');  // not a real order
+    assert.equal(await lifecycle.autoResolveAlerts(), 0);
+
+    await addInvoice(daysAgo(1));
+    assert.equal(await lifecycle.autoResolveAlerts(), 1);
+    const row = await alertRow(churn);
+    assert.equal(row.outcome, 'ordered');
+    const [ev] = await events(churn);
+    assert.equal(ev.detail.outcome, 'ordered');
+    assert.equal(ev.detail.invoice_number, `INV-${daysAgo(1)}-paid`);
+  });
+
+  it('returns the store history with events, newest alert first', async () => {
+    const first  = await raise('sku_gap', { daysAgo: 10 });
+    const second = await raise('churn_risk', { daysAgo: 1 });
+    await lifecycle.resolveAlert(first, { outcome: 'ordered' }, rep.id);
+    await lifecycle.assignAlert(second, other.id, rep.id);
+
+    const history = await lifecycle.getStoreAlertHistory(store.id);
+    assert.deepEqual(history.map((a) => [a.id, a.status]), [[second, 'open'], [first, 'resolved']]);
+    assert.equal(history[0].assigned_to_name, 'Priya Nair');
+    assert.equal(history[0].events[0].to_user_name, 'Priya Nair');
+    assert.equal(history[1].resolved_by_name, 'Sam Carter');
+    assert.equal(history[1].events[0].detail.outcome, 'ordered');
+  });
+});
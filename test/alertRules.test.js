@@ -0,0 +1,93 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveRule, maxParam } = require('../src/services/alertRules');
+
+// Rows shaped like alert_rules; scope fields default to NULL.
+let nextId = 1;
+function rule(fields) {
+  return {
+    id: nextId++, enabled: true, tier: 1, params: {},
+    channel_type: null, state: null, grade: null, rep_id: null,
+    ...fields,
+  };
+}
+
+describe('resolveRule', () => {
+  const store = { channel_type: 'Pharmacy', state: 'VIC', grade: 'A', rep_id: 7 };
+
+  it('falls back to the catalog defaults when there are no rules', () => {
+    assert.deepEqual(resolveRule([], 'high_value_unvisited', store), {
+      id: null, enabled: true, tier: 1, params: { min_revenue: 3000, days: 45 },
+    });
+    assert.equal(resolveRule(undefined, 'store_outperforming', store).tier, 2);
+  });
+
+  it('uses the default row for stores no override matches', () => {
+    const rules = [
+      rule({ alert_type: 'high_value_unvisited', params: { min_revenue: 5000, days: 45 } }),
+      rule({ alert_type: 'high_value_unvisited', state: 'NSW', params: { days: 20 } }),
+    ];
+    const r = resolveRule(rules, 'high_value_unvisited', store);
+    assert.equal(r.id, rules[0].id);
+    assert.deepEqual(r.params, { min_revenue: 5000, days: 45 });
+  });
+
+  it('prefers the most specific matching override and inherits missing params', () => {
+    const rules = [
+      rule({ alert_type: 'high_value_unvisited', params: { min_revenue: 5000, days: 45 } }),
+      rule({ alert_type: 'high_value_unvisited', state: 'vic', params: { days: 30 } }),
+      rule({ alert_type: 'high_value_unvisited', state: 'VIC', grade: 'A', params: { days: 14 }, tier: 2 }),
+      rule({ alert_type: 'high_value_unvisited', state: 'VIC', grade: 'B', params: { days: 7 } }),
+    ];
+    const r = resolveRule(rules, 'high_value_unvisited', store);
+    assert.equal(r.id, rules[2].id);
+    assert.equal(r.tier, 2);
+    assert.deepEqual(r.params, { min_revenue: 5000, days: 14 });
+
+    // Grade B store in VIC only matches the state-level override (case-insensitive)
+    const b = resolveRule(rules, 'high_value_unvisited', { ...store, grade: 'B', state: 'Vic' });
+    assert.equal(b.id, rules[3].id);
+  });
+
+  it('breaks specificity ties in favour of the older rule', () => {
+    const rules = [
+      rule({ alert_type: 'sku_gap', channel_type: 'Pharmacy', params: { max_skus: 2 } }),
+      rule({ alert_type: 'sku_gap', rep_id: 7, params: { max_skus: 3 } }),
+    ];
+    assert.equal(resolveRule(rules, 'sku_gap', store).params.max_skus, 2);
+  });
+
+  it('reports a disabled winning rule', () => {
+    const rules = [
+      rule({ alert_type: 'churn_risk' }),
+      rule({ alert_type: 'churn_risk', channel_type: 'pharmacy', enabled: false }),
+    ];
+    assert.equal(resolveRule(rules, 'churn_risk', store).enabled, false);
+    assert.equal(resolveRule(rules, 'churn_risk', { ...store, channel_type: 'Gift' }).enabled, true);
+  });
+
+  it('never matches a store-scoped rule against a rep subject', () => {
+    const rules = [
+      rule({ alert_type: 'rep_activity_drop', params: { days: 14 } }),
+      rule({ alert_type: 'rep_activity_drop', state: 'VIC', params: { days: 5 } }),
+      rule({ alert_type: 'rep_activity_drop', rep_id: 7, params: { days: 21 } }),
+    ];
+    assert.equal(resolveRule(rules, 'rep_activity_drop', { rep_id: 7 }).params.days, 21);
+    assert.equal(resolveRule(rules, 'rep_activity_drop', { rep_id: 8 }).params.days, 14);
+  });
+});
+
+describe('maxParam', () => {
+  it('takes the largest value across enabled rules and the catalog default', () => {
+    const rules = [
+      rule({ alert_type: 'new_door_high_value', params: { window_days: 30 } }),
+      rule({ alert_type: 'new_door_high_value', state: 'VIC', params: { window_days: 60 } }),
+      rule({ alert_type: 'new_door_high_value', state: 'NSW', params: { window_days: 90 }, enabled: false }),
+    ];
+    assert.equal(maxParam(rules, 'new_door_high_value', 'window_days'), 60);
+    assert.equal(maxParam([], 'sku_gap', 'max_skus'), 1);
+  });
+});
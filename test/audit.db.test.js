@@ -0,0 +1,163 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertUser } = require('./helpers/factories');
+
+describe('audit log', { skip: skipWithoutDb }, () => {
+  let h, server, base, session, exec, nina, sam;
+
+  before(async () => {
+    h = await startHarness();
+    const { auditLog } = require('../src/middleware/audit');
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.session = { ...session };
+      next();
+    });
+    app.use(auditLog);
+    app.use('/auth', require('../src/routes/auth'));
+    app.use('/api/users', require('../src/routes/users'));
+    app.use('/api/teams', require('../src/routes/teams'));
+    app.use('/api/audit', require('../src/routes/audit'));
+    app.use('/api', require('../src/routes/zoho'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    exec = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    nina = await insertUser(h.db, { name: 'Nina Manager', role: 'manager' });
+    sam  = await insertUser(h.db, { name: 'Sam Carter' });
+  });
+
+  async function call(as, method, path, body) {
+    session = as ? { userId: as.id, role: as.role } : {};
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text.startsWith('{') || text.startsWith('[') ? JSON.parse(text) : text };
+  }
+
+  /** Audit rows, oldest first, once `count` have been written (entries land after the response). */
+  async function entries(count) {
+    let rows = [];
+    for (let i = 0; i < 100; i++) {
+      ({ rows } = await h.db.query('SELECT * FROM audit_log ORDER BY id'));
+      if (rows.length >= count) break;
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    return rows;
+  }
+
+  it('records a manager’s user edit with before / after snapshots, IP and status', async () => {
+    const res = await call(nina, 'PUT', `/api/users/${sam.id}`, { name: 'Sam Carter-Lee', active: false });
+    assert.equal(res.status, 200);
+
+    const [entry] = await entries(1);
+    assert.equal(entry.user_id, nina.id);
+    assert.equal(entry.role, 'manager');
+    assert.equal(entry.action, 'PUT /api/users/:id');
+    assert.equal(entry.entity_type, 'user');
+    assert.equal(entry.entity_id, String(sam.id));
+    assert.equal(entry.before.name, 'Sam Carter');
+    assert.equal(entry.before.active, true);
+    assert.equal(entry.after.name, 'Sam Carter-Lee');
+    assert.equal(entry.after.active, false);
+    assert.equal(entry.status_code, 200);
+    assert.ok(entry.ip);
+  });
+
+  it('identifies created records by the id in the response and keeps failed attempts', async () => {
+    const created = await call(exec, 'POST', '/api/teams', { name: 'NSW', states: ['NSW'] });
+    assert.equal(created.status, 201);
+    const dup = await call(exec, 'POST', '/api/teams', { name: 'NSW' });
+    assert.equal(dup.status, 409);
+
+    const [create, failed] = await entries(2);
+    assert.equal(create.entity_type, 'team');
+    assert.equal(create.entity_id, String(created.body.id));
+    assert.equal(create.before, null);
+    assert.deepEqual(create.after.states, ['NSW']);
+
+    assert.equal(failed.status_code, 409);
+    assert.equal(failed.entity_id, null);
+    assert.deepEqual(failed.after, { name: 'NSW' });
+  });
+
+  it('logs password resets and debug endpoints, redacts passwords, and skips reps and reads', async () => {
+    await call(sam, 'POST', '/auth/change-password', { current_password: 'x', new_password: 'y' });
+    await call(nina, 'GET', '/api/users');
+    await call(nina, 'POST', `/api/users/${sam.id}/reset-password`);
+    await call(exec, 'POST', '/auth/change-password', { current_password: 'hunter2', new_password: 'correct horse' });
+    await call(null, 'GET', '/api/zoho-test');
+
+    const rows = await entries(3);
+    assert.deepEqual(rows.map((r) => r.action), [
+      'POST /api/users/:id/reset-password',
+      'POST /auth/change-password',
+      'GET /api/zoho-test',
+    ]);
+    assert.equal(rows[0].before.must_change_password, false);
+    assert.equal(rows[0].after.must_change_password, true);
+    assert.deepEqual(rows[1].after, { current_password: '[redacted]', new_password: '[redacted]' });
+    assert.equal(rows[2].user_id, null);
+    assert.equal(rows[2].status_code, 401);
+  });
+
+  it('redacts 2FA codes and recovery codes', async () => {
+    const { totpCode } = require('../src/services/twoFactor');
+    const setup = await call(nina, 'POST', '/auth/2fa/setup');
+    const code = totpCode(setup.body.secret, Math.floor(Date.now() / 30_000));
+    const enabled = await call(nina, 'POST', '/auth/2fa/enable', { code, remember_device: false });
+    assert.equal(enabled.status, 200);
+    const [recoveryCode] = enabled.body.recovery_codes;
+    assert.equal((await call(nina, 'POST', '/auth/2fa/recovery-codes', { code: recoveryCode })).status, 200);
+
+    const rows = await entries(2);
+    assert.deepEqual(rows.map((r) => [r.action, r.after]), [
+      ['POST /auth/2fa/enable', { code: '[redacted]', remember_device: false }],
+      ['POST /auth/2fa/recovery-codes', { code: '[redacted]' }],
+    ]);
+    assert.doesNotMatch(JSON.stringify(rows), new RegExp(`${code}|${recoveryCode}`));
+  });
+
+  it('lets executives filter the log and no one else read it', async () => {
+    await call(nina, 'PUT', `/api/users/${sam.id}`, { name: 'Sam C' });
+    await call(exec, 'POST', '/api/teams', { name: 'VIC' });
+    await entries(2);
+
+    assert.equal((await call(nina, 'GET', '/api/audit')).status, 403);
+
+    const all = await call(exec, 'GET', '/api/audit');
+    assert.equal(all.body.total, 2);
+    assert.equal(all.body.entries[0].action, 'POST /api/teams');
+    assert.equal(all.body.entries[1].user_name, 'Nina Manager');
+
+    const byUser = await call(exec, 'GET', `/api/audit?user_id=${nina.id}&entity_type=user`);
+    assert.deepEqual(byUser.body.entries.map((e) => e.entity_id), [String(sam.id)]);
+    assert.equal((await call(exec, 'GET', '/api/audit?action=teams&failed=1')).body.total, 0);
+    assert.equal((await call(exec, 'GET', '/api/audit?from=2001-01-01&to=2001-12-31')).body.total, 0);
+    assert.equal((await call(exec, 'GET', '/api/audit?from=yesterday')).status, 400);
+
+    const filters = await call(exec, 'GET', '/api/audit/filters');
+    assert.deepEqual(filters.body.entity_types, ['team', 'user']);
+    assert.deepEqual(filters.body.users.map((u) => u.name), ['Erin Exec', 'Nina Manager']);
+  });
+});
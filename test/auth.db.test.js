@@ -0,0 +1,178 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const session = require('express-session');
+const bcrypt = require('bcryptjs');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertUser } = require('./helpers/factories');
+
+describe('sign-in and password recovery', { skip: skipWithoutDb }, () => {
+  let h, server, base, auth, mailer, sent, sam, mia;
+
+  const transport = {
+    name: 'memory',
+    async send(message) {
+      sent.push(message);
+      return { id: `<${sent.length}@memory>` };
+    },
+  };
+
+  before(async () => {
+    h = await startHarness();
+    mailer = require('../src/services/mailer');
+    mailer.setTransport(transport);
+    auth = require('../src/routes/auth');
+
+    const app = express();
+    app.use(express.json());
+    app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+    app.use('/auth', auth);
+    app.use('/api', require('../src/routes/zoho'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    mailer?.setTransport(null);
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    sent = [];
+    Object.values(auth.limiters).forEach((limiter) => limiter.reset());
+    sam = await insertUser(h.db, { name: 'Sam Carter' });
+    mia = await insertUser(h.db, { name: 'Mia Reid' });
+    await h.db.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await bcrypt.hash('Kettle-42-Lamp', 4), sam.id]);
+  });
+
+  /** Reset emails go out after the response; wait for `count` of them. */
+  async function emailsSent(count) {
+    for (let i = 0; i < 100 && sent.length < count; i++) await new Promise((r) => setTimeout(r, 20));
+    await new Promise((r) => setTimeout(r, 50));   // and for any that shouldn't come
+    return sent.length;
+  }
+
+  /** A browser: keeps its session cookie between calls. */
+  function browser() {
+    let cookie = '';
+    return async (method, path, body) => {
+      const res = await fetch(base + path, {
+        method,
+        headers: { 'content-type': 'application/json', cookie },
+        body: body && JSON.stringify(body),
+      });
+      const set = res.headers.get('set-cookie');
+      if (set) cookie = set.split(';')[0];
+      return { status: res.status, headers: res.headers, body: await res.json() };
+    };
+  }
+
+  const login = (call, email, password) => call('POST', '/auth/login', { email, password });
+
+  it('locks an account after five wrong passwords and clears the count on success', async () => {
+    const call = browser();
+    for (let i = 0; i < 4; i++) assert.equal((await login(call, sam.email, 'wrong')).status, 401);
+    assert.equal((await login(call, sam.email, 'Kettle-42-Lamp')).status, 200);
+
+    const { rows: [cleared] } = await h.db.query('SELECT failed_logins FROM users WHERE id = $1', [sam.id]);
+    assert.equal(cleared.failed_logins, 0);
+
+    for (let i = 0; i < 5; i++) await login(call, sam.email, 'wrong');
+    const { rows: [lockedRow] } = await h.db.query('SELECT locked_until FROM users WHERE id = $1', [sam.id]);
+    assert.ok(lockedRow.locked_until);
+
+    // A wrong password gets the same answer as an unknown email, and doesn't extend the lock
+    const wrong   = await login(call, sam.email, 'wrong');
+    const unknown = await login(call, 'nobody@test.local', 'wrong');
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(wrong.body, unknown.body);
+    const { rows: [still] } = await h.db.query('SELECT locked_until FROM users WHERE id = $1', [sam.id]);
+    assert.equal(still.locked_until.getTime(), lockedRow.locked_until.getTime());
+
+    // Only the right password hears that the account is locked
+    const locked = await login(call, sam.email, 'Kettle-42-Lamp');
+    assert.equal(locked.status, 429);
+    assert.match(locked.body.error, /locked for 15 more minutes/);
+  });
+
+  it('rate-limits sign-in attempts per IP across accounts', async () => {
+    const call = browser();
+    for (let i = 0; i < 20; i++) await login(call, `nobody${i}@test.local`, 'x');
+    const limited = await login(call, sam.email, 'Kettle-42-Lamp');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+
+  it('lets only the browser that started a first login set the password, under the policy', async () => {
+    const first = browser();
+    const res = await login(first, mia.email, 'anything');
+    assert.equal(res.body.first_login, true);
+    assert.equal(res.body.user_id, undefined);
+
+    const other = browser();
+    assert.equal((await other('POST', '/auth/change-password', { user_id: mia.id, password: 'Orange#Lamp-77' })).status, 401);
+
+    const weak = await first('POST', '/auth/change-password', { password: 'password1' });
+    assert.equal(weak.status, 400);
+    assert.match(weak.body.error, /at least 10/);
+
+    const set = await first('POST', '/auth/change-password', { password: 'Orange#Lamp-77' });
+    assert.equal(set.status, 200);
+    assert.equal(set.body.id, mia.id);
+    assert.equal((await first('GET', '/auth/me')).body.email, mia.email);
+  });
+
+  it('emails a single-use reset link that also lifts a lockout', async () => {
+    await h.db.query("UPDATE users SET failed_logins = 5, locked_until = NOW() + INTERVAL '10 minutes' WHERE id = $1", [sam.id]);
+    const call = browser();
+
+    const unknown = await call('POST', '/auth/forgot-password', { email: 'nobody@test.local' });
+    const known   = await call('POST', '/auth/forgot-password', { email: sam.email.toUpperCase() });
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(await emailsSent(1), 1);
+    assert.deepEqual(sent[0].to, [sam.email]);
+
+    const token = decodeURIComponent(sent[0].text.match(/\?reset=(\S+)/)[1]);
+    const { rows: [stored] } = await h.db.query('SELECT token_hash FROM password_reset_tokens');
+    assert.notEqual(stored.token_hash, token);
+
+    const weak = await call('POST', '/auth/reset-password', { token, password: 'SamCarter2026!' });
+    assert.match(weak.body.error, /name or email/);
+
+    const reset = await call('POST', '/auth/reset-password', { token, password: 'Orange#Lamp-77' });
+    assert.deepEqual(reset.body, { ok: true, email: sam.email });
+    assert.equal((await call('POST', '/auth/reset-password', { token, password: 'Another#Lamp-88' })).status, 400);
+    assert.equal((await login(call, sam.email, 'Orange#Lamp-77')).status, 200);
+  });
+
+  it('rejects expired links and sends at most one email a minute per account', async () => {
+    const call = browser();
+    await call('POST', '/auth/forgot-password', { email: sam.email });
+    await call('POST', '/auth/forgot-password', { email: sam.email });
+    assert.equal(await emailsSent(1), 1);
+
+    await h.db.query("UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    const token = decodeURIComponent(sent[0].text.match(/\?reset=(\S+)/)[1]);
+    const expired = await call('POST', '/auth/reset-password', { token, password: 'Orange#Lamp-77' });
+    assert.equal(expired.status, 400);
+    assert.match(expired.body.error, /expired/);
+  });
+
+  it('keeps sync and the Zoho connectivity check behind a role', async () => {
+    const anon = browser();
+    assert.equal((await anon('POST', '/api/sync')).status, 401);
+    assert.equal((await anon('GET', '/api/zoho-test')).status, 401);
+
+    const rep = browser();
+    await login(rep, sam.email, 'Kettle-42-Lamp');
+    assert.equal((await rep('POST', '/api/sync')).status, 403);
+    assert.equal((await rep('GET', '/api/zoho-test')).status, 403);
+  });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { csvCell, csvLine } = require('../src/services/csv');
+
+describe('csvCell', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(csvCell('Smith, J'), '"Smith, J"');
+    assert.equal(csvCell('the "big" one'), '"the ""big"" one"');
+    assert.equal(csvCell('two\nlines'), '"two\nlines"');
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(undefined), '');
+  });
+
+  it('keeps text that looks like a formula as text', () => {
+    assert.equal(csvCell('=1+1'), "'=1+1");
+    assert.equal(csvCell('+61 400 000 000'), "'+61 400 000 000");
+    assert.equal(csvCell('-sale'), "'-sale");
+    assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(csvCell('=HYPERLINK("x","y")'), `"'=HYPERLINK(""x"",""y"")"`);
+    assert.equal(csvCell('Cafe = good'), 'Cafe = good');
+  });
+
+  it('leaves numbers alone, negative ones included', () => {
+    assert.equal(csvCell(-12.5), '-12.5');
+    assert.equal(csvLine(['Rep', 0, -3, null]), 'Rep,0,-3,');
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { forecastRevenue, seasonalIndices, pipelineByMonth } = require('../src/services/forecast');
+
+// A gift-retail year: quiet January, Q4 peak
+const SHAPE = [8, 8, 9, 9, 10, 10, 9, 10, 10, 11, 14, 16];
+
+/** Monthly revenue from Oct 2024 through Sep 2025 at `scale` × SHAPE, plus extras. */
+function history(scale = 1000, extra = {}) {
+  const out = {};
+  for (let i = 0; i < 12; i++) {
+    const d = new Date(2024, 9 + i, 1);
+    const m = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    out[m] = SHAPE[d.getMonth()] * scale;
+  }
+  return { ...out, ...extra };
+}
+
+describe('seasonalIndices', () => {
+  it('reads the season from the last 12 complete months, damped towards flat', () => {
+    const idx = seasonalIndices(history(), '2025-10');
+    // December is 16 / mean 10.33 = 1.55 raw → 0.7 × 1.55 + 0.3
+    assert.ok(Math.abs(idx[12] - (0.7 * 16 / (124 / 12) + 0.3)) < 1e-9);
+    assert.ok(idx[12] > idx[11] && idx[11] > idx[10] && idx[1] < 1);
+  });
+
+  it('stays flat until there is a full year of revenue', () => {
+    const idx = seasonalIndices(history(1000, { '2025-02': 0 }), '2025-10');
+    assert.deepEqual(new Set(Object.values(idx)), new Set([1]));
+    assert.equal(Object.keys(idx).length, 12);
+  });
+});
+
+describe('forecastRevenue', () => {
+  it('only forecasts the month in progress', () => {
+    assert.equal(forecastRevenue({ history: history(), month: '2025-09', today: '2025-10-15' }), null);
+  });
+
+  it('blends the pace so far with the seasonal expectation and carries the season into Q4', () => {
+    // Half way through October at exactly the expected pace (11k for the month)
+    const f = forecastRevenue({
+      history: history(1000, { '2025-10': 11000 * 15 / 31 }),
+      month: '2025-10',
+      today: '2025-10-15',
+      targets: { '2025-10': 10000, '2025-11': 15000, '2025-12': 20000 },
+    });
+
+    assert.ok(Math.abs(f.month.forecast - 11000) < 150, `month forecast ${f.month.forecast}`);
+    assert.ok(f.month.low < f.month.forecast && f.month.forecast < f.month.high);
+    assert.equal(f.month.status, 'on_track');
+    assert.ok(f.seasonal_index > 1);
+
+    // November and December are forecast above October, as last year
+    const novDec = f.quarter.forecast - f.month.forecast;
+    assert.ok(novDec > 2 * f.month.forecast, `Nov + Dec ${novDec}`);
+    assert.equal(f.quarter.target, 45000);
+    assert.equal(f.quarter.pct_of_target, Math.round((f.quarter.forecast / 45000) * 100));
+    // Year: Jan–Sep actuals + October to date + the rest of the year
+    assert.equal(f.year.actual, Math.round(83000 + 11000 * 15 / 31));
+  });
+
+  it('flags a month that will miss even at the top of the band', () => {
+    const f = forecastRevenue({
+      history: history(1000, { '2025-10': 2000 }),
+      month: '2025-10',
+      today: '2025-10-25',
+      targets: { '2025-10': 20000 },
+    });
+    assert.equal(f.month.status, 'off_track');
+    assert.ok(f.month.high < 20000);
+    assert.equal(f.year.target, 20000);
+  });
+
+  it('treats open orders as a floor and uses the exact year to date when given', () => {
+    const base = { history: history(1000, { '2025-10': 3000 }), month: '2025-10', today: '2025-10-10' };
+    const plain = forecastRevenue(base);
+    const booked = forecastRevenue({
+      ...base,
+      pipeline: { '2025-10': 1000, '2025-11': 40000 },
+      ytdActual: 90000,
+    });
+
+    // October's small order is already covered by the expected remainder
+    assert.equal(booked.month.forecast, plain.month.forecast);
+    assert.equal(booked.month.committed, 1000);
+    // November's big one lifts the quarter and sets the bottom of its band
+    assert.ok(booked.quarter.forecast > plain.quarter.forecast);
+    assert.equal(booked.quarter.committed, 41000);
+    assert.ok(booked.quarter.low >= 3000 + 41000);
+    assert.equal(booked.year.actual, 90000);
+  });
+});
+
+describe('pipelineByMonth', () => {
+  it('groups open orders ex GST by ship month, pulling overdue ones into this month', () => {
+    const orders = [
+      { status: 'open', date: '2025-09-20', shipment_date: '2025-11-02', total: 1100 },
+      { status: 'open', date: '2025-08-01', shipment_date: '2025-09-30', total: 2200 },   // overdue
+      { status: 'open', date: '2025-10-05', total: 550 },                                 // no ship date
+      { status: 'invoiced', date: '2025-10-01', shipment_date: '2025-10-20', total: 9900 },
+    ];
+    const byMonth = pipelineByMonth(orders, '2025-10-15');
+    assert.deepEqual(Object.keys(byMonth).sort(), ['2025-10', '2025-11']);
+    assert.equal(Math.round(byMonth['2025-10']), 2500);
+    assert.equal(Math.round(byMonth['2025-11']), 1000);
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertStore } = require('./helpers/factories');
+
+describe('store geocoding', { skip: skipWithoutDb }, () => {
+  let h, geocode, sync;
+
+  before(async () => {
+    h = await startHarness();
+    geocode = require('../src/services/geocode');
+    sync    = require('../src/services/sync');
+  });
+  after(() => h?.stop());
+  beforeEach(() => h.reset());
+
+  async function storeRow(id) {
+    const { rows } = await h.db.query(`SELECT * FROM stores WHERE id = $1`, [id]);
+    return rows[0];
+  }
+
+  it('fills missing coordinates and leaves manual pins alone', async () => {
+    const known   = await insertStore(h.db, { zoho_contact_id: 'G1', state: 'VIC', postcode: '3065' });
+    const unknown = await insertStore(h.db, { zoho_contact_id: 'G2', state: 'VIC', postcode: '3999' });
+    const pinned  = await insertStore(h.db, { zoho_contact_id: 'G3', state: 'VIC', postcode: '3065' });
+    await h.db.query(
+      `UPDATE stores SET latitude = -37.5, longitude = 145.5, geocode_source = 'manual' WHERE id = $1`, [pinned.id]
+    );
+
+    assert.deepEqual(await geocode.geocodeStores(), { geocoded: 1, unmatched: 1 });
+    assert.deepEqual(await geocode.geocodeStores({ force: true }), { geocoded: 1, unmatched: 1 });
+
+    const k = await storeRow(known.id);
+    assert.equal(k.latitude, -37.7984);
+    assert.equal(k.geocode_source, 'postcode');
+    assert.equal((await storeRow(unknown.id)).latitude, null);
+    assert.equal((await storeRow(pinned.id)).latitude, -37.5);
+  });
+
+  it('store sync geocodes from the Zoho billing address and re-geocodes when it changes', async () => {
+    const contact = h.mock.state.contacts[0];
+    contact.billing_address = { ...contact.billing_address, city: 'Fitzroy', state: 'VIC', zip: '3065' };
+
+    await sync.syncStores({ force: true });
+    const { rows: [before] } = await h.db.query(
+      `SELECT id, suburb, latitude, geocode_source FROM stores WHERE zoho_contact_id = $1`, [contact.contact_id]
+    );
+    assert.equal(before.suburb, 'Fitzroy');
+    assert.equal(before.latitude, -37.7984);
+
+    contact.billing_address = { ...contact.billing_address, city: 'Newtown', state: 'NSW', zip: '' };
+    await sync.syncStores({ force: true });
+    const after = await storeRow(before.id);
+    assert.equal(after.latitude, -33.8979);
+    assert.equal(after.geocode_source, 'suburb');
+  });
+});
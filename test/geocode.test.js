@@ -0,0 +1,114 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalisePostcode, geocodeAddress } = require('../src/services/geocode');
+const { POSTCODES } = require('../src/config/postcodes');
+
+describe('geocodeAddress', () => {
+  it('matches an exact postcode', () => {
+    assert.deepEqual(geocodeAddress({ postcode: '3065' }), { latitude: -37.7984, longitude: 144.9784, source: 'postcode' });
+  });
+
+  it('restores the leading zero on NT postcodes', () => {
+    assert.equal(normalisePostcode(' 800 '), '0800');
+    assert.equal(normalisePostcode('NSW 2000'), null);
+    assert.equal(geocodeAddress({ postcode: 870 }).source, 'postcode');
+  });
+
+  it('falls back to suburb + state, then to the 3-digit postcode prefix', () => {
+    const suburb = geocodeAddress({ postcode: null, suburb: 'newtown', state: 'nsw' });
+    assert.deepEqual(suburb, { latitude: -33.8979, longitude: 151.1793, source: 'suburb' });
+
+    // 3058 isn't listed, but several other 305x postcodes are
+    const prefix = geocodeAddress({ postcode: '3058' });
+    assert.equal(prefix.source, 'postcode_prefix');
+    const listed = POSTCODES.filter(([pc]) => pc.startsWith('305'));
+    const meanLat = listed.reduce((sum, r) => sum + r[3], 0) / listed.length;
+    assert.ok(Math.abs(prefix.latitude - meanLat) < 1e-9);
+  });
+
+  it('finds a regional town whose postcode is not listed', () => {
+    // Mildura's 3500 isn't in the postcode table, and no other 350x is
+    assert.deepEqual(geocodeAddress({ postcode: '3500', suburb: 'Mildura', state: 'VIC' }),
+      { latitude: -34.1855, longitude: 142.1625, source: 'suburb' });
+    // A postcode's own suburb still wins over the gazetteer
+    assert.deepEqual(geocodeAddress({ suburb: 'Dubbo', state: 'NSW' }), { latitude: -32.243, longitude: 148.604, source: 'suburb' });
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(geocodeAddress({ postcode: '9999' }), null);
+    assert.equal(geocodeAddress({}), null);
+  });
+
+  it('bundles one row per postcode, all inside Australia', () => {
+    const seen = new Set();
+    for (const [postcode, , state, lat, lng] of POSTCODES) {
+      assert.ok(!seen.has(postcode), `duplicate ${postcode}`);
+      seen.add(postcode);
+      assert.match(postcode, /^\d{4}$/);
+      assert.ok(['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'].includes(state));
+      assert.ok(lat < -9 && lat > -44 && lng > 112 && lng < 154, `${postcode} out of bounds`);
+    }
+  });
+});
+
+describe('build-postcodes', () => {
+  const { buildTables, renderModule, buildPlaces, renderPlaces } = require('../scripts/build-postcodes');
+  const row = (postcode, place, stateName, state, lat, lng) =>
+    ['AU', postcode, place, stateName, state, '', '', '', '', lat, lng, '4'].join('\t');
+  const AU_TXT = [
+    row('3065', 'Fitzroy', 'Victoria', 'VIC', '-37.7984', '144.9784'),
+    row('3065', 'Fitzroy North', 'Victoria', 'VIC', '-37.7884', '144.9834'),
+    row('3065', 'Collingwood', 'Victoria', 'VIC', '-37.8020', '144.9880'),
+    row('800', 'Darwin', 'Northern Territory', '', '-12.4634', '130.8456'),
+    row('2899', 'Norfolk Island', 'New South Wales', 'NSW', '-29.0408', '167.9547'),
+    row('2042', "O'Connell Town", 'New South Wales', 'NSW', '-33.8979', '151.1793'),
+    row('2043', "O'Connell Town", 'New South Wales', 'NSW', '-33.9000', '151.1800'),
+  ].join('\n');
+
+  it('averages each postcode over its localities and names it after the closest', () => {
+    const { postcodes, localities } = buildTables(AU_TXT);
+    assert.deepEqual(postcodes, [
+      ['0800', 'Darwin', 'NT', -12.4634, 130.8456],
+      ['2042', "O'Connell Town", 'NSW', -33.8979, 151.1793],
+      ['2043', "O'Connell Town", 'NSW', -33.9, 151.18],
+      ['3065', 'Fitzroy', 'VIC', -37.7963, 144.9833],
+    ]);
+    // Norfolk Island is left out; a suburb in two postcodes keeps the first
+    assert.deepEqual(localities.map(([suburb, state]) => `${suburb} ${state}`), [
+      'Darwin NT', "O'Connell Town NSW", 'Fitzroy VIC', 'Fitzroy North VIC', 'Collingwood VIC',
+    ]);
+  });
+
+  it('keeps Australian places from the gazetteer, dropping names a state has twice', () => {
+    const city = (name, admin1, lat, lng, country = 'AU') => ({ name, admin1, lat: String(lat), lng: String(lng), country });
+    const places = buildPlaces([
+      city('Mildura', '07', -34.18551, 142.16251),
+      city('Newtown', '04', -27.6163, 152.77675),
+      city('Newtown', '04', -27.55602, 151.93255),
+      city('Newtown', '02', -33.89835, 151.17754),
+      city("O'Connor", '01', -35.2564, 149.1125),
+      city('Lyon', '84', 45.74846, 4.84671, 'FR'),
+    ]);
+    assert.deepEqual(places, [
+      ["O'Connor", 'ACT', -35.2564, 149.1125],
+      ['Newtown', 'NSW', -33.8983, 151.1775],
+      ['Mildura', 'VIC', -34.1855, 142.1625],
+    ]);
+    const mod = { exports: {} };
+    new Function('module', renderPlaces(places, { source: 'cities.json@1.0.0' }))(mod);
+    assert.deepEqual(mod.exports.PLACES, places);
+  });
+
+  it('writes a module geocode.js can load, with its source', () => {
+    const text = renderModule(buildTables(AU_TXT), { generatedOn: '2026-10-19' });
+    assert.match(text, /GeoNames postal codes for Australia \(AU\.txt\), downloaded 2026-10-19/);
+    assert.match(text, /CC BY 4\.0/);
+    const mod = { exports: {} };
+    new Function('module', text)(mod);
+    assert.equal(mod.exports.POSTCODES.length, 4);
+    assert.deepEqual(mod.exports.LOCALITIES[1], ["O'Connell Town", 'NSW', -33.8979, 151.1793]);
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { daysAgo, invoice, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('runQuarterlyGrading', { skip: skipWithoutDb }, () => {
+  let h, grading;
+
+  before(async () => {
+    h = await startHarness();
+    grading = require('../src/services/grading');
+  });
+  after(() => h?.stop());
+  beforeEach(() => h.reset());
+
+  async function syncFeed(invoices) {
+    h.mock.state.invoices = invoices;
+    await require('../src/services/sync').syncInvoices({ full: true });
+  }
+
+  /** Resolves once the mock has seen a grade write-back for the contact. */
+  async function waitForWriteBack(contactId) {
+    const key = `PUT /books/v3/contacts/${contactId}`;
+    for (let i = 0; i < 100 && !h.mock.requests[key]; i++) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    assert.ok(h.mock.requests[key], `expected grade write-back for ${contactId}`);
+  }
+
+  function contactGrade(contactId) {
+    const contact = h.mock.state.contacts.find((c) => c.contact_id === contactId);
+    return contact.custom_fields.find((f) => f.api_name === 'cf_store_grade').value;
+  }
+
+  it('applies grade transitions, logs history, alerts and writes back to Zoho', async () => {
+    const [c1, c2, c3, c4, c5] = h.mock.state.contacts.map((c) => c.contact_id);
+    const rep = await insertUser(h.db, { name: 'Sam Carter' });
+
+    const up      = await insertStore(h.db, { zoho_contact_id: c1, rep_id: rep.id, grade: 'B' });
+    const down    = await insertStore(h.db, { zoho_contact_id: c2, rep_id: rep.id, grade: 'A' });
+    const steady  = await insertStore(h.db, { zoho_contact_id: c3, rep_id: rep.id, grade: 'C' });
+    const lapsed  = await insertStore(h.db, { zoho_contact_id: c4, rep_id: rep.id, grade: 'B' });
+    const locked  = await insertStore(h.db, { zoho_contact_id: c5, rep_id: rep.id, grade: 'A', grade_locked: true });
+
+    await insertVisit(h.db, { rep_id: rep.id, store_id: up.id,     days_ago: 10 });
+    await insertVisit(h.db, { rep_id: rep.id, store_id: down.id,   days_ago: 70 });
+    await insertVisit(h.db, { rep_id: rep.id, store_id: lapsed.id, days_ago: 800 });
+
+    await syncFeed([
+      invoice({ customer_id: c1, date: daysAgo(5) }),
+      invoice({ customer_id: c2, date: daysAgo(70) }),
+      invoice({ customer_id: c3, date: daysAgo(400) }),
+    ]);
+
+    const result = await grading.runQuarterlyGrading();
+    assert.deepEqual(result, { graded: 3, changed: 3, errors: 0 });
+
+    const { rows: stores } = await h.db.query(`SELECT id, grade, is_prospect FROM stores ORDER BY id`);
+    const byId = new Map(stores.map((s) => [s.id, s]));
+    assert.equal(byId.get(up.id).grade, 'A');
+    assert.equal(byId.get(down.id).grade, 'B');
+    assert.equal(byId.get(steady.id).grade, 'C');
+    assert.equal(byId.get(lapsed.id).grade, null);
+    assert.equal(byId.get(lapsed.id).is_prospect, true);
+    assert.equal(byId.get(locked.id).grade, 'A');
+
+    const { rows: history } = await h.db.query(
+      `SELECT store_id, old_grade, new_grade FROM grade_history ORDER BY store_id`
+    );
+    assert.deepEqual(history, [
+      { store_id: up.id,     old_grade: 'B', new_grade: 'A' },
+      { store_id: down.id,   old_grade: 'A', new_grade: 'B' },
+      { store_id: lapsed.id, old_grade: 'B', new_grade: null },
+    ]);
+
+    const { rows: alerts } = await h.db.query(
+      `SELECT alert_type, store_id FROM alert_log ORDER BY store_id`
+    );
+    assert.deepEqual(alerts, [
+      { alert_type: 'grade_change',    store_id: up.id },
+      { alert_type: 'grade_change',    store_id: down.id },
+      { alert_type: 'customer_lapsed', store_id: lapsed.id },
+    ]);
+
+    await waitForWriteBack(c4);
+    assert.equal(contactGrade(c1), 'A');
+    assert.equal(contactGrade(c2), 'B');
+    assert.equal(contactGrade(c4), '');
+  });
+
+  it('skips the run when the invoice feed is empty', async () => {
+    const [c1] = h.mock.state.contacts.map((c) => c.contact_id);
+    await insertStore(h.db, { zoho_contact_id: c1, grade: 'A' });
+    await syncFeed([]);
+
+    const result = await grading.runQuarterlyGrading();
+    assert.equal(result.skipped, true);
+
+    const { rows } = await h.db.query(`SELECT grade FROM stores`);
+    assert.equal(rows[0].grade, 'A');
+  });
+});
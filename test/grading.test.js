@@ -0,0 +1,40 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateGrade } = require('../src/services/grading');
+const { daysAgo } = require('./helpers/factories');
+
+const DAY_MS = 86_400_000;
+const NOW    = Date.UTC(2026, 5, 30, 12);
+const ago    = (days) => new Date(NOW - days * DAY_MS);
+
+describe('calculateGrade', () => {
+  it('grades A when visited and ordered within 6 weeks', () => {
+    assert.equal(calculateGrade(ago(14), ago(21), 3, true, NOW).grade, 'A');
+    assert.equal(calculateGrade(ago(42), ago(42), 1, true, NOW).grade, 'A');
+  });
+
+  it('grades B when both fall within 12 weeks but not both within 6', () => {
+    assert.equal(calculateGrade(ago(14), ago(56), 2, true, NOW).grade, 'B');
+    assert.equal(calculateGrade(ago(43), ago(10), 2, true, NOW).grade, 'B');
+    assert.equal(calculateGrade(ago(84), ago(84), 1, true, NOW).grade, 'B');
+  });
+
+  it('floors active customers at C', () => {
+    assert.equal(calculateGrade(ago(85), ago(7), 4, true, NOW).grade, 'C');
+    assert.equal(calculateGrade(null, ago(7), 4, true, NOW).grade, 'C');
+    assert.equal(calculateGrade(ago(7), null, 0, true, NOW).grade, 'C');
+  });
+
+  it('returns no grade without 24m activity', () => {
+    const { grade, reason } = calculateGrade(null, null, 0, false, NOW);
+    assert.equal(grade, null);
+    assert.match(reason, /24 months/);
+  });
+
+  it('defaults to the current time', () => {
+    assert.equal(calculateGrade(new Date(), daysAgo(1), 1, true).grade, 'A');
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Builders for test data — fake Zoho invoices and seeded DB rows.
+ *
+ * Dates are relative to today so they stay inside the windows the services
+ * compute from the clock (12m / 18m / 24m, 30/45/90-day alert cut-offs).
+ */
+
+const DAY_MS = 86_400_000;
+
+/** 'YYYY-MM-DD' n days before today (same arithmetic as alertEngine's daysAgo). */
+function daysAgo(n) {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Timestamp n days before now, for visits.visited_at. */
+function daysAgoTs(n) {
+  return new Date(Date.now() - n * DAY_MS);
+}
+
+let _invoiceSeq = 0;
+
+/**
+ * A Zoho invoice shaped like the local store returns it.
+ * `total` is GST-inclusive — invAmount() divides by 1.1.
+ */
+function invoice({ customer_id, date, total = 1100, salesperson_name = 'Sam Carter', skus = ['SKU-1'], ...rest }) {
+  const id = ++_invoiceSeq;
+  return {
+    invoice_id:       `INV-T${id}`,
+    invoice_number:   `T-${String(id).padStart(5, '0')}`,
+    customer_id:      String(customer_id),
+    customer_name:    `Customer ${customer_id}`,
+    salesperson_name,
+    status:           'paid',
+    date,
+    total,
+    sub_total:        Math.round((total / 1.1) * 100) / 100,
+    line_items:       skus.map((sku, i) => ({
+      line_item_id: `LI-T${id}-${i}`,
+      item_id:      sku,
+      name:         sku,
+      sku,
+      quantity:     1,
+      rate:         total / skus.length,
+      item_total:   total / skus.length,
+    })),
+    ...rest,
+  };
+}
+
+// ── DB seeders ────────────────────────────────────────────────────────────────
+
+let _userSeq = 0;
+
+async function insertUser(db, { name = 'Test Rep', role = 'rep', zoho_salesperson_id = name, active = true } = {}) {
+  const { rows } = await db.query(
+    `INSERT INTO users (email, name, role, zoho_salesperson_id, active)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [`user${++_userSeq}@test.local`, name, role, zoho_salesperson_id, active]
+  );
+  return rows[0];
+}
+
+async function insertStore(db, {
+  zoho_contact_id, name, rep_id = null, grade = null, state = 'NSW', postcode = null,
+  is_prospect = false, grade_locked = false, active = true,
+}) {
+  const { rows } = await db.query(
+    `INSERT INTO stores (zoho_contact_id, name, rep_id, grade, state, postcode, is_prospect, grade_locked, active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [String(zoho_contact_id), name || `Store ${zoho_contact_id}`, rep_id, grade, state, postcode,
+     is_prospect, grade_locked, active]
+  );
+  return rows[0];
+}
+
+async function insertVisit(db, { rep_id, store_id, days_ago = 0, order_taken = null }) {
+  const { rows } = await db.query(
+    `INSERT INTO visits (rep_id, store_id, visited_at, order_taken) VALUES ($1, $2, $3, $4) RETURNING *`,
+    [rep_id, store_id, daysAgoTs(days_ago), order_taken]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  daysAgo,
+  daysAgoTs,
+  invoice,
+  insertUser,
+  insertStore,
+  insertVisit,
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Test harness — throwaway Postgres schema + fake Zoho invoice feed.
+ *
+ * DB-backed suites need TEST_DATABASE_URL pointing at a database the test
+ * user can create schemas in. Without it they are skipped, so `npm test`
+ * still runs the pure-function suites anywhere.
+ *
+ * node --test runs each file in its own process, so every file gets its own
+ * schema (migrated from db/migrations/, dropped in stop()) and its own mock
+ * Zoho Books server (src/mock/zohoBooks.js) on a random port.
+ *
+ * src/db and the Zoho client read their config when first required, so
+ * DB-backed suites live in their own *.db.test.js files and require services
+ * inside before(), after startHarness().
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const { Client } = require('pg');
+const { createZohoMock } = require('../../src/mock/zohoBooks');
+
+const MIGRATIONS_DIR    = path.join(__dirname, '../../db/migrations');
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+/** Pass as describe(name, { skip: skipWithoutDb }, …) on DB-backed suites. */
+const skipWithoutDb = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL not set';
+
+function withSearchPath(url, schema) {
+  const u = new URL(url);
+  u.searchParams.set('options', `-c search_path=${schema}`);
+  return u.toString();
+}
+
+async function adminQuery(sql) {
+  const client = new Client({ connectionString: TEST_DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Create the schema, start the mock Zoho server and run all migrations.
+ *
+ * @returns {Promise<{ db, mock, schema, reset, stop }>}
+ *   db     – src/db, connected to the throwaway schema
+ *   mock   – mock Zoho Books (edit mock.state.invoices to shape the feed)
+ *   reset  – truncate every table and reload the mock fixtures
+ *   stop   – close the pool and server, drop the schema
+ */
+async function startHarness() {
+  const schema = `test_${process.pid}_${crypto.randomBytes(3).toString('hex')}`;
+  await adminQuery(`CREATE SCHEMA ${schema}`);
+
+  const mock   = createZohoMock();
+  const server = await new Promise((resolve) => {
+    const s = mock.app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const zohoUrl = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    DATABASE_URL:       withSearchPath(TEST_DATABASE_URL, schema),
+    ZOHO_BASE_URL:      `${zohoUrl}/books/v3`,
+    ZOHO_ACCOUNTS_URL:  zohoUrl,
+    ZOHO_CLIENT_ID:     'test-client',
+    ZOHO_CLIENT_SECRET: 'test-secret',
+    ZOHO_REFRESH_TOKEN: 'test-refresh',
+    ZOHO_ORG_ID:        'test-org',
+  });
+
+  const db = require('../../src/db');
+
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((f) => f.endsWith('.sql')).sort();
+  for (const file of files) {
+    await db.query(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+
+  async function reset() {
+    const { rows } = await db.query(
+      `SELECT tablename FROM pg_tables WHERE schemaname = $1`, [schema]
+    );
+    if (rows.length) {
+      await db.query(`TRUNCATE ${rows.map((r) => `"${r.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+    }
+    mock.reset();
+  }
+
+  async function stop() {
+    await db.pool.end();
+    await new Promise((resolve) => server.close(resolve));
+    await adminQuery(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+  }
+
+  return { db, mock, schema, reset, stop };
+}
+
+module.exports = { skipWithoutDb, startHarness };
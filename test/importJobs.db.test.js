@@ -0,0 +1,119 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('visit import jobs', { skip: skipWithoutDb }, () => {
+  let h, visitImport, importJobs, sam, mia, manly, profile;
+
+  before(async () => {
+    h = await startHarness();
+    visitImport = require('../src/services/visitImport');
+    importJobs  = require('../src/services/importJobs');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    mia   = await insertUser(h.db, { name: 'Mia Manager', role: 'manager' });
+    await insertStore(h.db, { zoho_contact_id: '1748001', name: 'Bondi Paper Co' });
+    manly = await insertStore(h.db, { zoho_contact_id: '1748002', name: 'Manly Gifts' });
+    const { rows } = await h.db.query(`
+      INSERT INTO import_profiles (name, columns, timezone)
+      VALUES ('Simple', '{"date": "Date", "time": "Time", "store_id": "Account", "rep_name": "Rep", "note": "Notes"}', 'Australia/Sydney')
+      RETURNING *
+    `);
+    profile = rows[0];
+  });
+
+  const csv = Buffer.from([
+    'Date,Time,Account,Rep,Notes',
+    '2/3/2026,9:00,1748001,Sam Carter,"Restock, cards"',
+    '2/3/2026,9:00,1748001,Sam Carter,same visit again',
+    '2/3/2026,11:00,1748002,Sam Carter,',
+    '2/3/2026,12:00,1748999,Sam Carter,unknown store',
+    '2/3/2026,,1748002,Sam Carter,no time',
+  ].join('\n'));
+
+  async function run() {
+    const prepared = await visitImport.prepareImport({ buffer: csv, profile });
+    return importJobs.runImportJob({ prepared, profile, fileName: 'diary.csv', buffer: csv, userId: mia.id });
+  }
+
+  it('records per-row outcomes and tags the visits it inserted', async () => {
+    const job = await run();
+    assert.equal(job.status, 'completed');
+    assert.equal(job.total_rows, 5);
+    assert.equal(job.imported, 2);
+    assert.equal(job.duplicates, 1);
+    assert.deepEqual(job.skipped, { no_store_match: 1, bad_date: 1 });
+    assert.equal(job.file_sha256, importJobs.fileSha256(csv));
+
+    const { rows } = await h.db.query('SELECT line, outcome, reason, visit_id IS NOT NULL AS has_visit FROM import_job_rows ORDER BY line');
+    assert.deepEqual(rows.map((r) => [r.line, r.outcome, r.reason, r.has_visit]), [
+      [2, 'imported',  null,             true],
+      [3, 'duplicate', 'duplicate',      false],
+      [4, 'imported',  null,             true],
+      [5, 'skipped',   'no_store_match', false],
+      [6, 'skipped',   'bad_date',       false],
+    ]);
+    const { rows: visits } = await h.db.query('SELECT import_job_id FROM visits');
+    assert.deepEqual(visits.map((v) => v.import_job_id), [job.id, job.id]);
+
+    const previous = await importJobs.findPreviousImport(importJobs.fileSha256(csv));
+    assert.equal(previous.id, job.id);
+    assert.equal(previous.uploaded_by_name, 'Mia Manager');
+  });
+
+  it('builds a rejected-rows CSV with the original cells', async () => {
+    const job = await run();
+    const file = await importJobs.rejectedRowsCsv(job.id);
+    assert.equal(file.filename, `diary-job${job.id}-rejected.csv`);
+    assert.deepEqual(file.csv.trim().split('\n'), [
+      'Line,Reason,Date,Time,Account,Rep,Notes',
+      '3,Already imported,2/3/2026,9:00,1748001,Sam Carter,same visit again',
+      '5,No matching store,2/3/2026,12:00,1748999,Sam Carter,unknown store',
+      '6,Unreadable date or time,2/3/2026,,1748002,Sam Carter,no time',
+    ]);
+    assert.equal(await importJobs.rejectedRowsCsv(9999), null);
+  });
+
+  it('rolls back only the visits the job inserted, once', async () => {
+    const earlier = await insertVisit(h.db, { rep_id: sam.id, store_id: manly.id, days_ago: 3 });
+    const first  = await run();
+    const second = await run();   // all duplicates of the first
+    assert.equal(second.imported, 0);
+
+    const { job } = await importJobs.rollbackImportJob(first.id, mia.id);
+    assert.equal(job.status, 'rolled_back');
+    assert.equal(job.rolled_back_visits, 2);
+    assert.equal(job.rolled_back_by_name, 'Mia Manager');
+
+    const { rows } = await h.db.query('SELECT id FROM visits');
+    assert.deepEqual(rows.map((r) => r.id), [earlier.id]);
+    assert.equal(await importJobs.findPreviousImport(importJobs.fileSha256(csv)).then((j) => j.id), second.id);
+
+    assert.deepEqual(await importJobs.rollbackImportJob(first.id, mia.id),
+      { status: 409, error: 'This import has already been rolled back' });
+    assert.equal((await importJobs.rollbackImportJob(9999, mia.id)).status, 404);
+  });
+
+  it('logs a failed job and leaves no visits behind', async () => {
+    const prepared = await visitImport.prepareImport({ buffer: csv, profile });
+    prepared.records[1].storeId = 987654;   // violates the stores FK mid-import
+    await assert.rejects(
+      importJobs.runImportJob({ prepared, profile, fileName: 'diary.csv', buffer: csv, userId: mia.id }),
+      /foreign key/,
+    );
+    const { rows: [{ n }] } = await h.db.query('SELECT COUNT(*)::INTEGER AS n FROM visits');
+    assert.equal(n, 0);
+    const [job] = await importJobs.fetchImportJobs();
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /foreign key/);
+  });
+});
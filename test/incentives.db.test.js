@@ -0,0 +1,182 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { invoice, insertUser, insertStore } = require('./helpers/factories');
+
+// The quarter before this one, which is over and can be approved
+const now = new Date();
+const THIS_Q = Math.floor(now.getMonth() / 3) + 1;
+const Q = THIS_Q === 1 ? 4 : THIS_Q - 1;
+const Y = THIS_Q === 1 ? now.getFullYear() - 1 : now.getFullYear();
+const MID = `${String(Q * 3 - 1).padStart(2, '0')}-15`;   // middle month of the quarter
+
+describe('incentive payouts', { skip: skipWithoutDb }, () => {
+  let h, server, base, session, exec, nina, sam, priya;
+
+  before(async () => {
+    h = await startHarness();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.session = { ...session };
+      next();
+    });
+    app.use('/api/kpi', require('../src/routes/kpi'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    exec  = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    nina  = await insertUser(h.db, { name: 'Nina Manager', role: 'manager' });
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    priya = await insertUser(h.db, { name: 'Priya Nair' });
+
+    // Sam: K1 bought in the same quarter last year and again this one; N1 and N2 are new
+    for (const id of ['K1', 'N1', 'N2']) await insertStore(h.db, { zoho_contact_id: id, rep_id: sam.id });
+    h.mock.state.invoices = [
+      invoice({ customer_id: 'K1', date: `${Y - 1}-${MID}` }),
+      invoice({ customer_id: 'K1', date: `${Y}-${MID}` }),
+      invoice({ customer_id: 'N1', date: `${Y}-${MID}` }),
+      invoice({ customer_id: 'N2', date: `${Y}-${MID}` }),
+    ];
+    await require('../src/services/sync').syncInvoices({ full: true });
+
+    await h.db.query(`
+      INSERT INTO incentive_targets (rep_id, quarter, year, new_customers, reactivations, coverage_pct, growth_pct, set_by)
+      VALUES ($1, $2, $3, 1, 0, 0, 0, $4)
+    `, [sam.id, Q, Y, exec.id]);
+  });
+
+  async function call(as, method, path, body) {
+    session = { userId: as.id, role: as.role };
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text.startsWith('{') || text.startsWith('[') ? JSON.parse(text) : text };
+  }
+
+  const PLAN = {
+    name: 'Field Sales', on_target_amount: 1000, is_default: true,
+    weights: { new_customers: 25, reactivations: 25, coverage: 25, growth: 25 },
+  };
+
+  it('works out statements from the plan, and locks one once it is approved', async () => {
+    const bad = await call(exec, 'POST', '/api/kpi/plans', { ...PLAN, weights: { growth: 50 } });
+    assert.equal(bad.status, 400);
+    assert.equal((await call(nina, 'POST', '/api/kpi/plans', PLAN)).status, 403);
+    const plan = await call(exec, 'POST', '/api/kpi/plans', PLAN);
+    assert.equal(plan.status, 201);
+
+    const before = await call(exec, 'GET', `/api/kpi/statements?quarter=${Q}&year=${Y}`);
+    assert.equal(before.status, 200);
+    assert.equal(before.body.closed, true);
+    const draft = before.body.statements.find((s) => s.rep_id === sam.id);
+    assert.equal(draft.status, 'draft');
+    // 200% new customers, 100% reactivations and coverage, 300% growth → 1750, capped at 150%
+    assert.deepEqual(draft.lines.map((l) => [l.kpi, l.attainment, l.amount]), [
+      ['new_customers', 200, 500],
+      ['reactivations', 100, 250],
+      ['coverage', 100, 250],
+      ['growth', 300, 750],
+    ]);
+    assert.equal(draft.payout.earned, 1750);
+    assert.equal(draft.payout.payout, 1500);
+    assert.equal(draft.payout.capped, true);
+
+    const current = await call(exec, 'POST', '/api/kpi/statements/approve', { rep_id: sam.id, quarter: THIS_Q, year: now.getFullYear() });
+    assert.equal(current.status, 409);
+
+    const approved = await call(exec, 'POST', '/api/kpi/statements/approve', { rep_id: sam.id, quarter: Q, year: Y });
+    assert.equal(approved.status, 201);
+    assert.equal(approved.body.status, 'approved');
+    assert.equal(approved.body.payout.payout, 1500);
+    assert.equal(approved.body.approved_by_name, 'Erin Exec');
+    assert.equal((await call(exec, 'POST', '/api/kpi/statements/approve', { rep_id: sam.id, quarter: Q, year: Y })).status, 409);
+
+    // Raising the plan changes Priya's live statement but not Sam's approved one
+    const raised = await call(exec, 'PUT', `/api/kpi/plans/${plan.body.id}`, { ...PLAN, on_target_amount: 5000 });
+    assert.equal(raised.status, 200);
+    const after = await call(exec, 'GET', `/api/kpi/statements?quarter=${Q}&year=${Y}`);
+    const [priyaS, samS] = after.body.statements;
+    assert.equal(samS.payout.payout, 1500);
+    assert.equal(samS.plan.on_target_amount, 1000);
+    assert.equal(priyaS.status, 'draft');
+    assert.equal(priyaS.plan.on_target_amount, 5000);
+
+    // The quarter's targets are locked too
+    const target = await call(exec, 'POST', '/api/kpi/targets', { rep_id: sam.id, quarter: Q, year: Y, new_customers: 9 });
+    assert.equal(target.status, 409);
+
+    const csv = await call(exec, 'GET', `/api/kpi/statements/csv?quarter=${Q}&year=${Y}`);
+    const lines = csv.body.split('\n');
+    assert.equal(lines.length, 2);   // only approved statements go to payroll
+    assert.match(lines[0], /^Rep,Email,Quarter,Plan,On-Target,/);
+    assert.match(lines[1], new RegExp(`^Sam Carter,${sam.email},Q${Q} ${Y},Field Sales,1000.00,200,100,100,300,Yes,1500.00,Erin Exec,`));
+  });
+
+  it('takes the quarter\'s KPI snapshot before approving a live statement', async () => {
+    await call(exec, 'POST', '/api/kpi/plans', PLAN);
+    const { body } = await call(exec, 'GET', `/api/kpi/statements?quarter=${Q}&year=${Y}`);
+    assert.equal(body.statements.find((s) => s.rep_id === sam.id).source, 'live');
+
+    const approved = await call(exec, 'POST', '/api/kpi/statements/approve', { rep_id: sam.id, quarter: Q, year: Y });
+    assert.equal(approved.status, 201);
+    const { rows } = await h.db.query(
+      'SELECT new_customers FROM kpi_snapshots WHERE rep_id = $1 AND quarter = $2 AND year = $3', [sam.id, Q, Y]
+    );
+    assert.deepEqual(rows, [{ new_customers: 2 }]);
+    assert.equal(approved.body.kpis.new_customers.actual, 2);
+  });
+
+  it('moves reps onto their own plan, whose gates can stop the payout', async () => {
+    await call(exec, 'POST', '/api/kpi/plans', PLAN);
+    const gated = await call(exec, 'POST', '/api/kpi/plans', {
+      ...PLAN, name: 'Gated', is_default: false, min_coverage_pct: 50,
+    });
+    const moved = await call(exec, 'PUT', `/api/kpi/plans/${gated.body.id}/reps`, { rep_ids: [priya.id] });
+    assert.equal(moved.status, 200);
+    assert.deepEqual(moved.body.reps, [{ id: priya.id, name: 'Priya Nair' }]);
+    assert.equal((await call(exec, 'PUT', `/api/kpi/plans/${gated.body.id}/reps`, { rep_ids: [nina.id] })).status, 400);
+
+    const { body } = await call(exec, 'GET', `/api/kpi/statements?quarter=${Q}&year=${Y}`);
+    const priyaS = body.statements.find((s) => s.rep_id === priya.id);
+    assert.equal(priyaS.plan.name, 'Gated');
+    assert.deepEqual(priyaS.gates, [{ gate: 'min_coverage', label: 'Coverage at least 50%', met: false, detail: '0%' }]);
+    assert.equal(priyaS.payout.payout, 0);
+    assert.equal(body.statements.find((s) => s.rep_id === sam.id).plan.name, 'Field Sales');
+  });
+
+  it('keeps managers to their own team\'s statements', async () => {
+    await call(exec, 'POST', '/api/kpi/plans', PLAN);
+    await h.db.query(`INSERT INTO teams (name, states, manager_id) VALUES ('VIC', '{VIC}', $1)`, [nina.id]);
+    await h.db.query(`UPDATE users SET team_id = (SELECT id FROM teams) WHERE id = $1`, [priya.id]);
+
+    const { body } = await call(nina, 'GET', `/api/kpi/statements?quarter=${Q}&year=${Y}`);
+    assert.deepEqual(body.statements.map((s) => s.name), ['Priya Nair']);
+    const other = await call(nina, 'POST', '/api/kpi/statements/approve', { rep_id: sam.id, quarter: Q, year: Y });
+    assert.equal(other.status, 403);
+    const own = await call(nina, 'POST', '/api/kpi/statements/approve', { rep_id: priya.id, quarter: Q, year: Y });
+    assert.equal(own.status, 201);
+
+    await call(exec, 'POST', '/api/kpi/statements/approve', { rep_id: sam.id, quarter: Q, year: Y });
+    const csv = await call(nina, 'GET', `/api/kpi/statements/csv?quarter=${Q}&year=${Y}`);
+    assert.deepEqual(csv.body.split('\n').slice(1).map((l) => l.split(',')[0]), ['Priya Nair']);
+  });
+});
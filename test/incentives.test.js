@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePlan, attainment, calcPayout } = require('../src/services/incentives');
+
+const PLAN = {
+  name: 'Field Sales',
+  on_target_amount: 4000,
+  weights: { new_customers: 40, reactivations: 20, coverage: 20, growth: 20 },
+  threshold_pct: 50,
+  accelerator: 2,
+  cap_pct: 150,
+  require_weekly_plans: true,
+  min_coverage_pct: null,
+};
+
+function kpi({ newCustomers = 6, reactivations = 1, coverage = 90, current = 11000, ly = 10000, weeks = 13 } = {}) {
+  return {
+    new_customers: { actual: newCustomers, target: 4 },
+    reactivations: { actual: reactivations, target: 4 },
+    coverage:      { covered: coverage, total: 100, pct: coverage, target_pct: 90 },
+    growth:        { current_quarter: current, ly_quarter: ly, target_pct: 10 },
+    weekly_plans:  { submitted: weeks, due: 13 },
+  };
+}
+
+describe('attainment', () => {
+  it('measures each KPI against its target, growth against last year plus the target', () => {
+    const k = kpi();
+    assert.equal(attainment('new_customers', k), 150);
+    assert.equal(attainment('reactivations', k), 25);
+    assert.equal(attainment('coverage', k), 100);
+    assert.equal(attainment('growth', k), 100);
+  });
+
+  it('counts a zero target as met and growth without last year as unmeasurable', () => {
+    assert.equal(attainment('new_customers', { new_customers: { actual: 0, target: 0 } }), 100);
+    assert.equal(attainment('growth', kpi({ ly: 0 })), null);
+  });
+});
+
+describe('calcPayout', () => {
+  it('pays pro rata up to 100%, accelerates above it and nothing below the threshold', () => {
+    const p = calcPayout(kpi(), PLAN);
+    assert.deepEqual(p.lines.map((l) => [l.kpi, l.on_target, l.amount]), [
+      ['new_customers', 1600, 3200],   // 150% → 1 + 0.5 × 2
+      ['reactivations', 800, 0],       // 25% is under the 50% threshold
+      ['coverage', 800, 800],
+      ['growth', 800, 800],
+    ]);
+    assert.equal(p.earned, 4800);
+    assert.equal(p.payout, 4800);
+    assert.equal(p.capped, false);
+    assert.deepEqual(p.gates, [{ gate: 'weekly_plans', label: 'Weekly plan every week', met: true, detail: '13 of 13 weeks' }]);
+  });
+
+  it('caps the quarter and leaves out KPIs with no weight', () => {
+    const p = calcPayout(kpi({ newCustomers: 10 }), { ...PLAN, weights: { new_customers: 80, reactivations: 0, coverage: 20, growth: 0 } });
+    assert.deepEqual(p.lines.map((l) => l.kpi), ['new_customers', 'coverage']);
+    assert.equal(p.earned, 3200 * 4 + 800);   // 250% → 1 + 1.5 × 2
+    assert.equal(p.cap, 6000);
+    assert.equal(p.capped, true);
+    assert.equal(p.payout, 6000);
+  });
+
+  it('pays nothing when a gate is missed', () => {
+    const missedWeek = calcPayout(kpi({ weeks: 12 }), PLAN);
+    assert.equal(missedWeek.earned, 4800);
+    assert.equal(missedWeek.payout, 0);
+    assert.equal(missedWeek.gates_met, false);
+
+    const lowCoverage = calcPayout(kpi({ coverage: 60 }), { ...PLAN, require_weekly_plans: false, min_coverage_pct: 70 });
+    assert.deepEqual(lowCoverage.gates, [{ gate: 'min_coverage', label: 'Coverage at least 70%', met: false, detail: '60%' }]);
+    assert.equal(lowCoverage.payout, 0);
+  });
+});
+
+describe('parsePlan', () => {
+  const body = { name: ' Field Sales ', on_target_amount: '4000', weights: { new_customers: 50, coverage: 50 } };
+
+  it('fills in the defaults', () => {
+    const { plan, error } = parsePlan(body);
+    assert.equal(error, undefined);
+    assert.equal(plan.name, 'Field Sales');
+    assert.equal(plan.on_target_amount, 4000);
+    assert.deepEqual(plan.weights, { new_customers: 50, reactivations: 0, coverage: 50, growth: 0 });
+    assert.equal(plan.threshold_pct, 50);
+    assert.equal(plan.accelerator, 1);
+    assert.equal(plan.cap_pct, 150);
+    assert.equal(plan.require_weekly_plans, false);
+    assert.equal(plan.min_coverage_pct, null);
+  });
+
+  it('rejects bad input with a message for the form', () => {
+    assert.match(parsePlan({ ...body, name: '' }).error, /name/);
+    assert.match(parsePlan({ ...body, on_target_amount: 0 }).error, /on_target_amount/);
+    assert.match(parsePlan({ ...body, weights: { new_customers: 50, coverage: 40 } }).error, /add up to 100 \(they add up to 90\)/);
+    assert.match(parsePlan({ ...body, weights: { new_customers: 50.5, coverage: 49.5 } }).error, /weights.new_customers/);
+    assert.match(parsePlan({ ...body, accelerator: 9 }).error, /accelerator/);
+    assert.match(parsePlan({ ...body, cap_pct: 90 }).error, /cap_pct/);
+    assert.match(parsePlan({ ...body, min_coverage_pct: 120 }).error, /min_coverage_pct/);
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { invoice, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('calcKpi (Q2 2025)', { skip: skipWithoutDb }, () => {
+  let h, kpi;
+
+  before(async () => {
+    h = await startHarness();
+    kpi = require('../src/services/kpi');
+  });
+  after(() => h?.stop());
+  beforeEach(() => h.reset());
+
+  const TARGETS = { new_customers: 4, reactivations: 2, coverage_pct: 90, growth_pct: 5 };
+
+  it('calculates all five KPIs from the invoice feed and visit history', async () => {
+    const rep = await insertUser(h.db, { name: 'Sam Carter' });
+
+    // Rep's stores: K1 continuing, R1 reactivated, N1 new; N2 is a prospect
+    const k1 = await insertStore(h.db, { zoho_contact_id: 'K1', rep_id: rep.id, grade: 'A' });
+    const r1 = await insertStore(h.db, { zoho_contact_id: 'R1', rep_id: rep.id, grade: 'B' });
+    const n1 = await insertStore(h.db, { zoho_contact_id: 'N1', rep_id: rep.id, grade: 'C' });
+    await insertStore(h.db, { zoho_contact_id: 'N2', rep_id: rep.id, is_prospect: true });
+
+    await insertVisit(h.db, { rep_id: rep.id, store_id: k1.id, days_ago: 20 });  // A: within 42d
+    await insertVisit(h.db, { rep_id: rep.id, store_id: r1.id, days_ago: 100 }); // B: outside 84d
+    await insertVisit(h.db, { rep_id: rep.id, store_id: n1.id, days_ago: 30 });  // C: within 84d
+
+    await h.db.query(
+      `INSERT INTO weekly_plans (rep_id, week_start) VALUES ($1, $2)`,
+      [rep.id, kpi.currentWeekStart()]
+    );
+
+    const invoices = [
+      invoice({ customer_id: 'K1', date: '2024-05-20', total: 3300 }), // same quarter LY
+      invoice({ customer_id: 'K1', date: '2025-01-15', total: 1100 }),
+      invoice({ customer_id: 'K1', date: '2025-05-15', total: 2200 }),
+      invoice({ customer_id: 'R1', date: '2024-08-15', total: 1100 }), // then dormant 6m+
+      invoice({ customer_id: 'R1', date: '2025-05-01', total: 1100 }),
+      invoice({ customer_id: 'N1', date: '2025-05-10', total: 1100 }),
+      invoice({ customer_id: 'N2', date: '2025-04-02', total: 1100 }),
+      invoice({ customer_id: 'N2', date: '2025-06-01', total: 1100 }),
+      invoice({ customer_id: 'X1', date: '2025-05-05', total: 9900, salesperson_name: 'Priya Nair' }),
+    ];
+
+    const a = await kpi.calcKpi(rep.id, invoices, TARGETS, 2, 2025);
+
+    assert.deepEqual(a.new_customers, { actual: 2, target: 4, pct: 50 });
+    assert.deepEqual(a.reactivations, { actual: 1, target: 2, pct: 50 });
+    assert.deepEqual(a.coverage, { covered: 2, total: 3, pct: 67, target_pct: 90, on_track: false });
+    assert.deepEqual(a.weekly_plan, { submitted: true, week_start: kpi.currentWeekStart() });
+    // Growth counts the rep's active stores only: 4400 vs 3300 inc GST
+    assert.deepEqual(a.growth, { current_quarter: 4000, ly_quarter: 3000, pct: 33, target_pct: 5 });
+  });
+
+  it('matches invoices under every name in zoho_salesperson_ids', async () => {
+    const rep = await insertUser(h.db, { name: 'Deanne', zoho_salesperson_id: 'Owain ap Rees' });
+    await h.db.query(
+      `UPDATE users SET zoho_salesperson_ids = $1 WHERE id = $2`,
+      [['Owain ap Rees', 'Sally ap Rees'], rep.id]
+    );
+
+    const a = await kpi.calcKpi(rep.id, [
+      invoice({ customer_id: 'A1', date: '2025-04-10', salesperson_name: 'Owain ap Rees' }),
+      invoice({ customer_id: 'A2', date: '2025-04-11', salesperson_name: 'Sally ap Rees' }),
+      invoice({ customer_id: 'A3', date: '2025-04-12', salesperson_name: 'Sam Carter' }),
+    ], TARGETS, 2, 2025);
+
+    assert.equal(a.new_customers.actual, 2);
+    assert.equal(a.weekly_plan.submitted, false);
+    assert.equal(a.growth.pct, null); // no LY revenue
+    assert.deepEqual(a.coverage, { covered: 0, total: 0, pct: 0, target_pct: 90, on_track: false });
+  });
+
+  it('falls back to default targets', async () => {
+    const rep = await insertUser(h.db);
+    assert.deepEqual(await kpi.getTargetsForRep(rep.id, 2, 2025), kpi.DEFAULTS);
+  });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { quarterDateRange, currentQuarter } = require('../src/services/kpi');
+const { isClosed, previousQuarter } = require('../src/services/kpiSnapshots');
+
+describe('quarterDateRange', () => {
+  it('covers the three calendar months of the quarter', () => {
+    assert.deepEqual(quarterDateRange(1, 2025), { from: '2025-01-01', to: '2025-03-31' });
+    assert.deepEqual(quarterDateRange(2, 2025), { from: '2025-04-01', to: '2025-06-30' });
+    assert.deepEqual(quarterDateRange(3, 2025), { from: '2025-07-01', to: '2025-09-30' });
+    assert.deepEqual(quarterDateRange(4, 2025), { from: '2025-10-01', to: '2025-12-31' });
+  });
+});
+
+describe('the quarter on a UTC server', () => {
+  process.env.TZ = 'UTC';
+  afterEach(() => mock.timers.reset());
+
+  it("goes by Sydney's date, so the quarter-close job closes the quarter just ended", () => {
+    // 04:00 on 1 October in Sydney, when the job runs; still 30 September in UTC
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-09-30T18:00:00Z') });
+    assert.equal(new Date().getDate(), 30);
+    assert.deepEqual(currentQuarter(), { quarter: 4, year: 2026 });
+    assert.deepEqual(previousQuarter(), { quarter: 3, year: 2026 });
+    assert.equal(isClosed(3, 2026), true);
+    assert.equal(isClosed(4, 2026), false);
+  });
+
+  it('rolls over the year in January', () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-12-31T17:00:00Z') });
+    assert.deepEqual(previousQuarter(), { quarter: 4, year: 2026 });
+    assert.equal(isClosed(4, 2026), true);
+  });
+});
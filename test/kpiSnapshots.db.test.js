@@ -0,0 +1,132 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { invoice, insertUser, insertStore } = require('./helpers/factories');
+
+// The quarter before this one, which is over and can be snapshotted
+const now = new Date();
+const THIS_Q = Math.floor(now.getMonth() / 3) + 1;
+const Q = THIS_Q === 1 ? 4 : THIS_Q - 1;
+const Y = THIS_Q === 1 ? now.getFullYear() - 1 : now.getFullYear();
+const MID = `${String(Q * 3 - 1).padStart(2, '0')}-15`;   // middle month of the quarter
+
+describe('KPI snapshots', { skip: skipWithoutDb }, () => {
+  let h, server, base, session, snapshots, sync, exec, nina, sam;
+
+  before(async () => {
+    h = await startHarness();
+    snapshots = require('../src/services/kpiSnapshots');
+    sync = require('../src/services/sync');
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.session = { ...session };
+      next();
+    });
+    app.use('/api/kpi', require('../src/routes/kpi'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    exec = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    nina = await insertUser(h.db, { name: 'Nina Manager', role: 'manager' });
+    sam  = await insertUser(h.db, { name: 'Sam Carter' });
+
+    // K1 bought in the same quarter last year and again this one; N1 and N2 are new
+    for (const id of ['K1', 'N1', 'N2']) await insertStore(h.db, { zoho_contact_id: id, rep_id: sam.id });
+    h.mock.state.invoices = [
+      invoice({ customer_id: 'K1', date: `${Y - 1}-${MID}`, total: 1000 }),
+      invoice({ customer_id: 'K1', date: `${Y}-${MID}`, total: 1000 }),
+      invoice({ customer_id: 'N1', date: `${Y}-${MID}`, total: 500 }),
+      invoice({ customer_id: 'N2', date: `${Y}-${MID}`, total: 500 }),
+    ];
+    await sync.syncInvoices({ full: true });
+
+    await h.db.query(`
+      INSERT INTO incentive_targets (rep_id, quarter, year, new_customers, reactivations, coverage_pct, growth_pct, set_by)
+      VALUES ($1, $2, $3, 4, 0, 0, 10, $4)
+    `, [sam.id, Q, Y, exec.id]);
+  });
+
+  async function call(as, method, path, body) {
+    session = { userId: as.id, role: as.role };
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('serves a closed quarter from its snapshot once invoices change', async () => {
+    // No snapshot yet: worked out live
+    const [live] = await snapshots.quarterKpis([sam], Q, Y);
+    assert.equal(live.source, 'live');
+    assert.equal(live.actuals.new_customers.actual, 2);
+    assert.equal(live.actuals.growth.pct, 100);
+
+    assert.equal((await call(nina, 'POST', '/api/kpi/snapshots', { quarter: Q, year: Y })).status, 403);
+    const current = await call(exec, 'POST', '/api/kpi/snapshots', { quarter: THIS_Q, year: now.getFullYear() });
+    assert.equal(current.status, 409);
+    const taken = await call(exec, 'POST', '/api/kpi/snapshots', { quarter: Q, year: Y });
+    assert.equal(taken.status, 200);
+    assert.deepEqual(taken.body, { saved: 1, existing: 0 });
+
+    // The quarter's new-customer invoices are deleted in Zoho
+    await h.db.query(`DELETE FROM zoho_invoices WHERE customer_id IN ('N1', 'N2')`);
+    const [drifted] = await snapshots.quarterKpis([sam], Q, Y);
+    assert.equal(drifted.source, 'snapshot');
+    assert.ok(drifted.captured_at);
+    assert.deepEqual(drifted.targets, { new_customers: 4, reactivations: 0, coverage_pct: 0, growth_pct: 10 });
+    assert.deepEqual(drifted.actuals.new_customers, { actual: 2, target: 4, pct: 50 });
+    assert.equal(drifted.actuals.growth.current_quarter, live.actuals.growth.current_quarter);
+    assert.equal(drifted.actuals.growth.pct, 100);
+    assert.deepEqual(drifted.actuals.coverage, live.actuals.coverage);
+
+    // Re-running only fills in reps who have no snapshot yet
+    const priya = await insertUser(h.db, { name: 'Priya Nair' });
+    assert.deepEqual(await snapshots.snapshotQuarter(Q, Y), { saved: 1, existing: 1 });
+    const [samAgain, priyaSnap] = await snapshots.quarterKpis([sam, priya], Q, Y);
+    assert.equal(samAgain.actuals.new_customers.actual, 2);
+    assert.equal(new Date(samAgain.captured_at).getTime(), new Date(drifted.captured_at).getTime());
+    assert.equal(priyaSnap.source, 'snapshot');
+  });
+
+  it('lists a rep\'s closed quarters from snapshots, then this quarter live', async () => {
+    await snapshots.snapshotQuarter(Q, Y);
+    const history = await snapshots.repHistory(sam, 4);
+    assert.deepEqual(history.map((q) => [q.quarter_label, q.source]), [
+      [`Q${Q} ${Y}`, 'snapshot'],
+      [`Q${THIS_Q} ${now.getFullYear()}`, 'live'],
+    ]);
+    assert.equal(history[0].actuals.new_customers.actual, 2);
+    assert.equal(history[1].actuals.new_customers.actual, 0);
+    assert.equal(history[0].rep_id, undefined);
+  });
+
+  it('exports the team\'s KPIs as CSV that spreadsheets open as text', async () => {
+    await h.db.query(`UPDATE users SET name = '=Carter, Sam' WHERE id = $1`, [sam.id]);
+    session = { userId: exec.id, role: exec.role };
+    const res = await fetch(`${base}/api/kpi/team/csv?quarter=${Q}&year=${Y}`);
+    assert.equal(res.status, 200);
+    const [header, row, ...rest] = (await res.text()).split('\n');
+    assert.equal(header, 'Rep,New Cust Actual,New Cust Target,Reactivations Actual,Reactivations Target,'
+      + 'Coverage (visited/total),Coverage %,Coverage Target %,Weekly Plan,Weeks Planned,Growth %,Growth Target %');
+    assert.match(row, /^"'=Carter, Sam",2,4,1,0,0\/0,0,0,No,0\/\d+,100,10$/);
+    assert.deepEqual(rest, []);
+  });
+});
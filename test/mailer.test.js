@@ -0,0 +1,106 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const mailer = require('../src/services/mailer');
+const { createSmtpCatcher } = require('../src/mock/smtpCatcher');
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('SMTP transport → catcher', () => {
+  let catcher, port;
+
+  before(async () => {
+    catcher = createSmtpCatcher();
+    port = await listen(catcher.server);
+    mailer.setTransport(mailer.createSmtpTransport({ host: '127.0.0.1', port, user: 'dev', pass: 'dev' }));
+  });
+  after(() => {
+    mailer.setTransport(null);
+    catcher.server.close();
+  });
+  beforeEach(() => catcher.reset());
+
+  it('delivers a multipart message intact', async () => {
+    const text = 'Line one\n.\n..two dots\nLast — line';
+    const result = await mailer.sendMail({
+      to: 'Sam Carter <sam@test.local>',
+      subject: 'Alerts — 3 new',
+      text,
+      html: '<p>Hello</p>',
+    });
+
+    assert.equal(result.transport, 'smtp');
+    assert.match(result.id, /^<.+@artico\.com\.au>$/);
+    assert.equal(catcher.messages.length, 1);
+
+    const m = catcher.messages[0];
+    assert.equal(m.from, 'no-reply@artico.com.au');
+    assert.deepEqual(m.to, ['sam@test.local']);
+    assert.equal(m.subject, 'Alerts — 3 new');
+    assert.equal(m.text, text);
+    assert.equal(m.html, '<p>Hello</p>');
+  });
+
+  it('sends plain-text messages to several recipients', async () => {
+    await mailer.sendMail({ to: ['a@test.local', 'b@test.local'], subject: 'Hi', text: 'Body', from: 'Ops <ops@test.local>' });
+    const m = catcher.messages[0];
+    assert.equal(m.from, 'ops@test.local');
+    assert.deepEqual(m.to, ['a@test.local', 'b@test.local']);
+    assert.equal(m.text, 'Body');
+    assert.equal(m.html, null);
+  });
+
+  it('refuses a message with no recipients', async () => {
+    await assert.rejects(mailer.sendMail({ to: [], subject: 'x', text: 'x' }), /no recipients/);
+    assert.equal(catcher.messages.length, 0);
+  });
+});
+
+describe('log transport', () => {
+  afterEach(() => {
+    mailer.setTransport(null);
+    mock.restoreAll();
+  });
+
+  it("prints messages outside production but won't print a secret one in production", async () => {
+    const logged = mock.method(console, 'log', () => {});
+    mailer.setTransport(mailer.createLogTransport());
+    const link = { to: 'sam@test.local', subject: 'Reset your password', text: 'https://x/?reset=abc', secret: true };
+
+    const env = process.env.NODE_ENV;
+    try {
+      process.env.NODE_ENV = 'development';
+      assert.equal((await mailer.sendMail(link)).transport, 'log');
+      assert.match(logged.mock.calls[0].arguments[0], /reset=abc/);
+
+      process.env.NODE_ENV = 'production';
+      await assert.rejects(mailer.sendMail(link), /refusing to log "Reset your password" in production/);
+      assert.equal((await mailer.sendMail({ ...link, secret: false })).transport, 'log');
+      assert.equal(logged.mock.calls.length, 2);
+    } finally {
+      if (env === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = env;
+    }
+  });
+});
+
+describe('SMTP transport errors', () => {
+  it('rejects with the server reply when the server refuses', async () => {
+    const server = net.createServer((socket) => socket.end('554 No service\r\n'));
+    const port = await listen(server);
+    try {
+      const transport = mailer.createSmtpTransport({ host: '127.0.0.1', port });
+      await assert.rejects(
+        transport.send({ from: 'a@test.local', to: ['b@test.local'], subject: 's', text: 't' }),
+        /SMTP greeting failed: 554 No service/
+      );
+    } finally {
+      server.close();
+    }
+  });
+});
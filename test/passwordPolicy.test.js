@@ -0,0 +1,36 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkPassword } = require('../src/services/passwordPolicy');
+
+const SAM = { email: 'sam.carter@artico.com.au', name: 'Sam Carter' };
+
+describe('checkPassword', () => {
+  it('accepts mixed passwords of 10+ characters and long passphrases', () => {
+    assert.equal(checkPassword('Kettle-42-Lamp', SAM), null);
+    assert.equal(checkPassword('orange kettle under lamp', SAM), null);
+  });
+
+  it('rejects short, over-long and single-class passwords', () => {
+    assert.match(checkPassword('Ab1!', SAM), /at least 10/);
+    assert.match(checkPassword(undefined, SAM), /at least 10/);
+    assert.match(checkPassword('Aa1!'.repeat(19), SAM), /at most 72/);
+    assert.match(checkPassword('kettlelamps', SAM), /three of/);
+    assert.match(checkPassword('kettlelamp42', SAM), /three of/);
+  });
+
+  it('rejects well-known passwords behind digits and symbols', () => {
+    assert.match(checkPassword('Password123!', SAM), /too common/);
+    assert.match(checkPassword('!!Welcome2026', SAM), /too common/);
+    assert.match(checkPassword('1234567890abcdef', SAM), /too common/);
+    assert.match(checkPassword('aaaaaaaaaaaaaaaaaa', SAM), /too common/);
+  });
+
+  it('rejects passwords containing the user’s name or email', () => {
+    assert.match(checkPassword('Carter#2026x', SAM), /name or email/);
+    assert.match(checkPassword('xSam.Carter9!', SAM), /name or email/);
+    assert.equal(checkPassword('Kettle-42-Lamp', { name: 'Al Ng' }), null);
+  });
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isoMonday, quarterWeeks, clusterIntoDays, visitSlot, scheduleQuarter,
+  haversineKm, clusterByLocation, routeDay, routeDistanceKm, planDays,
+} = require('../src/services/planner');
+
+const ids = (stores) => stores.map((s) => s.store_id);
+
+describe('planner week helpers', () => {
+  it('isoMonday maps any day to the Monday of its ISO week', () => {
+    assert.equal(isoMonday('2026-01-05'), '2026-01-05'); // Monday
+    assert.equal(isoMonday('2026-01-09'), '2026-01-05'); // Friday
+    assert.equal(isoMonday('2026-01-04'), '2025-12-29'); // Sunday belongs to the previous week
+  });
+
+  it('quarterWeeks lists every Monday inside the quarter', () => {
+    const q1 = quarterWeeks(1, 2026);
+    assert.equal(q1.length, 13);
+    assert.equal(q1[0], '2026-01-05');
+    assert.equal(q1[12], '2026-03-30');
+
+    // Quarter starting on a Monday includes that day
+    assert.equal(quarterWeeks(1, 2024)[0], '2024-01-01');
+
+    const q2 = quarterWeeks(2, 2026);
+    assert.equal(q2[0], '2026-04-06');
+    assert.equal(q2[q2.length - 1], '2026-06-29');
+  });
+
+  it('visitSlot uses the visit week and clamps Saturday to Friday', () => {
+    assert.deepEqual(visitSlot('2026-02-04T01:30:00Z'), { week: '2026-02-02', dayOfWeek: 3 });
+    assert.deepEqual(visitSlot('2026-02-07T09:00:00Z'), { week: '2026-02-02', dayOfWeek: 5 });
+  });
+});
+
+describe('clusterIntoDays', () => {
+  it('groups by state + postcode prefix, A stores first within a postcode', () => {
+    const days = clusterIntoDays([
+      { store_id: 1, state: 'NSW', postcode: '2010', grade: 'B' },
+      { store_id: 2, state: 'VIC', postcode: '3000', grade: 'A' },
+      { store_id: 3, state: 'NSW', postcode: '2000', grade: 'A' },
+      { store_id: 4, state: 'NSW', postcode: '2010', grade: 'A' },
+    ]);
+    assert.equal(days.length, 5);
+    assert.deepEqual(ids(days[0]), [3, 4, 1, 2]);
+    assert.deepEqual(days.slice(1).map(ids), [[], [], [], []]);
+  });
+
+  it('caps each day at 8 stores and the week at 40', () => {
+    const stores = Array.from({ length: 45 }, (_, i) => ({
+      store_id: i + 1, state: 'NSW', postcode: String(2000 + i), grade: 'B',
+    }));
+    const days = clusterIntoDays(stores);
+    assert.deepEqual(days.map((d) => d.length), [8, 8, 8, 8, 8]);
+    assert.deepEqual(ids(days[0]), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepEqual(ids(days[4]), [33, 34, 35, 36, 37, 38, 39, 40]);
+  });
+});
+
+describe('scheduleQuarter (Q1 2026)', () => {
+  const weeks = quarterWeeks(1, 2026);
+
+  function weeksFor(buckets, storeId) {
+    return [...buckets].filter(([, ss]) => ss.some((s) => s.store_id === storeId)).map(([w]) => w);
+  }
+
+  it('schedules never-visited A stores twice, 6 weeks apart from quarter start', () => {
+    const buckets = scheduleQuarter(weeks, [{ store_id: 1, grade: 'A', last_visit: null }], new Map());
+    assert.deepEqual(weeksFor(buckets, 1), ['2026-01-05', '2026-02-16']);
+  });
+
+  it('schedules overdue B/C stores once, at quarter start', () => {
+    const buckets = scheduleQuarter(weeks, [{ store_id: 2, grade: 'B', last_visit: '2025-06-01T00:00:00Z' }], new Map());
+    assert.deepEqual(weeksFor(buckets, 2), ['2026-01-05']);
+  });
+
+  it('places the first visit one interval after the last visit', () => {
+    const buckets = scheduleQuarter(weeks, [
+      { store_id: 3, grade: 'B', last_visit: '2025-12-01T00:00:00Z' }, // due Mon 23 Feb
+      { store_id: 4, grade: 'C', last_visit: '2025-12-20T00:00:00Z' }, // due Sat 14 Mar
+      { store_id: 5, grade: 'A', last_visit: '2025-12-29T00:00:00Z' }, // due Mon 9 Feb, then 23 Mar
+    ], new Map());
+    assert.deepEqual(weeksFor(buckets, 3), ['2026-02-23']);
+    assert.deepEqual(weeksFor(buckets, 4), ['2026-03-16']);
+    assert.deepEqual(weeksFor(buckets, 5), ['2026-02-09', '2026-03-23']);
+  });
+
+  it('accounts for visits already made this quarter', () => {
+    const quarterVisits = new Map([
+      [6, [new Date('2026-01-20T00:00:00Z')]], // C store — covered
+      [7, [new Date('2026-01-14T00:00:00Z')]], // A store — one more due 25 Feb
+      [8, [new Date('2026-02-25T00:00:00Z')]], // A store — next due after quarter end
+    ]);
+    const buckets = scheduleQuarter(weeks, [
+      { store_id: 6, grade: 'C', last_visit: '2026-01-20T00:00:00Z' },
+      { store_id: 7, grade: 'A', last_visit: '2026-01-14T00:00:00Z' },
+      { store_id: 8, grade: 'A', last_visit: '2026-02-25T00:00:00Z' },
+    ], quarterVisits);
+    assert.deepEqual(weeksFor(buckets, 6), []);
+    assert.deepEqual(weeksFor(buckets, 7), ['2026-03-02']);
+    assert.deepEqual(weeksFor(buckets, 8), []);
+  });
+
+  it('skips weeks that already hold a confirmed or completed item', () => {
+    const buckets = scheduleQuarter(
+      weeks,
+      [{ store_id: 9, grade: 'A', last_visit: null }],
+      new Map(),
+      new Set(['9:2026-01-05'])
+    );
+    assert.deepEqual(weeksFor(buckets, 9), ['2026-02-16']);
+  });
+
+  it('returns a bucket for every week and copies the store rows', () => {
+    const store   = { store_id: 10, grade: 'B', last_visit: null, postcode: '2000' };
+    const buckets = scheduleQuarter(weeks, [store], new Map());
+    assert.deepEqual([...buckets.keys()], weeks);
+    const [placed] = buckets.get('2026-01-05');
+    assert.deepEqual(placed, store);
+    assert.notEqual(placed, store);
+  });
+});
+
+describe('route planning', () => {
+  const at = (store_id, latitude, longitude, extra = {}) => ({ store_id, latitude, longitude, grade: 'B', ...extra });
+  const home = { latitude: -37.80, longitude: 144.96 };
+
+  it('haversineKm measures straight-line distance', () => {
+    const sydney    = { latitude: -33.8688, longitude: 151.2093 };
+    const melbourne = { latitude: -37.8136, longitude: 144.9631 };
+    assert.equal(Math.round(haversineKm(sydney, melbourne)), 713);
+    assert.equal(haversineKm(sydney, sydney), 0);
+  });
+
+  it('routeDay visits stops along a line in order from home', () => {
+    // Stores due east of home at 1, 2, 3, 4 km-ish steps, given shuffled
+    const stops = [3, 1, 4, 2].map((n) => at(n, -37.80, 144.96 + n * 0.012));
+    assert.deepEqual(ids(routeDay(stops, home)), [1, 2, 3, 4]);
+  });
+
+  it('routeDay untangles a crossing left by nearest neighbour', () => {
+    // Square around home; nearest neighbour alone would cross the diagonal
+    const stops = [
+      at(1, -37.79, 144.97), at(2, -37.79, 144.95), at(3, -37.81, 144.95), at(4, -37.81, 144.97),
+      at(5, -37.7905, 144.9705),
+    ];
+    const routed = routeDay(stops, home);
+    assert.equal(routed.length, 5);
+    const legs = routeDistanceKm(routed, home);
+    // Every permutation is at least as long as the 2-opt route
+    const perms = (xs) => (xs.length <= 1 ? [xs] : xs.flatMap((x, i) => perms([...xs.slice(0, i), ...xs.slice(i + 1)]).map((p) => [x, ...p])));
+    const best = Math.min(...perms(stops).map((p) => routeDistanceKm(p, home)));
+    assert.equal(legs, best);
+  });
+
+  it('routeDay keeps stores without coordinates at the end', () => {
+    const routed = routeDay([at(1, null, null), at(2, -37.80, 144.99), at(3, -37.80, 144.97)], home);
+    assert.deepEqual(ids(routed), [3, 2, 1]);
+  });
+
+  it('clusterByLocation keeps each area on its own day', () => {
+    const north = Array.from({ length: 6 }, (_, i) => at(10 + i, -37.70 - i * 0.002, 144.96));
+    const south = Array.from({ length: 6 }, (_, i) => at(20 + i, -37.90 - i * 0.002, 144.96));
+    const days = clusterByLocation([...north, ...south].reverse(), home);
+    const nonEmpty = days.filter((d) => d.length);
+    assert.equal(nonEmpty.length, 2);
+    for (const day of nonEmpty) {
+      const areas = new Set(day.map((s) => (s.store_id < 20 ? 'north' : 'south')));
+      assert.equal(areas.size, 1);
+    }
+  });
+
+  it('clusterByLocation balances days, caps at 8 per day and keeps A stores when over 40', () => {
+    const stores = Array.from({ length: 45 }, (_, i) =>
+      at(i + 1, -37.80 + Math.sin(i) * 0.1, 144.96 + Math.cos(i) * 0.1, { grade: i >= 40 ? 'A' : 'C' }));
+    const days = clusterByLocation(stores, home);
+    assert.deepEqual(days.map((d) => d.length), [8, 8, 8, 8, 8]);
+    const planned = new Set(days.flat().map((s) => s.store_id));
+    for (let id = 41; id <= 45; id++) assert.ok(planned.has(id));
+
+    const some = clusterByLocation(stores.slice(0, 10), home);
+    assert.deepEqual(some.map((d) => d.length), [5, 5, 0, 0, 0]);
+  });
+
+  it('falls back to postcode clustering when no store has coordinates', () => {
+    const stores = [
+      { store_id: 1, state: 'NSW', postcode: '2010', grade: 'B' },
+      { store_id: 2, state: 'VIC', postcode: '3000', grade: 'A' },
+      { store_id: 3, state: 'NSW', postcode: '2000', grade: 'A' },
+    ];
+    assert.deepEqual(planDays(stores, home).map(ids), clusterIntoDays(stores).map(ids));
+  });
+
+  it('routeDistanceKm includes the trip from and back to home', () => {
+    const stop = at(1, -37.80, 144.97);
+    const oneWay = haversineKm(home, stop);
+    assert.equal(routeDistanceKm([stop], home), Math.round(oneWay * 2 * 1.3 * 10) / 10);
+    assert.equal(routeDistanceKm([stop]), 0);
+    assert.equal(routeDistanceKm([at(1, null, null)], home), null);
+  });
+});
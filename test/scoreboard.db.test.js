@@ -0,0 +1,174 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { invoice, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+// 'YYYY-MM', `n` months back from this one
+const now = new Date();
+function month(n) {
+  const d = new Date(now.getFullYear(), now.getMonth() - n, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+describe('scoreboard history and badges', { skip: skipWithoutDb }, () => {
+  let h, server, base, session, exec, nina, sam, priya;
+
+  before(async () => {
+    h = await startHarness();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.session = { ...session };
+      next();
+    });
+    app.use('/api/scoreboard', require('../src/routes/scoreboard'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    exec  = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    nina  = await insertUser(h.db, { name: 'Nina Manager', role: 'manager' });
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    priya = await insertUser(h.db, { name: 'Priya Nair' });
+
+    // Sam opens a door in each of the last two months, the first with a $11k first order
+    h.mock.state.invoices = [
+      invoice({ customer_id: 'N1', date: `${month(2)}-15`, total: 12100 }),
+      invoice({ customer_id: 'N2', date: `${month(1)}-15`, total: 1100 }),
+      invoice({ customer_id: 'K1', date: `${month(1)}-20`, total: 2200, salesperson_name: 'Priya Nair' }),
+      invoice({ customer_id: 'K1', date: `${month(4)}-20`, total: 2200, salesperson_name: 'Priya Nair' }),
+    ];
+    await require('../src/services/sync').syncInvoices({ full: true });
+  });
+
+  async function call(as, method, path, body) {
+    session = { userId: as.id, role: as.role };
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('serves finished months from snapshots, with rank movement and streaks', async () => {
+    assert.equal((await call(nina, 'POST', '/api/scoreboard/snapshots', { month: month(1) })).status, 403);
+    assert.equal((await call(exec, 'POST', '/api/scoreboard/snapshots', { month: month(0) })).status, 409);
+    assert.equal((await call(exec, 'POST', '/api/scoreboard/snapshots', { month: month(-1) })).status, 400);
+
+    for (const m of [month(2), month(1)]) {
+      const taken = await call(exec, 'POST', '/api/scoreboard/snapshots', { month: m });
+      assert.equal(taken.status, 200);
+      assert.deepEqual(taken.body, { saved: 2, existing: 0, awarded: 0 });
+    }
+    const again = await call(exec, 'POST', '/api/scoreboard/snapshots', { month: month(1) });
+    assert.deepEqual(again.body, { saved: 0, existing: 2, awarded: 0 });
+
+    // Last month's doors are deleted in Zoho; its snapshot doesn't change
+    await h.db.query(`DELETE FROM zoho_invoices WHERE customer_id = 'N2'`);
+    const past = await call(sam, 'GET', `/api/scoreboard?month=${month(1)}`);
+    assert.equal(past.status, 200);
+    assert.equal(past.body.source, 'snapshot');
+    assert.deepEqual(past.body.snapshot_months, [month(1), month(2)]);
+    const samPast = past.body.reps.find((r) => r.repId === sam.id);
+    assert.equal(samPast.newDoors, 1);
+    assert.equal(samPast.newDoorsRank, 1);
+    assert.deepEqual(samPast.streaks, [{ metric: 'newDoors', label: 'New Doors', months: 2 }]);
+
+    // This month is live: nobody has a new door, so Sam drops to second
+    const live = await call(priya, 'GET', '/api/scoreboard');
+    assert.equal(live.body.source, 'live');
+    const samNow = live.body.reps.find((r) => r.repId === sam.id);
+    const priyaNow = live.body.reps.find((r) => r.repId === priya.id);
+    assert.equal(samNow.movement.newDoors, -1);
+    assert.equal(priyaNow.movement.newDoors, 1);
+    assert.deepEqual(samNow.streaks.map((s) => s.months), [2]);   // through last month
+
+    // Still no raw revenue
+    assert.deepEqual(Object.keys(samNow).sort(), [
+      'badges', 'growthPct', 'growthPctRank', 'movement', 'name', 'newDoors', 'newDoorsRank',
+      'reactivationPct', 'reactivationPctRank', 'repId', 'revPerVisit', 'revPerVisitRank', 'streaks', 'visitCount',
+    ]);
+    assert.doesNotMatch(JSON.stringify(live.body), /11000|12100/);
+  });
+
+  it('writes a month\'s snapshot all at once, so a failed run can be retried', async () => {
+    const { snapshotMonth } = require('../src/services/scoreboard');
+    // The second rep's row fails to insert after the first has gone in
+    await h.db.query(`
+      CREATE FUNCTION fail_snapshot() RETURNS TRIGGER AS $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM scoreboard_snapshots WHERE month = NEW.month) THEN
+          RAISE EXCEPTION 'disk full';
+        END IF;
+        RETURN NEW;
+      END $$ LANGUAGE plpgsql
+    `);
+    await h.db.query(`
+      CREATE TRIGGER fail_snapshot BEFORE INSERT ON scoreboard_snapshots
+      FOR EACH ROW EXECUTE FUNCTION fail_snapshot()
+    `);
+    try {
+      await assert.rejects(snapshotMonth(month(1)), /disk full/);
+      const { rows } = await h.db.query('SELECT rep_id FROM scoreboard_snapshots');
+      assert.deepEqual(rows, []);
+    } finally {
+      await h.db.query('DROP TRIGGER fail_snapshot ON scoreboard_snapshots');
+      await h.db.query('DROP FUNCTION fail_snapshot()');
+    }
+
+    assert.deepEqual(await snapshotMonth(month(1)), { saved: 2, existing: 0 });
+  });
+
+  it('awards badges as they are set up, and keeps them when one is turned off', async () => {
+    const store = await insertStore(h.db, { zoho_contact_id: 'V1', rep_id: priya.id });
+    for (let i = 0; i < 3; i++) await insertVisit(h.db, { rep_id: priya.id, store_id: store.id });
+
+    assert.equal((await call(nina, 'POST', '/api/scoreboard/badges', { name: 'Hat Trick', kind: 'quarter_visits', threshold: 3 })).status, 403);
+    assert.equal((await call(exec, 'POST', '/api/scoreboard/badges', { name: 'Hat Trick', kind: 'quarter_visits', threshold: 0 })).status, 400);
+    const visits = await call(exec, 'POST', '/api/scoreboard/badges', { name: 'Hat Trick', icon: '🎩', kind: 'quarter_visits', threshold: 3 });
+    assert.equal(visits.status, 201);
+    assert.equal(visits.body.earned_by, 1);
+    assert.equal((await call(exec, 'POST', '/api/scoreboard/badges', { name: 'Hat Trick', kind: 'quarter_visits', threshold: 5 })).status, 409);
+
+    const bigDoor = await call(exec, 'POST', '/api/scoreboard/badges', { name: 'Big Opener', kind: 'new_door_value', threshold: 10000 });
+    assert.equal(bigDoor.body.earned_by, 1);
+    assert.equal(bigDoor.body.description, 'A new door whose first order was $10,000 or more');
+    const biggerDoor = await call(exec, 'POST', '/api/scoreboard/badges', { name: 'Huge Opener', kind: 'new_door_value', threshold: 20000 });
+    assert.equal(biggerDoor.body.earned_by, 0);
+
+    // The streak badge comes with the snapshot that completes it
+    await call(exec, 'POST', '/api/scoreboard/badges', { name: 'On a Roll', kind: 'top_streak', metric: 'newDoors', threshold: 2 });
+    await call(exec, 'POST', '/api/scoreboard/snapshots', { month: month(2) });
+    const closed = await call(exec, 'POST', '/api/scoreboard/snapshots', { month: month(1) });
+    assert.equal(closed.body.awarded, 1);
+
+    const { body } = await call(sam, 'GET', '/api/scoreboard');
+    const byRep = Object.fromEntries(body.reps.map((r) => [r.name, r.badges.map((b) => [b.name, b.period])]));
+    const quarter = `Q${Math.floor(now.getMonth() / 3) + 1} ${now.getFullYear()}`;
+    assert.deepEqual(byRep['Priya Nair'], [['Hat Trick', quarter]]);
+    assert.deepEqual(byRep['Sam Carter'], [['Big Opener', ''], ['On a Roll', month(2)]]);
+
+    const off = await call(exec, 'PUT', `/api/scoreboard/badges/${visits.body.id}`, {
+      name: 'Hat Trick', icon: '🎩', kind: 'quarter_visits', threshold: 3, active: false,
+    });
+    assert.equal(off.status, 200);
+    assert.equal(off.body.earned_by, 1);
+    const after = await call(priya, 'GET', '/api/scoreboard');
+    assert.deepEqual(after.body.reps.find((r) => r.repId === priya.id).badges, []);
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { currentMonth, monthWindow, previousMonth, topRuns, parseBadge, describeBadge } = require('../src/services/scoreboard');
+
+describe('monthWindow', () => {
+  it('covers the 12 months ending with the month, to its last day', () => {
+    assert.deepEqual(monthWindow('2026-02'), { from: '2025-03-01', to: '2026-02-28' });
+    assert.deepEqual(monthWindow('2024-12'), { from: '2024-01-01', to: '2024-12-31' });
+    assert.equal(previousMonth('2026-01'), '2025-12');
+  });
+});
+
+describe('the month on a UTC server', () => {
+  process.env.TZ = 'UTC';
+  afterEach(() => mock.timers.reset());
+
+  it("goes by Sydney's date, so the month-close job closes the month just ended", () => {
+    // 04:30 on 1 October in Sydney, when the job runs; still 30 September in UTC
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-09-30T18:30:00Z') });
+    assert.equal(new Date().getMonth() + 1, 9);
+    assert.equal(currentMonth(), '2026-10');
+    assert.equal(previousMonth(), '2026-09');
+  });
+
+  it('rolls over the year in January', () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-12-31T17:30:00Z') });
+    assert.equal(previousMonth(), '2026-12');
+  });
+});
+
+describe('topRuns', () => {
+  const row = (repId, month, newDoors, rank) => ({ repId, month, newDoors, newDoorsRank: rank });
+
+  it('finds consecutive months at the top, broken by a gap or a lower rank', () => {
+    const rows = [
+      row(1, '2026-01', 3, 1), row(2, '2026-01', 1, 2),
+      row(1, '2026-02', 2, 1), row(2, '2026-02', 1, 2),
+      row(1, '2026-03', 1, 2), row(2, '2026-03', 4, 1),
+      row(1, '2026-05', 5, 1), row(2, '2026-05', 0, 2),   // no April snapshot
+      row(1, '2026-06', 2, 1), row(2, '2026-06', 1, 2),
+    ];
+    assert.deepEqual(topRuns(rows, 'newDoors'), [
+      { repId: 1, start: '2026-01', months: ['2026-01', '2026-02'] },
+      { repId: 2, start: '2026-03', months: ['2026-03'] },
+      { repId: 1, start: '2026-05', months: ['2026-05', '2026-06'] },
+    ]);
+  });
+
+  it("doesn't count a top rank with nothing behind it", () => {
+    assert.deepEqual(topRuns([row(1, '2026-01', 0, 1), row(1, '2026-02', null, 1)], 'newDoors'), []);
+  });
+});
+
+describe('parseBadge', () => {
+  it('checks the threshold for the kind and needs a metric for streaks', () => {
+    assert.deepEqual(parseBadge({ name: ' Century ', kind: 'quarter_visits', threshold: '100' }), {
+      badge: { name: 'Century', icon: '🏅', kind: 'quarter_visits', threshold: 100, metric: null, active: true },
+    });
+    assert.match(parseBadge({ name: 'X', kind: 'quarter_visits', threshold: 2.5 }).error, /whole number of visits/);
+    assert.match(parseBadge({ name: 'X', kind: 'top_streak', threshold: 3 }).error, /metric must be one of/);
+    assert.match(parseBadge({ name: 'X', kind: 'biggest_order', threshold: 3 }).error, /kind must be one of/);
+    assert.match(parseBadge({ kind: 'quarter_visits', threshold: 3 }).error, /name is required/);
+    assert.equal(parseBadge({ name: 'X', kind: 'new_door_value', threshold: 10000.567 }).badge.threshold, 10000.57);
+  });
+
+  it('describes what earns it', () => {
+    assert.equal(describeBadge({ kind: 'new_door_value', threshold: '10000.00' }), 'A new door whose first order was $10,000 or more');
+    assert.equal(describeBadge({ kind: 'quarter_visits', threshold: 100 }), '100 visits in a quarter');
+    assert.equal(describeBadge({ kind: 'top_streak', threshold: 3, metric: 'newDoors' }), 'Top on new doors 3 months running');
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { invoice, daysAgo } = require('./helpers/factories');
+
+describe('invoice sync', { skip: skipWithoutDb }, () => {
+  let h, sync;
+
+  before(async () => {
+    h = await startHarness();
+    sync = require('../src/services/sync');
+  });
+  after(() => h?.stop());
+  beforeEach(() => h.reset());
+
+  const storedIds = async () =>
+    (await h.db.query('SELECT invoice_id FROM zoho_invoices ORDER BY invoice_id')).rows.map((r) => r.invoice_id);
+
+  it('queues a full pull behind a running incremental one instead of joining it', async () => {
+    const kept = invoice({ customer_id: 'N1', date: daysAgo(10) });
+    const deleted = invoice({ customer_id: 'N2', date: daysAgo(20) });
+    h.mock.state.invoices = [kept, deleted];
+    await sync.syncInvoices({ full: true });
+    assert.deepEqual(await storedIds(), [kept.invoice_id, deleted.invoice_id].sort());
+
+    // Deleted in Zoho: an incremental pull can't see that
+    h.mock.state.invoices = [kept];
+    const incremental = sync.syncInvoices();
+    const full = sync.syncInvoices({ full: true });
+    assert.equal(sync.syncInvoices({ full: true }), full);
+    assert.equal(sync.syncInvoices(), incremental);
+
+    assert.equal((await incremental).full, false);
+    assert.equal((await full).full, true);
+    assert.deepEqual(await storedIds(), [kept.invoice_id]);
+  });
+});
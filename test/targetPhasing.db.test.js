@@ -0,0 +1,165 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { invoice, insertUser } = require('./helpers/factories');
+
+const YEAR = new Date().getFullYear();
+const LY   = YEAR - 1;
+const Q4   = [`${YEAR}-10`, `${YEAR}-11`, `${YEAR}-12`];
+const NAS  = '460000000000100';   // a Name a Star item in the mock catalog
+
+describe('target phasing', { skip: skipWithoutDb }, () => {
+  let h, phasing, server, base, session, exec, nina, sam, priya;
+
+  before(async () => {
+    h = await startHarness();
+    phasing = require('../src/services/targetPhasing');
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.session = { ...session };
+      next();
+    });
+    app.use('/api/targets', require('../src/routes/targets'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    exec  = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    nina  = await insertUser(h.db, { name: 'Nina Manager', role: 'manager' });
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    priya = await insertUser(h.db, { name: 'Priya Nair' });
+
+    // Last Q4: Sam sells 1000 / 2000 / 1000 ex GST, someone else 1000 in October
+    h.mock.state.invoices = [
+      invoice({ customer_id: 'C1', date: `${LY}-10-10`, total: 1100, skus: [NAS] }),
+      invoice({ customer_id: 'C1', date: `${LY}-11-10`, total: 2200, skus: [NAS] }),
+      invoice({ customer_id: 'C2', date: `${LY}-12-10`, total: 1100, skus: [NAS] }),
+      invoice({ customer_id: 'C3', date: `${LY}-10-20`, total: 1100, salesperson_name: 'Alex Other', skus: [NAS] }),
+    ];
+    await require('../src/services/sync').syncInvoices({ full: true });
+  });
+
+  async function call(as, method, path, body) {
+    session = { userId: as.id, role: as.role };
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('phases by last year\'s shape, borrowing the company\'s for a rep with no sales, and audits each change', async () => {
+    await h.db.query(`INSERT INTO revenue_targets (rep_id, month, amount, set_by) VALUES ($1, $2, 4000, $3)`, [sam.id, Q4[1], nina.id]);
+
+    const { phasing: plan } = phasing.parsePhasing({
+      kind: 'rep', year: YEAR, quarter: 4,
+      entries: [{ rep_id: sam.id, amount: 8000 }, { rep_id: priya.id, amount: 5000 }],
+    });
+    const preview = await phasing.previewPhasing(plan);
+    const [samRow, priyaRow] = preview.rows;
+    assert.equal(samRow.shape, 'prior_year');
+    assert.deepEqual(samRow.months.map((m) => m.amount), [2000, 4000, 2000]);
+    assert.deepEqual(samRow.months.map((m) => m.current), [null, 4000, null]);
+    assert.equal(priyaRow.shape, 'company');
+    assert.deepEqual(priyaRow.months.map((m) => m.amount), [2000, 2000, 1000]);
+    assert.deepEqual(preview.totals.map((t) => t.amount), [4000, 6000, 3000]);
+
+    const result = await phasing.applyPhasing(plan, exec.id);
+    assert.equal(result.saved, 5);
+    assert.equal(result.unchanged, 1);
+
+    const { rows: targets } = await h.db.query(
+      `SELECT rep_id, month, amount::FLOAT8 AS amount, set_by FROM revenue_targets WHERE rep_id = $1 ORDER BY month`, [sam.id]
+    );
+    assert.deepEqual(targets.map((t) => t.amount), [2000, 4000, 2000]);
+    assert.equal(targets[0].set_by, exec.id);
+
+    const { rows: audit } = await h.db.query(
+      `SELECT target_type, changed_by, old_value, new_value::FLOAT8 AS new_value FROM target_audit_log ORDER BY id`
+    );
+    assert.equal(audit.length, 5);
+    assert.ok(audit.every((a) => a.target_type === 'rep' && a.changed_by === exec.id && a.old_value === null));
+  });
+
+  it('previews brand targets with a reconciliation that counts the unsaved plan', async () => {
+    const saved = await call(exec, 'POST', '/api/targets/phasing', {
+      kind: 'rep', year: YEAR, quarter: 4, template: 'even', entries: [{ rep_id: sam.id, amount: 9000 }],
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.saved, 3);
+    assert.equal(saved.body.reconciliation.reconciled, false);   // no brand targets yet
+
+    const brands = await call(exec, 'GET', '/api/targets/brands');
+    assert.ok(brands.body.some((b) => b.slug === 'name-a-star' && b.name === 'Name a Star'));
+
+    const body = {
+      kind: 'brand', year: YEAR, quarter: 4, template: 'seasonal',
+      entries: [{ brand_slug: 'name-a-star', amount: 9000 }], company_total: 10000,
+    };
+    const preview = await call(exec, 'POST', '/api/targets/phasing/preview', body);
+    assert.equal(preview.status, 200);
+    const [brand] = preview.body.rows;
+    assert.equal(brand.name, 'Name a Star');
+    assert.equal(brand.shape, 'seasonal');
+    assert.deepEqual(brand.months.map((m) => m.amount), [2613, 2903, 3484]);
+
+    // Reps are even at 3000 a month, so the months differ but the quarter agrees
+    const r = preview.body.reconciliation;
+    assert.deepEqual(r.months.map((m) => m.difference), [387, 97, -484]);
+    assert.equal(r.totals.rep_vs_brand, 0);
+    assert.equal(r.totals.rep_vs_company, -1000);
+    assert.equal(r.reconciled, false);
+
+    // Nothing saved by the preview
+    const { rows } = await h.db.query('SELECT COUNT(*)::INT AS n FROM brand_targets');
+    assert.equal(rows[0].n, 0);
+
+    const even = await call(exec, 'POST', '/api/targets/phasing', { ...body, template: 'even', company_total: 9000 });
+    assert.equal(even.body.reconciliation.reconciled, true);
+    const check = await call(exec, 'GET', `/api/targets/reconcile?year=${YEAR}&quarter=4&company_total=9000`);
+    assert.equal(check.body.reconciled, true);
+    assert.equal(check.body.totals.brand_total, 9000);
+  });
+
+  it('keeps managers limited to a team to their own reps and out of brand targets', async () => {
+    await h.db.query(`INSERT INTO teams (name, states, manager_id) VALUES ('VIC', '{VIC}', $1)`, [nina.id]);
+    await h.db.query(`UPDATE users SET team_id = (SELECT id FROM teams) WHERE id = $1`, [priya.id]);
+
+    const entries = [{ rep_id: sam.id, amount: 1000 }];
+    const other = await call(nina, 'POST', '/api/targets/phasing/preview', { kind: 'rep', year: YEAR, entries });
+    assert.equal(other.status, 403);
+
+    const own = await call(nina, 'POST', '/api/targets/phasing/preview', {
+      kind: 'rep', year: YEAR, entries: [{ rep_id: priya.id, amount: 1000 }],
+    });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.reconciliation, null);
+
+    const notRep = await call(nina, 'POST', '/api/targets/phasing/preview', {
+      kind: 'rep', year: YEAR, entries: [{ rep_id: exec.id, amount: 1000 }],
+    });
+    assert.equal(notRep.status, 400);
+
+    const brand = await call(nina, 'POST', '/api/targets/phasing/preview', {
+      kind: 'brand', year: YEAR, entries: [{ brand_slug: 'name-a-star', amount: 1000 }],
+    });
+    assert.equal(brand.status, 403);
+    assert.equal((await call(nina, 'GET', `/api/targets/reconcile?year=${YEAR}`)).status, 403);
+  });
+});
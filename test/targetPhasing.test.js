@@ -0,0 +1,55 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { phaseAmount, periodMonths, parsePhasing, SEASONAL_WEIGHTS } = require('../src/services/targetPhasing');
+
+describe('phaseAmount', () => {
+  it('splits in proportion to the weights in whole dollars that add up exactly', () => {
+    assert.deepEqual(phaseAmount(1000, [1, 1, 2]), [250, 250, 500]);
+
+    const months = phaseAmount(100_000, SEASONAL_WEIGHTS);
+    assert.equal(months.reduce((s, v) => s + v, 0), 100_000);
+    assert.ok(months.every(Number.isInteger));
+    assert.ok(months[11] > months[9] && months[9] > months[0]);   // Q4 peak
+  });
+
+  it('gives rounding dollars to the largest remainders and splits evenly without weights', () => {
+    assert.deepEqual(phaseAmount(100, [1, 1, 1]), [34, 33, 33]);
+    assert.deepEqual(phaseAmount(10, [0, 0]), [5, 5]);
+    assert.deepEqual(phaseAmount(999.6, [1, 0, 0]), [1000, 0, 0]);
+  });
+});
+
+describe('periodMonths', () => {
+  it('covers the year or one calendar quarter', () => {
+    assert.equal(periodMonths(2026).length, 12);
+    assert.deepEqual(periodMonths(2026, 4), ['2026-10', '2026-11', '2026-12']);
+  });
+});
+
+describe('parsePhasing', () => {
+  it('defaults to last year\'s shape over the whole year', () => {
+    const { phasing, error } = parsePhasing({ kind: 'rep', year: '2026', entries: [{ rep_id: '7', amount: '120000' }] });
+    assert.equal(error, undefined);
+    assert.equal(phasing.template, 'prior_year');
+    assert.equal(phasing.quarter, null);
+    assert.equal(phasing.months.length, 12);
+    assert.deepEqual(phasing.entries, [{ id: 7, amount: 120000 }]);
+    assert.equal(phasing.companyTotal, null);
+  });
+
+  it('rejects bad input with a message for the form', () => {
+    const base = { kind: 'brand', year: 2026, entries: [{ brand_slug: 'name-a-star', amount: 5000 }] };
+    assert.equal(parsePhasing({ ...base, quarter: 2 }).phasing.months[0], '2026-04');
+    assert.match(parsePhasing({ ...base, kind: 'team' }).error, /kind/);
+    assert.match(parsePhasing({ ...base, quarter: 5 }).error, /quarter/);
+    assert.match(parsePhasing({ ...base, template: 'last_year' }).error, /template/);
+    assert.match(parsePhasing({ ...base, entries: [] }).error, /at least one/);
+    assert.match(parsePhasing({ ...base, entries: [{ brand_slug: 'Name A Star', amount: 1 }] }).error, /brand_slug/);
+    assert.match(parsePhasing({ ...base, entries: [...base.entries, ...base.entries] }).error, /twice/);
+    assert.match(parsePhasing({ ...base, entries: [{ brand_slug: 'x', amount: -1 }] }).error, /non-negative/);
+    assert.match(parsePhasing({ ...base, company_total: 'lots' }).error, /company_total/);
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertUser, insertStore } = require('./helpers/factories');
+
+describe('team scope', { skip: skipWithoutDb }, () => {
+  let h, teamScope, server, base, session, exec, nina, omar, sam, priya, lee;
+
+  before(async () => {
+    h = await startHarness();
+    teamScope = require('../src/services/teamScope');
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.session = { ...session };
+      next();
+    });
+    app.use('/api/alerts', require('../src/routes/alerts'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    exec  = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    nina  = await insertUser(h.db, { name: 'Nina Manager', role: 'manager' });
+    omar  = await insertUser(h.db, { name: 'Omar Manager', role: 'manager' });
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    priya = await insertUser(h.db, { name: 'Priya Nair' });
+    lee   = await insertUser(h.db, { name: 'Lee Wong' });
+  });
+
+  async function insertTeam(name, states, manager, members) {
+    const { rows: [team] } = await h.db.query(
+      `INSERT INTO teams (name, states, manager_id) VALUES ($1, $2, $3) RETURNING *`,
+      [name, states, manager?.id ?? null]
+    );
+    await h.db.query(`UPDATE users SET team_id = $1 WHERE id = ANY($2::INTEGER[])`, [team.id, members.map((m) => m.id)]);
+    return team;
+  }
+
+  const scopeOf = (user) => teamScope.resolveScope({ userId: user.id, role: user.role });
+
+  async function call(as, method, path, body) {
+    session = { userId: as.id, role: as.role };
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('keeps every manager company-wide until the first team exists', async () => {
+    assert.deepEqual(await scopeOf(nina), { all: true });
+    assert.deepEqual(await scopeOf(exec), { all: true });
+    assert.deepEqual(await scopeOf(sam), { all: false, teamIds: [], repIds: [sam.id], states: [] });
+  });
+
+  it('limits a manager to their teams’ reps and states; executives still see everything', async () => {
+    const nsw = await insertTeam('NSW / ACT', ['NSW', 'ACT'], nina, [sam, priya]);
+    await insertTeam('VIC', ['VIC'], omar, [lee]);
+
+    const scope = await scopeOf(nina);
+    assert.equal(scope.all, false);
+    assert.deepEqual(scope.teamIds, [nsw.id]);
+    assert.deepEqual([...scope.repIds].sort(), [nina.id, sam.id, priya.id].sort());
+    assert.deepEqual([...scope.states].sort(), ['ACT', 'NSW']);
+
+    assert.ok(teamScope.repInScope(scope, sam.id));
+    assert.ok(teamScope.repInScope(scope, String(priya.id)));
+    assert.ok(!teamScope.repInScope(scope, lee.id));
+
+    assert.deepEqual(await scopeOf(exec), { all: true });
+  });
+
+  it('gives a manager without a team only themselves once teams exist', async () => {
+    await insertTeam('VIC', ['VIC'], omar, [lee]);
+    assert.deepEqual(await scopeOf(nina), { all: false, teamIds: [], repIds: [nina.id], states: [] });
+  });
+
+  it('matches stores by rep, and unassigned stores by state, in SQL and in JS alike', async () => {
+    await insertTeam('NSW / ACT', ['NSW', 'ACT'], nina, [sam]);
+    await insertTeam('VIC', ['VIC'], omar, [lee]);
+
+    const stores = [
+      await insertStore(h.db, { zoho_contact_id: 'C1', rep_id: sam.id, state: 'VIC' }),  // member's store, any state
+      await insertStore(h.db, { zoho_contact_id: 'C2', rep_id: null,   state: 'nsw' }),  // unassigned, team state
+      await insertStore(h.db, { zoho_contact_id: 'C3', rep_id: lee.id, state: 'NSW' }),  // other team's rep
+      await insertStore(h.db, { zoho_contact_id: 'C4', rep_id: null,   state: 'VIC' }),  // unassigned, other state
+      await insertStore(h.db, { zoho_contact_id: 'C5', rep_id: null,   state: null }),
+    ];
+
+    const scope = await scopeOf(nina);
+    const params = [];
+    const where = teamScope.storeScopeSql(scope, 's', params);
+    const { rows } = await h.db.query(`SELECT s.zoho_contact_id FROM stores s WHERE ${where} ORDER BY 1`, params);
+    assert.deepEqual(rows.map((r) => r.zoho_contact_id), ['C1', 'C2']);
+    assert.deepEqual(stores.filter((s) => teamScope.storeInScope(scope, s)).map((s) => s.zoho_contact_id), ['C1', 'C2']);
+
+    const all = [];
+    assert.equal(teamScope.storeScopeSql(await scopeOf(exec), 's', all), 'TRUE');
+    assert.deepEqual(all, []);
+  });
+
+  it('filters rep lists with repScopeSql', async () => {
+    await insertTeam('NSW / ACT', ['NSW'], nina, [sam, priya]);
+    await insertTeam('VIC', ['VIC'], omar, [lee]);
+
+    const params = [];
+    const where = teamScope.repScopeSql(await scopeOf(omar), 'id', params);
+    const { rows } = await h.db.query(`SELECT name FROM users WHERE role = 'rep' AND ${where}`, params);
+    assert.deepEqual(rows.map((r) => r.name), ['Lee Wong']);
+  });
+
+  it('lets alerts be handed only to people in the team', async () => {
+    await insertTeam('NSW / ACT', ['NSW'], nina, [sam, priya]);
+    await insertTeam('VIC', ['VIC'], omar, [lee]);
+    const store = await insertStore(h.db, { zoho_contact_id: 'N1', rep_id: sam.id });
+    const { rows: [alert] } = await h.db.query(`
+      INSERT INTO alert_log (alert_type, store_id, rep_id, tier, alert_title)
+      VALUES ('churn_risk', $1, $2, 1, 'Corner Store lapsing') RETURNING id
+    `, [store.id, sam.id]);
+
+    const names = async (user) => (await call(user, 'GET', '/api/alerts/assignees')).body.map((u) => u.name);
+    assert.deepEqual(await names(sam), ['Nina Manager', 'Sam Carter']);
+    assert.deepEqual(await names(nina), ['Nina Manager', 'Priya Nair', 'Sam Carter']);
+    assert.equal((await names(exec)).length, 6);
+
+    const assign = (as, to) => call(as, 'POST', `/api/alerts/${alert.id}/assign`, { user_id: to.id });
+    assert.equal((await assign(sam, lee)).status, 403);
+    assert.equal((await assign(sam, priya)).status, 403);
+    assert.equal((await assign(nina, omar)).status, 403);
+    assert.equal((await assign(sam, nina)).status, 200);
+    assert.equal((await assign(nina, priya)).status, 200);
+    const { rows: [after] } = await h.db.query('SELECT assigned_to FROM alert_log WHERE id = $1', [alert.id]);
+    assert.equal(after.assigned_to, priya.id);
+  });
+});
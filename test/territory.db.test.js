@@ -0,0 +1,187 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { invoice, insertUser, insertStore } = require('./helpers/factories');
+
+describe('territory transfers', { skip: skipWithoutDb }, () => {
+  let h, territory, sam, priya;
+
+  before(async () => {
+    h = await startHarness();
+    territory = require('../src/services/territory');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    priya = await insertUser(h.db, { name: 'Priya Nair' });
+  });
+
+  async function history(storeId) {
+    const rows = await territory.fetchStoreAssignments(storeId);
+    return rows.reverse().map((a) => [a.rep_id, a.effective_from, a.effective_to, a.source]);
+  }
+
+  const ALL = { all: true };
+
+  it('credits each invoice to the rep who owned the store on its date', async () => {
+    const store = await insertStore(h.db, { zoho_contact_id: 'T1', rep_id: sam.id });
+    await insertStore(h.db, { zoho_contact_id: 'T2', rep_id: sam.id });
+
+    assert.equal(
+      await territory.recordAssignment(h.db, {
+        storeId: store.id, repId: priya.id, previousRepId: sam.id, effectiveFrom: '2025-04-01', source: 'transfer',
+      }),
+      true
+    );
+    assert.deepEqual(await history(store.id), [
+      [sam.id,   null,         '2025-04-01', 'backfill'],
+      [priya.id, '2025-04-01', null,         'transfer'],
+    ]);
+
+    // A correction dated before the current period's start replaces it
+    await territory.recordAssignment(h.db, { storeId: store.id, repId: sam.id, effectiveFrom: '2025-03-01', source: 'transfer' });
+    await territory.recordAssignment(h.db, { storeId: store.id, repId: priya.id, effectiveFrom: '2025-04-01', source: 'transfer' });
+    assert.equal(
+      await territory.recordAssignment(h.db, { storeId: store.id, repId: priya.id, effectiveFrom: '2025-05-01', source: 'transfer' }),
+      false
+    );
+    assert.deepEqual(await history(store.id), [
+      [sam.id,   null,         '2025-04-01', 'backfill'],
+      [priya.id, '2025-04-01', null,         'transfer'],
+    ]);
+
+    const ownership = await territory.loadOwnership();
+    assert.equal(ownership.ownerOn('T1', '2025-03-31'), sam.id);
+    assert.equal(ownership.ownerOn('T1', '2025-04-01'), priya.id);
+    assert.equal(ownership.ownerOn('T2', '2025-04-01'), sam.id);   // no history rows: current rep throughout
+    assert.equal(ownership.ownerOn('X9', '2025-04-01'), undefined);
+
+    const invoices = [
+      invoice({ customer_id: 'T1', date: '2025-03-20' }),
+      invoice({ customer_id: 'T1', date: '2025-04-20' }),
+      invoice({ customer_id: 'X9', date: '2025-04-20', salesperson_name: 'Priya Nair' }),
+    ];
+    const dates = (list) => list.map((i) => `${i.customer_id} ${i.date}`);
+    assert.deepEqual(dates(territory.invoicesForRep(invoices, ownership, sam.id, ['Sam Carter'])), ['T1 2025-03-20']);
+    assert.deepEqual(
+      dates(territory.invoicesForRep(invoices, ownership, priya.id, ['Priya Nair'])),
+      ['T1 2025-04-20', 'X9 2025-04-20']
+    );
+  });
+
+  it('previews by state and postcode range, then moves only the stores marked to move', async () => {
+    const inRange  = await insertStore(h.db, { zoho_contact_id: 'P1', rep_id: sam.id,   state: 'NSW', postcode: '2042' });
+    const excluded = await insertStore(h.db, { zoho_contact_id: 'P2', rep_id: sam.id,   state: 'NSW', postcode: '2099' });
+    const already  = await insertStore(h.db, { zoho_contact_id: 'P3', rep_id: priya.id, state: 'NSW', postcode: '2050' });
+    const movedOn  = await insertStore(h.db, { zoho_contact_id: 'P4', rep_id: sam.id,   state: 'NSW', postcode: '2060' });
+    await insertStore(h.db, { zoho_contact_id: 'P5', rep_id: sam.id, state: 'NSW', postcode: '2500' });  // outside range
+    await insertStore(h.db, { zoho_contact_id: 'P6', rep_id: sam.id, state: 'VIC', postcode: '2042' });  // other state
+    await insertStore(h.db, { zoho_contact_id: 'P7', rep_id: sam.id, state: 'NSW', postcode: '2043', active: false });
+    await territory.recordAssignment(h.db, {
+      storeId: movedOn.id, repId: sam.id, previousRepId: priya.id, effectiveFrom: '2025-06-01', source: 'zoho_sync',
+    });
+
+    const { transfer, error } = territory.parseTransfer({
+      to_rep_id: priya.id, states: ['nsw'], postcodes: ['2000-2099'], effective_from: '2025-05-01',
+      exclude_store_ids: [excluded.id], note: '  Sydney metro to Priya ',
+    });
+    assert.equal(error, undefined);
+    assert.deepEqual(transfer.criteria, { states: ['NSW'], postcodes: ['2000-2099'], channel_types: [], from_rep_id: null });
+    assert.equal(transfer.note, 'Sydney metro to Priya');
+
+    const preview = await territory.previewTransfer(transfer, ALL);
+    assert.deepEqual(
+      Object.fromEntries(preview.stores.map((s) => [s.id, s.action])),
+      { [inRange.id]: 'move', [excluded.id]: 'excluded', [already.id]: 'unchanged', [movedOn.id]: 'conflict' }
+    );
+    assert.deepEqual(preview.counts, { move: 1, unchanged: 1, conflict: 1, excluded: 1 });
+
+    const row = await territory.applyTransfer(transfer, ALL, sam.id);
+    assert.equal(row.store_count, 1);
+    assert.equal(row.zoho_writeback, 'off');
+
+    const { rows } = await h.db.query(`SELECT id, rep_id FROM stores WHERE id = ANY($1::INTEGER[]) ORDER BY id`,
+      [[inRange.id, excluded.id, movedOn.id]]);
+    assert.deepEqual(rows.map((r) => r.rep_id), [priya.id, sam.id, sam.id]);
+    assert.deepEqual(await history(inRange.id), [
+      [sam.id,   null,         '2025-05-01', 'backfill'],
+      [priya.id, '2025-05-01', null,         'transfer'],
+    ]);
+
+    const [listed] = await territory.fetchTransfers();
+    assert.equal(listed.to_rep_name, 'Priya Nair');
+    assert.equal(listed.note, 'Sydney metro to Priya');
+  });
+
+  it('rejects transfers without a filter, with a bad postcode or dated in the future', () => {
+    assert.match(territory.parseTransfer({ to_rep_id: priya.id }).error, /at least one/);
+    assert.match(territory.parseTransfer({ to_rep_id: priya.id, postcodes: ['2099-2000'] }).error, /postcode/);
+    assert.match(territory.parseTransfer({ to_rep_id: priya.id, states: ['NSW'], effective_from: '2999-01-01' }).error, /future/);
+    assert.match(territory.parseTransfer({ states: ['NSW'] }).error, /to_rep_id/);
+  });
+
+  it('keeps only stores in a manager’s scope in the preview', async () => {
+    await insertStore(h.db, { zoho_contact_id: 'S1', rep_id: sam.id,   state: 'NSW' });
+    await insertStore(h.db, { zoho_contact_id: 'S2', rep_id: priya.id, state: 'NSW' });
+    const { transfer } = territory.parseTransfer({ to_rep_id: sam.id, states: ['NSW'] });
+
+    const scope = { all: false, teamIds: [], repIds: [sam.id], states: [] };
+    const { stores } = await territory.previewTransfer(transfer, scope);
+    assert.deepEqual(stores.map((s) => s.rep_id), [sam.id]);
+  });
+
+  it('keeps a local transfer through store sync until Zoho’s own rep changes', async () => {
+    const sync = require('../src/services/sync');
+    const contact = h.mock.state.contacts.find((c) => c.billing_address?.state === 'VIC');
+    const repField = () => contact.custom_fields.find((f) => f.api_name === 'cf_sales_rep');
+    repField().value = 'Sam Carter';
+
+    await sync.syncStores({ force: true });
+    const { rows: [store] } = await h.db.query(`SELECT id, rep_id FROM stores WHERE zoho_contact_id = $1`, [contact.contact_id]);
+    assert.equal(store.rep_id, sam.id);
+
+    const { transfer } = territory.parseTransfer({ to_rep_id: priya.id, states: ['VIC'], effective_from: '2025-01-01' });
+    await territory.applyTransfer(transfer, ALL, null);
+
+    await sync.syncStores({ force: true });
+    const repOf = async () => (await h.db.query(`SELECT rep_id FROM stores WHERE id = $1`, [store.id])).rows[0].rep_id;
+    assert.equal(await repOf(), priya.id);
+
+    const lee = await insertUser(h.db, { name: 'Lee Wong' });
+    repField().value = 'Lee Wong';
+    await sync.syncStores({ force: true });
+    assert.equal(await repOf(), lee.id);
+
+    const periods = await history(store.id);
+    assert.deepEqual(periods.map((p) => [p[0], p[3]]), [[sam.id, 'zoho_sync'], [priya.id, 'transfer'], [lee.id, 'zoho_sync']]);
+    assert.equal(periods[1][2], periods[2][1]);
+    assert.equal(periods[2][2], null);
+  });
+
+  it('writes the new rep back to Zoho and records the outcome', async () => {
+    const [c1, c2] = h.mock.state.contacts.filter((c) => c.billing_address?.state === 'NSW');
+    const ok      = await insertStore(h.db, { zoho_contact_id: c1.contact_id, rep_id: sam.id, state: 'NSW' });
+    const missing = await insertStore(h.db, { zoho_contact_id: 'NOT-IN-ZOHO', rep_id: sam.id, state: 'NSW' });
+    await insertStore(h.db, { zoho_contact_id: c2.contact_id, rep_id: priya.id, state: 'NSW' });
+
+    const { transfer } = territory.parseTransfer({ to_rep_id: priya.id, states: ['NSW'], write_back: true });
+    const row = await territory.applyTransfer(transfer, ALL, sam.id);
+    assert.equal(row.zoho_writeback, 'pending');
+
+    assert.equal(await territory.writeTransferToZoho(row.id), 'partial');
+    assert.equal(c1.custom_fields.find((f) => f.api_name === 'cf_sales_rep').value, 'Priya Nair');
+
+    const { rows: [saved] } = await h.db.query(`SELECT zoho_writeback, zoho_errors FROM territory_transfers WHERE id = $1`, [row.id]);
+    assert.equal(saved.zoho_writeback, 'partial');
+    assert.deepEqual(saved.zoho_errors.map((e) => e.store_id), [missing.id]);
+
+    const { rows } = await h.db.query(`SELECT id, zoho_rep_id FROM stores WHERE id = ANY($1::INTEGER[]) ORDER BY id`, [[ok.id, missing.id]]);
+    assert.deepEqual(rows.map((r) => r.zoho_rep_id), [priya.id, null]);
+  });
+});
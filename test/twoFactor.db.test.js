@@ -0,0 +1,259 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+const bcrypt = require('bcryptjs');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertUser } = require('./helpers/factories');
+
+const PASSWORD = 'Kettle-42-Lamp';
+
+describe('two-factor sign-in and sessions', { skip: skipWithoutDb }, () => {
+  let h, server, base, auth, totpCode, exec, nina, sam;
+
+  before(async () => {
+    h = await startHarness();
+    ({ totpCode } = require('../src/services/twoFactor'));
+    auth = require('../src/routes/auth');
+    const PgSession = require('connect-pg-simple')(session);
+
+    const app = express();
+    app.use(express.json());
+    app.use(session({
+      store: new PgSession({ pool: h.db.pool, tableName: 'session', pruneSessionInterval: false }),
+      secret: 'test',
+      resave: false,
+      saveUninitialized: false,
+      cookie: { maxAge: 30 * 24 * 60 * 60 * 1000 },
+    }));
+    app.use('/auth', auth);
+    app.use('/api/users', require('../src/routes/users'));
+    app.use('/api/sessions', require('../src/routes/sessions'));
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await h?.stop();
+  });
+  beforeEach(async () => {
+    await h.reset();
+    Object.values(auth.limiters).forEach((limiter) => limiter.reset());
+    exec = await insertUser(h.db, { name: 'Erin Exec', role: 'executive' });
+    nina = await insertUser(h.db, { name: 'Nina Manager', role: 'manager' });
+    sam  = await insertUser(h.db, { name: 'Sam Carter' });
+    await h.db.query('UPDATE users SET password_hash = $1', [await bcrypt.hash(PASSWORD, 4)]);
+  });
+
+  /** A browser: keeps its cookies between calls. */
+  function browser(userAgent = 'Mozilla/5.0 (iPhone) Safari/604.1') {
+    const jar = new Map();
+    return async (method, urlPath, body) => {
+      const res = await fetch(base + urlPath, {
+        method,
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': userAgent,
+          cookie: [...jar].map(([k, v]) => `${k}=${v}`).join('; '),
+        },
+        body: body && JSON.stringify(body),
+      });
+      for (const set of res.headers.getSetCookie()) {
+        const [pair] = set.split(';');
+        const i = pair.indexOf('=');
+        jar.set(pair.slice(0, i), pair.slice(i + 1));
+      }
+      return { status: res.status, body: await res.json() };
+    };
+  }
+
+  const login = (call, user) => call('POST', '/auth/login', { email: user.email, password: PASSWORD });
+  const step = () => Math.floor(Date.now() / 30_000);
+
+  /** Sign in for the first time and set up an authenticator. */
+  async function enrol(call, user, { remember = false } = {}) {
+    assert.deepEqual((await login(call, user)).body, { two_factor: 'setup' });
+    const { body: { secret } } = await call('POST', '/auth/2fa/setup');
+    const s = step();
+    const { status, body } = await call('POST', '/auth/2fa/enable', { code: totpCode(secret, s), remember_device: remember });
+    assert.equal(status, 200);
+    return { secret, step: s, recoveryCodes: body.recovery_codes };
+  }
+
+  it('makes a manager set up an authenticator at sign-in and shows recovery codes once', async () => {
+    const call = browser();
+    assert.deepEqual((await login(call, nina)).body, { two_factor: 'setup' });
+    assert.equal((await call('GET', '/auth/me')).status, 401);
+
+    const setup = await call('POST', '/auth/2fa/setup');
+    assert.match(setup.body.secret, /^[A-Z2-7]{32}$/);
+    assert.ok(setup.body.otpauth_url.includes(`secret=${setup.body.secret}`));
+    assert.match(setup.body.qr_svg, /^<svg /);
+
+    assert.equal((await call('POST', '/auth/2fa/enable', { code: '000000' })).status, 400);
+    const enabled = await call('POST', '/auth/2fa/enable', { code: totpCode(setup.body.secret, step()) });
+    assert.equal(enabled.body.id, nina.id);
+    assert.equal(enabled.body.recovery_codes.length, 10);
+    assert.match(enabled.body.recovery_codes[0], /^[a-z2-7]{4}-[a-z2-7]{4}$/);
+
+    assert.equal((await call('GET', '/auth/me')).body.id, nina.id);
+    const status = await call('GET', '/auth/2fa');
+    assert.equal(status.body.enabled, true);
+    assert.equal(status.body.recovery_codes_left, 10);
+    assert.equal((await call('POST', '/auth/2fa/setup')).status, 409);
+
+    const { rows: [stored] } = await h.db.query('SELECT code_hash FROM two_factor_recovery_codes LIMIT 1');
+    assert.ok(!enabled.body.recovery_codes.includes(stored.code_hash.trim()));
+  });
+
+  it('asks for a code at every sign-in, refuses replays and restarts after five wrong codes', async () => {
+    const call = browser();
+    const { secret, step: used } = await enrol(call, nina);
+    await call('POST', '/auth/logout');
+
+    assert.deepEqual((await login(call, nina)).body, { two_factor: 'verify' });
+    assert.equal((await call('POST', '/auth/2fa/setup')).status, 401);
+    const replay = await call('POST', '/auth/2fa/verify', { code: totpCode(secret, used) });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.restart, undefined);
+    const ok = await call('POST', '/auth/2fa/verify', { code: totpCode(secret, used + 1) });
+    assert.equal(ok.body.id, nina.id);
+    await call('POST', '/auth/logout');
+
+    await login(call, nina);
+    for (let i = 0; i < 4; i++) await call('POST', '/auth/2fa/verify', { code: '000000' });
+    const fifth = await call('POST', '/auth/2fa/verify', { code: '000000' });
+    assert.equal(fifth.body.restart, true);
+    assert.equal((await call('POST', '/auth/2fa/verify', { code: totpCode(secret, step()) })).body.restart, true);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const call = browser();
+    const { recoveryCodes } = await enrol(call, nina);
+    await call('POST', '/auth/logout');
+
+    await login(call, nina);
+    const used = await call('POST', '/auth/2fa/verify', { code: recoveryCodes[3].toUpperCase() });
+    assert.equal(used.body.id, nina.id);
+    assert.equal(used.body.recovery_codes_left, 9);
+    await call('POST', '/auth/logout');
+
+    await login(call, nina);
+    assert.equal((await call('POST', '/auth/2fa/verify', { code: recoveryCodes[3] })).status, 401);
+  });
+
+  it('skips the code on a remembered device until the user forgets it', async () => {
+    const phone = browser();
+    await enrol(phone, nina, { remember: true });
+    await phone('POST', '/auth/logout');
+
+    assert.equal((await login(phone, nina)).body.id, nina.id);
+    assert.deepEqual((await login(browser(), nina)).body, { two_factor: 'verify' });
+
+    assert.equal((await phone('POST', '/auth/2fa/forget-devices')).body.forgotten, 1);
+    await phone('POST', '/auth/logout');
+    assert.deepEqual((await login(phone, nina)).body, { two_factor: 'verify' });
+  });
+
+  it('goes on to setup after a manager\'s first-login password', async () => {
+    await h.db.query('UPDATE users SET password_hash = NULL WHERE id = $1', [nina.id]);
+    const call = browser();
+    assert.equal((await login(call, nina)).body.first_login, true);
+    const set = await call('POST', '/auth/change-password', { password: 'Orange#Lamp-77' });
+    assert.deepEqual(set.body, { two_factor: 'setup' });
+    assert.equal((await call('GET', '/auth/me')).status, 401);
+    assert.equal((await call('POST', '/auth/2fa/setup')).status, 200);
+  });
+
+  it('leaves reps with just a password', async () => {
+    const call = browser();
+    const res = await login(call, sam);
+    assert.equal(res.body.id, sam.id);
+    assert.equal((await call('GET', '/auth/2fa')).body.required, false);
+  });
+
+  it('lets executives list sessions and sign them out', async () => {
+    const execPhone = browser();
+    await enrol(execPhone, exec);
+    const ninaLaptop = browser('Mozilla/5.0 (Windows NT 10.0) Chrome/126.0');
+    await enrol(ninaLaptop, nina);
+    const samPhone = browser();
+    await login(samPhone, sam);
+
+    assert.equal((await ninaLaptop('GET', '/api/sessions')).status, 403);
+
+    const { body: sessions } = await execPhone('GET', '/api/sessions');
+    assert.deepEqual(sessions.map((s) => s.user_name).sort(), ['Erin Exec', 'Nina Manager', 'Sam Carter']);
+    const mine = sessions.find((s) => s.user_id === exec.id);
+    const sams = sessions.find((s) => s.user_id === sam.id);
+    assert.equal(mine.current, true);
+    assert.equal(sams.current, false);
+    assert.equal(sams.two_factor, 'none');
+    assert.equal(sessions.find((s) => s.user_id === nina.id).user_agent, 'Mozilla/5.0 (Windows NT 10.0) Chrome/126.0');
+    assert.match(sams.id, /^[0-9a-f]{64}$/);
+    assert.ok(new Date(sams.last_active_at) <= new Date());
+
+    assert.equal((await execPhone('DELETE', `/api/sessions/${sams.id}`)).body.user_id, sam.id);
+    assert.equal((await samPhone('GET', '/auth/me')).status, 401);
+    assert.equal((await execPhone('DELETE', `/api/sessions/${sams.id}`)).status, 404);
+    assert.equal((await execPhone('DELETE', '/api/sessions/not-a-session')).status, 400);
+    assert.equal((await execPhone('GET', `/api/sessions?user_id=${nina.id}`)).body.length, 1);
+  });
+
+  it('lets an executive reset a lost authenticator, signing the user out everywhere', async () => {
+    const execPhone = browser();
+    await enrol(execPhone, exec);
+    const ninaLaptop = browser();
+    await enrol(ninaLaptop, nina, { remember: true });
+
+    assert.equal((await ninaLaptop('POST', `/api/users/${exec.id}/reset-2fa`)).status, 403);
+    const reset = await execPhone('POST', `/api/users/${nina.id}/reset-2fa`);
+    assert.equal(reset.body.sessions_revoked, 1);
+
+    assert.equal((await ninaLaptop('GET', '/auth/me')).status, 401);
+    assert.deepEqual((await login(ninaLaptop, nina)).body, { two_factor: 'setup' });
+    assert.equal((await execPhone('GET', '/api/users')).body.find((u) => u.id === nina.id).two_factor_enabled, false);
+  });
+
+  it('signs the user out everywhere when they reset their password by link', async () => {
+    const stolen = browser('Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0');
+    await login(stolen, sam);
+    const execPhone = browser();
+    await enrol(execPhone, exec);
+    assert.equal((await stolen('GET', '/auth/me')).status, 200);
+
+    const { hashToken } = require('../src/services/passwordReset');
+    await h.db.query(`
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+      VALUES ($1, $2, NOW() + INTERVAL '1 hour')
+    `, [sam.id, hashToken('reset-me')]);
+    const owner = browser();
+    const reset = await owner('POST', '/auth/reset-password', { token: 'reset-me', password: 'Orange#Lamp-77' });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await stolen('GET', '/auth/me')).status, 401);
+    const { rows } = await h.db.query(`SELECT sess->>'userId' AS user_id FROM "session"`);
+    assert.deepEqual(rows.map((r) => Number(r.user_id)), [exec.id]);
+  });
+
+  it('signs out manager sessions from before two-factor when migrating', async () => {
+    const expire = new Date(Date.now() + 86_400_000);
+    const old = (sid, sess) => h.db.query('INSERT INTO "session" (sid, sess, expire) VALUES ($1, $2, $3)', [sid, sess, expire]);
+    await old('old-manager', { userId: nina.id, role: 'manager' });
+    await old('old-rep', { userId: sam.id, role: 'rep' });
+    await old('new-manager', { userId: nina.id, role: 'manager', mfa: 'totp' });
+
+    await h.db.query(fs.readFileSync(path.join(__dirname, '../db/migrations/027_two_factor.sql'), 'utf8'));
+    const { rows } = await h.db.query('SELECT sid FROM "session" ORDER BY sid');
+    assert.deepEqual(rows.map((r) => r.sid), ['new-manager', 'old-rep']);
+  });
+});
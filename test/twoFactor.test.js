@@ -0,0 +1,151 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecret, totpCode, verifyTotp, otpauthUrl, requiresTwoFactor } = require('../src/services/twoFactor');
+const { qrMatrix, qrSvg } = require('../src/services/qrCode');
+
+// RFC 6238 appendix B seed ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+    assert.equal(totpCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(totpCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(totpCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+    assert.equal(totpCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  it('accepts one step of clock drift either way, and never a used step again', () => {
+    const now = 1_700_000_000_000;
+    const step = Math.floor(now / 30_000);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step), { now }), step);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), { now }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 2), { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step), { now, lastStep: step }), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+  });
+
+  it('generates 160-bit base32 secrets and an otpauth URI for them', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(generateSecret(), secret);
+    assert.equal(
+      otpauthUrl(secret, 'nina@artico.com.au'),
+      `otpauth://totp/Artico%20Sales%3Anina%40artico.com.au?secret=${secret}&issuer=Artico%20Sales&digits=6&period=30`
+    );
+  });
+
+  it('is required for managers, executives and anyone who has enrolled', () => {
+    assert.equal(requiresTwoFactor({ role: 'manager' }), true);
+    assert.equal(requiresTwoFactor({ role: 'executive' }), true);
+    assert.equal(requiresTwoFactor({ role: 'rep' }), false);
+    assert.equal(requiresTwoFactor({ role: 'rep', totp_enabled_at: new Date() }), true);
+  });
+});
+
+// Reference matrices from the `qrcode` npm package (v1.5.4), byte mode, level M,
+// its own mask choice; '#' is dark. A wrong data, Reed–Solomon, format, version
+// or mask bit anywhere makes these differ.
+const HELLO_WORLD_QR = [   // 11 bytes → version 1, mask 4
+  '#######.##..#.#######',
+  '#.....#....#..#.....#',
+  '#.###.#..#.#..#.###.#',
+  '#.###.#.#..#..#.###.#',
+  '#.###.#.###.#.#.###.#',
+  '#.....#.#..#..#.....#',
+  '#######.#.#.#.#######',
+  '........#..##........',
+  '#...#.######.#####..#',
+  '...#....#.###....####',
+  '..######..##.##.#..#.',
+  '#####...##...#.......',
+  '#####.#.#.#.#.##..##.',
+  '........#.#.####.#.##',
+  '#######.###.#.#.##.#.',
+  '#.....#..#.###.##..##',
+  '#.###.#.##.#.##...##.',
+  '#.###.#..#..#...##.##',
+  '#.###.#..###...###...',
+  '#.....#....#.#.......',
+  '#######.#########.#.#',
+];
+const OTPAUTH_QR = [       // 141 bytes → version 8 (4 blocks, version info), mask 2
+  '#######..#..#..#.#.##..#########.#.###..#.#######',
+  '#.....#..###..##..##.##.#...#...#.##.####.#.....#',
+  '#.###.#.##..##.###.##...##..###..#.##..##.#.###.#',
+  '#.###.#.#..#.###.#.....#.#...###...###.#..#.###.#',
+  '#.###.#.#.##..###..########.#.##.....#....#.###.#',
+  '#.....#.#..##..####.#.#...##.#....#.###...#.....#',
+  '#######.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#######',
+  '........######....#####...#######.#.....#........',
+  '#.#####..#####.#.##.#.#####..###.##.##.##.#####..',
+  '.####...#...#......#..#..#.##.##...#.#...##......',
+  '##.####.##....#..####..#.###.#...###.###...##.###',
+  '##.###..##..#..........#.#.###..#...##...##....##',
+  '..##..###.#.###....#.#..##...#...#####.#..##....#',
+  '#..#...#..#.##.##....#...#.#.####..#.#...###.#.#.',
+  '.###..##.#..##.....#....###.#.####.#.#..#....####',
+  '..##...##..##.....#..#..#..#.#..#..#..#...####.#.',
+  '.###.##.#..#.####.#.#..#####.#.#.##.##.##..#..##.',
+  '.##......##..#....##..##.#.#.##.##.#.#....##...#.',
+  '##.#####..#....###.#.#######.....##.#.##...#.#..#',
+  '#....#.###.#..#.#.#.#...#...#.##.#..##.#.#.##..##',
+  '.#..#.#..#.#.####....#####.....#.####..###.#..###',
+  '###.....##.####...##.###......#......#.#.###..#.#',
+  '.##.#######..####.#.#.########.#..##..#.#########',
+  '#####...##.###....#####...#.##..##......#...#....',
+  '.####.#.#.###..#..#.###.#.#..#.#..###.#.#.#.#####',
+  '#####...####...#.#....#...#.###.#..#.#..#...###..',
+  '#.#.#####......##..#.#######.#.####.#########..##',
+  '##..#..#..####..###..#..##.##...#.....#.#.##.#.##',
+  '#..####...#.#######..#.##......#..#.#.##.##.#.##.',
+  '.#.....#..###.#....####.###..####...##..####.#...',
+  '.#...##...####...#..#.###..#.##.....#..#.###.#.##',
+  '#..#.#..##.##...#..##.#.#.#.#####..#.#.###.....##',
+  '#.##.##.##.##....##.#.##.#.#..##.########..#...#.',
+  '##..##...##.#.#.####...##...#.##....##.#..##.#...',
+  '.####.#.##.##.##..#..####..#.#.#..###.###.#..#..#',
+  '####...#...###.##..#...######.##....###..#.#...#.',
+  '.##...#.#..#.#.##....#..##....##.#.#####.##.####.',
+  '###..#.#.#....###..#.#####.######..#.#.#####.#.##',
+  '.#...##...#...#...###.####...##..#######..###..##',
+  '.###.....##.#..#.#.#.#.#..###.#.#.#..#...#.#.....',
+  '###...##.#..######..#.#####..#....###..########.#',
+  '........#.###.####.#.##...#..###...###.##...##...',
+  '#######....###..#...###.#.#....####...#.#.#.#.###',
+  '#.....#.####.#..#.#####...###.#.####.#.##...#....',
+  '#.###.#.#.####.#.###..#####..###...##...#####..#.',
+  '#.###.#.##.##.###....#.#.##.#.##.#..##.##..###..#',
+  '#.###.#.#.###...#..#.#..#.##....#.###..#...#..#..',
+  '#.....#..###....#.#..######.##..##.#..#.####....#',
+  '#######.#.#.#...#..##..##..#.###.#.###.#.##..####',
+];
+
+const asRows = (m) => m.map((row) => row.map((dark) => (dark ? '#' : '.')).join(''));
+
+describe('qrMatrix', () => {
+  it('picks the smallest version that fits and draws the finder patterns', () => {
+    assert.equal(qrMatrix('hi').length, 21);
+    const url = otpauthUrl(RFC_SECRET, 'nina.manager@artico.com.au');
+    const m = qrMatrix(url);
+    assert.equal(m.length, 4 * 8 + 17);   // 141 bytes → version 8 at level M
+    for (const [x, y] of [[0, 0], [m.length - 7, 0], [0, m.length - 7]]) {
+      assert.deepEqual(m[y + 3].slice(x, x + 7), [true, false, true, true, true, false, true]);
+      assert.equal(m[y + 1][x + 1], false);
+    }
+    assert.equal(m[m.length - 8][8], true);   // dark module
+  });
+
+  it('matches a known-good encoder module for module', () => {
+    assert.deepEqual(asRows(qrMatrix('HELLO WORLD')), HELLO_WORLD_QR);
+    assert.deepEqual(asRows(qrMatrix(otpauthUrl(RFC_SECRET, 'nina.manager@artico.com.au'))), OTPAUTH_QR);
+  });
+
+  it('renders SVG with a quiet zone and refuses text that won\'t fit', () => {
+    assert.match(qrSvg('hi'), /^<svg [^>]*viewBox="0 0 29 29"/);
+    assert.throws(() => qrMatrix('x'.repeat(300)), /too long/);
+  });
+});
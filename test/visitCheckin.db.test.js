@@ -0,0 +1,52 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { daysAgoTs, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('check-in verification rates', { skip: skipWithoutDb }, () => {
+  let h, checkin, sam, priya, store;
+
+  before(async () => {
+    h = await startHarness();
+    checkin = require('../src/services/visitCheckin');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    priya = await insertUser(h.db, { name: 'Priya Nair' });
+    store = await insertStore(h.db, { zoho_contact_id: 'C1', rep_id: sam.id });
+  });
+
+  async function checkedVisit(rep, days_ago, verified, flags = []) {
+    await h.db.query(`
+      INSERT INTO visits (rep_id, store_id, visited_at, checkin_verified, checkin_flags)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [rep.id, store.id, daysAgoTs(days_ago), verified, flags]);
+  }
+
+  it('rates in-app visits per rep inside the window, ignoring visits without check-in data', async () => {
+    await checkedVisit(sam, 1, true);
+    await checkedVisit(sam, 2, true, ['late']);
+    await checkedVisit(sam, 3, false, ['far']);
+    await checkedVisit(sam, 4, false, ['late', 'no_location']);
+    await checkedVisit(sam, 45, false, ['far']);              // outside 30 days
+    await insertVisit(h.db, { rep_id: sam.id, store_id: store.id, days_ago: 1 }); // imported / pre-check-in
+    await checkedVisit(priya, 5, true);
+
+    const rows = await checkin.fetchVerificationByRep({ days: 30 });
+    assert.deepEqual(rows, [
+      { rep_id: priya.id, rep_name: 'Priya Nair', visits: 1, verified: 1, far: 0, late: 0, no_location: 0, rate_pct: 100 },
+      { rep_id: sam.id,   rep_name: 'Sam Carter', visits: 4, verified: 2, far: 1, late: 2, no_location: 1, rate_pct: 50 },
+    ]);
+
+    const samOnly = await checkin.fetchVerificationByRep({ days: 60, repId: sam.id });
+    assert.equal(samOnly.length, 1);
+    assert.equal(samOnly[0].visits, 5);
+  });
+});
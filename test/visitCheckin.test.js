@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CHECKIN_COLUMNS, parseCheckinLocation, evaluateCheckin } = require('../src/services/visitCheckin');
+
+// Store pinned at Fitzroy; fixes are offset north (0.001° lat ≈ 111 m)
+const store     = { latitude: -37.7984, longitude: 144.9784, geocode_source: 'manual' };
+const visitedAt = new Date('2026-03-10T01:00:00Z');
+const at = (lat, extra = {}) => ({ latitude: store.latitude + lat, longitude: store.longitude, accuracy_m: 20, captured_at: visitedAt, ...extra });
+
+describe('parseCheckinLocation', () => {
+  it('accepts a missing location and normalises a fix', () => {
+    assert.deepEqual(parseCheckinLocation(undefined), { location: null });
+    const { location } = parseCheckinLocation({ latitude: '-37.8', longitude: 144.97, accuracy_m: 12.6, captured_at: '2026-03-10T01:00:00Z' });
+    assert.deepEqual(location, { latitude: -37.8, longitude: 144.97, accuracy_m: 13, captured_at: new Date('2026-03-10T01:00:00Z') });
+  });
+
+  it('rejects out-of-range coordinates and bad fields', () => {
+    assert.match(parseCheckinLocation({ latitude: 95, longitude: 0 }).error, /latitude and longitude/);
+    assert.match(parseCheckinLocation({ latitude: -37 }).error, /latitude and longitude/);
+    assert.match(parseCheckinLocation({ latitude: -37, longitude: 144, accuracy_m: -5 }).error, /accuracy_m/);
+    assert.match(parseCheckinLocation({ latitude: -37, longitude: 144, captured_at: 'yesterday' }).error, /captured_at/);
+    assert.match(parseCheckinLocation('here').error, /object/);
+  });
+});
+
+describe('evaluateCheckin', () => {
+  const evaluate = (location, opts = {}) =>
+    evaluateCheckin({ location, store, visitedAt, loggedAt: visitedAt, ...opts });
+
+  it('verifies a fix within the radius of a pinned store', () => {
+    const out = evaluate(at(0.002));   // ~222 m
+    assert.deepEqual(Object.keys(out).sort(), [...CHECKIN_COLUMNS].sort());
+    assert.equal(out.checkin_verified, true);
+    assert.deepEqual(out.checkin_flags, []);
+    assert.ok(Math.abs(out.checkin_distance_m - 222) <= 1);
+  });
+
+  it('flags a fix outside the radius, allowing for its accuracy', () => {
+    assert.deepEqual(evaluate(at(0.004)).checkin_flags, ['far']);                         // ~445 m
+    assert.equal(evaluate(at(0.004, { accuracy_m: 200 })).checkin_verified, true);       // 445 ≤ 300 + 200
+  });
+
+  it('uses a wider radius for postcode-centroid stores', () => {
+    const centroid = { ...store, geocode_source: 'postcode' };
+    assert.equal(evaluate(at(0.03), { store: centroid }).checkin_verified, true);       // ~3.3 km
+    assert.deepEqual(evaluate(at(0.06), { store: centroid }).checkin_flags, ['far']);   // ~6.7 km
+  });
+
+  it('leaves visits without a usable fix unverified', () => {
+    assert.deepEqual(evaluate(null).checkin_flags, ['no_location']);
+    assert.deepEqual(evaluate(at(0), { store: { latitude: null, longitude: null } }).checkin_flags, ['store_unlocated']);
+    assert.deepEqual(evaluate(at(0, { accuracy_m: 2500 })).checkin_flags, ['low_accuracy']);
+    const stale = evaluate(at(0, { captured_at: new Date(visitedAt - 45 * 60 * 1000) }));
+    assert.deepEqual(stale.checkin_flags, ['stale_location']);
+    assert.equal(stale.checkin_verified, false);
+  });
+
+  it('flags late logging without failing a fix taken at the store', () => {
+    const loggedAt = new Date(visitedAt.getTime() + 6 * 60 * 60 * 1000);
+    const replay = evaluate(at(0), { loggedAt });
+    assert.deepEqual(replay.checkin_flags, ['late']);
+    assert.equal(replay.checkin_verified, true);
+    assert.deepEqual(evaluate(null, { loggedAt }).checkin_flags, ['late', 'no_location']);
+  });
+});
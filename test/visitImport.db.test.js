@@ -0,0 +1,101 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { insertUser, insertStore } = require('./helpers/factories');
+
+describe('visit import with profiles', { skip: skipWithoutDb }, () => {
+  let h, visitImport, sam, priya, bondi, manly;
+
+  before(async () => {
+    h = await startHarness();
+    visitImport = require('../src/services/visitImport');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    sam   = await insertUser(h.db, { name: 'Sam Carter' });
+    priya = await insertUser(h.db, { name: 'Priya Nair' });
+    await h.db.query(`UPDATE users SET rep_code = 'SC' WHERE id = $1`, [sam.id]);
+    bondi = await insertStore(h.db, { zoho_contact_id: '1748001', name: 'Bondi Paper Co', postcode: '2026' });
+    manly = await insertStore(h.db, { zoho_contact_id: '1748002', name: 'Manly Gifts', postcode: '2095' });
+  });
+
+  const profile = (overrides = {}) => ({
+    header_row: 1, date_format: 'DMY', timezone: 'Australia/Sydney', account_prefix: null, phone_values: ['phone'],
+    columns: { date: 'Date', time: 'Time', store_name: 'Customer', postcode: 'Postcode', rep_name: 'Rep', visit_type: 'Type', note: 'Notes' },
+    ...overrides,
+  });
+
+  const csv = Buffer.from([
+    'Date,Time,Customer,Postcode,Rep,Type,Notes',
+    '2/3/2026,9:00,Bondi Paper Co,2026,Sam Carter,Visit,Good chat',
+    '2/3/2026,11:00,Manly Gift Shop,2095,Priya Nair,Phone,',
+    '3/3/2026,10:00,Manly Gift Shop,2095,Priya Nair,Visit,',
+    '3/3/2026,14:00,Bondi Paper Co,2026,,Visit,',
+    '4/3/2026,,Bondi Paper Co,2026,Sam Carter,Visit,',
+    '4/3/2026,9:00,Nowhere Newsagency,3000,Sam Carter,Visit,',
+  ].join('\n'));
+
+  it('resolves rows, groups fuzzy store matches for review and counts skips', async () => {
+    const out = await visitImport.prepareImport({ buffer: csv, profile: profile() });
+    assert.equal(out.total_rows, 6);
+    assert.deepEqual(out.records.map((r) => [r.line, r.storeId, r.repId]), [[2, bondi.id, sam.id]]);
+    assert.equal(out.records[0].visitedAt.toISOString(), '2026-03-01T22:00:00.000Z');
+    assert.deepEqual(out.skipped, { needs_review: 2, no_rep: 1, bad_date: 1, no_store_match: 1 });
+    assert.equal(out.review.length, 1);
+    assert.equal(out.review[0].key, 'manly gift shop|2095');
+    assert.equal(out.review[0].rows, 2);
+    assert.equal(out.review[0].candidates[0].id, manly.id);
+  });
+
+  it('applies review decisions and the fallback rep', async () => {
+    const out = await visitImport.prepareImport({
+      buffer: csv, profile: profile(), fallbackRepId: sam.id,
+      storeOverrides: { 'manly gift shop|2095': manly.id },
+    });
+    assert.deepEqual(out.records.map((r) => [r.line, r.storeId, r.repId, r.visitType, r.via]), [
+      [2, bondi.id, sam.id,   'visit', 'name'],
+      [3, manly.id, priya.id, 'phone', 'review'],
+      [4, manly.id, priya.id, 'visit', 'review'],
+      [5, bondi.id, sam.id,   'visit', 'name'],
+    ]);
+    assert.deepEqual(out.review, []);
+
+    const skippedByReviewer = await visitImport.prepareImport({
+      buffer: csv, profile: profile(), storeOverrides: { 'manly gift shop|2095': 0 },
+    });
+    assert.equal(skippedByReviewer.skipped.skipped_by_reviewer, 2);
+  });
+
+  it('imports the PixSell layout with positional columns and the account prefix', async () => {
+    const pixsell = profile({
+      header_row: 5, timezone: 'Australia/Brisbane', account_prefix: '1748',
+      columns: { date: '#1', time: '#2', store_id: '#5', note: '#8', rep_code: '#19', visit_type: '#28' },
+    });
+    const row = (date, time, account, code, category) => {
+      const cells = new Array(28).fill('');
+      Object.assign(cells, { 0: date, 1: time, 4: account, 7: 'note', 18: code, 27: category });
+      return cells.join(',');
+    };
+    const file = Buffer.from(['Diary report', '', 'Period', '', 'h1,h2,h3',
+      row('2/3/2026', '9:00', '1748002', 'SC', 'PHONE'),
+      row('2/3/2026', '9:30', 'PP-12', 'SC', 'VISIT'),
+    ].join('\n'));
+
+    const out = await visitImport.prepareImport({ buffer: file, profile: pixsell });
+    assert.deepEqual(out.skipped, { account_filtered: 1 });
+    assert.equal(out.records[0].storeId, manly.id);
+    assert.equal(out.records[0].visitType, 'phone');
+    assert.equal(out.records[0].visitedAt.toISOString(), '2026-03-01T23:00:00.000Z');
+  });
+
+  it('reports a profile column missing from the file', async () => {
+    const out = await visitImport.prepareImport({ buffer: csv, profile: profile({ columns: { date: 'Visit Date', store_id: '#3' } }) });
+    assert.match(out.error, /Visit Date/);
+  });
+});
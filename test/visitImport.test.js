@@ -0,0 +1,119 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateProfile, readCsv, resolveColumns, parseVisitTime,
+  normaliseStoreName, nameSimilarity, createStoreMatcher,
+} = require('../src/services/visitImport');
+
+describe('validateProfile', () => {
+  const base = { name: ' Diary ', columns: { date: 'Date', store_name: 'Customer' } };
+
+  it('fills defaults and drops blank column refs', () => {
+    const { profile } = validateProfile({ ...base, columns: { ...base.columns, note: '' }, phone_values: [' Phone ', 'CALL', 'phone'] });
+    assert.deepEqual(profile, {
+      name: 'Diary', header_row: 1, columns: { date: 'Date', store_name: 'Customer' },
+      date_format: 'DMY', timezone: 'Australia/Sydney', account_prefix: null, phone_values: ['phone', 'call'],
+    });
+  });
+
+  it('needs a date column and a way to find the store', () => {
+    assert.match(validateProfile({ ...base, columns: { store_name: 'Customer' } }).error, /date column/);
+    assert.match(validateProfile({ ...base, columns: { date: 'Date', note: 'Notes' } }).error, /store_id, store_name or postcode/);
+  });
+
+  it('rejects unknown fields, bad positions, formats and timezones', () => {
+    assert.match(validateProfile({ ...base, columns: { ...base.columns, colour: 'x' } }).error, /Unknown import field/);
+    assert.match(validateProfile({ ...base, columns: { ...base.columns, time: '#0' } }).error, /#1 or higher/);
+    assert.match(validateProfile({ ...base, date_format: 'YDM' }).error, /date_format/);
+    assert.match(validateProfile({ ...base, timezone: 'Australia/Gotham' }).error, /timezone/);
+    assert.match(validateProfile({ ...base, header_row: 0 }).error, /header_row/);
+  });
+});
+
+describe('readCsv + resolveColumns', () => {
+  const csv = Buffer.from('﻿Report,,\nRun 1/3/2026,,\nDate,Customer,Notes\n\n3/02/2026,Bondi Paper Co,"Reorder, next week"\n4/02/2026,Manly Gifts,\n');
+
+  it('takes headers from the configured row and numbers data rows by file line', () => {
+    const { headers, rows } = readCsv(csv, 3);
+    assert.deepEqual(headers, ['Date', 'Customer', 'Notes']);
+    assert.deepEqual(rows.map((r) => r.line), [5, 6]);
+    assert.equal(rows[0].cells[2], 'Reorder, next week');
+  });
+
+  it('resolves header names case-insensitively and #N positions', () => {
+    const { headers } = readCsv(csv, 3);
+    assert.deepEqual(resolveColumns({ date: '#1', store_name: 'customer', note: 'NOTES' }, headers).index,
+      { date: 0, store_name: 1, note: 2 });
+    assert.match(resolveColumns({ date: 'Visit Date' }, headers).error, /"Visit Date" \(for date\)/);
+  });
+});
+
+describe('parseVisitTime', () => {
+  it('reads day/month order and AM/PM times in the profile timezone', () => {
+    assert.equal(parseVisitTime('3/2/2026', '9:30 am', { timezone: 'Australia/Sydney' }).toISOString(), '2026-02-02T22:30:00.000Z');
+    assert.equal(parseVisitTime('02/03/26', '2:05 PM', { dateFormat: 'MDY', timezone: 'Australia/Perth' }).toISOString(), '2026-02-03T06:05:00.000Z');
+    assert.equal(parseVisitTime('2026-07-01 14:00', null, { dateFormat: 'MDY', timezone: 'Australia/Sydney' }).toISOString(), '2026-07-01T04:00:00.000Z');
+  });
+
+  it('follows daylight saving and matches the old fixed +10:00 for Brisbane', () => {
+    assert.equal(parseVisitTime('1/6/2026', '10:00', { timezone: 'Australia/Melbourne' }).toISOString(), '2026-06-01T00:00:00.000Z');
+    assert.equal(parseVisitTime('1/12/2026', '10:00', { timezone: 'Australia/Melbourne' }).toISOString(), '2026-11-30T23:00:00.000Z');
+    assert.equal(parseVisitTime('1/12/2026', '10:00', { timezone: 'Australia/Brisbane' }).toISOString(), '2026-12-01T00:00:00.000Z');
+  });
+
+  it('defaults to noon without a time column but rejects a blank mapped one', () => {
+    assert.equal(parseVisitTime('15/8/2026', null, { timezone: 'UTC' }).toISOString(), '2026-08-15T12:00:00.000Z');
+    assert.equal(parseVisitTime('15/8/2026', '', { timezone: 'UTC' }), null);
+  });
+
+  it('rejects impossible dates and times', () => {
+    assert.equal(parseVisitTime('31/2/2026', '9:00'), null);
+    assert.equal(parseVisitTime('2026-13-01', null), null);
+    assert.equal(parseVisitTime('1/2/2026', '25:00'), null);
+    assert.equal(parseVisitTime('1/2/2026', '13:00 pm'), null);
+    assert.equal(parseVisitTime('yesterday', null), null);
+  });
+});
+
+describe('store name matching', () => {
+  it('normalises case, punctuation, ampersands and company suffixes', () => {
+    assert.equal(normaliseStoreName("The Paper Mill & Co. Pty Ltd"), 'paper mill and co');
+    assert.equal(nameSimilarity('bondi paper co', 'bondi paper co'), 1);
+    assert.ok(nameSimilarity('bondi paper co', 'bondi papers co') > 0.8);
+    assert.ok(nameSimilarity('bondi paper co', 'manly gifts') < 0.3);
+  });
+
+  const stores = [
+    { id: 1, zoho_contact_id: '1748001', name: 'Bondi Paper Co',    postcode: '2026' },
+    { id: 2, zoho_contact_id: '1748002', name: 'Newsagency Plus',   postcode: '2000' },
+    { id: 3, zoho_contact_id: '1748003', name: 'Newsagency Plus',   postcode: '2095' },
+    { id: 4, zoho_contact_id: '1748004', name: 'Manly Gifts',       postcode: '2095' },
+  ];
+  const { match } = createStoreMatcher(stores);
+
+  it('matches Zoho IDs, honouring the account prefix', () => {
+    assert.deepEqual(match({ storeId: '1748004' }, { accountPrefix: '1748' }), { storeId: 4, via: 'id' });
+    assert.deepEqual(match({ storeId: 'PP-77' }, { accountPrefix: '1748' }), { reason: 'account_filtered' });
+    assert.deepEqual(match({ storeId: '1748999' }), { reason: 'no_store_match' });
+  });
+
+  it('matches exact names, using the postcode to split duplicates', () => {
+    assert.deepEqual(match({ storeName: 'bondi paper co.' }), { storeId: 1, via: 'name' });
+    assert.deepEqual(match({ storeName: 'Newsagency Plus', postcode: '2095' }), { storeId: 3, via: 'name' });
+    const { review } = match({ storeName: 'Newsagency Plus' });
+    assert.deepEqual(review.candidates.map((c) => c.id), [2, 3]);
+  });
+
+  it('sends near names and postcode-only rows to review with candidates', () => {
+    const near = match({ storeName: 'Bondi Papers', postcode: '2026' });
+    assert.equal(near.review.key, 'bondi papers|2026');
+    assert.equal(near.review.candidates[0].id, 1);
+
+    const byPostcode = match({ postcode: '2095' });
+    assert.deepEqual(byPostcode.review.candidates.map((c) => c.id), [4, 3]);
+    assert.deepEqual(match({ storeName: 'Zebra Crossing Toys' }), { reason: 'no_store_match' });
+  });
+});
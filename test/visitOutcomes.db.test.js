@@ -0,0 +1,103 @@
+'use strict';
+
+// DB-backed: runs against a throwaway schema (see helpers/harness.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skipWithoutDb, startHarness } = require('./helpers/harness');
+const { daysAgo, invoice, insertUser, insertStore, insertVisit } = require('./helpers/factories');
+
+describe('visit outcomes', { skip: skipWithoutDb }, () => {
+  let h, outcomes, engine, lifecycle, rep, store;
+
+  before(async () => {
+    h = await startHarness();
+    outcomes  = require('../src/services/visitOutcomes');
+    engine    = require('../src/services/alertEngine');
+    lifecycle = require('../src/services/alertLifecycle');
+  });
+  after(() => h?.stop());
+  beforeEach(async () => {
+    await h.reset();
+    rep   = await insertUser(h.db, { name: 'Sam Carter' });
+    store = await insertStore(h.db, { zoho_contact_id: 'V1', rep_id: rep.id, name: 'Corner Cellars' });
+  });
+
+  const visit = (days_ago, order_taken, s = store) =>
+    insertVisit(h.db, { rep_id: rep.id, store_id: s.id, days_ago, order_taken });
+
+  async function streakAlerts() {
+    const { rows } = await h.db.query(
+      `SELECT store_id, alert_title, alert_detail, status, outcome FROM alert_log
+       WHERE alert_type = 'no_order_streak' ORDER BY store_id`
+    );
+    return rows;
+  }
+
+  it('counts back from the latest visit to the last order or unrecorded visit', async () => {
+    const other   = await insertStore(h.db, { zoho_contact_id: 'V2', rep_id: rep.id });
+    const ordered = await insertStore(h.db, { zoho_contact_id: 'V3', rep_id: rep.id });
+    await visit(40, false);
+    await visit(30, true);
+    await visit(20, false);
+    await visit(10, false);
+    await visit(2, false);
+    await visit(9, null, other);   // unrecorded visit breaks the run
+    await visit(5, false, other);
+    await visit(3, false, ordered);
+    await visit(1, true, ordered);
+    await h.db.query(
+      `INSERT INTO visits (rep_id, store_id, visited_at, visit_type) VALUES ($1, $2, NOW(), 'phone')`,
+      [rep.id, store.id]
+    );
+
+    const rows = await outcomes.fetchNoOrderStreaks();
+    assert.deepEqual(rows.map((r) => [r.store_id, r.streak]).sort(), [[store.id, 3], [other.id, 1]].sort());
+    const mine = rows.find((r) => r.store_id === store.id);
+    assert.equal(new Date(mine.since).toISOString().slice(0, 10), daysAgo(20));
+
+    assert.deepEqual((await outcomes.fetchNoOrderStreaks({ storeId: ordered.id })), []);
+  });
+
+  it('ALERT-6 flags a streak that reaches the threshold unless the store invoiced since', async () => {
+    const direct = await insertStore(h.db, { zoho_contact_id: 'V4', rep_id: rep.id });
+    const short  = await insertStore(h.db, { zoho_contact_id: 'V5', rep_id: rep.id });
+    for (const days of [21, 14, 7]) {
+      await visit(days, false);
+      await visit(days, false, direct);
+    }
+    await visit(7, false, short);
+    await visit(3, false, short);
+
+    const counts = { inserted: 0, skipped: 0 };
+    const invoices = [invoice({ customer_id: 'V4', date: daysAgo(10) })];
+    await engine.runAlert6(counts, invoices);
+    await engine.runAlert6(counts, invoices); // deduplicated
+
+    const rows = await streakAlerts();
+    assert.equal(counts.inserted, 1);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].store_id, store.id);
+    assert.equal(rows[0].alert_title, '3 visits without an order: Corner Cellars');
+    assert.equal(rows[0].alert_detail.visits_without_order, 3);
+    assert.equal(rows[0].alert_detail.since, daysAgo(21));
+  });
+
+  it('honours a tuned visit threshold and auto-resolves when the store orders', async () => {
+    await visit(7, false);
+    await visit(3, false);
+    const rules = [{ alert_type: 'no_order_streak', tier: 2, enabled: true, params: { visits: 2 } }];
+    await engine.runAlert6({ inserted: 0, skipped: 0 }, [], rules);
+    assert.equal((await streakAlerts()).length, 1);
+
+    await h.db.query(`
+      INSERT INTO zoho_invoices (invoice_id, invoice_number, customer_id, status, date, total)
+      VALUES ('INV-1', 'INV-1', $1, 'paid', $2, 550)
+    `, [store.zoho_contact_id, daysAgo(-1)]);
+    assert.equal(await lifecycle.autoResolveAlerts({ storeId: store.id }), 1);
+    const [alert] = await streakAlerts();
+    assert.equal(alert.status, 'resolved');
+    assert.equal(alert.outcome, 'ordered');
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OUTCOME_COLUMNS, parseVisitOutcome } = require('../src/services/visitOutcomes');
+
+const today = '2026-03-10';
+
+describe('parseVisitOutcome', () => {
+  it('leaves every outcome unrecorded for a plain visit', () => {
+    const { outcome } = parseVisitOutcome({ store_id: 1, note: 'hi' }, { today });
+    assert.deepEqual(Object.keys(outcome), OUTCOME_COLUMNS);
+    assert.equal(outcome.order_taken, null);
+    assert.equal(outcome.merchandised, null);
+    assert.deepEqual(outcome.competitor_brands, []);
+    assert.equal(outcome.follow_up_date, null);
+  });
+
+  it('normalises a full outcome', () => {
+    const { outcome } = parseVisitOutcome({
+      order_taken:       true,
+      order_value:       '1234.567',
+      salesorder_number: ' SO-00042 ',
+      merchandised:      false,
+      competitor_brands: ['Acme', ' Acme ', 'Globex', ''],
+      brands_discussed:  ['Brand A'],
+      follow_up_date:    today,
+      contact_name:      '  Jo  ',
+    }, { today });
+    assert.deepEqual(outcome, {
+      order_taken:       true,
+      order_value:       1234.57,
+      salesorder_number: 'SO-00042',
+      merchandised:      false,
+      competitor_brands: ['Acme', 'Globex'],
+      brands_discussed:  ['Brand A'],
+      follow_up_date:    today,
+      contact_name:      'Jo',
+    });
+  });
+
+  it('needs an order before a value or sales order number', () => {
+    assert.match(parseVisitOutcome({ order_value: 50 }, { today }).error, /order_taken/);
+    assert.match(parseVisitOutcome({ order_taken: false, salesorder_number: 'SO-1' }, { today }).error, /order_taken/);
+    assert.match(parseVisitOutcome({ order_taken: true, order_value: -1 }, { today }).error, /order_value/);
+  });
+
+  it('rejects malformed fields', () => {
+    assert.match(parseVisitOutcome({ order_taken: 'yes' }, { today }).error, /true or false/);
+    assert.match(parseVisitOutcome({ competitor_brands: 'Acme' }, { today }).error, /list of brand names/);
+    assert.match(parseVisitOutcome({ brands_discussed: Array.from({ length: 21 }, (_, i) => `B${i}`) }, { today }).error, /at most 20/);
+    assert.match(parseVisitOutcome({ follow_up_date: '10/03/2026' }, { today }).error, /YYYY-MM-DD/);
+    assert.match(parseVisitOutcome({ follow_up_date: '2026-03-09' }, { today }).error, /past/);
+  });
+});